@@ -2,280 +2,501 @@
  * Swish Migrate and Backup - Admin JavaScript
  */
 
-(function($) {
+( function ( $ ) {
 	'use strict';
 
 	const SwishBackup = {
 		/**
 		 * Initialize.
 		 */
-		init: function() {
+		init: function () {
 			this.bindEvents();
 		},
 
 		/**
 		 * Bind event handlers.
 		 */
-		bindEvents: function() {
+		bindEvents: function () {
 			// Backup buttons
-			$(document).on('click', '#swish-backup-now, #swish-backup-first', this.showBackupTypeSelector);
-			$(document).on('click', '.swish-backup-type-option', this.startBackup);
+			$( document ).on(
+				'click',
+				'#swish-backup-now, #swish-backup-first',
+				this.showBackupTypeSelector
+			);
+			$( document ).on(
+				'click',
+				'.swish-backup-type-option',
+				this.startBackup
+			);
 
 			// Backup actions
-			$(document).on('click', '.swish-backup-restore', this.showRestoreModal);
-			$(document).on('click', '#swish-backup-restore-confirm', this.confirmRestore);
-			$(document).on('click', '.swish-backup-download', this.downloadBackup);
-			$(document).on('click', '.swish-backup-delete', this.deleteBackup);
+			$( document ).on(
+				'click',
+				'.swish-backup-restore',
+				this.showRestoreModal
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-restore-confirm',
+				this.confirmRestore
+			);
+			$( document ).on(
+				'click',
+				'.swish-backup-download',
+				this.downloadBackup
+			);
+			$( document ).on(
+				'click',
+				'.swish-backup-delete',
+				this.deleteBackup
+			);
 
 			// Bulk selection
-			$(document).on('change', '#swish-backup-select-all', this.toggleSelectAll);
-			$(document).on('change', '.swish-backup-checkbox', this.updateBulkSelection);
-			$(document).on('click', '#swish-backup-bulk-download', this.bulkDownload);
-			$(document).on('click', '#swish-backup-bulk-delete', this.bulkDelete);
+			$( document ).on(
+				'change',
+				'#swish-backup-select-all',
+				this.toggleSelectAll
+			);
+			$( document ).on(
+				'change',
+				'.swish-backup-checkbox',
+				this.updateBulkSelection
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-bulk-download',
+				this.bulkDownload
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-bulk-delete',
+				this.bulkDelete
+			);
 
 			// Modal
-			$(document).on('click', '.swish-backup-modal-cancel', this.hideModals);
-			$(document).on('click', '.swish-backup-modal', function(e) {
-				if (e.target === this) {
+			$( document ).on(
+				'click',
+				'.swish-backup-modal-cancel',
+				this.hideModals
+			);
+			$( document ).on( 'click', '.swish-backup-modal', function ( e ) {
+				if ( e.target === this ) {
 					SwishBackup.hideModals();
 				}
-			});
+			} );
 
 			// Storage test
-			$(document).on('click', '#swish-backup-test-connection', this.testStorageConnection);
+			$( document ).on(
+				'click',
+				'#swish-backup-test-connection',
+				this.testStorageConnection
+			);
 
 			// Schedule
-			$(document).on('click', '#swish-backup-add-schedule', this.showScheduleForm);
-			$(document).on('click', '#swish-backup-cancel-schedule', this.hideScheduleForm);
-			$(document).on('click', '.swish-backup-run-schedule', this.runSchedule);
-			$(document).on('click', '.swish-backup-toggle-schedule', this.toggleSchedule);
-			$(document).on('click', '.swish-backup-delete-schedule', this.deleteSchedule);
+			$( document ).on(
+				'click',
+				'#swish-backup-add-schedule',
+				this.showScheduleForm
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-cancel-schedule',
+				this.hideScheduleForm
+			);
+			$( document ).on(
+				'click',
+				'.swish-backup-run-schedule',
+				this.runSchedule
+			);
+			$( document ).on(
+				'click',
+				'.swish-backup-toggle-schedule',
+				this.toggleSchedule
+			);
+			$( document ).on(
+				'click',
+				'.swish-backup-delete-schedule',
+				this.deleteSchedule
+			);
 
 			// Migration
-			$(document).on('click', '.swish-backup-migration-option', this.selectMigrationMethod);
-			$(document).on('click', '[data-goto]', this.navigateMigrationStep);
-			$(document).on('click', '#swish-backup-select-file', function() {
-				$('#backup_file').click();
-			});
-			$(document).on('change', '#backup_file', this.handleFileSelect);
-			$(document).on('click', '#swish-backup-continue-import', this.uploadAndAnalyzeBackup);
-			$(document).on('click', '#swish-backup-preview-url', this.previewUrlReplacement);
-			$(document).on('click', '#swish-backup-start-migration', this.startMigration);
-			$(document).on('click', '#swish-backup-start-export', this.startExport);
-			$(document).on('click', '#swish-backup-preview-search', this.previewSearchReplace);
-			$(document).on('click', '#swish-backup-run-search-replace', this.runSearchReplace);
+			$( document ).on(
+				'click',
+				'.swish-backup-migration-option',
+				this.selectMigrationMethod
+			);
+			$( document ).on(
+				'click',
+				'[data-goto]',
+				this.navigateMigrationStep
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-select-file',
+				function () {
+					$( '#backup_file' ).click();
+				}
+			);
+			$( document ).on( 'change', '#backup_file', this.handleFileSelect );
+			$( document ).on(
+				'click',
+				'#swish-backup-continue-import',
+				this.continueImport
+			);
+			$( document ).on(
+				'change',
+				'input[name="import_source"]',
+				this.switchImportSource
+			);
+			$( document ).on( 'input', '#import_url', function () {
+				$( '#swish-backup-continue-import' ).prop(
+					'disabled',
+					! $.trim( $( this ).val() )
+				);
+			} );
+			$( document ).on( 'change', '#import_storage', function () {
+				SwishBackup.browseImportStorage( '' );
+			} );
+			$( document ).on(
+				'click',
+				'.swish-backup-storage-folder',
+				function () {
+					SwishBackup.browseImportStorage(
+						$( this ).attr( 'data-path' )
+					);
+				}
+			);
+			$( document ).on(
+				'change',
+				'input[name="import_storage_file"]',
+				this.selectStorageFile
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-pull-connect-button',
+				this.connectPullSource
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-pull-disconnect',
+				this.disconnectPullSource
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-start-pull',
+				this.startPull
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-generate-key',
+				this.generateConnectionKey
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-revoke-key',
+				this.revokeConnectionKey
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-copy-key',
+				this.copyConnectionKey
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-preview-url',
+				this.previewUrlReplacement
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-start-migration',
+				this.startMigration
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-start-export',
+				this.startExport
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-preview-search',
+				this.previewSearchReplace
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-run-search-replace',
+				this.runSearchReplace
+			);
+			$( document ).on(
+				'input change',
+				'#search_string, #replace_string, #migration-step-search-replace input[type="checkbox"]',
+				function () {
+					// Row exclusions only make sense for the search they were picked from.
+					SwishBackup.searchExclusions = {};
+					$( '#swish-backup-search-preview' ).hide();
+				}
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-start-file-scan',
+				this.startFileScan
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-rewrite-files',
+				this.rewriteScannedFiles
+			);
+			$( document ).on(
+				'click',
+				'#swish-backup-scan-after-migration',
+				this.openFileScan
+			);
+			$( document ).on( 'change', '.swish-file-scan-select', function () {
+				$( '#swish-backup-rewrite-files' ).prop(
+					'disabled',
+					! $( '.swish-file-scan-select:checked' ).length
+				);
+			} );
 
 			// Drag and drop
-			const dropZone = $('#swish-backup-drop-zone');
-			if (dropZone.length) {
-				dropZone.on('dragover', function(e) {
-					e.preventDefault();
-					$(this).addClass('dragover');
-				}).on('dragleave drop', function(e) {
-					e.preventDefault();
-					$(this).removeClass('dragover');
-				}).on('drop', function(e) {
-					const files = e.originalEvent.dataTransfer.files;
-					if (files.length) {
-						$('#backup_file')[0].files = files;
-						SwishBackup.handleFileSelect();
-					}
-				});
+			const dropZone = $( '#swish-backup-drop-zone' );
+			if ( dropZone.length ) {
+				dropZone
+					.on( 'dragover', function ( e ) {
+						e.preventDefault();
+						$( this ).addClass( 'dragover' );
+					} )
+					.on( 'dragleave drop', function ( e ) {
+						e.preventDefault();
+						$( this ).removeClass( 'dragover' );
+					} )
+					.on( 'drop', function ( e ) {
+						const files = e.originalEvent.dataTransfer.files;
+						if ( files.length ) {
+							$( '#backup_file' )[ 0 ].files = files;
+							SwishBackup.handleFileSelect();
+						}
+					} );
 			}
 		},
 
 		/**
 		 * Show backup type selector.
 		 */
-		showBackupTypeSelector: function() {
-			$('#swish-backup-type-selector').slideDown();
+		showBackupTypeSelector: function () {
+			$( '#swish-backup-type-selector' ).slideDown();
 		},
 
 		/**
 		 * Start backup.
 		 */
-		startBackup: function() {
-			const type = $(this).data('type');
+		startBackup: function () {
+			const type = $( this ).data( 'type' );
 
-			$('.swish-backup-type-option').removeClass('selected');
-			$(this).addClass('selected');
+			$( '.swish-backup-type-option' ).removeClass( 'selected' );
+			$( this ).addClass( 'selected' );
 
-			SwishBackup.showProgressModal(swishBackup.i18n.backupStarted);
+			SwishBackup.showProgressModal( swishBackup.i18n.backupStarted );
 
-			wp.apiFetch({
+			wp.apiFetch( {
 				path: '/swish-backup/v1/backup',
 				method: 'POST',
-				data: { type: type }
-			}).then(function(response) {
-				SwishBackup.updateProgress(100, swishBackup.i18n.backupComplete);
-				setTimeout(function() {
-					location.reload();
-				}, 1500);
-			}).catch(function(error) {
-				SwishBackup.showError(swishBackup.i18n.backupFailed);
-			});
+				data: { type: type },
+			} )
+				.then( function ( response ) {
+					SwishBackup.updateProgress(
+						100,
+						swishBackup.i18n.backupComplete
+					);
+					setTimeout( function () {
+						location.reload();
+					}, 1500 );
+				} )
+				.catch( function ( error ) {
+					SwishBackup.showError( swishBackup.i18n.backupFailed );
+				} );
 		},
 
 		/**
 		 * Show restore modal.
 		 */
-		showRestoreModal: function() {
-			const backupId = $(this).data('backup-id');
-			$('#swish-backup-restore-modal').data('backup-id', backupId).show();
+		showRestoreModal: function () {
+			const backupId = $( this ).data( 'backup-id' );
+			$( '#swish-backup-restore-modal' )
+				.data( 'backup-id', backupId )
+				.show();
 		},
 
 		/**
 		 * Confirm restore.
 		 */
-		confirmRestore: function() {
-			if (!confirm(swishBackup.i18n.confirmRestore)) {
+		confirmRestore: function () {
+			if ( ! confirm( swishBackup.i18n.confirmRestore ) ) {
 				return;
 			}
 
-			const backupId = $('#swish-backup-restore-modal').data('backup-id');
+			const backupId = $( '#swish-backup-restore-modal' ).data(
+				'backup-id'
+			);
 			const options = {
-				restore_database: $('[name="restore_database"]').is(':checked'),
-				restore_files: $('[name="restore_files"]').is(':checked')
+				restore_database: $( '[name="restore_database"]' ).is(
+					':checked'
+				),
+				restore_files: $( '[name="restore_files"]' ).is( ':checked' ),
 			};
 
-			$('#swish-backup-restore-modal').hide();
-			SwishBackup.showProgressModal(swishBackup.i18n.restoreStarted);
+			$( '#swish-backup-restore-modal' ).hide();
+			SwishBackup.showProgressModal( swishBackup.i18n.restoreStarted );
 
-			wp.apiFetch({
+			wp.apiFetch( {
 				path: '/swish-backup/v1/restore',
 				method: 'POST',
 				data: {
 					backup_id: backupId,
-					...options
-				}
-			}).then(function(response) {
-				SwishBackup.updateProgress(100, swishBackup.i18n.restoreComplete);
-				setTimeout(function() {
-					location.reload();
-				}, 1500);
-			}).catch(function(error) {
-				SwishBackup.showError(swishBackup.i18n.restoreFailed);
-			});
+					...options,
+				},
+			} )
+				.then( function ( response ) {
+					SwishBackup.updateProgress(
+						100,
+						swishBackup.i18n.restoreComplete
+					);
+					setTimeout( function () {
+						location.reload();
+					}, 1500 );
+				} )
+				.catch( function ( error ) {
+					SwishBackup.showError( swishBackup.i18n.restoreFailed );
+				} );
 		},
 
 		/**
 		 * Download backup.
 		 */
-		downloadBackup: function() {
-			const backupId = $(this).data('backup-id');
-
-			wp.apiFetch({
-				path: `/swish-backup/v1/backup/${backupId}/download`,
-				method: 'GET'
-			}).then(function(response) {
-				if (response.url) {
+		downloadBackup: function () {
+			const backupId = $( this ).data( 'backup-id' );
+
+			wp.apiFetch( {
+				path: `/swish-backup/v1/backup/${ backupId }/download`,
+				method: 'GET',
+			} ).then( function ( response ) {
+				if ( response.url ) {
 					window.location.href = response.url;
 				}
-			});
+			} );
 		},
 
 		/**
 		 * Delete backup.
 		 */
-		deleteBackup: function() {
-			if (!confirm(swishBackup.i18n.confirmDelete)) {
+		deleteBackup: function () {
+			if ( ! confirm( swishBackup.i18n.confirmDelete ) ) {
 				return;
 			}
 
-			const backupId = $(this).data('backup-id');
-			const row = $(this).closest('tr');
+			const backupId = $( this ).data( 'backup-id' );
+			const row = $( this ).closest( 'tr' );
 
-			wp.apiFetch({
-				path: `/swish-backup/v1/backup/${backupId}`,
-				method: 'DELETE'
-			}).then(function(response) {
-				row.fadeOut(function() {
-					$(this).remove();
+			wp.apiFetch( {
+				path: `/swish-backup/v1/backup/${ backupId }`,
+				method: 'DELETE',
+			} ).then( function ( response ) {
+				row.fadeOut( function () {
+					$( this ).remove();
 					SwishBackup.updateBulkSelection();
-				});
-			});
+				} );
+			} );
 		},
 
 		/**
 		 * Toggle select all checkboxes.
 		 */
-		toggleSelectAll: function() {
-			const isChecked = $(this).is(':checked');
-			$('.swish-backup-checkbox').prop('checked', isChecked);
+		toggleSelectAll: function () {
+			const isChecked = $( this ).is( ':checked' );
+			$( '.swish-backup-checkbox' ).prop( 'checked', isChecked );
 			SwishBackup.updateBulkSelection();
 		},
 
 		/**
 		 * Update bulk selection UI.
 		 */
-		updateBulkSelection: function() {
-			const $checkboxes = $('.swish-backup-checkbox');
-			const $checked = $('.swish-backup-checkbox:checked');
+		updateBulkSelection: function () {
+			const $checkboxes = $( '.swish-backup-checkbox' );
+			const $checked = $( '.swish-backup-checkbox:checked' );
 			const count = $checked.length;
 
 			// Update count display
-			$('#swish-backup-selected-count').text(count);
+			$( '#swish-backup-selected-count' ).text( count );
 
 			// Show/hide bulk actions bar
-			if (count > 0) {
-				$('#swish-backup-bulk-actions').removeClass('hidden');
+			if ( count > 0 ) {
+				$( '#swish-backup-bulk-actions' ).removeClass( 'hidden' );
 			} else {
-				$('#swish-backup-bulk-actions').addClass('hidden');
+				$( '#swish-backup-bulk-actions' ).addClass( 'hidden' );
 			}
 
 			// Update select all checkbox state
-			if (count === 0) {
-				$('#swish-backup-select-all').prop('checked', false).prop('indeterminate', false);
-			} else if (count === $checkboxes.length) {
-				$('#swish-backup-select-all').prop('checked', true).prop('indeterminate', false);
+			if ( count === 0 ) {
+				$( '#swish-backup-select-all' )
+					.prop( 'checked', false )
+					.prop( 'indeterminate', false );
+			} else if ( count === $checkboxes.length ) {
+				$( '#swish-backup-select-all' )
+					.prop( 'checked', true )
+					.prop( 'indeterminate', false );
 			} else {
-				$('#swish-backup-select-all').prop('checked', false).prop('indeterminate', true);
+				$( '#swish-backup-select-all' )
+					.prop( 'checked', false )
+					.prop( 'indeterminate', true );
 			}
 		},
 
 		/**
 		 * Bulk download selected backups.
 		 */
-		bulkDownload: function() {
-			const $checked = $('.swish-backup-checkbox:checked');
-			if ($checked.length === 0) {
+		bulkDownload: function () {
+			const $checked = $( '.swish-backup-checkbox:checked' );
+			if ( $checked.length === 0 ) {
 				return;
 			}
 
 			// Download each backup sequentially
-			const backupIds = $checked.map(function() {
-				return $(this).val();
-			}).get();
+			const backupIds = $checked
+				.map( function () {
+					return $( this ).val();
+				} )
+				.get();
 
 			let index = 0;
 
 			function downloadNext() {
-				if (index >= backupIds.length) {
+				if ( index >= backupIds.length ) {
 					return;
 				}
 
-				const backupId = backupIds[index];
+				const backupId = backupIds[ index ];
 				index++;
 
-				wp.apiFetch({
-					path: `/swish-backup/v1/backup/${backupId}/download`,
-					method: 'GET'
-				}).then(function(response) {
-					if (response.url) {
-						// Create hidden iframe to trigger download
-						const iframe = document.createElement('iframe');
-						iframe.style.display = 'none';
-						iframe.src = response.url;
-						document.body.appendChild(iframe);
-
-						// Download next after a short delay
-						setTimeout(downloadNext, 1000);
-					} else {
+				wp.apiFetch( {
+					path: `/swish-backup/v1/backup/${ backupId }/download`,
+					method: 'GET',
+				} )
+					.then( function ( response ) {
+						if ( response.url ) {
+							// Create hidden iframe to trigger download
+							const iframe = document.createElement( 'iframe' );
+							iframe.style.display = 'none';
+							iframe.src = response.url;
+							document.body.appendChild( iframe );
+
+							// Download next after a short delay
+							setTimeout( downloadNext, 1000 );
+						} else {
+							downloadNext();
+						}
+					} )
+					.catch( function () {
 						downloadNext();
-					}
-				}).catch(function() {
-					downloadNext();
-				});
+					} );
 			}
 
 			downloadNext();
@@ -284,473 +505,1467 @@
 		/**
 		 * Bulk delete selected backups.
 		 */
-		bulkDelete: function() {
-			const $checked = $('.swish-backup-checkbox:checked');
+		bulkDelete: function () {
+			const $checked = $( '.swish-backup-checkbox:checked' );
 			const count = $checked.length;
 
-			if (count === 0) {
+			if ( count === 0 ) {
 				return;
 			}
 
-			const confirmMessage = count === 1
-				? swishBackup.i18n.confirmDelete
-				: 'Are you sure you want to delete ' + count + ' backups? This cannot be undone.';
+			const confirmMessage =
+				count === 1
+					? swishBackup.i18n.confirmDelete
+					: 'Are you sure you want to delete ' +
+					  count +
+					  ' backups? This cannot be undone.';
 
-			if (!confirm(confirmMessage)) {
+			if ( ! confirm( confirmMessage ) ) {
 				return;
 			}
 
-			const backupIds = $checked.map(function() {
-				return $(this).val();
-			}).get();
+			const backupIds = $checked
+				.map( function () {
+					return $( this ).val();
+				} )
+				.get();
 
 			// Show progress
-			const $button = $('#swish-backup-bulk-delete');
+			const $button = $( '#swish-backup-bulk-delete' );
 			const originalText = $button.html();
-			$button.prop('disabled', true).html('<span class="dashicons dashicons-update spin"></span> Deleting...');
+			$button
+				.prop( 'disabled', true )
+				.html(
+					'<span class="dashicons dashicons-update spin"></span> Deleting...'
+				);
 
 			let deleted = 0;
 			let failed = 0;
 
-			function deleteNext(index) {
-				if (index >= backupIds.length) {
+			function deleteNext( index ) {
+				if ( index >= backupIds.length ) {
 					// All done
-					$button.prop('disabled', false).html(originalText);
+					$button.prop( 'disabled', false ).html( originalText );
 					SwishBackup.updateBulkSelection();
 
-					if (failed > 0) {
-						alert('Deleted ' + deleted + ' backup(s). ' + failed + ' failed.');
+					if ( failed > 0 ) {
+						alert(
+							'Deleted ' +
+								deleted +
+								' backup(s). ' +
+								failed +
+								' failed.'
+						);
 					}
 					return;
 				}
 
-				const backupId = backupIds[index];
-				const $row = $('tr[data-backup-id="' + backupId + '"]');
-
-				wp.apiFetch({
-					path: `/swish-backup/v1/backup/${backupId}`,
-					method: 'DELETE'
-				}).then(function() {
-					deleted++;
-					$row.fadeOut(function() {
-						$(this).remove();
-					});
-					deleteNext(index + 1);
-				}).catch(function() {
-					failed++;
-					deleteNext(index + 1);
-				});
+				const backupId = backupIds[ index ];
+				const $row = $( 'tr[data-backup-id="' + backupId + '"]' );
+
+				wp.apiFetch( {
+					path: `/swish-backup/v1/backup/${ backupId }`,
+					method: 'DELETE',
+				} )
+					.then( function () {
+						deleted++;
+						$row.fadeOut( function () {
+							$( this ).remove();
+						} );
+						deleteNext( index + 1 );
+					} )
+					.catch( function () {
+						failed++;
+						deleteNext( index + 1 );
+					} );
 			}
 
-			deleteNext(0);
+			deleteNext( 0 );
 		},
 
 		/**
 		 * Test storage connection.
 		 */
-		testStorageConnection: function() {
-			const adapter = $(this).data('adapter');
-			const statusEl = $('#swish-backup-connection-status');
+		testStorageConnection: function () {
+			const adapter = $( this ).data( 'adapter' );
+			const statusEl = $( '#swish-backup-connection-status' );
 
-			statusEl.text('Testing...');
+			statusEl.text( 'Testing...' );
 
-			wp.apiFetch({
+			wp.apiFetch( {
 				path: '/swish-backup/v1/storage/test',
 				method: 'POST',
-				data: { adapter: adapter }
-			}).then(function(response) {
-				statusEl.text(response.message);
-				statusEl.css('color', response.success ? 'green' : 'red');
-			});
+				data: { adapter: adapter },
+			} ).then( function ( response ) {
+				statusEl.text( response.message );
+				statusEl.css( 'color', response.success ? 'green' : 'red' );
+			} );
 		},
 
 		/**
 		 * Show schedule form.
 		 */
-		showScheduleForm: function() {
-			$('#swish-backup-schedule-form').slideDown();
+		showScheduleForm: function () {
+			$( '#swish-backup-schedule-form' ).slideDown();
 		},
 
 		/**
 		 * Hide schedule form.
 		 */
-		hideScheduleForm: function() {
-			$('#swish-backup-schedule-form').slideUp();
+		hideScheduleForm: function () {
+			$( '#swish-backup-schedule-form' ).slideUp();
 		},
 
 		/**
-		 * Run schedule now.
+		 * Run schedule now, on the dashboard where its progress is shown.
 		 */
-		runSchedule: function() {
-			const scheduleId = $(this).data('schedule-id');
-			SwishBackup.showProgressModal('Running scheduled backup...');
-
-			wp.apiFetch({
-				path: '/swish-backup/v1/backup',
-				method: 'POST',
-				data: { type: 'full', schedule_id: scheduleId }
-			}).then(function(response) {
-				SwishBackup.updateProgress(100, swishBackup.i18n.backupComplete);
-				setTimeout(function() {
-					location.reload();
-				}, 1500);
-			});
+		runSchedule: function () {
+			const scheduleId = $( this ).data( 'schedule-id' );
+			window.location.href =
+				swishBackup.dashboardUrl +
+				'&run_schedule=' +
+				encodeURIComponent( scheduleId );
 		},
 
 		/**
 		 * Toggle schedule.
 		 */
-		toggleSchedule: function() {
-			const scheduleId = $(this).data('schedule-id');
-			const button = $(this);
+		toggleSchedule: function () {
+			const scheduleId = $( this ).data( 'schedule-id' );
+			const button = $( this );
 
-			// This would require a toggle endpoint
-			button.prop('disabled', true);
-			setTimeout(function() {
-				location.reload();
-			}, 500);
+			button.prop( 'disabled', true );
+			wp.apiFetch( {
+				path: '/swish-backup/v1/schedules/' + scheduleId + '/toggle',
+				method: 'POST',
+			} )
+				.then( function () {
+					location.reload();
+				} )
+				.catch( function ( error ) {
+					button.prop( 'disabled', false );
+					alert( error.message || 'Failed to update schedule.' );
+				} );
 		},
 
 		/**
 		 * Delete schedule.
 		 */
-		deleteSchedule: function() {
-			if (!confirm('Are you sure you want to delete this schedule?')) {
+		deleteSchedule: function () {
+			if (
+				! confirm( 'Are you sure you want to delete this schedule?' )
+			) {
 				return;
 			}
 
-			const scheduleId = $(this).data('schedule-id');
-			const row = $(this).closest('tr');
-
-			// This would require a delete endpoint
-			row.fadeOut(function() {
-				$(this).remove();
-			});
+			const scheduleId = $( this ).data( 'schedule-id' );
+			const row = $( this ).closest( 'tr' );
+
+			wp.apiFetch( {
+				path: '/swish-backup/v1/schedules/' + scheduleId,
+				method: 'DELETE',
+			} )
+				.then( function () {
+					row.fadeOut( function () {
+						$( this ).remove();
+					} );
+				} )
+				.catch( function ( error ) {
+					alert( error.message || 'Failed to delete schedule.' );
+				} );
 		},
 
 		/**
 		 * Select migration method.
 		 */
-		selectMigrationMethod: function() {
-			const method = $(this).data('method');
-			$('.swish-backup-migration-step').hide();
-			$('#migration-step-' + method).show();
+		selectMigrationMethod: function () {
+			const method = $( this ).data( 'method' );
+			$( '.swish-backup-migration-step' ).hide();
+			$( '#migration-step-' + method ).show();
 		},
 
 		/**
 		 * Navigate migration step.
 		 */
-		navigateMigrationStep: function() {
-			const target = $(this).data('goto');
-			$('.swish-backup-migration-step').hide();
+		navigateMigrationStep: function () {
+			const target = $( this ).data( 'goto' );
+			$( '.swish-backup-migration-step' ).hide();
 
-			if (target === '1' || target === 1) {
-				$('#migration-step-1').show();
+			if ( target === '1' || target === 1 ) {
+				$( '#migration-step-1' ).show();
 			} else {
-				$('#migration-step-' + target).show();
+				$( '#migration-step-' + target ).show();
 			}
 		},
 
 		/**
 		 * Format file size.
 		 */
-		formatFileSize: function(bytes) {
-			if (bytes === 0) return '0 Bytes';
+		formatFileSize: function ( bytes ) {
+			if ( bytes === 0 ) return '0 Bytes';
 			const k = 1024;
-			const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-			const i = Math.floor(Math.log(bytes) / Math.log(k));
-			return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+			const sizes = [ 'Bytes', 'KB', 'MB', 'GB' ];
+			const i = Math.floor( Math.log( bytes ) / Math.log( k ) );
+			return (
+				parseFloat( ( bytes / Math.pow( k, i ) ).toFixed( 2 ) ) +
+				' ' +
+				sizes[ i ]
+			);
 		},
 
 		/**
 		 * Handle file select.
 		 */
-		handleFileSelect: function() {
-			const file = $('#backup_file')[0].files[0];
-			if (file) {
-				// Check file size against server limits.
-				const maxUploadSize = swishBackup.maxUploadSize || 0;
-				const postMaxSize = swishBackup.postMaxSize || 0;
-				const effectiveLimit = Math.min(maxUploadSize, postMaxSize) || maxUploadSize || postMaxSize;
-
-				if (effectiveLimit > 0 && file.size > effectiveLimit) {
-					const fileSize = SwishBackup.formatFileSize(file.size);
-					const limitSize = SwishBackup.formatFileSize(effectiveLimit);
-
-					$('#swish-backup-file-info').html(
-						'<div class="swish-backup-error-notice">' +
-						'<span class="dashicons dashicons-warning"></span>' +
-						'<p><strong>File too large:</strong> The selected file (' + fileSize + ') exceeds your server\'s upload limit (' + limitSize + ').</p>' +
-						'<p>To upload larger files, please contact your hosting provider to increase:</p>' +
-						'<ul>' +
-						'<li><code>upload_max_filesize</code> (currently: ' + (swishBackup.maxUploadSizeFormatted || 'unknown') + ')</li>' +
-						'<li><code>post_max_size</code> (currently: ' + (swishBackup.postMaxSizeFormatted || 'unknown') + ')</li>' +
-						'</ul>' +
-						'</div>'
-					).show();
-					$('#swish-backup-continue-import').prop('disabled', true);
-					$('#backup_file').val(''); // Clear the file input.
-					return;
+		handleFileSelect: function () {
+			const file = $( '#backup_file' )[ 0 ].files[ 0 ];
+			if ( file ) {
+				// Large files are uploaded in chunks, so the server upload limit does not apply.
+				$( '#selected-file-name' ).text(
+					file.name +
+						' (' +
+						SwishBackup.formatFileSize( file.size ) +
+						')'
+				);
+				$( '#swish-backup-file-info' ).show();
+				$( '#swish-upload-error' ).remove();
+				$( '#swish-backup-continue-import' ).prop( 'disabled', false );
+				// Hide any previous analysis.
+				$( '#swish-backup-import-analysis' ).hide();
+			}
+		},
+
+		/**
+		 * Attempts per chunk before an upload gives up.
+		 */
+		maxChunkAttempts: 5,
+
+		/**
+		 * Milliseconds between progress checks of a source site's backup.
+		 */
+		pullPollInterval: 3000,
+
+		/**
+		 * Compute the SHA-256 of a chunk as hex, matching PHP's hash('sha256').
+		 *
+		 * Web Crypto is only available on HTTPS (and localhost), so elsewhere
+		 * this resolves to an empty string and the server checks the length only.
+		 */
+		digestChunk: function ( buffer ) {
+			if ( ! window.crypto || ! window.crypto.subtle ) {
+				return Promise.resolve( '' );
+			}
+
+			return window.crypto.subtle
+				.digest( 'SHA-256', buffer )
+				.then( function ( digest ) {
+					return Array.from(
+						new Uint8Array( digest ),
+						function ( byte ) {
+							return byte.toString( 16 ).padStart( 2, '0' );
+						}
+					).join( '' );
+				} );
+		},
+
+		/**
+		 * Send a request to a plugin REST endpoint.
+		 */
+		apiRequest: function ( path, data, settings ) {
+			return $.ajax(
+				$.extend(
+					{
+						url: swishBackup.apiUrl + path,
+						method: 'POST',
+						data: data,
+						beforeSend: function ( xhr ) {
+							xhr.setRequestHeader(
+								'X-WP-Nonce',
+								swishBackup.nonce
+							);
+						},
+					},
+					settings || {}
+				)
+			);
+		},
+
+		/**
+		 * Send a request to an import endpoint.
+		 */
+		importRequest: function ( path, data, settings ) {
+			return SwishBackup.apiRequest( '/import' + path, data, settings );
+		},
+
+		/**
+		 * Whether a failed chunk request is worth sending again.
+		 */
+		isRetryableError: function ( xhr ) {
+			// Connection drops, timeouts, server errors and corrupted chunks can recover.
+			return (
+				! xhr.status ||
+				xhr.status >= 500 ||
+				[ 408, 422, 429 ].indexOf( xhr.status ) !== -1
+			);
+		},
+
+		/**
+		 * Wait before retrying, or until the browser is back online.
+		 */
+		waitForRetry: function ( attempt ) {
+			return new Promise( function ( resolve ) {
+				if ( navigator.onLine === false ) {
+					$( window ).one( 'online', resolve );
+				} else {
+					setTimeout( resolve, 1000 * Math.pow( 2, attempt ) );
 				}
+			} );
+		},
 
-				$('#selected-file-name').text(file.name + ' (' + SwishBackup.formatFileSize(file.size) + ')');
-				$('#swish-backup-file-info').show();
-				$('#swish-backup-continue-import').prop('disabled', false);
-				// Hide any previous analysis.
-				$('#swish-backup-import-analysis').hide();
+		/**
+		 * Upload one chunk of the file, retrying failures with backoff.
+		 */
+		uploadChunk: function ( file, session, index, attempt ) {
+			const start = index * session.chunk_size;
+			const blob = file.slice(
+				start,
+				Math.min( start + session.chunk_size, file.size )
+			);
+
+			return blob
+				.arrayBuffer()
+				.then( function ( buffer ) {
+					return SwishBackup.digestChunk( buffer ).then(
+						function ( checksum ) {
+							return SwishBackup.importRequest(
+								'/session/' +
+									session.id +
+									'/chunk?index=' +
+									index +
+									( checksum ? '&checksum=' + checksum : '' ),
+								buffer,
+								{
+									processData: false,
+									contentType: 'application/octet-stream',
+								}
+							);
+						}
+					);
+				} )
+				.catch( function ( xhr ) {
+					if (
+						attempt + 1 >= SwishBackup.maxChunkAttempts ||
+						! SwishBackup.isRetryableError( xhr )
+					) {
+						throw xhr;
+					}
+
+					return SwishBackup.waitForRetry( attempt ).then(
+						function () {
+							return SwishBackup.uploadChunk(
+								file,
+								session,
+								index,
+								attempt + 1
+							);
+						}
+					);
+				} );
+		},
+
+		/**
+		 * Upload the chunks the server does not have yet, one at a time.
+		 */
+		uploadChunks: function ( file, session, onProgress ) {
+			const pending = [];
+			for ( let i = 0; i < session.total_chunks; i++ ) {
+				if ( session.received.indexOf( i ) === -1 ) {
+					pending.push( i );
+				}
 			}
+
+			let uploaded = session.total_chunks - pending.length;
+			onProgress( uploaded / session.total_chunks );
+
+			return pending.reduce( function ( previous, index ) {
+				return previous.then( function () {
+					return SwishBackup.uploadChunk(
+						file,
+						session,
+						index,
+						0
+					).then( function () {
+						uploaded++;
+						onProgress( uploaded / session.total_chunks );
+					} );
+				} );
+			}, Promise.resolve() );
 		},
 
 		/**
-		 * Upload and analyze backup file.
+		 * Import the backup from the selected source.
 		 */
-		uploadAndAnalyzeBackup: function() {
-			const file = $('#backup_file')[0].files[0];
-			if (!file) {
-				alert('Please select a backup file first.');
-				return;
+		continueImport: function () {
+			const source = $( 'input[name="import_source"]:checked' ).val();
+
+			if ( source === 'url' ) {
+				SwishBackup.importFromUrl();
+			} else if ( source === 'storage' ) {
+				SwishBackup.importFromStorage();
+			} else {
+				SwishBackup.uploadAndAnalyzeBackup();
 			}
+		},
 
-			const $button = $('#swish-backup-continue-import');
+		/**
+		 * Show the controls of the selected import source.
+		 */
+		switchImportSource: function () {
+			const source = $( this ).val();
+
+			$( '.swish-backup-import-source' )
+				.hide()
+				.filter( '[data-source="' + source + '"]' )
+				.show();
+			$(
+				'#swish-backup-file-info, #swish-backup-import-analysis'
+			).hide();
+			$( '#swish-upload-error' ).remove();
+			$( '#swish-backup-continue-import' ).prop( 'disabled', true );
+
+			if ( source === 'upload' ) {
+				SwishBackup.handleFileSelect();
+			} else if ( source === 'url' ) {
+				$( '#import_url' ).trigger( 'input' );
+			} else if (
+				source === 'storage' &&
+				! SwishBackup.importStoragesLoaded
+			) {
+				SwishBackup.loadImportStorages();
+			}
+		},
+
+		/**
+		 * Run an import step while its button shows the progress.
+		 *
+		 * Defaults to the Continue button of the upload step, with errors
+		 * shown below the selected file.
+		 */
+		runImport: function ( label, run, $button, $errorAnchor ) {
+			$button = $button || $( '#swish-backup-continue-import' );
 			const originalText = $button.text();
 
-			// Disable button and show uploading state.
-			$button.prop('disabled', true).text('Uploading...');
-			$('#swish-backup-import-analysis').hide();
-
-			// Add progress bar below button.
-			let $progressContainer = $('#swish-upload-progress');
-			if ($progressContainer.length === 0) {
-				$button.after(
-					'<div id="swish-upload-progress" class="swish-upload-progress">' +
-					'<div class="swish-upload-progress-bar"><div class="swish-upload-progress-bar-inner"></div></div>' +
-					'<div class="swish-upload-progress-text">0%</div>' +
-					'</div>'
+			// Disable button and show working state.
+			$button.prop( 'disabled', true ).text( label );
+			$( '#swish-backup-import-analysis' ).hide();
+			$( '#swish-upload-error' ).remove();
+
+			// The progress bar only appears once the step reports progress.
+			const onProgress = function ( fraction, text ) {
+				let $progressContainer = $button.siblings(
+					'.swish-upload-progress'
 				);
-				$progressContainer = $('#swish-upload-progress');
-			}
-			$progressContainer.show();
-			$progressContainer.find('.swish-upload-progress-bar-inner').css('width', '0%');
-			$progressContainer.find('.swish-upload-progress-text').text('0%');
+				if ( $progressContainer.length === 0 ) {
+					$button.after(
+						'<div class="swish-upload-progress">' +
+							'<div class="swish-upload-progress-bar"><div class="swish-upload-progress-bar-inner"></div></div>' +
+							'<div class="swish-upload-progress-text">0%</div>' +
+							'</div>'
+					);
+					$progressContainer = $button.siblings(
+						'.swish-upload-progress'
+					);
+				}
 
-			// Create FormData for file upload.
-			const formData = new FormData();
-			formData.append('backup_file', file);
+				const percent = Math.round( fraction * 100 );
+				$progressContainer.show();
+				$progressContainer
+					.find( '.swish-upload-progress-bar-inner' )
+					.css( 'width', percent + '%' );
+				$progressContainer
+					.find( '.swish-upload-progress-text' )
+					.text( percent + '%' );
+
+				// Update button text with percentage.
+				if ( percent < 100 ) {
+					$button.text( ( text || label ) + ' ' + percent + '%' );
+				} else {
+					$button.text( 'Analyzing...' );
+				}
+			};
 
-			// Upload via REST API with progress tracking.
-			$.ajax({
-				url: swishBackup.apiUrl + '/import',
-				method: 'POST',
-				data: formData,
-				processData: false,
-				contentType: false,
-				xhr: function() {
-					const xhr = new window.XMLHttpRequest();
-					xhr.upload.addEventListener('progress', function(e) {
-						if (e.lengthComputable) {
-							const percent = Math.round((e.loaded / e.total) * 100);
-							$progressContainer.find('.swish-upload-progress-bar-inner').css('width', percent + '%');
-							$progressContainer.find('.swish-upload-progress-text').text(percent + '%');
-
-							// Update button text with percentage.
-							if (percent < 100) {
-								$button.text('Uploading... ' + percent + '%');
-							} else {
-								$button.text('Analyzing...');
-							}
-						}
-					}, false);
-					return xhr;
-				},
-				beforeSend: function(xhr) {
-					xhr.setRequestHeader('X-WP-Nonce', swishBackup.nonce);
-				},
-				success: function(response) {
+			Promise.resolve( run( onProgress ) )
+				.then( function ( response ) {
 					// Hide progress bar.
-					$('#swish-upload-progress').hide();
+					$button.siblings( '.swish-upload-progress' ).hide();
 
-					if (response.success) {
-						// Store backup path for migration.
-						SwishBackup.importedBackupPath = response.backup_path;
+					if ( response.success ) {
+						SwishBackup.showImportAnalysis( response );
+					} else {
+						alert(
+							'Import failed: ' +
+								( response.message || 'Unknown error' )
+						);
+						$button.prop( 'disabled', false ).text( originalText );
+					}
+				} )
+				.catch( function ( xhr ) {
+					// Hide progress bar.
+					$button.siblings( '.swish-upload-progress' ).hide();
+					SwishBackup.showUploadError( xhr || {}, $errorAnchor );
+					$button.prop( 'disabled', false ).text( originalText );
+				} );
+		},
 
-						// Show analysis.
-						let analysisHtml = '<div class="swish-backup-analysis-results">';
+		/**
+		 * Upload and analyze backup file.
+		 *
+		 * The file is sent in chunks to an import session. If the upload
+		 * stops, selecting the same file again resumes it from the chunks
+		 * the server already has.
+		 */
+		uploadAndAnalyzeBackup: function () {
+			const file = $( '#backup_file' )[ 0 ].files[ 0 ];
+			if ( ! file ) {
+				alert( 'Please select a backup file first.' );
+				return;
+			}
 
-						if (response.analysis && response.analysis.backup) {
-							const backup = response.analysis.backup;
-							analysisHtml += '<p><strong>Backup Type:</strong> ' + (backup.type || 'Full') + '</p>';
-							analysisHtml += '<p><strong>Created:</strong> ' + (backup.created_at || 'Unknown') + '</p>';
-							if (backup.wordpress_version) {
-								analysisHtml += '<p><strong>WordPress Version:</strong> ' + backup.wordpress_version + '</p>';
-							}
-						}
+			SwishBackup.runImport( 'Uploading...', function ( onProgress ) {
+				// The same file gets the same session back, so a stopped upload resumes.
+				return Promise.resolve(
+					SwishBackup.importRequest( '/session', {
+						filename: file.name,
+						size: file.size,
+						fingerprint: [
+							file.name,
+							file.size,
+							file.lastModified,
+						].join( ':' ),
+					} )
+				).then( function ( session ) {
+					return SwishBackup.uploadChunks(
+						file,
+						session,
+						onProgress
+					).then( function () {
+						return SwishBackup.importRequest(
+							'/session/' + session.id + '/complete'
+						);
+					} );
+				} );
+			} );
+		},
 
-						if (response.analysis && response.analysis.backup_url) {
-							analysisHtml += '<p><strong>Original Site URL:</strong> ' + response.analysis.backup_url + '</p>';
-							// Pre-fill the old URL field.
-							$('#old_url').val(response.analysis.backup_url);
-							// Add visual indicator that URL was auto-detected.
-							$('#old_url').closest('td').find('.swish-auto-detected').remove();
-							$('#old_url').after('<span class="swish-auto-detected"><span class="dashicons dashicons-yes-alt"></span> Auto-detected from backup</span>');
-						}
+		/**
+		 * Have the server download a backup from a URL, then analyze it.
+		 *
+		 * The server fetches the file in chunks; clicking Continue again
+		 * with the same URL resumes from the chunks it already has.
+		 */
+		importFromUrl: function () {
+			const url = $.trim( $( '#import_url' ).val() );
+			if ( ! url ) {
+				alert( 'Please enter the URL of a backup file.' );
+				return;
+			}
+
+			$( '#selected-file-name' ).text( url );
+
+			SwishBackup.runImport( 'Downloading...', function ( onProgress ) {
+				return Promise.resolve(
+					SwishBackup.importRequest( '/url', { url: url } )
+				)
+					.then( function ( session ) {
+						return SwishBackup.fetchRemoteChunks(
+							session,
+							onProgress,
+							0
+						);
+					} )
+					.then( function ( session ) {
+						return SwishBackup.importRequest(
+							'/session/' + session.id + '/complete'
+						);
+					} );
+			} );
+		},
+
+		/**
+		 * Ask the server for more chunks of a URL or storage import until it has them all.
+		 */
+		fetchRemoteChunks: function ( session, onProgress, attempt ) {
+			onProgress( session.received.length / session.total_chunks );
+
+			if ( session.received.length === session.total_chunks ) {
+				return Promise.resolve( session );
+			}
+
+			return Promise.resolve(
+				SwishBackup.importRequest( '/session/' + session.id + '/fetch' )
+			).then(
+				function ( next ) {
+					return SwishBackup.fetchRemoteChunks( next, onProgress, 0 );
+				},
+				function ( xhr ) {
+					if (
+						attempt + 1 >= SwishBackup.maxChunkAttempts ||
+						! SwishBackup.isRetryableError( xhr )
+					) {
+						throw xhr;
+					}
 
-						// Show warnings.
-						if (response.analysis && response.analysis.warnings && response.analysis.warnings.length) {
-							analysisHtml += '<div class="swish-backup-warning"><span class="dashicons dashicons-warning"></span>';
-							analysisHtml += '<ul>';
-							response.analysis.warnings.forEach(function(warning) {
-								analysisHtml += '<li>' + warning + '</li>';
-							});
-							analysisHtml += '</ul></div>';
+					return SwishBackup.waitForRetry( attempt ).then(
+						function () {
+							return SwishBackup.fetchRemoteChunks(
+								session,
+								onProgress,
+								attempt + 1
+							);
 						}
+					);
+				}
+			);
+		},
+
+		/**
+		 * Whether the storage destination picker has been filled.
+		 */
+		importStoragesLoaded: false,
+
+		/**
+		 * Fill the storage destination picker.
+		 */
+		loadImportStorages: function () {
+			const $browser = $( '#swish-backup-storage-browser' ).text(
+				'Loading...'
+			);
+
+			SwishBackup.importRequest( '/storage', null, {
+				method: 'GET',
+			} ).then(
+				function ( storages ) {
+					const $select = $( '#import_storage' ).empty();
+					SwishBackup.importStoragesLoaded = true;
+
+					if ( ! storages.length ) {
+						$select.closest( 'p' ).hide();
+						$browser.text(
+							'No remote storage destination is configured. Connect a remote destination such as Amazon S3, Dropbox or SFTP in the settings first.'
+						);
+						return;
+					}
+
+					storages.forEach( function ( storage ) {
+						$select.append(
+							$( '<option>' )
+								.val( storage.id )
+								.text( storage.name )
+						);
+					} );
 
-						// Show recommendations.
-						if (response.analysis && response.analysis.recommendations && response.analysis.recommendations.length) {
-							analysisHtml += '<div class="swish-docs-tip"><span class="dashicons dashicons-lightbulb"></span>';
-							analysisHtml += '<ul>';
-							response.analysis.recommendations.forEach(function(rec) {
-								analysisHtml += '<li>' + rec + '</li>';
-							});
-							analysisHtml += '</ul></div>';
+					SwishBackup.browseImportStorage( '' );
+				},
+				function ( xhr ) {
+					$browser.empty();
+					SwishBackup.showUploadError( xhr );
+				}
+			);
+		},
+
+		/**
+		 * List the folders and backups at a path of the selected storage destination.
+		 */
+		browseImportStorage: function ( path ) {
+			const $browser = $( '#swish-backup-storage-browser' ).text(
+				'Loading...'
+			);
+
+			$( '#swish-backup-file-info' ).hide();
+			$( '#swish-upload-error' ).remove();
+			$( '#swish-backup-continue-import' ).prop( 'disabled', true );
+
+			SwishBackup.importRequest(
+				'/storage/' + $( '#import_storage' ).val(),
+				{ path: path },
+				{ method: 'GET' }
+			).then(
+				function ( items ) {
+					const $list = $( '<ul class="swish-backup-storage-list">' );
+
+					if ( path ) {
+						$list.append(
+							$( '<li>' ).append(
+								$(
+									'<button type="button" class="button-link swish-backup-storage-folder">'
+								)
+									.attr(
+										'data-path',
+										path.replace( /\/?[^/]+\/?$/, '' )
+									)
+									.append(
+										'<span class="dashicons dashicons-arrow-up-alt2"></span>'
+									)
+									.append( document.createTextNode( '..' ) )
+							)
+						);
+					}
+
+					items.forEach( function ( item ) {
+						const $item = $( '<li>' );
+
+						if ( item.is_directory ) {
+							$item.append(
+								$(
+									'<button type="button" class="button-link swish-backup-storage-folder">'
+								)
+									.attr( 'data-path', item.path )
+									.append(
+										'<span class="dashicons dashicons-category"></span>'
+									)
+									.append(
+										document.createTextNode( item.name )
+									)
+							);
+						} else {
+							$item.append(
+								$( '<label>' )
+									.append(
+										$(
+											'<input type="radio" name="import_storage_file">'
+										)
+											.val( item.path )
+											.attr( 'data-name', item.name )
+									)
+									.append(
+										document.createTextNode(
+											' ' + item.name + ' '
+										)
+									)
+									.append(
+										$(
+											'<span class="swish-backup-storage-size">'
+										).text(
+											SwishBackup.formatFileSize(
+												item.size
+											)
+										)
+									)
+							);
 						}
 
-						analysisHtml += '</div>';
+						$list.append( $item );
+					} );
 
-						$('#swish-backup-analysis-content').html(analysisHtml);
-						$('#swish-backup-import-analysis').show();
+					$browser.empty().append( $list );
 
-						// Navigate to URL step.
-						$('.swish-backup-migration-step').hide();
-						$('#migration-step-url').show();
-					} else {
-						alert('Upload failed: ' + (response.message || 'Unknown error'));
-						$button.prop('disabled', false).text(originalText);
+					if ( ! items.length ) {
+						$browser.append(
+							$( '<p class="description">' ).text(
+								'No backup files found here.'
+							)
+						);
 					}
 				},
-				error: function(xhr, textStatus, errorThrown) {
-					// Hide progress bar.
-					$('#swish-upload-progress').hide();
-
-					let errorMessage = 'Upload failed';
-					let errorDetail = '';
-
-					// Check for specific error responses.
-					if (xhr.responseJSON && xhr.responseJSON.message) {
-						errorMessage = xhr.responseJSON.message;
-					} else if (xhr.status === 413) {
-						// Request Entity Too Large.
-						errorMessage = 'File too large';
-						errorDetail = 'The file exceeds your server\'s upload limit. Please contact your hosting provider to increase upload_max_filesize and post_max_size.';
-					} else if (xhr.status === 0 || textStatus === 'error') {
-						// Connection error - often caused by file size limits.
-						errorMessage = 'Upload failed - connection error';
-						errorDetail = 'This often happens when the file exceeds your server\'s upload limit (' + (swishBackup.maxUploadSizeFormatted || 'unknown') + '). Please contact your hosting provider to increase the limit, or try a smaller backup file.';
-					} else if (xhr.status === 500) {
-						errorMessage = 'Server error during upload';
-						errorDetail = 'The server encountered an error. This may be due to memory limits or timeout settings.';
+				function ( xhr ) {
+					$browser.empty();
+					SwishBackup.showUploadError( xhr );
+				}
+			);
+		},
+
+		/**
+		 * Select a backup in the storage browser.
+		 */
+		selectStorageFile: function () {
+			$( '#selected-file-name' ).text( $( this ).attr( 'data-name' ) );
+			$( '#swish-backup-file-info' ).show();
+			$( '#swish-upload-error' ).remove();
+			$( '#swish-backup-import-analysis' ).hide();
+			$( '#swish-backup-continue-import' ).prop( 'disabled', false );
+		},
+
+		/**
+		 * Have the server download the selected backup from storage, then analyze it.
+		 *
+		 * Like a URL import, the server reads the file in chunks and
+		 * picking the same backup again resumes the download.
+		 */
+		importFromStorage: function () {
+			const path = $( 'input[name="import_storage_file"]:checked' ).val();
+			if ( ! path ) {
+				alert( 'Please select a backup file first.' );
+				return;
+			}
+
+			SwishBackup.runImport( 'Downloading...', function ( onProgress ) {
+				return Promise.resolve(
+					SwishBackup.importRequest(
+						'/storage/' + $( '#import_storage' ).val(),
+						{ path: path }
+					)
+				)
+					.then( function ( session ) {
+						return SwishBackup.fetchRemoteChunks(
+							session,
+							onProgress,
+							0
+						);
+					} )
+					.then( function ( session ) {
+						return SwishBackup.importRequest(
+							'/session/' + session.id + '/complete'
+						);
+					} );
+			} );
+		},
+
+		/**
+		 * Pair with a source site using its connection key.
+		 */
+		connectPullSource: function () {
+			const key = $.trim( $( '#pull_connection_key' ).val() );
+			if ( ! key ) {
+				alert( 'Please paste the connection key of the source site.' );
+				return;
+			}
+
+			const $button = $( this ).prop( 'disabled', true );
+			$( '#swish-upload-error' ).remove();
+
+			SwishBackup.apiRequest( '/pull/source', { key: key } )
+				.then(
+					function ( source ) {
+						$( '#swish-backup-pull-source' ).text(
+							source.name
+								? source.name + ' (' + source.site_url + ')'
+								: source.site_url
+						);
+						$( '#pull_connection_key' ).val( '' );
+						$( '#swish-backup-pull-connect' ).hide();
+						$( '#swish-backup-pull-connected' ).show();
+						$( '#swish-backup-start-pull' ).prop(
+							'disabled',
+							false
+						);
+					},
+					function ( xhr ) {
+						SwishBackup.showUploadError(
+							xhr,
+							$( '#swish-backup-pull-connect' )
+						);
 					}
+				)
+				.always( function () {
+					$button.prop( 'disabled', false );
+				} );
+		},
 
-					// Show error in the file info area instead of alert.
-					$('#swish-backup-file-info').html(
-						'<div class="swish-backup-error-notice">' +
-						'<span class="dashicons dashicons-warning"></span>' +
-						'<p><strong>' + errorMessage + '</strong></p>' +
-						(errorDetail ? '<p>' + errorDetail + '</p>' : '') +
-						'</div>'
-					).show();
+		/**
+		 * Forget the paired source site.
+		 */
+		disconnectPullSource: function () {
+			SwishBackup.apiRequest( '/pull/source', null, {
+				method: 'DELETE',
+			} ).then( function () {
+				$( '#swish-upload-error' ).remove();
+				$( '#swish-backup-pull-connected' ).hide();
+				$( '#swish-backup-pull-connect' ).show();
+				$( '#swish-backup-start-pull' ).prop( 'disabled', true );
+			} );
+		},
 
-					$button.prop('disabled', false).text(originalText);
+		/**
+		 * Have the source site build a backup, download it, then analyze it.
+		 */
+		startPull: function () {
+			SwishBackup.runImport(
+				'Backing up source...',
+				function ( onProgress ) {
+					return Promise.resolve(
+						SwishBackup.apiRequest( '/pull/backup' )
+					)
+						.then( function ( status ) {
+							return SwishBackup.continuePull(
+								status,
+								onProgress,
+								0
+							);
+						} )
+						.then( function ( session ) {
+							return SwishBackup.fetchRemoteChunks(
+								session,
+								function ( fraction ) {
+									onProgress( fraction, 'Downloading...' );
+								},
+								0
+							);
+						} )
+						.then( function ( session ) {
+							return SwishBackup.importRequest(
+								'/session/' + session.id + '/complete'
+							);
+						} );
+				},
+				$( this ),
+				$( '#swish-backup-pull-connected' )
+			);
+		},
+
+		/**
+		 * Follow the source site's backup until the download can start.
+		 */
+		continuePull: function ( status, onProgress, attempt ) {
+			if ( status.session ) {
+				return Promise.resolve( status.session );
+			}
+
+			// Leave 100% for the end of the download.
+			onProgress( Math.min( status.progress || 0, 99 ) / 100 );
+
+			// The source builds the backup in the background, so check on it every few seconds.
+			return new Promise( function ( resolve ) {
+				setTimeout( resolve, SwishBackup.pullPollInterval );
+			} )
+				.then( function () {
+					return SwishBackup.apiRequest(
+						'/pull/backup/' + status.job_id
+					);
+				} )
+				.then(
+					function ( next ) {
+						return SwishBackup.continuePull( next, onProgress, 0 );
+					},
+					function ( xhr ) {
+						if (
+							attempt + 1 >= SwishBackup.maxChunkAttempts ||
+							! SwishBackup.isRetryableError( xhr )
+						) {
+							throw xhr;
+						}
+
+						return SwishBackup.waitForRetry( attempt ).then(
+							function () {
+								return SwishBackup.continuePull(
+									status,
+									onProgress,
+									attempt + 1
+								);
+							}
+						);
+					}
+				);
+		},
+
+		/**
+		 * Generate a key that lets another site pull from this one.
+		 */
+		generateConnectionKey: function () {
+			if (
+				$( '#connection_key' ).val() &&
+				! confirm(
+					'Sites using the current key will no longer be able to pull from this site. Generate a new key?'
+				)
+			) {
+				return;
+			}
+
+			SwishBackup.apiRequest( '/connection-key' ).then(
+				function ( response ) {
+					$( '#connection_key' ).val( response.key );
+					$( '#swish-backup-connection-key' ).show();
+					$( '#swish-backup-generate-key' ).text(
+						'Generate New Key'
+					);
 				}
-			});
+			);
+		},
+
+		/**
+		 * Revoke this site's connection key.
+		 */
+		revokeConnectionKey: function () {
+			if (
+				! confirm(
+					'Sites using this key will no longer be able to pull from this site. Revoke it?'
+				)
+			) {
+				return;
+			}
+
+			SwishBackup.apiRequest( '/connection-key', null, {
+				method: 'DELETE',
+			} ).then( function () {
+				$( '#connection_key' ).val( '' );
+				$( '#swish-backup-connection-key' ).hide();
+				$( '#swish-backup-generate-key' ).text( 'Generate Key' );
+			} );
+		},
+
+		/**
+		 * Copy this site's connection key.
+		 */
+		copyConnectionKey: function () {
+			const $input = $( '#connection_key' ).trigger( 'select' );
+			const $button = $( this );
+
+			if ( navigator.clipboard ) {
+				navigator.clipboard.writeText( $input.val() );
+			} else {
+				document.execCommand( 'copy' );
+			}
+
+			$button.text( 'Copied!' );
+			setTimeout( function () {
+				$button.text( 'Copy' );
+			}, 2000 );
+		},
+
+		/**
+		 * Show the analysis of an imported backup and move to the URL step.
+		 */
+		showImportAnalysis: function ( response ) {
+			// Store backup path for migration.
+			SwishBackup.importedBackupPath = response.backup_path;
+
+			// Show analysis.
+			let analysisHtml = '<div class="swish-backup-analysis-results">';
+
+			if ( response.analysis && response.analysis.backup ) {
+				const backup = response.analysis.backup;
+				analysisHtml +=
+					'<p><strong>Backup Type:</strong> ' +
+					( backup.type || 'Full' ) +
+					'</p>';
+				analysisHtml +=
+					'<p><strong>Created:</strong> ' +
+					( backup.created_at || 'Unknown' ) +
+					'</p>';
+				if ( backup.wordpress_version ) {
+					analysisHtml +=
+						'<p><strong>WordPress Version:</strong> ' +
+						backup.wordpress_version +
+						'</p>';
+				}
+			}
+
+			if ( response.analysis && response.analysis.backup_url ) {
+				analysisHtml +=
+					'<p><strong>Original Site URL:</strong> ' +
+					response.analysis.backup_url +
+					'</p>';
+				// Pre-fill the old URL field.
+				$( '#old_url' ).val( response.analysis.backup_url );
+				// Add visual indicator that URL was auto-detected.
+				$( '#old_url' )
+					.closest( 'td' )
+					.find( '.swish-auto-detected' )
+					.remove();
+				$( '#old_url' ).after(
+					'<span class="swish-auto-detected"><span class="dashicons dashicons-yes-alt"></span> Auto-detected from backup</span>'
+				);
+			}
+
+			// Show warnings.
+			if (
+				response.analysis &&
+				response.analysis.warnings &&
+				response.analysis.warnings.length
+			) {
+				analysisHtml +=
+					'<div class="swish-backup-warning"><span class="dashicons dashicons-warning"></span>';
+				analysisHtml += '<ul>';
+				response.analysis.warnings.forEach( function ( warning ) {
+					analysisHtml += '<li>' + warning + '</li>';
+				} );
+				analysisHtml += '</ul></div>';
+			}
+
+			// Show recommendations.
+			if (
+				response.analysis &&
+				response.analysis.recommendations &&
+				response.analysis.recommendations.length
+			) {
+				analysisHtml +=
+					'<div class="swish-docs-tip"><span class="dashicons dashicons-lightbulb"></span>';
+				analysisHtml += '<ul>';
+				response.analysis.recommendations.forEach( function ( rec ) {
+					analysisHtml += '<li>' + rec + '</li>';
+				} );
+				analysisHtml += '</ul></div>';
+			}
+
+			analysisHtml += '</div>';
+
+			$( '#swish-backup-analysis-content' ).html( analysisHtml );
+			$( '#swish-backup-import-analysis' ).show();
+
+			// Navigate to URL step.
+			$( '.swish-backup-migration-step' ).hide();
+			$( '#migration-step-url' ).show();
+		},
+
+		/**
+		 * Show why an upload failed below the selected file, or after the given element.
+		 */
+		showUploadError: function ( xhr, $anchor ) {
+			let errorMessage = 'Upload failed';
+			let errorDetail = '';
+
+			// Check for specific error responses.
+			if ( xhr.responseJSON && xhr.responseJSON.message ) {
+				errorMessage = xhr.responseJSON.message;
+			} else if ( ! xhr.status ) {
+				// Connection error - the chunks received so far are kept on the server.
+				errorMessage = 'Upload interrupted - connection error';
+				errorDetail =
+					'Check your connection, then select the same file again and click Continue to resume the upload where it stopped.';
+			} else if ( xhr.status === 500 ) {
+				errorMessage = 'Server error during upload';
+				errorDetail =
+					'The server encountered an error. This may be due to memory limits or timeout settings. Select the same file again to resume the upload.';
+			}
+
+			$( '#swish-upload-error' ).remove();
+			( $anchor || $( '#swish-backup-file-info' ).show() ).after(
+				$(
+					'<div id="swish-upload-error" class="swish-backup-error-notice">'
+				)
+					.append(
+						'<span class="dashicons dashicons-warning"></span>'
+					)
+					.append(
+						$( '<p>' ).append(
+							$( '<strong>' ).text( errorMessage )
+						)
+					)
+					.append( errorDetail ? $( '<p>' ).text( errorDetail ) : '' )
+			);
 		},
 
 		/**
 		 * Preview URL replacement.
 		 */
-		previewUrlReplacement: function() {
-			const oldUrl = $('#old_url').val();
-			const newUrl = $('#new_url').val();
+		previewUrlReplacement: function () {
+			const oldUrl = $( '#old_url' ).val();
+			const newUrl = $( '#new_url' ).val();
 
-			if (!oldUrl || !newUrl) {
-				alert('Please enter both URLs.');
+			if ( ! oldUrl || ! newUrl ) {
+				alert( 'Please enter both URLs.' );
 				return;
 			}
 
-			wp.apiFetch({
-				path: '/swish-backup/v1/search-replace',
-				method: 'POST',
-				data: {
+			// The migration replaces URLs in the imported database, so rows cannot be excluded here.
+			SwishBackup.renderSearchPreview(
+				$( '#swish-backup-preview-content' ),
+				{
 					search: oldUrl,
 					replace: newUrl,
-					dry_run: true
+					options: {},
+				},
+				null
+			);
+			$( '#swish-backup-url-preview' ).show();
+		},
+
+		/**
+		 * Fetch a search replace preview page, skipping pages that ran out of time before finding anything.
+		 */
+		fetchSearchPreviewPage: function ( request, cursor ) {
+			return wp
+				.apiFetch( {
+					path: '/swish-backup/v1/search-replace',
+					method: 'POST',
+					data: $.extend( {}, request.options, {
+						search: request.search,
+						replace: request.replace,
+						dry_run: true,
+						cursor: cursor,
+						per_page: 25,
+					} ),
+				} )
+				.then( function ( page ) {
+					if ( ! page.matches.length && page.next_cursor ) {
+						return SwishBackup.fetchSearchPreviewPage(
+							request,
+							page.next_cursor
+						);
+					}
+					return page;
+				} );
+		},
+
+		/**
+		 * Build a before/after snippet with the matches highlighted.
+		 */
+		buildSearchSnippet: function ( segments ) {
+			const $snippet = $( '<code class="swish-preview-snippet">' );
+			segments.forEach( function ( segment ) {
+				$snippet.append(
+					segment.match
+						? $( '<mark>' ).text( segment.text )
+						: document.createTextNode( segment.text )
+				);
+			} );
+			return $snippet;
+		},
+
+		/**
+		 * Show a paged search replace preview, with a checkbox per value when exclusions are collected.
+		 */
+		renderSearchPreview: function ( $container, request, exclusions ) {
+			const history = [];
+			let cursor = {};
+
+			const load = function () {
+				$container
+					.empty()
+					.append( $( '<p>' ).text( 'Loading preview...' ) );
+
+				SwishBackup.fetchSearchPreviewPage( request, cursor )
+					.then( function ( page ) {
+						render( page );
+					} )
+					.catch( function ( error ) {
+						$container
+							.empty()
+							.append(
+								$(
+									'<div class="swish-backup-error-notice">'
+								).append(
+									$( '<p>' ).text(
+										error.message || 'Preview failed.'
+									)
+								)
+							);
+					} );
+			};
+
+			const render = function ( page ) {
+				$container.empty();
+
+				if ( ! history.length && ! page.matches.length ) {
+					$container.append(
+						$( '<p>' ).text(
+							'No matches found. Nothing would be changed.'
+						)
+					);
+					return;
 				}
-			}).then(function(response) {
-				let html = '<p>Found ' + response.total_matches + ' matches.</p>';
-				if (response.preview && response.preview.length) {
-					html += '<table class="widefat"><thead><tr><th>Table</th><th>Before</th><th>After</th></tr></thead><tbody>';
-					response.preview.forEach(function(match) {
-						html += '<tr><td>' + match.table + '</td><td>' + match.before + '</td><td>' + match.after + '</td></tr>';
-					});
-					html += '</tbody></table>';
+
+				const $head = $( '<tr>' );
+				if ( exclusions ) {
+					$head.append( $( '<th>' ).text( 'Replace' ) );
 				}
-				$('#swish-backup-preview-content').html(html);
-				$('#swish-backup-url-preview').show();
-			});
+				$head.append(
+					$( '<th>' ).text( 'Location' ),
+					$( '<th>' ).text( 'Before' ),
+					$( '<th>' ).text( 'After' )
+				);
+
+				const $body = $( '<tbody>' );
+				page.matches.forEach( function ( match ) {
+					const key =
+						match.table + '|' + match.column + '|' + match.row_id;
+
+					match.changes.forEach( function ( change, index ) {
+						const $row = $( '<tr>' )
+							.attr( 'data-key', key )
+							.toggleClass(
+								'swish-preview-excluded',
+								!! ( exclusions && exclusions[ key ] )
+							);
+
+						if ( exclusions ) {
+							const $cell = $( '<td>' ).appendTo( $row );
+							if ( index === 0 ) {
+								$(
+									'<input type="checkbox" aria-label="Replace in this value">'
+								)
+									.prop( 'checked', ! exclusions[ key ] )
+									.on( 'change', function () {
+										if ( this.checked ) {
+											delete exclusions[ key ];
+										} else {
+											exclusions[ key ] = {
+												table: match.table,
+												column: match.column,
+												row_id: match.row_id,
+											};
+										}
+										$body
+											.find( 'tr' )
+											.filter( function () {
+												return (
+													$( this ).attr(
+														'data-key'
+													) === key
+												);
+											} )
+											.toggleClass(
+												'swish-preview-excluded',
+												! this.checked
+											);
+									} )
+									.appendTo( $cell );
+							}
+						}
+
+						const $location = $( '<td>' ).append(
+							$( '<strong>' ).text( match.table ),
+							'<br>',
+							document.createTextNode(
+								match.primary_key + ' = ' + match.row_id
+							),
+							'<br>',
+							document.createTextNode( match.column )
+						);
+						if ( change.path.length ) {
+							$location.append(
+								$( '<span class="swish-preview-path">' ).text(
+									'Serialized: ' +
+										change.path.join( ' \u203a ' )
+								)
+							);
+						}
+
+						$row.append(
+							$location,
+							$( '<td>' ).append(
+								SwishBackup.buildSearchSnippet( change.before )
+							),
+							$( '<td>' ).append(
+								SwishBackup.buildSearchSnippet( change.after )
+							)
+						);
+						$body.append( $row );
+					} );
+				} );
+
+				const $previous = $( '<button type="button" class="button">' )
+					.text( 'Previous' )
+					.prop( 'disabled', ! history.length )
+					.on( 'click', function () {
+						cursor = history.pop();
+						load();
+					} );
+				const $next = $( '<button type="button" class="button">' )
+					.text( 'Next' )
+					.prop( 'disabled', ! page.next_cursor )
+					.on( 'click', function () {
+						history.push( cursor );
+						cursor = page.next_cursor;
+						load();
+					} );
+				const status = page.next_cursor
+					? 'Page ' +
+					  ( history.length + 1 ) +
+					  ', scanned up to table ' +
+					  page.table_index +
+					  ' of ' +
+					  page.table_count +
+					  '.'
+					: 'Page ' +
+					  ( history.length + 1 ) +
+					  ', all tables scanned.';
+
+				$container.append(
+					$(
+						'<table class="widefat striped swish-preview-table">'
+					).append( $( '<thead>' ).append( $head ), $body ),
+					$( '<div class="swish-preview-pagination">' ).append(
+						$( '<span>' ).text( status ),
+						$previous,
+						$next
+					)
+				);
+			};
+
+			load();
 		},
 
 		/**
 		 * Migration stages configuration.
 		 */
 		migrationStages: {
-			init: { title: 'Initializing', detail: 'Preparing migration environment' },
-			extract: { title: 'Extracting Backup', detail: 'Unpacking backup archive' },
-			database: { title: 'Restoring Database', detail: 'Importing database tables' },
-			files: { title: 'Restoring Files', detail: 'Copying files to destination' },
-			urls: { title: 'Updating URLs', detail: 'Replacing old URLs with new URLs' },
-			cleanup: { title: 'Finalizing', detail: 'Cleaning up temporary files' }
+			init: {
+				title: 'Initializing',
+				detail: 'Preparing migration environment',
+			},
+			extract: {
+				title: 'Extracting Backup',
+				detail: 'Unpacking backup archive',
+			},
+			database: {
+				title: 'Restoring Database',
+				detail: 'Importing database tables',
+			},
+			files: {
+				title: 'Restoring Files',
+				detail: 'Copying files to destination',
+			},
+			urls: {
+				title: 'Updating URLs',
+				detail: 'Replacing old URLs with new URLs',
+			},
+			cleanup: {
+				title: 'Finalizing',
+				detail: 'Cleaning up temporary files',
+			},
 		},
 
 		/**
 		 * Add migration log entry.
 		 */
-		addMigrationLog: function(stage, status, detail) {
-			const stageConfig = this.migrationStages[stage] || { title: stage, detail: '' };
-			const $log = $('#migration-log');
-			const statusClass = status === 'in-progress' ? 'in-progress' : status;
+		addMigrationLog: function ( stage, status, detail ) {
+			const stageConfig = this.migrationStages[ stage ] || {
+				title: stage,
+				detail: '',
+			};
+			const $log = $( '#migration-log' );
+			const statusClass =
+				status === 'in-progress' ? 'in-progress' : status;
 
 			// Check if entry already exists.
-			let $entry = $log.find('[data-stage="' + stage + '"]');
-
-			if ($entry.length === 0) {
-				// Create new entry.
-				const html = '<div class="swish-log-entry swish-log-' + statusClass + '" data-stage="' + stage + '">' +
-					'<div class="swish-log-icon">' + this.getLogIcon(status) + '</div>' +
-					'<div class="swish-log-content">' +
-						'<div class="swish-log-title">' + stageConfig.title + '</div>' +
-						'<div class="swish-log-detail">' + (detail || stageConfig.detail) + '</div>' +
-					'</div>' +
-				'</div>';
-				$log.append(html);
-				$entry = $log.find('[data-stage="' + stage + '"]');
-			} else {
-				// Update existing entry.
-				$entry.removeClass('swish-log-pending swish-log-in-progress swish-log-completed swish-log-failed')
-					.addClass('swish-log-' + statusClass);
-				$entry.find('.swish-log-icon').html(this.getLogIcon(status));
-				if (detail) {
-					$entry.find('.swish-log-detail').text(detail);
-				}
+			let $entry = $log.find( '[data-stage="' + stage + '"]' );
+
+			if ( $entry.length === 0 ) {
+				// Create new entry. Details can be server messages, so they are set as text.
+				$entry = $( '<div class="swish-log-entry">' )
+					.attr( 'data-stage', stage )
+					.append(
+						$( '<div class="swish-log-icon">' ),
+						$( '<div class="swish-log-content">' ).append(
+							$( '<div class="swish-log-title">' ).text(
+								stageConfig.title
+							),
+							$( '<div class="swish-log-detail">' ).text(
+								detail || stageConfig.detail
+							)
+						)
+					);
+				$log.append( $entry );
+			} else if ( detail ) {
+				$entry.find( '.swish-log-detail' ).text( detail );
 			}
 
+			// Update status.
+			$entry
+				.removeClass(
+					'swish-log-pending swish-log-in-progress swish-log-completed swish-log-failed'
+				)
+				.addClass( 'swish-log-' + statusClass );
+			$entry.find( '.swish-log-icon' ).html( this.getLogIcon( status ) );
+
 			// Scroll to bottom.
-			$log.scrollTop($log[0].scrollHeight);
+			$log.scrollTop( $log[ 0 ].scrollHeight );
 		},
 
 		/**
 		 * Get log icon HTML.
 		 */
-		getLogIcon: function(status) {
-			switch (status) {
+		getLogIcon: function ( status ) {
+			switch ( status ) {
 				case 'completed':
 					return '✓';
 				case 'failed':
@@ -764,226 +1979,570 @@
 
 		/**
 		 * Start migration.
+		 *
+		 * The server runs the migration as a queued job; this only starts it
+		 * and follows its progress.
 		 */
-		startMigration: function() {
-			const oldUrl = $('#old_url').val();
-			const newUrl = $('#new_url').val();
+		startMigration: function () {
+			const oldUrl = $( '#old_url' ).val();
+			const newUrl = $( '#new_url' ).val();
 
-			if (!oldUrl) {
-				alert('Please enter the old site URL.');
+			if ( ! oldUrl ) {
+				alert( 'Please enter the old site URL.' );
 				return;
 			}
 
-			if (!newUrl) {
-				alert('Please enter the new site URL.');
+			if ( ! newUrl ) {
+				alert( 'Please enter the new site URL.' );
 				return;
 			}
 
-			$('.swish-backup-migration-step').hide();
-			$('#migration-step-progress').show();
-			$('#migration-progress-title').text('Migration in Progress');
-			$('.swish-backup-progress-bar-inner').css('width', '0%');
-			$('.swish-backup-progress-status').text('Starting migration...');
+			$( '.swish-backup-migration-step' ).hide();
+			$( '#migration-step-progress' ).show();
+			$( '#migration-progress-title' ).text( 'Migration in Progress' );
+			$( '.swish-backup-progress-bar-inner' ).css( 'width', '0%' );
+			$( '.swish-backup-progress-status' )
+				.text( 'Starting migration...' )
+				.css( 'color', '' );
 
 			// Clear and initialize log.
-			$('#migration-log').empty();
-			$('#migration-log-container').show();
+			$( '#migration-log' ).empty();
+			$( '#migration-log-container' ).show();
 
 			const data = {
 				old_url: oldUrl,
-				new_url: newUrl
+				new_url: newUrl,
 			};
 
 			// Include backup path if we imported a file.
-			const hasBackup = !!SwishBackup.importedBackupPath;
-			if (hasBackup) {
+			if ( SwishBackup.importedBackupPath ) {
 				data.backup_path = SwishBackup.importedBackupPath;
 			}
 
-			// Add initial stages.
-			SwishBackup.addMigrationLog('init', 'in-progress');
+			wp.apiFetch( {
+				path: '/swish-backup/v1/migrate',
+				method: 'POST',
+				data: data,
+			} )
+				.then( function ( job ) {
+					SwishBackup.renderMigrationJob( job );
+					SwishBackup.pollMigrationJob( job.job_id, job.token );
+				} )
+				.catch( function ( error ) {
+					SwishBackup.showError(
+						'Migration failed: ' +
+							( error.message || 'Unknown error' )
+					);
+				} );
+		},
+
+		/**
+		 * Show the stages and progress reported for a migration job.
+		 */
+		renderMigrationJob: function ( job ) {
+			( job.stages || [] ).forEach( function ( stage ) {
+				SwishBackup.addMigrationLog(
+					stage.stage,
+					stage.status,
+					stage.detail
+				);
+			} );
 
-			// Simulate stage progression.
-			let currentStageIndex = 0;
-			const stages = hasBackup
-				? ['init', 'extract', 'database', 'files', 'urls', 'cleanup']
-				: ['init', 'urls', 'cleanup'];
+			SwishBackup.updateProgress( job.progress || 0, job.message );
+		},
 
-			const stageProgress = {
-				init: 10,
-				extract: 25,
-				database: 50,
-				files: 70,
-				urls: 85,
-				cleanup: 95
-			};
+		/**
+		 * Follow a migration job until it completes or fails.
+		 *
+		 * Requests carry the job token instead of the REST nonce, because the
+		 * database restore ends the current login part way through. If the
+		 * job makes no progress for a while (no working WP-Cron), its next
+		 * batch is run through the process endpoint.
+		 */
+		pollMigrationJob: function ( jobId, token ) {
+			const url = swishBackup.apiUrl + '/job/' + jobId;
+			let lastUpdate = null;
+			let idlePolls = 0;
+			let failedPolls = 0;
+			let processing = false;
+
+			const poll = function () {
+				$.ajax( {
+					url: url,
+					data: { token: token },
+				} )
+					.done( function ( job ) {
+						failedPolls = 0;
+						SwishBackup.renderMigrationJob( job );
+
+						if ( job.status === 'completed' ) {
+							SwishBackup.updateProgress(
+								100,
+								'Migration complete!'
+							);
+							if ( job.reauth ) {
+								$( '.swish-backup-progress-status' ).text(
+									'Migration complete! Log in again with a user from the migrated site.'
+								);
+							}
+							$( '#migration-result' ).show();
+							// Clear the stored path.
+							SwishBackup.importedBackupPath = null;
+							return;
+						}
 
-			// Progress through stages.
-			SwishBackup.progressInterval = setInterval(function() {
-				if (currentStageIndex < stages.length - 1) {
-					// Complete current stage.
-					SwishBackup.addMigrationLog(stages[currentStageIndex], 'completed');
-					currentStageIndex++;
-					// Start next stage.
-					SwishBackup.addMigrationLog(stages[currentStageIndex], 'in-progress');
-					SwishBackup.updateProgress(stageProgress[stages[currentStageIndex]]);
-					$('.swish-backup-progress-status').text(SwishBackup.migrationStages[stages[currentStageIndex]].detail);
-				}
-			}, 1500);
+						if ( job.status === 'failed' ) {
+							const stage =
+								SwishBackup.migrationStages[ job.failed_stage ];
+							SwishBackup.showError(
+								'Migration failed' +
+									( stage
+										? ' during "' + stage.title + '"'
+										: '' ) +
+									': ' +
+									( job.error || 'Unknown error' )
+							);
+							return;
+						}
 
-			wp.apiFetch({
-				path: '/swish-backup/v1/migrate',
-				method: 'POST',
-				data: data
-			}).then(function(response) {
-				clearInterval(SwishBackup.progressInterval);
-
-				// Mark all stages as completed.
-				stages.forEach(function(stage) {
-					SwishBackup.addMigrationLog(stage, 'completed');
-				});
-
-				SwishBackup.updateProgress(100, 'Migration complete!');
-				$('#migration-result').show();
-				// Clear the stored path.
-				SwishBackup.importedBackupPath = null;
-			}).catch(function(error) {
-				clearInterval(SwishBackup.progressInterval);
-
-				// Mark current stage as failed.
-				if (currentStageIndex < stages.length) {
-					SwishBackup.addMigrationLog(stages[currentStageIndex], 'failed', error.message || 'An error occurred');
-				}
+						idlePolls =
+							job.updated_at === lastUpdate ? idlePolls + 1 : 0;
+						lastUpdate = job.updated_at;
+
+						if (
+							! processing &&
+							( job.status === 'pending'
+								? idlePolls >= 2
+								: idlePolls >= 15 )
+						) {
+							processing = true;
+							$.ajax( {
+								url:
+									url +
+									'/process?token=' +
+									encodeURIComponent( token ),
+								method: 'POST',
+							} ).always( function () {
+								processing = false;
+								idlePolls = 0;
+							} );
+						}
+
+						setTimeout( poll, 1500 );
+					} )
+					.fail( function ( xhr ) {
+						// The server can be briefly unreachable while the database is replaced.
+						if ( ++failedPolls >= 10 ) {
+							SwishBackup.showError(
+								'Lost contact with the server: ' +
+									( ( xhr.responseJSON &&
+										xhr.responseJSON.message ) ||
+										'connection error' )
+							);
+							return;
+						}
+
+						setTimeout( poll, 3000 );
+					} );
+			};
 
-				SwishBackup.showError('Migration failed: ' + (error.message || 'Unknown error'));
-			});
+			poll();
 		},
 
 		/**
 		 * Start export.
 		 */
-		startExport: function() {
-			$('.swish-backup-migration-step').hide();
-			$('#migration-step-progress').show();
-			$('#migration-progress-title').text('Creating Export...');
+		startExport: function () {
+			$( '.swish-backup-migration-step' ).hide();
+			$( '#migration-step-progress' ).show();
+			$( '#migration-progress-title' ).text( 'Creating Export...' );
 
-			wp.apiFetch({
+			wp.apiFetch( {
 				path: '/swish-backup/v1/backup',
 				method: 'POST',
-				data: { type: 'full' }
-			}).then(function(response) {
-				SwishBackup.updateProgress(100, 'Export created successfully!');
-				$('#migration-result').show();
-			});
+				data: { type: 'full' },
+			} ).then( function ( response ) {
+				SwishBackup.updateProgress(
+					100,
+					'Export created successfully!'
+				);
+				$( '#migration-result' ).show();
+			} );
+		},
+
+		/**
+		 * Get the matching options chosen for search replace.
+		 */
+		getSearchReplaceOptions: function () {
+			return {
+				case_insensitive: $( '#search_case_insensitive' ).is(
+					':checked'
+				),
+				whole_word: $( '#search_whole_word' ).is( ':checked' ),
+				regex: $( '#search_regex' ).is( ':checked' ),
+			};
 		},
 
 		/**
 		 * Preview search replace.
 		 */
-		previewSearchReplace: function() {
-			const search = $('#search_string').val();
-			const replace = $('#replace_string').val();
+		previewSearchReplace: function () {
+			const search = $( '#search_string' ).val();
+			const replace = $( '#replace_string' ).val();
 
-			if (!search) {
-				alert('Please enter a search string.');
+			if ( ! search ) {
+				alert( 'Please enter a search string.' );
 				return;
 			}
 
-			wp.apiFetch({
-				path: '/swish-backup/v1/search-replace',
-				method: 'POST',
-				data: {
+			SwishBackup.searchExclusions = {};
+			SwishBackup.renderSearchPreview(
+				$( '#swish-backup-search-preview-content' ),
+				{
 					search: search,
 					replace: replace,
-					dry_run: true
-				}
-			}).then(function(response) {
-				let html = '<p>Found ' + response.total_matches + ' matches.</p>';
-				$('#swish-backup-search-preview-content').html(html);
-				$('#swish-backup-search-preview').show();
-			});
+					options: SwishBackup.getSearchReplaceOptions(),
+				},
+				SwishBackup.searchExclusions
+			);
+			$( '#swish-backup-search-preview' ).show();
 		},
 
 		/**
 		 * Run search replace.
 		 */
-		runSearchReplace: function() {
-			if (!confirm('Are you sure? This cannot be undone.')) {
+		runSearchReplace: function () {
+			if ( ! confirm( 'Are you sure? This cannot be undone.' ) ) {
 				return;
 			}
 
-			const search = $('#search_string').val();
-			const replace = $('#replace_string').val();
+			const search = $( '#search_string' ).val();
+			const replace = $( '#replace_string' ).val();
 
-			$('.swish-backup-migration-step').hide();
-			$('#migration-step-progress').show();
-			$('#migration-progress-title').text('Running Search & Replace...');
+			$( '.swish-backup-migration-step' ).hide();
+			$( '#migration-step-progress' ).show();
+			$( '#migration-progress-title' ).text(
+				'Running Search & Replace...'
+			);
 
-			wp.apiFetch({
+			wp.apiFetch( {
 				path: '/swish-backup/v1/search-replace',
 				method: 'POST',
+				data: $.extend(
+					{
+						search: search,
+						replace: replace,
+						dry_run: false,
+						scope: {
+							exclude_rows: Object.values(
+								SwishBackup.searchExclusions || {}
+							),
+						},
+					},
+					SwishBackup.getSearchReplaceOptions()
+				),
+			} )
+				.then( function ( response ) {
+					SwishBackup.updateProgress(
+						100,
+						'Replaced ' +
+							response.replacements_made +
+							' occurrences.'
+					);
+					$( '#migration-result' ).show();
+				} )
+				.catch( function ( error ) {
+					alert( error.message || 'Search & Replace failed.' );
+					$( '#migration-step-progress' ).hide();
+					$( '#migration-step-search-replace' ).show();
+				} );
+		},
+
+		/**
+		 * Open the file scan step, filled in with the URLs of the migration that just finished.
+		 */
+		openFileScan: function () {
+			if ( $( '#old_url' ).val() ) {
+				$( '#scan_old_url' ).val( $( '#old_url' ).val() );
+				$( '#scan_new_url' ).val( $( '#new_url' ).val() );
+			}
+
+			$( '.swish-backup-migration-step' ).hide();
+			$( '#migration-step-file-scan' ).show();
+		},
+
+		/**
+		 * Start scanning theme and plugin files for the old URL.
+		 */
+		startFileScan: function () {
+			const oldUrl = $.trim( $( '#scan_old_url' ).val() );
+
+			if ( ! oldUrl ) {
+				alert( 'Please enter the old site URL.' );
+				return;
+			}
+
+			$( '#swish-backup-start-file-scan' ).prop( 'disabled', true );
+			$( '#swish-backup-file-scan-results' ).hide();
+			$( '#swish-backup-file-scan-status' ).text( 'Listing files...' );
+
+			wp.apiFetch( {
+				path: '/swish-backup/v1/file-scan',
+				method: 'POST',
 				data: {
-					search: search,
-					replace: replace,
-					dry_run: false
+					old_url: oldUrl,
+					new_url: $.trim( $( '#scan_new_url' ).val() ),
+				},
+			} )
+				.then( SwishBackup.continueFileScan )
+				.catch( function ( error ) {
+					$( '#swish-backup-start-file-scan' ).prop(
+						'disabled',
+						false
+					);
+					$( '#swish-backup-file-scan-status' ).text( '' );
+					alert( error.message || 'File scan failed.' );
+				} );
+		},
+
+		/**
+		 * Keep a file scan going, one time-boxed request at a time, until it completes.
+		 */
+		continueFileScan: function ( scan ) {
+			if ( scan.status === 'complete' ) {
+				$( '#swish-backup-start-file-scan' ).prop( 'disabled', false );
+				$( '#swish-backup-file-scan-status' ).text(
+					'Checked ' + scan.files_total + ' files.'
+				);
+				SwishBackup.renderFileScan( scan );
+				return;
+			}
+
+			$( '#swish-backup-file-scan-status' ).text(
+				scan.files_total
+					? 'Checked ' +
+							scan.files_checked +
+							' of ' +
+							scan.files_total +
+							' files...'
+					: 'Listing files...'
+			);
+
+			return wp
+				.apiFetch( {
+					path: '/swish-backup/v1/file-scan/' + scan.id,
+					method: 'POST',
+				} )
+				.then( SwishBackup.continueFileScan );
+		},
+
+		/**
+		 * Show the lines that still use the old URL, with a checkbox per file that can be rewritten.
+		 */
+		renderFileScan: function ( scan ) {
+			const $content = $( '#swish-backup-file-scan-content' ).empty();
+
+			SwishBackup.fileScan = scan;
+			$( '#swish-backup-rewrite-files' ).prop( 'disabled', true );
+			$( '#swish-backup-file-scan-results' ).show();
+
+			if ( scan.rewrite_result ) {
+				scan.rewrite_result.rewritten.forEach( function ( item ) {
+					$content.append(
+						$(
+							'<div class="notice notice-success inline">'
+						).append(
+							$( '<p>' ).text(
+								item.file +
+									': replaced ' +
+									item.replacements +
+									' occurrences.'
+							)
+						)
+					);
+				} );
+				scan.rewrite_result.failed.forEach( function ( item ) {
+					$content.append(
+						$( '<div class="swish-backup-error-notice">' ).append(
+							$( '<p>' ).text( item.file + ': ' + item.error )
+						)
+					);
+				} );
+			}
+
+			if ( ! scan.findings.length ) {
+				$content.append(
+					$( '<p>' ).text(
+						'No theme or plugin file uses the old URL.'
+					)
+				);
+				return;
+			}
+
+			$content.append(
+				$( '<p>' ).text(
+					scan.files_matched + ' files still use the old URL.'
+				)
+			);
+
+			const $body = $( '<tbody>' );
+			const listed = {};
+
+			scan.findings.forEach( function ( finding ) {
+				const $row = $( '<tr>' ).appendTo( $body );
+				const $cell = $( '<td>' ).appendTo( $row );
+				const done = scan.rewritten.indexOf( finding.file ) !== -1;
+
+				if ( ! listed[ finding.file ] ) {
+					listed[ finding.file ] = true;
+
+					if ( done ) {
+						$cell.text( 'Rewritten' );
+					} else if ( finding.rewritable && scan.new_url ) {
+						$(
+							'<input type="checkbox" class="swish-file-scan-select" aria-label="Rewrite this file">'
+						)
+							.val( finding.file )
+							.appendTo( $cell );
+					}
 				}
-			}).then(function(response) {
-				SwishBackup.updateProgress(100, 'Replaced ' + response.replacements_made + ' occurrences.');
-				$('#migration-result').show();
-			});
+
+				$row.toggleClass( 'swish-preview-excluded', done ).append(
+					$( '<td>' ).append( $( '<code>' ).text( finding.file ) ),
+					$( '<td>' ).text( finding.line ),
+					$( '<td>' ).append(
+						$( '<code class="swish-preview-snippet">' ).text(
+							finding.match
+						)
+					)
+				);
+			} );
+
+			$content.append(
+				$(
+					'<table class="widefat striped swish-file-scan-table">'
+				).append(
+					$( '<thead>' ).append(
+						$( '<tr>' ).append(
+							$( '<th>' ).text( 'Rewrite' ),
+							$( '<th>' ).text( 'File' ),
+							$( '<th>' ).text( 'Line' ),
+							$( '<th>' ).text( 'Match' )
+						)
+					),
+					$body
+				)
+			);
+
+			if ( scan.truncated ) {
+				$content.append(
+					$( '<p class="description">' ).text(
+						'Only the first ' +
+							scan.findings.length +
+							' matching lines are listed.'
+					)
+				);
+			}
+		},
+
+		/**
+		 * Rewrite the selected static assets to use the new URL.
+		 */
+		rewriteScannedFiles: function () {
+			const files = $( '.swish-file-scan-select:checked' )
+				.map( function () {
+					return $( this ).val();
+				} )
+				.get();
+
+			if (
+				! files.length ||
+				! confirm(
+					'Replace the old URL in ' +
+						files.length +
+						' files? Keep a backup, as this changes the files on disk.'
+				)
+			) {
+				return;
+			}
+
+			$( '#swish-backup-rewrite-files' ).prop( 'disabled', true );
+
+			wp.apiFetch( {
+				path:
+					'/swish-backup/v1/file-scan/' +
+					SwishBackup.fileScan.id +
+					'/rewrite',
+				method: 'POST',
+				data: { files: files },
+			} )
+				.then( SwishBackup.renderFileScan )
+				.catch( function ( error ) {
+					$( '#swish-backup-rewrite-files' ).prop(
+						'disabled',
+						false
+					);
+					alert( error.message || 'Rewriting files failed.' );
+				} );
 		},
 
 		/**
 		 * Show progress modal.
 		 */
-		showProgressModal: function(status) {
-			$('.swish-backup-progress-bar-inner').css('width', '0%');
-			$('.swish-backup-progress-status').text(status || 'Processing...');
-			$('#swish-backup-progress-modal').show();
+		showProgressModal: function ( status ) {
+			$( '.swish-backup-progress-bar-inner' ).css( 'width', '0%' );
+			$( '.swish-backup-progress-status' ).text(
+				status || 'Processing...'
+			);
+			$( '#swish-backup-progress-modal' ).show();
 
 			// Simulate progress
 			let progress = 0;
-			SwishBackup.progressInterval = setInterval(function() {
+			SwishBackup.progressInterval = setInterval( function () {
 				progress += Math.random() * 15;
-				if (progress > 90) {
+				if ( progress > 90 ) {
 					progress = 90;
-					clearInterval(SwishBackup.progressInterval);
+					clearInterval( SwishBackup.progressInterval );
 				}
-				SwishBackup.updateProgress(progress);
-			}, 500);
+				SwishBackup.updateProgress( progress );
+			}, 500 );
 		},
 
 		/**
 		 * Update progress.
 		 */
-		updateProgress: function(percent, status) {
-			$('.swish-backup-progress-bar-inner').css('width', percent + '%');
-			if (status) {
-				$('.swish-backup-progress-status').text(status);
+		updateProgress: function ( percent, status ) {
+			$( '.swish-backup-progress-bar-inner' ).css(
+				'width',
+				percent + '%'
+			);
+			if ( status ) {
+				$( '.swish-backup-progress-status' ).text( status );
 			}
-			if (percent >= 100) {
-				clearInterval(SwishBackup.progressInterval);
+			if ( percent >= 100 ) {
+				clearInterval( SwishBackup.progressInterval );
 			}
 		},
 
 		/**
 		 * Show error.
 		 */
-		showError: function(message) {
-			clearInterval(SwishBackup.progressInterval);
-			$('.swish-backup-progress-status').text(message).css('color', 'red');
+		showError: function ( message ) {
+			clearInterval( SwishBackup.progressInterval );
+			$( '.swish-backup-progress-status' )
+				.text( message )
+				.css( 'color', 'red' );
 		},
 
 		/**
 		 * Hide all modals.
 		 */
-		hideModals: function() {
-			$('.swish-backup-modal').hide();
-		}
+		hideModals: function () {
+			$( '.swish-backup-modal' ).hide();
+		},
 	};
 
-	$(document).ready(function() {
+	$( document ).ready( function () {
 		SwishBackup.init();
-	});
-
-})(jQuery);
+	} );
+} )( jQuery );
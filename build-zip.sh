@@ -44,6 +44,7 @@ zip -r "$OUTPUT_FILE" "$PLUGIN_DIR" \
     -x "$PLUGIN_DIR/composer.lock" \
     -x "$PLUGIN_DIR/phpcs.xml" \
     -x "$PLUGIN_DIR/phpunit.xml" \
+    -x "$PLUGIN_DIR/phpunit.xml.dist" \
     -x "$PLUGIN_DIR/.phpcs.xml.dist" \
     -x "$PLUGIN_DIR/tests/*" \
     -x "$PLUGIN_DIR/src/js/*" \
@@ -15,6 +15,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use SwishMigrateAndBackup\Migration\Migrator;
+use SwishMigrateAndBackup\Migration\SiteConnection;
 
 /**
  * Migration page controller.
@@ -28,13 +29,22 @@ final class MigrationPage {
 	 */
 	private Migrator $migrator;
 
+	/**
+	 * Site-to-site connection.
+	 *
+	 * @var SiteConnection
+	 */
+	private SiteConnection $site_connection;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param Migrator $migrator Migrator.
+	 * @param Migrator       $migrator        Migrator.
+	 * @param SiteConnection $site_connection Site-to-site connection.
 	 */
-	public function __construct( Migrator $migrator ) {
-		$this->migrator = $migrator;
+	public function __construct( Migrator $migrator, SiteConnection $site_connection ) {
+		$this->migrator        = $migrator;
+		$this->site_connection = $site_connection;
 	}
 
 	/**
@@ -43,7 +53,9 @@ final class MigrationPage {
 	 * @return void
 	 */
 	public function render(): void {
-		$current_url = get_site_url();
+		$current_url    = get_site_url();
+		$pull_source    = $this->site_connection->get_source();
+		$connection_key = $this->site_connection->get_key();
 		?>
 		<div class="wrap swish-backup-wrap">
 			<?php AdminNav::render(); ?>
@@ -60,6 +72,11 @@ final class MigrationPage {
 							<h3><?php esc_html_e( 'Import Backup', 'swish-migrate-and-backup' ); ?></h3>
 							<p><?php esc_html_e( 'Import a backup file from another site', 'swish-migrate-and-backup' ); ?></p>
 						</div>
+						<div class="swish-backup-migration-option" data-method="pull">
+							<span class="dashicons dashicons-admin-site-alt3"></span>
+							<h3><?php esc_html_e( 'Pull from Another Site', 'swish-migrate-and-backup' ); ?></h3>
+							<p><?php esc_html_e( 'Copy a site running this plugin directly to this one', 'swish-migrate-and-backup' ); ?></p>
+						</div>
 						<div class="swish-backup-migration-option" data-method="export">
 							<span class="dashicons dashicons-download"></span>
 							<h3><?php esc_html_e( 'Export for Migration', 'swish-migrate-and-backup' ); ?></h3>
@@ -70,13 +87,32 @@ final class MigrationPage {
 							<h3><?php esc_html_e( 'Search & Replace', 'swish-migrate-and-backup' ); ?></h3>
 							<p><?php esc_html_e( 'Replace URLs or strings in the database', 'swish-migrate-and-backup' ); ?></p>
 						</div>
+						<div class="swish-backup-migration-option" data-method="file-scan">
+							<span class="dashicons dashicons-media-code"></span>
+							<h3><?php esc_html_e( 'Find Old URLs in Files', 'swish-migrate-and-backup' ); ?></h3>
+							<p><?php esc_html_e( 'Scan theme and plugin files for the old site URL', 'swish-migrate-and-backup' ); ?></p>
+						</div>
 					</div>
 				</div>
 
 				<!-- Step 2: Import -->
 				<div class="swish-backup-card swish-backup-migration-step" id="migration-step-import" style="display:none;">
-					<h2><?php esc_html_e( 'Step 2: Upload Backup File', 'swish-migrate-and-backup' ); ?></h2>
-					<form id="swish-backup-import-form" enctype="multipart/form-data">
+					<h2><?php esc_html_e( 'Step 2: Select Backup File', 'swish-migrate-and-backup' ); ?></h2>
+					<div class="swish-backup-import-sources">
+						<label>
+							<input type="radio" name="import_source" value="upload" checked>
+							<?php esc_html_e( 'Upload from this computer', 'swish-migrate-and-backup' ); ?>
+						</label>
+						<label>
+							<input type="radio" name="import_source" value="url">
+							<?php esc_html_e( 'Download from a URL', 'swish-migrate-and-backup' ); ?>
+						</label>
+						<label>
+							<input type="radio" name="import_source" value="storage">
+							<?php esc_html_e( 'Pick from a storage destination', 'swish-migrate-and-backup' ); ?>
+						</label>
+					</div>
+					<form id="swish-backup-import-form" class="swish-backup-import-source" data-source="upload" enctype="multipart/form-data">
 						<?php wp_nonce_field( 'swish_backup_import', 'swish_backup_import_nonce' ); ?>
 						<div class="swish-backup-upload-area" id="swish-backup-drop-zone">
 							<span class="dashicons dashicons-cloud-upload"></span>
@@ -86,10 +122,24 @@ final class MigrationPage {
 								<?php esc_html_e( 'Select File', 'swish-migrate-and-backup' ); ?>
 							</button>
 						</div>
-						<div id="swish-backup-file-info" style="display:none;">
-							<p><strong><?php esc_html_e( 'Selected file:', 'swish-migrate-and-backup' ); ?></strong> <span id="selected-file-name"></span></p>
-						</div>
 					</form>
+					<div class="swish-backup-import-source" data-source="url" style="display:none;">
+						<p>
+							<label for="import_url"><?php esc_html_e( 'Backup URL', 'swish-migrate-and-backup' ); ?></label>
+							<input type="url" id="import_url" class="large-text" placeholder="https://old-site.com/backup.zip">
+						</p>
+						<p class="description"><?php esc_html_e( 'A direct link to the ZIP file, such as a pre-signed S3 link or the download link of an export on the old site. This server downloads it in chunks, so it is not limited by the upload size.', 'swish-migrate-and-backup' ); ?></p>
+					</div>
+					<div class="swish-backup-import-source" data-source="storage" style="display:none;">
+						<p>
+							<label for="import_storage"><?php esc_html_e( 'Storage destination', 'swish-migrate-and-backup' ); ?></label>
+							<select id="import_storage"></select>
+						</p>
+						<div id="swish-backup-storage-browser"></div>
+					</div>
+					<div id="swish-backup-file-info" style="display:none;">
+						<p><strong><?php esc_html_e( 'Selected file:', 'swish-migrate-and-backup' ); ?></strong> <span id="selected-file-name"></span></p>
+					</div>
 					<div id="swish-backup-import-analysis" style="display:none;">
 						<h3><?php esc_html_e( 'Backup Analysis', 'swish-migrate-and-backup' ); ?></h3>
 						<div id="swish-backup-analysis-content"></div>
@@ -143,6 +193,52 @@ final class MigrationPage {
 					</p>
 				</div>
 
+				<!-- Pull Step -->
+				<div class="swish-backup-card swish-backup-migration-step" id="migration-step-pull" style="display:none;">
+					<h2><?php esc_html_e( 'Pull from Another Site', 'swish-migrate-and-backup' ); ?></h2>
+					<p><?php esc_html_e( 'The source site builds a backup and this site downloads it directly, so nothing has to pass through your computer. Swish Migrate and Backup must be active on both sites.', 'swish-migrate-and-backup' ); ?></p>
+					<div id="swish-backup-pull-connect"<?php echo $pull_source ? ' style="display:none;"' : ''; ?>>
+						<p>
+							<label for="pull_connection_key"><strong><?php esc_html_e( 'Connection key of the source site', 'swish-migrate-and-backup' ); ?></strong></label>
+							<textarea id="pull_connection_key" class="large-text code" rows="3" placeholder="swish-connect:..."></textarea>
+						</p>
+						<p class="description"><?php esc_html_e( 'On the site you want to copy, open this page and generate a key under "Allow this site to be pulled".', 'swish-migrate-and-backup' ); ?></p>
+						<p>
+							<button type="button" class="button" id="swish-backup-pull-connect-button"><?php esc_html_e( 'Connect', 'swish-migrate-and-backup' ); ?></button>
+						</p>
+					</div>
+					<div id="swish-backup-pull-connected"<?php echo $pull_source ? '' : ' style="display:none;"'; ?>>
+						<p>
+							<strong><?php esc_html_e( 'Connected to:', 'swish-migrate-and-backup' ); ?></strong>
+							<span id="swish-backup-pull-source"><?php echo $pull_source ? esc_html( $pull_source['name'] ? $pull_source['name'] . ' (' . $pull_source['site_url'] . ')' : $pull_source['site_url'] ) : ''; ?></span>
+							<button type="button" class="button-link" id="swish-backup-pull-disconnect"><?php esc_html_e( 'Disconnect', 'swish-migrate-and-backup' ); ?></button>
+						</p>
+					</div>
+					<p class="swish-backup-migration-nav">
+						<button type="button" class="button" data-goto="1">&larr; <?php esc_html_e( 'Back', 'swish-migrate-and-backup' ); ?></button>
+						<button type="button" class="button button-primary" id="swish-backup-start-pull"<?php disabled( null === $pull_source ); ?>>
+							<?php esc_html_e( 'Pull Backup', 'swish-migrate-and-backup' ); ?> &rarr;
+						</button>
+					</p>
+
+					<div class="swish-backup-connection-key-section">
+						<h3><?php esc_html_e( 'Allow this site to be pulled', 'swish-migrate-and-backup' ); ?></h3>
+						<p><?php esc_html_e( 'Generate a key here and paste it on the site that should receive a copy of this one. Anyone with the key can download a full backup of this site, so revoke it once the migration is done.', 'swish-migrate-and-backup' ); ?></p>
+						<div id="swish-backup-connection-key"<?php echo $connection_key ? '' : ' style="display:none;"'; ?>>
+							<input type="text" id="connection_key" class="large-text code" readonly value="<?php echo esc_attr( (string) $connection_key ); ?>">
+							<p>
+								<button type="button" class="button" id="swish-backup-copy-key"><?php esc_html_e( 'Copy', 'swish-migrate-and-backup' ); ?></button>
+								<button type="button" class="button button-link-delete" id="swish-backup-revoke-key"><?php esc_html_e( 'Revoke', 'swish-migrate-and-backup' ); ?></button>
+							</p>
+						</div>
+						<p>
+							<button type="button" class="button" id="swish-backup-generate-key">
+								<?php echo esc_html( $connection_key ? __( 'Generate New Key', 'swish-migrate-and-backup' ) : __( 'Generate Key', 'swish-migrate-and-backup' ) ); ?>
+							</button>
+						</p>
+					</div>
+				</div>
+
 				<!-- Export Step -->
 				<div class="swish-backup-card swish-backup-migration-step" id="migration-step-export" style="display:none;">
 					<h2><?php esc_html_e( 'Export for Migration', 'swish-migrate-and-backup' ); ?></h2>
@@ -190,6 +286,17 @@ final class MigrationPage {
 								<input type="text" name="replace_string" id="replace_string" class="regular-text">
 							</td>
 						</tr>
+						<tr>
+							<th scope="row"><?php esc_html_e( 'Matching', 'swish-migrate-and-backup' ); ?></th>
+							<td>
+								<fieldset>
+									<label><input type="checkbox" name="search_case_insensitive" id="search_case_insensitive"> <?php esc_html_e( 'Case-insensitive', 'swish-migrate-and-backup' ); ?></label><br>
+									<label><input type="checkbox" name="search_whole_word" id="search_whole_word"> <?php esc_html_e( 'Whole words only', 'swish-migrate-and-backup' ); ?></label><br>
+									<label><input type="checkbox" name="search_regex" id="search_regex"> <?php esc_html_e( 'Regular expression', 'swish-migrate-and-backup' ); ?></label>
+								</fieldset>
+								<p class="description"><?php esc_html_e( 'Regular expressions are PCRE patterns without delimiters. Use $1, $2 in the replacement to insert captured groups.', 'swish-migrate-and-backup' ); ?></p>
+							</td>
+						</tr>
 					</table>
 					<div id="swish-backup-search-preview" style="display:none;">
 						<h4><?php esc_html_e( 'Preview', 'swish-migrate-and-backup' ); ?></h4>
@@ -208,6 +315,49 @@ final class MigrationPage {
 					</p>
 				</div>
 
+				<!-- File Scan Step -->
+				<div class="swish-backup-card swish-backup-migration-step" id="migration-step-file-scan" style="display:none;">
+					<h2><?php esc_html_e( 'Find Old URLs in Files', 'swish-migrate-and-backup' ); ?></h2>
+					<p><?php esc_html_e( 'Search & Replace only changes the database. This scans the files under wp-content/themes and wp-content/plugins for the old URL and lists every line that still uses it.', 'swish-migrate-and-backup' ); ?></p>
+					<table class="form-table">
+						<tr>
+							<th scope="row">
+								<label for="scan_old_url"><?php esc_html_e( 'Old Site URL', 'swish-migrate-and-backup' ); ?></label>
+							</th>
+							<td>
+								<input type="url" id="scan_old_url" class="regular-text" placeholder="https://old-site.com">
+							</td>
+						</tr>
+						<tr>
+							<th scope="row">
+								<label for="scan_new_url"><?php esc_html_e( 'New Site URL', 'swish-migrate-and-backup' ); ?></label>
+							</th>
+							<td>
+								<input type="url" id="scan_new_url" class="regular-text" value="<?php echo esc_attr( $current_url ); ?>">
+								<p class="description"><?php esc_html_e( 'Used when rewriting static assets.', 'swish-migrate-and-backup' ); ?></p>
+							</td>
+						</tr>
+					</table>
+					<p>
+						<button type="button" class="button button-primary" id="swish-backup-start-file-scan">
+							<?php esc_html_e( 'Scan Files', 'swish-migrate-and-backup' ); ?>
+						</button>
+						<span id="swish-backup-file-scan-status"></span>
+					</p>
+					<div id="swish-backup-file-scan-results" style="display:none;">
+						<div id="swish-backup-file-scan-content"></div>
+						<p class="description"><?php esc_html_e( 'Only CSS, JSON and SVG files can be rewritten here. PHP and JavaScript files are listed so you can fix them by hand or in the theme or plugin settings.', 'swish-migrate-and-backup' ); ?></p>
+						<p>
+							<button type="button" class="button" id="swish-backup-rewrite-files" disabled>
+								<?php esc_html_e( 'Rewrite Selected Files', 'swish-migrate-and-backup' ); ?>
+							</button>
+						</p>
+					</div>
+					<p class="swish-backup-migration-nav">
+						<button type="button" class="button" data-goto="1">&larr; <?php esc_html_e( 'Back', 'swish-migrate-and-backup' ); ?></button>
+					</p>
+				</div>
+
 				<!-- Progress/Result Step -->
 				<div class="swish-backup-card swish-backup-migration-step" id="migration-step-progress" style="display:none;">
 					<h2 id="migration-progress-title"><?php esc_html_e( 'Migration in Progress', 'swish-migrate-and-backup' ); ?></h2>
@@ -234,6 +384,9 @@ final class MigrationPage {
 							<a href="<?php echo esc_url( admin_url() ); ?>" class="button">
 								<?php esc_html_e( 'Go to Dashboard', 'swish-migrate-and-backup' ); ?>
 							</a>
+							<button type="button" class="button" id="swish-backup-scan-after-migration">
+								<?php esc_html_e( 'Find Old URLs in Theme and Plugin Files', 'swish-migrate-and-backup' ); ?>
+							</button>
 						</p>
 					</div>
 				</div>
@@ -15,6 +15,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use SwishMigrateAndBackup\Queue\Scheduler;
+use SwishMigrateAndBackup\Storage\StorageManager;
 
 /**
  * Schedules page controller.
@@ -28,13 +29,22 @@ final class SchedulesPage {
 	 */
 	private Scheduler $scheduler;
 
+	/**
+	 * Storage manager.
+	 *
+	 * @var StorageManager
+	 */
+	private StorageManager $storage_manager;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param Scheduler $scheduler Scheduler.
+	 * @param Scheduler      $scheduler       Scheduler.
+	 * @param StorageManager $storage_manager Storage manager.
 	 */
-	public function __construct( Scheduler $scheduler ) {
-		$this->scheduler = $scheduler;
+	public function __construct( Scheduler $scheduler, StorageManager $storage_manager ) {
+		$this->scheduler       = $scheduler;
+		$this->storage_manager = $storage_manager;
 	}
 
 	/**
@@ -114,22 +124,12 @@ final class SchedulesPage {
 							<th scope="row"><?php esc_html_e( 'Storage Destinations', 'swish-migrate-and-backup' ); ?></th>
 							<td>
 								<fieldset>
-									<label>
-										<input type="checkbox" name="storage_destinations[]" value="local" checked>
-										<?php esc_html_e( 'Local Storage', 'swish-migrate-and-backup' ); ?>
-									</label><br>
-									<label>
-										<input type="checkbox" name="storage_destinations[]" value="s3">
-										<?php esc_html_e( 'Amazon S3', 'swish-migrate-and-backup' ); ?>
-									</label><br>
-									<label>
-										<input type="checkbox" name="storage_destinations[]" value="dropbox">
-										<?php esc_html_e( 'Dropbox', 'swish-migrate-and-backup' ); ?>
-									</label><br>
-									<label>
-										<input type="checkbox" name="storage_destinations[]" value="googledrive">
-										<?php esc_html_e( 'Google Drive', 'swish-migrate-and-backup' ); ?>
-									</label>
+									<?php foreach ( $this->storage_manager->get_all_adapters() as $adapter_id => $adapter ) : ?>
+										<label>
+											<input type="checkbox" name="storage_destinations[]" value="<?php echo esc_attr( $adapter_id ); ?>" <?php checked( 'local', $adapter_id ); ?>>
+											<?php echo esc_html( $adapter->get_name() ); ?>
+										</label><br>
+									<?php endforeach; ?>
 								</fieldset>
 							</td>
 						</tr>
@@ -15,6 +15,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use SwishMigrateAndBackup\Storage\StorageManager;
+use SwishMigrateAndBackup\Storage\Contracts\OAuthStorageAdapterInterface;
 use SwishMigrateAndBackup\Security\Encryption;
 
 /**
@@ -166,6 +167,16 @@ final class SettingsPage {
 								<p class="description"><?php esc_html_e( 'One pattern per line. Use * for wildcards. Example: *.log, cache/*', 'swish-migrate-and-backup' ); ?></p>
 							</td>
 						</tr>
+						<tr>
+							<th scope="row">
+								<label for="rollback_window"><?php esc_html_e( 'Restore Rollback Window', 'swish-migrate-and-backup' ); ?></label>
+							</th>
+							<td>
+								<input type="number" name="swish_backup_settings[rollback_window]" id="rollback_window" value="<?php echo esc_attr( $settings['rollback_window'] ?? 24 ); ?>" min="0" max="168" class="small-text">
+								<?php esc_html_e( 'hours', 'swish-migrate-and-backup' ); ?>
+								<p class="description"><?php esc_html_e( 'A database snapshot is taken before each restore so it can be rolled back within this window. Set to 0 to turn snapshots off.', 'swish-migrate-and-backup' ); ?></p>
+							</td>
+						</tr>
 						<tr>
 							<th scope="row"><?php esc_html_e( 'Email Notifications', 'swish-migrate-and-backup' ); ?></th>
 							<td>
@@ -188,11 +199,22 @@ final class SettingsPage {
 						$fields = $adapter->get_settings_fields();
 						$adapter_settings = $adapter->get_settings();
 						?>
+						<?php if ( $adapter instanceof OAuthStorageAdapterInterface ) : ?>
+							<div class="notice notice-info inline">
+								<p>
+									<?php
+									printf(
+										/* translators: %s: Dashboard link */
+										esc_html__( 'To sign in to your account, configure this destination from the %s.', 'swish-migrate-and-backup' ),
+										'<a href="' . esc_url( admin_url( 'admin.php?page=swish-backup' ) ) . '">' . esc_html__( 'Dashboard', 'swish-migrate-and-backup' ) . '</a>' // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+									);
+									?>
+								</p>
+							</div>
+						<?php endif; ?>
 						<table class="form-table">
 							<?php foreach ( $fields as $field ) : ?>
-								<?php if ( 'hidden' === ( $field['type'] ?? 'text' ) ) : ?>
-									<input type="hidden" name="swish_backup_storage[<?php echo esc_attr( $active_tab ); ?>][<?php echo esc_attr( $field['name'] ); ?>]" value="<?php echo esc_attr( $adapter_settings[ $field['name'] ] ?? '' ); ?>">
-								<?php else : ?>
+								<?php if ( 'hidden' !== ( $field['type'] ?? 'text' ) ) : ?>
 									<tr>
 										<th scope="row">
 											<label for="<?php echo esc_attr( $field['name'] ); ?>">
@@ -303,6 +325,7 @@ final class SettingsPage {
 				$settings['backup_core_files'] = ! empty( $input['backup_core_files'] );
 				$settings['email_notifications'] = ! empty( $input['email_notifications'] );
 				$settings['notification_email'] = sanitize_email( $input['notification_email'] ?? '' );
+				$settings['rollback_window'] = min( 168, absint( $input['rollback_window'] ?? 24 ) );
 
 				$exclude_files = $input['exclude_files'] ?? '';
 				$settings['exclude_files'] = array_filter( array_map( 'sanitize_text_field', array_map( 'trim', explode( "\n", $exclude_files ) ) ) );
@@ -331,13 +354,14 @@ final class SettingsPage {
 					$sanitized[ sanitize_key( $key ) ] = sanitize_text_field( $value );
 				}
 
-				// Keep existing password fields if not provided.
-				$existing = $adapter->get_settings();
+				// Leave blank password fields and hidden fields out, so the saved values are kept.
 				foreach ( $adapter->get_settings_fields() as $field ) {
-					if ( 'password' === ( $field['type'] ?? 'text' ) ) {
-						if ( empty( $sanitized[ $field['name'] ] ) && ! empty( $existing[ $field['name'] ] ) ) {
-							$sanitized[ $field['name'] ] = $existing[ $field['name'] ];
-						}
+					$type = $field['type'] ?? 'text';
+					if ( 'hidden' === $type || ( 'password' === $type && empty( $sanitized[ $field['name'] ] ) ) ) {
+						unset( $sanitized[ $field['name'] ] );
+					} elseif ( 'checkbox' === $type && ! isset( $sanitized[ $field['name'] ] ) ) {
+						// Unchecked boxes are not posted.
+						$sanitized[ $field['name'] ] = false;
 					}
 				}
 
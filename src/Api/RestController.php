@@ -15,10 +15,16 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use SwishMigrateAndBackup\Backup\BackupManager;
+use SwishMigrateAndBackup\Migration\FileUrlScanner;
+use SwishMigrateAndBackup\Migration\ImportSession;
 use SwishMigrateAndBackup\Migration\Migrator;
+use SwishMigrateAndBackup\Migration\SiteConnection;
 use SwishMigrateAndBackup\Queue\JobQueue;
+use SwishMigrateAndBackup\Queue\Scheduler;
 use SwishMigrateAndBackup\Restore\RestoreManager;
+use SwishMigrateAndBackup\Storage\Contracts\StorageAdapterInterface;
 use SwishMigrateAndBackup\Storage\StorageManager;
+use SwishMigrateAndBackup\Storage\StorageOAuth;
 use WP_REST_Controller;
 use WP_REST_Request;
 use WP_REST_Response;
@@ -37,6 +43,21 @@ final class RestController extends WP_REST_Controller {
 	 */
 	protected $namespace = 'swish-backup/v1';
 
+	/**
+	 * Seconds a request may work on a pipeline job before its lease counts as abandoned.
+	 */
+	private const PIPELINE_LEASE_TTL = 300;
+
+	/**
+	 * Seconds without progress after which a pipeline job is no longer offered for resuming.
+	 */
+	private const PIPELINE_STALE_AFTER = DAY_IN_SECONDS;
+
+	/**
+	 * Seconds a poll from a pulling site may spend on the next step of its backup.
+	 */
+	private const REMOTE_STEP_TIME_BUDGET = 40;
+
 	/**
 	 * Backup manager.
 	 *
@@ -72,27 +93,77 @@ final class RestController extends WP_REST_Controller {
 	 */
 	private JobQueue $job_queue;
 
+	/**
+	 * Chunked import sessions.
+	 *
+	 * @var ImportSession
+	 */
+	private ImportSession $import_session;
+
+	/**
+	 * Site-to-site connection.
+	 *
+	 * @var SiteConnection
+	 */
+	private SiteConnection $site_connection;
+
+	/**
+	 * Scanner for old URLs in theme and plugin files.
+	 *
+	 * @var FileUrlScanner
+	 */
+	private FileUrlScanner $file_url_scanner;
+
+	/**
+	 * Backup scheduler.
+	 *
+	 * @var Scheduler
+	 */
+	private Scheduler $scheduler;
+
+	/**
+	 * Storage OAuth sign-in.
+	 *
+	 * @var StorageOAuth
+	 */
+	private StorageOAuth $storage_oauth;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param BackupManager  $backup_manager  Backup manager.
-	 * @param RestoreManager $restore_manager Restore manager.
-	 * @param Migrator       $migrator        Migrator.
-	 * @param StorageManager $storage_manager Storage manager.
-	 * @param JobQueue       $job_queue       Job queue.
+	 * @param BackupManager  $backup_manager   Backup manager.
+	 * @param RestoreManager $restore_manager  Restore manager.
+	 * @param Migrator       $migrator         Migrator.
+	 * @param StorageManager $storage_manager  Storage manager.
+	 * @param JobQueue       $job_queue        Job queue.
+	 * @param ImportSession  $import_session   Chunked import sessions.
+	 * @param SiteConnection $site_connection  Site-to-site connection.
+	 * @param FileUrlScanner $file_url_scanner Scanner for old URLs in files.
+	 * @param Scheduler      $scheduler        Backup scheduler.
+	 * @param StorageOAuth   $storage_oauth    Storage OAuth sign-in.
 	 */
 	public function __construct(
 		BackupManager $backup_manager,
 		RestoreManager $restore_manager,
 		Migrator $migrator,
 		StorageManager $storage_manager,
-		JobQueue $job_queue
+		JobQueue $job_queue,
+		ImportSession $import_session,
+		SiteConnection $site_connection,
+		FileUrlScanner $file_url_scanner,
+		Scheduler $scheduler,
+		StorageOAuth $storage_oauth
 	) {
-		$this->backup_manager  = $backup_manager;
-		$this->restore_manager = $restore_manager;
-		$this->migrator        = $migrator;
-		$this->storage_manager = $storage_manager;
-		$this->job_queue       = $job_queue;
+		$this->backup_manager   = $backup_manager;
+		$this->restore_manager  = $restore_manager;
+		$this->migrator         = $migrator;
+		$this->storage_manager  = $storage_manager;
+		$this->job_queue        = $job_queue;
+		$this->import_session   = $import_session;
+		$this->site_connection  = $site_connection;
+		$this->file_url_scanner = $file_url_scanner;
+		$this->scheduler        = $scheduler;
+		$this->storage_oauth    = $storage_oauth;
 	}
 
 	/**
@@ -170,27 +241,44 @@ final class RestController extends WP_REST_Controller {
 
 		register_rest_route(
 			$this->namespace,
-			'/backup/(?P<id>[a-zA-Z0-9_-]+)/download',
+			'/backup/(?P<id>[a-zA-Z0-9_-]+)/contents',
 			array(
 				array(
 					'methods'             => WP_REST_Server::READABLE,
-					'callback'            => array( $this, 'get_download_url' ),
+					'callback'            => array( $this, 'get_backup_contents' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 				),
 			)
 		);
 
-		// Restore routes.
 		register_rest_route(
 			$this->namespace,
-			'/restore',
+			'/backup/(?P<id>[a-zA-Z0-9_-]+)/browse',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'browse_backup' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'path' => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/backup/(?P<id>[a-zA-Z0-9_-]+)/restore-path',
 			array(
 				array(
 					'methods'             => WP_REST_Server::CREATABLE,
-					'callback'            => array( $this, 'restore_backup' ),
+					'callback'            => array( $this, 'restore_backup_path' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 					'args'                => array(
-						'backup_id' => array(
+						'path' => array(
 							'type'     => 'string',
 							'required' => true,
 						),
@@ -199,26 +287,49 @@ final class RestController extends WP_REST_Controller {
 			)
 		);
 
-		// Migration routes.
 		register_rest_route(
 			$this->namespace,
-			'/import',
+			'/backup/(?P<id>[a-zA-Z0-9_-]+)/export',
 			array(
 				array(
-					'methods'             => WP_REST_Server::CREATABLE,
-					'callback'            => array( $this, 'import_backup' ),
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'export_backup_path' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'path' => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+					),
 				),
 			)
 		);
 
 		register_rest_route(
 			$this->namespace,
-			'/migrate',
+			'/backup/(?P<id>[a-zA-Z0-9_-]+)/diff',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'diff_backup_file' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'path' => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/backup/(?P<id>[a-zA-Z0-9_-]+)/verify',
 			array(
 				array(
 					'methods'             => WP_REST_Server::CREATABLE,
-					'callback'            => array( $this, 'run_migration' ),
+					'callback'            => array( $this, 'verify_backup' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 				),
 			)
@@ -226,133 +337,261 @@ final class RestController extends WP_REST_Controller {
 
 		register_rest_route(
 			$this->namespace,
-			'/search-replace',
+			'/backup/(?P<id>[a-zA-Z0-9_-]+)/download',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_download_url' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		// Restore routes.
+		register_rest_route(
+			$this->namespace,
+			'/restore',
 			array(
 				array(
 					'methods'             => WP_REST_Server::CREATABLE,
-					'callback'            => array( $this, 'search_replace' ),
+					'callback'            => array( $this, 'restore_backup' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 					'args'                => array(
-						'search'  => array(
+						'backup_id' => array(
 							'type'     => 'string',
 							'required' => true,
 						),
-						'replace' => array(
+					),
+				),
+			)
+		);
+
+		// Chunked restore routes.
+		register_rest_route(
+			$this->namespace,
+			'/restore/start',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'restore_start' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'backup_id'        => array(
 							'type'     => 'string',
 							'required' => true,
 						),
-						'dry_run' => array(
+						'restore_database' => array(
+							'type'    => 'boolean',
+							'default' => true,
+						),
+						'restore_files'    => array(
 							'type'    => 'boolean',
-							'default' => false,
+							'default' => true,
+						),
+						'tables'           => array(
+							'type'  => 'array',
+							'items' => array( 'type' => 'string' ),
+						),
+						'paths'            => array(
+							'type'  => 'array',
+							'items' => array( 'type' => 'string' ),
 						),
 					),
 				),
 			)
 		);
 
-		// Storage routes.
 		register_rest_route(
 			$this->namespace,
-			'/storage/test',
+			'/restore/continue/(?P<job_id>[a-zA-Z0-9_-]+)',
 			array(
 				array(
 					'methods'             => WP_REST_Server::CREATABLE,
-					'callback'            => array( $this, 'test_storage' ),
+					'callback'            => array( $this, 'restore_continue' ),
+					'permission_callback' => array( $this, 'check_restore_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/restore/status/(?P<job_id>[a-zA-Z0-9_-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'restore_status' ),
+					'permission_callback' => array( $this, 'check_restore_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/restore/rollback',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_rollback_point' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'rollback_start' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		// Migration routes.
+		register_rest_route(
+			$this->namespace,
+			'/import',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'import_backup' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/import/session',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'import_session_start' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 					'args'                => array(
-						'adapter' => array(
+						'filename'    => array(
 							'type'     => 'string',
 							'required' => true,
 						),
+						'size'        => array(
+							'type'     => 'integer',
+							'required' => true,
+						),
+						'fingerprint' => array(
+							'type'    => 'string',
+							'default' => '',
+						),
 					),
 				),
 			)
 		);
 
-		// Job status route.
 		register_rest_route(
 			$this->namespace,
-			'/job/(?P<id>[a-zA-Z0-9_-]+)',
+			'/import/session/(?P<id>[a-zA-Z0-9]+)',
 			array(
 				array(
 					'methods'             => WP_REST_Server::READABLE,
-					'callback'            => array( $this, 'get_job_status' ),
+					'callback'            => array( $this, 'import_session_status' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 				),
 			)
 		);
 
-		// Process pending job (fallback for hosts where WP Cron doesn't trigger immediately).
 		register_rest_route(
 			$this->namespace,
-			'/job/(?P<id>[a-zA-Z0-9_-]+)/process',
+			'/import/session/(?P<id>[a-zA-Z0-9]+)/chunk',
 			array(
 				array(
 					'methods'             => WP_REST_Server::CREATABLE,
-					'callback'            => array( $this, 'process_pending_job' ),
+					'callback'            => array( $this, 'import_session_chunk' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'index'    => array(
+							'type'     => 'integer',
+							'required' => true,
+						),
+						'checksum' => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+					),
 				),
 			)
 		);
 
-		// Settings routes.
 		register_rest_route(
 			$this->namespace,
-			'/settings',
+			'/import/session/(?P<id>[a-zA-Z0-9]+)/complete',
 			array(
 				array(
-					'methods'             => WP_REST_Server::READABLE,
-					'callback'            => array( $this, 'get_settings' ),
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'import_session_complete' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/import/session/(?P<id>[a-zA-Z0-9]+)/fetch',
+			array(
 				array(
-					'methods'             => WP_REST_Server::EDITABLE,
-					'callback'            => array( $this, 'update_settings' ),
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'import_session_fetch' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 				),
 			)
 		);
 
-		// Dashboard stats route.
 		register_rest_route(
 			$this->namespace,
-			'/stats',
+			'/import/url',
 			array(
 				array(
-					'methods'             => WP_REST_Server::READABLE,
-					'callback'            => array( $this, 'get_dashboard_stats' ),
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'import_url_start' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'url' => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+					),
 				),
 			)
 		);
 
-		// Folder structure route for granular backup selection.
 		register_rest_route(
 			$this->namespace,
-			'/folders',
+			'/import/storage',
 			array(
 				array(
 					'methods'             => WP_REST_Server::READABLE,
-					'callback'            => array( $this, 'get_folder_structure' ),
+					'callback'            => array( $this, 'get_import_storages' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 				),
 			)
 		);
 
-		// Pipeline-based backup routes (queue-based, chunked processing).
 		register_rest_route(
 			$this->namespace,
-			'/pipeline/start',
+			'/import/storage/(?P<adapter>[a-z0-9_-]+)',
 			array(
 				array(
-					'methods'             => WP_REST_Server::CREATABLE,
-					'callback'            => array( $this, 'pipeline_start' ),
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'list_import_storage' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 					'args'                => array(
-						'type' => array(
+						'path' => array(
 							'type'    => 'string',
-							'enum'    => array( 'full', 'database', 'files' ),
-							'default' => 'full',
+							'default' => '',
+						),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'import_from_storage' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'path' => array(
+							'type'     => 'string',
+							'required' => true,
 						),
 					),
 				),
@@ -361,107 +600,2307 @@ final class RestController extends WP_REST_Controller {
 
 		register_rest_route(
 			$this->namespace,
-			'/pipeline/continue/(?P<job_id>[a-zA-Z0-9_-]+)',
+			'/migrate',
 			array(
 				array(
 					'methods'             => WP_REST_Server::CREATABLE,
-					'callback'            => array( $this, 'pipeline_continue' ),
+					'callback'            => array( $this, 'run_migration' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 				),
 			)
 		);
 
+		// Site-to-site pull routes (destination side).
 		register_rest_route(
 			$this->namespace,
-			'/pipeline/status/(?P<job_id>[a-zA-Z0-9_-]+)',
+			'/connection-key',
 			array(
 				array(
-					'methods'             => WP_REST_Server::READABLE,
-					'callback'            => array( $this, 'pipeline_status' ),
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'generate_connection_key' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'revoke_connection_key' ),
 					'permission_callback' => array( $this, 'check_admin_permission' ),
 				),
 			)
 		);
-	}
-
-	/**
-	 * Check admin permission.
-	 *
-	 * @return bool|WP_Error
-	 */
-	public function check_admin_permission() {
-		if ( ! current_user_can( 'manage_options' ) ) {
-			return new WP_Error(
-				'rest_forbidden',
-				__( 'You do not have permission to perform this action.', 'swish-migrate-and-backup' ),
-				array( 'status' => 403 )
-			);
-		}
 
-		return true;
-	}
-
-	/**
-	 * Create a backup.
-	 *
-	 * Uses async processing by default to avoid timeout issues on shared hosting.
-	 *
+		register_rest_route(
+			$this->namespace,
+			'/pull/source',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'connect_pull_source' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'key' => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'disconnect_pull_source' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/pull/backup',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'pull_backup_start' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/pull/backup/(?P<job_id>[a-zA-Z0-9_-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'pull_backup_continue' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		// Site-to-site pull routes (source side), authenticated by the connection key.
+		register_rest_route(
+			$this->namespace,
+			'/remote/handshake',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'remote_handshake' ),
+					'permission_callback' => array( $this, 'check_connection_key' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/remote/backup',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'remote_backup_start' ),
+					'permission_callback' => array( $this, 'check_connection_key' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/remote/backup/(?P<job_id>[a-zA-Z0-9_-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'remote_backup_continue' ),
+					'permission_callback' => array( $this, 'check_connection_key' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/remote/backup/(?P<job_id>[a-zA-Z0-9_-]+)/download',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'remote_backup_download' ),
+					'permission_callback' => array( $this, 'check_connection_key' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'remote_backup_finish' ),
+					'permission_callback' => array( $this, 'check_connection_key' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/search-replace',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'search_replace' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array_merge(
+						array(
+							'search'  => array(
+								'type'     => 'string',
+								'required' => true,
+							),
+							'replace' => array(
+								'type'     => 'string',
+								'required' => true,
+							),
+						),
+						$this->get_search_replace_args()
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/search-replace/batch',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'search_replace_batch' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array_merge(
+						array(
+							'pairs' => array(
+								'type'     => 'array',
+								'required' => true,
+								'minItems' => 1,
+								'items'    => array(
+									'type'       => 'object',
+									'properties' => array(
+										'search'  => array(
+											'type'     => 'string',
+											'required' => true,
+										),
+										'replace' => array(
+											'type'     => 'string',
+											'required' => true,
+										),
+									),
+								),
+							),
+						),
+						$this->get_search_replace_args()
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/search-replace/suggestions',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_search_replace_suggestions' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'old_url' => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+						'new_url' => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/search-replace/scope',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_search_replace_scope' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/search-replace/runs',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_search_replace_runs' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/search-replace/runs/(?P<run_id>[a-f0-9-]+)/undo',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'undo_search_replace' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/file-scan',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'start_file_scan' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'old_url' => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+						'new_url' => array(
+							'type'    => 'string',
+							'default' => '',
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/file-scan/(?P<id>[a-f0-9-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'continue_file_scan' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/file-scan/(?P<id>[a-f0-9-]+)/rewrite',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'rewrite_scanned_files' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'files' => array(
+							'type'     => 'array',
+							'required' => true,
+							'items'    => array(
+								'type' => 'string',
+							),
+						),
+					),
+				),
+			)
+		);
+
+		// Schedule routes.
+		register_rest_route(
+			$this->namespace,
+			'/schedules',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_schedules' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'create_schedule' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => $this->get_schedule_args( true ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/schedules/preview',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'preview_schedule' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => $this->get_schedule_args( false ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/schedules/(?P<id>\d+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_schedule' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_schedule' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => $this->get_schedule_args( false ),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_schedule' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/schedules/(?P<id>\d+)/toggle',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'toggle_schedule' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/schedules/(?P<id>\d+)/run',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'run_schedule' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/schedules/(?P<id>\d+)/runs',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_schedule_runs' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		// Storage routes.
+		register_rest_route(
+			$this->namespace,
+			'/storage',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_storage_destinations' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/storage/(?P<adapter>[a-z0-9_-]+)/settings',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'save_storage_settings' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'settings' => array(
+							'type'     => 'object',
+							'required' => true,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/storage/(?P<adapter>[a-z0-9_-]+)/info',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_storage_info' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/storage/(?P<adapter>[a-z0-9_-]+)/auth',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'start_storage_auth' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/storage/test',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'test_storage' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'adapter' => array(
+							'type'     => 'string',
+							'required' => true,
+						),
+					),
+				),
+			)
+		);
+
+		// Job status route.
+		register_rest_route(
+			$this->namespace,
+			'/job/(?P<id>[a-zA-Z0-9_-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_job_status' ),
+					'permission_callback' => array( $this, 'check_job_permission' ),
+				),
+			)
+		);
+
+		// Process pending job (fallback for hosts where WP Cron doesn't trigger immediately).
+		register_rest_route(
+			$this->namespace,
+			'/job/(?P<id>[a-zA-Z0-9_-]+)/process',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'process_pending_job' ),
+					'permission_callback' => array( $this, 'check_job_permission' ),
+				),
+			)
+		);
+
+		// Settings routes.
+		register_rest_route(
+			$this->namespace,
+			'/settings',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_settings' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_settings' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		// Dashboard stats route.
+		register_rest_route(
+			$this->namespace,
+			'/stats',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_dashboard_stats' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		// Folder structure route for granular backup selection.
+		register_rest_route(
+			$this->namespace,
+			'/folders',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_folder_structure' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		// Pipeline-based backup routes (queue-based, chunked processing).
+		register_rest_route(
+			$this->namespace,
+			'/pipeline/start',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'pipeline_start' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+					'args'                => array(
+						'type' => array(
+							'type'    => 'string',
+							'enum'    => array( 'full', 'database', 'files' ),
+							'default' => 'full',
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/pipeline/continue/(?P<job_id>[a-zA-Z0-9_-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'pipeline_continue' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/pipeline/pause/(?P<job_id>[a-zA-Z0-9_-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'pipeline_pause' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/pipeline/resume/(?P<job_id>[a-zA-Z0-9_-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'pipeline_resume' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/pipeline/cancel/(?P<job_id>[a-zA-Z0-9_-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'pipeline_cancel' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/pipeline/status/(?P<job_id>[a-zA-Z0-9_-]+)',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'pipeline_status' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/pipeline/active',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'pipeline_active' ),
+					'permission_callback' => array( $this, 'check_admin_permission' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Check admin permission.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_admin_permission() {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to perform this action.', 'swish-migrate-and-backup' ),
+				array( 'status' => 403 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check the connection key sent by a site pulling from this one.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|WP_Error
+	 */
+	public function check_connection_key( WP_REST_Request $request ) {
+		if ( ! $this->site_connection->verify_secret( (string) $request->get_header( SiteConnection::HEADER ) ) ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'Invalid connection key.', 'swish-migrate-and-backup' ),
+				array( 'status' => 401 )
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check permissions for job status routes.
+	 *
+	 * Migration jobs can also be followed with the token returned when they
+	 * were queued, since restoring the database logs the browser out.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|WP_Error
+	 */
+	public function check_job_permission( WP_REST_Request $request ) {
+		$token = (string) $request->get_param( 'token' );
+
+		if ( '' !== $token && $this->migrator->verify_job_token( (string) $request->get_param( 'id' ), $token ) ) {
+			return true;
+		}
+
+		return $this->check_admin_permission();
+	}
+
+	/**
+	 * Check permissions for continuing and following a restore job.
+	 *
+	 * Restore jobs can also be driven with the token returned when they
+	 * were started, since restoring the user tables logs the browser out.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|WP_Error
+	 */
+	public function check_restore_permission( WP_REST_Request $request ) {
+		$token = (string) $request->get_param( 'token' );
+
+		if ( '' !== $token && $this->restore_manager->verify_job_token( (string) $request->get_param( 'job_id' ), $token ) ) {
+			return true;
+		}
+
+		return $this->check_admin_permission();
+	}
+
+	/**
+	 * Create a backup.
+	 *
+	 * Uses async processing by default to avoid timeout issues on shared hosting.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_backup( WP_REST_Request $request ) {
+		$type = $request->get_param( 'type' );
+		$async = $request->get_param( 'async' ) ?? true; // Default to async.
+
+		$settings = get_option( 'swish_backup_settings', array() );
+		$options = array(
+			'type'                 => $type ?? 'full',
+			'backup_database'      => $settings['backup_database'] ?? true,
+			'backup_plugins'       => $settings['backup_plugins'] ?? true,
+			'backup_themes'        => $settings['backup_themes'] ?? true,
+			'backup_uploads'       => $settings['backup_uploads'] ?? true,
+			'backup_core_files'    => $settings['backup_core_files'] ?? true,
+			'storage_destinations' => $request->get_param( 'destinations' ) ?? array( 'local' ),
+			'db_batch_size'        => $request->get_param( 'db_batch_size' ) ?? 200,
+			'file_batch_size'      => $request->get_param( 'file_batch_size' ) ?? 50,
+			// Granular exclusions.
+			'exclude_plugins'      => $settings['exclude_plugins'] ?? array(),
+			'exclude_themes'       => $settings['exclude_themes'] ?? array(),
+			'exclude_uploads'      => $settings['exclude_uploads'] ?? array(),
+		);
+
+		// Use async processing to avoid timeouts on shared/managed hosting.
+		if ( $async ) {
+			$result = $this->backup_manager->start_async_backup( $options );
+			return rest_ensure_response( $result );
+		}
+
+		// Synchronous backup (legacy, not recommended for large sites).
+		$result = match ( $type ) {
+			'database' => $this->backup_manager->create_database_backup( $options ),
+			'files'    => $this->backup_manager->create_files_backup( $options ),
+			default    => $this->backup_manager->create_full_backup( $options ),
+		};
+
+		// Check if backup failed.
+		if ( isset( $result['error'] ) ) {
+			// Check if it's a size limit error.
+			if ( strpos( $result['error'], '2GB limit' ) !== false ) {
+				return new WP_Error(
+					'backup_size_limit_exceeded',
+					$result['error'],
+					array(
+						'status'      => 402,
+						'upgrade_url' => SWISH_BACKUP_PRO_URL,
+					)
+				);
+			}
+
+			// Generic backup failure.
+			return new WP_Error(
+				'backup_failed',
+				$result['error'],
+				array( 'status' => 500 )
+			);
+		}
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Get list of backups.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_backups( WP_REST_Request $request ): WP_REST_Response {
+		$backups  = $this->backup_manager->get_backups( 50 );
+		$rollback = $this->restore_manager->get_rollback_point();
+
+		foreach ( $backups as &$backup ) {
+			$backup['rollback_point'] = $rollback && $rollback['backup_id'] === $backup['id'];
+		}
+		unset( $backup );
+
+		return rest_ensure_response( $backups );
+	}
+
+	/**
+	 * Get a single backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_backup( WP_REST_Request $request ) {
+		$backup = $this->backup_manager->get_backup( $request->get_param( 'id' ) );
+
+		if ( ! $backup ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return rest_ensure_response( $backup );
+	}
+
+	/**
+	 * Delete a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function delete_backup( WP_REST_Request $request ) {
+		try {
+			$deleted = $this->backup_manager->delete_backup( $request->get_param( 'id' ) );
+
+			if ( ! $deleted ) {
+				return new WP_Error(
+					'delete_failed',
+					__( 'Failed to delete backup.', 'swish-migrate-and-backup' ),
+					array( 'status' => 500 )
+				);
+			}
+
+			return rest_ensure_response( array( 'deleted' => true ) );
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'delete_failed',
+				$e->getMessage(),
+				array( 'status' => 500 )
+			);
+		}
+	}
+
+	/**
+	 * Verify the copies of a backup on all of its storage destinations.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function verify_backup( WP_REST_Request $request ) {
+		try {
+			$integrity = $this->backup_manager->verify_backup( $request->get_param( 'id' ) );
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'verify_failed',
+				$e->getMessage(),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( null === $integrity ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return rest_ensure_response( $integrity );
+	}
+
+	/**
+	 * Get download URL for a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_download_url( WP_REST_Request $request ) {
+		$backup = $this->backup_manager->get_backup( $request->get_param( 'id' ) );
+
+		if ( ! $backup ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$adapter = $this->storage_manager->get_default_adapter();
+		$url = $adapter->get_download_url( $backup['filename'] );
+
+		return rest_ensure_response( array( 'url' => $url ) );
+	}
+
+	/**
+	 * Restore a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function restore_backup( WP_REST_Request $request ) {
+		$backup = $this->backup_manager->get_backup( $request->get_param( 'backup_id' ) );
+
+		if ( ! $backup ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$options = array(
+			'restore_database' => $request->get_param( 'restore_database' ) ?? true,
+			'restore_files'    => $request->get_param( 'restore_files' ) ?? true,
+		);
+
+		$result = $this->restore_manager->restore( $backup['path'], $options );
+
+		if ( ! $result ) {
+			return new WP_Error(
+				'restore_failed',
+				__( 'Restore failed.', 'swish-migrate-and-backup' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return rest_ensure_response( array( 'success' => true ) );
+	}
+
+	/**
+	 * List the tables and folders inside a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_backup_contents( WP_REST_Request $request ) {
+		$backup = $this->backup_manager->get_backup( $request->get_param( 'id' ) );
+
+		if ( ! $backup || empty( $backup['path'] ) || ! file_exists( $backup['path'] ) ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$contents = $this->restore_manager->get_backup_contents( $backup['path'] );
+
+		if ( null === $contents ) {
+			return new WP_Error(
+				'invalid_backup',
+				__( 'Could not read the backup contents.', 'swish-migrate-and-backup' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return rest_ensure_response( $contents );
+	}
+
+	/**
+	 * List one folder of a backup's file tree, plus its tables at the root.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function browse_backup( WP_REST_Request $request ) {
+		$backup = $this->backup_manager->get_backup( $request->get_param( 'id' ) );
+
+		if ( ! $backup || empty( $backup['path'] ) || ! file_exists( $backup['path'] ) ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$listing = $this->restore_manager->browse_backup(
+			$backup['path'],
+			$this->sanitize_backup_path( (string) $request->get_param( 'path' ) )
+		);
+
+		if ( null === $listing ) {
+			return new WP_Error(
+				'invalid_backup',
+				__( 'Could not read the backup contents.', 'swish-migrate-and-backup' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return rest_ensure_response( $listing );
+	}
+
+	/**
+	 * Restore a single file or folder from a backup to its original path.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function restore_backup_path( WP_REST_Request $request ) {
+		$backup = $this->backup_manager->get_backup( $request->get_param( 'id' ) );
+
+		if ( ! $backup || empty( $backup['path'] ) || ! file_exists( $backup['path'] ) ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$path = $this->sanitize_backup_path( (string) $request->get_param( 'path' ) );
+
+		if ( '' === $path || null === $this->restore_manager->find_backup_entry( $backup['path'], $path ) ) {
+			return new WP_Error(
+				'path_not_found',
+				__( 'That file or folder is not in this backup.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( ! $this->restore_manager->restore_backup_path( $backup['path'], $path ) ) {
+			return new WP_Error(
+				'restore_failed',
+				__( 'Restore failed.', 'swish-migrate-and-backup' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		return rest_ensure_response( array(
+			'success' => true,
+			'path'    => $path,
+		) );
+	}
+
+	/**
+	 * Get a download URL for a single file or folder of a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function export_backup_path( WP_REST_Request $request ) {
+		$backup = $this->backup_manager->get_backup( $request->get_param( 'id' ) );
+
+		if ( ! $backup || empty( $backup['path'] ) || ! file_exists( $backup['path'] ) ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$path = $this->sanitize_backup_path( (string) $request->get_param( 'path' ) );
+
+		try {
+			$export = '' === $path ? null : $this->restore_manager->export_backup_path( $backup['path'], $path );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'export_too_large',
+				$e->getMessage(),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( null === $export ) {
+			return new WP_Error(
+				'export_failed',
+				__( 'Could not extract that file or folder from the backup.', 'swish-migrate-and-backup' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		$url = $this->storage_manager->get_adapter( 'local' )->get_download_url( $export );
+
+		return rest_ensure_response( array( 'url' => $url ) );
+	}
+
+	/**
+	 * Compare a text file in a backup with the live copy.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function diff_backup_file( WP_REST_Request $request ) {
+		$backup = $this->backup_manager->get_backup( $request->get_param( 'id' ) );
+
+		if ( ! $backup || empty( $backup['path'] ) || ! file_exists( $backup['path'] ) ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$path = $this->sanitize_backup_path( (string) $request->get_param( 'path' ) );
+
+		try {
+			$diff = '' === $path ? null : $this->restore_manager->diff_backup_file( $backup['path'], $path );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'diff_failed',
+				$e->getMessage(),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( null === $diff ) {
+			return new WP_Error(
+				'path_not_found',
+				__( 'That file is not in this backup.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return rest_ensure_response( $diff );
+	}
+
+	/**
+	 * Normalise a path inside a backup, relative to ABSPATH.
+	 *
+	 * @param string $path Raw path.
+	 * @return string Path without leading or trailing slashes, or '' if it is not allowed.
+	 */
+	private function sanitize_backup_path( string $path ): string {
+		$path = trim( str_replace( '\\', '/', $path ), '/' );
+
+		return str_contains( $path, '..' ) ? '' : $path;
+	}
+
+	/**
+	 * Start a chunked restore job.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function restore_start( WP_REST_Request $request ) {
+		$backup = $this->backup_manager->get_backup( $request->get_param( 'backup_id' ) );
+
+		if ( ! $backup || empty( $backup['path'] ) || ! file_exists( $backup['path'] ) ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$options = array(
+			'restore_database' => (bool) $request->get_param( 'restore_database' ),
+			'restore_files'    => (bool) $request->get_param( 'restore_files' ),
+		);
+
+		// Optional selection; leaving a list out restores everything of that kind.
+		$tables = $request->get_param( 'tables' );
+		if ( is_array( $tables ) ) {
+			$options['tables'] = array_values( array_filter(
+				$tables,
+				fn( $table ) => (bool) preg_match( '/^[a-zA-Z0-9_$]+$/', $table )
+			) );
+			$options['restore_database'] = $options['restore_database'] && ! empty( $options['tables'] );
+		}
+
+		$paths = $request->get_param( 'paths' );
+		if ( is_array( $paths ) ) {
+			$options['paths'] = array_values( array_filter(
+				array_map( fn( $path ) => $this->sanitize_backup_path( (string) $path ), $paths ),
+				fn( $path ) => '' !== $path
+			) );
+			$options['restore_files'] = $options['restore_files'] && ! empty( $options['paths'] );
+		}
+
+		if ( ! $options['restore_database'] && ! $options['restore_files'] ) {
+			return new WP_Error(
+				'nothing_selected',
+				__( 'Select at least one table or folder to restore.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		try {
+			$job = $this->restore_manager->start_job( 'restore_' . wp_generate_uuid4(), $backup['path'], $options );
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'restore_failed',
+				$e->getMessage(),
+				array( 'status' => 500 )
+			);
+		}
+
+		return rest_ensure_response(
+			array_merge(
+				$this->format_restore_job( $job ),
+				array( 'token' => $job['token'] )
+			)
+		);
+	}
+
+	/**
+	 * Continue a chunked restore job.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function restore_continue( WP_REST_Request $request ) {
+		$job = $this->restore_manager->get_job( $request->get_param( 'job_id' ) );
+
+		if ( ! $job ) {
+			return new WP_Error(
+				'job_not_found',
+				__( 'Restore job not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( in_array( $job['phase'], array( RestoreManager::PHASE_COMPLETE, RestoreManager::PHASE_FAILED ), true ) ) {
+			return rest_ensure_response( $this->format_restore_job( $job ) );
+		}
+
+		$job = $this->restore_manager->run_job_step( $job );
+
+		return rest_ensure_response( $this->format_restore_job( $job ) );
+	}
+
+	/**
+	 * Get chunked restore job status.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function restore_status( WP_REST_Request $request ) {
+		$job = $this->restore_manager->get_job( $request->get_param( 'job_id' ) );
+
+		if ( ! $job ) {
+			return new WP_Error(
+				'job_not_found',
+				__( 'Restore job not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return rest_ensure_response( $this->format_restore_job( $job ) );
+	}
+
+	/**
+	 * Get the rollback point left by the last restore.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_rollback_point( WP_REST_Request $request ): WP_REST_Response {
+		$point = $this->restore_manager->get_rollback_point();
+
+		if ( ! $point ) {
+			return rest_ensure_response( array( 'available' => false ) );
+		}
+
+		return rest_ensure_response( array(
+			'available'     => true,
+			'backup_id'     => $point['backup_id'],
+			'filename'      => $point['filename'],
+			'size'          => $point['size'],
+			'restored_from' => $point['restored_from'],
+			'created_at'    => $point['created_at'],
+			'expires_at'    => gmdate( 'c', $point['expires_at'] ),
+		) );
+	}
+
+	/**
+	 * Start a chunked restore of the rollback point's database snapshot.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rollback_start( WP_REST_Request $request ) {
+		$point = $this->restore_manager->get_rollback_point();
+
+		if ( ! $point ) {
+			return new WP_Error(
+				'rollback_unavailable',
+				__( 'There is no restore to roll back, or the rollback window has passed.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		try {
+			$job = $this->restore_manager->start_job(
+				'restore_' . wp_generate_uuid4(),
+				$point['path'],
+				array(
+					'restore_database' => true,
+					'restore_files'    => false,
+					'rollback'         => true,
+				)
+			);
+		} catch ( \Exception $e ) {
+			return new WP_Error(
+				'restore_failed',
+				$e->getMessage(),
+				array( 'status' => 500 )
+			);
+		}
+
+		return rest_ensure_response(
+			array_merge(
+				$this->format_restore_job( $job ),
+				array( 'token' => $job['token'] )
+			)
+		);
+	}
+
+	/**
+	 * Format a restore job for a REST response.
+	 *
+	 * @param array $job Job state.
+	 * @return array
+	 */
+	private function format_restore_job( array $job ): array {
+		return array(
+			'success'      => RestoreManager::PHASE_FAILED !== $job['phase'],
+			'job_id'       => $job['job_id'],
+			'phase'        => $job['phase'],
+			'completed'    => RestoreManager::PHASE_COMPLETE === $job['phase'],
+			'progress'     => $this->restore_manager->get_job_progress( $job ),
+			'reauth'       => ! empty( $job['reauth'] ),
+			'snapshot'     => ! empty( $job['snapshot'] ),
+			'error'        => $job['error'] ?? null,
+			'failed_phase' => $job['failed_phase'] ?? null,
+			'stats'        => array(
+				'snapshot' => array(
+					'done'  => $job['snapshot_backup']['cursor']['table'] ?? 0,
+					'total' => count( $job['snapshot_backup']['cursor']['tables'] ?? array() ),
+				),
+				'extract'  => array(
+					'done'  => $job['extract']['done'],
+					'total' => $job['extract']['total'],
+				),
+				'files'    => array(
+					'done'  => $job['files']['done'],
+					'total' => $job['files']['total'],
+				),
+				'database' => array(
+					'tables_done'   => count( $job['database']['tables'] ),
+					'tables_total'  => $job['database']['tables_total'],
+					'current_table' => $job['database']['current_table'],
+					'offset'        => $job['database']['offset'],
+					'size'          => $job['database']['size'],
+				),
+			),
+		);
+	}
+
+	/**
+	 * Import a backup file for migration.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_backup( WP_REST_Request $request ) {
+		// Check for previous fatal error stored in transient.
+		$last_error = get_transient( 'swish_import_fatal_error' );
+		if ( $last_error ) {
+			delete_transient( 'swish_import_fatal_error' );
+			return new WP_Error(
+				'previous_error',
+				$last_error,
+				array( 'status' => 500 )
+			);
+		}
+
+		// Register shutdown handler to catch fatal errors.
+		$this->register_import_shutdown_handler();
+
+		// Check available memory before proceeding.
+		$memory_check = $this->check_memory_for_import();
+		if ( is_wp_error( $memory_check ) ) {
+			return $memory_check;
+		}
+
+		$files = $request->get_file_params();
+
+		if ( empty( $files['backup_file'] ) ) {
+			return new WP_Error(
+				'no_file',
+				__( 'No backup file provided.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$file = $files['backup_file'];
+
+		// Check for upload errors.
+		if ( $file['error'] !== UPLOAD_ERR_OK ) {
+			$error_messages = array(
+				UPLOAD_ERR_INI_SIZE   => __( 'File exceeds upload_max_filesize directive.', 'swish-migrate-and-backup' ),
+				UPLOAD_ERR_FORM_SIZE  => __( 'File exceeds MAX_FILE_SIZE directive.', 'swish-migrate-and-backup' ),
+				UPLOAD_ERR_PARTIAL    => __( 'File was only partially uploaded.', 'swish-migrate-and-backup' ),
+				UPLOAD_ERR_NO_FILE    => __( 'No file was uploaded.', 'swish-migrate-and-backup' ),
+				UPLOAD_ERR_NO_TMP_DIR => __( 'Missing temporary folder.', 'swish-migrate-and-backup' ),
+				UPLOAD_ERR_CANT_WRITE => __( 'Failed to write file to disk.', 'swish-migrate-and-backup' ),
+			);
+
+			$message = $error_messages[ $file['error'] ] ?? __( 'Unknown upload error.', 'swish-migrate-and-backup' );
+
+			return new WP_Error(
+				'upload_error',
+				$message,
+				array( 'status' => 400 )
+			);
+		}
+
+		// Validate file type.
+		$file_type = wp_check_filetype( $file['name'], array( 'zip' => 'application/zip' ) );
+		if ( ! $file_type['ext'] ) {
+			return new WP_Error(
+				'invalid_file_type',
+				__( 'Invalid file type. Only ZIP files are allowed.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Set up custom upload directory for backup imports.
+		$backup_dir = WP_CONTENT_DIR . '/swish-backups/imports';
+
+		if ( ! file_exists( $backup_dir ) ) {
+			wp_mkdir_p( $backup_dir );
+		}
+
+		// Custom upload directory filter.
+		$upload_dir_filter = function ( $uploads ) use ( $backup_dir ) {
+			$uploads['path']   = $backup_dir;
+			$uploads['url']    = content_url( 'swish-backups/imports' );
+			$uploads['subdir'] = '';
+			return $uploads;
+		};
+
+		// Add filter temporarily to redirect upload to our backup imports directory.
+		add_filter( 'upload_dir', $upload_dir_filter );
+
+		// Allow ZIP files for this upload.
+		$upload_overrides = array(
+			'test_form'                => false,
+			'test_type'                => true,
+			'mimes'                    => array( 'zip' => 'application/zip' ),
+			'unique_filename_callback' => null,
+		);
+
+		// Include the file with wp_handle_upload function.
+		if ( ! function_exists( 'wp_handle_upload' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+		}
+
+		// Use WordPress file upload handler.
+		$upload_result = \wp_handle_upload( $file, $upload_overrides );
+
+		// Remove the filter after upload.
+		remove_filter( 'upload_dir', $upload_dir_filter );
+
+		// Check for upload errors.
+		if ( isset( $upload_result['error'] ) ) {
+			return new WP_Error(
+				'upload_failed',
+				$upload_result['error'],
+				array( 'status' => 500 )
+			);
+		}
+
+		return $this->analyze_imported_backup( $upload_result['file'] );
+	}
+
+	/**
+	 * Start or resume a chunked backup upload.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_session_start( WP_REST_Request $request ) {
+		$filename  = (string) $request->get_param( 'filename' );
+		$file_type = wp_check_filetype( $filename, array( 'zip' => 'application/zip' ) );
+
+		if ( ! $file_type['ext'] ) {
+			return new WP_Error(
+				'invalid_file_type',
+				__( 'Invalid file type. Only ZIP files are allowed.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		try {
+			$session = $this->import_session->start(
+				$filename,
+				(int) $request->get_param( 'size' ),
+				(string) $request->get_param( 'fingerprint' )
+			);
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'import_session_failed',
+				$e->getMessage(),
+				array( 'status' => 400 )
+			);
+		}
+
+		return rest_ensure_response( $this->format_import_session( $session ) );
+	}
+
+	/**
+	 * Get the state of a chunked backup upload.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_session_status( WP_REST_Request $request ) {
+		$session = $this->import_session->get( $request->get_param( 'id' ) );
+
+		if ( null === $session ) {
+			return new WP_Error(
+				'import_session_not_found',
+				__( 'Upload session not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		return rest_ensure_response( $this->format_import_session( $session ) );
+	}
+
+	/**
+	 * Receive one chunk of a backup upload.
+	 *
+	 * The chunk is sent as the raw request body.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_session_chunk( WP_REST_Request $request ) {
+		$session = $this->import_session->get( $request->get_param( 'id' ) );
+
+		if ( null === $session ) {
+			return new WP_Error(
+				'import_session_not_found',
+				__( 'Upload session not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		try {
+			$session = $this->import_session->write_chunk(
+				$session,
+				(int) $request->get_param( 'index' ),
+				(string) $request->get_body(),
+				(string) $request->get_param( 'checksum' )
+			);
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'chunk_rejected',
+				$e->getMessage(),
+				array( 'status' => 422 )
+			);
+		}
+
+		return rest_ensure_response( $this->format_import_session( $session ) );
+	}
+
+	/**
+	 * Reassemble a chunked upload and analyze the backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_session_complete( WP_REST_Request $request ) {
+		$session = $this->import_session->get( $request->get_param( 'id' ) );
+
+		if ( null === $session ) {
+			return new WP_Error(
+				'import_session_not_found',
+				__( 'Upload session not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$this->register_import_shutdown_handler();
+
+		$memory_check = $this->check_memory_for_import();
+		if ( is_wp_error( $memory_check ) ) {
+			return $memory_check;
+		}
+
+		try {
+			$destination = $this->import_session->complete( $session );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'import_incomplete',
+				$e->getMessage(),
+				array( 'status' => 409 )
+			);
+		}
+
+		return $this->analyze_imported_backup( $destination );
+	}
+
+	/**
+	 * Start or resume downloading a backup from a URL.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_url_start( WP_REST_Request $request ) {
+		try {
+			$session = $this->import_session->start_remote( esc_url_raw( trim( (string) $request->get_param( 'url' ) ) ) );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'import_url_failed',
+				$e->getMessage(),
+				array( 'status' => 400 )
+			);
+		}
+
+		return rest_ensure_response( $this->format_import_session( $session ) );
+	}
+
+	/**
+	 * Download the next chunks of a backup from its URL or storage destination.
+	 *
+	 * Each call works for a short time budget so the browser can report
+	 * progress and call again until every chunk has been received.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_session_fetch( WP_REST_Request $request ) {
+		$session = $this->import_session->get( $request->get_param( 'id' ) );
+
+		if ( null === $session ) {
+			return new WP_Error(
+				'import_session_not_found',
+				__( 'Upload session not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		@set_time_limit( 300 );
+
+		try {
+			$session = $this->import_session->fetch_chunks( $session, microtime( true ) + 20 );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'fetch_failed',
+				$e->getMessage(),
+				array( 'status' => 502 )
+			);
+		}
+
+		return rest_ensure_response( $this->format_import_session( $session ) );
+	}
+
+	/**
+	 * List the remote storage destinations backups can be imported from.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_import_storages( WP_REST_Request $request ): WP_REST_Response {
+		$storages = array();
+
+		foreach ( $this->storage_manager->get_configured_adapters() as $id => $adapter ) {
+			if ( 'local' === $id ) {
+				continue;
+			}
+
+			$storages[] = array(
+				'id'   => $id,
+				'name' => $adapter->get_name(),
+			);
+		}
+
+		return rest_ensure_response( $storages );
+	}
+
+	/**
+	 * List folders and backup archives in a storage destination.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function list_import_storage( WP_REST_Request $request ) {
+		$adapter = $this->get_import_adapter( $request->get_param( 'adapter' ) );
+
+		if ( is_wp_error( $adapter ) ) {
+			return $adapter;
+		}
+
+		$items = array_filter(
+			$adapter->list( (string) $request->get_param( 'path' ) ),
+			fn( array $item ) => $item['is_directory'] || in_array( strtolower( pathinfo( $item['name'], PATHINFO_EXTENSION ) ), array( 'zip', 'swish' ), true )
+		);
+
+		return rest_ensure_response( array_values( $items ) );
+	}
+
+	/**
+	 * Start or resume downloading a backup from a storage destination.
+	 *
+	 * The browser then calls the session's fetch route until every chunk
+	 * has arrived, and completes the session to analyze the backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function import_from_storage( WP_REST_Request $request ) {
+		$adapter = $this->get_import_adapter( $request->get_param( 'adapter' ) );
+
+		if ( is_wp_error( $adapter ) ) {
+			return $adapter;
+		}
+
+		$path = (string) $request->get_param( 'path' );
+
+		if ( ! in_array( strtolower( pathinfo( $path, PATHINFO_EXTENSION ) ), array( 'zip', 'swish' ), true ) ) {
+			return new WP_Error(
+				'invalid_file_type',
+				__( 'Invalid file type. Only ZIP and .swish backups are allowed.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		try {
+			$session = $this->import_session->start_storage( $adapter, $path );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'import_storage_failed',
+				$e->getMessage(),
+				array( 'status' => 502 )
+			);
+		}
+
+		return rest_ensure_response( $this->format_import_session( $session ) );
+	}
+
+	/**
+	 * Get a configured remote storage adapter for importing.
+	 *
+	 * @param string $adapter_id Adapter ID.
+	 * @return StorageAdapterInterface|WP_Error
+	 */
+	private function get_import_adapter( string $adapter_id ) {
+		if ( 'local' === $adapter_id || ! $this->storage_manager->has_adapter( $adapter_id ) ) {
+			return new WP_Error(
+				'storage_not_found',
+				__( 'Storage adapter not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$adapter = $this->storage_manager->get_adapter( $adapter_id );
+
+		if ( ! $adapter->is_configured() ) {
+			return new WP_Error(
+				'storage_not_configured',
+				__( 'Storage adapter not configured.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return $adapter;
+	}
+
+	/**
+	 * Format a chunked upload session for the API.
+	 *
+	 * @param array $session Session state.
+	 * @return array Formatted session.
+	 */
+	private function format_import_session( array $session ): array {
+		return array(
+			'id'           => $session['id'],
+			'filename'     => $session['filename'],
+			'size'         => $session['size'],
+			'chunk_size'   => $session['chunk_size'],
+			'total_chunks' => $session['total_chunks'],
+			'received'     => $session['received'],
+		);
+	}
+
+	/**
+	 * Analyze a backup that has landed in the imports directory.
+	 *
+	 * @param string $destination Path to the imported backup.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function analyze_imported_backup( string $destination ) {
+		$filename = basename( $destination );
+
+		// Analyze the backup.
+		$analysis = $this->migrator->analyze_backup( $destination );
+
+		if ( null === $analysis ) {
+			// Clean up the uploaded file.
+			wp_delete_file( $destination );
+			return new WP_Error(
+				'analysis_failed',
+				__( 'Failed to analyze backup. The file may be corrupted or not a valid Swish backup.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return rest_ensure_response( array(
+			'success'      => true,
+			'backup_path'  => $destination,
+			'filename'     => $filename,
+			'size'         => filesize( $destination ),
+			'analysis'     => $analysis,
+		) );
+	}
+
+	/**
+	 * Generate a connection key so another site can pull from this one.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function generate_connection_key( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response( array( 'key' => $this->site_connection->generate_key() ) );
+	}
+
+	/**
+	 * Revoke this site's connection key.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function revoke_connection_key( WP_REST_Request $request ): WP_REST_Response {
+		$this->site_connection->revoke_key();
+
+		return rest_ensure_response( array( 'success' => true ) );
+	}
+
+	/**
+	 * Pair with a source site using its connection key.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function connect_pull_source( WP_REST_Request $request ) {
+		try {
+			$source = $this->site_connection->connect( (string) $request->get_param( 'key' ) );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'connect_failed',
+				$e->getMessage(),
+				array( 'status' => 400 )
+			);
+		}
+
+		return rest_ensure_response( $source );
+	}
+
+	/**
+	 * Forget the paired source site.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function disconnect_pull_source( WP_REST_Request $request ): WP_REST_Response {
+		$this->site_connection->disconnect();
+
+		return rest_ensure_response( array( 'success' => true ) );
+	}
+
+	/**
+	 * Ask the paired source site to start building a backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function pull_backup_start( WP_REST_Request $request ) {
+		try {
+			$status = $this->site_connection->request( 'POST', '/remote/backup' );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'pull_failed',
+				$e->getMessage(),
+				array( 'status' => 502 )
+			);
+		}
+
+		return rest_ensure_response( $status );
+	}
+
+	/**
+	 * Check on the backup being built by the paired source site.
+	 *
+	 * Once the archive is complete, an import session is started that
+	 * downloads it from the source in chunks through the import session
+	 * fetch route.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function pull_backup_continue( WP_REST_Request $request ) {
+		$job_id = (string) $request->get_param( 'job_id' );
+
+		try {
+			$status = $this->site_connection->request( 'POST', '/remote/backup/' . $job_id );
+
+			if ( empty( $status['completed'] ) ) {
+				return rest_ensure_response( $status );
+			}
+
+			$session = $this->import_session->start_remote(
+				$this->site_connection->get_remote_url( '/remote/backup/' . $job_id . '/download' ),
+				true,
+				(string) ( $status['filename'] ?? '' )
+			);
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error(
+				'pull_failed',
+				$e->getMessage(),
+				array( 'status' => 502 )
+			);
+		}
+
+		$status['session'] = $this->format_import_session( $session );
+
+		return rest_ensure_response( $status );
+	}
+
+	/**
+	 * Describe this site to a site that is pairing with it.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function remote_handshake( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response( array(
+			'site_url'       => get_site_url(),
+			'home_url'       => get_home_url(),
+			'name'           => get_bloginfo( 'name' ),
+			'wp_version'     => get_bloginfo( 'version' ),
+			'plugin_version' => SWISH_BACKUP_VERSION,
+		) );
+	}
+
+	/**
+	 * Start a full backup for a site pulling from this one.
+	 *
+	 * The backup is a ZIP with the manifest and database dump, which is what
+	 * migration analysis and restore read; it runs as an async backup job.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function remote_backup_start( WP_REST_Request $request ) {
+		$settings = get_option( 'swish_backup_settings', array() );
+
+		$result = $this->backup_manager->start_async_backup( array(
+			'type'                 => 'full',
+			'archive_format'       => 'zip',
+			'backup_database'      => true,
+			'backup_plugins'       => $settings['backup_plugins'] ?? true,
+			'backup_themes'        => $settings['backup_themes'] ?? true,
+			'backup_uploads'       => $settings['backup_uploads'] ?? true,
+			'backup_core_files'    => $settings['backup_core_files'] ?? true,
+			'storage_destinations' => array( 'local' ),
+			'exclude_plugins'      => $settings['exclude_plugins'] ?? array(),
+			'exclude_themes'       => $settings['exclude_themes'] ?? array(),
+			'exclude_uploads'      => $settings['exclude_uploads'] ?? array(),
+		) );
+
+		// Only jobs recorded here can be advanced and downloaded through the remote routes.
+		update_option(
+			'swish_remote_backup_' . $result['job_id'],
+			array( 'started_at' => time() ),
+			false
+		);
+
+		// Backups the pulling site never finishes downloading are removed after a day.
+		wp_schedule_single_event( time() + DAY_IN_SECONDS, 'swish_backup_delete_remote_backup', array( $result['job_id'] ) );
+
+		return $this->format_remote_backup( $result['job_id'] );
+	}
+
+	/**
+	 * Report the progress of a backup for a site pulling from this one.
+	 *
+	 * The backup runs through WP-Cron in steps. If a step has not been
+	 * picked up after a short while, for example because loopback requests
+	 * are blocked, that one step is run in this request instead, within a
+	 * time budget, so the backup advances a step per poll.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function remote_backup_continue( WP_REST_Request $request ) {
+		$job_id = (string) $request->get_param( 'job_id' );
+		$remote = get_option( 'swish_remote_backup_' . $job_id );
+
+		if ( ! $remote ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$this->backup_manager->run_stalled_step( $job_id, self::REMOTE_STEP_TIME_BUDGET );
+
+		return $this->format_remote_backup( $job_id );
+	}
+
+	/**
+	 * Stream a finished backup to a site pulling from this one.
+	 *
+	 * Supports a single byte range so the archive can be fetched in chunks.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_Error|void Error if the backup is not available; otherwise the file is sent and the request ends.
+	 */
+	public function remote_backup_download( WP_REST_Request $request ) {
+		$job_id = (string) $request->get_param( 'job_id' );
+		$backup = get_option( 'swish_remote_backup_' . $job_id ) ? $this->backup_manager->get_backup( $job_id ) : null;
+
+		if ( ! $backup || 'completed' !== $backup['status'] || ! file_exists( $backup['path'] ) ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup file not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$path   = $backup['path'];
+		$size   = filesize( $path );
+		$start  = 0;
+		$end    = $size - 1;
+		$status = 200;
+
+		if ( preg_match( '/^bytes=(\d+)-(\d*)$/', (string) $request->get_header( 'range' ), $matches ) ) {
+			$start  = (int) $matches[1];
+			$end    = '' === $matches[2] ? $end : min( $end, (int) $matches[2] );
+			$status = 206;
+
+			if ( $start > $end ) {
+				return new WP_Error(
+					'range_not_satisfiable',
+					__( 'The requested range is outside the backup file.', 'swish-migrate-and-backup' ),
+					array( 'status' => 416 )
+				);
+			}
+		}
+
+		// Clear any output buffers.
+		while ( ob_get_level() ) {
+			ob_end_clean();
+		}
+
+		status_header( $status );
+		nocache_headers();
+		header( 'Content-Type: application/octet-stream' );
+		header( 'Content-Disposition: attachment; filename="' . basename( $path ) . '"' );
+		header( 'Accept-Ranges: bytes' );
+		header( 'Content-Length: ' . ( $end - $start + 1 ) );
+
+		if ( 206 === $status ) {
+			header( 'Content-Range: bytes ' . $start . '-' . $end . '/' . $size );
+		}
+
+		if ( 'HEAD' !== $request->get_method() ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+			$handle    = fopen( $path, 'rb' );
+			$remaining = $end - $start + 1;
+
+			fseek( $handle, $start );
+
+			while ( $remaining > 0 && ! feof( $handle ) ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fread
+				$buffer = fread( $handle, (int) min( 1048576, $remaining ) );
+				// phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+				echo $buffer;
+				$remaining -= strlen( $buffer );
+				flush();
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $handle );
+		}
+
+		exit;
+	}
+
+	/**
+	 * Delete a backup once the site pulling from this one has all of it.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function remote_backup_finish( WP_REST_Request $request ) {
+		$job_id = (string) $request->get_param( 'job_id' );
+
+		if ( ! get_option( 'swish_remote_backup_' . $job_id ) ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$this->delete_remote_backup( $job_id );
+
+		return rest_ensure_response( array( 'deleted' => true ) );
+	}
+
+	/**
+	 * Delete a backup built for a site pulling from this one.
+	 *
+	 * Also hooked to swish_backup_delete_remote_backup for backups whose
+	 * download was never finished.
+	 *
+	 * @param string $job_id Backup job ID.
+	 * @return void
+	 */
+	public function delete_remote_backup( string $job_id ): void {
+		if ( ! get_option( 'swish_remote_backup_' . $job_id ) ) {
+			return;
+		}
+
+		$this->backup_manager->delete_backup( $job_id );
+		delete_option( 'swish_remote_backup_' . $job_id );
+		wp_clear_scheduled_hook( 'swish_backup_delete_remote_backup', array( $job_id ) );
+	}
+
+	/**
+	 * Describe a backup job to a site pulling from this one.
+	 *
+	 * Server paths of this site are left out.
+	 *
+	 * @param string $job_id Backup job ID.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function format_remote_backup( string $job_id ) {
+		$job = $this->backup_manager->get_job_status( $job_id );
+
+		if ( ! $job ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( 'failed' === $job['status'] ) {
+			delete_option( 'swish_remote_backup_' . $job_id );
+
+			return new WP_Error(
+				'backup_failed',
+				'' !== $job['message'] ? $job['message'] : __( 'The backup failed on the source site.', 'swish-migrate-and-backup' ),
+				array( 'status' => 500 )
+			);
+		}
+
+		$completed = 'completed' === $job['status'];
+
+		return rest_ensure_response( array(
+			'job_id'    => $job_id,
+			'completed' => $completed,
+			'progress'  => $completed ? 100 : $job['progress'],
+			'message'   => $job['message'],
+			'filename'  => $completed ? basename( $job['path'] ) : '',
+			'file_size' => $completed ? $job['size'] : null,
+		) );
+	}
+
+	/**
+	 * Run migration.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function run_migration( WP_REST_Request $request ) {
+		// Check available memory before proceeding.
+		$memory_check = $this->check_memory_for_import();
+		if ( is_wp_error( $memory_check ) ) {
+			return $memory_check;
+		}
+
+		$options = array(
+			'old_url'          => $request->get_param( 'old_url' ),
+			'new_url'          => $request->get_param( 'new_url' ),
+			'restore_database' => $request->get_param( 'restore_database' ) ?? true,
+			'restore_files'    => $request->get_param( 'restore_files' ) ?? true,
+		);
+
+		$backup_path = $request->get_param( 'backup_path' );
+
+		if ( $backup_path && ! file_exists( $backup_path ) ) {
+			return new WP_Error(
+				'backup_not_found',
+				__( 'Backup file not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( ! $backup_path && ( empty( $options['old_url'] ) || empty( $options['new_url'] ) ) ) {
+			return new WP_Error(
+				'missing_urls',
+				__( 'Both the old and the new URL are required.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		// Without a backup only the URL replacement runs.
+		$job = $this->migrator->start_job( $backup_path ?: null, $options );
+
+		return rest_ensure_response(
+			array_merge(
+				$this->format_migration_job( $job ),
+				array( 'token' => $job['token'] )
+			)
+		);
+	}
+
+	/**
+	 * Format a migration job for the API.
+	 *
+	 * @param array $job Job state.
+	 * @return array Formatted job.
+	 */
+	private function format_migration_job( array $job ): array {
+		$stages = array();
+
+		foreach ( $job['stages'] as $stage => $state ) {
+			$stages[] = array(
+				'stage'  => $stage,
+				'status' => $state['status'],
+				'detail' => $state['detail'],
+			);
+		}
+
+		return array(
+			'job_id'       => $job['job_id'],
+			'type'         => 'migration',
+			'status'       => $job['status'],
+			'progress'     => $job['progress'],
+			'message'      => $job['message'],
+			'stage'        => $job['stage'],
+			'stages'       => $stages,
+			'error'        => $job['error'],
+			'failed_stage' => $job['failed_stage'],
+			'reauth'       => $job['reauth'],
+			'result'       => $job['result'],
+			'updated_at'   => $job['updated_at'],
+		);
+	}
+
+	/**
+	 * Search and replace.
+	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function create_backup( WP_REST_Request $request ) {
-		$type = $request->get_param( 'type' );
-		$async = $request->get_param( 'async' ) ?? true; // Default to async.
+	public function search_replace( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$search = $request->get_param( 'search' );
+		$replace = $request->get_param( 'replace' );
+		$dry_run = $request->get_param( 'dry_run' );
+		$options = $this->get_search_replace_options( $request );
 
-		$settings = get_option( 'swish_backup_settings', array() );
-		$options = array(
-			'type'                 => $type ?? 'full',
-			'backup_database'      => $settings['backup_database'] ?? true,
-			'backup_plugins'       => $settings['backup_plugins'] ?? true,
-			'backup_themes'        => $settings['backup_themes'] ?? true,
-			'backup_uploads'       => $settings['backup_uploads'] ?? true,
-			'backup_core_files'    => $settings['backup_core_files'] ?? true,
-			'storage_destinations' => $request->get_param( 'destinations' ) ?? array( 'local' ),
-			'db_batch_size'        => $request->get_param( 'db_batch_size' ) ?? 200,
-			'file_batch_size'      => $request->get_param( 'file_batch_size' ) ?? 50,
-			// Granular exclusions.
-			'exclude_plugins'      => $settings['exclude_plugins'] ?? array(),
-			'exclude_themes'       => $settings['exclude_themes'] ?? array(),
-			'exclude_uploads'      => $settings['exclude_uploads'] ?? array(),
-		);
+		if ( $dry_run ) {
+			$result = $this->migrator->preview_search_replace(
+				$search,
+				$replace,
+				$options,
+				(int) $request->get_param( 'per_page' ),
+				(array) $request->get_param( 'cursor' )
+			);
+		} else {
+			$result = $this->migrator->custom_search_replace( $search, $replace, array(), $options );
+		}
 
-		// Use async processing to avoid timeouts on shared/managed hosting.
-		if ( $async ) {
-			$result = $this->backup_manager->start_async_backup( $options );
-			return rest_ensure_response( $result );
+		if ( false === ( $result['success'] ?? true ) ) {
+			return new WP_Error(
+				'invalid_search',
+				$result['error'] ?? __( 'Search and replace failed.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
 		}
 
-		// Synchronous backup (legacy, not recommended for large sites).
-		$result = match ( $type ) {
-			'database' => $this->backup_manager->create_database_backup( $options ),
-			'files'    => $this->backup_manager->create_files_backup( $options ),
-			default    => $this->backup_manager->create_full_backup( $options ),
-		};
+		return rest_ensure_response( $result );
+	}
 
-		// Check if backup failed.
-		if ( isset( $result['error'] ) ) {
-			// Check if it's a size limit error.
-			if ( strpos( $result['error'], '2GB limit' ) !== false ) {
-				return new WP_Error(
-					'backup_size_limit_exceeded',
-					$result['error'],
-					array(
-						'status'      => 402,
-						'upgrade_url' => SWISH_BACKUP_PRO_URL,
-					)
-				);
-			}
+	/**
+	 * Search and replace a batch of pairs, applied in order in one pass.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function search_replace_batch( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$pairs   = (array) $request->get_param( 'pairs' );
+		$options = $this->get_search_replace_options( $request );
+
+		if ( $request->get_param( 'dry_run' ) ) {
+			$result = $this->migrator->preview_batch_search_replace(
+				$pairs,
+				$options,
+				(int) $request->get_param( 'per_page' ),
+				(array) $request->get_param( 'cursor' )
+			);
+		} else {
+			$result = $this->migrator->batch_search_replace( $pairs, $options );
+		}
 
-			// Generic backup failure.
+		if ( false === ( $result['success'] ?? true ) ) {
 			return new WP_Error(
-				'backup_failed',
-				$result['error'],
-				array( 'status' => 500 )
+				'invalid_search',
+				$result['error'] ?? __( 'Search and replace failed.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
 			);
 		}
 
@@ -469,329 +2908,625 @@ final class RestController extends WP_REST_Controller {
 	}
 
 	/**
-	 * Get list of backups.
+	 * Suggest the replacements for moving from one URL to another.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response
 	 */
-	public function get_backups( WP_REST_Request $request ): WP_REST_Response {
-		$backups = $this->backup_manager->get_backups( 50 );
-		return rest_ensure_response( $backups );
+	public function get_search_replace_suggestions( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response(
+			$this->migrator->suggest_url_replacements(
+				$request->get_param( 'old_url' ),
+				$request->get_param( 'new_url' )
+			)
+		);
 	}
 
 	/**
-	 * Get a single backup.
+	 * Get the arguments shared by the search and replace routes.
 	 *
-	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response|WP_Error
+	 * @return array Route arguments.
 	 */
-	public function get_backup( WP_REST_Request $request ) {
-		$backup = $this->backup_manager->get_backup( $request->get_param( 'id' ) );
-
-		if ( ! $backup ) {
-			return new WP_Error(
-				'backup_not_found',
-				__( 'Backup not found.', 'swish-migrate-and-backup' ),
-				array( 'status' => 404 )
-			);
-		}
+	private function get_search_replace_args(): array {
+		return array(
+			'dry_run'          => array(
+				'type'    => 'boolean',
+				'default' => false,
+			),
+			'case_insensitive' => array(
+				'type'    => 'boolean',
+				'default' => false,
+			),
+			'whole_word'       => array(
+				'type'    => 'boolean',
+				'default' => false,
+			),
+			'regex'            => array(
+				'type'    => 'boolean',
+				'default' => false,
+			),
+			'scope'            => array(
+				'type'    => 'object',
+				'default' => array(),
+			),
+			'cursor'           => array(
+				'type'    => 'object',
+				'default' => array(),
+			),
+			'per_page'         => array(
+				'type'    => 'integer',
+				'default' => 25,
+				'minimum' => 1,
+				'maximum' => 100,
+			),
+		);
+	}
 
-		return rest_ensure_response( $backup );
+	/**
+	 * Get the matching options of a search and replace request.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return array Options for SearchReplace::run().
+	 */
+	private function get_search_replace_options( WP_REST_Request $request ): array {
+		return array(
+			'case_insensitive' => (bool) $request->get_param( 'case_insensitive' ),
+			'whole_word'       => (bool) $request->get_param( 'whole_word' ),
+			'regex'            => (bool) $request->get_param( 'regex' ),
+			'scope'            => (array) $request->get_param( 'scope' ),
+		);
 	}
 
 	/**
-	 * Delete a backup.
+	 * Start scanning theme and plugin files for the old site URL.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function delete_backup( WP_REST_Request $request ) {
+	public function start_file_scan( WP_REST_Request $request ): WP_REST_Response|WP_Error {
 		try {
-			$deleted = $this->backup_manager->delete_backup( $request->get_param( 'id' ) );
-
-			if ( ! $deleted ) {
-				return new WP_Error(
-					'delete_failed',
-					__( 'Failed to delete backup.', 'swish-migrate-and-backup' ),
-					array( 'status' => 500 )
-				);
-			}
-
-			return rest_ensure_response( array( 'deleted' => true ) );
-		} catch ( \Exception $e ) {
-			return new WP_Error(
-				'delete_failed',
-				$e->getMessage(),
-				array( 'status' => 500 )
+			$scan = $this->file_url_scanner->start(
+				(string) $request->get_param( 'old_url' ),
+				(string) $request->get_param( 'new_url' )
 			);
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error( 'file_scan_failed', $e->getMessage(), array( 'status' => 400 ) );
 		}
+
+		return rest_ensure_response( $this->format_file_scan( $scan ) );
 	}
 
 	/**
-	 * Get download URL for a backup.
+	 * Continue a file scan.
+	 *
+	 * Each call works for a short time budget so the browser can report
+	 * progress and call again until the scan is complete.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function get_download_url( WP_REST_Request $request ) {
-		$backup = $this->backup_manager->get_backup( $request->get_param( 'id' ) );
+	public function continue_file_scan( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$scan = $this->file_url_scanner->get( $request->get_param( 'id' ) );
 
-		if ( ! $backup ) {
+		if ( null === $scan ) {
 			return new WP_Error(
-				'backup_not_found',
-				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				'file_scan_not_found',
+				__( 'File scan not found.', 'swish-migrate-and-backup' ),
 				array( 'status' => 404 )
 			);
 		}
 
-		$adapter = $this->storage_manager->get_default_adapter();
-		$url = $adapter->get_download_url( $backup['filename'] );
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		@set_time_limit( 300 );
 
-		return rest_ensure_response( array( 'url' => $url ) );
+		$scan = $this->file_url_scanner->scan( $scan, microtime( true ) + 20 );
+
+		return rest_ensure_response( $this->format_file_scan( $scan ) );
 	}
 
 	/**
-	 * Restore a backup.
+	 * Rewrite the old URL in static assets found by a file scan.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function restore_backup( WP_REST_Request $request ) {
-		$backup = $this->backup_manager->get_backup( $request->get_param( 'backup_id' ) );
+	public function rewrite_scanned_files( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$scan = $this->file_url_scanner->get( $request->get_param( 'id' ) );
 
-		if ( ! $backup ) {
+		if ( null === $scan ) {
 			return new WP_Error(
-				'backup_not_found',
-				__( 'Backup not found.', 'swish-migrate-and-backup' ),
+				'file_scan_not_found',
+				__( 'File scan not found.', 'swish-migrate-and-backup' ),
 				array( 'status' => 404 )
 			);
 		}
 
-		$options = array(
-			'restore_database' => $request->get_param( 'restore_database' ) ?? true,
-			'restore_files'    => $request->get_param( 'restore_files' ) ?? true,
+		try {
+			$scan = $this->file_url_scanner->rewrite( $scan, (array) $request->get_param( 'files' ) );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error( 'rewrite_failed', $e->getMessage(), array( 'status' => 400 ) );
+		}
+
+		return rest_ensure_response( $this->format_file_scan( $scan ) );
+	}
+
+	/**
+	 * Format a file scan for the REST response.
+	 *
+	 * @param array $scan Scan state.
+	 * @return array Formatted scan.
+	 */
+	private function format_file_scan( array $scan ): array {
+		return array(
+			'id'             => $scan['id'],
+			'status'         => $scan['status'],
+			'old_url'        => $scan['old_url'],
+			'new_url'        => $scan['new_url'],
+			'files_total'    => $scan['files_total'],
+			'files_checked'  => $scan['file_offset'],
+			'files_matched'  => $scan['files_matched'],
+			'findings'       => $scan['findings'],
+			'truncated'      => $scan['truncated'],
+			'rewritten'      => $scan['rewritten'],
+			'rewrite_result' => $scan['rewrite_result'] ?? null,
 		);
+	}
 
-		$result = $this->restore_manager->restore( $backup['path'], $options );
+	/**
+	 * Get the choices for scoping a search and replace.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_search_replace_scope( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response( $this->migrator->get_search_replace_scope() );
+	}
 
-		if ( ! $result ) {
-			return new WP_Error(
-				'restore_failed',
-				__( 'Restore failed.', 'swish-migrate-and-backup' ),
-				array( 'status' => 500 )
-			);
+	/**
+	 * Get the history of search and replace runs.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_search_replace_runs( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response( $this->migrator->get_search_replace_runs() );
+	}
+
+	/**
+	 * Undo a search and replace run.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function undo_search_replace( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		try {
+			$result = $this->migrator->undo_search_replace( $request->get_param( 'run_id' ) );
+		} catch ( \RuntimeException $e ) {
+			return new WP_Error( 'undo_failed', $e->getMessage(), array( 'status' => 400 ) );
 		}
 
-		return rest_ensure_response( array( 'success' => true ) );
+		return rest_ensure_response( $result );
 	}
 
 	/**
-	 * Import a backup file for migration.
+	 * Get all backup schedules.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_schedules( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response( array_map( array( $this, 'format_schedule' ), $this->scheduler->get_schedules() ) );
+	}
+
+	/**
+	 * Get a single backup schedule.
 	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function import_backup( WP_REST_Request $request ) {
-		// Check for previous fatal error stored in transient.
-		$last_error = get_transient( 'swish_import_fatal_error' );
-		if ( $last_error ) {
-			delete_transient( 'swish_import_fatal_error' );
-			return new WP_Error(
-				'previous_error',
-				$last_error,
-				array( 'status' => 500 )
-			);
+	public function get_schedule( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$schedule = $this->scheduler->get_schedule( (int) $request->get_param( 'id' ) );
+
+		if ( null === $schedule ) {
+			return $this->schedule_not_found();
 		}
 
-		// Register shutdown handler to catch fatal errors.
-		$this->register_import_shutdown_handler();
+		return rest_ensure_response( $this->format_schedule( $schedule ) );
+	}
 
-		// Check available memory before proceeding.
-		$memory_check = $this->check_memory_for_import();
-		if ( is_wp_error( $memory_check ) ) {
-			return $memory_check;
+	/**
+	 * Create a backup schedule.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_schedule( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$data  = $this->get_schedule_data( $request );
+		$error = $this->validate_schedule_destinations( $data );
+
+		if ( $error ) {
+			return $error;
 		}
 
-		$files = $request->get_file_params();
+		try {
+			$schedule_id = $this->scheduler->create_schedule( $data );
+		} catch ( \InvalidArgumentException $e ) {
+			return new WP_Error( 'invalid_schedule', $e->getMessage(), array( 'status' => 400 ) );
+		}
 
-		if ( empty( $files['backup_file'] ) ) {
+		if ( ! $schedule_id ) {
 			return new WP_Error(
-				'no_file',
-				__( 'No backup file provided.', 'swish-migrate-and-backup' ),
-				array( 'status' => 400 )
+				'schedule_save_failed',
+				__( 'Failed to create schedule.', 'swish-migrate-and-backup' ),
+				array( 'status' => 500 )
 			);
 		}
 
-		$file = $files['backup_file'];
+		return rest_ensure_response( $this->format_schedule( $this->scheduler->get_schedule( (int) $schedule_id ) ) );
+	}
 
-		// Check for upload errors.
-		if ( $file['error'] !== UPLOAD_ERR_OK ) {
-			$error_messages = array(
-				UPLOAD_ERR_INI_SIZE   => __( 'File exceeds upload_max_filesize directive.', 'swish-migrate-and-backup' ),
-				UPLOAD_ERR_FORM_SIZE  => __( 'File exceeds MAX_FILE_SIZE directive.', 'swish-migrate-and-backup' ),
-				UPLOAD_ERR_PARTIAL    => __( 'File was only partially uploaded.', 'swish-migrate-and-backup' ),
-				UPLOAD_ERR_NO_FILE    => __( 'No file was uploaded.', 'swish-migrate-and-backup' ),
-				UPLOAD_ERR_NO_TMP_DIR => __( 'Missing temporary folder.', 'swish-migrate-and-backup' ),
-				UPLOAD_ERR_CANT_WRITE => __( 'Failed to write file to disk.', 'swish-migrate-and-backup' ),
-			);
+	/**
+	 * Update a backup schedule.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function update_schedule( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$schedule_id = (int) $request->get_param( 'id' );
 
-			$message = $error_messages[ $file['error'] ] ?? __( 'Unknown upload error.', 'swish-migrate-and-backup' );
+		if ( null === $this->scheduler->get_schedule( $schedule_id ) ) {
+			return $this->schedule_not_found();
+		}
 
-			return new WP_Error(
-				'upload_error',
-				$message,
-				array( 'status' => 400 )
-			);
+		$data  = $this->get_schedule_data( $request );
+		$error = $this->validate_schedule_destinations( $data );
+
+		if ( $error ) {
+			return $error;
 		}
 
-		// Validate file type.
-		$file_type = wp_check_filetype( $file['name'], array( 'zip' => 'application/zip' ) );
-		if ( ! $file_type['ext'] ) {
+		try {
+			$updated = empty( $data ) || $this->scheduler->update_schedule( $schedule_id, $data );
+		} catch ( \InvalidArgumentException $e ) {
+			return new WP_Error( 'invalid_schedule', $e->getMessage(), array( 'status' => 400 ) );
+		}
+
+		if ( ! $updated ) {
 			return new WP_Error(
-				'invalid_file_type',
-				__( 'Invalid file type. Only ZIP files are allowed.', 'swish-migrate-and-backup' ),
-				array( 'status' => 400 )
+				'schedule_save_failed',
+				__( 'Failed to update schedule.', 'swish-migrate-and-backup' ),
+				array( 'status' => 500 )
 			);
 		}
 
-		// Set up custom upload directory for backup imports.
-		$backup_dir = WP_CONTENT_DIR . '/swish-backups/imports';
+		return rest_ensure_response( $this->format_schedule( $this->scheduler->get_schedule( $schedule_id ) ) );
+	}
+
+	/**
+	 * Preview the next runs of a schedule before it is saved.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function preview_schedule( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$data      = $this->get_schedule_data( $request );
+		$frequency = $data['frequency'] ?? 'daily';
+
+		try {
+			$runs = $this->scheduler->get_upcoming_runs( $frequency, $data['options'] ?? array() );
+		} catch ( \InvalidArgumentException $e ) {
+			return new WP_Error( 'invalid_schedule', $e->getMessage(), array( 'status' => 400 ) );
+		}
+
+		return rest_ensure_response(
+			array(
+				'timezone' => Scheduler::FREQUENCY_CRON === $frequency && ! empty( $data['options']['timezone'] ) ? $data['options']['timezone'] : wp_timezone_string(),
+				'runs'     => array_map( fn( int $run ) => gmdate( 'c', $run ), $runs ),
+			)
+		);
+	}
 
-		if ( ! file_exists( $backup_dir ) ) {
-			wp_mkdir_p( $backup_dir );
+	/**
+	 * Pause or activate a backup schedule.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function toggle_schedule( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$schedule_id = (int) $request->get_param( 'id' );
+
+		if ( null === $this->scheduler->get_schedule( $schedule_id ) ) {
+			return $this->schedule_not_found();
 		}
 
-		// Custom upload directory filter.
-		$upload_dir_filter = function ( $uploads ) use ( $backup_dir ) {
-			$uploads['path']   = $backup_dir;
-			$uploads['url']    = content_url( 'swish-backups/imports' );
-			$uploads['subdir'] = '';
-			return $uploads;
-		};
+		$this->scheduler->toggle_schedule( $schedule_id );
 
-		// Add filter temporarily to redirect upload to our backup imports directory.
-		add_filter( 'upload_dir', $upload_dir_filter );
+		return rest_ensure_response( $this->format_schedule( $this->scheduler->get_schedule( $schedule_id ) ) );
+	}
 
-		// Allow ZIP files for this upload.
-		$upload_overrides = array(
-			'test_form'                => false,
-			'test_type'                => true,
-			'mimes'                    => array( 'zip' => 'application/zip' ),
-			'unique_filename_callback' => null,
-		);
+	/**
+	 * Run a backup schedule now.
+	 *
+	 * Starts the backup WordPress cron makes for the schedule, of its type
+	 * and for its destinations, as an async job to poll through the job
+	 * status route, and records the run in its history.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function run_schedule( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$schedule = $this->scheduler->get_schedule( (int) $request->get_param( 'id' ) );
 
-		// Include the file with wp_handle_upload function.
-		if ( ! function_exists( 'wp_handle_upload' ) ) {
-			require_once ABSPATH . 'wp-admin/includes/file.php';
+		if ( null === $schedule ) {
+			return $this->schedule_not_found();
 		}
 
-		// Use WordPress file upload handler.
-		$upload_result = \wp_handle_upload( $file, $upload_overrides );
+		$response = $this->scheduler->run_now( $schedule );
 
-		// Remove the filter after upload.
-		remove_filter( 'upload_dir', $upload_dir_filter );
+		return rest_ensure_response( array_merge( $response, array( 'schedule_id' => (int) $schedule['id'] ) ) );
+	}
 
-		// Check for upload errors.
-		if ( isset( $upload_result['error'] ) ) {
-			return new WP_Error(
-				'upload_failed',
-				$upload_result['error'],
-				array( 'status' => 500 )
-			);
+	/**
+	 * Get the run history of a backup schedule.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_schedule_runs( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$schedule_id = (int) $request->get_param( 'id' );
+
+		if ( null === $this->scheduler->get_schedule( $schedule_id ) ) {
+			return $this->schedule_not_found();
 		}
 
-		$destination = $upload_result['file'];
-		$filename    = basename( $destination );
+		$runs = array_map(
+			fn( $run ) => array_merge(
+				$run,
+				array(
+					'started_at'  => $run['started_at'] ? gmdate( 'c', $run['started_at'] ) : null,
+					'finished_at' => $run['finished_at'] ? gmdate( 'c', $run['finished_at'] ) : null,
+				)
+			),
+			$this->scheduler->get_runs( $schedule_id )
+		);
 
-		// Analyze the backup.
-		$analysis = $this->migrator->analyze_backup( $destination );
+		return rest_ensure_response( $runs );
+	}
 
-		if ( null === $analysis ) {
-			// Clean up the uploaded file.
-			wp_delete_file( $destination );
+	/**
+	 * Delete a backup schedule.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function delete_schedule( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$schedule_id = (int) $request->get_param( 'id' );
+
+		if ( null === $this->scheduler->get_schedule( $schedule_id ) ) {
+			return $this->schedule_not_found();
+		}
+
+		if ( ! $this->scheduler->delete_schedule( $schedule_id ) ) {
 			return new WP_Error(
-				'analysis_failed',
-				__( 'Failed to analyze backup. The file may be corrupted or not a valid Swish backup.', 'swish-migrate-and-backup' ),
-				array( 'status' => 400 )
+				'delete_failed',
+				__( 'Failed to delete schedule.', 'swish-migrate-and-backup' ),
+				array( 'status' => 500 )
 			);
 		}
 
-		return rest_ensure_response( array(
-			'success'      => true,
-			'backup_path'  => $destination,
-			'filename'     => $filename,
-			'size'         => filesize( $destination ),
-			'analysis'     => $analysis,
-		) );
+		return rest_ensure_response( array( 'deleted' => true ) );
 	}
 
 	/**
-	 * Run migration.
+	 * Get the arguments of the schedule create and update routes.
+	 *
+	 * @param bool $creating Whether the route creates a schedule, so the name is required.
+	 * @return array Route arguments.
+	 */
+	private function get_schedule_args( bool $creating ): array {
+		return array(
+			'name'                 => array(
+				'type'      => 'string',
+				'required'  => $creating,
+				'minLength' => 1,
+			),
+			'frequency'            => array(
+				'type' => 'string',
+				'enum' => array( 'hourly', 'twicedaily', 'daily', 'weekly', 'monthly', Scheduler::FREQUENCY_CRON ),
+			),
+			'cron_expression'      => array(
+				'type' => 'string',
+			),
+			'timezone'             => array(
+				'type' => 'string',
+			),
+			'blackout_windows'     => array(
+				'type'  => 'array',
+				'items' => array(
+					'type'       => 'object',
+					'properties' => array(
+						'days'  => array(
+							'type'  => 'array',
+							'items' => array(
+								'type'    => 'integer',
+								'minimum' => 0,
+								'maximum' => 6,
+							),
+						),
+						'start' => array( 'type' => 'string' ),
+						'end'   => array( 'type' => 'string' ),
+					),
+				),
+			),
+			'backup_type'          => array(
+				'type' => 'string',
+				'enum' => array( 'full', 'database', 'files' ),
+			),
+			'storage_destinations' => array(
+				'type'     => 'array',
+				'items'    => array( 'type' => 'string' ),
+				'minItems' => 1,
+			),
+			'retention_count'      => array(
+				'type'    => 'integer',
+				'minimum' => 1,
+				'maximum' => 100,
+			),
+		);
+	}
+
+	/**
+	 * Get the schedule fields present in a request.
 	 *
 	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response|WP_Error
+	 * @return array Schedule data for the scheduler.
 	 */
-	public function run_migration( WP_REST_Request $request ) {
-		// Check for previous fatal error stored in transient.
-		$last_error = get_transient( 'swish_migration_fatal_error' );
-		if ( $last_error ) {
-			delete_transient( 'swish_migration_fatal_error' );
-			return new WP_Error(
-				'previous_error',
-				$last_error,
-				array( 'status' => 500 )
-			);
+	private function get_schedule_data( WP_REST_Request $request ): array {
+		$data = array();
+
+		foreach ( array( 'name', 'frequency', 'backup_type', 'storage_destinations', 'retention_count' ) as $key ) {
+			if ( null !== $request->get_param( $key ) ) {
+				$data[ $key ] = $request->get_param( $key );
+			}
 		}
 
-		// Register shutdown handler to catch fatal errors.
-		$this->register_migration_shutdown_handler();
+		if ( isset( $data['storage_destinations'] ) ) {
+			$data['storage_destinations'] = array_values( array_unique( array_map( 'sanitize_key', $data['storage_destinations'] ) ) );
+		}
 
-		// Check available memory before proceeding.
-		$memory_check = $this->check_memory_for_import();
-		if ( is_wp_error( $memory_check ) ) {
-			return $memory_check;
+		// The cron settings live in the schedule's options.
+		foreach ( array( 'cron_expression', 'timezone', 'blackout_windows' ) as $key ) {
+			if ( null !== $request->get_param( $key ) ) {
+				$data['options'][ $key ] = $request->get_param( $key );
+			}
 		}
 
-		$options = array(
-			'old_url'          => $request->get_param( 'old_url' ),
-			'new_url'          => $request->get_param( 'new_url' ),
-			'restore_database' => $request->get_param( 'restore_database' ) ?? true,
-			'restore_files'    => $request->get_param( 'restore_files' ) ?? true,
-		);
+		return $data;
+	}
 
-		$backup_path = $request->get_param( 'backup_path' );
+	/**
+	 * Check that the storage destinations of a schedule exist.
+	 *
+	 * @param array $data Schedule data.
+	 * @return WP_Error|null Error for an unknown destination, null if all exist.
+	 */
+	private function validate_schedule_destinations( array $data ): ?WP_Error {
+		$unknown = array_diff( $data['storage_destinations'] ?? array(), array_keys( $this->storage_manager->get_all_adapters() ) );
 
-		if ( $backup_path ) {
-			$result = $this->migrator->import_and_migrate( $backup_path, $options );
-		} else {
-			// Just URL replacement.
-			$result = $this->migrator->replace_urls(
-				$options['old_url'],
-				$options['new_url']
-			);
+		if ( empty( $unknown ) ) {
+			return null;
 		}
 
-		return rest_ensure_response( $result );
+		return new WP_Error(
+			'invalid_destination',
+			sprintf(
+				/* translators: %s: storage destination IDs. */
+				__( 'Unknown storage destination: %s', 'swish-migrate-and-backup' ),
+				implode( ', ', $unknown )
+			),
+			array( 'status' => 400 )
+		);
 	}
 
 	/**
-	 * Search and replace.
+	 * Error for a storage adapter that does not exist.
 	 *
-	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response
+	 * @return WP_Error
 	 */
-	public function search_replace( WP_REST_Request $request ): WP_REST_Response {
-		$search = $request->get_param( 'search' );
-		$replace = $request->get_param( 'replace' );
-		$dry_run = $request->get_param( 'dry_run' );
+	private function storage_not_found(): WP_Error {
+		return new WP_Error(
+			'storage_not_found',
+			__( 'Storage adapter not found.', 'swish-migrate-and-backup' ),
+			array( 'status' => 404 )
+		);
+	}
 
-		if ( $dry_run ) {
-			$result = $this->migrator->preview_url_replacement( $search, $replace );
-		} else {
-			$result = $this->migrator->custom_search_replace( $search, $replace );
+	/**
+	 * Format a storage destination for the REST response.
+	 *
+	 * Saved secrets are never returned; password fields only report
+	 * whether a value is saved. Hidden fields are left out.
+	 *
+	 * @param string                  $id      Adapter ID.
+	 * @param StorageAdapterInterface $adapter Adapter.
+	 * @return array
+	 */
+	private function format_storage_destination( string $id, StorageAdapterInterface $adapter ): array {
+		$settings = $adapter->get_settings();
+		$fields   = array();
+
+		foreach ( $adapter->get_settings_fields() as $field ) {
+			$type = $field['type'] ?? 'text';
+
+			if ( 'hidden' === $type ) {
+				continue;
+			}
+
+			$saved = $settings[ $field['name'] ] ?? null;
+
+			$fields[] = array(
+				'name'        => $field['name'],
+				'label'       => $field['label'] ?? $field['name'],
+				'type'        => $type,
+				'description' => $field['description'] ?? '',
+				'required'    => ! empty( $field['required'] ),
+				'options'     => $field['options'] ?? null,
+				'value'       => 'password' === $type ? '' : ( $saved ?? ( $field['default'] ?? '' ) ),
+				'has_value'   => ! empty( $saved ),
+			);
 		}
 
-		return rest_ensure_response( $result );
+		$oauth = $this->storage_oauth->supports( $id );
+
+		return array(
+			'id'           => $id,
+			'name'         => $adapter->get_name(),
+			'configured'   => $adapter->is_configured(),
+			'fields'       => $fields,
+			'oauth'        => $oauth,
+			'redirect_uri' => $oauth ? $this->storage_oauth->get_redirect_uri() : null,
+		);
+	}
+
+	/**
+	 * Error for a schedule that does not exist.
+	 *
+	 * @return WP_Error
+	 */
+	private function schedule_not_found(): WP_Error {
+		return new WP_Error(
+			'schedule_not_found',
+			__( 'Schedule not found.', 'swish-migrate-and-backup' ),
+			array( 'status' => 404 )
+		);
+	}
+
+	/**
+	 * Format a schedule for the REST response.
+	 *
+	 * Run times are stored in UTC and returned as ISO 8601, so the browser
+	 * can show them in the schedule's time zone.
+	 *
+	 * @param array $schedule Schedule row.
+	 * @return array Formatted schedule.
+	 */
+	private function format_schedule( array $schedule ): array {
+		$options = (array) $schedule['options'];
+
+		return array(
+			'id'                   => (int) $schedule['id'],
+			'name'                 => $schedule['name'],
+			'frequency'            => $schedule['frequency'],
+			'backup_type'          => $schedule['backup_type'],
+			'storage_destinations' => (array) $schedule['storage_destinations'],
+			'retention_count'      => (int) $schedule['retention_count'],
+			'is_active'            => (bool) $schedule['is_active'],
+			'cron_expression'      => $options['cron_expression'] ?? '',
+			'timezone'             => $options['timezone'] ?? wp_timezone_string(),
+			'blackout_windows'     => $options['blackout_windows'] ?? array(),
+			'next_run'             => $schedule['next_run'] ? gmdate( 'c', strtotime( $schedule['next_run'] ) ) : null,
+			'last_run'             => $schedule['last_run'] ? gmdate( 'c', strtotime( $schedule['last_run'] ) ) : null,
+		);
 	}
 
 	/**
@@ -829,6 +3564,138 @@ final class RestController extends WP_REST_Controller {
 		) );
 	}
 
+	/**
+	 * List storage destinations with their settings forms.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_storage_destinations( WP_REST_Request $request ): WP_REST_Response {
+		$destinations = array();
+
+		foreach ( $this->storage_manager->get_all_adapters() as $id => $adapter ) {
+			$destinations[] = $this->format_storage_destination( $id, $adapter );
+		}
+
+		return rest_ensure_response( $destinations );
+	}
+
+	/**
+	 * Save the settings of a storage destination.
+	 *
+	 * Blank password fields keep their saved values.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function save_storage_settings( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$adapter_id = $request->get_param( 'adapter' );
+
+		if ( ! $this->storage_manager->has_adapter( $adapter_id ) ) {
+			return $this->storage_not_found();
+		}
+
+		$adapter  = $this->storage_manager->get_adapter( $adapter_id );
+		$input    = (array) $request->get_param( 'settings' );
+		$existing = $adapter->get_settings();
+		$settings = array();
+
+		foreach ( $adapter->get_settings_fields() as $field ) {
+			$name = $field['name'];
+			$type = $field['type'] ?? 'text';
+
+			if ( 'hidden' === $type || ! array_key_exists( $name, $input ) ) {
+				continue;
+			}
+
+			if ( 'password' === $type && '' === (string) $input[ $name ] ) {
+				continue;
+			}
+
+			$settings[ $name ] = $input[ $name ];
+		}
+
+		foreach ( $adapter->get_settings_fields() as $field ) {
+			if ( ! empty( $field['required'] ) && '' === (string) ( $settings[ $field['name'] ] ?? $existing[ $field['name'] ] ?? '' ) ) {
+				return new WP_Error(
+					'missing_field',
+					/* translators: %s: field label */
+					sprintf( __( '%s is required.', 'swish-migrate-and-backup' ), $field['label'] ?? $field['name'] ),
+					array( 'status' => 400 )
+				);
+			}
+		}
+
+		$adapter->save_settings( $settings );
+
+		return rest_ensure_response( $this->format_storage_destination( $adapter_id, $adapter ) );
+	}
+
+	/**
+	 * Get the used and total space of a storage destination.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_storage_info( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$adapter_id = $request->get_param( 'adapter' );
+
+		if ( ! $this->storage_manager->has_adapter( $adapter_id ) ) {
+			return $this->storage_not_found();
+		}
+
+		$adapter = $this->storage_manager->get_adapter( $adapter_id );
+
+		if ( ! $adapter->is_configured() ) {
+			return new WP_Error(
+				'storage_not_configured',
+				__( 'Storage adapter not configured.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$info = $adapter->get_storage_info();
+
+		return rest_ensure_response( array(
+			'used'  => $info['used'] ?? null,
+			'total' => $info['total'] ?? null,
+		) );
+	}
+
+	/**
+	 * Get the URL that signs a storage destination in to its account.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function start_storage_auth( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$adapter_id = $request->get_param( 'adapter' );
+
+		if ( ! $this->storage_manager->has_adapter( $adapter_id ) ) {
+			return $this->storage_not_found();
+		}
+
+		if ( ! $this->storage_oauth->supports( $adapter_id ) ) {
+			return new WP_Error(
+				'oauth_not_supported',
+				__( 'This storage adapter does not connect through a sign-in.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$url = $this->storage_oauth->get_authorization_url( $adapter_id );
+
+		if ( null === $url ) {
+			return new WP_Error(
+				'missing_app_credentials',
+				__( 'Save the app credentials before connecting.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		return rest_ensure_response( array( 'url' => $url ) );
+	}
+
 	/**
 	 * Get job status.
 	 *
@@ -836,6 +3703,12 @@ final class RestController extends WP_REST_Controller {
 	 * @return WP_REST_Response|WP_Error
 	 */
 	public function get_job_status( WP_REST_Request $request ) {
+		$migration = $this->migrator->get_job( $request->get_param( 'id' ) );
+
+		if ( null !== $migration ) {
+			return rest_ensure_response( $this->format_migration_job( $migration ) );
+		}
+
 		$job = $this->backup_manager->get_job_status( $request->get_param( 'id' ) );
 
 		if ( ! $job ) {
@@ -860,6 +3733,14 @@ final class RestController extends WP_REST_Controller {
 	 */
 	public function process_pending_job( WP_REST_Request $request ) {
 		$job_id = $request->get_param( 'id' );
+
+		// Migration jobs run their next batch here; a batch already running keeps its lock.
+		if ( null !== $this->migrator->get_job( $job_id ) ) {
+			$this->migrator->run_job( $job_id );
+
+			return rest_ensure_response( $this->format_migration_job( $this->migrator->get_job( $job_id ) ) );
+		}
+
 		$job = $this->backup_manager->get_job_status( $job_id );
 
 		if ( ! $job ) {
@@ -915,6 +3796,7 @@ final class RestController extends WP_REST_Controller {
 			'exclude_uploads'      => array(),  // Upload folder paths to exclude.
 			'email_notifications'  => false,
 			'notification_email'   => get_option( 'admin_email' ),
+			'rollback_window'      => RestoreManager::DEFAULT_ROLLBACK_WINDOW,  // Hours, 0 disables snapshots.
 			'tar_available'        => \SwishMigrateAndBackup\Core\ServerLimits::is_tar_available(),
 		);
 
@@ -944,6 +3826,10 @@ final class RestController extends WP_REST_Controller {
 			$settings['pipeline_batch_size'] = max( 10, min( 500, absint( $params['pipeline_batch_size'] ) ) );
 		}
 
+		if ( isset( $params['rollback_window'] ) ) {
+			$settings['rollback_window'] = min( 168, absint( $params['rollback_window'] ) );
+		}
+
 		// Other settings.
 		$boolean_settings = array(
 			'backup_database',
@@ -1022,6 +3908,7 @@ final class RestController extends WP_REST_Controller {
 			'last_backup'   => $last_backup,
 			'storage'       => $adapters,
 			'site_url'      => get_site_url(),
+			'timezone'      => wp_timezone_string(),
 		) );
 	}
 
@@ -1279,33 +4166,6 @@ final class RestController extends WP_REST_Controller {
 		} );
 	}
 
-	/**
-	 * Register shutdown handler to catch fatal errors during migration.
-	 *
-	 * @return void
-	 */
-	private function register_migration_shutdown_handler(): void {
-		register_shutdown_function( function () {
-			$error = error_get_last();
-
-			if ( null === $error ) {
-				return;
-			}
-
-			// Only handle fatal errors.
-			$fatal_errors = array( E_ERROR, E_PARSE, E_CORE_ERROR, E_COMPILE_ERROR, E_USER_ERROR );
-			if ( ! in_array( $error['type'], $fatal_errors, true ) ) {
-				return;
-			}
-
-			// Create user-friendly error message.
-			$message = $this->get_friendly_error_message( $error );
-
-			// Store error in transient for next request to display.
-			set_transient( 'swish_migration_fatal_error', $message, 5 * MINUTE_IN_SECONDS );
-		} );
-	}
-
 	/**
 	 * Get user-friendly error message from PHP error.
 	 *
@@ -1425,7 +4285,16 @@ final class RestController extends WP_REST_Controller {
 	 * @return WP_REST_Response|WP_Error
 	 */
 	public function pipeline_start( WP_REST_Request $request ) {
-		$type = $request->get_param( 'type' ) ?? 'full';
+		return rest_ensure_response( $this->start_pipeline_backup( $request->get_param( 'type' ) ?? 'full' ) );
+	}
+
+	/**
+	 * Create a pipeline job and run its first indexing batch.
+	 *
+	 * @param string $type Backup type.
+	 * @return array Pipeline start response.
+	 */
+	private function start_pipeline_backup( string $type ): array {
 		$settings = get_option( 'swish_backup_settings', array() );
 
 		// Generate job ID.
@@ -1484,7 +4353,7 @@ final class RestController extends WP_REST_Controller {
 			'index_offset' => 0,
 			'started_at'   => gmdate( 'Y-m-d H:i:s' ),
 		);
-		update_option( 'swish_pipeline_job_' . $job_id, $job_state );
+		$this->save_pipeline_job( $job_state );
 
 		// Start indexing phase.
 		$result = $pipeline->index_files( $job_id, $directories, 0 );
@@ -1494,7 +4363,7 @@ final class RestController extends WP_REST_Controller {
 		if ( $result['completed'] ) {
 			$job_state['phase'] = 'processing';
 		}
-		update_option( 'swish_pipeline_job_' . $job_id, $job_state );
+		$this->save_pipeline_job( $job_state );
 
 		// Get stats.
 		$stats = \SwishMigrateAndBackup\Backup\FileQueue::get_job_stats( $job_id );
@@ -1502,7 +4371,7 @@ final class RestController extends WP_REST_Controller {
 		// Calculate initial progress: indexing phase = 0-10%.
 		$overall_progress = $result['completed'] ? 10 : min( 9, $stats['total'] > 0 ? 5 : 2 );
 
-		return rest_ensure_response( array(
+		return array(
 			'success'   => true,
 			'job_id'    => $job_id,
 			'phase'     => $job_state['phase'],
@@ -1513,18 +4382,39 @@ final class RestController extends WP_REST_Controller {
 			'message'   => $result['completed']
 				? 'Indexing complete, ready to process ' . $stats['total'] . ' files'
 				: 'Indexing in progress (' . $result['indexed'] . ' files found so far)',
-		) );
+		);
 	}
 
 	/**
 	 * Continue a pipeline-based backup.
 	 *
+	 * Only one request works on a job at a time. While another request
+	 * holds the job's lease, the response is marked busy and does no work.
+	 *
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response|WP_Error
 	 */
 	public function pipeline_continue( WP_REST_Request $request ) {
-		$job_id = $request->get_param( 'job_id' );
+		$job_id = (string) $request->get_param( 'job_id' );
+
+		if ( ! $this->acquire_pipeline_lease( $job_id ) ) {
+			return $this->pipeline_busy_response( $job_id );
+		}
+
+		try {
+			return $this->continue_pipeline( $job_id );
+		} finally {
+			$this->release_pipeline_lease( $job_id );
+		}
+	}
 
+	/**
+	 * Run the next step of a pipeline job whose lease this request holds.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function continue_pipeline( string $job_id ) {
 		// Get job state.
 		$job_state = get_option( 'swish_pipeline_job_' . $job_id );
 		if ( ! $job_state ) {
@@ -1535,6 +4425,22 @@ final class RestController extends WP_REST_Controller {
 			);
 		}
 
+		// Paused jobs do no work until they are resumed.
+		if ( ! empty( $job_state['paused'] ) ) {
+			$stats = \SwishMigrateAndBackup\Backup\FileQueue::get_job_stats( $job_id );
+
+			return rest_ensure_response( array(
+				'success'   => true,
+				'job_id'    => $job_id,
+				'phase'     => $job_state['phase'],
+				'paused'    => true,
+				'completed' => false,
+				'stats'     => $stats,
+				'progress'  => $this->get_pipeline_progress( $job_state['phase'], $stats ),
+				'message'   => 'Backup is paused',
+			) );
+		}
+
 		// Initialize pipeline.
 		$pipeline = new \SwishMigrateAndBackup\Backup\BackupPipeline(
 			new \SwishMigrateAndBackup\Logger\Logger()
@@ -1559,7 +4465,7 @@ final class RestController extends WP_REST_Controller {
 
 			$stats = \SwishMigrateAndBackup\Backup\FileQueue::get_job_stats( $job_id );
 
-			update_option( 'swish_pipeline_job_' . $job_id, $job_state );
+			$this->save_pipeline_job( $job_state );
 
 			// Calculate overall progress: indexing = 0-10%.
 			// Since we don't know total files until indexing completes, estimate based on completion.
@@ -1587,7 +4493,7 @@ final class RestController extends WP_REST_Controller {
 				$job_state['phase'] = 'finalizing';
 			}
 
-			update_option( 'swish_pipeline_job_' . $job_id, $job_state );
+			$this->save_pipeline_job( $job_state );
 
 			// Calculate overall progress: processing = 10-95%.
 			// stats['progress'] is 0-100 of processing phase only.
@@ -1629,7 +4535,7 @@ final class RestController extends WP_REST_Controller {
 				$job_state['file_size'] = $result['size'];
 				$job_state['checksum'] = $result['checksum'];
 
-				update_option( 'swish_pipeline_job_' . $job_id, $job_state );
+				$this->save_pipeline_job( $job_state );
 
 				// Register backup in the manager.
 				$this->backup_manager->register_backup( array(
@@ -1640,6 +4546,8 @@ final class RestController extends WP_REST_Controller {
 					'checksum'  => $result['checksum'],
 				) );
 
+				$this->backup_manager->record_verification( $job_id, array() );
+
 				return rest_ensure_response( array(
 					'success'   => true,
 					'job_id'    => $job_id,
@@ -1703,8 +4611,367 @@ final class RestController extends WP_REST_Controller {
 			'file_size'    => $job_state['file_size'] ?? null,
 			'checksum'     => $job_state['checksum'] ?? null,
 			'stats'        => $stats,
-			'progress'     => $stats['progress'],
+			'progress'     => $this->get_pipeline_progress( $job_state['phase'], $stats ),
+			'paused'       => ! empty( $job_state['paused'] ),
 			'completed'    => 'complete' === $job_state['phase'],
 		) );
 	}
+
+	/**
+	 * Pause a pipeline-based backup.
+	 *
+	 * The dashboard stops calling the continue endpoint, and any other
+	 * continue request is answered without doing work until resumed.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function pipeline_pause( WP_REST_Request $request ) {
+		return $this->set_pipeline_paused( (string) $request->get_param( 'job_id' ), true );
+	}
+
+	/**
+	 * Resume a paused pipeline-based backup.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function pipeline_resume( WP_REST_Request $request ) {
+		return $this->set_pipeline_paused( (string) $request->get_param( 'job_id' ), false );
+	}
+
+	/**
+	 * Cancel a pipeline-based backup.
+	 *
+	 * Removes the partial archive, the file queue entries and the job state.
+	 * The job's lease is taken first, so a continue request still working
+	 * on the job cannot save its state again after it was removed.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function pipeline_cancel( WP_REST_Request $request ) {
+		$job_id = (string) $request->get_param( 'job_id' );
+
+		if ( ! $this->acquire_pipeline_lease( $job_id ) ) {
+			return $this->pipeline_busy_error();
+		}
+
+		try {
+			return $this->cancel_pipeline( $job_id );
+		} finally {
+			$this->release_pipeline_lease( $job_id );
+		}
+	}
+
+	/**
+	 * Cancel a pipeline job whose lease this request holds.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function cancel_pipeline( string $job_id ) {
+		$job_state = get_option( 'swish_pipeline_job_' . $job_id );
+		if ( ! $job_state ) {
+			return new WP_Error(
+				'job_not_found',
+				__( 'Backup job not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( 'complete' === $job_state['phase'] ) {
+			return new WP_Error(
+				'job_completed',
+				__( 'This backup has already completed and cannot be cancelled.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$pipeline = new \SwishMigrateAndBackup\Backup\BackupPipeline(
+			new \SwishMigrateAndBackup\Logger\Logger()
+		);
+		$pipeline->cancel( $job_id, $job_state['archive_path'] );
+
+		delete_option( 'swish_pipeline_job_' . $job_id );
+
+		return rest_ensure_response( array(
+			'success'   => true,
+			'job_id'    => $job_id,
+			'cancelled' => true,
+			'message'   => 'Backup cancelled',
+		) );
+	}
+
+	/**
+	 * Save pipeline job state, noting when it last changed.
+	 *
+	 * @param array $job_state Pipeline job state.
+	 * @return void
+	 */
+	private function save_pipeline_job( array $job_state ): void {
+		$job_state['updated_at'] = time();
+
+		update_option( 'swish_pipeline_job_' . $job_state['job_id'], $job_state );
+	}
+
+	/**
+	 * Take the lease that lets one request at a time work on a pipeline job.
+	 *
+	 * The lease row is added with INSERT IGNORE, as WP_Upgrader::create_lock()
+	 * does, so two requests racing for it cannot both get it. A lease left
+	 * behind by a request that died can be taken over once it expires.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return bool Whether this request now holds the lease.
+	 */
+	private function acquire_pipeline_lease( string $job_id ): bool {
+		global $wpdb;
+
+		$name    = 'swish_pipeline_lease_' . $job_id;
+		$expires = (string) ( time() + self::PIPELINE_LEASE_TTL );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$created = $wpdb->query(
+			$wpdb->prepare(
+				"INSERT IGNORE INTO {$wpdb->options} ( option_name, option_value, autoload ) VALUES ( %s, %s, 'no' )",
+				$name,
+				$expires
+			)
+		);
+
+		if ( $created ) {
+			return true;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$current = $wpdb->get_var(
+			$wpdb->prepare( "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s", $name )
+		);
+
+		if ( null === $current || (int) $current > time() ) {
+			return false;
+		}
+
+		// Take over the expired lease, unless another request just did.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (bool) $wpdb->query(
+			$wpdb->prepare(
+				"UPDATE {$wpdb->options} SET option_value = %s WHERE option_name = %s AND option_value = %s",
+				$expires,
+				$name,
+				$current
+			)
+		);
+	}
+
+	/**
+	 * Give up the lease on a pipeline job.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return void
+	 */
+	private function release_pipeline_lease( string $job_id ): void {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->delete( $wpdb->options, array( 'option_name' => 'swish_pipeline_lease_' . $job_id ) );
+	}
+
+	/**
+	 * Describe a pipeline job that another request is working on.
+	 *
+	 * The caller should wait a moment and ask again.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function pipeline_busy_response( string $job_id ) {
+		$job_state = get_option( 'swish_pipeline_job_' . $job_id );
+		if ( ! $job_state ) {
+			return new WP_Error(
+				'job_not_found',
+				__( 'Backup job not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		$stats = \SwishMigrateAndBackup\Backup\FileQueue::get_job_stats( $job_id );
+
+		return rest_ensure_response( array(
+			'success'   => true,
+			'job_id'    => $job_id,
+			'phase'     => $job_state['phase'],
+			'busy'      => true,
+			'paused'    => ! empty( $job_state['paused'] ),
+			'completed' => 'complete' === $job_state['phase'],
+			'stats'     => $stats,
+			'progress'  => $this->get_pipeline_progress( $job_state['phase'], $stats ),
+			'message'   => __( 'Another request is working on this backup.', 'swish-migrate-and-backup' ),
+		) );
+	}
+
+	/**
+	 * Explain that another request holds a pipeline job's lease.
+	 *
+	 * @return WP_Error
+	 */
+	private function pipeline_busy_error(): WP_Error {
+		return new WP_Error(
+			'job_busy',
+			__( 'Another request is working on this backup. Try again in a moment.', 'swish-migrate-and-backup' ),
+			array( 'status' => 409 )
+		);
+	}
+
+	/**
+	 * Set the paused flag on a pipeline job.
+	 *
+	 * Takes the job's lease, so a continue request in flight cannot
+	 * overwrite the flag with the state it loaded earlier.
+	 *
+	 * @param string $job_id Job ID.
+	 * @param bool   $paused Whether the job should be paused.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function set_pipeline_paused( string $job_id, bool $paused ) {
+		if ( ! $this->acquire_pipeline_lease( $job_id ) ) {
+			return $this->pipeline_busy_error();
+		}
+
+		try {
+			return $this->save_pipeline_paused( $job_id, $paused );
+		} finally {
+			$this->release_pipeline_lease( $job_id );
+		}
+	}
+
+	/**
+	 * Save the paused flag of a pipeline job whose lease this request holds.
+	 *
+	 * @param string $job_id Job ID.
+	 * @param bool   $paused Whether the job should be paused.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function save_pipeline_paused( string $job_id, bool $paused ) {
+		$job_state = get_option( 'swish_pipeline_job_' . $job_id );
+		if ( ! $job_state ) {
+			return new WP_Error(
+				'job_not_found',
+				__( 'Backup job not found.', 'swish-migrate-and-backup' ),
+				array( 'status' => 404 )
+			);
+		}
+
+		if ( 'complete' === $job_state['phase'] ) {
+			return new WP_Error(
+				'job_completed',
+				__( 'This backup has already completed.', 'swish-migrate-and-backup' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$job_state['paused'] = $paused;
+		$this->save_pipeline_job( $job_state );
+
+		$stats = \SwishMigrateAndBackup\Backup\FileQueue::get_job_stats( $job_id );
+
+		return rest_ensure_response( array(
+			'success'  => true,
+			'job_id'   => $job_id,
+			'phase'    => $job_state['phase'],
+			'paused'   => $paused,
+			'stats'    => $stats,
+			'progress' => $this->get_pipeline_progress( $job_state['phase'], $stats ),
+			'message'  => $paused ? 'Backup paused' : 'Backup resumed',
+		) );
+	}
+
+	/**
+	 * Get pipeline backups that have not finished yet.
+	 *
+	 * Used by the dashboard to pick up a job again after a page reload
+	 * or a closed tab, so it can keep calling the continue endpoint.
+	 * Jobs that have not moved for PIPELINE_STALE_AFTER seconds are left out.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function pipeline_active( WP_REST_Request $request ): WP_REST_Response {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$option_names = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT option_name FROM {$wpdb->options} WHERE option_name LIKE %s",
+				$wpdb->esc_like( 'swish_pipeline_job_' ) . '%'
+			)
+		);
+
+		$jobs = array();
+
+		foreach ( $option_names as $option_name ) {
+			$job_state = get_option( $option_name );
+
+			if ( ! is_array( $job_state ) || empty( $job_state['job_id'] ) ) {
+				continue;
+			}
+
+			if ( ! in_array( $job_state['phase'] ?? '', array( 'indexing', 'processing', 'finalizing' ), true ) ) {
+				continue;
+			}
+
+			// A job nobody has worked on for this long was abandoned.
+			$updated_at = $job_state['updated_at'] ?? strtotime( ( $job_state['started_at'] ?? '' ) . ' UTC' );
+			if ( (int) $updated_at < time() - self::PIPELINE_STALE_AFTER ) {
+				continue;
+			}
+
+			$stats = \SwishMigrateAndBackup\Backup\FileQueue::get_job_stats( $job_state['job_id'] );
+
+			$jobs[] = array(
+				'job_id'     => $job_state['job_id'],
+				'phase'      => $job_state['phase'],
+				'type'       => $job_state['type'],
+				'started_at' => $job_state['started_at'] ?? null,
+				'paused'     => ! empty( $job_state['paused'] ),
+				'stats'      => $stats,
+				'progress'   => $this->get_pipeline_progress( $job_state['phase'], $stats ),
+			);
+		}
+
+		// Most recently started first.
+		usort(
+			$jobs,
+			fn( $a, $b ) => strcmp( (string) $b['started_at'], (string) $a['started_at'] )
+		);
+
+		return rest_ensure_response( array(
+			'jobs' => $jobs,
+		) );
+	}
+
+	/**
+	 * Calculate overall pipeline progress for a phase.
+	 *
+	 * Indexing covers 0-10%, processing 10-95% and finalizing 95-100%.
+	 *
+	 * @param string $phase Pipeline phase.
+	 * @param array  $stats File queue stats.
+	 * @return int Progress percentage.
+	 */
+	private function get_pipeline_progress( string $phase, array $stats ): int {
+		switch ( $phase ) {
+			case 'indexing':
+				return $stats['total'] > 0 ? 5 : 2;
+			case 'processing':
+				return 10 + (int) ( ( $stats['progress'] ?? 0 ) * 0.85 );
+			case 'finalizing':
+				return 95;
+			case 'complete':
+				return 100;
+			default:
+				return 0;
+		}
+	}
 }
@@ -16,6 +16,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 use SwishMigrateAndBackup\Core\ServerLimits;
 use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Storage\BackupVerifier;
 use SwishMigrateAndBackup\Storage\StorageManager;
 
 /**
@@ -51,6 +52,13 @@ final class BackupManager {
 	 */
 	private StorageManager $storage_manager;
 
+	/**
+	 * Backup verifier.
+	 *
+	 * @var BackupVerifier
+	 */
+	private BackupVerifier $verifier;
+
 	/**
 	 * Logger instance.
 	 *
@@ -72,6 +80,7 @@ final class BackupManager {
 	 * @param FileBackup     $file_backup     File backup handler.
 	 * @param BackupArchiver $archiver        Backup archiver.
 	 * @param StorageManager $storage_manager Storage manager.
+	 * @param BackupVerifier $verifier        Backup verifier.
 	 * @param Logger         $logger          Logger instance.
 	 */
 	public function __construct(
@@ -79,12 +88,14 @@ final class BackupManager {
 		FileBackup $file_backup,
 		BackupArchiver $archiver,
 		StorageManager $storage_manager,
+		BackupVerifier $verifier,
 		Logger $logger
 	) {
 		$this->database_backup = $database_backup;
 		$this->file_backup     = $file_backup;
 		$this->archiver        = $archiver;
 		$this->storage_manager = $storage_manager;
+		$this->verifier        = $verifier;
 		$this->logger          = $logger;
 	}
 
@@ -232,6 +243,7 @@ final class BackupManager {
 				'files_to_archive' => $checkpoint['files_to_archive'] ?? array(),
 				'has_file_list'    => $checkpoint['has_file_list'] ?? false,
 				'file_offset'      => $checkpoint['file_offset'] ?? 0,
+				'db_cursor'        => $checkpoint['db_cursor'] ?? array(),
 			)
 		);
 
@@ -282,6 +294,7 @@ final class BackupManager {
 			'files_to_archive' => $progress['files_to_archive'] ?? array(),
 			'options'          => $options ?? array(),
 			'has_file_list'    => $progress['has_file_list'] ?? false,
+			'db_cursor'        => $progress['db_cursor'] ?? array(),
 		);
 
 		return $checkpoint;
@@ -364,6 +377,8 @@ final class BackupManager {
 				$this->continue_file_backup( $job_id, $checkpoint );
 			} elseif ( 'archiving' === $phase ) {
 				$this->continue_archiving( $job_id, $checkpoint );
+			} elseif ( 'database' === $phase ) {
+				$this->run_full_backup( $job_id, $options, $checkpoint['db_cursor'] );
 			} else {
 				// For other phases, just run the full backup again.
 				$this->run_full_backup( $job_id, $options );
@@ -372,6 +387,18 @@ final class BackupManager {
 			$this->fail_job( $job_id, $e->getMessage() );
 			$this->delete_checkpoint( $job_id );
 		}
+
+		if ( $this->has_job_ended( $job_id ) ) {
+			$job = $this->get_job_status( $job_id );
+
+			/** This action is documented in src/Backup/BackupManager.php */
+			do_action(
+				'swish_backup_async_processed',
+				$job_id,
+				'failed' === $job['status'] ? array( 'error' => $job['message'] ) : array( 'job_id' => $job_id ),
+				$options
+			);
+		}
 	}
 
 	/**
@@ -883,12 +910,99 @@ final class BackupManager {
 			default    => $this->run_full_backup( $job_id, $options ),
 		};
 
+		// Backups that continue in later requests report their end from the last one.
+		if ( ! $this->has_job_ended( $job_id ) ) {
+			return;
+		}
+
 		// Log result.
 		if ( isset( $result['error'] ) ) {
 			$this->logger->error( 'Async backup failed', array( 'job_id' => $job_id, 'error' => $result['error'] ) );
 		} else {
 			$this->logger->info( 'Async backup completed', array( 'job_id' => $job_id ) );
 		}
+
+		/**
+		 * Fires once an async backup has ended, in whichever request ran
+		 * its last step.
+		 *
+		 * @param string $job_id  Backup job ID.
+		 * @param array  $result  Backup result, with `error` if it failed.
+		 * @param array  $options Backup options.
+		 */
+		do_action( 'swish_backup_async_processed', $job_id, $result, $options );
+	}
+
+	/**
+	 * Check whether a backup job has completed or failed.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return bool
+	 */
+	private function has_job_ended( string $job_id ): bool {
+		$job = $this->get_job_status( $job_id );
+
+		return null !== $job && in_array( $job['status'], array( 'completed', 'failed' ), true );
+	}
+
+	/**
+	 * Run the next step of an async backup that WP-Cron has not started.
+	 *
+	 * Lets a request that polls the job drive it where loopback requests
+	 * are blocked. The step's cron event is removed first, so WP-Cron does
+	 * not run it as well, and the step stops after the time budget with a
+	 * checkpoint for the next one.
+	 *
+	 * @param string $job_id      Job ID.
+	 * @param int    $time_budget Seconds the step may run.
+	 * @param int    $grace       Seconds WP-Cron gets to start the step first.
+	 * @return bool Whether a step was run.
+	 */
+	public function run_stalled_step( string $job_id, int $time_budget, int $grace = 10 ): bool {
+		$steps = array(
+			'swish_backup_process_async' => array( $this, 'process_async_backup' ),
+			'swish_backup_continue'      => array( $this, 'continue_backup' ),
+		);
+
+		foreach ( $steps as $hook => $step ) {
+			$timestamp = wp_next_scheduled( $hook, array( $job_id ) );
+
+			if ( ! $timestamp || $timestamp > time() - $grace ) {
+				continue;
+			}
+
+			// WP-Cron may have taken the event in the meantime.
+			if ( true !== wp_unschedule_event( $timestamp, $hook, array( $job_id ) ) ) {
+				return false;
+			}
+
+			ServerLimits::set_time_budget( $time_budget );
+
+			try {
+				$step( $job_id );
+			} finally {
+				ServerLimits::set_time_budget( 0 );
+			}
+
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Get the time by which a step of a chunked backup should stop.
+	 *
+	 * @return float Microtime.
+	 */
+	private function get_step_deadline(): float {
+		$remaining = ServerLimits::get_remaining_time( ServerLimits::get_safe_timeout_threshold() );
+
+		if ( $remaining < 0 ) {
+			$remaining = (float) apply_filters( 'swish_backup_soft_time_limit', 120.0 );
+		}
+
+		return microtime( true ) + max( 1.0, $remaining );
 	}
 
 	/**
@@ -912,26 +1026,31 @@ final class BackupManager {
 	/**
 	 * Run full backup (internal, for async processing).
 	 *
-	 * @param string $job_id  Job ID.
-	 * @param array  $options Backup options.
+	 * The database is dumped over as many steps as it needs, each ending
+	 * with a checkpoint; the files are backed up from the step after the
+	 * dump has finished.
+	 *
+	 * @param string $job_id    Job ID.
+	 * @param array  $options   Backup options.
+	 * @param array  $db_cursor Database dump cursor when resuming from a checkpoint.
 	 * @return array Backup result.
 	 */
-	private function run_full_backup( string $job_id, array $options ): array {
+	private function run_full_backup( string $job_id, array $options, array $db_cursor = array() ): array {
 		$this->logger->set_job_id( $job_id );
 		$this->configure_batch_sizes( $options );
 
 		// Initialize timing for this backup request.
 		ServerLimits::init_timing();
 
-		// Initialize timing for this backup request.
-		ServerLimits::init_timing();
-
-		do_action( 'swish_backup_before', $job_id, $options );
+		if ( empty( $db_cursor ) ) {
+			do_action( 'swish_backup_before', $job_id, $options );
 
-		// Check if we should use optimized tar.gz flow.
-		// This creates the final backup in one step instead of wrapping tar.gz in zip.
-		if ( ServerLimits::should_use_tar() ) {
-			return $this->run_full_backup_tar( $job_id, $options );
+			// Check if we should use optimized tar.gz flow.
+			// This creates the final backup in one step instead of wrapping tar.gz in zip.
+			// Callers that need the ZIP layout with manifest.json at its root can ask for it.
+			if ( 'zip' !== ( $options['archive_format'] ?? '' ) && ServerLimits::should_use_tar() ) {
+				return $this->run_full_backup_tar( $job_id, $options );
+			}
 		}
 
 		try {
@@ -940,11 +1059,32 @@ final class BackupManager {
 
 			// Backup database.
 			if ( $options['backup_database'] ?? true ) {
-				$this->update_job_status( $job_id, 'processing', 10, 'Backing up database...' );
 				$db_file = $temp_dir . '/database.sql';
 
-				if ( ! $this->database_backup->backup( $db_file ) ) {
-					throw new \RuntimeException( 'Database backup failed' );
+				if ( empty( $db_cursor['completed'] ) ) {
+					$db_cursor = $this->database_backup->backup_chunk( $db_file, $db_cursor, $this->get_step_deadline() );
+
+					$this->update_job_status(
+						$job_id,
+						'processing',
+						10 + (int) ( 20 * $db_cursor['table'] / count( $db_cursor['tables'] ) ),
+						sprintf( 'Backing up database... %d/%d tables', $db_cursor['table'], count( $db_cursor['tables'] ) )
+					);
+
+					$this->save_checkpoint( $job_id, array(
+						'phase'     => 'database',
+						'options'   => $options,
+						'temp_dir'  => $temp_dir,
+						'db_cursor' => $db_cursor,
+					) );
+					$this->schedule_continuation( $job_id );
+
+					return array(
+						'job_id'  => $job_id,
+						'status'  => 'processing',
+						'message' => 'Backup in progress (chunked processing)...',
+						'chunked' => true,
+					);
 				}
 
 				$files_to_archive[] = array(
@@ -1886,25 +2026,76 @@ final class BackupManager {
 	 * @return array|null Backup result or null on failure.
 	 */
 	public function create_database_backup( array $options = array() ): ?array {
+		$state = $this->start_database_backup( $options );
+
+		while ( ! isset( $state['result'] ) ) {
+			$state = $this->continue_database_backup( $state, PHP_FLOAT_MAX );
+		}
+
+		return $state['result'];
+	}
+
+	/**
+	 * Start a database-only backup that is written over several steps.
+	 *
+	 * Pass the returned state to continue_database_backup() until it holds
+	 * a `result`, in the same shape create_database_backup() returns.
+	 *
+	 * @param array $options Backup options.
+	 * @return array Backup state.
+	 */
+	public function start_database_backup( array $options = array() ): array {
 		$job_id = $this->generate_job_id();
 		$this->logger->set_job_id( $job_id );
 		$this->logger->info( 'Starting database backup' );
 
+		$this->create_job_record( $job_id, 'database' );
+		$this->update_job_status( $job_id, 'processing', 20, 'Backing up database...' );
+
+		return array(
+			'job_id'  => $job_id,
+			'options' => $options,
+			'cursor'  => array(),
+		);
+	}
+
+	/**
+	 * Run one step of a database-only backup.
+	 *
+	 * Tables are dumped until the deadline; the step that dumps the last
+	 * one also archives and uploads the backup.
+	 *
+	 * @param array $state    State from start_database_backup() or the previous step.
+	 * @param float $deadline Stop dumping after this microtime.
+	 * @return array Updated state, with `result` once the backup has finished or failed.
+	 */
+	public function continue_database_backup( array $state, float $deadline ): array {
+		$job_id  = $state['job_id'];
+		$options = $state['options'];
+
+		$this->logger->set_job_id( $job_id );
+
 		// Configure batch sizes for shared hosting compatibility.
 		$this->configure_batch_sizes( $options );
 
-		$this->create_job_record( $job_id, 'database' );
-
 		try {
-			$backup_filename = $this->generate_backup_filename( 'db' );
 			$temp_file = $this->get_temp_directory( $job_id ) . '/database.sql';
 
-			$this->update_job_status( $job_id, 'processing', 20, 'Backing up database...' );
+			$state['cursor'] = $this->database_backup->backup_chunk( $temp_file, $state['cursor'], $deadline );
 
-			if ( ! $this->database_backup->backup( $temp_file ) ) {
-				throw new \RuntimeException( 'Database backup failed' );
+			if ( ! $state['cursor']['completed'] ) {
+				$this->update_job_status(
+					$job_id,
+					'processing',
+					20 + (int) ( 50 * $state['cursor']['table'] / count( $state['cursor']['tables'] ) ),
+					'Backing up database...'
+				);
+
+				return $state;
 			}
 
+			$backup_filename = $this->generate_backup_filename( 'db' );
+
 			// Compress the SQL file.
 			$this->update_job_status( $job_id, 'processing', 70, 'Compressing...' );
 			$backup_path = $this->get_backup_directory() . '/' . $backup_filename;
@@ -1912,9 +2103,13 @@ final class BackupManager {
 			$metadata = array(
 				'job_id' => $job_id,
 				'type'   => 'database',
-				'tables' => $this->database_backup->get_tables(),
+				'tables' => $state['cursor']['tables'],
 			);
 
+			if ( ! empty( $options['rollback_point'] ) ) {
+				$metadata['rollback_point'] = true;
+			}
+
 			if ( ! $this->archiver->create_archive(
 				array( array( 'path' => $temp_file, 'name' => 'database.sql' ) ),
 				$backup_path,
@@ -1950,12 +2145,15 @@ final class BackupManager {
 			$this->complete_job( $job_id, $result );
 			$this->logger->info( 'Database backup completed', $result );
 
-			return $result;
+			$state['result'] = $result;
 		} catch ( \Exception $e ) {
 			$this->fail_job( $job_id, $e->getMessage() );
 			$this->logger->error( 'Database backup failed: ' . $e->getMessage() );
-			return array( 'error' => $e->getMessage() );
+
+			$state['result'] = array( 'error' => $e->getMessage() );
 		}
+
+		return $state;
 	}
 
 	/**
@@ -2218,22 +2416,7 @@ final class BackupManager {
 
 		try {
 			// Delete from all storage destinations.
-			$manifest = $backup['manifest'] ?? array();
-			$storage_destinations = $manifest['options']['storage_destinations'] ?? array( 'local' );
-
-			// Handle both array formats: ['local', 's3'] or ['local' => true, 's3' => true].
-			if ( is_array( $storage_destinations ) ) {
-				$destinations = array_values( array_filter(
-					array_keys( $storage_destinations ),
-					'is_string'
-				) );
-				// If it's a sequential array, use it directly.
-				if ( empty( $destinations ) ) {
-					$destinations = array_values( $storage_destinations );
-				}
-			} else {
-				$destinations = array( 'local' );
-			}
+			$destinations = $this->get_backup_destinations( $backup );
 
 			if ( ! empty( $backup['filename'] ) ) {
 				$this->storage_manager->delete_from_destinations( $backup['filename'], $destinations );
@@ -2244,6 +2427,10 @@ final class BackupManager {
 				// phpcs:ignore WordPress.WP.AlternativeFunctions.unlink_unlink
 				@unlink( $backup['path'] );
 			}
+
+			if ( ! empty( $backup['path'] ) && file_exists( $backup['path'] . BackupVerifier::SIDECAR_SUFFIX ) ) {
+				wp_delete_file( $backup['path'] . BackupVerifier::SIDECAR_SUFFIX );
+			}
 		} catch ( \Exception $e ) {
 			$this->logger->warning( 'Error deleting backup files: ' . $e->getMessage(), array( 'job_id' => $job_id ) );
 			// Continue to delete the database record even if file deletion fails.
@@ -2456,6 +2643,13 @@ final class BackupManager {
 
 		$table = $wpdb->prefix . 'swish_backup_jobs';
 
+		$manifest  = $result['manifest'] ?? array();
+		$integrity = $this->build_integrity( $result['path'] ?? '', $result['destinations'] ?? array() );
+
+		if ( null !== $integrity ) {
+			$manifest['integrity'] = $integrity;
+		}
+
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 		$wpdb->update(
 			$table,
@@ -2466,7 +2660,7 @@ final class BackupManager {
 				'file_path'    => $result['path'] ?? '',
 				'file_size'    => $result['size'] ?? 0,
 				'checksum'     => $result['checksum'] ?? '',
-				'manifest'     => wp_json_encode( $result['manifest'] ?? array() ),
+				'manifest'     => wp_json_encode( $manifest ),
 			),
 			array( 'job_id' => $job_id )
 		);
@@ -2496,6 +2690,208 @@ final class BackupManager {
 		);
 	}
 
+	/**
+	 * Record the verification of a backup's destinations for a backup
+	 * made outside of a backup job, as pipeline backups are.
+	 *
+	 * @param string $job_id         Job ID.
+	 * @param array  $upload_results Upload results keyed by destination ID.
+	 * @return void
+	 */
+	public function record_verification( string $job_id, array $upload_results ): void {
+		$backup = $this->get_backup( $job_id );
+
+		if ( ! $backup ) {
+			return;
+		}
+
+		$integrity = $this->build_integrity( (string) $backup['path'], $upload_results, $this->get_backup_destinations( $backup ) );
+
+		if ( null === $integrity ) {
+			return;
+		}
+
+		$manifest              = is_array( $backup['manifest'] ) ? $backup['manifest'] : array();
+		$manifest['integrity'] = $integrity;
+
+		$this->save_manifest( $job_id, $manifest );
+	}
+
+	/**
+	 * Check every destination of a backup against its integrity manifest.
+	 *
+	 * Backups made before manifests were recorded are checked against the
+	 * local archive or, when that is gone, a checksum sidecar.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return array|null Integrity manifest with fresh statuses, or null if the backup does not exist.
+	 * @throws \RuntimeException If there is nothing to check the backup against.
+	 */
+	public function verify_backup( string $job_id ): ?array {
+		$backup = $this->get_backup( $job_id );
+
+		if ( ! $backup ) {
+			return null;
+		}
+
+		$manifest     = is_array( $backup['manifest'] ) ? $backup['manifest'] : array();
+		$integrity    = $manifest['integrity'] ?? null;
+		$remote_path  = (string) $backup['filename'];
+		$destinations = $this->get_backup_destinations( $backup );
+
+		if ( empty( $integrity['sha256'] ) ) {
+			$integrity = $this->verifier->create_manifest( (string) $backup['path'] );
+		}
+
+		if ( null === $integrity ) {
+			foreach ( $destinations as $id ) {
+				if ( $this->storage_manager->has_adapter( $id ) ) {
+					$integrity = $this->verifier->read_sidecar( $this->storage_manager->get_adapter( $id ), $remote_path );
+				}
+
+				if ( null !== $integrity ) {
+					break;
+				}
+			}
+		}
+
+		if ( null === $integrity ) {
+			throw new \RuntimeException( esc_html__( 'No checksum is recorded for this backup, and neither its archive nor a checksum file could be found.', 'swish-migrate-and-backup' ) );
+		}
+
+		$integrity['destinations'] = array();
+		foreach ( $destinations as $id ) {
+			$integrity['destinations'][ $id ] = $this->verify_destination( $id, $remote_path, $integrity );
+		}
+
+		$manifest['integrity'] = $integrity;
+		$this->save_manifest( $job_id, $manifest );
+
+		$this->logger->info( 'Backup verified', array(
+			'job_id'       => $job_id,
+			'destinations' => wp_list_pluck( $integrity['destinations'], 'status' ),
+		) );
+
+		return $integrity;
+	}
+
+	/**
+	 * Build the integrity manifest of an archive with the verification
+	 * status of each destination.
+	 *
+	 * Destinations with an upload result take its verification. The other
+	 * destinations, such as local storage when the archive was written
+	 * there directly, get a checksum sidecar and are verified now.
+	 *
+	 * @param string $path           Local archive path.
+	 * @param array  $upload_results Upload results keyed by destination ID.
+	 * @param array  $destinations   Further destination IDs that hold the archive.
+	 * @return array|null Integrity manifest, or null if the archive cannot be read.
+	 */
+	private function build_integrity( string $path, array $upload_results, array $destinations = array() ): ?array {
+		$integrity = $this->verifier->create_manifest( $path );
+
+		if ( null === $integrity ) {
+			return null;
+		}
+
+		$integrity['destinations'] = array();
+
+		foreach ( $upload_results as $id => $upload ) {
+			if ( isset( $upload['verification'] ) ) {
+				$integrity['destinations'][ $id ] = $upload['verification'];
+			} elseif ( empty( $upload['success'] ) ) {
+				$integrity['destinations'][ $id ] = $this->verifier->status( BackupVerifier::STATUS_MISSING, 'upload', (string) ( $upload['error'] ?? '' ) );
+			}
+		}
+
+		foreach ( array_diff( $destinations, array_keys( $integrity['destinations'] ) ) as $id ) {
+			$integrity['destinations'][ $id ] = $this->verify_destination( $id, basename( $path ), $integrity, true );
+		}
+
+		return $integrity;
+	}
+
+	/**
+	 * Verify the copy of a backup on one destination.
+	 *
+	 * Right after a backup is stored, the checksum sidecar is written first
+	 * and the copy is never downloaded in full.
+	 *
+	 * @param string $adapter_id   Destination ID.
+	 * @param string $remote_path  Remote path of the backup.
+	 * @param array  $integrity    Integrity manifest.
+	 * @param bool   $after_backup Whether the backup was just stored.
+	 * @return array Verification status.
+	 */
+	private function verify_destination( string $adapter_id, string $remote_path, array $integrity, bool $after_backup = false ): array {
+		if ( ! $this->storage_manager->has_adapter( $adapter_id ) ) {
+			return $this->verifier->status(
+				BackupVerifier::STATUS_UNVERIFIED,
+				'error',
+				__( 'This storage destination is no longer available.', 'swish-migrate-and-backup' )
+			);
+		}
+
+		$adapter = $this->storage_manager->get_adapter( $adapter_id );
+
+		if ( $after_backup ) {
+			$this->verifier->write_sidecar( $adapter, $remote_path, $integrity );
+		}
+
+		return $this->verifier->verify( $adapter, $remote_path, $integrity, ! $after_backup );
+	}
+
+	/**
+	 * Get the IDs of the storage destinations that hold a backup.
+	 *
+	 * @param array $backup Backup data.
+	 * @return array<int, string>
+	 */
+	private function get_backup_destinations( array $backup ): array {
+		$manifest = is_array( $backup['manifest'] ?? null ) ? $backup['manifest'] : array();
+		$storage_destinations = $manifest['options']['storage_destinations'] ?? array( 'local' );
+
+		// Handle both array formats: ['local', 's3'] or ['local' => true, 's3' => true].
+		if ( is_array( $storage_destinations ) ) {
+			$destinations = array_values( array_filter(
+				array_keys( $storage_destinations ),
+				'is_string'
+			) );
+			// If it's a sequential array, use it directly.
+			if ( empty( $destinations ) ) {
+				$destinations = array_values( $storage_destinations );
+			}
+		} else {
+			$destinations = array( 'local' );
+		}
+
+		// Verification also records destinations the options do not list, such as those of scheduled pipeline backups.
+		$verified = array_keys( $manifest['integrity']['destinations'] ?? array() );
+
+		return array_values( array_unique( array_merge( $destinations, $verified ) ) );
+	}
+
+	/**
+	 * Save the manifest of a backup.
+	 *
+	 * @param string $job_id   Job ID.
+	 * @param array  $manifest Manifest.
+	 * @return void
+	 */
+	private function save_manifest( string $job_id, array $manifest ): void {
+		global $wpdb;
+
+		$table = $wpdb->prefix . 'swish_backup_jobs';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->update(
+			$table,
+			array( 'manifest' => wp_json_encode( $manifest ) ),
+			array( 'job_id' => $job_id )
+		);
+	}
+
 	/**
 	 * Apply retention policy to backups.
 	 *
@@ -589,6 +589,30 @@ final class BackupPipeline {
 		);
 	}
 
+	/**
+	 * Cancel a job and remove everything it has written so far.
+	 *
+	 * @param string $job_id       Job ID.
+	 * @param string $archive_path Path to the archive file.
+	 * @return void
+	 */
+	public function cancel( string $job_id, string $archive_path ): void {
+		FileQueue::clear_job( $job_id );
+
+		$state_file = dirname( $archive_path ) . '/' . pathinfo( $archive_path, PATHINFO_FILENAME ) . '.state';
+		foreach ( array( $archive_path, $state_file ) as $file ) {
+			if ( file_exists( $file ) ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.unlink_unlink
+				unlink( $file );
+			}
+		}
+
+		$this->logger->info( 'Backup job cancelled', array(
+			'job_id' => $job_id,
+			'path'   => $archive_path,
+		) );
+	}
+
 	/**
 	 * Get the current pipeline state for a job.
 	 *
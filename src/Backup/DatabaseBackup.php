@@ -161,6 +161,85 @@ final class DatabaseBackup {
 		}
 	}
 
+	/**
+	 * Write part of a database backup, resuming from a cursor.
+	 *
+	 * Call with an empty cursor to start the file, then again with the
+	 * returned cursor until it reports the backup as completed. The table
+	 * list is fixed when the backup starts.
+	 *
+	 * @param string $output_path Output file path.
+	 * @param array  $cursor      Cursor from the previous call, or empty to start.
+	 * @param float  $deadline    Stop after this microtime.
+	 * @return array Cursor with tables, table, row, rows and completed.
+	 * @throws \RuntimeException If the output file cannot be written.
+	 */
+	public function backup_chunk( string $output_path, array $cursor, float $deadline ): array {
+		if ( empty( $cursor ) ) {
+			$cursor = array(
+				'tables'    => $this->get_tables(),
+				'table'     => 0,
+				'row'       => 0,
+				'rows'      => null,
+				'completed' => false,
+			);
+
+			if ( empty( $cursor['tables'] ) ) {
+				throw new \RuntimeException( 'No tables found to backup' );
+			}
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		$handle = fopen( $output_path, 0 === $cursor['table'] && null === $cursor['rows'] ? 'w' : 'a' );
+
+		if ( ! $handle ) {
+			throw new \RuntimeException( 'Failed to open database backup file' );
+		}
+
+		if ( 0 === $cursor['table'] && null === $cursor['rows'] ) {
+			$this->write_header( $handle );
+		}
+
+		$total_tables = count( $cursor['tables'] );
+
+		while ( $cursor['table'] < $total_tables ) {
+			$table = $cursor['tables'][ $cursor['table'] ];
+
+			if ( null === $cursor['rows'] ) {
+				$cursor['rows'] = $this->write_table_structure( $handle, $table );
+			}
+
+			$cursor['row'] = $this->write_table_rows( $handle, $table, $cursor['row'], $cursor['rows'], $deadline );
+
+			if ( $cursor['row'] < $cursor['rows'] ) {
+				break;
+			}
+
+			if ( $cursor['rows'] > 0 ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+				fwrite( $handle, "/*!40000 ALTER TABLE `{$table}` ENABLE KEYS */;\n\n" );
+			}
+
+			++$cursor['table'];
+			$cursor['row']  = 0;
+			$cursor['rows'] = null;
+
+			if ( microtime( true ) >= $deadline ) {
+				break;
+			}
+		}
+
+		if ( $cursor['table'] >= $total_tables ) {
+			$this->write_footer( $handle );
+			$cursor['completed'] = true;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $handle );
+
+		return $cursor;
+	}
+
 	/**
 	 * Get all tables to backup.
 	 *
@@ -244,6 +323,27 @@ final class DatabaseBackup {
 	 * @return void
 	 */
 	private function backup_table( $handle, string $table ): void {
+		$row_count = $this->write_table_structure( $handle, $table );
+
+		if ( 0 === $row_count ) {
+			return;
+		}
+
+		$this->write_table_rows( $handle, $table, 0, $row_count, PHP_FLOAT_MAX );
+
+		// Re-enable keys.
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+		fwrite( $handle, "/*!40000 ALTER TABLE `{$table}` ENABLE KEYS */;\n\n" );
+	}
+
+	/**
+	 * Write a table's structure, and the start of its data if it has rows.
+	 *
+	 * @param resource $handle File handle.
+	 * @param string   $table  Table name.
+	 * @return int Row count.
+	 */
+	private function write_table_structure( $handle, string $table ): int {
 		global $wpdb;
 
 		$this->logger->debug( 'Backing up table', array( 'table' => $table ) );
@@ -272,7 +372,7 @@ final class DatabaseBackup {
 		$row_count = $this->get_table_row_count( $table );
 
 		if ( 0 === $row_count ) {
-			return;
+			return 0;
 		}
 
 		// Dump data comment.
@@ -284,6 +384,24 @@ final class DatabaseBackup {
 		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
 		fwrite( $handle, "/*!40000 ALTER TABLE `{$table}` DISABLE KEYS */;\n" );
 
+		return $row_count;
+	}
+
+	/**
+	 * Write a table's rows in batches, from an offset until the deadline.
+	 *
+	 * At least one batch is written per call.
+	 *
+	 * @param resource $handle    File handle.
+	 * @param string   $table     Table name.
+	 * @param int      $offset    First row to write.
+	 * @param int      $row_count Rows in the table.
+	 * @param float    $deadline  Stop after this microtime.
+	 * @return int Offset of the next row to write; the row count once done.
+	 */
+	private function write_table_rows( $handle, string $table, int $offset, int $row_count, float $deadline ): int {
+		global $wpdb;
+
 		// Get columns.
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table name from $wpdb->get_col() is safe.
 		$columns = $wpdb->get_results( "SHOW COLUMNS FROM `{$table}`", ARRAY_A );
@@ -291,7 +409,6 @@ final class DatabaseBackup {
 		$column_list = '`' . implode( '`, `', $column_names ) . '`';
 
 		// Dump data in batches with adaptive batch sizing.
-		$offset = 0;
 		$current_batch_size = $this->rows_per_batch;
 
 		while ( $offset < $row_count ) {
@@ -310,7 +427,8 @@ final class DatabaseBackup {
 			);
 
 			if ( empty( $rows ) ) {
-				break;
+				// Rows were deleted since they were counted.
+				return $row_count;
 			}
 
 			$this->write_insert_statements( $handle, $table, $column_list, $rows, $columns );
@@ -324,11 +442,13 @@ final class DatabaseBackup {
 			if ( $this->is_memory_low() && function_exists( 'gc_collect_cycles' ) ) {
 				gc_collect_cycles();
 			}
+
+			if ( microtime( true ) >= $deadline ) {
+				break;
+			}
 		}
 
-		// Re-enable keys.
-		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
-		fwrite( $handle, "/*!40000 ALTER TABLE `{$table}` ENABLE KEYS */;\n\n" );
+		return min( $offset, $row_count );
 	}
 
 	/**
@@ -588,16 +588,19 @@ final class SwishArchiver {
 	 * @param int           $archive_offset    Offset to resume from.
 	 * @param callable|null $progress_callback Progress callback.
 	 * @param int           $timeout           Timeout in seconds.
-	 * @return array{completed: bool, archive_offset: int, files_extracted: int}
+	 * @param callable|null $filter            Optional callback receiving the file path; return false to skip it.
+	 * @return array{completed: bool, archive_offset: int, files_extracted: int, files_skipped: int}
 	 */
 	public function extract_to(
 		string $destination,
 		int $archive_offset = 0,
 		?callable $progress_callback = null,
-		int $timeout = self::DEFAULT_TIMEOUT
+		int $timeout = self::DEFAULT_TIMEOUT,
+		?callable $filter = null
 	): array {
 		$start_time      = microtime( true );
 		$files_extracted = 0;
+		$files_skipped   = 0;
 
 		if ( ! $this->open_for_read() ) {
 			return array(
@@ -605,6 +608,7 @@ final class SwishArchiver {
 				'error'           => 'Failed to open archive',
 				'archive_offset'  => $archive_offset,
 				'files_extracted' => 0,
+				'files_skipped'   => 0,
 			);
 		}
 
@@ -617,6 +621,8 @@ final class SwishArchiver {
 		$completed   = true;
 
 		while ( true ) {
+			$header_offset = $this->get_position();
+
 			// Read header.
 			$header_data = @fread( $this->file_handle, self::HEADER_SIZE );
 
@@ -631,6 +637,13 @@ final class SwishArchiver {
 				break;
 			}
 
+			// Skip files the caller did not ask for.
+			if ( null !== $filter && ! $filter( $header['full_path'] ) ) {
+				@fseek( $this->file_handle, $header['size'], SEEK_CUR );
+				$files_skipped++;
+				continue;
+			}
+
 			// Create destination path.
 			$dest_path = $destination . '/' . $header['full_path'];
 			$dest_dir  = dirname( $dest_path );
@@ -661,17 +674,20 @@ final class SwishArchiver {
 				@fwrite( $dest_handle, $chunk );
 				$remaining -= strlen( $chunk );
 
-				// Check timeout.
+				// Check timeout. The returned offset must point at a header, so
+				// a partly written file is extracted again on the next call. The
+				// first file of a call is always finished to guarantee progress.
 				$elapsed = microtime( true ) - $start_time;
-				if ( $elapsed >= $timeout && $remaining > 0 ) {
+				if ( $elapsed >= $timeout && $remaining > 0 && $files_extracted > 0 ) {
 					@fclose( $dest_handle );
-					$archive_offset = $this->get_position();
+					$archive_offset = $header_offset;
 					$this->close();
 
 					return array(
 						'completed'       => false,
 						'archive_offset'  => $archive_offset,
 						'files_extracted' => $files_extracted,
+						'files_skipped'   => $files_skipped,
 					);
 				}
 			}
@@ -704,6 +720,7 @@ final class SwishArchiver {
 			'completed'       => $completed,
 			'archive_offset'  => $archive_offset,
 			'files_extracted' => $files_extracted,
+			'files_skipped'   => $files_skipped,
 		);
 	}
 
@@ -385,12 +385,14 @@ final class TarArchiver {
 	 * @param string        $archive_path     Path to the archive.
 	 * @param string        $destination_dir  Directory to extract to.
 	 * @param callable|null $progress_callback Optional callback for progress updates.
+	 * @param array         $members           Only extract these archive members (empty = all).
 	 * @return array{success: bool, error?: string}
 	 */
 	public function extract_archive(
 		string $archive_path,
 		string $destination_dir,
-		?callable $progress_callback = null
+		?callable $progress_callback = null,
+		array $members = array()
 	): array {
 		if ( ! $this->is_available() ) {
 			return array(
@@ -432,6 +434,15 @@ final class TarArchiver {
 			escapeshellarg( $destination_dir )
 		);
 
+		// Pass selected members through a list file to stay under the argument limit.
+		$members_file = null;
+		if ( ! empty( $members ) ) {
+			$members_file = tempnam( get_temp_dir(), 'swish-tar-' );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+			file_put_contents( $members_file, implode( "\n", $members ) . "\n" );
+			$command .= ' -T ' . escapeshellarg( $members_file );
+		}
+
 		$this->logger->debug( 'Running tar extract command', array(
 			'command'     => $command,
 			'archive'     => $archive_path,
@@ -450,6 +461,11 @@ final class TarArchiver {
 		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.system_calls_exec
 		exec( $command . ' 2>&1', $output, $return_var );
 
+		if ( null !== $members_file ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.unlink_unlink
+			@unlink( $members_file );
+		}
+
 		if ( 0 !== $return_var ) {
 			$error_message = implode( "\n", $output );
 			$this->logger->error( 'Tar extract failed', array(
@@ -481,10 +497,14 @@ final class TarArchiver {
 	/**
 	 * List contents of a tar.gz archive.
 	 *
+	 * With $with_sizes, files holds arrays with 'path' and 'size' instead of
+	 * plain paths, and directories are left out.
+	 *
 	 * @param string $archive_path Path to the archive.
+	 * @param bool   $with_sizes   Whether to include file sizes.
 	 * @return array{success: bool, files?: array, error?: string}
 	 */
-	public function list_contents( string $archive_path ): array {
+	public function list_contents( string $archive_path, bool $with_sizes = false ): array {
 		if ( ! $this->is_available() ) {
 			return array(
 				'success' => false,
@@ -507,7 +527,8 @@ final class TarArchiver {
 
 		// Build the tar list command.
 		$command = sprintf(
-			'tar -t%sf %s',
+			'tar -t%s%sf %s',
+			$with_sizes ? 'v' : '',
 			$compress_flag,
 			escapeshellarg( $archive_path )
 		);
@@ -526,12 +547,48 @@ final class TarArchiver {
 			);
 		}
 
+		if ( $with_sizes ) {
+			$output = $this->parse_verbose_listing( $output );
+		}
+
 		return array(
 			'success' => true,
 			'files'   => $output,
 		);
 	}
 
+	/**
+	 * Parse `tar -tv` output into paths and sizes.
+	 *
+	 * Expects the GNU tar layout: mode, owner, size, date, time, path.
+	 *
+	 * @param array $lines Listing lines.
+	 * @return array List of arrays with 'path' and 'size'.
+	 */
+	private function parse_verbose_listing( array $lines ): array {
+		$files = array();
+
+		foreach ( $lines as $line ) {
+			if ( ! preg_match( '/^([-l])\S*\s+\S+\s+(\d+)\s+\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}(?::\d{2})?\s+(.+)$/', $line, $matches ) ) {
+				continue;
+			}
+
+			$path = $matches[3];
+
+			// Symlinks are listed as "name -> target".
+			if ( 'l' === $matches[1] ) {
+				$path = explode( ' -> ', $path )[0];
+			}
+
+			$files[] = array(
+				'path' => $path,
+				'size' => (int) $matches[2],
+			);
+		}
+
+		return $files;
+	}
+
 	/**
 	 * Get nice command prefix for lower CPU priority.
 	 *
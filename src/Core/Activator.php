@@ -11,6 +11,7 @@ namespace SwishMigrateAndBackup\Core;
 
 use SwishMigrateAndBackup\Backup\BackupState;
 use SwishMigrateAndBackup\Backup\FileQueue;
+use SwishMigrateAndBackup\Migration\SearchReplaceJournal;
 
 // Prevent direct access.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -209,8 +210,11 @@ final class Activator {
 		// Create file queue table for chunked processing.
 		FileQueue::create_table();
 
+		// Create the Search & Replace undo journal table.
+		SearchReplaceJournal::create_table();
+
 		// Store database version for future migrations.
-		update_option( 'swish_backup_db_version', '1.0.3' );
+		update_option( 'swish_backup_db_version', '1.0.4' );
 	}
 
 	/**
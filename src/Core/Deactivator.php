@@ -52,6 +52,8 @@ final class Deactivator {
 
 		// Clear all scheduled backup events.
 		wp_unschedule_hook( 'swish_backup_scheduled_backup' );
+		wp_unschedule_hook( 'swish_backup_delete_export' );
+		wp_unschedule_hook( 'swish_backup_delete_remote_backup' );
 	}
 
 	/**
@@ -31,17 +31,26 @@ use SwishMigrateAndBackup\Backup\BackupArchiver;
 use SwishMigrateAndBackup\Export\ExportController;
 use SwishMigrateAndBackup\Export\ExportAjaxHandler;
 use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Migration\FileUrlScanner;
+use SwishMigrateAndBackup\Migration\ImportSession;
 use SwishMigrateAndBackup\Migration\Migrator;
 use SwishMigrateAndBackup\Migration\SearchReplace;
+use SwishMigrateAndBackup\Migration\SearchReplaceJournal;
+use SwishMigrateAndBackup\Migration\SiteConnection;
 use SwishMigrateAndBackup\Queue\JobQueue;
 use SwishMigrateAndBackup\Queue\Scheduler;
 use SwishMigrateAndBackup\Restore\RestoreManager;
 use SwishMigrateAndBackup\Security\Encryption;
 use SwishMigrateAndBackup\Storage\StorageManager;
+use SwishMigrateAndBackup\Storage\StorageOAuth;
+use SwishMigrateAndBackup\Storage\BackupVerifier;
 use SwishMigrateAndBackup\Storage\LocalAdapter;
 use SwishMigrateAndBackup\Storage\S3Adapter;
 use SwishMigrateAndBackup\Storage\DropboxAdapter;
 use SwishMigrateAndBackup\Storage\GoogleDriveAdapter;
+use SwishMigrateAndBackup\Storage\SftpAdapter;
+use SwishMigrateAndBackup\Storage\FtpAdapter;
+use SwishMigrateAndBackup\Storage\WebDavAdapter;
 
 /**
  * Plugin class responsible for bootstrapping all components.
@@ -95,6 +104,12 @@ final class Plugin {
 			BackupState::create_table();
 			update_option( 'swish_backup_db_version', '1.0.2' );
 		}
+
+		// Upgrade to 1.0.4: Add the Search & Replace undo journal table.
+		if ( version_compare( $current_version, '1.0.4', '<' ) ) {
+			SearchReplaceJournal::create_table();
+			update_option( 'swish_backup_db_version', '1.0.4' );
+		}
 	}
 
 	/**
@@ -144,11 +159,45 @@ final class Plugin {
 			)
 		);
 
+		$this->container->singleton(
+			SftpAdapter::class,
+			fn( Container $c ) => new SftpAdapter(
+				$c->get( Logger::class ),
+				$c->get( Encryption::class )
+			)
+		);
+
+		$this->container->singleton(
+			FtpAdapter::class,
+			fn( Container $c ) => new FtpAdapter(
+				$c->get( Logger::class ),
+				$c->get( Encryption::class )
+			)
+		);
+
+		$this->container->singleton(
+			WebDavAdapter::class,
+			fn( Container $c ) => new WebDavAdapter(
+				$c->get( Logger::class ),
+				$c->get( Encryption::class )
+			)
+		);
+
+		$this->container->singleton(
+			BackupVerifier::class,
+			fn( Container $c ) => new BackupVerifier( $c->get( Logger::class ) )
+		);
+
 		$this->container->singleton(
 			StorageManager::class,
 			fn( Container $c ) => new StorageManager( $c )
 		);
 
+		$this->container->singleton(
+			StorageOAuth::class,
+			fn( Container $c ) => new StorageOAuth( $c->get( StorageManager::class ) )
+		);
+
 		// Backup services.
 		$this->container->singleton(
 			DatabaseBackup::class,
@@ -172,6 +221,7 @@ final class Plugin {
 				$c->get( FileBackup::class ),
 				$c->get( BackupArchiver::class ),
 				$c->get( StorageManager::class ),
+				$c->get( BackupVerifier::class ),
 				$c->get( Logger::class )
 			)
 		);
@@ -181,14 +231,23 @@ final class Plugin {
 			RestoreManager::class,
 			fn( Container $c ) => new RestoreManager(
 				$c->get( StorageManager::class ),
+				$c->get( BackupManager::class ),
 				$c->get( Logger::class )
 			)
 		);
 
 		// Migration services.
+		$this->container->singleton(
+			SearchReplaceJournal::class,
+			fn( Container $c ) => new SearchReplaceJournal( $c->get( Logger::class ) )
+		);
+
 		$this->container->singleton(
 			SearchReplace::class,
-			fn( Container $c ) => new SearchReplace( $c->get( Logger::class ) )
+			fn( Container $c ) => new SearchReplace(
+				$c->get( Logger::class ),
+				$c->get( SearchReplaceJournal::class )
+			)
 		);
 
 		$this->container->singleton(
@@ -196,11 +255,37 @@ final class Plugin {
 			fn( Container $c ) => new Migrator(
 				$c->get( BackupManager::class ),
 				$c->get( RestoreManager::class ),
+				$c->get( SearchReplace::class ),
+				$c->get( SearchReplaceJournal::class ),
+				$c->get( Logger::class )
+			)
+		);
+
+		$this->container->singleton(
+			FileUrlScanner::class,
+			fn( Container $c ) => new FileUrlScanner(
 				$c->get( SearchReplace::class ),
 				$c->get( Logger::class )
 			)
 		);
 
+		$this->container->singleton(
+			ImportSession::class,
+			fn( Container $c ) => new ImportSession(
+				$c->get( Logger::class ),
+				$c->get( SiteConnection::class ),
+				$c->get( StorageManager::class )
+			)
+		);
+
+		$this->container->singleton(
+			SiteConnection::class,
+			fn( Container $c ) => new SiteConnection(
+				$c->get( Encryption::class ),
+				$c->get( Logger::class )
+			)
+		);
+
 		// Queue and scheduler.
 		$this->container->singleton(
 			JobQueue::class,
@@ -243,12 +328,18 @@ final class Plugin {
 
 		$this->container->singleton(
 			SchedulesPage::class,
-			fn( Container $c ) => new SchedulesPage( $c->get( Scheduler::class ) )
+			fn( Container $c ) => new SchedulesPage(
+				$c->get( Scheduler::class ),
+				$c->get( StorageManager::class )
+			)
 		);
 
 		$this->container->singleton(
 			MigrationPage::class,
-			fn( Container $c ) => new MigrationPage( $c->get( Migrator::class ) )
+			fn( Container $c ) => new MigrationPage(
+				$c->get( Migrator::class ),
+				$c->get( SiteConnection::class )
+			)
 		);
 
 		$this->container->singleton(
@@ -282,7 +373,12 @@ final class Plugin {
 				$c->get( RestoreManager::class ),
 				$c->get( Migrator::class ),
 				$c->get( StorageManager::class ),
-				$c->get( JobQueue::class )
+				$c->get( JobQueue::class ),
+				$c->get( ImportSession::class ),
+				$c->get( SiteConnection::class ),
+				$c->get( FileUrlScanner::class ),
+				$c->get( Scheduler::class ),
+				$c->get( StorageOAuth::class )
 			)
 		);
 
@@ -326,6 +422,7 @@ final class Plugin {
 
 		// Cron scheduler.
 		add_action( 'swish_backup_scheduled_backup', array( $this->container->get( Scheduler::class ), 'run_scheduled_backup' ) );
+		add_action( 'swish_backup_async_processed', array( $this->container->get( Scheduler::class ), 'handle_async_backup' ), 10, 3 );
 
 		// Async backup processor.
 		add_action( 'swish_backup_process_async', array( $this->container->get( BackupManager::class ), 'process_async_backup' ) );
@@ -333,12 +430,28 @@ final class Plugin {
 		// Backup continuation for chunked/timeout processing.
 		add_action( 'swish_backup_continue', array( $this->container->get( BackupManager::class ), 'continue_backup' ) );
 
+		// Queued migration batches.
+		add_action( 'swish_backup_process_migration', array( $this->container->get( Migrator::class ), 'run_job' ) );
+
+		// Single files and folders exported from a backup whose link expired unused.
+		add_action( 'swish_backup_delete_export', array( $this->container->get( RestoreManager::class ), 'delete_export' ) );
+
+		// Backups built for a pulling site that never finished downloading them.
+		add_action( 'swish_backup_delete_remote_backup', array( $this->container->get( RestController::class ), 'delete_remote_backup' ) );
+
+		// Let downloads from a paired source site through the safe HTTP checks.
+		add_filter( 'http_request_host_is_external', array( $this->container->get( SiteConnection::class ), 'allow_source_host' ), 10, 2 );
+		add_filter( 'http_allowed_safe_ports', array( $this->container->get( SiteConnection::class ), 'allow_source_port' ), 10, 2 );
+
 		// Register storage adapters.
 		add_action( 'init', array( $this, 'register_storage_adapters' ) );
 
 		// Handle backup file downloads.
 		add_action( 'admin_init', array( $this, 'handle_backup_download' ) );
 
+		// Storage sign-in redirects.
+		add_action( 'admin_post_' . StorageOAuth::ACTION, array( $this->container->get( StorageOAuth::class ), 'handle_callback' ) );
+
 		// Register export AJAX handlers (new streaming architecture).
 		add_action( 'init', array( $this->container->get( ExportAjaxHandler::class ), 'register' ) );
 	}
@@ -423,6 +536,9 @@ final class Plugin {
 		// Output the file.
 		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile
 		readfile( $real_file_path );
+
+		// Exports of a single file or folder are only needed for this one download.
+		$this->container->get( RestoreManager::class )->delete_export( $file );
 		exit;
 	}
 
@@ -453,6 +569,9 @@ final class Plugin {
 		$storage_manager->register_adapter( 's3', $this->container->get( S3Adapter::class ) );
 		$storage_manager->register_adapter( 'dropbox', $this->container->get( DropboxAdapter::class ) );
 		$storage_manager->register_adapter( 'googledrive', $this->container->get( GoogleDriveAdapter::class ) );
+		$storage_manager->register_adapter( 'sftp', $this->container->get( SftpAdapter::class ) );
+		$storage_manager->register_adapter( 'ftp', $this->container->get( FtpAdapter::class ) );
+		$storage_manager->register_adapter( 'webdav', $this->container->get( WebDavAdapter::class ) );
 
 		/**
 		 * Fires after storage adapters have been registered.
@@ -606,6 +725,7 @@ final class Plugin {
 				'maxUploadSizeFormatted' => size_format( wp_max_upload_size() ),
 				'postMaxSize'    => $this->get_post_max_size(),
 				'postMaxSizeFormatted' => size_format( $this->get_post_max_size() ),
+				'dashboardUrl'   => admin_url( 'admin.php?page=swish-backup' ),
 				'i18n'           => array(
 					'backupStarted'   => __( 'Backup started...', 'swish-migrate-and-backup' ),
 					'backupComplete'  => __( 'Backup completed successfully!', 'swish-migrate-and-backup' ),
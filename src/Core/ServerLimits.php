@@ -43,6 +43,13 @@ final class ServerLimits {
 	 */
 	private static float $start_time = 0;
 
+	/**
+	 * Seconds a single step may run, or 0 to go by max_execution_time.
+	 *
+	 * @var float
+	 */
+	private static float $time_budget = 0;
+
 	/**
 	 * Get all server limits.
 	 *
@@ -76,6 +83,19 @@ final class ServerLimits {
 		self::$start_time = microtime( true );
 	}
 
+	/**
+	 * Limit how long each step may run, below max_execution_time.
+	 *
+	 * Used when a step runs inside a request that a proxy or the web
+	 * server would cut off sooner than PHP does.
+	 *
+	 * @param float $seconds Seconds per step, or 0 to remove the limit.
+	 * @return void
+	 */
+	public static function set_time_budget( float $seconds ): void {
+		self::$time_budget = max( 0.0, $seconds );
+	}
+
 	/**
 	 * Get elapsed time since init_timing() was called.
 	 *
@@ -97,9 +117,13 @@ final class ServerLimits {
 	 * @return float Remaining seconds, or -1 if unlimited.
 	 */
 	public static function get_remaining_time( float $safety_margin = 5.0 ): float {
-		$max_time = self::get_max_execution_time();
+		$max_time = (float) self::get_max_execution_time();
+
+		if ( self::$time_budget > 0 && ( 0.0 === $max_time || self::$time_budget < $max_time ) ) {
+			$max_time = self::$time_budget;
+		}
 
-		if ( 0 === $max_time ) {
+		if ( 0.0 === $max_time ) {
 			return -1; // Unlimited.
 		}
 
@@ -0,0 +1,529 @@
+<?php
+/**
+ * File URL Scanner.
+ *
+ * @package SwishMigrateAndBackup\Migration
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Migration;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use SwishMigrateAndBackup\Export\FileEnumerator;
+use SwishMigrateAndBackup\Logger\Logger;
+
+/**
+ * Finds the old site URL hardcoded in theme and plugin files.
+ *
+ * Search & Replace only reaches the database, so a scan walks
+ * wp-content/themes and wp-content/plugins with FileEnumerator and
+ * reports the file, line and text of every reference to the old URL.
+ * Scans run in time-boxed steps and keep their state in
+ * url-scans/{id}.json, next to the filemap they read from. Static
+ * assets among the results can then be rewritten to the new URL.
+ */
+final class FileUrlScanner {
+
+	/**
+	 * Extensions of files that are scanned.
+	 */
+	private const SCAN_EXTENSIONS = array( 'css', 'scss', 'less', 'js', 'json', 'php', 'html', 'htm', 'svg', 'xml', 'txt' );
+
+	/**
+	 * Extensions of static assets that may be rewritten. Code is only reported.
+	 */
+	public const REWRITE_EXTENSIONS = array( 'css', 'json', 'svg' );
+
+	/**
+	 * Files larger than this are skipped (2MB).
+	 */
+	private const MAX_FILE_SIZE = 2097152;
+
+	/**
+	 * Matching lines kept in the results.
+	 */
+	private const MAX_FINDINGS = 1000;
+
+	/**
+	 * Characters shown on either side of a match.
+	 */
+	private const SNIPPET_CONTEXT = 60;
+
+	/**
+	 * Filemap entries read per batch while scanning.
+	 */
+	private const FILES_PER_BATCH = 200;
+
+	/**
+	 * Scan statuses.
+	 */
+	public const STATUS_ENUMERATING = 'enumerating';
+	public const STATUS_SCANNING    = 'scanning';
+	public const STATUS_COMPLETE    = 'complete';
+
+	/**
+	 * Search and replace handler, for the URL variants to rewrite.
+	 *
+	 * @var SearchReplace
+	 */
+	private SearchReplace $search_replace;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @var Logger
+	 */
+	private Logger $logger;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param SearchReplace $search_replace Search and replace handler.
+	 * @param Logger        $logger         Logger instance.
+	 */
+	public function __construct( SearchReplace $search_replace, Logger $logger ) {
+		$this->search_replace = $search_replace;
+		$this->logger         = $logger;
+	}
+
+	/**
+	 * Start a scan for an old URL.
+	 *
+	 * @param string $old_url Old site URL.
+	 * @param string $new_url New site URL, used when rewriting.
+	 * @return array Scan state.
+	 * @throws \RuntimeException If the old URL is not usable.
+	 */
+	public function start( string $old_url, string $new_url ): array {
+		$old_url = rtrim( trim( $old_url ), '/' );
+		$new_url = rtrim( trim( $new_url ), '/' );
+
+		if ( '' === $this->get_host( $old_url ) ) {
+			throw new \RuntimeException( __( 'Enter the old site URL to scan for.', 'swish-migrate-and-backup' ) );
+		}
+
+		$this->cleanup_stale_scans();
+
+		$scan = array(
+			'id'            => wp_generate_uuid4(),
+			'old_url'       => $old_url,
+			'new_url'       => $new_url,
+			'status'        => self::STATUS_ENUMERATING,
+			'dir_index'     => 0,
+			'dir_offset'    => 0,
+			'file_offset'   => 0,
+			'files_total'   => 0,
+			'files_scanned' => 0,
+			'files_matched' => 0,
+			'findings'      => array(),
+			'truncated'     => false,
+			'rewritten'     => array(),
+			'started_at'    => time(),
+		);
+
+		$this->save( $scan );
+
+		$this->logger->info( 'Started file scan for old URL', array( 'old_url' => $old_url ) );
+
+		return $scan;
+	}
+
+	/**
+	 * Get a scan.
+	 *
+	 * @param string $id Scan ID.
+	 * @return array|null Scan state or null if not found.
+	 */
+	public function get( string $id ): ?array {
+		if ( ! preg_match( '/^[a-f0-9-]+$/', $id ) ) {
+			return null;
+		}
+
+		$file = $this->get_state_file( $id );
+
+		if ( ! file_exists( $file ) ) {
+			return null;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$scan = json_decode( (string) file_get_contents( $file ), true );
+
+		return is_array( $scan ) ? $scan : null;
+	}
+
+	/**
+	 * Work on a scan until it completes or the deadline passes.
+	 *
+	 * Files are listed first, then read in batches from the filemap.
+	 *
+	 * @param array $scan     Scan state.
+	 * @param float $deadline Time to stop at.
+	 * @return array Updated scan state.
+	 */
+	public function scan( array $scan, float $deadline ): array {
+		$enumerator = new FileEnumerator( $this->get_filemap_file( $scan['id'] ) );
+
+		if ( self::STATUS_ENUMERATING === $scan['status'] ) {
+			$enumerator->open( $scan['dir_index'] > 0 || $scan['dir_offset'] > 0 );
+
+			$result = $enumerator->enumerate_directories(
+				$this->get_directories(),
+				$scan['dir_index'],
+				$scan['dir_offset'],
+				max( 1, (int) ( $deadline - microtime( true ) ) )
+			);
+
+			$enumerator->close();
+
+			$scan['dir_index']    = $result['dir_index'];
+			$scan['dir_offset']   = $result['dir_offset'];
+			$scan['files_total'] += $result['files_found'];
+
+			if ( $result['completed'] ) {
+				$scan['status'] = self::STATUS_SCANNING;
+			}
+		}
+
+		while ( self::STATUS_SCANNING === $scan['status'] && microtime( true ) < $deadline ) {
+			$files = $enumerator->read_filemap( $scan['file_offset'], self::FILES_PER_BATCH );
+
+			foreach ( $files as $file ) {
+				++$scan['file_offset'];
+
+				if ( ! in_array( $this->get_extension( $file['path'] ), self::SCAN_EXTENSIONS, true ) || $file['size'] > self::MAX_FILE_SIZE ) {
+					continue;
+				}
+
+				$scan = $this->scan_file( $scan, $file['path'] );
+				++$scan['files_scanned'];
+
+				if ( microtime( true ) >= $deadline ) {
+					break;
+				}
+			}
+
+			if ( empty( $files ) || $scan['file_offset'] >= $scan['files_total'] ) {
+				$scan['status'] = self::STATUS_COMPLETE;
+				$enumerator->cleanup();
+
+				$this->logger->info(
+					'File scan for old URL complete',
+					array(
+						'files_scanned' => $scan['files_scanned'],
+						'files_matched' => $scan['files_matched'],
+					)
+				);
+			}
+		}
+
+		$this->save( $scan );
+
+		return $scan;
+	}
+
+	/**
+	 * Rewrite the old URL to the new one in scanned static assets.
+	 *
+	 * Only files the scan found matches in and whose extension is in
+	 * REWRITE_EXTENSIONS are touched.
+	 *
+	 * @param array $scan  Completed scan state.
+	 * @param array $files Files to rewrite, relative to wp-content.
+	 * @return array Scan state, plus the files rewritten and those that failed.
+	 * @throws \RuntimeException If the scan has not finished or has no new URL.
+	 */
+	public function rewrite( array $scan, array $files ): array {
+		if ( self::STATUS_COMPLETE !== $scan['status'] ) {
+			throw new \RuntimeException( __( 'Wait for the scan to finish before rewriting files.', 'swish-migrate-and-backup' ) );
+		}
+
+		if ( '' === $this->get_host( $scan['new_url'] ) ) {
+			throw new \RuntimeException( __( 'Enter the new site URL to rewrite files with.', 'swish-migrate-and-backup' ) );
+		}
+
+		$found        = array_column( $scan['findings'], 'rewritable', 'file' );
+		$replacements = $this->search_replace->generate_url_replacements( $scan['old_url'], $scan['new_url'] );
+		$rewritten    = array();
+		$failed       = array();
+
+		foreach ( array_unique( array_map( 'strval', $files ) ) as $relative ) {
+			if ( empty( $found[ $relative ] ) ) {
+				$failed[] = array(
+					'file'  => $relative,
+					'error' => __( 'Only static assets found by the scan can be rewritten.', 'swish-migrate-and-backup' ),
+				);
+				continue;
+			}
+
+			$path = $this->resolve_path( $relative );
+
+			if ( null === $path || ! wp_is_writable( $path ) ) {
+				$failed[] = array(
+					'file'  => $relative,
+					'error' => __( 'The file is missing or not writable.', 'swish-migrate-and-backup' ),
+				);
+				continue;
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+			$contents = (string) file_get_contents( $path );
+			$count    = 0;
+
+			foreach ( $replacements as $search => $replace ) {
+				$contents = str_replace( (string) $search, $replace, $contents, $replaced );
+				$count   += $replaced;
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+			if ( false === file_put_contents( $path, $contents, LOCK_EX ) ) {
+				$failed[] = array(
+					'file'  => $relative,
+					'error' => __( 'The file could not be written.', 'swish-migrate-and-backup' ),
+				);
+				continue;
+			}
+
+			$rewritten[]         = array(
+				'file'         => $relative,
+				'replacements' => $count,
+			);
+			$scan['rewritten'][] = $relative;
+		}
+
+		$scan['rewritten'] = array_values( array_unique( $scan['rewritten'] ) );
+		$this->save( $scan );
+
+		$this->logger->info(
+			'Rewrote old URL in files',
+			array(
+				'rewritten' => count( $rewritten ),
+				'failed'    => count( $failed ),
+			)
+		);
+
+		return array_merge(
+			$scan,
+			array(
+				'rewrite_result' => array(
+					'rewritten' => $rewritten,
+					'failed'    => $failed,
+				),
+			)
+		);
+	}
+
+	/**
+	 * Get the directories a scan walks.
+	 *
+	 * @return array Directory paths.
+	 */
+	public function get_directories(): array {
+		return array(
+			get_theme_root(),
+			WP_PLUGIN_DIR,
+		);
+	}
+
+	/**
+	 * Record the lines of a file that reference the old URL.
+	 *
+	 * @param array  $scan Scan state.
+	 * @param string $path File path.
+	 * @return array Updated scan state.
+	 */
+	private function scan_file( array $scan, string $path ): array {
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents, WordPress.PHP.NoSilencedErrors.Discouraged
+		$contents = @file_get_contents( $path );
+		$pattern  = $this->get_pattern( $scan['old_url'] );
+
+		if ( false === $contents || ! preg_match( $pattern, $contents ) ) {
+			return $scan;
+		}
+
+		$relative   = $this->get_relative_path( $path );
+		$rewritable = in_array( $this->get_extension( $path ), self::REWRITE_EXTENSIONS, true );
+
+		++$scan['files_matched'];
+
+		foreach ( preg_split( '/\r\n|\r|\n/', $contents ) as $index => $line ) {
+			if ( ! preg_match( $pattern, $line, $match, PREG_OFFSET_CAPTURE ) ) {
+				continue;
+			}
+
+			if ( count( $scan['findings'] ) >= self::MAX_FINDINGS ) {
+				$scan['truncated'] = true;
+				break;
+			}
+
+			$scan['findings'][] = array(
+				'file'       => $relative,
+				'line'       => $index + 1,
+				'match'      => $this->build_snippet( $line, $match[0][1], strlen( $match[0][0] ) ),
+				'rewritable' => $rewritable,
+			);
+		}
+
+		return $scan;
+	}
+
+	/**
+	 * Build the pattern matching the old URL in any of its forms.
+	 *
+	 * The host is matched with or without www and whatever scheme or
+	 * escaping precedes it, but not as part of a longer host name.
+	 *
+	 * @param string $old_url Old site URL.
+	 * @return string PCRE pattern.
+	 */
+	private function get_pattern( string $old_url ): string {
+		$host = preg_replace( '#^www\.#i', '', $this->get_host( $old_url ) );
+
+		return '~(?<![\w.-])(?:www\.)?' . preg_quote( $host, '~' ) . '(?![\w-]|\.\w)~i';
+	}
+
+	/**
+	 * Strip the scheme from a URL.
+	 *
+	 * @param string $url URL.
+	 * @return string Host and path.
+	 */
+	private function get_host( string $url ): string {
+		return (string) preg_replace( '#^(https?:)?//#i', '', $url );
+	}
+
+	/**
+	 * Cut a line down to the text around a match.
+	 *
+	 * @param string $line   Line.
+	 * @param int    $offset Byte offset of the match.
+	 * @param int    $length Byte length of the match.
+	 * @return string Snippet.
+	 */
+	private function build_snippet( string $line, int $offset, int $length ): string {
+		$start   = max( 0, $offset - self::SNIPPET_CONTEXT );
+		$end     = min( strlen( $line ), $offset + $length + self::SNIPPET_CONTEXT );
+		$snippet = trim( substr( $line, $start, $end - $start ) );
+
+		// Drop a character cut in half at either end.
+		$snippet = (string) mb_convert_encoding( $snippet, 'UTF-8', 'UTF-8' );
+
+		return ( $start > 0 ? '…' : '' ) . $snippet . ( $end < strlen( $line ) ? '…' : '' );
+	}
+
+	/**
+	 * Get a file's lowercase extension.
+	 *
+	 * @param string $path File path.
+	 * @return string Extension.
+	 */
+	private function get_extension( string $path ): string {
+		return strtolower( pathinfo( $path, PATHINFO_EXTENSION ) );
+	}
+
+	/**
+	 * Get a path relative to wp-content.
+	 *
+	 * @param string $path File path.
+	 * @return string Relative path.
+	 */
+	private function get_relative_path( string $path ): string {
+		$path    = wp_normalize_path( $path );
+		$content = trailingslashit( wp_normalize_path( WP_CONTENT_DIR ) );
+
+		return 0 === strpos( $path, $content ) ? substr( $path, strlen( $content ) ) : $path;
+	}
+
+	/**
+	 * Resolve a path relative to wp-content, keeping it inside the scanned directories.
+	 *
+	 * @param string $relative Path relative to wp-content.
+	 * @return string|null Absolute path, or null if it is outside them.
+	 */
+	private function resolve_path( string $relative ): ?string {
+		$path = realpath( WP_CONTENT_DIR . '/' . $relative );
+
+		if ( false === $path || ! is_file( $path ) ) {
+			return null;
+		}
+
+		$path = wp_normalize_path( $path );
+
+		foreach ( $this->get_directories() as $directory ) {
+			$directory = realpath( $directory );
+
+			if ( false !== $directory && 0 === strpos( $path, trailingslashit( wp_normalize_path( $directory ) ) ) ) {
+				return $path;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Remove scans that have not been touched for a day.
+	 *
+	 * @return void
+	 */
+	private function cleanup_stale_scans(): void {
+		foreach ( glob( $this->get_directory() . '/*.json' ) ?: array() as $file ) {
+			if ( filemtime( $file ) >= time() - DAY_IN_SECONDS ) {
+				continue;
+			}
+
+			$id = basename( $file, '.json' );
+			wp_delete_file( $this->get_filemap_file( $id ) );
+			wp_delete_file( $file );
+		}
+	}
+
+	/**
+	 * Persist scan state.
+	 *
+	 * @param array $scan Scan state.
+	 * @return void
+	 */
+	private function save( array $scan ): void {
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $this->get_state_file( $scan['id'] ), wp_json_encode( $scan ) );
+	}
+
+	/**
+	 * Get the scans directory, creating it if needed.
+	 *
+	 * @return string Directory path.
+	 */
+	private function get_directory(): string {
+		$dir = WP_CONTENT_DIR . '/swish-backups/url-scans';
+
+		if ( ! is_dir( $dir ) ) {
+			wp_mkdir_p( $dir );
+		}
+
+		return $dir;
+	}
+
+	/**
+	 * Get the state file of a scan.
+	 *
+	 * @param string $id Scan ID.
+	 * @return string File path.
+	 */
+	private function get_state_file( string $id ): string {
+		return $this->get_directory() . '/' . $id . '.json';
+	}
+
+	/**
+	 * Get the filemap of a scan.
+	 *
+	 * @param string $id Scan ID.
+	 * @return string File path.
+	 */
+	private function get_filemap_file( string $id ): string {
+		return $this->get_directory() . '/' . $id . '.filemap';
+	}
+}
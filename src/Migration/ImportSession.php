@@ -0,0 +1,819 @@
+<?php
+/**
+ * Import Session - Reassembles backups uploaded in chunks.
+ *
+ * @package SwishMigrateAndBackup\Migration
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Migration;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use SwishMigrateAndBackup\Core\ServerLimits;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Storage\Contracts\RangeReadableStorageAdapterInterface;
+use SwishMigrateAndBackup\Storage\Contracts\StorageAdapterInterface;
+use SwishMigrateAndBackup\Storage\StorageManager;
+
+/**
+ * Tracks chunked backup uploads so an interrupted upload can resume.
+ *
+ * Each session keeps its state in imports/{id}.json and writes the chunks
+ * into imports/{id}.part at their offsets, so chunks may arrive in any
+ * order and be sent again after a failure. Remote sessions are filled the
+ * same way, except the server downloads the chunks itself, from a URL or
+ * from a storage destination.
+ */
+final class ImportSession {
+
+	/**
+	 * Largest chunk size handed to the browser (8MB).
+	 */
+	public const MAX_CHUNK_SIZE = 8388608;
+
+	/**
+	 * Smallest chunk size handed to the browser (512KB).
+	 */
+	public const MIN_CHUNK_SIZE = 524288;
+
+	/**
+	 * Range size requested per chunk when downloading from a URL (32MB).
+	 */
+	public const REMOTE_CHUNK_SIZE = 33554432;
+
+	/**
+	 * Range size read per chunk from a storage destination (8MB).
+	 *
+	 * Smaller than REMOTE_CHUNK_SIZE, since adapters return ranges in memory.
+	 */
+	public const STORAGE_CHUNK_SIZE = 8388608;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @var Logger
+	 */
+	private Logger $logger;
+
+	/**
+	 * Site connection, for downloads from the paired source site.
+	 *
+	 * @var SiteConnection
+	 */
+	private SiteConnection $site_connection;
+
+	/**
+	 * Storage manager, for downloads from storage destinations.
+	 *
+	 * @var StorageManager
+	 */
+	private StorageManager $storage_manager;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Logger         $logger          Logger instance.
+	 * @param SiteConnection $site_connection Site-to-site connection.
+	 * @param StorageManager $storage_manager Storage manager.
+	 */
+	public function __construct( Logger $logger, SiteConnection $site_connection, StorageManager $storage_manager ) {
+		$this->logger          = $logger;
+		$this->site_connection = $site_connection;
+		$this->storage_manager = $storage_manager;
+	}
+
+	/**
+	 * Start an upload, or pick up an unfinished one for the same file.
+	 *
+	 * @param string $filename    Original file name.
+	 * @param int    $size        File size in bytes.
+	 * @param string $fingerprint Client fingerprint of the file (name, size, modified time).
+	 * @return array Session state.
+	 * @throws \RuntimeException If the upload cannot be started.
+	 */
+	public function start( string $filename, int $size, string $fingerprint ): array {
+		$this->cleanup_stale_sessions();
+
+		if ( $size <= 0 ) {
+			throw new \RuntimeException( __( 'The backup file is empty.', 'swish-migrate-and-backup' ) );
+		}
+
+		$existing = $this->find_by_fingerprint( $fingerprint, $size );
+		if ( null !== $existing ) {
+			$this->logger->info( 'Resuming chunked import', array( 'session' => $existing['id'] ) );
+			return $existing;
+		}
+
+		$this->check_disk_space( $size );
+
+		$chunk_size = $this->get_chunk_size();
+
+		$session = array(
+			'id'           => wp_generate_password( 20, false ),
+			'filename'     => sanitize_file_name( $filename ),
+			'size'         => $size,
+			'chunk_size'   => $chunk_size,
+			'total_chunks' => (int) ceil( $size / $chunk_size ),
+			'fingerprint'  => $fingerprint,
+			'received'     => array(),
+			'created_at'   => time(),
+		);
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_touch
+		touch( $this->get_part_file( $session['id'] ) );
+		$this->save( $session );
+
+		$this->logger->info(
+			'Started chunked import',
+			array(
+				'session' => $session['id'],
+				'file'    => $session['filename'],
+				'size'    => $size,
+			)
+		);
+
+		return $session;
+	}
+
+	/**
+	 * Start downloading a backup from a URL, or pick up an unfinished download.
+	 *
+	 * Servers that accept byte ranges are read in REMOTE_CHUNK_SIZE pieces
+	 * so each request stays short; anything else is fetched in one piece.
+	 *
+	 * Downloads from the paired source site are authenticated with its
+	 * connection key. The key is looked up for every request rather than
+	 * stored with the session, so it never lands in the imports directory,
+	 * and redirects are not followed, so it is only sent to the source.
+	 *
+	 * @param string $url          Direct download URL.
+	 * @param bool   $authenticate Whether the URL belongs to the paired source site.
+	 * @param string $filename     File name to store the backup as; taken from the URL if empty.
+	 * @return array Session state.
+	 * @throws \RuntimeException If the URL cannot be read.
+	 */
+	public function start_remote( string $url, bool $authenticate = false, string $filename = '' ): array {
+		$this->cleanup_stale_sessions();
+
+		if ( ! wp_http_validate_url( $url ) ) {
+			throw new \RuntimeException( __( 'Enter a valid http:// or https:// URL.', 'swish-migrate-and-backup' ) );
+		}
+
+		$response = wp_safe_remote_head(
+			$url,
+			array(
+				'timeout'     => 15,
+				'redirection' => $authenticate ? 0 : 5,
+				'headers'     => $authenticate ? $this->site_connection->get_auth_headers() : array(),
+			)
+		);
+
+		if ( is_wp_error( $response ) ) {
+			throw new \RuntimeException( $response->get_error_message() );
+		}
+
+		$code = wp_remote_retrieve_response_code( $response );
+
+		if ( 200 !== $code ) {
+			throw new \RuntimeException(
+				sprintf(
+					/* translators: %d: HTTP status code. */
+					__( 'The server returned HTTP %d for this URL.', 'swish-migrate-and-backup' ),
+					$code
+				)
+			);
+		}
+
+		$size   = (int) wp_remote_retrieve_header( $response, 'content-length' );
+		$ranges = $size > 0 && 'bytes' === strtolower( (string) wp_remote_retrieve_header( $response, 'accept-ranges' ) );
+
+		$fingerprint = 'url:' . $url;
+		$existing    = $this->find_by_fingerprint( $fingerprint, $size );
+
+		if ( null !== $existing ) {
+			$this->logger->info( 'Resuming remote import', array( 'session' => $existing['id'] ) );
+			return $existing;
+		}
+
+		if ( $size > 0 ) {
+			$this->check_disk_space( $size );
+		}
+
+		if ( '' === $filename ) {
+			$filename = basename( (string) wp_parse_url( $url, PHP_URL_PATH ) );
+		}
+
+		$filename = sanitize_file_name( $filename );
+
+		if ( ! in_array( strtolower( pathinfo( $filename, PATHINFO_EXTENSION ) ), array( 'zip', 'swish' ), true ) ) {
+			$filename = 'remote-backup.zip';
+		}
+
+		$chunk_size = $ranges ? self::REMOTE_CHUNK_SIZE : $size;
+
+		$session = array(
+			'id'           => wp_generate_password( 20, false ),
+			'filename'     => $filename,
+			'size'         => $size,
+			'chunk_size'   => $chunk_size,
+			'total_chunks' => $ranges ? (int) ceil( $size / $chunk_size ) : 1,
+			'fingerprint'  => $fingerprint,
+			'received'     => array(),
+			'source'       => $url,
+			'authenticate' => $authenticate,
+			'ranges'       => $ranges,
+			'created_at'   => time(),
+		);
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_touch
+		touch( $this->get_part_file( $session['id'] ) );
+		$this->save( $session );
+
+		$this->logger->info(
+			'Started remote import',
+			array(
+				'session' => $session['id'],
+				'url'     => $url,
+				'size'    => $size,
+				'ranges'  => $ranges,
+			)
+		);
+
+		return $session;
+	}
+
+	/**
+	 * Start downloading a backup from a storage destination, or pick up an
+	 * unfinished download of the same file.
+	 *
+	 * Adapters that read byte ranges are read in STORAGE_CHUNK_SIZE pieces;
+	 * anything else is downloaded in one piece.
+	 *
+	 * @param StorageAdapterInterface $adapter     Configured storage adapter.
+	 * @param string                  $remote_path Path of the backup in the destination.
+	 * @return array Session state.
+	 * @throws \RuntimeException If the backup cannot be found.
+	 */
+	public function start_storage( StorageAdapterInterface $adapter, string $remote_path ): array {
+		$this->cleanup_stale_sessions();
+
+		$metadata = $adapter->get_metadata( $remote_path );
+		$size     = (int) ( $metadata['size'] ?? 0 );
+
+		if ( $size <= 0 ) {
+			throw new \RuntimeException(
+				sprintf(
+					/* translators: %s: storage destination name. */
+					__( 'The backup could not be found in %s.', 'swish-migrate-and-backup' ),
+					$adapter->get_name()
+				)
+			);
+		}
+
+		$fingerprint = 'storage:' . $adapter->get_id() . ':' . $remote_path;
+		$existing    = $this->find_by_fingerprint( $fingerprint, $size );
+
+		if ( null !== $existing ) {
+			$this->logger->info( 'Resuming storage import', array( 'session' => $existing['id'] ) );
+			return $existing;
+		}
+
+		$this->check_disk_space( $size );
+
+		$ranges     = $adapter instanceof RangeReadableStorageAdapterInterface;
+		$chunk_size = $ranges ? self::STORAGE_CHUNK_SIZE : $size;
+
+		$session = array(
+			'id'           => wp_generate_password( 20, false ),
+			'filename'     => sanitize_file_name( basename( $remote_path ) ),
+			'size'         => $size,
+			'chunk_size'   => $chunk_size,
+			'total_chunks' => (int) ceil( $size / $chunk_size ),
+			'fingerprint'  => $fingerprint,
+			'received'     => array(),
+			'source'       => $remote_path,
+			'storage'      => $adapter->get_id(),
+			'ranges'       => $ranges,
+			'created_at'   => time(),
+		);
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_touch
+		touch( $this->get_part_file( $session['id'] ) );
+		$this->save( $session );
+
+		$this->logger->info(
+			'Started storage import',
+			array(
+				'session' => $session['id'],
+				'storage' => $session['storage'],
+				'path'    => $remote_path,
+				'size'    => $size,
+				'ranges'  => $ranges,
+			)
+		);
+
+		return $session;
+	}
+
+	/**
+	 * Download missing chunks of a remote session until the deadline passes.
+	 *
+	 * @param array $session  Session state.
+	 * @param float $deadline Unix timestamp to stop starting new chunks at.
+	 * @return array Updated session state.
+	 * @throws \RuntimeException If a chunk cannot be downloaded.
+	 */
+	public function fetch_chunks( array $session, float $deadline ): array {
+		if ( empty( $session['source'] ) ) {
+			throw new \RuntimeException( __( 'This upload is not downloaded from a URL.', 'swish-migrate-and-backup' ) );
+		}
+
+		for ( $index = 0; $index < $session['total_chunks']; $index++ ) {
+			if ( in_array( $index, $session['received'], true ) ) {
+				continue;
+			}
+
+			if ( microtime( true ) >= $deadline ) {
+				break;
+			}
+
+			$session = empty( $session['storage'] )
+				? $this->fetch_chunk( $session, $index )
+				: $this->fetch_storage_chunk( $session, $index );
+		}
+
+		return $session;
+	}
+
+	/**
+	 * Get a free path in the imports directory.
+	 *
+	 * @param string $filename Desired file name.
+	 * @return string File path.
+	 */
+	public function get_import_path( string $filename ): string {
+		$dir = $this->get_directory();
+
+		return $dir . '/' . wp_unique_filename( $dir, sanitize_file_name( $filename ) );
+	}
+
+	/**
+	 * Get a session.
+	 *
+	 * @param string $id Session ID.
+	 * @return array|null Session state or null if unknown.
+	 */
+	public function get( string $id ): ?array {
+		if ( ! preg_match( '/^[a-zA-Z0-9]+$/', $id ) ) {
+			return null;
+		}
+
+		$file = $this->get_state_file( $id );
+
+		if ( ! file_exists( $file ) || ! file_exists( $this->get_part_file( $id ) ) ) {
+			return null;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$session = json_decode( (string) file_get_contents( $file ), true );
+
+		return is_array( $session ) && ! empty( $session['id'] ) ? $session : null;
+	}
+
+	/**
+	 * Write one chunk into the partial file.
+	 *
+	 * @param array  $session  Session state.
+	 * @param int    $index    Zero-based chunk index.
+	 * @param string $data     Chunk bytes.
+	 * @param string $checksum SHA-256 of the chunk as hex, or empty when the
+	 *                         browser cannot compute one.
+	 * @return array Updated session state.
+	 * @throws \RuntimeException If the chunk is invalid or cannot be written.
+	 */
+	public function write_chunk( array $session, int $index, string $data, string $checksum ): array {
+		if ( $index < 0 || $index >= $session['total_chunks'] ) {
+			throw new \RuntimeException( __( 'Invalid chunk index.', 'swish-migrate-and-backup' ) );
+		}
+
+		$offset   = $index * $session['chunk_size'];
+		$expected = min( $session['chunk_size'], $session['size'] - $offset );
+
+		if ( strlen( $data ) !== $expected ) {
+			throw new \RuntimeException( __( 'The chunk was truncated in transit.', 'swish-migrate-and-backup' ) );
+		}
+
+		if ( '' !== $checksum && ! hash_equals( hash( 'sha256', $data ), strtolower( $checksum ) ) ) {
+			throw new \RuntimeException( __( 'The chunk checksum does not match.', 'swish-migrate-and-backup' ) );
+		}
+
+		$this->write_part( $session['id'], $offset, $data );
+
+		return $this->mark_received( $session, $index );
+	}
+
+	/**
+	 * Move a fully uploaded file into the imports directory.
+	 *
+	 * The paired source site is then told it can delete its copy.
+	 *
+	 * @param array $session Session state.
+	 * @return string Path to the reassembled backup.
+	 * @throws \RuntimeException If chunks are missing or the file is incomplete.
+	 */
+	public function complete( array $session ): string {
+		$part = $this->get_part_file( $session['id'] );
+
+		clearstatcache( true, $part );
+
+		if ( count( $session['received'] ) !== $session['total_chunks'] || filesize( $part ) !== $session['size'] ) {
+			throw new \RuntimeException( __( 'The upload is incomplete. Select the same file again to resume it.', 'swish-migrate-and-backup' ) );
+		}
+
+		$destination = $this->get_import_path( $session['filename'] );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.rename_rename
+		if ( ! rename( $part, $destination ) ) {
+			throw new \RuntimeException( __( 'Failed to move the uploaded backup into place.', 'swish-migrate-and-backup' ) );
+		}
+
+		wp_delete_file( $this->get_state_file( $session['id'] ) );
+
+		if ( ! empty( $session['authenticate'] ) ) {
+			$this->release_source( $session );
+		}
+
+		$this->logger->info(
+			'Completed chunked import',
+			array(
+				'session' => $session['id'],
+				'file'    => basename( $destination ),
+			)
+		);
+
+		return $destination;
+	}
+
+	/**
+	 * Download one chunk of a remote session into the partial file.
+	 *
+	 * @param array $session Session state.
+	 * @param int   $index   Zero-based chunk index.
+	 * @return array Updated session state.
+	 * @throws \RuntimeException If the chunk cannot be downloaded.
+	 */
+	private function fetch_chunk( array $session, int $index ): array {
+		$offset  = $index * $session['chunk_size'];
+		$headers = ! empty( $session['authenticate'] ) ? $this->site_connection->get_auth_headers() : array();
+
+		if ( $session['ranges'] ) {
+			$expected         = min( $session['chunk_size'], $session['size'] - $offset );
+			$headers['Range'] = sprintf( 'bytes=%d-%d', $offset, $offset + $expected - 1 );
+		}
+
+		$temp     = wp_tempnam( $session['filename'] );
+		$response = wp_safe_remote_get(
+			$session['source'],
+			array(
+				'timeout'     => 120,
+				'redirection' => empty( $session['authenticate'] ) ? 5 : 0,
+				'headers'     => $headers,
+				'stream'      => true,
+				'filename'    => $temp,
+			)
+		);
+
+		try {
+			if ( is_wp_error( $response ) ) {
+				throw new \RuntimeException( $response->get_error_message() );
+			}
+
+			$code = wp_remote_retrieve_response_code( $response );
+
+			if ( ( $session['ranges'] ? 206 : 200 ) !== $code ) {
+				throw new \RuntimeException(
+					sprintf(
+						/* translators: %d: HTTP status code. */
+						__( 'The server returned HTTP %d while downloading the backup.', 'swish-migrate-and-backup' ),
+						$code
+					)
+				);
+			}
+
+			clearstatcache( true, $temp );
+			$length = (int) filesize( $temp );
+
+			if ( ! $session['ranges'] ) {
+				// Without ranges the whole file is one chunk and its length may not have been announced.
+				$expected              = $session['size'] > 0 ? $session['size'] : $length;
+				$session['size']       = $expected;
+				$session['chunk_size'] = $expected;
+			}
+
+			if ( 0 === $length || $length !== $expected ) {
+				throw new \RuntimeException( __( 'The download was truncated. Try again to resume it.', 'swish-migrate-and-backup' ) );
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+			$source = fopen( $temp, 'rb' );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+			$target = fopen( $this->get_part_file( $session['id'] ), 'c+b' );
+
+			if ( ! $source || ! $target ) {
+				throw new \RuntimeException( __( 'Could not open the partial upload.', 'swish-migrate-and-backup' ) );
+			}
+
+			fseek( $target, $offset );
+			$written = stream_copy_to_stream( $source, $target );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $source );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $target );
+
+			if ( $written !== $expected ) {
+				throw new \RuntimeException( __( 'Failed to write the chunk to disk.', 'swish-migrate-and-backup' ) );
+			}
+		} finally {
+			wp_delete_file( $temp );
+		}
+
+		$session['received'][] = $index;
+		sort( $session['received'] );
+
+		$this->save( $session );
+
+		return $session;
+	}
+
+	/**
+	 * Tell the paired source site that its backup has been downloaded.
+	 *
+	 * A failure is only logged: the source deletes backups nobody finished
+	 * downloading after a day anyway.
+	 *
+	 * @param array $session Session state.
+	 * @return void
+	 */
+	private function release_source( array $session ): void {
+		try {
+			$response = wp_safe_remote_request(
+				$session['source'],
+				array(
+					'method'      => 'DELETE',
+					'timeout'     => 15,
+					'redirection' => 0,
+					'headers'     => $this->site_connection->get_auth_headers(),
+				)
+			);
+
+			if ( is_wp_error( $response ) ) {
+				throw new \RuntimeException( $response->get_error_message() );
+			}
+
+			if ( 200 !== wp_remote_retrieve_response_code( $response ) ) {
+				throw new \RuntimeException( 'HTTP ' . wp_remote_retrieve_response_code( $response ) );
+			}
+		} catch ( \RuntimeException $e ) {
+			$this->logger->warning(
+				'Could not delete the backup on the source site: ' . $e->getMessage(),
+				array( 'session' => $session['id'] )
+			);
+		}
+	}
+
+	/**
+	 * Read one chunk of a storage session into the partial file.
+	 *
+	 * @param array $session Session state.
+	 * @param int   $index   Zero-based chunk index.
+	 * @return array Updated session state.
+	 * @throws \RuntimeException If the chunk cannot be read.
+	 */
+	private function fetch_storage_chunk( array $session, int $index ): array {
+		if ( ! $this->storage_manager->has_adapter( $session['storage'] ) ) {
+			throw new \RuntimeException( __( 'Storage adapter not found.', 'swish-migrate-and-backup' ) );
+		}
+
+		$adapter  = $this->storage_manager->get_adapter( $session['storage'] );
+		$offset   = $index * $session['chunk_size'];
+		$expected = min( $session['chunk_size'], $session['size'] - $offset );
+
+		if ( ! $adapter->is_configured() ) {
+			throw new \RuntimeException( __( 'Storage adapter not configured.', 'swish-migrate-and-backup' ) );
+		}
+
+		if ( $session['ranges'] && $adapter instanceof RangeReadableStorageAdapterInterface ) {
+			$data = $adapter->read_range( $session['source'], $offset, $expected );
+
+			if ( null === $data || strlen( $data ) !== $expected ) {
+				throw new \RuntimeException( __( 'The download was truncated. Try again to resume it.', 'swish-migrate-and-backup' ) );
+			}
+
+			$this->write_part( $session['id'], $offset, $data );
+
+			return $this->mark_received( $session, $index );
+		}
+
+		// Without range reads the whole backup is the only chunk.
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		@set_time_limit( 0 );
+
+		$part = $this->get_part_file( $session['id'] );
+
+		if ( ! $adapter->download( $session['source'], $part ) ) {
+			throw new \RuntimeException(
+				sprintf(
+					/* translators: %s: storage destination name. */
+					__( 'Failed to download the backup from %s.', 'swish-migrate-and-backup' ),
+					$adapter->get_name()
+				)
+			);
+		}
+
+		clearstatcache( true, $part );
+
+		if ( filesize( $part ) !== $session['size'] ) {
+			throw new \RuntimeException( __( 'The download was truncated. Try again to resume it.', 'swish-migrate-and-backup' ) );
+		}
+
+		return $this->mark_received( $session, $index );
+	}
+
+	/**
+	 * Write bytes into the partial file of a session.
+	 *
+	 * @param string $id     Session ID.
+	 * @param int    $offset Offset to write at.
+	 * @param string $data   Bytes to write.
+	 * @return void
+	 * @throws \RuntimeException If the bytes cannot be written.
+	 */
+	private function write_part( string $id, int $offset, string $data ): void {
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		$handle = fopen( $this->get_part_file( $id ), 'c+b' );
+
+		if ( ! $handle ) {
+			throw new \RuntimeException( __( 'Could not open the partial upload.', 'swish-migrate-and-backup' ) );
+		}
+
+		fseek( $handle, $offset );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+		$written = fwrite( $handle, $data );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $handle );
+
+		if ( strlen( $data ) !== $written ) {
+			throw new \RuntimeException( __( 'Failed to write the chunk to disk.', 'swish-migrate-and-backup' ) );
+		}
+	}
+
+	/**
+	 * Record a chunk as received and save the session.
+	 *
+	 * @param array $session Session state.
+	 * @param int   $index   Zero-based chunk index.
+	 * @return array Updated session state.
+	 */
+	private function mark_received( array $session, int $index ): array {
+		if ( ! in_array( $index, $session['received'], true ) ) {
+			$session['received'][] = $index;
+			sort( $session['received'] );
+		}
+
+		$this->save( $session );
+
+		return $session;
+	}
+
+	/**
+	 * Make sure a backup of the given size fits on disk.
+	 *
+	 * @param int $size File size in bytes.
+	 * @return void
+	 * @throws \RuntimeException If there is not enough free space.
+	 */
+	private function check_disk_space( int $size ): void {
+		$free = function_exists( 'disk_free_space' ) ? disk_free_space( $this->get_directory() ) : false;
+
+		if ( false !== $free && $free < $size ) {
+			throw new \RuntimeException(
+				sprintf(
+					/* translators: 1: file size, 2: free disk space. */
+					__( 'Not enough disk space to upload this backup (%1$s needed, %2$s free).', 'swish-migrate-and-backup' ),
+					size_format( $size ),
+					size_format( (int) $free )
+				)
+			);
+		}
+	}
+
+	/**
+	 * Find an unfinished session for the same file.
+	 *
+	 * @param string $fingerprint Client fingerprint.
+	 * @param int    $size        File size in bytes.
+	 * @return array|null Session state or null if none.
+	 */
+	private function find_by_fingerprint( string $fingerprint, int $size ): ?array {
+		if ( '' === $fingerprint ) {
+			return null;
+		}
+
+		foreach ( glob( $this->get_directory() . '/*.json' ) ?: array() as $file ) {
+			$session = $this->get( basename( $file, '.json' ) );
+
+			if ( null !== $session && $session['fingerprint'] === $fingerprint && $session['size'] === $size ) {
+				return $session;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Remove sessions that have not received a chunk for a day.
+	 *
+	 * @return void
+	 */
+	private function cleanup_stale_sessions(): void {
+		foreach ( glob( $this->get_directory() . '/*.json' ) ?: array() as $file ) {
+			if ( filemtime( $file ) >= time() - DAY_IN_SECONDS ) {
+				continue;
+			}
+
+			$id = basename( $file, '.json' );
+			wp_delete_file( $this->get_part_file( $id ) );
+			wp_delete_file( $file );
+		}
+	}
+
+	/**
+	 * Pick a chunk size that fits in a single request on this server.
+	 *
+	 * @return int Chunk size in bytes.
+	 */
+	private function get_chunk_size(): int {
+		$limits = array_filter(
+			array(
+				ServerLimits::get_post_max_size(),
+				ServerLimits::get_upload_max_filesize(),
+			)
+		);
+
+		// Leave headroom for the request overhead.
+		$chunk_size = $limits ? (int) ( min( $limits ) / 2 ) : self::MAX_CHUNK_SIZE;
+
+		return max( self::MIN_CHUNK_SIZE, min( self::MAX_CHUNK_SIZE, $chunk_size ) );
+	}
+
+	/**
+	 * Persist session state.
+	 *
+	 * @param array $session Session state.
+	 * @return void
+	 */
+	private function save( array $session ): void {
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $this->get_state_file( $session['id'] ), wp_json_encode( $session ) );
+	}
+
+	/**
+	 * Get the imports directory, creating it if needed.
+	 *
+	 * @return string Directory path.
+	 */
+	private function get_directory(): string {
+		$dir = WP_CONTENT_DIR . '/swish-backups/imports';
+
+		if ( ! is_dir( $dir ) ) {
+			wp_mkdir_p( $dir );
+		}
+
+		return $dir;
+	}
+
+	/**
+	 * Get the state file of a session.
+	 *
+	 * @param string $id Session ID.
+	 * @return string File path.
+	 */
+	private function get_state_file( string $id ): string {
+		return $this->get_directory() . '/' . $id . '.json';
+	}
+
+	/**
+	 * Get the partial upload file of a session.
+	 *
+	 * @param string $id Session ID.
+	 * @return string File path.
+	 */
+	private function get_part_file( string $id ): string {
+		return $this->get_directory() . '/' . $id . '.part';
+	}
+}
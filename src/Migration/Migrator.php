@@ -23,6 +23,39 @@ use SwishMigrateAndBackup\Restore\RestoreManager;
  */
 final class Migrator {
 
+	/**
+	 * Migration job stages, in the order they run.
+	 */
+	public const STAGE_INIT     = 'init';
+	public const STAGE_EXTRACT  = 'extract';
+	public const STAGE_FILES    = 'files';
+	public const STAGE_DATABASE = 'database';
+	public const STAGE_URLS     = 'urls';
+	public const STAGE_CLEANUP  = 'cleanup';
+
+	/**
+	 * Migration job statuses.
+	 */
+	public const STATUS_PENDING    = 'pending';
+	public const STATUS_PROCESSING = 'processing';
+	public const STATUS_COMPLETED  = 'completed';
+	public const STATUS_FAILED     = 'failed';
+
+	/**
+	 * Seconds of work per background batch.
+	 */
+	private const JOB_TIME_BUDGET = 20;
+
+	/**
+	 * Extra seconds a batch may hold its lock before it counts as interrupted.
+	 */
+	private const LOCK_GRACE = 60;
+
+	/**
+	 * Interrupted batches tolerated before a job fails.
+	 */
+	private const MAX_INTERRUPTIONS = 2;
+
 	/**
 	 * Backup manager.
 	 *
@@ -44,6 +77,13 @@ final class Migrator {
 	 */
 	private SearchReplace $search_replace;
 
+	/**
+	 * Journal of undoable search and replace runs.
+	 *
+	 * @var SearchReplaceJournal
+	 */
+	private SearchReplaceJournal $journal;
+
 	/**
 	 * Logger instance.
 	 *
@@ -54,110 +94,169 @@ final class Migrator {
 	/**
 	 * Constructor.
 	 *
-	 * @param BackupManager  $backup_manager  Backup manager.
-	 * @param RestoreManager $restore_manager Restore manager.
-	 * @param SearchReplace  $search_replace  Search and replace handler.
-	 * @param Logger         $logger          Logger instance.
+	 * @param BackupManager        $backup_manager  Backup manager.
+	 * @param RestoreManager       $restore_manager Restore manager.
+	 * @param SearchReplace        $search_replace  Search and replace handler.
+	 * @param SearchReplaceJournal $journal         Search and replace undo journal.
+	 * @param Logger               $logger          Logger instance.
 	 */
 	public function __construct(
 		BackupManager $backup_manager,
 		RestoreManager $restore_manager,
 		SearchReplace $search_replace,
+		SearchReplaceJournal $journal,
 		Logger $logger
 	) {
 		$this->backup_manager  = $backup_manager;
 		$this->restore_manager = $restore_manager;
 		$this->search_replace  = $search_replace;
+		$this->journal         = $journal;
 		$this->logger          = $logger;
 	}
 
 	/**
 	 * Import and migrate from a backup file.
 	 *
+	 * Runs a migration job to the end in this request.
+	 *
 	 * @param string $backup_path Path to backup file.
 	 * @param array  $options     Migration options.
 	 * @return array Migration result.
 	 */
 	public function import_and_migrate( string $backup_path, array $options = array() ): array {
-		$this->logger->info( 'Starting migration import', array(
-			'backup' => $backup_path,
-			'options' => $options,
-		) );
+		$job = $this->create_job( $backup_path, $options );
 
-		try {
-			// Verify backup.
-			$backup_info = $this->restore_manager->get_backup_info( $backup_path );
-			if ( ! $backup_info ) {
-				throw new \RuntimeException( 'Invalid backup file' );
-			}
+		while ( self::STATUS_PROCESSING === $job['status'] ) {
+			$job = $this->run_job_step( $job, microtime( true ) + self::JOB_TIME_BUDGET );
+		}
 
-			// Create pre-migration backup if explicitly requested.
-			// Defaults to false to avoid memory exhaustion on constrained servers.
-			if ( $options['create_backup'] ?? false ) {
-				$this->logger->info( 'Creating pre-migration backup...' );
-				try {
-					$pre_backup = $this->backup_manager->create_full_backup( array(
-						'storage_destinations' => array( 'local' ),
-					) );
-
-					if ( ! $pre_backup ) {
-						$this->logger->warning( 'Pre-migration backup failed, continuing without it.' );
-					}
-				} catch ( \Exception $e ) {
-					// Log but don't fail the migration if pre-backup fails.
-					$this->logger->warning( 'Pre-migration backup failed: ' . $e->getMessage() . '. Continuing without it.' );
-				}
-			}
+		if ( self::STATUS_FAILED === $job['status'] ) {
+			return array(
+				'success' => false,
+				'error'   => $job['error'],
+			);
+		}
 
-			// Restore from backup.
-			$this->logger->info( 'Restoring from backup...' );
-			$restore_result = $this->restore_manager->restore( $backup_path, array(
-				'restore_database'  => $options['restore_database'] ?? true,
-				'restore_files'     => $options['restore_files'] ?? true,
-				'restore_wp_config' => $options['restore_wp_config'] ?? false,
-			) );
+		return array_merge( array( 'success' => true ), $job['result'] );
+	}
 
-			if ( ! $restore_result ) {
-				throw new \RuntimeException( 'Restore failed' );
-			}
+	/**
+	 * Queue a migration job.
+	 *
+	 * The job runs in the background in time-boxed batches and reports its
+	 * stage and progress through get_job(). Without a backup path only the
+	 * URL replacement runs.
+	 *
+	 * @param string|null $backup_path Path to backup file.
+	 * @param array       $options     Migration options.
+	 * @return array Job state.
+	 */
+	public function start_job( ?string $backup_path, array $options = array() ): array {
+		$this->cleanup_stale_jobs();
 
-			// Perform URL replacement if needed.
-			$replace_result = null;
-			if ( ! empty( $options['old_url'] ) && ! empty( $options['new_url'] ) ) {
-				$this->logger->info( 'Performing URL replacement...', array(
-					'old_url' => $options['old_url'],
-					'new_url' => $options['new_url'],
-				) );
+		$job           = $this->create_job( $backup_path, $options );
+		$job['status'] = self::STATUS_PENDING;
+		$this->save_job( $job );
 
-				$replace_result = $this->replace_urls(
-					$options['old_url'],
-					$options['new_url']
-				);
-			}
+		$this->schedule_job( $job['job_id'] );
+
+		return $job;
+	}
+
+	/**
+	 * Get a migration job.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return array|null Job state or null if not found.
+	 */
+	public function get_job( string $job_id ): ?array {
+		if ( ! preg_match( '/^[a-zA-Z0-9_-]+$/', $job_id ) ) {
+			return null;
+		}
 
-			// Activate plugins from manifest (especially important for multisite-to-singlesite migrations).
-			$plugins_activated = $this->activate_plugins_from_manifest( $backup_info );
+		$file = $this->get_job_file( $job_id );
 
-			// Flush caches.
-			$this->flush_all_caches();
+		if ( ! file_exists( $file ) ) {
+			return null;
+		}
 
-			$result = array(
-				'success'           => true,
-				'backup_info'       => $backup_info,
-				'url_replacement'   => $replace_result,
-				'plugins_activated' => $plugins_activated,
-			);
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$job = json_decode( (string) file_get_contents( $file ), true );
 
-			$this->logger->info( 'Migration completed successfully', $result );
+		return is_array( $job ) ? $job : null;
+	}
 
-			return $result;
-		} catch ( \Exception $e ) {
-			$this->logger->error( 'Migration failed: ' . $e->getMessage() );
+	/**
+	 * Check the token handed out when a migration job was queued.
+	 *
+	 * Restoring the database replaces the users table, so the browser's
+	 * login stops working part way through a migration. The token lets it
+	 * keep following the job.
+	 *
+	 * @param string $job_id Job ID.
+	 * @param string $token  Token to check.
+	 * @return bool True if the token belongs to the job.
+	 */
+	public function verify_job_token( string $job_id, string $token ): bool {
+		$job = $this->get_job( $job_id );
 
-			return array(
-				'success' => false,
-				'error'   => $e->getMessage(),
+		return null !== $job && '' !== $token && hash_equals( $job['token'], $token );
+	}
+
+	/**
+	 * Run a batch of a queued migration job (cron callback).
+	 *
+	 * Steps run until the time budget is used up, then the job schedules
+	 * itself again. A job whose previous batch never released its lock is
+	 * treated as interrupted, and fails after repeated interruptions.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return void
+	 */
+	public function run_job( string $job_id ): void {
+		$job = $this->get_job( $job_id );
+
+		if ( null === $job || in_array( $job['status'], array( self::STATUS_COMPLETED, self::STATUS_FAILED ), true ) ) {
+			return;
+		}
+
+		if ( $job['locked_until'] > time() ) {
+			return;
+		}
+
+		if ( $job['locked_until'] > 0 && ++$job['interruptions'] > self::MAX_INTERRUPTIONS ) {
+			$job = $this->fail_job(
+				$job,
+				sprintf(
+					/* translators: %s: migration stage title. */
+					__( 'The server stopped responding during the "%s" stage. Check the PHP error log and your host\'s time and memory limits.', 'swish-migrate-and-backup' ),
+					$this->get_stage_titles()[ $job['stage'] ]
+				)
 			);
+			$this->save_job( $job );
+			return;
+		}
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		@set_time_limit( 300 );
+
+		$job['status']       = self::STATUS_PROCESSING;
+		$job['locked_until'] = time() + self::JOB_TIME_BUDGET + self::LOCK_GRACE;
+		$this->save_job( $job );
+
+		$this->register_job_shutdown_handler( $job_id );
+
+		$deadline = microtime( true ) + self::JOB_TIME_BUDGET;
+
+		while ( self::STATUS_PROCESSING === $job['status'] && microtime( true ) < $deadline ) {
+			$job = $this->run_job_step( $job, $deadline );
+		}
+
+		$job['locked_until'] = 0;
+		$this->save_job( $job );
+
+		if ( self::STATUS_PROCESSING === $job['status'] ) {
+			$this->schedule_job( $job_id );
 		}
 	}
 
@@ -179,19 +278,8 @@ final class Migrator {
 		$old_url = rtrim( $old_url, '/' );
 		$new_url = rtrim( $new_url, '/' );
 
-		// Generate all replacement variations.
-		$replacements = $this->search_replace->generate_url_replacements( $old_url, $new_url );
-
-		// Also handle path changes.
-		$old_path = wp_parse_url( $old_url, PHP_URL_PATH ) ?: '';
-		$new_path = wp_parse_url( $new_url, PHP_URL_PATH ) ?: '';
-
-		if ( $old_path !== $new_path ) {
-			$replacements[ $old_path ] = $new_path;
-		}
-
 		// Run replacements.
-		$result = $this->search_replace->run_multiple( $replacements, $tables );
+		$result = $this->search_replace->run_multiple( $this->get_url_replacements( $old_url, $new_url ), $tables );
 
 		// Update WordPress options.
 		$this->update_wp_options( $new_url );
@@ -209,28 +297,149 @@ final class Migrator {
 	 * @param int    $limit   Maximum matches to return.
 	 * @return array Preview results.
 	 */
-	public function preview_url_replacement( string $old_url, string $new_url, int $limit = 50 ): array {
+	public function preview_url_replacement( string $old_url, string $new_url, int $limit = 25 ): array {
 		$old_url = rtrim( $old_url, '/' );
 		$new_url = rtrim( $new_url, '/' );
 
 		return $this->search_replace->dry_run( $old_url, $new_url, array(), $limit );
 	}
 
+	/**
+	 * Get the tables, columns, post types and presets a search can be scoped to.
+	 *
+	 * @return array Scope choices.
+	 */
+	public function get_search_replace_scope(): array {
+		return $this->search_replace->get_scope_choices();
+	}
+
+	/**
+	 * Preview custom search and replace.
+	 *
+	 * Unlike preview_url_replacement(), the search is used exactly as
+	 * entered, since trailing slashes can matter in a pattern.
+	 *
+	 * @param string $search  Search string.
+	 * @param string $replace Replace string.
+	 * @param array  $options Matching options, see SearchReplace::run().
+	 * @param int    $limit   Maximum matches to return.
+	 * @param array  $cursor  Cursor returned with the previous page.
+	 * @return array Preview results.
+	 */
+	public function preview_search_replace( string $search, string $replace, array $options = array(), int $limit = 25, array $cursor = array() ): array {
+		return $this->search_replace->dry_run( $search, $replace, array(), $limit, $options, $cursor );
+	}
+
 	/**
 	 * Run custom search and replace.
 	 *
+	 * The changed cells are journaled so the run can be undone.
+	 *
 	 * @param string $search  Search string.
 	 * @param string $replace Replace string.
 	 * @param array  $tables  Tables to process.
+	 * @param array  $options Matching options, see SearchReplace::run().
 	 * @return array Result.
 	 */
-	public function custom_search_replace( string $search, string $replace, array $tables = array() ): array {
+	public function custom_search_replace( string $search, string $replace, array $tables = array(), array $options = array() ): array {
 		$this->logger->info( 'Starting custom search and replace', array(
 			'search'  => $search,
 			'replace' => $replace,
+			'options' => $options,
+		) );
+
+		$options['journal'] = true;
+
+		return $this->search_replace->run( $search, $replace, $tables, null, $options );
+	}
+
+	/**
+	 * Preview a batch of search and replace pairs.
+	 *
+	 * @param array $pairs   Pairs with search and replace, in the order to apply them.
+	 * @param array $options Matching options, see SearchReplace::run().
+	 * @param int   $limit   Maximum matches to return.
+	 * @param array $cursor  Cursor returned with the previous page.
+	 * @return array Preview results.
+	 */
+	public function preview_batch_search_replace( array $pairs, array $options = array(), int $limit = 25, array $cursor = array() ): array {
+		return $this->search_replace->dry_run_multiple( $this->pairs_to_replacements( $pairs ), array(), $limit, $options, $cursor );
+	}
+
+	/**
+	 * Run a batch of search and replace pairs in a single pass.
+	 *
+	 * The changed cells are journaled as one run, so the batch is undone together.
+	 *
+	 * @param array $pairs   Pairs with search and replace, in the order to apply them.
+	 * @param array $options Matching options, see SearchReplace::run().
+	 * @return array Result.
+	 */
+	public function batch_search_replace( array $pairs, array $options = array() ): array {
+		$this->logger->info( 'Starting batch search and replace', array(
+			'pairs'   => count( $pairs ),
+			'options' => $options,
 		) );
 
-		return $this->search_replace->run( $search, $replace, $tables );
+		$options['journal'] = true;
+
+		return $this->search_replace->run_multiple( $this->pairs_to_replacements( $pairs ), array(), null, $options );
+	}
+
+	/**
+	 * Suggest the replacements a move from one URL to another needs.
+	 *
+	 * @param string $old_url Old URL.
+	 * @param string $new_url New URL.
+	 * @return array Pairs with search and replace.
+	 */
+	public function suggest_url_replacements( string $old_url, string $new_url ): array {
+		$pairs = array();
+
+		foreach ( $this->search_replace->generate_url_replacements( rtrim( $old_url, '/' ), rtrim( $new_url, '/' ) ) as $search => $replace ) {
+			$pairs[] = array(
+				'search'  => (string) $search,
+				'replace' => $replace,
+			);
+		}
+
+		return $pairs;
+	}
+
+	/**
+	 * Turn a list of pairs into search => replace pairs.
+	 *
+	 * @param array $pairs Pairs with search and replace.
+	 * @return array Search => replace pairs.
+	 */
+	private function pairs_to_replacements( array $pairs ): array {
+		$replacements = array();
+
+		foreach ( $pairs as $pair ) {
+			$replacements[ (string) ( $pair['search'] ?? '' ) ] = (string) ( $pair['replace'] ?? '' );
+		}
+
+		return $replacements;
+	}
+
+	/**
+	 * Get the history of custom search and replace runs.
+	 *
+	 * @return array Runs, newest first.
+	 */
+	public function get_search_replace_runs(): array {
+		return $this->journal->get_runs();
+	}
+
+	/**
+	 * Undo the next batch of a custom search and replace run.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array Undo result, with completed once the whole run is undone.
+	 * @throws \RuntimeException If the run cannot be undone.
+	 */
+	public function undo_search_replace( string $run_id ): array {
+		return $this->journal->undo( $run_id );
 	}
 
 	/**
@@ -504,6 +713,551 @@ final class Migrator {
 		return $result;
 	}
 
+	/**
+	 * Create the state of a migration job.
+	 *
+	 * @param string|null $backup_path Path to backup file.
+	 * @param array       $options     Migration options.
+	 * @return array Job state.
+	 */
+	private function create_job( ?string $backup_path, array $options ): array {
+		$stages = array( self::STAGE_INIT, self::STAGE_EXTRACT, self::STAGE_FILES, self::STAGE_DATABASE, self::STAGE_URLS, self::STAGE_CLEANUP );
+
+		if ( empty( $backup_path ) ) {
+			$stages = array( self::STAGE_URLS, self::STAGE_CLEANUP );
+		} else {
+			$skipped = array(
+				self::STAGE_FILES    => ! ( $options['restore_files'] ?? true ),
+				self::STAGE_DATABASE => ! ( $options['restore_database'] ?? true ),
+				self::STAGE_URLS     => empty( $options['old_url'] ) || empty( $options['new_url'] ),
+			);
+			$stages  = array_values( array_filter( $stages, fn( $stage ) => empty( $skipped[ $stage ] ) ) );
+		}
+
+		$job = array(
+			'job_id'        => wp_generate_uuid4(),
+			'token'         => wp_generate_password( 32, false ),
+			'backup_path'   => $backup_path ?: null,
+			'options'       => $options,
+			'status'        => self::STATUS_PROCESSING,
+			'stage'         => $stages[0],
+			'stages'        => array_fill_keys(
+				$stages,
+				array(
+					'status' => 'pending',
+					'detail' => '',
+				)
+			),
+			'progress'      => 0,
+			'message'       => __( 'Migration queued...', 'swish-migrate-and-backup' ),
+			'backup_info'   => null,
+			'urls'          => array(
+				'tables'       => null,
+				'done'         => 0,
+				'replacements' => 0,
+				'rows'         => 0,
+			),
+			'reauth'        => false,
+			'result'        => array(),
+			'error'         => null,
+			'failed_stage'  => null,
+			'locked_until'  => 0,
+			'interruptions' => 0,
+			'created_at'    => time(),
+			'updated_at'    => time(),
+		);
+
+		$this->logger->info( 'Starting migration import', array(
+			'job_id'  => $job['job_id'],
+			'backup'  => $backup_path,
+			'options' => $options,
+		) );
+
+		return $this->enter_stage( $job, $stages[0], $job['message'] );
+	}
+
+	/**
+	 * Run one step of a migration job.
+	 *
+	 * @param array $job      Job state.
+	 * @param float $deadline Stop after this microtime.
+	 * @return array Updated job state.
+	 */
+	private function run_job_step( array $job, float $deadline ): array {
+		try {
+			switch ( $job['stage'] ) {
+				case self::STAGE_INIT:
+					$job = $this->run_init_stage( $job );
+					break;
+				case self::STAGE_URLS:
+					$job = $this->run_urls_stage( $job, $deadline );
+					break;
+				case self::STAGE_CLEANUP:
+					$job = $this->run_cleanup_stage( $job );
+					break;
+				default:
+					$job = $this->run_restore_stage( $job, $deadline );
+			}
+		} catch ( \Exception $e ) {
+			$job = $this->fail_job( $job, $e->getMessage() );
+		}
+
+		$this->save_job( $job );
+
+		return $job;
+	}
+
+	/**
+	 * Verify the backup and start restoring it.
+	 *
+	 * @param array $job Job state.
+	 * @return array Updated job state.
+	 * @throws \RuntimeException If the backup is not valid.
+	 */
+	private function run_init_stage( array $job ): array {
+		$options     = $job['options'];
+		$backup_info = $this->restore_manager->get_backup_info( $job['backup_path'] );
+
+		if ( ! $backup_info ) {
+			throw new \RuntimeException( 'Invalid backup file' );
+		}
+
+		$job['backup_info'] = $backup_info;
+
+		// Create pre-migration backup if explicitly requested.
+		// Defaults to false to avoid memory exhaustion on constrained servers.
+		if ( $options['create_backup'] ?? false ) {
+			$this->logger->info( 'Creating pre-migration backup...' );
+			try {
+				$pre_backup = $this->backup_manager->create_full_backup( array(
+					'storage_destinations' => array( 'local' ),
+				) );
+
+				if ( ! $pre_backup ) {
+					$this->logger->warning( 'Pre-migration backup failed, continuing without it.' );
+				}
+			} catch ( \Exception $e ) {
+				// Log but don't fail the migration if pre-backup fails.
+				$this->logger->warning( 'Pre-migration backup failed: ' . $e->getMessage() . '. Continuing without it.' );
+			}
+		}
+
+		$this->logger->info( 'Restoring from backup...' );
+
+		$restore = $this->restore_manager->start_job( $job['job_id'], $job['backup_path'], array(
+			'restore_database'  => $options['restore_database'] ?? true,
+			'restore_files'     => $options['restore_files'] ?? true,
+			'restore_wp_config' => $options['restore_wp_config'] ?? false,
+		) );
+
+		$job['progress'] = 5;
+
+		return $this->track_restore( $job, $restore );
+	}
+
+	/**
+	 * Advance the restore job behind the extract, files and database stages.
+	 *
+	 * @param array $job      Job state.
+	 * @param float $deadline Stop after this microtime.
+	 * @return array Updated job state.
+	 * @throws \RuntimeException If the restore fails.
+	 */
+	private function run_restore_stage( array $job, float $deadline ): array {
+		$restore = $this->restore_manager->get_job( $job['job_id'] );
+
+		if ( null === $restore ) {
+			throw new \RuntimeException( 'Restore job state was lost' );
+		}
+
+		$restore = $this->restore_manager->run_job_step( $restore, max( 1, (int) ( $deadline - microtime( true ) ) ) );
+
+		if ( RestoreManager::PHASE_FAILED === $restore['phase'] ) {
+			throw new \RuntimeException( $restore['error'] ?? 'Restore failed' );
+		}
+
+		return $this->track_restore( $job, $restore );
+	}
+
+	/**
+	 * Copy restore job progress into the migration job.
+	 *
+	 * Restore covers 5-80% of the migration.
+	 *
+	 * @param array $job     Job state.
+	 * @param array $restore Restore job state.
+	 * @return array Updated job state.
+	 */
+	private function track_restore( array $job, array $restore ): array {
+		if ( RestoreManager::PHASE_COMPLETE === $restore['phase'] ) {
+			$job['reauth']   = ! empty( $restore['reauth'] );
+			$job['progress'] = 80;
+
+			return $this->enter_next_stage( $job, self::STAGE_DATABASE );
+		}
+
+		$job['progress'] = 5 + (int) ( 0.75 * $this->restore_manager->get_job_progress( $restore ) );
+
+		switch ( $restore['phase'] ) {
+			case RestoreManager::PHASE_SNAPSHOT:
+				return $this->enter_stage( $job, self::STAGE_INIT, __( 'Creating a safety snapshot of the current database', 'swish-migrate-and-backup' ) );
+			case RestoreManager::PHASE_EXTRACT:
+				return $this->enter_stage(
+					$job,
+					self::STAGE_EXTRACT,
+					sprintf(
+						/* translators: 1: files extracted, 2: total files. */
+						__( 'Extracted %1$s of %2$s files', 'swish-migrate-and-backup' ),
+						number_format_i18n( $restore['extract']['done'] ),
+						number_format_i18n( $restore['extract']['total'] )
+					)
+				);
+			case RestoreManager::PHASE_FILES:
+				return $this->enter_stage(
+					$job,
+					self::STAGE_FILES,
+					sprintf(
+						/* translators: 1: files restored, 2: total files. */
+						__( 'Restored %1$s of %2$s files', 'swish-migrate-and-backup' ),
+						number_format_i18n( $restore['files']['done'] ),
+						number_format_i18n( $restore['files']['total'] )
+					)
+				);
+			case RestoreManager::PHASE_DATABASE:
+				$table = $restore['database']['current_table'];
+
+				return $this->enter_stage(
+					$job,
+					self::STAGE_DATABASE,
+					$table
+						? sprintf(
+							/* translators: 1: table name, 2: tables done, 3: total tables. */
+							__( 'Importing %1$s (%2$s of %3$s tables)', 'swish-migrate-and-backup' ),
+							$table,
+							number_format_i18n( count( $restore['database']['tables'] ) ),
+							number_format_i18n( $restore['database']['tables_total'] )
+						)
+						: __( 'Importing database tables', 'swish-migrate-and-backup' )
+				);
+			default:
+				return $this->enter_stage( $job, self::STAGE_DATABASE, __( 'Restoring user tables and cleaning up', 'swish-migrate-and-backup' ) );
+		}
+	}
+
+	/**
+	 * Replace the old URL a batch of tables at a time.
+	 *
+	 * URL replacement covers 80-95% of a migration from a backup, or 0-95%
+	 * of a URL-only migration.
+	 *
+	 * @param array $job      Job state.
+	 * @param float $deadline Stop after this microtime.
+	 * @return array Updated job state.
+	 */
+	private function run_urls_stage( array $job, float $deadline ): array {
+		$old_url = rtrim( $job['options']['old_url'], '/' );
+		$new_url = rtrim( $job['options']['new_url'], '/' );
+
+		// Listed once the database restore is done, since it may add tables.
+		if ( null === $job['urls']['tables'] ) {
+			$this->logger->info( 'Performing URL replacement...', array(
+				'old_url' => $old_url,
+				'new_url' => $new_url,
+			) );
+
+			$job['urls']['tables'] = $this->search_replace->get_all_tables();
+		}
+
+		$tables       = $job['urls']['tables'];
+		$replacements = $this->get_url_replacements( $old_url, $new_url );
+
+		while ( $job['urls']['done'] < count( $tables ) && microtime( true ) < $deadline ) {
+			$result = $this->search_replace->run_multiple( $replacements, array( $tables[ $job['urls']['done'] ] ) );
+
+			$job['urls']['replacements'] += $result['total_replacements'];
+			$job['urls']['rows']         += $result['total_rows_processed'];
+			++$job['urls']['done'];
+		}
+
+		$start = empty( $job['backup_path'] ) ? 0 : 80;
+
+		if ( $job['urls']['done'] < count( $tables ) ) {
+			$job['progress'] = $start + (int) ( ( 95 - $start ) * $job['urls']['done'] / count( $tables ) );
+
+			return $this->enter_stage(
+				$job,
+				self::STAGE_URLS,
+				sprintf(
+					/* translators: 1: tables done, 2: total tables, 3: replacements made. */
+					__( 'Updated %1$s of %2$s tables (%3$s replacements)', 'swish-migrate-and-backup' ),
+					number_format_i18n( $job['urls']['done'] ),
+					number_format_i18n( count( $tables ) ),
+					number_format_i18n( $job['urls']['replacements'] )
+				)
+			);
+		}
+
+		$this->update_wp_options( $new_url );
+
+		$job['result']['url_replacement'] = array(
+			'success'              => true,
+			'total_rows_processed' => $job['urls']['rows'],
+			'total_replacements'   => $job['urls']['replacements'],
+		);
+		$job['progress'] = 95;
+
+		$this->logger->info( 'URL replacement completed', $job['result']['url_replacement'] );
+
+		return $this->enter_next_stage( $job, self::STAGE_URLS );
+	}
+
+	/**
+	 * Activate plugins from the manifest and flush caches.
+	 *
+	 * @param array $job Job state.
+	 * @return array Updated job state.
+	 */
+	private function run_cleanup_stage( array $job ): array {
+		if ( ! empty( $job['backup_info'] ) ) {
+			// Especially important for multisite-to-singlesite migrations.
+			$job['result']['backup_info']       = $job['backup_info'];
+			$job['result']['plugins_activated'] = $this->activate_plugins_from_manifest( $job['backup_info'] );
+		}
+
+		$this->flush_all_caches();
+
+		foreach ( array_keys( $job['stages'] ) as $stage ) {
+			$job['stages'][ $stage ]['status'] = 'completed';
+		}
+
+		$job['status']   = self::STATUS_COMPLETED;
+		$job['progress'] = 100;
+		$job['message']  = __( 'Migration complete!', 'swish-migrate-and-backup' );
+
+		$this->logger->info( 'Migration completed successfully', $job['result'] );
+
+		return $job;
+	}
+
+	/**
+	 * Mark a stage as running, and the stages before it as done.
+	 *
+	 * @param array  $job    Job state.
+	 * @param string $stage  Stage now running.
+	 * @param string $detail What the stage is doing.
+	 * @return array Updated job state.
+	 */
+	private function enter_stage( array $job, string $stage, string $detail ): array {
+		foreach ( array_keys( $job['stages'] ) as $name ) {
+			if ( $name === $stage ) {
+				break;
+			}
+
+			$job['stages'][ $name ]['status'] = 'completed';
+		}
+
+		$job['stage']            = $stage;
+		$job['stages'][ $stage ] = array(
+			'status' => 'in-progress',
+			'detail' => $detail,
+		);
+		$job['message']          = $detail;
+
+		return $job;
+	}
+
+	/**
+	 * Move on to the stage after the given one.
+	 *
+	 * @param array  $job   Job state.
+	 * @param string $after Stage that just finished.
+	 * @return array Updated job state.
+	 */
+	private function enter_next_stage( array $job, string $after ): array {
+		$order = array( self::STAGE_INIT, self::STAGE_EXTRACT, self::STAGE_FILES, self::STAGE_DATABASE, self::STAGE_URLS, self::STAGE_CLEANUP );
+		$next  = self::STAGE_CLEANUP;
+
+		// Skipped stages are not in the job's list.
+		foreach ( array_slice( $order, array_search( $after, $order, true ) + 1 ) as $stage ) {
+			if ( isset( $job['stages'][ $stage ] ) ) {
+				$next = $stage;
+				break;
+			}
+		}
+
+		$details = array(
+			self::STAGE_URLS    => __( 'Replacing old URLs with new URLs', 'swish-migrate-and-backup' ),
+			self::STAGE_CLEANUP => __( 'Activating plugins and flushing caches', 'swish-migrate-and-backup' ),
+		);
+
+		return $this->enter_stage( $job, $next, $details[ $next ] ?? '' );
+	}
+
+	/**
+	 * Mark a job as failed at its current stage.
+	 *
+	 * @param array  $job   Job state.
+	 * @param string $error Error message.
+	 * @return array Updated job state.
+	 */
+	private function fail_job( array $job, string $error ): array {
+		$this->logger->error( 'Migration failed: ' . $error, array(
+			'job_id' => $job['job_id'],
+			'stage'  => $job['stage'],
+		) );
+
+		$job['status']                            = self::STATUS_FAILED;
+		$job['error']                             = $error;
+		$job['failed_stage']                      = $job['stage'];
+		$job['message']                           = $error;
+		$job['stages'][ $job['stage'] ]['status'] = 'failed';
+		$job['stages'][ $job['stage'] ]['detail'] = $error;
+
+		return $job;
+	}
+
+	/**
+	 * Record a fatal error in the running job before PHP exits.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return void
+	 */
+	private function register_job_shutdown_handler( string $job_id ): void {
+		register_shutdown_function( function () use ( $job_id ) {
+			$error = error_get_last();
+
+			// Only handle fatal errors.
+			$fatal_errors = array( E_ERROR, E_PARSE, E_CORE_ERROR, E_COMPILE_ERROR, E_USER_ERROR );
+			if ( null === $error || ! in_array( $error['type'], $fatal_errors, true ) ) {
+				return;
+			}
+
+			$job = $this->get_job( $job_id );
+
+			if ( null !== $job && self::STATUS_PROCESSING === $job['status'] ) {
+				$job                 = $this->fail_job( $job, $error['message'] );
+				$job['locked_until'] = 0;
+				$this->save_job( $job );
+			}
+		} );
+	}
+
+	/**
+	 * Schedule the next batch of a job.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return void
+	 */
+	private function schedule_job( string $job_id ): void {
+		if ( ! wp_next_scheduled( 'swish_backup_process_migration', array( $job_id ) ) ) {
+			wp_schedule_single_event( time(), 'swish_backup_process_migration', array( $job_id ) );
+		}
+
+		// Spawn a loopback request to trigger cron immediately.
+		$cron_url = site_url( 'wp-cron.php?doing_wp_cron=' . sprintf( '%.22F', microtime( true ) ) );
+
+		wp_remote_post(
+			$cron_url,
+			array(
+				'timeout'   => 0.01,
+				'blocking'  => false,
+				'sslverify' => apply_filters( 'https_local_ssl_verify', false ),
+			)
+		);
+	}
+
+	/**
+	 * Persist migration job state.
+	 *
+	 * Kept in a file, because the database restore replaces the options
+	 * and jobs tables.
+	 *
+	 * @param array $job Job state.
+	 * @return void
+	 */
+	private function save_job( array $job ): void {
+		$file = $this->get_job_file( $job['job_id'] );
+
+		if ( ! is_dir( $this->get_job_directory() ) ) {
+			wp_mkdir_p( $this->get_job_directory() );
+		}
+
+		$job['updated_at'] = time();
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $file, wp_json_encode( $job ) );
+	}
+
+	/**
+	 * Remove the state of migration jobs older than a day.
+	 *
+	 * @return void
+	 */
+	private function cleanup_stale_jobs(): void {
+		foreach ( glob( $this->get_job_directory() . '/migration-*.json' ) ?: array() as $file ) {
+			if ( filemtime( $file ) < time() - DAY_IN_SECONDS ) {
+				wp_delete_file( $file );
+			}
+		}
+	}
+
+	/**
+	 * Get the state file of a migration job.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return string File path.
+	 */
+	private function get_job_file( string $job_id ): string {
+		return $this->get_job_directory() . '/migration-' . $job_id . '.json';
+	}
+
+	/**
+	 * Get the directory holding migration job state.
+	 *
+	 * @return string
+	 */
+	private function get_job_directory(): string {
+		return WP_CONTENT_DIR . '/swish-backups/temp';
+	}
+
+	/**
+	 * Get the display titles of the migration stages.
+	 *
+	 * @return array Stage => title.
+	 */
+	private function get_stage_titles(): array {
+		return array(
+			self::STAGE_INIT     => __( 'Initializing', 'swish-migrate-and-backup' ),
+			self::STAGE_EXTRACT  => __( 'Extracting Backup', 'swish-migrate-and-backup' ),
+			self::STAGE_FILES    => __( 'Restoring Files', 'swish-migrate-and-backup' ),
+			self::STAGE_DATABASE => __( 'Restoring Database', 'swish-migrate-and-backup' ),
+			self::STAGE_URLS     => __( 'Updating URLs', 'swish-migrate-and-backup' ),
+			self::STAGE_CLEANUP  => __( 'Finalizing', 'swish-migrate-and-backup' ),
+		);
+	}
+
+	/**
+	 * Build the URL replacement pairs for a migration.
+	 *
+	 * @param string $old_url Old URL without trailing slash.
+	 * @param string $new_url New URL without trailing slash.
+	 * @return array Search => replace pairs.
+	 */
+	private function get_url_replacements( string $old_url, string $new_url ): array {
+		// Generate all replacement variations.
+		$replacements = $this->search_replace->generate_url_replacements( $old_url, $new_url );
+
+		// Also handle path changes.
+		$old_path = wp_parse_url( $old_url, PHP_URL_PATH ) ?: '';
+		$new_path = wp_parse_url( $new_url, PHP_URL_PATH ) ?: '';
+
+		if ( $old_path !== $new_path ) {
+			$replacements[ $old_path ] = $new_path;
+		}
+
+		return $replacements;
+	}
+
 	/**
 	 * Get search replace instance for custom operations.
 	 *
@@ -19,7 +19,11 @@ use SwishMigrateAndBackup\Logger\Logger;
 /**
  * Handles search and replace operations in the database.
  *
- * Supports serialized data safely using recursive unserialization.
+ * Supports serialized data safely using recursive unserialization. Besides
+ * plain literal matching, a search can be case-insensitive, limited to
+ * whole words, or a PCRE pattern whose capture groups the replacement can
+ * reference as $1 or ${1}. A scope can limit the work to chosen tables,
+ * columns, post types and option names.
  */
 final class SearchReplace {
 
@@ -54,6 +58,32 @@ final class SearchReplace {
 	 */
 	private const MIN_ROWS_PER_BATCH = 25;
 
+	/**
+	 * Delimiter wrapped around search patterns, chosen so it never needs escaping.
+	 */
+	private const PATTERN_DELIMITER = "\x01";
+
+	/**
+	 * Markers put around each match while building preview snippets.
+	 */
+	private const MATCH_START = "\x02";
+	private const MATCH_END   = "\x03";
+
+	/**
+	 * Characters of context kept on each side of a match in preview snippets.
+	 */
+	private const SNIPPET_CONTEXT = 40;
+
+	/**
+	 * Highlighted matches shown per value in preview snippets.
+	 */
+	private const SNIPPET_MAX_MATCHES = 10;
+
+	/**
+	 * Seconds a single preview page may spend scanning before it returns.
+	 */
+	private const PREVIEW_TIME_LIMIT = 15;
+
 	/**
 	 * Memory threshold for reducing batch size (32MB).
 	 */
@@ -66,49 +96,245 @@ final class SearchReplace {
 	 */
 	private int $current_batch_size;
 
+	/**
+	 * Journal recording changed cells for undo.
+	 *
+	 * @var SearchReplaceJournal|null
+	 */
+	private ?SearchReplaceJournal $journal;
+
+	/**
+	 * Journal run the current run records into, if any.
+	 *
+	 * @var string|null
+	 */
+	private ?string $journal_run = null;
+
+	/**
+	 * Cells changed by each pair in the current run.
+	 *
+	 * @var int[]
+	 */
+	private array $pair_changes = array();
+
 	/**
 	 * Constructor.
 	 *
-	 * @param Logger $logger Logger instance.
+	 * @param Logger                    $logger  Logger instance.
+	 * @param SearchReplaceJournal|null $journal Journal for undoable runs.
 	 */
-	public function __construct( Logger $logger ) {
+	public function __construct( Logger $logger, ?SearchReplaceJournal $journal = null ) {
 		$this->logger = $logger;
+		$this->journal = $journal;
 		$this->current_batch_size = self::DEFAULT_ROWS_PER_BATCH;
 	}
 
 	/**
 	 * Run search and replace on the database.
 	 *
+	 * Options:
+	 * - case_insensitive: Match regardless of letter case.
+	 * - whole_word:       Only match where the search is not part of a longer word.
+	 * - regex:            Treat the search as a PCRE pattern without delimiters.
+	 * - scope:            Tables, columns and rows to limit the run to, see build_scope().
+	 * - journal:          True to record changed cells so the run can be undone.
+	 *
 	 * @param string        $search           Search string.
 	 * @param string        $replace          Replace string.
 	 * @param array         $tables           Tables to process (empty for all).
 	 * @param callable|null $progress_callback Progress callback.
+	 * @param array         $options          Matching options.
 	 * @return array Results with counts.
 	 */
 	public function run(
 		string $search,
 		string $replace,
 		array $tables = array(),
-		?callable $progress_callback = null
+		?callable $progress_callback = null,
+		array $options = array()
+	): array {
+		$pairs = array(
+			array(
+				'search'  => $search,
+				'replace' => $replace,
+			),
+		);
+
+		$result = $this->replace_pairs( $pairs, $tables, $progress_callback, $options );
+		unset( $result['pair_changes'] );
+
+		return $result;
+	}
+
+	/**
+	 * Run multiple search and replace operations.
+	 *
+	 * Every table is read once and each value gets the pairs applied in
+	 * order, so a pair sees what the pairs before it wrote. Empty searches
+	 * are skipped.
+	 *
+	 * @param array         $replacements      Array of search => replace pairs.
+	 * @param array         $tables           Tables to process.
+	 * @param callable|null $progress_callback Progress callback.
+	 * @param array         $options          Matching options, see run().
+	 * @return array Results.
+	 */
+	public function run_multiple(
+		array $replacements,
+		array $tables = array(),
+		?callable $progress_callback = null,
+		array $options = array()
+	): array {
+		$pairs = $this->to_pairs( $replacements );
+
+		if ( empty( $pairs ) ) {
+			return array(
+				'success'              => true,
+				'total_rows_processed' => 0,
+				'total_replacements'   => 0,
+				'operations'           => array(),
+				'run_id'               => null,
+			);
+		}
+
+		$result = $this->replace_pairs( $pairs, $tables, $progress_callback, $options );
+
+		if ( ! $result['success'] ) {
+			return $result;
+		}
+
+		$operations = array();
+
+		foreach ( $pairs as $index => $pair ) {
+			$operations[] = array(
+				'search'       => $pair['search'],
+				'replace'      => $pair['replace'],
+				'replacements' => $result['pair_changes'][ $index ],
+			);
+		}
+
+		return array(
+			'success'              => true,
+			'total_rows_processed' => $result['rows_processed'],
+			'total_replacements'   => $result['replacements_made'],
+			'operations'           => $operations,
+			'run_id'               => $result['run_id'],
+		);
+	}
+
+	/**
+	 * Dry run to preview changes.
+	 *
+	 * Returns one page of matches at a time. Pass the returned next_cursor
+	 * back to continue where the page stopped; it is null once every
+	 * table has been scanned. A page can come back short when scanning
+	 * runs out of time, so only a null cursor means the end.
+	 *
+	 * @param string $search  Search string.
+	 * @param string $replace Replace string.
+	 * @param array  $tables  Tables to check.
+	 * @param int    $limit   Maximum matches to return.
+	 * @param array  $options Matching options, see run().
+	 * @param array  $cursor  Cursor from a previous page (table and offset).
+	 * @return array Preview results.
+	 */
+	public function dry_run(
+		string $search,
+		string $replace,
+		array $tables = array(),
+		int $limit = 25,
+		array $options = array(),
+		array $cursor = array()
+	): array {
+		$pairs = array(
+			array(
+				'search'  => $search,
+				'replace' => $replace,
+			),
+		);
+
+		return $this->preview_pairs( $pairs, $tables, $limit, $options, $cursor );
+	}
+
+	/**
+	 * Dry run of multiple search and replace operations.
+	 *
+	 * Pages like dry_run(). Each change is tagged with the index of the
+	 * pair that makes it, and shows the value as the earlier pairs left it.
+	 *
+	 * @param array $replacements Array of search => replace pairs.
+	 * @param array $tables       Tables to check.
+	 * @param int   $limit        Maximum matches to return.
+	 * @param array $options      Matching options, see run().
+	 * @param array $cursor       Cursor from a previous page (table and offset).
+	 * @return array Preview results.
+	 */
+	public function dry_run_multiple(
+		array $replacements,
+		array $tables = array(),
+		int $limit = 25,
+		array $options = array(),
+		array $cursor = array()
 	): array {
+		return $this->preview_pairs( $this->to_pairs( $replacements ), $tables, $limit, $options, $cursor );
+	}
+
+	/**
+	 * Turn search => replace pairs into a list, dropping empty searches.
+	 *
+	 * @param array $replacements Array of search => replace pairs.
+	 * @return array List of pairs with search and replace.
+	 */
+	private function to_pairs( array $replacements ): array {
+		$pairs = array();
+
+		foreach ( $replacements as $search => $replace ) {
+			if ( '' === (string) $search ) {
+				continue;
+			}
+
+			$pairs[] = array(
+				'search'  => (string) $search,
+				'replace' => (string) $replace,
+			);
+		}
+
+		return $pairs;
+	}
+
+	/**
+	 * Apply a list of pairs to the database in a single pass.
+	 *
+	 * @param array         $pairs             Pairs with search and replace.
+	 * @param array         $tables            Tables to process (empty for all).
+	 * @param callable|null $progress_callback Progress callback.
+	 * @param array         $options           Matching options, see run().
+	 * @return array Results with counts, including the cells each pair changed.
+	 */
+	private function replace_pairs( array $pairs, array $tables, ?callable $progress_callback, array $options ): array {
 		$this->rows_processed = 0;
 		$this->replacements_made = 0;
+		$this->pair_changes = array_fill( 0, count( $pairs ), 0 );
 
 		$this->logger->info( 'Starting search and replace', array(
-			'search'  => $search,
-			'replace' => $replace,
+			'pairs'   => $pairs,
+			'options' => $options,
 		) );
 
-		if ( empty( $search ) ) {
+		$matchers = $this->build_matchers( $pairs, $options );
+
+		if ( isset( $matchers['error'] ) ) {
 			return array(
 				'success' => false,
-				'error'   => 'Search string cannot be empty',
+				'error'   => $matchers['error'],
 			);
 		}
 
-		// Get tables to process.
-		if ( empty( $tables ) ) {
-			$tables = $this->get_all_tables();
+		$scope  = $this->build_scope( $options['scope'] ?? array() );
+		$tables = $this->resolve_tables( $tables, $scope );
+
+		if ( $this->journal && ! empty( $options['journal'] ) ) {
+			$this->journal_run = $this->journal->start_run( $pairs, $options );
 		}
 
 		$total_tables = count( $tables );
@@ -123,7 +349,7 @@ final class SearchReplace {
 				$progress_callback( $progress, $table, $table_num, $total_tables );
 			}
 
-			$result = $this->process_table( $table, $search, $replace );
+			$result = $this->process_table( $table, $matchers, $scope );
 			$table_results[ $table ] = $result;
 		}
 
@@ -132,110 +358,100 @@ final class SearchReplace {
 			'replacements_made' => $this->replacements_made,
 		) );
 
+		$run_id = $this->journal_run;
+		$this->journal_run = null;
+
+		if ( null !== $run_id ) {
+			$this->journal->finish_run( $run_id, $this->replacements_made );
+		}
+
 		return array(
 			'success'           => true,
 			'rows_processed'    => $this->rows_processed,
 			'replacements_made' => $this->replacements_made,
+			'pair_changes'      => $this->pair_changes,
 			'tables'            => $table_results,
+			'run_id'            => $run_id,
 		);
 	}
 
 	/**
-	 * Run multiple search and replace operations.
+	 * Preview a list of pairs, one page at a time.
 	 *
-	 * @param array         $replacements      Array of search => replace pairs.
-	 * @param array         $tables           Tables to process.
-	 * @param callable|null $progress_callback Progress callback.
-	 * @return array Results.
+	 * @param array $pairs   Pairs with search and replace.
+	 * @param array $tables  Tables to check.
+	 * @param int   $limit   Maximum matches to return.
+	 * @param array $options Matching options, see run().
+	 * @param array $cursor  Cursor from a previous page (table and offset).
+	 * @return array Preview results.
 	 */
-	public function run_multiple(
-		array $replacements,
-		array $tables = array(),
-		?callable $progress_callback = null
-	): array {
-		$total_replacements = 0;
-		$total_rows = 0;
-		$results = array();
+	private function preview_pairs( array $pairs, array $tables, int $limit, array $options, array $cursor ): array {
+		$matchers = $this->build_matchers( $pairs, $options );
 
-		foreach ( $replacements as $search => $replace ) {
-			$result = $this->run( $search, $replace, $tables, $progress_callback );
-			$results[] = array(
-				'search'       => $search,
-				'replace'      => $replace,
-				'replacements' => $result['replacements_made'] ?? 0,
+		if ( isset( $matchers['error'] ) ) {
+			return array(
+				'success' => false,
+				'error'   => $matchers['error'],
 			);
-			$total_replacements += $result['replacements_made'] ?? 0;
-			$total_rows += $result['rows_processed'] ?? 0;
 		}
 
-		return array(
-			'success'              => true,
-			'total_rows_processed' => $total_rows,
-			'total_replacements'   => $total_replacements,
-			'operations'           => $results,
-		);
-	}
+		$scope  = $this->build_scope( $options['scope'] ?? array() );
+		$tables = $this->resolve_tables( $tables, $scope );
 
-	/**
-	 * Dry run to preview changes.
-	 *
-	 * @param string $search  Search string.
-	 * @param string $replace Replace string.
-	 * @param array  $tables  Tables to check.
-	 * @param int    $limit   Maximum matches to return.
-	 * @return array Preview results.
-	 */
-	public function dry_run(
-		string $search,
-		string $replace,
-		array $tables = array(),
-		int $limit = 50
-	): array {
-		if ( empty( $tables ) ) {
-			$tables = $this->get_all_tables();
-		}
+		$table_index = 0;
+		$offset      = 0;
 
-		$matches = array();
-		$total_count = 0;
+		if ( ! empty( $cursor['table'] ) ) {
+			$table_index = array_search( $cursor['table'], $tables, true );
 
-		foreach ( $tables as $table ) {
-			$table_matches = $this->find_matches( $table, $search, $limit );
-			$total_count += count( $table_matches );
+			if ( false === $table_index ) {
+				return array(
+					'success' => false,
+					'error'   => 'The preview cursor does not match the tables being searched',
+				);
+			}
 
-			foreach ( $table_matches as $match ) {
-				if ( count( $matches ) >= $limit ) {
-					break 2;
-				}
+			$offset = max( 0, (int) ( $cursor['offset'] ?? 0 ) );
+		}
 
-				$matches[] = array(
-					'table'    => $table,
-					'column'   => $match['column'],
-					'row_id'   => $match['row_id'],
-					'before'   => $this->truncate_string( $match['value'], 200 ),
-					'after'    => $this->truncate_string(
-						$this->recursive_replace( $match['value'], $search, $replace ),
-						200
-					),
+		$deadline    = microtime( true ) + self::PREVIEW_TIME_LIMIT;
+		$matches     = array();
+		$next_cursor = null;
+		$table_count = count( $tables );
+
+		for ( ; $table_index < $table_count; $table_index++ ) {
+			$table       = $tables[ $table_index ];
+			$next_offset = $this->find_matches( $table, $matchers, $scope, $offset, $limit, $deadline, $matches );
+
+			if ( null !== $next_offset ) {
+				$next_cursor = array(
+					'table'  => $table,
+					'offset' => $next_offset,
 				);
+				break;
 			}
+
+			$offset = 0;
 		}
 
 		return array(
-			'total_matches' => $total_count,
-			'preview'       => $matches,
-			'truncated'     => $total_count > $limit,
+			'success'     => true,
+			'matches'     => $matches,
+			'next_cursor' => $next_cursor,
+			'table_index' => min( $table_index + 1, $table_count ),
+			'table_count' => $table_count,
 		);
 	}
 
 	/**
 	 * Process a single table.
 	 *
-	 * @param string $table   Table name.
-	 * @param string $search  Search string.
-	 * @param string $replace Replace string.
+	 * @param string $table    Table name.
+	 * @param array  $matchers Matchers from build_matchers().
+	 * @param array  $scope    Scope from build_scope().
 	 * @return array Table results.
 	 */
-	private function process_table( string $table, string $search, string $replace ): array {
+	private function process_table( string $table, array $matchers, array $scope ): array {
 		global $wpdb;
 
 		// Get primary key.
@@ -246,14 +462,16 @@ final class SearchReplace {
 		}
 
 		// Get text columns.
-		$columns = $this->get_text_columns( $table );
+		$columns = $this->get_scoped_columns( $table, $scope );
 		if ( empty( $columns ) ) {
 			return array( 'rows' => 0, 'changes' => 0, 'no_text_columns' => true );
 		}
 
+		$where = $this->build_row_filter( $table, $scope );
+
 		// Get row count.
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.InterpolatedNotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table name from $wpdb->get_col() is safe.
-		$row_count = (int) $wpdb->get_var( "SELECT COUNT(*) FROM `{$table}`" );
+		$row_count = (int) $wpdb->get_var( "SELECT COUNT(*) FROM `{$table}` WHERE {$where}" );
 
 		if ( 0 === $row_count ) {
 			return array( 'rows' => 0, 'changes' => 0 );
@@ -270,7 +488,7 @@ final class SearchReplace {
 			$rows = $wpdb->get_results(
 				$wpdb->prepare(
 					// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-					"SELECT * FROM `{$table}` LIMIT %d OFFSET %d",
+					"SELECT * FROM `{$table}` WHERE {$where} LIMIT %d OFFSET %d",
 					$this->current_batch_size,
 					$offset
 				),
@@ -294,15 +512,26 @@ final class SearchReplace {
 						continue;
 					}
 
-					$value = $row[ $column ];
-
-					// Check if contains search string.
-					if ( strpos( $value, $search ) === false ) {
+					if ( isset( $scope['exclude_rows'][ $table ][ $column ][ (string) $row_id ] ) ) {
 						continue;
 					}
 
-					// Perform replacement.
-					$new_value = $this->recursive_replace( $value, $search, $replace );
+					$value     = $row[ $column ];
+					$new_value = $value;
+
+					// Apply the pairs in order, each to what the previous ones left.
+					foreach ( $matchers as $index => $matcher ) {
+						if ( ! $this->has_match( $new_value, $matcher ) ) {
+							continue;
+						}
+
+						$replaced = $this->recursive_replace( $new_value, $matcher );
+
+						if ( $replaced !== $new_value ) {
+							$new_value = $replaced;
+							++$this->pair_changes[ $index ];
+						}
+					}
 
 					if ( $new_value !== $value ) {
 						$updates[ $column ] = $new_value;
@@ -311,12 +540,16 @@ final class SearchReplace {
 
 				if ( ! empty( $updates ) ) {
 					// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-					$wpdb->update(
+					$updated = $wpdb->update(
 						$table,
 						$updates,
 						array( $primary_key => $row_id )
 					);
 
+					if ( false !== $updated && null !== $this->journal_run ) {
+						$this->journal->record( $this->journal_run, $table, $primary_key, $row_id, $row, $updates );
+					}
+
 					$table_changes += count( $updates );
 					$this->replacements_made += count( $updates );
 				}
@@ -342,19 +575,142 @@ final class SearchReplace {
 	}
 
 	/**
-	 * Recursively replace in potentially serialized data.
+	 * Build the matcher for a search.
+	 *
+	 * Plain searches keep using str_replace(). Every other mode becomes a
+	 * PCRE pattern; literal searches are quoted and their replacement is
+	 * escaped so dollar signs and backslashes are not read as group references.
 	 *
-	 * @param mixed  $data    Data to process.
 	 * @param string $search  Search string.
 	 * @param string $replace Replace string.
+	 * @param array  $options Matching options, see run().
+	 * @return array Matcher with search, replace, pattern (null for plain searches) and mode flags, or error.
+	 */
+	private function build_matcher( string $search, string $replace, array $options ): array {
+		$regex            = ! empty( $options['regex'] );
+		$case_insensitive = ! empty( $options['case_insensitive'] );
+		$whole_word       = ! empty( $options['whole_word'] );
+
+		if ( ! $regex && ! $case_insensitive && ! $whole_word ) {
+			return array(
+				'search'  => $search,
+				'replace' => $replace,
+				'pattern' => null,
+			);
+		}
+
+		$pattern = $regex ? $search : preg_quote( $search, self::PATTERN_DELIMITER );
+
+		if ( $whole_word ) {
+			// Lookarounds rather than \b, so searches that start or end with punctuation still work.
+			$pattern = '(?<!\w)(?:' . $pattern . ')(?!\w)';
+		}
+
+		$pattern = self::PATTERN_DELIMITER . $pattern . self::PATTERN_DELIMITER . ( $case_insensitive ? 'i' : '' );
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		if ( false === @preg_match( $pattern, '' ) ) {
+			return array(
+				'error' => 'Invalid regular expression: ' . preg_last_error_msg(),
+			);
+		}
+
+		return array(
+			'search'           => $search,
+			'replace'          => $regex ? $replace : addcslashes( $replace, '\\$' ),
+			'pattern'          => $pattern,
+			'regex'            => $regex,
+			'case_insensitive' => $case_insensitive,
+		);
+	}
+
+	/**
+	 * Build the matchers for a list of pairs.
+	 *
+	 * @param array $pairs   Pairs with search and replace.
+	 * @param array $options Matching options, see run().
+	 * @return array Matchers in pair order, or error.
+	 */
+	private function build_matchers( array $pairs, array $options ): array {
+		if ( empty( $pairs ) ) {
+			return array(
+				'error' => 'Search string cannot be empty',
+			);
+		}
+
+		$matchers = array();
+
+		foreach ( $pairs as $index => $pair ) {
+			if ( '' === $pair['search'] ) {
+				return array(
+					'error' => 'Search string cannot be empty',
+				);
+			}
+
+			$matcher = $this->build_matcher( $pair['search'], $pair['replace'], $options );
+
+			if ( isset( $matcher['error'] ) ) {
+				return array(
+					'error' => count( $pairs ) > 1 ? sprintf( 'Pair %d: %s', $index + 1, $matcher['error'] ) : $matcher['error'],
+				);
+			}
+
+			$matchers[] = $matcher;
+		}
+
+		return $matchers;
+	}
+
+	/**
+	 * Check whether potentially serialized data contains a match.
+	 *
+	 * Plain searches check the raw value, which always contains the
+	 * strings inside serialized data verbatim. Patterns are tested against
+	 * each unserialized string, so anchors and lookarounds see the real
+	 * value instead of the serialization syntax.
+	 *
+	 * @param mixed $data    Data to check.
+	 * @param array $matcher Matcher from build_matcher().
+	 * @return bool True if the data contains a match.
+	 */
+	private function has_match( $data, array $matcher ): bool {
+		if ( null === $matcher['pattern'] ) {
+			return is_string( $data ) && false !== strpos( $data, $matcher['search'] );
+		}
+
+		if ( is_string( $data ) && $this->is_serialized( $data ) ) {
+			$unserialized = @unserialize( $data );
+			if ( false !== $unserialized || 'b:0;' === $data ) {
+				return $this->has_match( $unserialized, $matcher );
+			}
+		}
+
+		if ( is_array( $data ) || ( is_object( $data ) && 'stdClass' === get_class( $data ) ) ) {
+			foreach ( (array) $data as $value ) {
+				if ( $this->has_match( $value, $matcher ) ) {
+					return true;
+				}
+			}
+
+			return false;
+		}
+
+		return is_string( $data ) && 1 === preg_match( $matcher['pattern'], $data );
+	}
+
+	/**
+	 * Recursively replace in potentially serialized data.
+	 *
+	 * @param mixed $data    Data to process.
+	 * @param array $matcher Matcher from build_matcher().
 	 * @return mixed Processed data.
 	 */
-	private function recursive_replace( $data, string $search, string $replace ) {
+	private function recursive_replace( $data, array $matcher ) {
 		// Handle serialized data.
 		if ( is_string( $data ) && $this->is_serialized( $data ) ) {
 			$unserialized = @unserialize( $data );
 			if ( false !== $unserialized || 'b:0;' === $data ) {
-				$replaced = $this->recursive_replace( $unserialized, $search, $replace );
+				$replaced = $this->recursive_replace( $unserialized, $matcher );
 				return serialize( $replaced );
 			}
 		}
@@ -362,7 +718,7 @@ final class SearchReplace {
 		// Handle arrays.
 		if ( is_array( $data ) ) {
 			return array_map(
-				fn( $item ) => $this->recursive_replace( $item, $search, $replace ),
+				fn( $item ) => $this->recursive_replace( $item, $matcher ),
 				$data
 			);
 		}
@@ -374,7 +730,7 @@ final class SearchReplace {
 			// Handle stdClass.
 			if ( 'stdClass' === $class ) {
 				foreach ( get_object_vars( $data ) as $key => $value ) {
-					$data->$key = $this->recursive_replace( $value, $search, $replace );
+					$data->$key = $this->recursive_replace( $value, $matcher );
 				}
 				return $data;
 			}
@@ -385,7 +741,11 @@ final class SearchReplace {
 
 		// Handle strings.
 		if ( is_string( $data ) ) {
-			return str_replace( $search, $replace, $data );
+			if ( null === $matcher['pattern'] ) {
+				return str_replace( $matcher['search'], $matcher['replace'], $data );
+			}
+
+			return preg_replace( $matcher['pattern'], $matcher['replace'], $data ) ?? $data;
 		}
 
 		// Return other types unchanged.
@@ -428,52 +788,502 @@ final class SearchReplace {
 	/**
 	 * Find matches in a table (for dry run).
 	 *
-	 * @param string $table  Table name.
-	 * @param string $search Search string.
-	 * @param int    $limit  Maximum matches.
-	 * @return array Matches.
+	 * Literal searches are narrowed down with LIKE first; every candidate
+	 * row is then checked with the matchers themselves, since SQL cannot tell
+	 * word boundaries or evaluate a regular expression the way PCRE does.
+	 *
+	 * @param string $table    Table name.
+	 * @param array  $matchers Matchers from build_matchers().
+	 * @param array  $scope    Scope from build_scope().
+	 * @param int    $offset   Row offset to start at.
+	 * @param int    $limit    Matches wanted in $matches in total.
+	 * @param float  $deadline Time to stop scanning at.
+	 * @param array  $matches  Matches found so far, appended to.
+	 * @return int|null Row offset to continue at, or null once the table is done.
 	 */
-	private function find_matches( string $table, string $search, int $limit ): array {
+	private function find_matches( string $table, array $matchers, array $scope, int $offset, int $limit, float $deadline, array &$matches ): ?int {
 		global $wpdb;
 
 		$primary_key = $this->get_primary_key( $table );
 		if ( ! $primary_key ) {
-			return array();
+			return null;
 		}
 
-		$columns = $this->get_text_columns( $table );
+		$columns = $this->get_scoped_columns( $table, $scope );
 		if ( empty( $columns ) ) {
-			return array();
+			return null;
 		}
 
-		$matches = array();
+		$where = $this->build_row_filter( $table, $scope );
 
-		foreach ( $columns as $column ) {
+		// A later pair can only match what an earlier one wrote, so a row needs at least one search to be changed.
+		if ( empty( array_filter( array_column( $matchers, 'regex' ) ) ) ) {
+			$conditions = array();
+
+			foreach ( $matchers as $matcher ) {
+				$case_insensitive = ! empty( $matcher['case_insensitive'] );
+				$like             = '%' . $wpdb->esc_like( $case_insensitive ? mb_strtolower( $matcher['search'] ) : $matcher['search'] ) . '%';
+
+				foreach ( $columns as $column ) {
+					$conditions[] = $case_insensitive
+						? $wpdb->prepare( "LOWER(`{$column}`) LIKE %s", $like ) // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+						: $wpdb->prepare( "`{$column}` LIKE %s", $like ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				}
+			}
+
+			$where .= ' AND (' . implode( ' OR ', $conditions ) . ')';
+		}
+
+		$select = '`' . implode( '`, `', array_unique( array_merge( array( $primary_key ), $columns ) ) ) . '`';
+
+		while ( true ) {
 			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table/column names from database metadata are safe.
 			$rows = $wpdb->get_results(
 				$wpdb->prepare(
 					// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-					"SELECT `{$primary_key}`, `{$column}` FROM `{$table}` WHERE `{$column}` LIKE %s LIMIT %d",
-					'%' . $wpdb->esc_like( $search ) . '%',
-					$limit - count( $matches )
+					"SELECT {$select} FROM `{$table}` WHERE {$where} LIMIT %d OFFSET %d",
+					self::DEFAULT_ROWS_PER_BATCH,
+					$offset
 				),
 				ARRAY_A
 			);
 
 			foreach ( $rows as $row ) {
-				$matches[] = array(
-					'column' => $column,
-					'row_id' => $row[ $primary_key ],
-					'value'  => $row[ $column ],
-				);
+				++$offset;
+
+				foreach ( $columns as $column ) {
+					if ( null === $row[ $column ] ) {
+						continue;
+					}
+
+					$changes = $this->describe_pairs( $row[ $column ], $matchers );
 
+					// A plain search can hit the serialization syntax itself, which is never replaced.
+					if ( empty( $changes ) ) {
+						continue;
+					}
+
+					$matches[] = array(
+						'table'       => $table,
+						'primary_key' => $primary_key,
+						'row_id'      => $row[ $primary_key ],
+						'column'      => $column,
+						'serialized'  => $this->is_serialized( $row[ $column ] ),
+						'changes'     => $changes,
+					);
+				}
+
+				// Pages end on a row boundary, so a row's matches are never split.
 				if ( count( $matches ) >= $limit ) {
-					break 2;
+					return $offset;
+				}
+			}
+
+			if ( count( $rows ) < self::DEFAULT_ROWS_PER_BATCH ) {
+				return null;
+			}
+
+			if ( microtime( true ) >= $deadline ) {
+				return $offset;
+			}
+		}
+	}
+
+	/**
+	 * Describe the changes a list of pairs makes to a value.
+	 *
+	 * Each pair is described against the value as the pairs before it
+	 * left it, and its changes carry the pair's index.
+	 *
+	 * @param mixed $value    Value.
+	 * @param array $matchers Matchers from build_matchers().
+	 * @return array Changes, each with pair, path and before/after snippets.
+	 */
+	private function describe_pairs( $value, array $matchers ): array {
+		$changes = array();
+
+		foreach ( $matchers as $index => $matcher ) {
+			if ( ! $this->has_match( $value, $matcher ) ) {
+				continue;
+			}
+
+			foreach ( $this->describe_changes( $value, $matcher ) as $change ) {
+				$changes[] = array_merge( array( 'pair' => $index ), $change );
+			}
+
+			$value = $this->recursive_replace( $value, $matcher );
+		}
+
+		return $changes;
+	}
+
+	/**
+	 * Describe the changes a replacement makes to a value.
+	 *
+	 * Serialized values are unserialized so each change is reported for
+	 * the string it touches, with the keys leading to it.
+	 *
+	 * @param mixed $data    Value.
+	 * @param array $matcher Matcher from build_matcher().
+	 * @param array $path    Keys leading to the value inside serialized data.
+	 * @return array Changes, each with path and before/after snippets.
+	 */
+	private function describe_changes( $data, array $matcher, array $path = array() ): array {
+		if ( is_string( $data ) && $this->is_serialized( $data ) ) {
+			$unserialized = @unserialize( $data );
+			if ( false !== $unserialized || 'b:0;' === $data ) {
+				return $this->describe_changes( $unserialized, $matcher, $path );
+			}
+		}
+
+		if ( is_array( $data ) || ( is_object( $data ) && 'stdClass' === get_class( $data ) ) ) {
+			$changes = array();
+
+			foreach ( (array) $data as $key => $value ) {
+				$changes = array_merge( $changes, $this->describe_changes( $value, $matcher, array_merge( $path, array( (string) $key ) ) ) );
+			}
+
+			return $changes;
+		}
+
+		if ( ! is_string( $data ) || ! $this->has_match( $data, $matcher ) ) {
+			return array();
+		}
+
+		// Drop stray markers from the value so they cannot be mistaken for matches.
+		$data = str_replace( array( self::MATCH_START, self::MATCH_END ), '', $data );
+
+		if ( null === $matcher['pattern'] ) {
+			$before = str_replace( $matcher['search'], self::MATCH_START . $matcher['search'] . self::MATCH_END, $data );
+			$after  = str_replace( $matcher['search'], self::MATCH_START . $matcher['replace'] . self::MATCH_END, $data );
+		} else {
+			$before = preg_replace( $matcher['pattern'], self::MATCH_START . '$0' . self::MATCH_END, $data ) ?? $data;
+			$after  = preg_replace( $matcher['pattern'], self::MATCH_START . $matcher['replace'] . self::MATCH_END, $data ) ?? $data;
+		}
+
+		return array(
+			array(
+				'path'   => $path,
+				'before' => $this->build_snippet( $before ),
+				'after'  => $this->build_snippet( $after ),
+			),
+		);
+	}
+
+	/**
+	 * Build a preview snippet from a value with its matches marked.
+	 *
+	 * The snippet is a list of segments rather than markup, so callers
+	 * can escape the text and highlight the matches themselves.
+	 *
+	 * @param string $marked Value with MATCH_START/MATCH_END around matches.
+	 * @return array Segments, each with text and whether it is a match.
+	 */
+	private function build_snippet( string $marked ): array {
+		$parts    = explode( self::MATCH_END, $marked );
+		$segments = array();
+		$shown    = 0;
+		$last     = count( $parts ) - 1;
+
+		foreach ( $parts as $index => $part ) {
+			$pieces  = explode( self::MATCH_START, $part, 2 );
+			$context = $pieces[0];
+			$length  = mb_strlen( $context );
+
+			if ( 0 === $index && $length > self::SNIPPET_CONTEXT ) {
+				$context = '…' . mb_substr( $context, -self::SNIPPET_CONTEXT );
+			} elseif ( $index === $last && $length > self::SNIPPET_CONTEXT ) {
+				$context = mb_substr( $context, 0, self::SNIPPET_CONTEXT ) . '…';
+			} elseif ( $length > self::SNIPPET_CONTEXT * 2 ) {
+				$context = mb_substr( $context, 0, self::SNIPPET_CONTEXT ) . ' … ' . mb_substr( $context, -self::SNIPPET_CONTEXT );
+			}
+
+			if ( '' !== $context ) {
+				$segments[] = array(
+					'text'  => $context,
+					'match' => false,
+				);
+			}
+
+			if ( ! isset( $pieces[1] ) ) {
+				continue;
+			}
+
+			if ( ++$shown > self::SNIPPET_MAX_MATCHES ) {
+				$segments[] = array(
+					'text'  => '…',
+					'match' => false,
+				);
+				break;
+			}
+
+			$segments[] = array(
+				'text'  => $pieces[1],
+				'match' => true,
+			);
+		}
+
+		return $segments;
+	}
+
+	/**
+	 * Get the choices available for scoping a search.
+	 *
+	 * @return array Tables with their text columns, post types and presets.
+	 */
+	public function get_scope_choices(): array {
+		global $wpdb;
+
+		$tables = array();
+		foreach ( $this->get_all_tables() as $table ) {
+			$tables[] = array(
+				'name'    => $table,
+				'columns' => $this->get_text_columns( $table ),
+			);
+		}
+
+		// Read post types from the data rather than get_post_types(), so types
+		// registered by plugins that are not active here are still offered.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$post_types = $wpdb->get_col( "SELECT DISTINCT post_type FROM {$wpdb->posts} ORDER BY post_type" );
+
+		$presets = array();
+		foreach ( $this->get_scope_presets() as $id => $preset ) {
+			$presets[] = array(
+				'id'          => $id,
+				'label'       => $preset['label'],
+				'description' => $preset['description'],
+			);
+		}
+
+		return array(
+			'tables'     => $tables,
+			'post_types' => $post_types,
+			'presets'    => $presets,
+		);
+	}
+
+	/**
+	 * Get the scope presets.
+	 *
+	 * Presets apply to every site's tables on a multisite network.
+	 *
+	 * @return array Presets keyed by ID, each with label, description and scope.
+	 */
+	public function get_scope_presets(): array {
+		global $wpdb;
+
+		$posts_tables = array();
+		foreach ( $this->get_all_tables() as $table ) {
+			if ( 'posts' === $this->get_table_type( $table ) ) {
+				$posts_tables[] = $table;
+			}
+		}
+
+		return array(
+			'skip_users'      => array(
+				'label'       => __( 'Skip users', 'swish-migrate-and-backup' ),
+				'description' => __( 'Leave the users and user meta tables alone, including email addresses.', 'swish-migrate-and-backup' ),
+				'scope'       => array(
+					'exclude_tables' => array( $wpdb->users, $wpdb->usermeta ),
+				),
+			),
+			'skip_guids'      => array(
+				'label'       => __( 'Skip GUIDs', 'swish-migrate-and-backup' ),
+				'description' => __( 'Leave post GUIDs unchanged, as feed readers rely on them.', 'swish-migrate-and-backup' ),
+				'scope'       => array(
+					'exclude_columns' => array_fill_keys( $posts_tables, array( 'guid' ) ),
+				),
+			),
+			'skip_transients' => array(
+				'label'       => __( 'Skip transients', 'swish-migrate-and-backup' ),
+				'description' => __( 'Leave cached transient options alone; they are rebuilt on demand.', 'swish-migrate-and-backup' ),
+				'scope'       => array(
+					'exclude_option_names' => array( '_transient_*', '_site_transient_*' ),
+				),
+			),
+		);
+	}
+
+	/**
+	 * Normalize a search scope.
+	 *
+	 * Scope keys:
+	 * - tables:               Only these tables (empty for all).
+	 * - columns:              Table => columns; listed tables only use those columns.
+	 * - exclude_tables:       Tables to leave alone.
+	 * - exclude_columns:      Table => columns to leave alone.
+	 * - post_types:           Only these post types in the posts and post meta tables.
+	 * - option_names:         Only options matching these names ("*" is a wildcard).
+	 * - exclude_option_names: Options to leave alone ("*" is a wildcard).
+	 * - exclude_rows:         Single values to leave alone, each with table, column and row_id.
+	 * - presets:              IDs from get_scope_presets() to merge in.
+	 *
+	 * @param array $scope Requested scope.
+	 * @return array Normalized scope.
+	 */
+	private function build_scope( array $scope ): array {
+		$normalized = array(
+			'tables'               => array(),
+			'columns'              => array(),
+			'exclude_tables'       => array(),
+			'exclude_columns'      => array(),
+			'post_types'           => array(),
+			'option_names'         => array(),
+			'exclude_option_names' => array(),
+			'exclude_rows'         => array(),
+		);
+
+		foreach ( (array) ( $scope['exclude_rows'] ?? array() ) as $row ) {
+			if ( isset( $row['table'], $row['column'], $row['row_id'] ) ) {
+				$normalized['exclude_rows'][ (string) $row['table'] ][ (string) $row['column'] ][ (string) $row['row_id'] ] = true;
+			}
+		}
+
+		$parts = array( $scope );
+
+		if ( ! empty( $scope['presets'] ) ) {
+			$presets = $this->get_scope_presets();
+			foreach ( (array) $scope['presets'] as $id ) {
+				if ( isset( $presets[ $id ] ) ) {
+					$parts[] = $presets[ $id ]['scope'];
+				}
+			}
+		}
+
+		foreach ( $parts as $part ) {
+			foreach ( array( 'tables', 'exclude_tables', 'post_types', 'option_names', 'exclude_option_names' ) as $key ) {
+				$values = array_filter( array_map( 'strval', (array) ( $part[ $key ] ?? array() ) ), 'strlen' );
+
+				$normalized[ $key ] = array_values( array_unique( array_merge( $normalized[ $key ], $values ) ) );
+			}
+
+			foreach ( array( 'columns', 'exclude_columns' ) as $key ) {
+				foreach ( (array) ( $part[ $key ] ?? array() ) as $table => $columns ) {
+					$normalized[ $key ][ $table ] = array_values(
+						array_unique( array_merge( $normalized[ $key ][ $table ] ?? array(), array_map( 'strval', (array) $columns ) ) )
+					);
 				}
 			}
 		}
 
-		return $matches;
+		return $normalized;
+	}
+
+	/**
+	 * Resolve the tables a run covers.
+	 *
+	 * Only tables that exist are returned, since the names end up in queries.
+	 *
+	 * @param array $tables Tables passed by the caller (empty for all).
+	 * @param array $scope  Scope from build_scope().
+	 * @return array Table names.
+	 */
+	private function resolve_tables( array $tables, array $scope ): array {
+		$all_tables = $this->get_all_tables();
+
+		if ( empty( $tables ) ) {
+			$tables = empty( $scope['tables'] ) ? $all_tables : $scope['tables'];
+		} elseif ( ! empty( $scope['tables'] ) ) {
+			$tables = array_intersect( $tables, $scope['tables'] );
+		}
+
+		$tables = array_intersect( $tables, $all_tables );
+
+		// Never rewrite the undo journal itself.
+		$excluded = array_merge( $scope['exclude_tables'], array( SearchReplaceJournal::get_table_name() ) );
+
+		return array_values( array_diff( $tables, $excluded ) );
+	}
+
+	/**
+	 * Get the text columns of a table that are within the scope.
+	 *
+	 * @param string $table Table name.
+	 * @param array  $scope Scope from build_scope().
+	 * @return array Column names.
+	 */
+	private function get_scoped_columns( string $table, array $scope ): array {
+		$columns = $this->get_text_columns( $table );
+
+		if ( ! empty( $scope['columns'][ $table ] ) ) {
+			$columns = array_intersect( $columns, $scope['columns'][ $table ] );
+		}
+
+		return array_values( array_diff( $columns, $scope['exclude_columns'][ $table ] ?? array() ) );
+	}
+
+	/**
+	 * Build the SQL condition selecting the rows of a table within the scope.
+	 *
+	 * @param string $table Table name.
+	 * @param array  $scope Scope from build_scope().
+	 * @return string SQL condition.
+	 */
+	private function build_row_filter( string $table, array $scope ): string {
+		global $wpdb;
+
+		$type       = $this->get_table_type( $table );
+		$conditions = array();
+
+		if ( ! empty( $scope['post_types'] ) && in_array( $type, array( 'posts', 'postmeta' ), true ) ) {
+			$placeholders = implode( ', ', array_fill( 0, count( $scope['post_types'] ), '%s' ) );
+
+			if ( 'posts' === $type ) {
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+				$conditions[] = $wpdb->prepare( "`post_type` IN ({$placeholders})", $scope['post_types'] );
+			} else {
+				$posts_table = substr( $table, 0, -strlen( 'postmeta' ) ) . 'posts';
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+				$conditions[] = $wpdb->prepare( "`post_id` IN (SELECT `ID` FROM `{$posts_table}` WHERE `post_type` IN ({$placeholders}))", $scope['post_types'] );
+			}
+		}
+
+		if ( 'options' === $type ) {
+			if ( ! empty( $scope['option_names'] ) ) {
+				$names = array();
+				foreach ( $scope['option_names'] as $name ) {
+					$names[] = $wpdb->prepare( '`option_name` LIKE %s', $this->wildcard_to_like( $name ) );
+				}
+				$conditions[] = '(' . implode( ' OR ', $names ) . ')';
+			}
+
+			foreach ( $scope['exclude_option_names'] as $name ) {
+				$conditions[] = $wpdb->prepare( '`option_name` NOT LIKE %s', $this->wildcard_to_like( $name ) );
+			}
+		}
+
+		return empty( $conditions ) ? '1=1' : implode( ' AND ', $conditions );
+	}
+
+	/**
+	 * Get the WordPress table a table name stands for, without its prefix.
+	 *
+	 * Handles the per-site tables of a multisite network, e.g. wp_2_posts.
+	 *
+	 * @param string $table Table name.
+	 * @return string|null Unprefixed name, or null for tables outside WordPress.
+	 */
+	private function get_table_type( string $table ): ?string {
+		global $wpdb;
+
+		if ( ! preg_match( '/^' . preg_quote( $wpdb->base_prefix, '/' ) . '(?:\d+_)?(\w+)$/', $table, $matches ) ) {
+			return null;
+		}
+
+		return $matches[1];
+	}
+
+	/**
+	 * Convert a "*" wildcard pattern to a LIKE pattern.
+	 *
+	 * @param string $pattern Pattern.
+	 * @return string LIKE pattern.
+	 */
+	private function wildcard_to_like( string $pattern ): string {
+		global $wpdb;
+
+		return str_replace( '*', '%', $wpdb->esc_like( $pattern ) );
 	}
 
 	/**
@@ -481,7 +1291,7 @@ final class SearchReplace {
 	 *
 	 * @return array Table names.
 	 */
-	private function get_all_tables(): array {
+	public function get_all_tables(): array {
 		global $wpdb;
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 		return $wpdb->get_col( 'SHOW TABLES' );
@@ -527,21 +1337,6 @@ final class SearchReplace {
 		return $text_columns;
 	}
 
-	/**
-	 * Truncate a string for display.
-	 *
-	 * @param string $string String to truncate.
-	 * @param int    $length Maximum length.
-	 * @return string Truncated string.
-	 */
-	private function truncate_string( string $string, int $length ): string {
-		if ( strlen( $string ) <= $length ) {
-			return $string;
-		}
-
-		return substr( $string, 0, $length - 3 ) . '...';
-	}
-
 	/**
 	 * Adjust batch size based on available memory.
 	 */
@@ -618,40 +1413,67 @@ final class SearchReplace {
 	/**
 	 * Generate URL migration replacements.
 	 *
+	 * Covers both schemes, the www and non-www host, protocol-relative
+	 * and JSON-escaped forms. The pairs are ordered most specific first,
+	 * since they are applied in order and the bare host catches the rest.
+	 *
 	 * @param string $old_url Old site URL.
 	 * @param string $new_url New site URL.
 	 * @return array Array of search => replace pairs.
 	 */
 	public function generate_url_replacements( string $old_url, string $new_url ): array {
-		$replacements = array();
+		$old_host = preg_replace( '#^(https?:)?//#', '', $old_url );
+		$new_host = preg_replace( '#^(https?:)?//#', '', $new_url );
+
+		if ( '' === $old_host ) {
+			return array();
+		}
 
-		// Standard URL.
-		$replacements[ $old_url ] = $new_url;
+		$new_scheme = preg_match( '#^(https?):#', $new_url, $m ) ? $m[1] : 'https';
+		$schemes    = preg_match( '#^(https?):#', $old_url, $m ) ? array( $m[1], 'https' === $m[1] ? 'http' : 'https' ) : array( 'https', 'http' );
 
-		// URL without protocol.
-		$old_no_proto = preg_replace( '#^https?://#', '', $old_url );
-		$new_no_proto = preg_replace( '#^https?://#', '', $new_url );
-		$replacements[ $old_no_proto ] = $new_no_proto;
+		// The other www form of the old host maps to the same form of the new one.
+		$hosts = array( $old_host => $new_host );
 
-		// Escaped URLs (for JSON).
-		$replacements[ str_replace( '/', '\/', $old_url ) ] = str_replace( '/', '\/', $new_url );
+		if ( 0 === strpos( $old_host, 'www.' ) ) {
+			$hosts[ substr( $old_host, 4 ) ] = preg_replace( '#^www\.#', '', $new_host );
+		} else {
+			$hosts[ 'www.' . $old_host ] = 0 === strpos( $new_host, 'www.' ) ? $new_host : 'www.' . $new_host;
+		}
 
-		// URL encoded.
-		$replacements[ urlencode( $old_url ) ] = urlencode( $new_url );
+		$urls = array();
+
+		// Full URLs, on either scheme, move to the new site's scheme.
+		foreach ( $hosts as $old => $new ) {
+			foreach ( $schemes as $scheme ) {
+				$urls[ $scheme . '://' . $old ] = $new_scheme . '://' . $new;
+			}
+		}
 
-		// With www/without www variations.
-		$old_with_www = preg_replace( '#^(https?://)(?!www\.)#', '$1www.', $old_url );
-		$old_without_www = preg_replace( '#^(https?://)www\.#', '$1', $old_url );
-		$new_with_www = preg_replace( '#^(https?://)(?!www\.)#', '$1www.', $new_url );
-		$new_without_www = preg_replace( '#^(https?://)www\.#', '$1', $new_url );
+		$replacements = $urls;
 
-		if ( $old_with_www !== $old_url ) {
-			$replacements[ $old_with_www ] = $new_with_www;
+		// Escaped URLs (for JSON).
+		foreach ( $urls as $old => $new ) {
+			$replacements[ str_replace( '/', '\/', $old ) ] = str_replace( '/', '\/', $new );
 		}
-		if ( $old_without_www !== $old_url ) {
-			$replacements[ $old_without_www ] = $new_without_www;
+
+		// Protocol-relative URLs.
+		foreach ( $hosts as $old => $new ) {
+			$replacements[ '//' . $old ] = '//' . $new;
 		}
 
-		return $replacements;
+		// URL encoded.
+		$replacements[ urlencode( $schemes[0] . '://' . $old_host ) ] = urlencode( $new_scheme . '://' . $new_host );
+
+		// URL without protocol, unless the new host contains the old one and would be rewritten again.
+		if ( false === strpos( $new_host, $old_host ) ) {
+			$replacements[ $old_host ] = $new_host;
+		}
+
+		return array_filter(
+			$replacements,
+			fn( $replace, $search ) => (string) $search !== $replace,
+			ARRAY_FILTER_USE_BOTH
+		);
 	}
 }
@@ -0,0 +1,465 @@
+<?php
+/**
+ * Search and Replace Journal.
+ *
+ * @package SwishMigrateAndBackup\Migration
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Migration;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use SwishMigrateAndBackup\Logger\Logger;
+
+/**
+ * Records the cells a search and replace run changes so the run can be undone.
+ *
+ * Each changed cell is stored with its table, primary key, original value
+ * and the value the run wrote. Undoing a run puts the original back only
+ * where the cell still holds what the run wrote, so later edits are never
+ * overwritten. The run list lives in an option; the cells in their own table.
+ */
+final class SearchReplaceJournal {
+
+	/**
+	 * Table name (without prefix).
+	 */
+	private const TABLE_NAME = 'swish_search_replace_journal';
+
+	/**
+	 * Option holding the run history.
+	 */
+	public const RUNS_OPTION = 'swish_backup_search_replace_runs';
+
+	/**
+	 * Runs kept in the history; older runs and their journals are dropped.
+	 */
+	private const MAX_RUNS = 20;
+
+	/**
+	 * Journal rows read per batch when undoing.
+	 */
+	private const UNDO_BATCH_SIZE = 200;
+
+	/**
+	 * Seconds of work per undo request.
+	 */
+	private const UNDO_TIME_BUDGET = 15;
+
+	/**
+	 * Skipped cells listed in an undo result.
+	 */
+	private const MAX_SKIPPED_LISTED = 50;
+
+	/**
+	 * Seconds after which a run still marked as running is treated as
+	 * interrupted, so the cells it did change can be undone.
+	 */
+	private const STALE_RUN_AGE = 600;
+
+	/**
+	 * Run statuses.
+	 */
+	public const STATUS_RUNNING  = 'running';
+	public const STATUS_COMPLETE = 'complete';
+	public const STATUS_UNDOING  = 'undoing';
+	public const STATUS_UNDONE   = 'undone';
+
+	/**
+	 * Logger instance.
+	 *
+	 * @var Logger
+	 */
+	private Logger $logger;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Logger $logger Logger instance.
+	 */
+	public function __construct( Logger $logger ) {
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Get the full table name with prefix.
+	 *
+	 * @return string
+	 */
+	public static function get_table_name(): string {
+		global $wpdb;
+		return $wpdb->prefix . self::TABLE_NAME;
+	}
+
+	/**
+	 * Create the journal table if it doesn't exist.
+	 *
+	 * @return bool True on success.
+	 */
+	public static function create_table(): bool {
+		global $wpdb;
+
+		$table_name      = self::get_table_name();
+		$charset_collate = $wpdb->get_charset_collate();
+
+		$sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
+			id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+			run_id VARCHAR(36) NOT NULL,
+			table_name VARCHAR(64) NOT NULL,
+			primary_key VARCHAR(64) NOT NULL,
+			row_id VARCHAR(191) NOT NULL,
+			column_name VARCHAR(64) NOT NULL,
+			original_value LONGTEXT,
+			new_value LONGTEXT,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (id),
+			INDEX idx_run_id (run_id)
+		) {$charset_collate};";
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+		dbDelta( $sql );
+
+		return true;
+	}
+
+	/**
+	 * Start recording a run.
+	 *
+	 * @param array $pairs   Pairs with search and replace, in the order applied.
+	 * @param array $options Matching options the run uses.
+	 * @return string Run ID.
+	 */
+	public function start_run( array $pairs, array $options = array() ): string {
+		$run_id = wp_generate_uuid4();
+		$runs   = $this->get_runs();
+
+		array_unshift(
+			$runs,
+			array(
+				'id'         => $run_id,
+				'pairs'      => $pairs,
+				'options'    => array(
+					'case_insensitive' => ! empty( $options['case_insensitive'] ),
+					'whole_word'       => ! empty( $options['whole_word'] ),
+					'regex'            => ! empty( $options['regex'] ),
+					'scoped'           => ! empty( array_filter( (array) ( $options['scope'] ?? array() ) ) ),
+				),
+				'status'     => self::STATUS_RUNNING,
+				'changes'    => 0,
+				'started_at' => time(),
+			)
+		);
+
+		$this->save_runs( $runs );
+
+		return $run_id;
+	}
+
+	/**
+	 * Record the cells a run changes in one row.
+	 *
+	 * @param string     $run_id      Run ID.
+	 * @param string     $table       Table name.
+	 * @param string     $primary_key Primary key column.
+	 * @param int|string $row_id      Primary key value.
+	 * @param array      $originals   Column => value before the run.
+	 * @param array      $updates     Column => value written by the run.
+	 * @return void
+	 */
+	public function record( string $run_id, string $table, string $primary_key, $row_id, array $originals, array $updates ): void {
+		global $wpdb;
+
+		foreach ( $updates as $column => $new_value ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+			$wpdb->insert(
+				self::get_table_name(),
+				array(
+					'run_id'         => $run_id,
+					'table_name'     => $table,
+					'primary_key'    => $primary_key,
+					'row_id'         => (string) $row_id,
+					'column_name'    => $column,
+					'original_value' => $originals[ $column ],
+					'new_value'      => $new_value,
+				),
+				array( '%s', '%s', '%s', '%s', '%s', '%s', '%s' )
+			);
+		}
+	}
+
+	/**
+	 * Mark a run as finished.
+	 *
+	 * @param string $run_id  Run ID.
+	 * @param int    $changes Number of cells changed.
+	 * @return void
+	 */
+	public function finish_run( string $run_id, int $changes ): void {
+		$this->update_run(
+			$run_id,
+			array(
+				'status'      => self::STATUS_COMPLETE,
+				'changes'     => $changes,
+				'finished_at' => time(),
+			)
+		);
+	}
+
+	/**
+	 * Get the run history, newest first.
+	 *
+	 * @return array Runs.
+	 */
+	public function get_runs(): array {
+		return get_option( self::RUNS_OPTION, array() );
+	}
+
+	/**
+	 * Get a single run.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return array|null Run or null if not found.
+	 */
+	public function get_run( string $run_id ): ?array {
+		foreach ( $this->get_runs() as $run ) {
+			if ( $run['id'] === $run_id ) {
+				return $run;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Undo part of a run by restoring the original value of the cells it changed.
+	 *
+	 * Journal rows are restored newest first until the time budget is used
+	 * up; call again until the result is completed. Cells that no longer
+	 * hold the value the run wrote, or whose row is gone, are left alone
+	 * and reported as skipped.
+	 *
+	 * @param string $run_id      Run ID.
+	 * @param int    $time_budget Seconds of work for this call.
+	 * @return array Result with completed, done and total journal rows, restored count and skipped cells.
+	 * @throws \RuntimeException If the run cannot be undone.
+	 */
+	public function undo( string $run_id, int $time_budget = self::UNDO_TIME_BUDGET ): array {
+		global $wpdb;
+
+		$run = $this->get_run( $run_id );
+
+		if ( null === $run ) {
+			throw new \RuntimeException( __( 'This Search & Replace run is no longer in the history.', 'swish-migrate-and-backup' ) );
+		}
+
+		if ( self::STATUS_UNDONE === $run['status'] ) {
+			throw new \RuntimeException( __( 'This Search & Replace run has already been undone.', 'swish-migrate-and-backup' ) );
+		}
+
+		if ( self::STATUS_RUNNING === $run['status'] && $run['started_at'] > time() - self::STALE_RUN_AGE ) {
+			throw new \RuntimeException( __( 'This Search & Replace run is still in progress.', 'swish-migrate-and-backup' ) );
+		}
+
+		$deadline      = microtime( true ) + $time_budget;
+		$journal_table = self::get_table_name();
+		$undo          = $run['undo'] ?? null;
+
+		if ( null === $undo ) {
+			$this->logger->info( 'Undoing search and replace run', array( 'run_id' => $run_id ) );
+
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$total = (int) $wpdb->get_var(
+				$wpdb->prepare(
+					// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+					"SELECT COUNT(*) FROM {$journal_table} WHERE run_id = %s",
+					$run_id
+				)
+			);
+
+			$undo = array(
+				'last_id'       => PHP_INT_MAX,
+				'done'          => 0,
+				'total'         => $total,
+				'restored'      => 0,
+				'skipped'       => 0,
+				'skipped_cells' => array(),
+			);
+		}
+
+		do {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$entries = $wpdb->get_results(
+				$wpdb->prepare(
+					// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+					"SELECT * FROM {$journal_table} WHERE run_id = %s AND id < %d ORDER BY id DESC LIMIT %d",
+					$run_id,
+					$undo['last_id'],
+					self::UNDO_BATCH_SIZE
+				),
+				ARRAY_A
+			);
+
+			foreach ( $entries as $entry ) {
+				$undo['last_id'] = (int) $entry['id'];
+				++$undo['done'];
+
+				if ( $this->restore_entry( $entry ) ) {
+					++$undo['restored'];
+					continue;
+				}
+
+				++$undo['skipped'];
+
+				if ( count( $undo['skipped_cells'] ) < self::MAX_SKIPPED_LISTED ) {
+					$undo['skipped_cells'][] = array(
+						'table'  => $entry['table_name'],
+						'column' => $entry['column_name'],
+						'row_id' => $entry['row_id'],
+					);
+				}
+			}
+
+			$completed = count( $entries ) < self::UNDO_BATCH_SIZE;
+		} while ( ! $completed && microtime( true ) < $deadline );
+
+		if ( ! $completed ) {
+			$this->update_run(
+				$run_id,
+				array(
+					'status' => self::STATUS_UNDOING,
+					'undo'   => $undo,
+				)
+			);
+
+			return $this->format_undo( $undo, false );
+		}
+
+		$this->delete_entries( $run_id );
+		$this->update_run(
+			$run_id,
+			array(
+				'status'    => self::STATUS_UNDONE,
+				'undo'      => null,
+				'undone_at' => time(),
+				'restored'  => $undo['restored'],
+				'skipped'   => $undo['skipped'],
+			)
+		);
+
+		$this->logger->info(
+			'Search and replace run undone',
+			array(
+				'run_id'   => $run_id,
+				'restored' => $undo['restored'],
+				'skipped'  => $undo['skipped'],
+			)
+		);
+
+		return $this->format_undo( $undo, true );
+	}
+
+	/**
+	 * Shape undo progress for the caller.
+	 *
+	 * @param array $undo      Undo state.
+	 * @param bool  $completed Whether the whole journal has been undone.
+	 * @return array Undo result.
+	 */
+	private function format_undo( array $undo, bool $completed ): array {
+		return array(
+			'success'       => true,
+			'completed'     => $completed,
+			'done'          => $undo['done'],
+			'total'         => $undo['total'],
+			'restored'      => $undo['restored'],
+			'skipped'       => $undo['skipped'],
+			'skipped_cells' => $undo['skipped_cells'],
+		);
+	}
+
+	/**
+	 * Put the original value of one journaled cell back.
+	 *
+	 * @param array $entry Journal row.
+	 * @return bool True if restored, false if the cell changed since the run.
+	 */
+	private function restore_entry( array $entry ): bool {
+		global $wpdb;
+
+		$table       = $entry['table_name'];
+		$column      = $entry['column_name'];
+		$primary_key = $entry['primary_key'];
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, PluginCheck.Security.DirectDB.UnescapedDBParameter -- Table/column names were recorded from database metadata.
+		$current = $wpdb->get_var(
+			$wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+				"SELECT `{$column}` FROM `{$table}` WHERE `{$primary_key}` = %s",
+				$entry['row_id']
+			)
+		);
+
+		if ( null === $current || $current !== $entry['new_value'] ) {
+			return false;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return false !== $wpdb->update(
+			$table,
+			array( $column => $entry['original_value'] ),
+			array( $primary_key => $entry['row_id'] )
+		);
+	}
+
+	/**
+	 * Update fields of a run.
+	 *
+	 * @param string $run_id Run ID.
+	 * @param array  $fields Fields to set.
+	 * @return void
+	 */
+	private function update_run( string $run_id, array $fields ): void {
+		$runs = $this->get_runs();
+
+		foreach ( $runs as $index => $run ) {
+			if ( $run['id'] === $run_id ) {
+				$runs[ $index ] = array_merge( $run, $fields );
+				break;
+			}
+		}
+
+		$this->save_runs( $runs );
+	}
+
+	/**
+	 * Save the run history, dropping the oldest runs and their journals.
+	 *
+	 * @param array $runs Runs, newest first.
+	 * @return void
+	 */
+	private function save_runs( array $runs ): void {
+		foreach ( array_slice( $runs, self::MAX_RUNS ) as $run ) {
+			$this->delete_entries( $run['id'] );
+		}
+
+		update_option( self::RUNS_OPTION, array_slice( $runs, 0, self::MAX_RUNS ), false );
+	}
+
+	/**
+	 * Delete the journal of a run.
+	 *
+	 * @param string $run_id Run ID.
+	 * @return void
+	 */
+	private function delete_entries( string $run_id ): void {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->delete( self::get_table_name(), array( 'run_id' => $run_id ), array( '%s' ) );
+	}
+}
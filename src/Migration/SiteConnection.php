@@ -0,0 +1,440 @@
+<?php
+/**
+ * Site Connection - Pairs two installs for site-to-site migrations.
+ *
+ * @package SwishMigrateAndBackup\Migration
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Migration;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Security\Encryption;
+
+/**
+ * Connection keys for pulling a site from another install of the plugin.
+ *
+ * The source site generates a key holding its REST URL and a secret. The
+ * destination site stores that key when it pairs and sends the secret in
+ * a header with every request to the source's remote endpoints.
+ */
+final class SiteConnection {
+
+	/**
+	 * Header carrying the connection secret.
+	 */
+	public const HEADER = 'X-Swish-Connection-Key';
+
+	/**
+	 * Prefix of encoded connection keys.
+	 */
+	private const KEY_PREFIX = 'swish-connect:';
+
+	/**
+	 * Option holding this site's encrypted secret.
+	 */
+	private const SECRET_OPTION = 'swish_backup_connection_secret';
+
+	/**
+	 * Option holding the paired source site.
+	 */
+	private const SOURCE_OPTION = 'swish_backup_pull_source';
+
+	/**
+	 * Encryption service.
+	 *
+	 * @var Encryption
+	 */
+	private Encryption $encryption;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @var Logger
+	 */
+	private Logger $logger;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Encryption $encryption Encryption service.
+	 * @param Logger     $logger     Logger instance.
+	 */
+	public function __construct( Encryption $encryption, Logger $logger ) {
+		$this->encryption = $encryption;
+		$this->logger     = $logger;
+	}
+
+	/**
+	 * Get this site's connection key.
+	 *
+	 * @return string|null Encoded key, or null if none has been generated.
+	 */
+	public function get_key(): ?string {
+		$secret = $this->get_secret();
+
+		return '' === $secret ? null : $this->encode_key( $secret );
+	}
+
+	/**
+	 * Generate a new connection key, replacing any previous one.
+	 *
+	 * @return string Encoded key.
+	 */
+	public function generate_key(): string {
+		$secret = $this->encryption->generate_token( 48 );
+
+		update_option( self::SECRET_OPTION, $this->encryption->encrypt( $secret ), false );
+
+		$this->logger->info( 'Generated site connection key' );
+
+		return $this->encode_key( $secret );
+	}
+
+	/**
+	 * Revoke this site's connection key so no site can pull from it.
+	 *
+	 * @return void
+	 */
+	public function revoke_key(): void {
+		delete_option( self::SECRET_OPTION );
+
+		$this->logger->info( 'Revoked site connection key' );
+	}
+
+	/**
+	 * Check a secret sent by a paired site.
+	 *
+	 * @param string $secret Secret from the request header.
+	 * @return bool True if it matches this site's key.
+	 */
+	public function verify_secret( string $secret ): bool {
+		$expected = $this->get_secret();
+
+		return '' !== $expected && '' !== $secret && hash_equals( $expected, $secret );
+	}
+
+	/**
+	 * Pair with a source site using its connection key.
+	 *
+	 * @param string $key Encoded connection key from the source site.
+	 * @return array Source site details.
+	 * @throws \RuntimeException If the key is invalid or the source cannot be reached.
+	 */
+	public function connect( string $key ): array {
+		$decoded = $this->decode_key( $key );
+
+		if ( null === $decoded ) {
+			throw new \RuntimeException( __( 'This is not a valid connection key. Copy it again from the Migration page of the source site.', 'swish-migrate-and-backup' ) );
+		}
+
+		if ( untrailingslashit( $decoded['url'] ) === untrailingslashit( rest_url() ) ) {
+			throw new \RuntimeException( __( 'This is the connection key of this site. Use the key of the site you want to pull from.', 'swish-migrate-and-backup' ) );
+		}
+
+		$source = array(
+			'url'    => $decoded['url'],
+			'secret' => $decoded['secret'],
+		);
+
+		$info = $this->send( $source, 'POST', '/remote/handshake' );
+
+		update_option(
+			self::SOURCE_OPTION,
+			array(
+				'url'       => $source['url'],
+				'secret'    => $this->encryption->encrypt( $source['secret'] ),
+				'site_url'  => esc_url_raw( $info['site_url'] ?? '' ),
+				'name'      => sanitize_text_field( $info['name'] ?? '' ),
+				'paired_at' => time(),
+			),
+			false
+		);
+
+		$this->logger->info( 'Paired with source site', array( 'site' => $info['site_url'] ?? '' ) );
+
+		return $this->get_source();
+	}
+
+	/**
+	 * Get the paired source site.
+	 *
+	 * @return array|null Source details without the secret, or null if not paired.
+	 */
+	public function get_source(): ?array {
+		$source = get_option( self::SOURCE_OPTION );
+
+		if ( ! is_array( $source ) || empty( $source['url'] ) ) {
+			return null;
+		}
+
+		return array(
+			'site_url'  => $source['site_url'],
+			'name'      => $source['name'],
+			'paired_at' => $source['paired_at'],
+		);
+	}
+
+	/**
+	 * Forget the paired source site.
+	 *
+	 * @return void
+	 */
+	public function disconnect(): void {
+		delete_option( self::SOURCE_OPTION );
+	}
+
+	/**
+	 * Send a request to the paired source site.
+	 *
+	 * @param string $method HTTP method.
+	 * @param string $path   Route below the plugin namespace, e.g. /remote/backup.
+	 * @param array  $data   Request body.
+	 * @return array Decoded response.
+	 * @throws \RuntimeException If not paired or the request fails.
+	 */
+	public function request( string $method, string $path, array $data = array() ): array {
+		return $this->send( $this->get_paired_source(), $method, $path, $data );
+	}
+
+	/**
+	 * Get the URL of a route on the paired source site.
+	 *
+	 * @param string $path Route below the plugin namespace.
+	 * @return string URL.
+	 * @throws \RuntimeException If not paired.
+	 */
+	public function get_remote_url( string $path ): string {
+		return $this->build_url( $this->get_paired_source()['url'], $path );
+	}
+
+	/**
+	 * Get the headers that authenticate requests to the paired source site.
+	 *
+	 * @return array Headers.
+	 * @throws \RuntimeException If not paired.
+	 */
+	public function get_auth_headers(): array {
+		return array( self::HEADER => $this->get_paired_source()['secret'] );
+	}
+
+	/**
+	 * Let HTTP requests reach the paired source site even on a private network.
+	 *
+	 * Hooked to http_request_host_is_external, so downloads from a source
+	 * on the same machine or LAN pass the safe request checks.
+	 *
+	 * @param bool   $external Whether the host is considered external.
+	 * @param string $host     Requested host.
+	 * @return bool
+	 */
+	public function allow_source_host( $external, $host ): bool {
+		return $external || ( '' !== $host && $host === $this->get_source_host() );
+	}
+
+	/**
+	 * Allow the port of the paired source site in safe HTTP requests.
+	 *
+	 * Hooked to http_allowed_safe_ports.
+	 *
+	 * @param array  $ports Allowed ports.
+	 * @param string $host  Requested host.
+	 * @return array
+	 */
+	public function allow_source_port( $ports, $host ): array {
+		$ports = (array) $ports;
+		$url   = $this->get_source_url();
+
+		if ( '' !== $url && $host === $this->get_source_host() ) {
+			$port = wp_parse_url( $url, PHP_URL_PORT );
+
+			if ( $port ) {
+				$ports[] = (int) $port;
+			}
+		}
+
+		return $ports;
+	}
+
+	/**
+	 * Send an authenticated request to a source site.
+	 *
+	 * @param array  $source Source with url and plain secret.
+	 * @param string $method HTTP method.
+	 * @param string $path   Route below the plugin namespace.
+	 * @param array  $data   Request body.
+	 * @return array Decoded response.
+	 * @throws \RuntimeException If the request fails.
+	 */
+	private function send( array $source, string $method, string $path, array $data = array() ): array {
+		$response = wp_remote_request(
+			$this->build_url( $source['url'], $path ),
+			array(
+				'method'      => $method,
+				'timeout'     => 60,
+				// A redirect would forward the connection key to wherever it points.
+				'redirection' => 0,
+				'headers'     => array(
+					self::HEADER   => $source['secret'],
+					'Content-Type' => 'application/json',
+				),
+				'body'        => $data ? wp_json_encode( $data ) : null,
+			)
+		);
+
+		if ( is_wp_error( $response ) ) {
+			throw new \RuntimeException(
+				sprintf(
+					/* translators: %s: error message. */
+					__( 'Could not reach the source site: %s', 'swish-migrate-and-backup' ),
+					$response->get_error_message()
+				)
+			);
+		}
+
+		$code = wp_remote_retrieve_response_code( $response );
+		$body = json_decode( wp_remote_retrieve_body( $response ), true );
+
+		if ( 401 === $code || 403 === $code ) {
+			throw new \RuntimeException( __( 'The source site rejected the connection key. Generate a new key on the source site and connect again.', 'swish-migrate-and-backup' ) );
+		}
+
+		if ( 404 === $code && ( $body['code'] ?? '' ) === 'rest_no_route' ) {
+			throw new \RuntimeException( __( 'The source site does not support site-to-site migration. Update Swish Migrate and Backup on the source site.', 'swish-migrate-and-backup' ) );
+		}
+
+		if ( $code < 200 || $code >= 300 || ! is_array( $body ) ) {
+			throw new \RuntimeException(
+				$body['message'] ?? sprintf(
+					/* translators: %d: HTTP status code. */
+					__( 'The source site returned HTTP %d.', 'swish-migrate-and-backup' ),
+					$code
+				)
+			);
+		}
+
+		return $body;
+	}
+
+	/**
+	 * Get the paired source site with its decrypted secret.
+	 *
+	 * @return array Source with url and secret.
+	 * @throws \RuntimeException If not paired.
+	 */
+	private function get_paired_source(): array {
+		$source = get_option( self::SOURCE_OPTION );
+
+		if ( ! is_array( $source ) || empty( $source['url'] ) ) {
+			throw new \RuntimeException( __( 'This site is not connected to a source site.', 'swish-migrate-and-backup' ) );
+		}
+
+		return array(
+			'url'    => $source['url'],
+			'secret' => $this->encryption->decrypt( $source['secret'] ),
+		);
+	}
+
+	/**
+	 * Get the REST URL of the paired source site.
+	 *
+	 * @return string URL, or an empty string if not paired.
+	 */
+	private function get_source_url(): string {
+		$source = get_option( self::SOURCE_OPTION );
+
+		return is_array( $source ) && ! empty( $source['url'] ) ? $source['url'] : '';
+	}
+
+	/**
+	 * Get the host name of the paired source site.
+	 *
+	 * @return string Host, or an empty string if not paired.
+	 */
+	private function get_source_host(): string {
+		$url = $this->get_source_url();
+
+		return '' === $url ? '' : (string) wp_parse_url( $url, PHP_URL_HOST );
+	}
+
+	/**
+	 * Build the URL of a plugin route from a REST root.
+	 *
+	 * The root ends in either /wp-json/ or ?rest_route=/, so the route is
+	 * appended to it as a string.
+	 *
+	 * @param string $root REST root URL.
+	 * @param string $path Route below the plugin namespace.
+	 * @return string URL.
+	 */
+	private function build_url( string $root, string $path ): string {
+		return $root . 'swish-backup/v1' . $path;
+	}
+
+	/**
+	 * Get this site's plain secret.
+	 *
+	 * @return string Secret, or an empty string if no key exists.
+	 */
+	private function get_secret(): string {
+		$stored = get_option( self::SECRET_OPTION );
+
+		return $stored ? $this->encryption->decrypt( (string) $stored ) : '';
+	}
+
+	/**
+	 * Encode this site's REST root and a secret into a connection key.
+	 *
+	 * @param string $secret Secret.
+	 * @return string Encoded key.
+	 */
+	private function encode_key( string $secret ): string {
+		$payload = wp_json_encode(
+			array(
+				'url'    => rest_url(),
+				'secret' => $secret,
+			)
+		);
+
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
+		return self::KEY_PREFIX . strtr( base64_encode( (string) $payload ), '+/', '-_' );
+	}
+
+	/**
+	 * Decode a connection key.
+	 *
+	 * @param string $key Encoded key.
+	 * @return array|null Array with url and secret, or null if invalid.
+	 */
+	private function decode_key( string $key ): ?array {
+		$key = trim( $key );
+
+		if ( 0 !== strpos( $key, self::KEY_PREFIX ) ) {
+			return null;
+		}
+
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_decode
+		$payload = base64_decode( strtr( substr( $key, strlen( self::KEY_PREFIX ) ), '-_', '+/' ), true );
+		$data    = is_string( $payload ) ? json_decode( $payload, true ) : null;
+
+		if ( ! is_array( $data ) || empty( $data['secret'] ) || ! is_string( $data['secret'] ) || empty( $data['url'] ) ) {
+			return null;
+		}
+
+		// Sites on a local network or a custom port are allowed, so only the scheme is checked.
+		if ( ! in_array( wp_parse_url( (string) $data['url'], PHP_URL_SCHEME ), array( 'http', 'https' ), true ) ) {
+			return null;
+		}
+
+		return array(
+			'url'    => esc_url_raw( $data['url'] ),
+			'secret' => $data['secret'],
+		);
+	}
+}
@@ -0,0 +1,287 @@
+<?php
+/**
+ * Cron Expression.
+ *
+ * @package SwishMigrateAndBackup\Queue
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Queue;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use InvalidArgumentException;
+
+/**
+ * A five-field cron expression: minute, hour, day of month, month and day of week.
+ *
+ * Fields take `*`, single values, ranges (`1-5`), lists (`1,15`) and steps
+ * (`*\/15`, `9-17/2`); months and weekdays may be given by their three-letter
+ * English names. As in standard cron, when both the day of month and the day
+ * of week are restricted, a time matches if either does; a field starting
+ * with `*`, such as `*\/2`, does not count as restricted. The `@hourly`,
+ * `@daily`, `@weekly`, `@monthly` and `@yearly` shorthands are accepted.
+ */
+final class CronExpression {
+
+	/**
+	 * Shorthands and the expressions they stand for.
+	 */
+	private const MACROS = array(
+		'@yearly'   => '0 0 1 1 *',
+		'@annually' => '0 0 1 1 *',
+		'@monthly'  => '0 0 1 * *',
+		'@weekly'   => '0 0 * * 0',
+		'@daily'    => '0 0 * * *',
+		'@midnight' => '0 0 * * *',
+		'@hourly'   => '0 * * * *',
+	);
+
+	/**
+	 * Lowest and highest value of each field. Day of week allows 7 for Sunday.
+	 */
+	private const RANGES = array(
+		array( 0, 59 ),
+		array( 0, 23 ),
+		array( 1, 31 ),
+		array( 1, 12 ),
+		array( 0, 7 ),
+	);
+
+	/**
+	 * Names accepted in the month and day of week fields.
+	 */
+	private const NAMES = array(
+		3 => array( 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec' ),
+		4 => array( 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ),
+	);
+
+	/**
+	 * Years searched for a matching time before giving up, for expressions
+	 * such as `0 0 30 2 *` that never match.
+	 */
+	private const MAX_YEARS = 5;
+
+	/**
+	 * The expression as given.
+	 *
+	 * @var string
+	 */
+	private string $expression;
+
+	/**
+	 * Allowed values of each field, as value => true.
+	 *
+	 * @var array
+	 */
+	private array $fields = array();
+
+	/**
+	 * Whether the day of month field starts with `*`.
+	 *
+	 * @var bool
+	 */
+	private bool $any_day_of_month;
+
+	/**
+	 * Whether the day of week field starts with `*`.
+	 *
+	 * @var bool
+	 */
+	private bool $any_day_of_week;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param string $expression Cron expression.
+	 * @throws InvalidArgumentException If the expression is not valid.
+	 */
+	public function __construct( string $expression ) {
+		$this->expression = trim( $expression );
+
+		$normalized = self::MACROS[ strtolower( $this->expression ) ] ?? $this->expression;
+		$parts      = preg_split( '/\s+/', $normalized );
+
+		if ( 5 !== count( $parts ) ) {
+			throw new InvalidArgumentException(
+				esc_html__( 'A cron expression needs five fields: minute, hour, day of month, month and day of week.', 'swish-migrate-and-backup' )
+			);
+		}
+
+		foreach ( $parts as $index => $part ) {
+			$this->fields[ $index ] = $this->parse_field( strtolower( $part ), $index );
+		}
+
+		// Sunday may be written as 0 or 7.
+		if ( isset( $this->fields[4][7] ) ) {
+			$this->fields[4][0] = true;
+			unset( $this->fields[4][7] );
+		}
+
+		// Like cron, `*/2` leaves the field unrestricted for the either-day rule.
+		$this->any_day_of_month = str_starts_with( $parts[2], '*' );
+		$this->any_day_of_week  = str_starts_with( $parts[4], '*' );
+	}
+
+	/**
+	 * Get the expression as given.
+	 *
+	 * @return string
+	 */
+	public function get_expression(): string {
+		return $this->expression;
+	}
+
+	/**
+	 * Get the first matching time after a given time.
+	 *
+	 * The search runs in the time zone of $after, so an expression for
+	 * 03:15 matches 03:15 local time across daylight saving changes.
+	 *
+	 * @param \DateTimeImmutable $after Time to search from (exclusive).
+	 * @return \DateTimeImmutable|null Next matching time, or null if none within MAX_YEARS.
+	 */
+	public function get_next_run( \DateTimeImmutable $after ): ?\DateTimeImmutable {
+		$time     = $after->setTime( (int) $after->format( 'G' ), (int) $after->format( 'i' ) )->modify( '+1 minute' );
+		$max_year = (int) $after->format( 'Y' ) + self::MAX_YEARS;
+
+		while ( (int) $time->format( 'Y' ) <= $max_year ) {
+			if ( ! isset( $this->fields[3][ (int) $time->format( 'n' ) ] ) ) {
+				$time = $time->setDate( (int) $time->format( 'Y' ), (int) $time->format( 'n' ) + 1, 1 )->setTime( 0, 0 );
+				continue;
+			}
+
+			if ( ! $this->matches_day( $time ) ) {
+				$time = $time->setTime( 0, 0 )->modify( '+1 day' );
+				continue;
+			}
+
+			if ( ! isset( $this->fields[1][ (int) $time->format( 'G' ) ] ) ) {
+				$next = $time->setTime( (int) $time->format( 'G' ) + 1, 0 );
+
+				// Leaving the repeated hour at the end of daylight saving time.
+				$time = $next > $time ? $next : $time->modify( '+1 hour' );
+				continue;
+			}
+
+			if ( ! isset( $this->fields[0][ (int) $time->format( 'i' ) ] ) ) {
+				$time = $time->modify( '+1 minute' );
+				continue;
+			}
+
+			return $time;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check whether a day matches the day of month and day of week fields.
+	 *
+	 * @param \DateTimeImmutable $time Time on the day.
+	 * @return bool
+	 */
+	private function matches_day( \DateTimeImmutable $time ): bool {
+		$day_of_month = isset( $this->fields[2][ (int) $time->format( 'j' ) ] );
+		$day_of_week  = isset( $this->fields[4][ (int) $time->format( 'w' ) ] );
+
+		if ( $this->any_day_of_month || $this->any_day_of_week ) {
+			return $day_of_month && $day_of_week;
+		}
+
+		return $day_of_month || $day_of_week;
+	}
+
+	/**
+	 * Parse one field into the values it allows.
+	 *
+	 * @param string $field Field text.
+	 * @param int    $index Field position.
+	 * @return array Allowed values as value => true.
+	 * @throws InvalidArgumentException If the field is not valid.
+	 */
+	private function parse_field( string $field, int $index ): array {
+		list( $min, $max ) = self::RANGES[ $index ];
+		$values            = array();
+
+		foreach ( explode( ',', $field ) as $item ) {
+			if ( ! preg_match( '/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/', $item, $match ) ) {
+				throw $this->invalid_field( $field, $index );
+			}
+
+			$step = isset( $match[2] ) ? (int) $match[2] : 1;
+
+			if ( '*' === $match[1] ) {
+				$start = $min;
+				$end   = $max;
+			} else {
+				$bounds = explode( '-', $match[1] );
+				$start  = $this->parse_value( $bounds[0], $index );
+				$end    = isset( $bounds[1] ) ? $this->parse_value( $bounds[1], $index ) : ( isset( $match[2] ) ? $max : $start );
+			}
+
+			if ( $step < 1 || $start < $min || $end > $max || $start > $end ) {
+				throw $this->invalid_field( $field, $index );
+			}
+
+			for ( $value = $start; $value <= $end; $value += $step ) {
+				$values[ $value ] = true;
+			}
+		}
+
+		return $values;
+	}
+
+	/**
+	 * Parse a single value, which may be a month or weekday name.
+	 *
+	 * @param string $value Value text.
+	 * @param int    $index Field position.
+	 * @return int Value.
+	 * @throws InvalidArgumentException If the value is not a number or known name.
+	 */
+	private function parse_value( string $value, int $index ): int {
+		if ( ctype_digit( $value ) ) {
+			return (int) $value;
+		}
+
+		$position = array_search( $value, self::NAMES[ $index ] ?? array(), true );
+
+		if ( false === $position ) {
+			throw $this->invalid_field( $value, $index );
+		}
+
+		// Months count from 1, weekdays from 0.
+		return 3 === $index ? $position + 1 : $position;
+	}
+
+	/**
+	 * Build the error for an invalid field.
+	 *
+	 * @param string $field Field text.
+	 * @param int    $index Field position.
+	 * @return InvalidArgumentException
+	 */
+	private function invalid_field( string $field, int $index ): InvalidArgumentException {
+		$names = array(
+			__( 'minute', 'swish-migrate-and-backup' ),
+			__( 'hour', 'swish-migrate-and-backup' ),
+			__( 'day of month', 'swish-migrate-and-backup' ),
+			__( 'month', 'swish-migrate-and-backup' ),
+			__( 'day of week', 'swish-migrate-and-backup' ),
+		);
+
+		return new InvalidArgumentException(
+			sprintf(
+				/* translators: 1: field value, 2: field name. */
+				esc_html__( '%1$s is not a valid %2$s field.', 'swish-migrate-and-backup' ),
+				esc_html( $field ),
+				esc_html( $names[ $index ] )
+			)
+		);
+	}
+}
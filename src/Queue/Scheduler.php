@@ -14,14 +14,61 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
+use InvalidArgumentException;
 use SwishMigrateAndBackup\Backup\BackupManager;
 use SwishMigrateAndBackup\Logger\Logger;
 
 /**
  * Handles scheduled backup operations.
+ *
+ * Schedules either repeat at a fixed frequency, using WordPress cron
+ * recurrences, or follow a cron expression in a time zone of their own.
+ * Cron expression schedules run as single events, each queueing the next,
+ * and never run inside their blackout windows.
  */
 final class Scheduler {
 
+	/**
+	 * Frequency of schedules that follow a cron expression.
+	 */
+	public const FREQUENCY_CRON = 'cron';
+
+	/**
+	 * Fixed frequencies and the time between their runs.
+	 */
+	private const INTERVALS = array(
+		'hourly'     => '+1 hour',
+		'twicedaily' => '+12 hours',
+		'daily'      => '+1 day',
+		'weekly'     => '+1 week',
+		'monthly'    => '+1 month',
+	);
+
+	/**
+	 * Cron matches passed over for falling in a blackout window before
+	 * the search for the next run gives up.
+	 */
+	private const MAX_BLACKOUT_SKIPS = 10000;
+
+	/**
+	 * Option holding the run history of every schedule, keyed by schedule ID.
+	 */
+	private const RUNS_OPTION = 'swish_backup_schedule_runs';
+
+	/**
+	 * Runs kept in the history of each schedule.
+	 */
+	private const MAX_RUNS = 20;
+
+	/**
+	 * Run statuses.
+	 */
+	public const RUN_RUNNING   = 'running';
+	public const RUN_COMPLETED = 'completed';
+	public const RUN_FAILED    = 'failed';
+	public const RUN_CANCELLED = 'cancelled';
+	public const RUN_SKIPPED   = 'skipped';
+
 	/**
 	 * Backup manager.
 	 *
@@ -50,27 +97,37 @@ final class Scheduler {
 	/**
 	 * Create a new schedule.
 	 *
+	 * Cron expression schedules take `cron_expression`, `timezone` and
+	 * `blackout_windows` in the `options` array.
+	 *
 	 * @param array $data Schedule data.
 	 * @return int|false Schedule ID or false on failure.
+	 * @throws InvalidArgumentException If the cron options are not valid.
 	 */
 	public function create_schedule( array $data ) {
 		global $wpdb;
 
-		$table = $wpdb->prefix . 'swish_backup_schedules';
+		$table     = $wpdb->prefix . 'swish_backup_schedules';
+		$frequency = sanitize_text_field( $data['frequency'] ?? 'daily' );
+		$options   = (array) ( $data['options'] ?? array() );
+
+		if ( self::FREQUENCY_CRON === $frequency ) {
+			$options = $this->normalize_cron_options( $options );
+		}
 
 		$schedule = array(
 			'name'                 => sanitize_text_field( $data['name'] ?? '' ),
-			'frequency'            => sanitize_text_field( $data['frequency'] ?? 'daily' ),
+			'frequency'            => $frequency,
 			'backup_type'          => sanitize_text_field( $data['backup_type'] ?? 'full' ),
 			'storage_destinations' => wp_json_encode( $data['storage_destinations'] ?? array( 'local' ) ),
 			'retention_count'      => absint( $data['retention_count'] ?? 5 ),
 			'is_active'            => 1,
-			'options'              => wp_json_encode( $data['options'] ?? array() ),
+			'options'              => wp_json_encode( $options ),
 			'created_at'           => current_time( 'mysql', true ),
 		);
 
 		// Calculate next run time.
-		$schedule['next_run'] = $this->calculate_next_run( $schedule['frequency'] );
+		$schedule['next_run'] = $this->calculate_next_run( $frequency, $options );
 
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
 		$result = $wpdb->insert( $table, $schedule );
@@ -82,7 +139,9 @@ final class Scheduler {
 		$schedule_id = $wpdb->insert_id;
 
 		// Schedule the cron event.
-		$this->schedule_cron_event( $schedule_id, $schedule['frequency'], strtotime( $schedule['next_run'] ) );
+		if ( $schedule['next_run'] ) {
+			$this->schedule_cron_event( $schedule_id, $frequency, strtotime( $schedule['next_run'] ) );
+		}
 
 		$this->logger->info( 'Schedule created', array(
 			'schedule_id' => $schedule_id,
@@ -95,23 +154,44 @@ final class Scheduler {
 	/**
 	 * Update a schedule.
 	 *
+	 * Options given are merged into the stored ones. Changing the frequency
+	 * or options recalculates the next run.
+	 *
 	 * @param int   $schedule_id Schedule ID.
 	 * @param array $data        Schedule data.
 	 * @return bool True if updated.
+	 * @throws InvalidArgumentException If the cron options are not valid.
 	 */
 	public function update_schedule( int $schedule_id, array $data ): bool {
 		global $wpdb;
 
 		$table = $wpdb->prefix . 'swish_backup_schedules';
 
+		$current = $this->get_schedule( $schedule_id );
+
+		if ( ! $current ) {
+			return false;
+		}
+
 		$update = array();
 
 		if ( isset( $data['name'] ) ) {
 			$update['name'] = sanitize_text_field( $data['name'] );
 		}
-		if ( isset( $data['frequency'] ) ) {
-			$update['frequency'] = sanitize_text_field( $data['frequency'] );
-			$update['next_run'] = $this->calculate_next_run( $update['frequency'] );
+		if ( isset( $data['frequency'] ) || isset( $data['options'] ) ) {
+			$frequency = sanitize_text_field( $data['frequency'] ?? $current['frequency'] );
+			$options   = array_merge( (array) $current['options'], (array) ( $data['options'] ?? array() ) );
+
+			if ( self::FREQUENCY_CRON === $frequency ) {
+				$options = $this->normalize_cron_options( $options );
+			}
+
+			// Saving unchanged timing keeps the run that is already due.
+			if ( $frequency !== $current['frequency'] || $options != (array) $current['options'] ) { // phpcs:ignore Universal.Operators.StrictComparisons.LooseNotEqual -- Key order may differ.
+				$update['frequency'] = $frequency;
+				$update['options']   = wp_json_encode( $options );
+				$update['next_run']  = $this->calculate_next_run( $frequency, $options );
+			}
 		}
 		if ( isset( $data['backup_type'] ) ) {
 			$update['backup_type'] = sanitize_text_field( $data['backup_type'] );
@@ -137,10 +217,10 @@ final class Scheduler {
 			return false;
 		}
 
-		// Reschedule cron if frequency changed.
+		// Reschedule cron if the timing changed, unless the schedule is paused.
 		if ( isset( $update['frequency'] ) ) {
 			$this->unschedule_cron_event( $schedule_id );
-			if ( $update['is_active'] ?? true ) {
+			if ( ( $update['is_active'] ?? $current['is_active'] ) && $update['next_run'] ) {
 				$this->schedule_cron_event( $schedule_id, $update['frequency'], strtotime( $update['next_run'] ) );
 			}
 		}
@@ -162,6 +242,10 @@ final class Scheduler {
 		// Unschedule cron event.
 		$this->unschedule_cron_event( $schedule_id );
 
+		$runs = get_option( self::RUNS_OPTION, array() );
+		unset( $runs[ $schedule_id ] );
+		update_option( self::RUNS_OPTION, $runs, false );
+
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 		$result = $wpdb->delete( $table, array( 'id' => $schedule_id ) );
 
@@ -222,6 +306,7 @@ final class Scheduler {
 		$schedule['storage_destinations'] = json_decode( $schedule['storage_destinations'], true );
 		$schedule['options'] = json_decode( $schedule['options'], true );
 		$schedule['is_active'] = (bool) $schedule['is_active'];
+		$schedule['retention_count'] = (int) $schedule['retention_count'];
 
 		return $schedule;
 	}
@@ -244,6 +329,28 @@ final class Scheduler {
 			return false;
 		}
 
+		// WordPress cron runs late on quiet sites; never start inside a blackout window.
+		if ( self::FREQUENCY_CRON === $schedule['frequency'] && $this->is_blacked_out( time(), (array) $schedule['options'] ) ) {
+			$this->logger->info( 'Scheduled backup skipped during blackout window', array(
+				'schedule_id'   => $schedule['id'],
+				'schedule_name' => $schedule['name'],
+			) );
+
+			$this->update_after_run( $schedule, false );
+
+			$this->add_run(
+				(int) $schedule['id'],
+				array(
+					'trigger'     => 'scheduled',
+					'status'      => self::RUN_SKIPPED,
+					'message'     => __( 'Skipped: inside a blackout window.', 'swish-migrate-and-backup' ),
+					'finished_at' => time(),
+				)
+			);
+
+			return false;
+		}
+
 		$this->logger->info( 'Running scheduled backup', array(
 			'schedule_id'   => $schedule['id'],
 			'schedule_name' => $schedule['name'],
@@ -253,6 +360,8 @@ final class Scheduler {
 			'storage_destinations' => $schedule['storage_destinations'],
 		);
 
+		$started_at = time();
+
 		// Run the appropriate backup type.
 		$result = match ( $schedule['backup_type'] ) {
 			'database' => $this->backup_manager->create_database_backup( $options ),
@@ -260,13 +369,196 @@ final class Scheduler {
 			default    => $this->backup_manager->create_full_backup( $options ),
 		};
 
+		$succeeded = null !== $result && ! isset( $result['error'] );
+
 		// Update last run time and calculate next run.
-		$this->update_after_run( (int) $schedule['id'], $schedule['frequency'] );
+		$this->update_after_run( $schedule );
+
+		$this->add_run(
+			(int) $schedule['id'],
+			array(
+				'job_id'      => $result['job_id'] ?? '',
+				'trigger'     => 'scheduled',
+				'status'      => $succeeded ? self::RUN_COMPLETED : self::RUN_FAILED,
+				'message'     => $result['error'] ?? '',
+				'started_at'  => $started_at,
+				'finished_at' => time(),
+			)
+		);
 
 		// Apply retention policy.
 		$this->backup_manager->apply_retention_policy( $schedule['retention_count'] );
 
-		return null !== $result;
+		return $succeeded;
+	}
+
+	/**
+	 * Start a run of a schedule from the dashboard.
+	 *
+	 * The backup is the one WordPress cron makes for the schedule, database
+	 * included for full backups, but runs as an async job the dashboard
+	 * polls. handle_async_backup() records how the run ended.
+	 *
+	 * @param array $schedule Schedule.
+	 * @return array Job start data with job_id.
+	 */
+	public function run_now( array $schedule ): array {
+		$settings = get_option( 'swish_backup_settings', array() );
+
+		$result = $this->backup_manager->start_async_backup(
+			array(
+				'type'                 => $schedule['backup_type'],
+				'storage_destinations' => $schedule['storage_destinations'],
+				'db_batch_size'        => $settings['db_batch_size'] ?? 200,
+				'file_batch_size'      => $settings['file_batch_size'] ?? 50,
+				'schedule_id'          => (int) $schedule['id'],
+			)
+		);
+
+		$this->start_run( (int) $schedule['id'], $result['job_id'] );
+
+		return $result;
+	}
+
+	/**
+	 * Record a run started from the dashboard.
+	 *
+	 * @param int    $schedule_id Schedule ID.
+	 * @param string $job_id      Backup job ID.
+	 * @return void
+	 */
+	private function start_run( int $schedule_id, string $job_id ): void {
+		$this->add_run(
+			$schedule_id,
+			array(
+				'job_id'  => $job_id,
+				'trigger' => 'manual',
+				'status'  => self::RUN_RUNNING,
+			)
+		);
+	}
+
+	/**
+	 * Record how a run started from the dashboard ended.
+	 *
+	 * A completed run counts as the schedule's last run and applies its
+	 * retention, as a run from WordPress cron does. The next run is left
+	 * as it was.
+	 *
+	 * @param int    $schedule_id Schedule ID.
+	 * @param string $job_id      Backup job ID.
+	 * @param string $status      One of the RUN_* statuses.
+	 * @param string $message     Error or detail to show with the run.
+	 * @return void
+	 */
+	private function finish_run( int $schedule_id, string $job_id, string $status, string $message = '' ): void {
+		$runs  = get_option( self::RUNS_OPTION, array() );
+		$found = false;
+
+		foreach ( $runs[ $schedule_id ] ?? array() as $index => $run ) {
+			if ( $run['job_id'] === $job_id ) {
+				$runs[ $schedule_id ][ $index ] = array_merge(
+					$run,
+					array(
+						'status'      => $status,
+						'message'     => $message,
+						'finished_at' => time(),
+					)
+				);
+				$found = true;
+				break;
+			}
+		}
+
+		if ( ! $found ) {
+			return;
+		}
+
+		update_option( self::RUNS_OPTION, $runs, false );
+
+		$schedule = $this->get_schedule( $schedule_id );
+
+		if ( ! $schedule || self::RUN_COMPLETED !== $status ) {
+			return;
+		}
+
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->update(
+			$wpdb->prefix . 'swish_backup_schedules',
+			array( 'last_run' => current_time( 'mysql', true ) ),
+			array( 'id' => $schedule_id )
+		);
+
+		$this->backup_manager->apply_retention_policy( $schedule['retention_count'] );
+	}
+
+	/**
+	 * Record how a run started from the dashboard ended.
+	 *
+	 * Hooked to swish_backup_async_processed, which the backup manager
+	 * fires once the async job has ended.
+	 *
+	 * @param string $job_id  Backup job ID.
+	 * @param array  $result  Backup result, with `error` if it failed.
+	 * @param array  $options Backup options, with `schedule_id` for schedule runs.
+	 * @return void
+	 */
+	public function handle_async_backup( string $job_id, array $result, array $options ): void {
+		if ( empty( $options['schedule_id'] ) ) {
+			return;
+		}
+
+		$this->finish_run(
+			(int) $options['schedule_id'],
+			$job_id,
+			isset( $result['error'] ) ? self::RUN_FAILED : self::RUN_COMPLETED,
+			$result['error'] ?? ''
+		);
+	}
+
+	/**
+	 * Get the run history of a schedule, newest first.
+	 *
+	 * @param int $schedule_id Schedule ID.
+	 * @return array Runs with job_id, trigger, status, message, started_at and finished_at.
+	 */
+	public function get_runs( int $schedule_id ): array {
+		$runs = get_option( self::RUNS_OPTION, array() );
+
+		return $runs[ $schedule_id ] ?? array();
+	}
+
+	/**
+	 * Add a run to the front of a schedule's history.
+	 *
+	 * @param int   $schedule_id Schedule ID.
+	 * @param array $run         Run data.
+	 * @return void
+	 */
+	private function add_run( int $schedule_id, array $run ): void {
+		$runs                 = get_option( self::RUNS_OPTION, array() );
+		$runs[ $schedule_id ] = $runs[ $schedule_id ] ?? array();
+
+		array_unshift(
+			$runs[ $schedule_id ],
+			array_merge(
+				array(
+					'job_id'      => '',
+					'trigger'     => 'scheduled',
+					'status'      => self::RUN_RUNNING,
+					'message'     => '',
+					'started_at'  => time(),
+					'finished_at' => null,
+				),
+				$run
+			)
+		);
+
+		$runs[ $schedule_id ] = array_slice( $runs[ $schedule_id ], 0, self::MAX_RUNS );
+
+		update_option( self::RUNS_OPTION, $runs, false );
 	}
 
 	/**
@@ -303,22 +595,44 @@ final class Scheduler {
 	/**
 	 * Update schedule after a run.
 	 *
-	 * @param int    $schedule_id Schedule ID.
-	 * @param string $frequency   Frequency.
+	 * @param array $schedule Schedule data.
+	 * @param bool  $ran      Whether a backup ran, rather than being skipped.
 	 * @return void
 	 */
-	private function update_after_run( int $schedule_id, string $frequency ): void {
+	private function update_after_run( array $schedule, bool $ran = true ): void {
 		global $wpdb;
 
-		$table = $wpdb->prefix . 'swish_backup_schedules';
+		$table    = $wpdb->prefix . 'swish_backup_schedules';
+		$next_run = $this->calculate_next_run( $schedule['frequency'], (array) $schedule['options'] );
+		$update   = array( 'next_run' => $next_run );
+
+		if ( $ran ) {
+			$update['last_run'] = current_time( 'mysql', true );
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->update( $table, $update, array( 'id' => $schedule['id'] ) );
+
+		// Cron expression schedules run as single events, so queue the next one.
+		if ( self::FREQUENCY_CRON === $schedule['frequency'] && $next_run ) {
+			$this->schedule_cron_event( (int) $schedule['id'], $schedule['frequency'], strtotime( $next_run ) );
+		}
+	}
+
+	/**
+	 * Set when a schedule runs next.
+	 *
+	 * @param int         $schedule_id Schedule ID.
+	 * @param string|null $next_run    Next run datetime, or null for none.
+	 * @return void
+	 */
+	private function update_next_run( int $schedule_id, ?string $next_run ): void {
+		global $wpdb;
 
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 		$wpdb->update(
-			$table,
-			array(
-				'last_run' => current_time( 'mysql', true ),
-				'next_run' => $this->calculate_next_run( $frequency ),
-			),
+			$wpdb->prefix . 'swish_backup_schedules',
+			array( 'next_run' => $next_run ),
 			array( 'id' => $schedule_id )
 		);
 	}
@@ -327,21 +641,208 @@ final class Scheduler {
 	 * Calculate the next run time based on frequency.
 	 *
 	 * @param string $frequency Frequency.
-	 * @return string Next run datetime.
-	 */
-	private function calculate_next_run( string $frequency ): string {
-		$intervals = array(
-			'hourly'     => '+1 hour',
-			'twicedaily' => '+12 hours',
-			'daily'      => '+1 day',
-			'weekly'     => '+1 week',
-			'monthly'    => '+1 month',
-		);
+	 * @param array  $options   Schedule options, holding the cron settings.
+	 * @return string|null Next run datetime, or null if a cron expression never matches.
+	 */
+	private function calculate_next_run( string $frequency, array $options = array() ): ?string {
+		if ( self::FREQUENCY_CRON === $frequency ) {
+			$runs = $this->get_cron_runs( $options, time(), 1 );
+			return $runs ? gmdate( 'Y-m-d H:i:s', $runs[0] ) : null;
+		}
 
-		$interval = $intervals[ $frequency ] ?? '+1 day';
+		$interval = self::INTERVALS[ $frequency ] ?? '+1 day';
 		return gmdate( 'Y-m-d H:i:s', strtotime( $interval ) );
 	}
 
+	/**
+	 * Get the times a schedule would run next, without saving it.
+	 *
+	 * @param string $frequency Frequency.
+	 * @param array  $options   Schedule options, holding the cron settings.
+	 * @param int    $count     Number of runs.
+	 * @return array Run timestamps.
+	 * @throws InvalidArgumentException If the cron options are not valid.
+	 */
+	public function get_upcoming_runs( string $frequency, array $options, int $count = 10 ): array {
+		if ( self::FREQUENCY_CRON === $frequency ) {
+			return $this->get_cron_runs( $this->normalize_cron_options( $options ), time(), $count );
+		}
+
+		$interval = self::INTERVALS[ $frequency ] ?? '+1 day';
+		$time     = time();
+		$runs     = array();
+
+		for ( $i = 0; $i < $count; $i++ ) {
+			$time   = strtotime( $interval, $time );
+			$runs[] = $time;
+		}
+
+		return $runs;
+	}
+
+	/**
+	 * Get the next matches of a cron expression outside the blackout windows.
+	 *
+	 * @param array $options Normalized cron options.
+	 * @param int   $after   Timestamp to search from.
+	 * @param int   $count   Number of runs.
+	 * @return array Run timestamps; fewer than $count if the expression stops matching.
+	 */
+	private function get_cron_runs( array $options, int $after, int $count ): array {
+		$cron    = new CronExpression( $options['cron_expression'] );
+		$time    = ( new \DateTimeImmutable( '@' . $after ) )->setTimezone( new \DateTimeZone( $options['timezone'] ) );
+		$runs    = array();
+		$skipped = 0;
+
+		while ( count( $runs ) < $count ) {
+			$time = $cron->get_next_run( $time );
+
+			if ( null === $time ) {
+				break;
+			}
+
+			if ( $this->in_blackout_window( $time, $options['blackout_windows'] ) ) {
+				if ( ++$skipped > self::MAX_BLACKOUT_SKIPS ) {
+					break;
+				}
+				continue;
+			}
+
+			$runs[] = $time->getTimestamp();
+		}
+
+		return $runs;
+	}
+
+	/**
+	 * Check whether a moment falls in one of a schedule's blackout windows.
+	 *
+	 * @param int   $timestamp Timestamp.
+	 * @param array $options   Schedule options.
+	 * @return bool
+	 */
+	public function is_blacked_out( int $timestamp, array $options ): bool {
+		if ( empty( $options['blackout_windows'] ) ) {
+			return false;
+		}
+
+		$timezone = new \DateTimeZone( $options['timezone'] ?? wp_timezone_string() );
+		$time     = ( new \DateTimeImmutable( '@' . $timestamp ) )->setTimezone( $timezone );
+
+		return $this->in_blackout_window( $time, $options['blackout_windows'] );
+	}
+
+	/**
+	 * Check whether a local time falls in any blackout window.
+	 *
+	 * Windows list the weekdays they start on (0 for Sunday) and a start and
+	 * end time. A window that ends at or before its start time runs past
+	 * midnight into the next day.
+	 *
+	 * @param \DateTimeImmutable $time    Time in the schedule's time zone.
+	 * @param array              $windows Blackout windows.
+	 * @return bool
+	 */
+	private function in_blackout_window( \DateTimeImmutable $time, array $windows ): bool {
+		$day     = (int) $time->format( 'w' );
+		$minutes = (int) $time->format( 'G' ) * 60 + (int) $time->format( 'i' );
+
+		foreach ( $windows as $window ) {
+			$start = $this->to_minutes( $window['start'] );
+			$end   = $this->to_minutes( $window['end'] );
+
+			if ( $start < $end ) {
+				if ( in_array( $day, $window['days'], true ) && $minutes >= $start && $minutes < $end ) {
+					return true;
+				}
+				continue;
+			}
+
+			if ( ( in_array( $day, $window['days'], true ) && $minutes >= $start )
+				|| ( in_array( ( $day + 6 ) % 7, $window['days'], true ) && $minutes < $end ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Convert an HH:MM time to minutes after midnight.
+	 *
+	 * @param string $time Time of day.
+	 * @return int Minutes.
+	 */
+	private function to_minutes( string $time ): int {
+		list( $hours, $minutes ) = explode( ':', $time );
+		return (int) $hours * 60 + (int) $minutes;
+	}
+
+	/**
+	 * Validate and normalize the cron settings of a schedule.
+	 *
+	 * An empty time zone falls back to the site's.
+	 *
+	 * @param array $options Schedule options.
+	 * @return array Options with cron_expression, timezone and blackout_windows.
+	 * @throws InvalidArgumentException If a setting is not valid.
+	 */
+	private function normalize_cron_options( array $options ): array {
+		$expression = trim( (string) ( $options['cron_expression'] ?? '' ) );
+
+		if ( '' === $expression ) {
+			throw new InvalidArgumentException( esc_html__( 'Enter a cron expression for the schedule.', 'swish-migrate-and-backup' ) );
+		}
+
+		// Throws if the expression is not valid.
+		new CronExpression( $expression );
+
+		$timezone = trim( (string) ( $options['timezone'] ?? '' ) );
+		$timezone = '' === $timezone ? wp_timezone_string() : $timezone;
+
+		try {
+			new \DateTimeZone( $timezone );
+		} catch ( \Exception $e ) {
+			throw new InvalidArgumentException(
+				sprintf(
+					/* translators: %s: time zone name. */
+					esc_html__( 'Unknown time zone: %s', 'swish-migrate-and-backup' ),
+					esc_html( $timezone )
+				)
+			);
+		}
+
+		$windows = array();
+
+		foreach ( (array) ( $options['blackout_windows'] ?? array() ) as $window ) {
+			$days  = array_map( 'intval', (array) ( $window['days'] ?? array() ) );
+			$days  = array_values( array_unique( array_filter( $days, fn( int $day ) => $day >= 0 && $day <= 6 ) ) );
+			$start = (string) ( $window['start'] ?? '' );
+			$end   = (string) ( $window['end'] ?? '' );
+
+			if ( empty( $days ) || ! preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $start ) || ! preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $end ) ) {
+				throw new InvalidArgumentException( esc_html__( 'Each blackout window needs at least one day and a start and end time as HH:MM.', 'swish-migrate-and-backup' ) );
+			}
+
+			sort( $days );
+
+			$windows[] = array(
+				'days'  => $days,
+				'start' => $start,
+				'end'   => $end,
+			);
+		}
+
+		return array_merge(
+			$options,
+			array(
+				'cron_expression'  => $expression,
+				'timezone'         => $timezone,
+				'blackout_windows' => $windows,
+			)
+		);
+	}
+
 	/**
 	 * Schedule a WordPress cron event.
 	 *
@@ -351,6 +852,11 @@ final class Scheduler {
 	 * @return void
 	 */
 	private function schedule_cron_event( int $schedule_id, string $frequency, int $timestamp ): void {
+		if ( self::FREQUENCY_CRON === $frequency ) {
+			wp_schedule_single_event( $timestamp, 'swish_backup_scheduled_backup', array( $schedule_id ) );
+			return;
+		}
+
 		$recurrence = match ( $frequency ) {
 			'hourly'     => 'hourly',
 			'twicedaily' => 'twicedaily',
@@ -393,11 +899,18 @@ final class Scheduler {
 		$this->update_schedule( $schedule_id, array( 'is_active' => $new_status ) );
 
 		if ( $new_status ) {
-			$this->schedule_cron_event(
-				$schedule_id,
-				$schedule['frequency'],
-				strtotime( $schedule['next_run'] )
-			);
+			$next_run = $schedule['next_run'];
+
+			// A run missed while paused is not made up; start from the next one due.
+			if ( ! $next_run || strtotime( $next_run ) < time() ) {
+				$next_run = $this->calculate_next_run( $schedule['frequency'], (array) $schedule['options'] );
+				$this->update_next_run( $schedule_id, $next_run );
+			}
+
+			$this->unschedule_cron_event( $schedule_id );
+			if ( $next_run ) {
+				$this->schedule_cron_event( $schedule_id, $schedule['frequency'], strtotime( $next_run ) );
+			}
 		} else {
 			$this->unschedule_cron_event( $schedule_id );
 		}
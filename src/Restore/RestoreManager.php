@@ -14,8 +14,10 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
+use SwishMigrateAndBackup\Backup\BackupManager;
 use SwishMigrateAndBackup\Logger\Logger;
 use SwishMigrateAndBackup\Storage\StorageManager;
+use SwishMigrateAndBackup\Backup\SwishArchiver;
 use SwishMigrateAndBackup\Backup\TarArchiver;
 use SwishMigrateAndBackup\Core\ServerLimits;
 use ZipArchive;
@@ -25,6 +27,52 @@ use ZipArchive;
  */
 final class RestoreManager {
 
+	/**
+	 * Restore job phases.
+	 */
+	public const PHASE_SNAPSHOT = 'snapshot';
+	public const PHASE_EXTRACT  = 'extract';
+	public const PHASE_FILES    = 'files';
+	public const PHASE_DATABASE = 'database';
+	public const PHASE_CLEANUP  = 'cleanup';
+	public const PHASE_COMPLETE = 'complete';
+	public const PHASE_FAILED   = 'failed';
+
+	/**
+	 * Default seconds of work per restore job step.
+	 */
+	private const DEFAULT_TIME_BUDGET = 15;
+
+	/**
+	 * Default hours a rollback point stays available.
+	 */
+	public const DEFAULT_ROLLBACK_WINDOW = 24;
+
+	/**
+	 * Largest file, in bytes, that can be compared with the live copy.
+	 */
+	private const DIFF_MAX_SIZE = 1048576;
+
+	/**
+	 * Largest file or folder, in bytes, that can be exported for download.
+	 *
+	 * The export is extracted within the request that asks for it.
+	 */
+	private const EXPORT_MAX_SIZE = 268435456;
+
+	/**
+	 * Entries a full .swish backup keeps at its root next to the site files.
+	 */
+	private const SWISH_METADATA_FILES = array( 'manifest.json', 'database.sql', 'wp-config.php' );
+
+	/**
+	 * Options for the database backup taken as a rollback snapshot.
+	 */
+	private const SNAPSHOT_OPTIONS = array(
+		'rollback_point'       => true,
+		'storage_destinations' => array( 'local' ),
+	);
+
 	/**
 	 * Storage manager.
 	 *
@@ -32,6 +80,13 @@ final class RestoreManager {
 	 */
 	private StorageManager $storage_manager;
 
+	/**
+	 * Backup manager, used for rollback snapshots.
+	 *
+	 * @var BackupManager
+	 */
+	private BackupManager $backup_manager;
+
 	/**
 	 * Logger instance.
 	 *
@@ -43,10 +98,12 @@ final class RestoreManager {
 	 * Constructor.
 	 *
 	 * @param StorageManager $storage_manager Storage manager.
+	 * @param BackupManager  $backup_manager  Backup manager.
 	 * @param Logger         $logger          Logger instance.
 	 */
-	public function __construct( StorageManager $storage_manager, Logger $logger ) {
+	public function __construct( StorageManager $storage_manager, BackupManager $backup_manager, Logger $logger ) {
 		$this->storage_manager = $storage_manager;
+		$this->backup_manager  = $backup_manager;
 		$this->logger          = $logger;
 	}
 
@@ -88,6 +145,10 @@ final class RestoreManager {
 
 			// Restore database.
 			if ( ( $options['restore_database'] ?? true ) && file_exists( $extract_dir . '/database.sql' ) ) {
+				if ( empty( $options['rollback'] ) && $this->get_rollback_window() > 0 ) {
+					$this->create_rollback_point( $backup_path );
+				}
+
 				$this->logger->info( 'Restoring database...' );
 				if ( ! $this->restore_database( $extract_dir . '/database.sql' ) ) {
 					throw new \RuntimeException( 'Database restore failed' );
@@ -150,6 +211,7 @@ final class RestoreManager {
 
 			// Clean up.
 			$this->cleanup_extract_directory( $extract_dir );
+			$this->finish_rollback_point( ! empty( $options['rollback'] ) );
 
 			// Flush caches and rewrite rules.
 			$this->flush_caches();
@@ -177,269 +239,1266 @@ final class RestoreManager {
 	}
 
 	/**
-	 * Restore database from SQL file.
+	 * Start a chunked restore job.
 	 *
-	 * @param string $sql_file Path to SQL file.
-	 * @return bool True if successful.
+	 * The job is advanced with run_job_step() until it reaches the complete
+	 * or failed phase. Job state is kept in a file rather than an option,
+	 * because restoring the database replaces the options table.
+	 *
+	 * @param string $job_id      Job ID.
+	 * @param string $backup_path Path to backup file.
+	 * @param array  $options     Restore options.
+	 * @return array Job state.
+	 * @throws \RuntimeException If the backup cannot be read.
 	 */
-	public function restore_database( string $sql_file ): bool {
-		global $wpdb;
+	public function start_job( string $job_id, string $backup_path, array $options = array() ): array {
+		$format = 'swish' === strtolower( pathinfo( $backup_path, PATHINFO_EXTENSION ) ) ? 'swish' : 'zip';
+
+		$job = array(
+			'job_id'      => $job_id,
+			'token'       => wp_generate_password( 32, false ),
+			'backup_path' => $backup_path,
+			'format'      => $format,
+			'options'     => $options,
+			'phase'       => self::PHASE_EXTRACT,
+			'extract_dir' => $this->get_job_directory() . '/' . $job_id,
+			'manifest'    => null,
+			'snapshot'    => false,
+			'extract'     => array(
+				'done'  => 0,
+				'total' => 0,
+			),
+			'files'       => array(
+				'archives' => array(),
+				'archive'  => 0,
+				'position' => 0,
+				'done'     => 0,
+				'total'    => 0,
+			),
+			'database'    => array(
+				'stage'         => 'main',
+				'offset'        => 0,
+				'size'          => 0,
+				'tables'        => array(),
+				'tables_total'  => 0,
+				'current_table' => null,
+			),
+			'started_at'  => gmdate( 'Y-m-d H:i:s' ),
+		);
 
-		if ( ! file_exists( $sql_file ) ) {
-			return false;
-		}
+		if ( 'zip' === $format ) {
+			if ( ! $this->verify_backup( $backup_path ) ) {
+				throw new \RuntimeException( 'Backup verification failed' );
+			}
 
-		$this->logger->info( 'Starting database restore', array( 'file' => $sql_file ) );
+			wp_mkdir_p( $job['extract_dir'] );
 
-		try {
-			// Read and execute SQL file in chunks.
-			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
-			$handle = fopen( $sql_file, 'r' );
-			if ( ! $handle ) {
-				return false;
+			// Take a database snapshot first, unless this restore is itself a rollback.
+			if ( ( $options['restore_database'] ?? true ) && empty( $options['rollback'] ) && $this->get_rollback_window() > 0 ) {
+				$job['snapshot'] = true;
+				$job['phase']    = self::PHASE_SNAPSHOT;
 			}
+		} else {
+			// Swish archives hold site files stored relative to ABSPATH.
+			$archiver = new SwishArchiver( $backup_path );
+			$entries  = $archiver->list_files();
 
-			// Disable foreign key checks temporarily.
-			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-			$wpdb->query( 'SET FOREIGN_KEY_CHECKS = 0' );
+			if ( empty( $entries ) ) {
+				throw new \RuntimeException( 'Backup archive is empty or unreadable' );
+			}
 
-			$query = '';
-			$delimiter = ';';
-			$in_string = false;
-			$string_char = '';
+			$metadata = array_intersect( self::SWISH_METADATA_FILES, wp_list_pluck( $entries, 'full_path' ) );
 
-			while ( ! feof( $handle ) ) {
-				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fgets
-				$line = fgets( $handle );
+			$job['files']['archives'] = array( $backup_path );
+			$job['files']['total']    = count( $entries );
 
-				if ( false === $line ) {
-					break;
-				}
+			if ( in_array( 'manifest.json', $metadata, true ) ) {
+				// Full backups also hold a manifest and database dump at the root,
+				// which are extracted into the job directory instead of the site.
+				$job['extract']['total'] = count( $metadata );
 
-				// Skip comments and empty lines.
-				$trimmed = trim( $line );
-				if ( empty( $trimmed ) || str_starts_with( $trimmed, '--' ) || str_starts_with( $trimmed, '#' ) ) {
-					continue;
-				}
+				wp_mkdir_p( $job['extract_dir'] );
 
-				// Skip MySQL-specific comments.
-				if ( preg_match( '/^\/\*!/', $trimmed ) && ! str_contains( $trimmed, '*/' ) ) {
-					continue;
+				if ( in_array( 'database.sql', $metadata, true ) && ( $options['restore_database'] ?? true ) && empty( $options['rollback'] ) && $this->get_rollback_window() > 0 ) {
+					$job['snapshot'] = true;
+					$job['phase']    = self::PHASE_SNAPSHOT;
 				}
+			} else {
+				$job['phase'] = $this->get_next_phase( $job, self::PHASE_EXTRACT );
+			}
+		}
 
-				$query .= $line;
-
-				// Check for complete statement.
-				if ( $this->is_complete_query( $query, $delimiter ) ) {
-					$query = trim( $query );
-
-					if ( ! empty( $query ) && $query !== $delimiter ) {
-						// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.NotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter -- SQL from backup file is validated.
-						$result = $wpdb->query( $query );
-
-						if ( false === $result && ! empty( $wpdb->last_error ) ) {
-							// Log error but continue (some errors are expected).
-							$this->logger->warning( 'SQL query warning', array(
-								'error' => $wpdb->last_error,
-								'query' => substr( $query, 0, 100 ) . '...',
-							) );
-						}
-					}
+		$this->logger->info( 'Starting restore job', array(
+			'job_id' => $job_id,
+			'backup' => $backup_path,
+			'format' => $format,
+		) );
 
-					$query = '';
-				}
-			}
+		/** This action is documented in src/Restore/RestoreManager.php */
+		do_action( 'swish_backup_restore_before', $backup_path, $options );
 
-			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
-			fclose( $handle );
+		$this->save_job( $job );
 
-			// Re-enable foreign key checks.
-			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
-			$wpdb->query( 'SET FOREIGN_KEY_CHECKS = 1' );
+		return $job;
+	}
 
-			$this->logger->info( 'Database restore completed' );
+	/**
+	 * Run one time-boxed step of a restore job.
+	 *
+	 * Files are restored before the database, and the user tables are
+	 * restored last. Replacing them can end the current login, so the
+	 * steps that follow are requested with the job token.
+	 *
+	 * @param array $job         Job state.
+	 * @param int   $time_budget Seconds of work for this step.
+	 * @return array Updated job state.
+	 */
+	public function run_job_step( array $job, int $time_budget = self::DEFAULT_TIME_BUDGET ): array {
+		$deadline = microtime( true ) + $time_budget;
 
-			return true;
+		try {
+			switch ( $job['phase'] ) {
+				case self::PHASE_SNAPSHOT:
+					$job = $this->run_snapshot_step( $job, $deadline );
+					break;
+				case self::PHASE_EXTRACT:
+					$job = $this->run_extract_step( $job, $deadline );
+					break;
+				case self::PHASE_FILES:
+					$job = $this->run_files_step( $job, $deadline );
+					break;
+				case self::PHASE_DATABASE:
+					$job = $this->run_database_step( $job, $deadline );
+					break;
+				case self::PHASE_CLEANUP:
+					$job = $this->run_cleanup_step( $job );
+					break;
+			}
 		} catch ( \Exception $e ) {
-			$this->logger->error( 'Database restore failed: ' . $e->getMessage() );
-			return false;
+			$this->logger->error( 'Restore failed: ' . $e->getMessage(), array(
+				'job_id' => $job['job_id'],
+				'phase'  => $job['phase'],
+			) );
+
+			$job['error']        = $e->getMessage();
+			$job['failed_phase'] = $job['phase'];
+			$job['phase']        = self::PHASE_FAILED;
+
+			$this->cleanup_extract_directory( $job['extract_dir'] );
 		}
+
+		$this->save_job( $job );
+
+		return $job;
 	}
 
 	/**
-	 * Restore files from archive.
+	 * Check the token handed out when a restore job was started.
 	 *
-	 * @param string $archive_path Path to files archive.
-	 * @param array  $options      Restore options.
-	 * @return bool True if successful.
+	 * @param string $job_id Job ID.
+	 * @param string $token  Token to check.
+	 * @return bool True if the token belongs to the job.
 	 */
-	public function restore_files( string $archive_path, array $options = array() ): bool {
-		$this->logger->info( 'Starting file restore', array( 'archive' => $archive_path ) );
+	public function verify_job_token( string $job_id, string $token ): bool {
+		$job = $this->get_job( $job_id );
 
-		try {
-			$zip = new ZipArchive();
-			$result = $zip->open( $archive_path );
+		return null !== $job && '' !== $token && ! empty( $job['token'] ) && hash_equals( $job['token'], $token );
+	}
 
-			if ( true !== $result ) {
-				$this->logger->error( 'Failed to open files archive', array( 'error' => $result ) );
-				return false;
-			}
+	/**
+	 * Get a restore job by ID.
+	 *
+	 * @param string $job_id Job ID.
+	 * @return array|null Job state or null if not found.
+	 */
+	public function get_job( string $job_id ): ?array {
+		if ( ! preg_match( '/^[a-zA-Z0-9_-]+$/', $job_id ) ) {
+			return null;
+		}
 
-			$destination = ABSPATH;
+		$state_file = $this->get_job_directory() . '/' . $job_id . '.json';
 
-			// Create backup of current files if requested.
-			if ( $options['backup_before_restore'] ?? false ) {
-				$this->create_pre_restore_backup();
-			}
+		if ( ! file_exists( $state_file ) ) {
+			return null;
+		}
 
-			// Extract files safely (with path validation to prevent Zip Slip).
-			$extracted = $this->safe_extract_zip( $zip, $destination );
-			$zip->close();
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$job = json_decode( (string) file_get_contents( $state_file ), true );
 
-			if ( ! $extracted ) {
-				$this->logger->error( 'Failed to extract files' );
-				return false;
-			}
+		return is_array( $job ) ? $job : null;
+	}
 
-			$this->logger->info( 'File restore completed' );
+	/**
+	 * Calculate overall restore progress.
+	 *
+	 * The snapshot sits at 0%, extract covers 0-15%, files 15-55%, database
+	 * 55-90% with the user tables at 90-95%, and cleanup 95-100%.
+	 *
+	 * @param array $job Job state.
+	 * @return int Progress percentage.
+	 */
+	public function get_job_progress( array $job ): int {
+		$ratio = static fn( $done, $total ) => $total > 0 ? min( 1, $done / $total ) : 0;
+
+		switch ( $job['phase'] ) {
+			case self::PHASE_EXTRACT:
+				return (int) ( 15 * $ratio( $job['extract']['done'], $job['extract']['total'] ) );
+			case self::PHASE_FILES:
+				return 15 + (int) ( 40 * $ratio( $job['files']['done'], $job['files']['total'] ) );
+			case self::PHASE_DATABASE:
+				if ( 'users' === $job['database']['stage'] ) {
+					return 90 + (int) ( 5 * $ratio( $job['database']['offset'], $job['database']['size'] ) );
+				}
 
-			return true;
-		} catch ( \Exception $e ) {
-			$this->logger->error( 'File restore failed: ' . $e->getMessage() );
-			return false;
+				return 55 + (int) ( 35 * $ratio( $job['database']['offset'], $job['database']['size'] ) );
+			case self::PHASE_CLEANUP:
+				return 95;
+			case self::PHASE_COMPLETE:
+				return 100;
+			default:
+				return 0;
 		}
 	}
 
 	/**
-	 * Restore files from a tar.gz archive.
+	 * Take a database-only snapshot that the next restore can be rolled back to.
 	 *
-	 * Uses system tar command for efficient extraction.
+	 * @param string $backup_path Backup about to be restored.
+	 * @return array Rollback point.
+	 * @throws \RuntimeException If the snapshot fails.
+	 */
+	public function create_rollback_point( string $backup_path ): array {
+		$this->logger->info( 'Creating rollback snapshot before restore' );
+
+		return $this->save_rollback_point(
+			$backup_path,
+			$this->backup_manager->create_database_backup( self::SNAPSHOT_OPTIONS )
+		);
+	}
+
+	/**
+	 * Dump part of the rollback snapshot for a restore job.
 	 *
-	 * @param string $archive_path Path to tar.gz archive.
-	 * @param array  $options      Restore options.
-	 * @return bool True if successful.
+	 * The snapshot is written through the database backup's own steps, so
+	 * large databases are dumped over several requests.
+	 *
+	 * @param array $job      Job state.
+	 * @param float $deadline Stop after this microtime.
+	 * @return array Updated job state.
+	 * @throws \RuntimeException If the snapshot fails.
 	 */
-	public function restore_files_tar( string $archive_path, array $options = array() ): bool {
-		$this->logger->info( 'Starting tar.gz file restore', array( 'archive' => $archive_path ) );
+	private function run_snapshot_step( array $job, float $deadline ): array {
+		if ( empty( $job['snapshot_backup'] ) ) {
+			$this->logger->info( 'Creating rollback snapshot before restore' );
 
-		try {
-			// Check if tar is available.
-			if ( ! ServerLimits::is_tar_available() ) {
-				$this->logger->warning( 'Tar not available, falling back to PHP extraction' );
-				return $this->restore_files_tar_php( $archive_path, $options );
-			}
+			$job['snapshot_backup'] = $this->backup_manager->start_database_backup( self::SNAPSHOT_OPTIONS );
+		}
 
-			$tar_archiver = new TarArchiver( $this->logger );
-			$destination = ABSPATH;
+		$state = $this->backup_manager->continue_database_backup( $job['snapshot_backup'], $deadline );
 
-			// Create backup of current files if requested.
-			if ( $options['backup_before_restore'] ?? false ) {
-				$this->create_pre_restore_backup();
-			}
+		if ( ! isset( $state['result'] ) ) {
+			$job['snapshot_backup'] = $state;
 
-			// Extract using system tar.
-			$result = $tar_archiver->extract_archive( $archive_path, $destination );
+			return $job;
+		}
 
-			if ( ! $result['success'] ) {
-				$this->logger->error( 'Tar extraction failed', array(
-					'error' => $result['error'] ?? 'Unknown error',
-				) );
-				return false;
-			}
+		unset( $job['snapshot_backup'] );
 
-			$this->logger->info( 'Tar.gz file restore completed' );
+		$this->save_rollback_point( $job['backup_path'], $state['result'] );
 
-			return true;
-		} catch ( \Exception $e ) {
-			$this->logger->error( 'Tar.gz file restore failed: ' . $e->getMessage() );
-			return false;
-		}
+		$job['phase'] = self::PHASE_EXTRACT;
+
+		return $job;
 	}
 
 	/**
-	 * Restore files from tar.gz using PHP (fallback when system tar unavailable).
+	 * Record a finished snapshot as the rollback point.
 	 *
-	 * Uses PharData for extraction.
+	 * The rollback point is recorded in a file next to the backups, since
+	 * the restore that follows replaces the backup jobs table.
 	 *
-	 * @param string $archive_path Path to tar.gz archive.
-	 * @param array  $options      Restore options.
-	 * @return bool True if successful.
+	 * @param string     $backup_path Backup about to be restored.
+	 * @param array|null $result      Result of the snapshot's database backup.
+	 * @return array Rollback point.
+	 * @throws \RuntimeException If the snapshot failed.
 	 */
-	private function restore_files_tar_php( string $archive_path, array $options = array() ): bool {
-		try {
-			$destination = ABSPATH;
+	private function save_rollback_point( string $backup_path, ?array $result ): array {
+		if ( empty( $result['path'] ) ) {
+			throw new \RuntimeException( 'Rollback snapshot failed: ' . ( $result['error'] ?? 'unknown error' ) );
+		}
 
-			// Create backup of current files if requested.
-			if ( $options['backup_before_restore'] ?? false ) {
-				$this->create_pre_restore_backup();
-			}
+		$point = array(
+			'backup_id'     => $result['job_id'],
+			'path'          => $result['path'],
+			'filename'      => $result['filename'],
+			'size'          => $result['size'],
+			'checksum'      => $result['checksum'],
+			'restored_from' => basename( $backup_path ),
+			'created_at'    => gmdate( 'Y-m-d H:i:s' ),
+			'expires_at'    => time() + $this->get_rollback_window() * HOUR_IN_SECONDS,
+		);
 
-			// Use PharData to extract.
-			$phar = new \PharData( $archive_path );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $this->get_rollback_file(), wp_json_encode( $point ) );
 
-			// Extract - PharData handles gzip decompression automatically.
-			$phar->extractTo( $destination, null, true ); // true = overwrite.
+		return $point;
+	}
 
-			$this->logger->info( 'Tar.gz file restore completed (PHP fallback)' );
+	/**
+	 * Get the rollback point for the last restore, if it is still available.
+	 *
+	 * @return array|null Rollback point or null if none, expired or missing.
+	 */
+	public function get_rollback_point(): ?array {
+		$point = $this->read_rollback_point();
 
-			return true;
-		} catch ( \Exception $e ) {
-			$this->logger->error( 'PHP tar extraction failed: ' . $e->getMessage() );
-			return false;
+		if ( null === $point || $point['expires_at'] < time() || ! file_exists( $point['path'] ) ) {
+			return null;
 		}
+
+		return $point;
 	}
 
 	/**
-	 * Safely extract a ZIP archive with path traversal validation.
+	 * Read the rollback point file without checking expiry.
 	 *
-	 * Prevents Zip Slip attacks by ensuring all extracted files stay within the destination directory.
-	 * Uses stream-based extraction to handle large files without memory exhaustion.
-	 *
-	 * @param ZipArchive $zip         The ZipArchive object.
-	 * @param string     $destination The destination directory.
-	 * @return bool True if successful.
+	 * @return array|null
 	 */
-	private function safe_extract_zip( ZipArchive $zip, string $destination ): bool {
-		$destination = rtrim( $destination, '/' ) . '/';
-		$real_destination = realpath( $destination );
+	private function read_rollback_point(): ?array {
+		$file = $this->get_rollback_file();
 
-		if ( false === $real_destination ) {
-			return false;
+		if ( ! file_exists( $file ) ) {
+			return null;
 		}
 
-		$real_destination = rtrim( $real_destination, '/' ) . '/';
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$point = json_decode( (string) file_get_contents( $file ), true );
 
-		for ( $i = 0; $i < $zip->numFiles; $i++ ) {
-			$entry_name = $zip->getNameIndex( $i );
+		return is_array( $point ) && ! empty( $point['path'] ) ? $point : null;
+	}
 
-			if ( false === $entry_name ) {
-				continue;
-			}
+	/**
+	 * Keep the snapshot listed once a restore has finished.
+	 *
+	 * The restored database no longer holds the snapshot's job record, so
+	 * it is registered again. A rollback uses the point up.
+	 *
+	 * @param bool $consumed Whether the restore was the rollback itself.
+	 * @return void
+	 */
+	private function finish_rollback_point( bool $consumed ): void {
+		$point = $this->read_rollback_point();
 
-			// Build target path.
-			$target_path = $destination . $entry_name;
+		if ( null === $point ) {
+			return;
+		}
 
-			// Resolve the real path (handles ../ and symlinks).
-			// For directories, we need to check parent since dir doesn't exist yet.
-			if ( str_ends_with( $entry_name, '/' ) ) {
-				// It's a directory entry.
-				$parent_dir = dirname( $target_path );
-				if ( ! is_dir( $parent_dir ) ) {
-					wp_mkdir_p( $parent_dir );
-				}
-				if ( ! is_dir( $target_path ) ) {
-					wp_mkdir_p( $target_path );
-				}
-				continue;
-			}
+		if ( file_exists( $point['path'] ) ) {
+			$this->backup_manager->register_backup( array(
+				'job_id'    => $point['backup_id'],
+				'type'      => 'database',
+				'file_path' => $point['path'],
+				'file_size' => $point['size'],
+				'checksum'  => $point['checksum'],
+			) );
+		}
 
-			// For files, ensure parent directory exists.
-			$parent_dir = dirname( $target_path );
-			if ( ! is_dir( $parent_dir ) ) {
-				wp_mkdir_p( $parent_dir );
-			}
+		if ( $consumed ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.unlink_unlink
+			unlink( $this->get_rollback_file() );
+		}
+	}
 
-			// Now check if the resolved path is within our destination.
+	/**
+	 * Get how many hours a rollback point stays available (0 = disabled).
+	 *
+	 * @return int
+	 */
+	private function get_rollback_window(): int {
+		$settings = get_option( 'swish_backup_settings', array() );
+
+		return (int) ( $settings['rollback_window'] ?? self::DEFAULT_ROLLBACK_WINDOW );
+	}
+
+	/**
+	 * Get the rollback point file path.
+	 *
+	 * @return string
+	 */
+	private function get_rollback_file(): string {
+		return WP_CONTENT_DIR . '/swish-backups/rollback-point.json';
+	}
+
+	/**
+	 * Extract the backup ZIP into the job directory.
+	 *
+	 * @param array $job      Job state.
+	 * @param float $deadline Stop after this microtime.
+	 * @return array Updated job state.
+	 * @throws \RuntimeException If extraction fails.
+	 */
+	private function run_extract_step( array $job, float $deadline ): array {
+		if ( 'swish' === $job['format'] ) {
+			return $this->run_swish_extract_step( $job, $deadline );
+		}
+
+		$zip = new ZipArchive();
+
+		if ( true !== $zip->open( $job['backup_path'], ZipArchive::RDONLY ) ) {
+			throw new \RuntimeException( 'Failed to open backup archive' );
+		}
+
+		$job['extract']['total'] = $zip->numFiles;
+		$next = $this->safe_extract_zip( $zip, $job['extract_dir'], $job['extract']['done'], $deadline );
+		$zip->close();
+
+		if ( $next < 0 ) {
+			throw new \RuntimeException( 'Failed to extract backup' );
+		}
+
+		$job['extract']['done'] = $next;
+
+		if ( $next < $job['extract']['total'] ) {
+			return $job;
+		}
+
+		return $this->finish_extract_step( $job );
+	}
+
+	/**
+	 * Extract the manifest, database dump and wp-config.php of a full
+	 * .swish backup into the job directory.
+	 *
+	 * The archive is read from the offset the previous step stopped at,
+	 * skipping over the site files, which the files phase restores.
+	 *
+	 * @param array $job      Job state.
+	 * @param float $deadline Stop after this microtime.
+	 * @return array Updated job state.
+	 * @throws \RuntimeException If extraction fails.
+	 */
+	private function run_swish_extract_step( array $job, float $deadline ): array {
+		$archiver = new SwishArchiver( $job['backup_path'] );
+		$result   = $archiver->extract_to(
+			$job['extract_dir'],
+			$job['extract']['position'] ?? 0,
+			null,
+			max( 1, (int) ceil( $deadline - microtime( true ) ) ),
+			fn( string $path ) => in_array( $path, self::SWISH_METADATA_FILES, true )
+		);
+
+		if ( ! empty( $result['error'] ) ) {
+			throw new \RuntimeException( 'Failed to extract backup: ' . $result['error'] );
+		}
+
+		$job['extract']['done']    += $result['files_extracted'];
+		$job['extract']['position'] = $result['archive_offset'];
+
+		if ( ! $result['completed'] ) {
+			return $job;
+		}
+
+		return $this->finish_extract_step( $job );
+	}
+
+	/**
+	 * Read the extracted manifest and move on from the extract phase.
+	 *
+	 * @param array $job Job state.
+	 * @return array Updated job state.
+	 * @throws \RuntimeException If the manifest is missing or invalid.
+	 */
+	private function finish_extract_step( array $job ): array {
+		$manifest = $this->get_manifest( $job['extract_dir'] );
+		if ( ! $manifest ) {
+			throw new \RuntimeException( 'Invalid backup manifest' );
+		}
+
+		$job['manifest'] = $manifest;
+		$job['phase']    = $this->get_next_phase( $job, self::PHASE_EXTRACT );
+
+		return $job;
+	}
+
+	/**
+	 * Restore site files from the archives found in the backup.
+	 *
+	 * @param array $job      Job state.
+	 * @param float $deadline Stop after this microtime.
+	 * @return array Updated job state.
+	 * @throws \RuntimeException If an archive cannot be restored.
+	 */
+	private function run_files_step( array $job, float $deadline ): array {
+		$files = $job['files'];
+
+		while ( $files['archive'] < count( $files['archives'] ) ) {
+			$archive_path = $files['archives'][ $files['archive'] ];
+			$remaining    = max( 1, (int) ceil( $deadline - microtime( true ) ) );
+
+			if ( 'swish' === $job['format'] ) {
+				$paths    = $job['options']['paths'] ?? null;
+				$metadata = empty( $job['manifest'] ) ? array() : self::SWISH_METADATA_FILES;
+				$archiver = new SwishArchiver( $archive_path );
+				$result   = $archiver->extract_to(
+					ABSPATH,
+					$files['position'],
+					function ( int $count, string $path ) {
+						$this->logger->debug( 'Restored file', array( 'file' => $path ) );
+					},
+					$remaining,
+					fn( string $path ) => ! in_array( $path, $metadata, true ) && ( null === $paths || $this->is_path_selected( $path, $paths ) )
+				);
+
+				if ( ! empty( $result['error'] ) ) {
+					throw new \RuntimeException( 'File restore failed: ' . $result['error'] );
+				}
+
+				$files['done']    += $result['files_extracted'] + $result['files_skipped'];
+				$files['position'] = $result['archive_offset'];
+				$completed         = $result['completed'];
+			} elseif ( str_ends_with( $archive_path, '.tar.gz' ) ) {
+				// Tar archives are extracted in one go by the system tar binary.
+				if ( ! $this->restore_files_tar( $archive_path, $job['options'] ) ) {
+					throw new \RuntimeException( 'File restore failed for: ' . basename( $archive_path ) );
+				}
+
+				++$files['done'];
+				$completed = true;
+			} else {
+				$result = $this->restore_files_chunk(
+					$archive_path,
+					$files['position'],
+					$remaining,
+					$job['options']
+				);
+
+				if ( ! $result['success'] ) {
+					throw new \RuntimeException( 'File restore failed for: ' . basename( $archive_path ) );
+				}
+
+				$files['done']    += $result['next'] - $files['position'];
+				$files['position'] = $result['next'];
+				$completed         = $result['completed'];
+			}
+
+			if ( $completed ) {
+				++$files['archive'];
+				$files['position'] = 0;
+			}
+
+			if ( microtime( true ) >= $deadline ) {
+				break;
+			}
+		}
+
+		$job['files'] = $files;
+
+		if ( $files['archive'] >= count( $files['archives'] ) ) {
+			$files['done'] = $files['total'];
+			$job['files']  = $files;
+			$job['phase']  = $this->get_next_phase( $job, self::PHASE_FILES );
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Restore the database dump in statement-aligned chunks.
+	 *
+	 * The first pass skips the users and usermeta tables. They are restored
+	 * in a second pass, resumed from its byte offset like the first, once
+	 * nothing else needs the current login.
+	 *
+	 * @param array $job      Job state.
+	 * @param float $deadline Stop after this microtime.
+	 * @return array Updated job state.
+	 * @throws \RuntimeException If the dump cannot be read.
+	 */
+	private function run_database_step( array $job, float $deadline ): array {
+		global $wpdb;
+
+		$database    = $job['database'];
+		$sql_file    = $job['extract_dir'] . '/database.sql';
+		$selected    = $job['options']['tables'] ?? null;
+		$user_tables = array( $wpdb->users, $wpdb->usermeta );
+		$is_users    = 'users' === $database['stage'];
+
+		if ( $is_users && null !== $selected ) {
+			$user_tables = array_values( array_intersect( $user_tables, $selected ) );
+
+			// No user tables were chosen, so there is nothing left to import.
+			if ( empty( $user_tables ) ) {
+				$job['database']['offset'] = $database['size'];
+				$job['phase']              = self::PHASE_CLEANUP;
+
+				return $job;
+			}
+		}
+
+		$filter = $is_users
+			? array( 'include' => $user_tables )
+			: array(
+				'include' => $selected,
+				'exclude' => $user_tables,
+			);
+
+		$result = $this->restore_database_chunk(
+			$sql_file,
+			$database['offset'],
+			max( 1, (int) ceil( $deadline - microtime( true ) ) ),
+			null,
+			$filter
+		);
+
+		if ( ! $result['success'] ) {
+			throw new \RuntimeException( 'Database restore failed' );
+		}
+
+		foreach ( $result['tables'] as $table => $statements ) {
+			$database['tables'][ $table ] = ( $database['tables'][ $table ] ?? 0 ) + $statements;
+		}
+
+		$database['size']          = $result['size'];
+		$database['offset']        = $result['offset'];
+		$database['current_table'] = $result['current_table'];
+
+		$job['database'] = $database;
+
+		if ( ! $result['completed'] ) {
+			return $job;
+		}
+
+		if ( ! $is_users ) {
+			$job['database']['stage']  = 'users';
+			$job['database']['offset'] = 0;
+
+			return microtime( true ) < $deadline ? $this->run_database_step( $job, $deadline ) : $job;
+		}
+
+		$job['database']['offset'] = $result['size'];
+		$job['reauth']             = ! empty( array_intersect( array_keys( $database['tables'] ), $user_tables ) );
+		$job['phase']              = self::PHASE_CLEANUP;
+
+		return $job;
+	}
+
+	/**
+	 * Finish a restore job: config files, temp files and caches.
+	 *
+	 * @param array $job Job state.
+	 * @return array Updated job state.
+	 */
+	private function run_cleanup_step( array $job ): array {
+		$extract_dir = $job['extract_dir'];
+		$options     = $job['options'];
+
+		if ( ( $options['restore_wp_config'] ?? false ) && file_exists( $extract_dir . '/wp-config.php' ) ) {
+			$config_restore_dir = WP_CONTENT_DIR . '/swish-backups/restored-configs';
+			if ( ! is_dir( $config_restore_dir ) ) {
+				wp_mkdir_p( $config_restore_dir );
+			}
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_copy
+			copy( $extract_dir . '/wp-config.php', $config_restore_dir . '/wp-config.php.restored-' . time() );
+		}
+
+		if (
+			( $options['restore_htaccess'] ?? true ) &&
+			$this->is_path_selected( '.htaccess', $options['paths'] ?? null ) &&
+			file_exists( $extract_dir . '/.htaccess' )
+		) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_copy
+			copy( $extract_dir . '/.htaccess', ABSPATH . '.htaccess' );
+		}
+
+		$this->cleanup_extract_directory( $extract_dir );
+		$this->finish_rollback_point( ! empty( $options['rollback'] ) );
+		$this->flush_caches();
+
+		$job['phase']        = self::PHASE_COMPLETE;
+		$job['completed_at'] = gmdate( 'Y-m-d H:i:s' );
+
+		/** This action is documented in src/Restore/RestoreManager.php */
+		do_action( 'swish_backup_restore_after', $job['backup_path'], $job['manifest'] ?? array() );
+
+		$this->logger->info( 'Restore completed successfully', array( 'job_id' => $job['job_id'] ) );
+
+		return $job;
+	}
+
+	/**
+	 * Work out which phase follows the given one for a job.
+	 *
+	 * Also prepares the state the next phase needs.
+	 *
+	 * @param array  $job   Job state (updated in place for the next phase).
+	 * @param string $after Phase that just finished.
+	 * @return string Next phase.
+	 */
+	private function get_next_phase( array &$job, string $after ): string {
+		$order   = array( self::PHASE_EXTRACT, self::PHASE_FILES, self::PHASE_DATABASE, self::PHASE_CLEANUP );
+		$options = $job['options'];
+
+		foreach ( array_slice( $order, array_search( $after, $order, true ) + 1 ) as $phase ) {
+			if ( self::PHASE_FILES === $phase && ( $options['restore_files'] ?? true ) ) {
+				if ( 'zip' === $job['format'] ) {
+					$job['files'] = array_merge( $job['files'], $this->find_file_archives( $job['extract_dir'] ) );
+				}
+
+				if ( ! empty( $job['files']['archives'] ) ) {
+					return $phase;
+				}
+			}
+
+			if ( self::PHASE_DATABASE === $phase && ( $options['restore_database'] ?? true ) ) {
+				$sql_file = $job['extract_dir'] . '/database.sql';
+
+				if ( file_exists( $sql_file ) ) {
+					$job['database']['size']         = (int) filesize( $sql_file );
+					$job['database']['tables_total'] = count( $options['tables'] ?? $job['manifest']['metadata']['tables'] ?? array() );
+					return $phase;
+				}
+			}
+
+			if ( self::PHASE_CLEANUP === $phase ) {
+				return $phase;
+			}
+		}
+
+		return self::PHASE_CLEANUP;
+	}
+
+	/**
+	 * Find the file archives inside an extracted ZIP backup.
+	 *
+	 * @param string $extract_dir Extraction directory.
+	 * @return array Archives list and total entry count.
+	 */
+	private function find_file_archives( string $extract_dir ): array {
+		$archives = glob( $extract_dir . '/files*.tar.gz' ) ?: array();
+		sort( $archives );
+
+		if ( empty( $archives ) && file_exists( $extract_dir . '/files.zip' ) ) {
+			$archives[] = $extract_dir . '/files.zip';
+		}
+
+		$parts = glob( $extract_dir . '/files-*.zip' ) ?: array();
+		sort( $parts );
+		$archives = array_merge( $archives, $parts );
+
+		// Tar archives count as one entry each, ZIP archives by their entries.
+		$total = 0;
+		foreach ( $archives as $archive_path ) {
+			if ( str_ends_with( $archive_path, '.zip' ) ) {
+				$zip = new ZipArchive();
+				if ( true === $zip->open( $archive_path, ZipArchive::RDONLY ) ) {
+					$total += $zip->numFiles;
+					$zip->close();
+				}
+			} else {
+				++$total;
+			}
+		}
+
+		return array(
+			'archives' => $archives,
+			'total'    => $total,
+		);
+	}
+
+	/**
+	 * Save restore job state to disk.
+	 *
+	 * @param array $job Job state.
+	 * @return void
+	 */
+	private function save_job( array $job ): void {
+		$dir = $this->get_job_directory();
+
+		if ( ! is_dir( $dir ) ) {
+			wp_mkdir_p( $dir );
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $dir . '/' . $job['job_id'] . '.json', wp_json_encode( $job ) );
+	}
+
+	/**
+	 * Get the directory holding restore job state and extracted files.
+	 *
+	 * @return string
+	 */
+	private function get_job_directory(): string {
+		return WP_CONTENT_DIR . '/swish-backups/temp';
+	}
+
+	/**
+	 * Restore database from SQL file.
+	 *
+	 * @param string        $sql_file          Path to SQL file.
+	 * @param callable|null $progress_callback Optional callback receiving
+	 *                                         ( $table, $statements, $bytes_read, $total_bytes ).
+	 * @return bool True if successful.
+	 */
+	public function restore_database( string $sql_file, ?callable $progress_callback = null ): bool {
+		$result = $this->restore_database_chunk( $sql_file, 0, 0, $progress_callback );
+
+		return $result['success'] && $result['completed'];
+	}
+
+	/**
+	 * Restore part of a SQL file, stopping at a statement boundary.
+	 *
+	 * The returned offset can be passed back in to continue where this call
+	 * stopped. The progress callback fires whenever a table is finished and
+	 * once for the table in progress when the chunk ends.
+	 *
+	 * @param string        $sql_file          Path to SQL file.
+	 * @param int           $offset            Byte offset to resume from.
+	 * @param int           $time_budget       Seconds to run for (0 = until done).
+	 * @param callable|null $progress_callback Optional callback receiving
+	 *                                         ( $table, $statements, $bytes_read, $total_bytes ).
+	 * @param array         $filter            Optional 'include' and 'exclude' table lists.
+	 * @return array Result with 'success', 'completed', 'offset', 'size', 'tables', 'current_table'.
+	 */
+	public function restore_database_chunk(
+		string $sql_file,
+		int $offset = 0,
+		int $time_budget = 0,
+		?callable $progress_callback = null,
+		array $filter = array()
+	): array {
+		global $wpdb;
+
+		$result = array(
+			'success'       => false,
+			'completed'     => false,
+			'offset'        => $offset,
+			'size'          => file_exists( $sql_file ) ? (int) filesize( $sql_file ) : 0,
+			'tables'        => array(),
+			'current_table' => null,
+		);
+
+		if ( ! file_exists( $sql_file ) ) {
+			return $result;
+		}
+
+		$deadline = $time_budget > 0 ? microtime( true ) + $time_budget : 0;
+		$include  = $filter['include'] ?? null;
+		$exclude  = $filter['exclude'] ?? array();
+
+		$this->logger->info( 'Starting database restore', array(
+			'file'   => $sql_file,
+			'offset' => $offset,
+		) );
+
+		try {
+			// Read and execute SQL file in chunks.
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+			$handle = fopen( $sql_file, 'r' );
+			if ( ! $handle ) {
+				return $result;
+			}
+
+			if ( $offset > 0 ) {
+				fseek( $handle, $offset );
+			}
+
+			// Disable foreign key checks temporarily.
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->query( 'SET FOREIGN_KEY_CHECKS = 0' );
+
+			$query = '';
+			$delimiter = ';';
+			$current_table = null;
+			$timed_out = false;
+
+			while ( ! feof( $handle ) ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fgets
+				$line = fgets( $handle );
+
+				if ( false === $line ) {
+					break;
+				}
+
+				// Skip comments and empty lines.
+				$trimmed = trim( $line );
+				if ( empty( $trimmed ) || str_starts_with( $trimmed, '--' ) || str_starts_with( $trimmed, '#' ) ) {
+					continue;
+				}
+
+				// Skip MySQL-specific comments.
+				if ( preg_match( '/^\/\*!/', $trimmed ) && ! str_contains( $trimmed, '*/' ) ) {
+					continue;
+				}
+
+				$query .= $line;
+
+				// Check for complete statement.
+				if ( ! $this->is_complete_query( $query, $delimiter ) ) {
+					continue;
+				}
+
+				$query = trim( $query );
+				$table = $this->get_statement_table( $query );
+
+				if ( null !== $table && $table !== $current_table ) {
+					if ( null !== $current_table && $progress_callback ) {
+						$progress_callback( $current_table, $result['tables'][ $current_table ], (int) ftell( $handle ), $result['size'] );
+					}
+
+					$current_table = $table;
+					$this->logger->debug( 'Restoring table', array(
+						'table'  => $table,
+						'offset' => ftell( $handle ),
+					) );
+				}
+
+				$skip = null !== $table && (
+					( null !== $include && ! in_array( $table, $include, true ) ) ||
+					in_array( $table, $exclude, true )
+				);
+
+				if ( ! $skip && ! empty( $query ) && $query !== $delimiter ) {
+					// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQL.NotPrepared, PluginCheck.Security.DirectDB.UnescapedDBParameter -- SQL from backup file is validated.
+					$query_result = $wpdb->query( $query );
+
+					if ( false === $query_result && ! empty( $wpdb->last_error ) ) {
+						// Log error but continue (some errors are expected).
+						$this->logger->warning( 'SQL query warning', array(
+							'error' => $wpdb->last_error,
+							'table' => $table,
+							'query' => substr( $query, 0, 100 ) . '...',
+						) );
+					}
+
+					if ( null !== $table ) {
+						$result['tables'][ $table ] = ( $result['tables'][ $table ] ?? 0 ) + 1;
+					}
+				}
+
+				$query = '';
+				$result['offset'] = (int) ftell( $handle );
+
+				if ( $deadline > 0 && microtime( true ) >= $deadline ) {
+					$timed_out = true;
+					break;
+				}
+			}
+
+			if ( null !== $current_table && isset( $result['tables'][ $current_table ] ) && $progress_callback ) {
+				$progress_callback( $current_table, $result['tables'][ $current_table ], $result['offset'], $result['size'] );
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $handle );
+
+			// Re-enable foreign key checks.
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->query( 'SET FOREIGN_KEY_CHECKS = 1' );
+
+			$result['success']       = true;
+			$result['completed']     = ! $timed_out;
+			$result['current_table'] = $current_table;
+
+			if ( $result['completed'] ) {
+				$result['offset'] = $result['size'];
+				$this->logger->info( 'Database restore completed' );
+			} else {
+				$this->logger->info( 'Database restore paused at statement boundary', array(
+					'offset' => $result['offset'],
+					'size'   => $result['size'],
+					'table'  => $current_table,
+				) );
+			}
+
+			return $result;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'Database restore failed: ' . $e->getMessage() );
+			return $result;
+		}
+	}
+
+	/**
+	 * Restore files from archive.
+	 *
+	 * @param string        $archive_path      Path to files archive.
+	 * @param array         $options           Restore options.
+	 * @param callable|null $progress_callback Optional callback receiving ( $entry_name, $done, $total ).
+	 * @return bool True if successful.
+	 */
+	public function restore_files( string $archive_path, array $options = array(), ?callable $progress_callback = null ): bool {
+		$result = $this->restore_files_chunk( $archive_path, 0, 0, $options, $progress_callback );
+
+		return $result['success'] && $result['completed'];
+	}
+
+	/**
+	 * Restore part of a files archive, starting at a given entry.
+	 *
+	 * @param string        $archive_path      Path to files archive.
+	 * @param int           $start             Entry index to resume from.
+	 * @param int           $time_budget       Seconds to run for (0 = until done).
+	 * @param array         $options           Restore options.
+	 * @param callable|null $progress_callback Optional callback receiving ( $entry_name, $done, $total ).
+	 * @return array Result with 'success', 'completed', 'next' and 'total'.
+	 */
+	public function restore_files_chunk(
+		string $archive_path,
+		int $start = 0,
+		int $time_budget = 0,
+		array $options = array(),
+		?callable $progress_callback = null
+	): array {
+		$this->logger->info( 'Starting file restore', array(
+			'archive' => $archive_path,
+			'start'   => $start,
+		) );
+
+		$result = array(
+			'success'   => false,
+			'completed' => false,
+			'next'      => $start,
+			'total'     => 0,
+		);
+
+		try {
+			$zip = new ZipArchive();
+			$open = $zip->open( $archive_path );
+
+			if ( true !== $open ) {
+				$this->logger->error( 'Failed to open files archive', array( 'error' => $open ) );
+				return $result;
+			}
+
+			$destination = $options['destination'] ?? ABSPATH;
+
+			// Create backup of current files if requested.
+			if ( 0 === $start && ( $options['backup_before_restore'] ?? false ) ) {
+				$this->create_pre_restore_backup();
+			}
+
+			$deadline = $time_budget > 0 ? microtime( true ) + $time_budget : 0;
+
+			// Extract files safely (with path validation to prevent Zip Slip).
+			$next = $this->safe_extract_zip(
+				$zip,
+				$destination,
+				$start,
+				$deadline,
+				$progress_callback,
+				$options['paths'] ?? null
+			);
+			$result['total'] = $zip->numFiles;
+			$zip->close();
+
+			if ( $next < 0 ) {
+				$this->logger->error( 'Failed to extract files' );
+				return $result;
+			}
+
+			$result['success']   = true;
+			$result['next']      = $next;
+			$result['completed'] = $next >= $result['total'];
+
+			if ( $result['completed'] ) {
+				$this->logger->info( 'File restore completed' );
+			}
+
+			return $result;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'File restore failed: ' . $e->getMessage() );
+			return $result;
+		}
+	}
+
+	/**
+	 * Restore files from a tar.gz archive.
+	 *
+	 * Uses system tar command for efficient extraction.
+	 *
+	 * @param string $archive_path Path to tar.gz archive.
+	 * @param array  $options      Restore options ('paths', 'destination' to extract outside ABSPATH).
+	 * @return bool True if successful.
+	 */
+	public function restore_files_tar( string $archive_path, array $options = array() ): bool {
+		$this->logger->info( 'Starting tar.gz file restore', array( 'archive' => $archive_path ) );
+
+		try {
+			// Check if tar is available.
+			if ( ! ServerLimits::is_tar_available() ) {
+				$this->logger->warning( 'Tar not available, falling back to PHP extraction' );
+				return $this->restore_files_tar_php( $archive_path, $options );
+			}
+
+			$tar_archiver = new TarArchiver( $this->logger );
+			$destination = $options['destination'] ?? ABSPATH;
+			$members = array();
+
+			// Restrict extraction to the selected paths.
+			if ( isset( $options['paths'] ) ) {
+				$listing = $tar_archiver->list_contents( $archive_path );
+
+				if ( ! $listing['success'] ) {
+					$this->logger->error( 'Failed to list tar archive', array( 'error' => $listing['error'] ?? '' ) );
+					return false;
+				}
+
+				$members = array_values( array_filter(
+					$listing['files'],
+					fn( $entry ) => ! str_ends_with( $entry, '/' ) && $this->is_path_selected( $entry, $options['paths'] )
+				) );
+
+				if ( empty( $members ) ) {
+					$this->logger->debug( 'No selected paths in tar archive', array( 'archive' => basename( $archive_path ) ) );
+					return true;
+				}
+			}
+
+			// Create backup of current files if requested.
+			if ( $options['backup_before_restore'] ?? false ) {
+				$this->create_pre_restore_backup();
+			}
+
+			// Extract using system tar.
+			$result = $tar_archiver->extract_archive( $archive_path, $destination, null, $members );
+
+			if ( ! $result['success'] ) {
+				$this->logger->error( 'Tar extraction failed', array(
+					'error' => $result['error'] ?? 'Unknown error',
+				) );
+				return false;
+			}
+
+			$this->logger->info( 'Tar.gz file restore completed' );
+
+			return true;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'Tar.gz file restore failed: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * Restore files from tar.gz using PHP (fallback when system tar unavailable).
+	 *
+	 * Uses PharData for extraction.
+	 *
+	 * @param string $archive_path Path to tar.gz archive.
+	 * @param array  $options      Restore options.
+	 * @return bool True if successful.
+	 */
+	private function restore_files_tar_php( string $archive_path, array $options = array() ): bool {
+		try {
+			$destination = $options['destination'] ?? ABSPATH;
+
+			// Create backup of current files if requested.
+			if ( $options['backup_before_restore'] ?? false ) {
+				$this->create_pre_restore_backup();
+			}
+
+			// Use PharData to extract.
+			$phar = new \PharData( $archive_path );
+			$members = null;
+
+			// Restrict extraction to the selected paths.
+			if ( isset( $options['paths'] ) ) {
+				$prefix  = 'phar://' . $archive_path . '/';
+				$members = array();
+
+				foreach ( new \RecursiveIteratorIterator( $phar ) as $file ) {
+					$entry = substr( $file->getPathname(), strlen( $prefix ) );
+					if ( $this->is_path_selected( $entry, $options['paths'] ) ) {
+						$members[] = $entry;
+					}
+				}
+
+				if ( empty( $members ) ) {
+					return true;
+				}
+			}
+
+			// Extract - PharData handles gzip decompression automatically.
+			$phar->extractTo( $destination, $members, true ); // true = overwrite.
+
+			$this->logger->info( 'Tar.gz file restore completed (PHP fallback)' );
+
+			return true;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'PHP tar extraction failed: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * Safely extract a ZIP archive with path traversal validation.
+	 *
+	 * Prevents Zip Slip attacks by ensuring all extracted files stay within the destination directory.
+	 * Uses stream-based extraction to handle large files without memory exhaustion.
+	 *
+	 * @param ZipArchive    $zip               The ZipArchive object.
+	 * @param string        $destination       The destination directory.
+	 * @param int           $start             Entry index to start from.
+	 * @param float         $deadline          Stop after this microtime (0 = no limit).
+	 * @param callable|null $progress_callback Optional callback receiving ( $entry_name, $done, $total ).
+	 * @param array|null    $paths             Only extract entries under these paths (null = all).
+	 * @return int Index of the next entry to extract, or -1 on failure.
+	 */
+	private function safe_extract_zip(
+		ZipArchive $zip,
+		string $destination,
+		int $start = 0,
+		float $deadline = 0,
+		?callable $progress_callback = null,
+		?array $paths = null
+	): int {
+		$destination = rtrim( $destination, '/' ) . '/';
+		$real_destination = realpath( $destination );
+
+		if ( false === $real_destination ) {
+			return -1;
+		}
+
+		$real_destination = rtrim( $real_destination, '/' ) . '/';
+
+		for ( $i = $start; $i < $zip->numFiles; $i++ ) {
+			if ( $deadline > 0 && $i > $start && microtime( true ) >= $deadline ) {
+				return $i;
+			}
+
+			if ( $progress_callback ) {
+				$progress_callback( (string) $zip->getNameIndex( $i ), $i + 1, $zip->numFiles );
+			}
+
+			$entry_name = $zip->getNameIndex( $i );
+
+			if ( false === $entry_name || ! $this->is_path_selected( $entry_name, $paths ) ) {
+				continue;
+			}
+
+			// Build target path.
+			$target_path = $destination . $entry_name;
+
+			// Resolve the real path (handles ../ and symlinks).
+			// For directories, we need to check parent since dir doesn't exist yet.
+			if ( str_ends_with( $entry_name, '/' ) ) {
+				// It's a directory entry.
+				$parent_dir = dirname( $target_path );
+				if ( ! is_dir( $parent_dir ) ) {
+					wp_mkdir_p( $parent_dir );
+				}
+				if ( ! is_dir( $target_path ) ) {
+					wp_mkdir_p( $target_path );
+				}
+				continue;
+			}
+
+			// For files, ensure parent directory exists.
+			$parent_dir = dirname( $target_path );
+			if ( ! is_dir( $parent_dir ) ) {
+				wp_mkdir_p( $parent_dir );
+			}
+
+			// Now check if the resolved path is within our destination.
 			$real_target = realpath( $parent_dir );
 			if ( false === $real_target || ! str_starts_with( $real_target . '/', $real_destination ) ) {
 				$this->logger->warning( 'Skipping unsafe ZIP entry (path traversal attempt)', array( 'entry' => $entry_name ) );
@@ -453,126 +1512,900 @@ final class RestoreManager {
 			}
 		}
 
-		return true;
+		return $zip->numFiles;
+	}
+
+	/**
+	 * Extract a single file from ZIP using streams.
+	 *
+	 * This method reads and writes in chunks to avoid loading entire files into memory.
+	 *
+	 * @param ZipArchive $zip         The ZipArchive object.
+	 * @param string     $entry_name  The name of the entry in the ZIP.
+	 * @param string     $target_path The target path to write to.
+	 * @return bool True if successful.
+	 */
+	private function extract_file_stream( ZipArchive $zip, string $entry_name, string $target_path ): bool {
+		// Get a stream for the ZIP entry.
+		$stream = $zip->getStream( $entry_name );
+		if ( false === $stream ) {
+			return false;
+		}
+
+		// Open target file for writing.
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		$output = fopen( $target_path, 'wb' );
+		if ( false === $output ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $stream );
+			return false;
+		}
+
+		// Copy in chunks (8KB at a time).
+		$chunk_size = 8192;
+		while ( ! feof( $stream ) ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fread
+			$chunk = fread( $stream, $chunk_size );
+			if ( false === $chunk ) {
+				break;
+			}
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+			fwrite( $output, $chunk );
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $stream );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $output );
+
+		return true;
+	}
+
+	/**
+	 * Verify backup integrity.
+	 *
+	 * @param string $backup_path Path to backup file.
+	 * @return bool True if valid.
+	 */
+	public function verify_backup( string $backup_path ): bool {
+		if ( ! file_exists( $backup_path ) ) {
+			return false;
+		}
+
+		try {
+			$zip = new ZipArchive();
+			$result = $zip->open( $backup_path, ZipArchive::RDONLY );
+
+			if ( true !== $result ) {
+				return false;
+			}
+
+			// Check for manifest.
+			$manifest = $zip->getFromName( 'manifest.json' );
+			if ( false === $manifest ) {
+				$zip->close();
+				return false;
+			}
+
+			// Validate manifest.
+			$manifest_data = json_decode( $manifest, true );
+			if ( ! is_array( $manifest_data ) || empty( $manifest_data['version'] ) ) {
+				$zip->close();
+				return false;
+			}
+
+			$zip->close();
+
+			return true;
+		} catch ( \Exception $e ) {
+			return false;
+		}
+	}
+
+	/**
+	 * Get backup information.
+	 *
+	 * Read from the manifest.json of a ZIP or full .swish backup; .swish
+	 * archives without a manifest hold site files only and have no info.
+	 *
+	 * @param string $backup_path Path to backup file.
+	 * @return array|null Backup info or null on error.
+	 */
+	public function get_backup_info( string $backup_path ): ?array {
+		try {
+			if ( 'swish' === strtolower( pathinfo( $backup_path, PATHINFO_EXTENSION ) ) ) {
+				$manifest = $this->read_swish_manifest( $backup_path );
+			} else {
+				$zip = new ZipArchive();
+				$result = $zip->open( $backup_path, ZipArchive::RDONLY );
+
+				if ( true !== $result ) {
+					return null;
+				}
+
+				$manifest = $zip->getFromName( 'manifest.json' );
+				$zip->close();
+			}
+
+			if ( false === $manifest ) {
+				return null;
+			}
+
+			$data = json_decode( $manifest, true );
+			$data['file_size'] = filesize( $backup_path );
+			$data['filename'] = basename( $backup_path );
+
+			return $data;
+		} catch ( \Exception $e ) {
+			return null;
+		}
+	}
+
+	/**
+	 * Read the manifest.json of a .swish backup.
+	 *
+	 * @param string $backup_path Path to backup file.
+	 * @return string|false Manifest JSON, or false if the archive has none.
+	 */
+	private function read_swish_manifest( string $backup_path ) {
+		$temp_dir = $this->get_job_directory() . '/info-' . wp_generate_password( 12, false );
+		$archiver = new SwishArchiver( $backup_path );
+
+		$archiver->extract_to( $temp_dir, 0, null, 60, fn( string $path ) => 'manifest.json' === $path );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$manifest = file_exists( $temp_dir . '/manifest.json' ) ? file_get_contents( $temp_dir . '/manifest.json' ) : false;
+
+		$this->cleanup_extract_directory( $temp_dir );
+
+		return $manifest;
+	}
+
+	/**
+	 * List the database tables and folders inside a backup.
+	 *
+	 * Folders are listed three levels deep (e.g. wp-content/uploads/2025)
+	 * with the number of files under each, so a restore can be narrowed
+	 * down to them.
+	 *
+	 * @param string $backup_path Path to backup file.
+	 * @return array|null Contents with 'format', 'tables' and 'folders', or null on error.
+	 */
+	public function get_backup_contents( string $backup_path ): ?array {
+		if ( 'swish' === strtolower( pathinfo( $backup_path, PATHINFO_EXTENSION ) ) ) {
+			$archiver = new SwishArchiver( $backup_path );
+			$entries  = $archiver->list_files();
+
+			if ( empty( $entries ) ) {
+				return null;
+			}
+
+			$paths  = array_column( $entries, 'full_path' );
+			$tables = array();
+
+			// A full backup lists its dumped tables in the manifest.
+			if ( in_array( 'manifest.json', $paths, true ) ) {
+				$info   = $this->get_backup_info( $backup_path );
+				$tables = in_array( 'database.sql', $paths, true ) ? array_values( $info['metadata']['tables'] ?? array() ) : array();
+				$paths  = array_diff( $paths, self::SWISH_METADATA_FILES );
+			}
+
+			return array(
+				'format'  => 'swish',
+				'tables'  => $tables,
+				'folders' => $this->get_folder_list( array_values( $paths ) ),
+			);
+		}
+
+		$info = $this->get_backup_info( $backup_path );
+		$zip  = new ZipArchive();
+
+		if ( null === $info || true !== $zip->open( $backup_path, ZipArchive::RDONLY ) ) {
+			return null;
+		}
+
+		$tables = array();
+		if ( false !== $zip->locateName( 'database.sql' ) ) {
+			$tables = ! empty( $info['metadata']['tables'] )
+				? array_values( $info['metadata']['tables'] )
+				: array_keys( $this->scan_dump_tables( $zip ) );
+		}
+
+		$files = array();
+		foreach ( $this->find_zip_file_archives( $zip ) as $name ) {
+			$files = array_merge( $files, $this->list_inner_archive( $zip, $name ) );
+		}
+
+		$zip->close();
+
+		return array(
+			'format'  => 'zip',
+			'tables'  => $tables,
+			'folders' => $this->get_folder_list( array_column( $files, 'path' ) ),
+		);
+	}
+
+	/**
+	 * List one folder level of a backup's file tree.
+	 *
+	 * The archive index is built once per backup and cached, so a tree can
+	 * be expanded folder by folder without re-reading the archive. The
+	 * root level also lists the dump's tables with their row counts.
+	 *
+	 * @param string $backup_path Path to backup file.
+	 * @param string $path        Folder relative to ABSPATH ('' for the root).
+	 * @return array|null Listing with 'path', 'folders', 'files' and 'tables', or null on error.
+	 */
+	public function browse_backup( string $backup_path, string $path = '' ): ?array {
+		$index = $this->get_backup_index( $backup_path );
+
+		if ( null === $index ) {
+			return null;
+		}
+
+		$path    = trim( $path, '/' );
+		$prefix  = '' === $path ? '' : $path . '/';
+		$folders = array();
+		$files   = array();
+
+		foreach ( $index['files'] as $file ) {
+			if ( '' !== $prefix && ! str_starts_with( $file['path'], $prefix ) ) {
+				continue;
+			}
+
+			$rest  = substr( $file['path'], strlen( $prefix ) );
+			$slash = strpos( $rest, '/' );
+
+			if ( false === $slash ) {
+				$files[] = array(
+					'name' => $rest,
+					'path' => $file['path'],
+					'size' => $file['size'],
+				);
+				continue;
+			}
+
+			$name = substr( $rest, 0, $slash );
+
+			if ( ! isset( $folders[ $name ] ) ) {
+				$folders[ $name ] = array(
+					'name'  => $name,
+					'path'  => $prefix . $name,
+					'files' => 0,
+					'size'  => 0,
+				);
+			}
+
+			++$folders[ $name ]['files'];
+			$folders[ $name ]['size'] += $file['size'];
+		}
+
+		ksort( $folders );
+		usort( $files, fn( $a, $b ) => strcmp( $a['name'], $b['name'] ) );
+
+		return array(
+			'format'  => $index['format'],
+			'path'    => $path,
+			'folders' => array_values( $folders ),
+			'files'   => $files,
+			'tables'  => '' === $path ? $index['tables'] : array(),
+		);
+	}
+
+	/**
+	 * Find a file or folder in a backup's index.
+	 *
+	 * @param string $backup_path Path to backup file.
+	 * @param string $path        File or folder relative to ABSPATH.
+	 * @return array|null Entry with 'type' ('file' or 'folder') and 'size', or null if not in the backup.
+	 */
+	public function find_backup_entry( string $backup_path, string $path ): ?array {
+		$index = $this->get_backup_index( $backup_path );
+		$path  = trim( $path, '/' );
+
+		if ( null === $index || '' === $path ) {
+			return null;
+		}
+
+		$entry = null;
+
+		foreach ( $index['files'] as $file ) {
+			if ( $file['path'] === $path ) {
+				return array(
+					'type' => 'file',
+					'size' => $file['size'],
+				);
+			}
+
+			if ( str_starts_with( $file['path'], $path . '/' ) ) {
+				$entry          = $entry ?? array(
+					'type' => 'folder',
+					'size' => 0,
+				);
+				$entry['size'] += $file['size'];
+			}
+		}
+
+		return $entry;
+	}
+
+	/**
+	 * Restore a single file or folder from a backup to its original path.
+	 *
+	 * @param string $backup_path Path to backup file.
+	 * @param string $path        File or folder relative to ABSPATH.
+	 * @return bool True if successful.
+	 */
+	public function restore_backup_path( string $backup_path, string $path ): bool {
+		$this->logger->info( 'Restoring path from backup', array(
+			'backup' => basename( $backup_path ),
+			'path'   => $path,
+		) );
+
+		return $this->extract_backup_paths( $backup_path, array( trim( $path, '/' ) ), ABSPATH );
+	}
+
+	/**
+	 * Extract a single file or folder from a backup for download.
+	 *
+	 * Folders are packed into a ZIP. The export is written below the local
+	 * storage directory so its signed download links can serve it, and is
+	 * deleted once downloaded or when the link has expired.
+	 *
+	 * @param string $backup_path Path to backup file.
+	 * @param string $path        File or folder relative to ABSPATH.
+	 * @return string|null Export path relative to the local storage directory, or null on error.
+	 * @throws \RuntimeException If the file or folder is too large to export in one request.
+	 */
+	public function export_backup_path( string $backup_path, string $path ): ?string {
+		$path  = trim( $path, '/' );
+		$entry = $this->find_backup_entry( $backup_path, $path );
+
+		if ( null === $entry ) {
+			return null;
+		}
+
+		if ( $entry['size'] > self::EXPORT_MAX_SIZE ) {
+			throw new \RuntimeException( 'That file or folder is too large to export in one request. Restore it or download the whole backup instead.' );
+		}
+
+		$base_dir   = $this->storage_manager->get_adapter( 'local' )->get_base_directory();
+		$export_dir = $this->create_scratch_directory( $base_dir . '/exports' );
+
+		if ( ! $this->extract_backup_paths( $backup_path, array( $path ), $export_dir . '/files' ) ) {
+			$this->cleanup_extract_directory( $export_dir );
+			return null;
+		}
+
+		$source = $export_dir . '/files/' . $path;
+		$target = $export_dir . '/' . basename( $path );
+
+		if ( 'file' === $entry['type'] ) {
+			$moved = file_exists( $source ) && rename( $source, $target );
+		} else {
+			$target .= '.zip';
+			$moved   = $this->zip_directory( $source, $target, basename( $path ) );
+		}
+
+		$this->cleanup_extract_directory( $export_dir . '/files' );
+
+		if ( ! $moved ) {
+			$this->cleanup_extract_directory( $export_dir );
+			return null;
+		}
+
+		$export = substr( $target, strlen( $base_dir ) + 1 );
+
+		// Download links last an hour; an export nobody fetched goes after that.
+		wp_schedule_single_event( time() + HOUR_IN_SECONDS, 'swish_backup_delete_export', array( $export ) );
+
+		return $export;
 	}
 
 	/**
-	 * Extract a single file from ZIP using streams.
+	 * Delete an export made by export_backup_path().
 	 *
-	 * This method reads and writes in chunks to avoid loading entire files into memory.
+	 * @param string $export Export path relative to the local storage directory.
+	 * @return void
+	 */
+	public function delete_export( string $export ): void {
+		if ( ! preg_match( '#^exports/([a-zA-Z0-9]+)/[^/]+$#', $export, $matches ) ) {
+			return;
+		}
+
+		$export_dir = $this->storage_manager->get_adapter( 'local' )->get_base_directory() . '/exports/' . $matches[1];
+
+		if ( is_dir( $export_dir ) ) {
+			$this->cleanup_extract_directory( $export_dir );
+		}
+	}
+
+	/**
+	 * Compare a text file in a backup with the live copy on disk.
 	 *
-	 * @param ZipArchive $zip         The ZipArchive object.
-	 * @param string     $entry_name  The name of the entry in the ZIP.
-	 * @param string     $target_path The target path to write to.
-	 * @return bool True if successful.
+	 * @param string $backup_path Path to backup file.
+	 * @param string $path        File relative to ABSPATH.
+	 * @return array|null Comparison with 'path', 'exists', 'identical' and 'diff'
+	 *                    (side-by-side HTML table), or null if the file is not in the backup.
+	 * @throws \RuntimeException If the file cannot be compared as text.
 	 */
-	private function extract_file_stream( ZipArchive $zip, string $entry_name, string $target_path ): bool {
-		// Get a stream for the ZIP entry.
-		$stream = $zip->getStream( $entry_name );
-		if ( false === $stream ) {
-			return false;
+	public function diff_backup_file( string $backup_path, string $path ): ?array {
+		$path  = trim( $path, '/' );
+		$entry = $this->find_backup_entry( $backup_path, $path );
+
+		if ( null === $entry || 'file' !== $entry['type'] ) {
+			return null;
 		}
 
-		// Open target file for writing.
-		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
-		$output = fopen( $target_path, 'wb' );
-		if ( false === $output ) {
-			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
-			fclose( $stream );
-			return false;
+		$live_file = ABSPATH . $path;
+
+		if ( $entry['size'] > self::DIFF_MAX_SIZE || ( file_exists( $live_file ) && filesize( $live_file ) > self::DIFF_MAX_SIZE ) ) {
+			throw new \RuntimeException( 'File is too large to compare.' );
 		}
 
-		// Copy in chunks (8KB at a time).
-		$chunk_size = 8192;
-		while ( ! feof( $stream ) ) {
-			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fread
-			$chunk = fread( $stream, $chunk_size );
-			if ( false === $chunk ) {
-				break;
+		$scratch_dir = $this->create_scratch_directory( $this->get_job_directory() . '/diff' );
+
+		try {
+			if ( ! $this->extract_backup_paths( $backup_path, array( $path ), $scratch_dir ) || ! file_exists( $scratch_dir . '/' . $path ) ) {
+				throw new \RuntimeException( 'Could not extract the file from the backup.' );
 			}
-			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
-			fwrite( $output, $chunk );
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+			$backup_text = (string) file_get_contents( $scratch_dir . '/' . $path );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+			$live_text = file_exists( $live_file ) ? (string) file_get_contents( $live_file ) : '';
+		} finally {
+			$this->cleanup_extract_directory( $scratch_dir );
 		}
 
-		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
-		fclose( $stream );
-		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
-		fclose( $output );
+		if ( str_contains( $backup_text, "\0" ) || str_contains( $live_text, "\0" ) ) {
+			throw new \RuntimeException( 'Binary files cannot be compared.' );
+		}
 
-		return true;
+		$diff = wp_text_diff(
+			$live_text,
+			$backup_text,
+			array(
+				'title_left'      => __( 'Current file', 'swish-migrate-and-backup' ),
+				'title_right'     => __( 'Backup', 'swish-migrate-and-backup' ),
+				'show_split_view' => true,
+			)
+		);
+
+		return array(
+			'path'      => $path,
+			'exists'    => file_exists( $live_file ),
+			'identical' => '' === $diff,
+			'diff'      => $diff,
+		);
 	}
 
 	/**
-	 * Verify backup integrity.
+	 * Extract the chosen files and folders of a backup into a directory.
 	 *
 	 * @param string $backup_path Path to backup file.
-	 * @return bool True if valid.
+	 * @param array  $paths       Files or folders relative to ABSPATH.
+	 * @param string $destination Directory to extract into.
+	 * @return bool True if successful.
 	 */
-	public function verify_backup( string $backup_path ): bool {
-		if ( ! file_exists( $backup_path ) ) {
+	private function extract_backup_paths( string $backup_path, array $paths, string $destination ): bool {
+		wp_mkdir_p( $destination );
+
+		if ( 'swish' === strtolower( pathinfo( $backup_path, PATHINFO_EXTENSION ) ) ) {
+			$archiver = new SwishArchiver( $backup_path );
+			$result   = $archiver->extract_to(
+				$destination,
+				0,
+				null,
+				PHP_INT_MAX,
+				fn( string $file ) => $this->is_path_selected( $file, $paths )
+			);
+
+			return empty( $result['error'] );
+		}
+
+		$zip = new ZipArchive();
+
+		if ( true !== $zip->open( $backup_path, ZipArchive::RDONLY ) ) {
 			return false;
 		}
 
-		try {
-			$zip = new ZipArchive();
-			$result = $zip->open( $backup_path, ZipArchive::RDONLY );
+		$options = array(
+			'paths'       => $paths,
+			'destination' => $destination,
+		);
 
-			if ( true !== $result ) {
-				return false;
-			}
+		foreach ( $this->find_zip_file_archives( $zip ) as $name ) {
+			$temp_path = $this->copy_inner_archive( $zip, $name );
 
-			// Check for manifest.
-			$manifest = $zip->getFromName( 'manifest.json' );
-			if ( false === $manifest ) {
+			if ( null === $temp_path ) {
 				$zip->close();
 				return false;
 			}
 
-			// Validate manifest.
-			$manifest_data = json_decode( $manifest, true );
-			if ( ! is_array( $manifest_data ) || empty( $manifest_data['version'] ) ) {
+			$extracted = str_ends_with( $name, '.tar.gz' )
+				? $this->restore_files_tar( $temp_path, $options )
+				: $this->restore_files_chunk( $temp_path, 0, 0, $options )['success'];
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.unlink_unlink
+			unlink( $temp_path );
+
+			if ( ! $extracted ) {
 				$zip->close();
 				return false;
 			}
+		}
 
-			$zip->close();
+		$zip->close();
 
-			return true;
-		} catch ( \Exception $e ) {
+		return true;
+	}
+
+	/**
+	 * Pack a directory into a ZIP archive.
+	 *
+	 * @param string $source Directory to pack.
+	 * @param string $target ZIP file to create.
+	 * @param string $root   Folder name the entries are stored under.
+	 * @return bool True if successful.
+	 */
+	private function zip_directory( string $source, string $target, string $root ): bool {
+		$zip = new ZipArchive();
+
+		if ( ! is_dir( $source ) || true !== $zip->open( $target, ZipArchive::CREATE | ZipArchive::OVERWRITE ) ) {
 			return false;
 		}
+
+		$files = new \RecursiveIteratorIterator(
+			new \RecursiveDirectoryIterator( $source, \RecursiveDirectoryIterator::SKIP_DOTS )
+		);
+
+		foreach ( $files as $file ) {
+			if ( $file->isFile() ) {
+				$zip->addFile( $file->getPathname(), $root . '/' . substr( $file->getPathname(), strlen( $source ) + 1 ) );
+			}
+		}
+
+		return $zip->close();
 	}
 
 	/**
-	 * Get backup information.
+	 * Create a uniquely named working directory, removing ones left over from earlier days.
+	 *
+	 * @param string $parent Parent directory.
+	 * @return string Created directory path.
+	 */
+	private function create_scratch_directory( string $parent ): string {
+		foreach ( glob( $parent . '/*', GLOB_ONLYDIR ) ?: array() as $stale ) {
+			if ( filemtime( $stale ) < time() - DAY_IN_SECONDS ) {
+				$this->cleanup_extract_directory( $stale );
+			}
+		}
+
+		$dir = $parent . '/' . wp_generate_password( 12, false );
+		wp_mkdir_p( $dir );
+
+		return $dir;
+	}
+
+	/**
+	 * Build or load the cached file and table index of a backup.
 	 *
 	 * @param string $backup_path Path to backup file.
-	 * @return array|null Backup info or null on error.
+	 * @return array|null Index with 'format', 'files' (path, size) and 'tables' (name, rows).
 	 */
-	public function get_backup_info( string $backup_path ): ?array {
-		try {
+	private function get_backup_index( string $backup_path ): ?array {
+		$temp_dir = $this->get_job_directory();
+		$cache    = $temp_dir . '/index-' . md5( $backup_path . '|' . filemtime( $backup_path ) . '|' . filesize( $backup_path ) ) . '.json';
+
+		if ( file_exists( $cache ) ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+			$index = json_decode( (string) file_get_contents( $cache ), true );
+
+			if ( is_array( $index ) ) {
+				return $index;
+			}
+		}
+
+		if ( 'swish' === strtolower( pathinfo( $backup_path, PATHINFO_EXTENSION ) ) ) {
+			$archiver = new SwishArchiver( $backup_path );
+			$entries  = $archiver->list_files();
+
+			if ( empty( $entries ) ) {
+				return null;
+			}
+
+			$index = array(
+				'format' => 'swish',
+				'files'  => array_map(
+					fn( $entry ) => array(
+						'path' => $entry['full_path'],
+						'size' => $entry['size'],
+					),
+					$entries
+				),
+				'tables' => array(),
+			);
+		} else {
 			$zip = new ZipArchive();
-			$result = $zip->open( $backup_path, ZipArchive::RDONLY );
 
-			if ( true !== $result ) {
+			if ( null === $this->get_backup_info( $backup_path ) || true !== $zip->open( $backup_path, ZipArchive::RDONLY ) ) {
 				return null;
 			}
 
-			$manifest = $zip->getFromName( 'manifest.json' );
+			$tables = array();
+			if ( false !== $zip->locateName( 'database.sql' ) ) {
+				foreach ( $this->scan_dump_tables( $zip ) as $table => $rows ) {
+					$tables[] = array(
+						'name' => $table,
+						'rows' => $rows,
+					);
+				}
+			}
+
+			$files = array();
+			foreach ( $this->find_zip_file_archives( $zip ) as $name ) {
+				$files = array_merge( $files, $this->list_inner_archive( $zip, $name ) );
+			}
+
 			$zip->close();
 
-			if ( false === $manifest ) {
-				return null;
+			$index = array(
+				'format' => 'zip',
+				'files'  => $files,
+				'tables' => $tables,
+			);
+		}
+
+		// Normalise entry paths and drop directory entries.
+		$index['files'] = array_values( array_filter(
+			array_map(
+				fn( $file ) => array(
+					'path' => ltrim( preg_replace( '#^\./#', '', (string) $file['path'] ), '/' ),
+					'size' => (int) $file['size'],
+				),
+				$index['files']
+			),
+			fn( $file ) => '' !== $file['path'] && ! str_ends_with( $file['path'], '/' )
+		) );
+
+		// Drop indexes of backups that were replaced or deleted.
+		foreach ( glob( $temp_dir . '/index-*.json' ) ?: array() as $stale ) {
+			if ( filemtime( $stale ) < time() - DAY_IN_SECONDS ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.unlink_unlink
+				unlink( $stale );
 			}
+		}
 
-			$data = json_decode( $manifest, true );
-			$data['file_size'] = filesize( $backup_path );
-			$data['filename'] = basename( $backup_path );
+		wp_mkdir_p( $temp_dir );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $cache, wp_json_encode( $index ) );
 
-			return $data;
-		} catch ( \Exception $e ) {
+		return $index;
+	}
+
+	/**
+	 * Check whether an archive entry falls under the selected paths.
+	 *
+	 * @param string     $entry Entry path relative to ABSPATH.
+	 * @param array|null $paths Selected paths (null = everything).
+	 * @return bool True if the entry should be restored.
+	 */
+	private function is_path_selected( string $entry, ?array $paths ): bool {
+		if ( null === $paths ) {
+			return true;
+		}
+
+		$entry = ltrim( preg_replace( '#^\./#', '', $entry ), '/' );
+
+		foreach ( $paths as $path ) {
+			if ( $entry === $path || str_starts_with( $entry, $path . '/' ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Build a folder list with file counts from archive entry paths.
+	 *
+	 * @param array $files Entry paths relative to ABSPATH.
+	 * @param int   $depth Maximum folder depth.
+	 * @return array List of folders with 'path' and 'files'.
+	 */
+	private function get_folder_list( array $files, int $depth = 3 ): array {
+		$counts = array();
+
+		foreach ( $files as $file ) {
+			$file = ltrim( preg_replace( '#^\./#', '', (string) $file ), '/' );
+
+			if ( '' === $file || str_ends_with( $file, '/' ) ) {
+				continue;
+			}
+
+			$parts = explode( '/', $file );
+			array_pop( $parts );
+
+			for ( $i = 1; $i <= min( $depth, count( $parts ) ); $i++ ) {
+				$folder            = implode( '/', array_slice( $parts, 0, $i ) );
+				$counts[ $folder ] = ( $counts[ $folder ] ?? 0 ) + 1;
+			}
+		}
+
+		ksort( $counts );
+
+		$folders = array();
+		foreach ( $counts as $path => $count ) {
+			$folders[] = array(
+				'path'  => (string) $path,
+				'files' => $count,
+			);
+		}
+
+		return $folders;
+	}
+
+	/**
+	 * Find the file archive entries inside a backup ZIP.
+	 *
+	 * @param ZipArchive $zip Open backup archive.
+	 * @return array Entry names in restore order.
+	 */
+	private function find_zip_file_archives( ZipArchive $zip ): array {
+		$archives = array();
+		$parts    = array();
+
+		for ( $i = 0; $i < $zip->numFiles; $i++ ) {
+			$name = (string) $zip->getNameIndex( $i );
+
+			if ( preg_match( '/^files.*\.tar\.gz$/', $name ) ) {
+				$archives[] = $name;
+			} elseif ( preg_match( '/^files-.*\.zip$/', $name ) ) {
+				$parts[] = $name;
+			}
+		}
+
+		sort( $archives );
+		sort( $parts );
+
+		// Same order as the restore: tar archives, else files.zip, then batch parts.
+		if ( empty( $archives ) && false !== $zip->locateName( 'files.zip' ) ) {
+			$archives[] = 'files.zip';
+		}
+
+		return array_merge( $archives, $parts );
+	}
+
+	/**
+	 * List the entries of a file archive nested in a backup ZIP.
+	 *
+	 * @param ZipArchive $zip  Open backup archive.
+	 * @param string     $name Nested archive name.
+	 * @return array Entries with 'path' and 'size'.
+	 */
+	private function list_inner_archive( ZipArchive $zip, string $name ): array {
+		$temp_path = $this->copy_inner_archive( $zip, $name );
+
+		if ( null === $temp_path ) {
+			return array();
+		}
+
+		$entries = array();
+
+		if ( str_ends_with( $name, '.tar.gz' ) ) {
+			$tar_archiver = new TarArchiver( $this->logger );
+			$listing      = $tar_archiver->list_contents( $temp_path, true );
+			$entries      = $listing['files'] ?? array();
+		} else {
+			$inner = new ZipArchive();
+			if ( true === $inner->open( $temp_path, ZipArchive::RDONLY ) ) {
+				for ( $i = 0; $i < $inner->numFiles; $i++ ) {
+					$stat      = $inner->statIndex( $i );
+					$entries[] = array(
+						'path' => (string) $stat['name'],
+						'size' => (int) $stat['size'],
+					);
+				}
+				$inner->close();
+			}
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.unlink_unlink
+		unlink( $temp_path );
+
+		return $entries;
+	}
+
+	/**
+	 * Copy a file archive nested in a backup ZIP to a temporary file.
+	 *
+	 * Neither ZipArchive nor tar can read a nested archive in place.
+	 *
+	 * @param ZipArchive $zip  Open backup archive.
+	 * @param string     $name Nested archive name.
+	 * @return string|null Temporary file path, or null on error. The caller removes it.
+	 */
+	private function copy_inner_archive( ZipArchive $zip, string $name ): ?string {
+		$temp_dir = $this->get_job_directory();
+		wp_mkdir_p( $temp_dir );
+
+		$temp_path = $temp_dir . '/inner-' . wp_generate_password( 8, false ) . '-' . $name;
+		$source    = $zip->getStream( $name );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		$target = fopen( $temp_path, 'wb' );
+
+		if ( false === $source || false === $target ) {
 			return null;
 		}
+
+		stream_copy_to_stream( $source, $target );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $source );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $target );
+
+		return $temp_path;
+	}
+
+	/**
+	 * Read the tables of a backup dump and count their rows.
+	 *
+	 * Rows are counted from the INSERT statements, one row per line as
+	 * DatabaseBackup writes them. Single-line extended INSERTs from other
+	 * tools are counted by their value groups, so their counts are
+	 * approximate.
+	 *
+	 * @param ZipArchive $zip Open backup archive.
+	 * @return array Row counts keyed by table name.
+	 */
+	private function scan_dump_tables( ZipArchive $zip ): array {
+		$stream = $zip->getStream( 'database.sql' );
+
+		if ( false === $stream ) {
+			return array();
+		}
+
+		$tables  = array();
+		$current = null;
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fgets
+		while ( false !== ( $line = fgets( $stream ) ) ) {
+			if ( null !== $current && str_starts_with( $line, '(' ) ) {
+				++$tables[ $current ];
+
+				if ( str_ends_with( rtrim( $line ), ';' ) ) {
+					$current = null;
+				}
+				continue;
+			}
+
+			if ( ! str_starts_with( $line, 'CREATE TABLE' ) && ! str_starts_with( $line, 'INSERT' ) ) {
+				continue;
+			}
+
+			$table = $this->get_statement_table( $line );
+			if ( null === $table ) {
+				continue;
+			}
+
+			$tables[ $table ] = $tables[ $table ] ?? 0;
+
+			if ( str_starts_with( $line, 'INSERT' ) ) {
+				$values = (string) strstr( $line, ' VALUES' );
+
+				if ( str_contains( $values, '(' ) ) {
+					$tables[ $table ] += substr_count( $values, '),(' ) + substr_count( $values, '), (' ) + 1;
+				} else {
+					$current = $table;
+				}
+			}
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $stream );
+
+		return $tables;
 	}
 
 	/**
@@ -631,7 +2464,7 @@ final class RestoreManager {
 			$extracted = $this->safe_extract_zip( $zip, $output_dir );
 			$zip->close();
 
-			return $extracted;
+			return $extracted >= 0;
 		} catch ( \Exception $e ) {
 			return false;
 		}
@@ -700,6 +2533,22 @@ final class RestoreManager {
 		rmdir( $dir );
 	}
 
+	/**
+	 * Get the table a SQL statement writes to.
+	 *
+	 * @param string $query SQL statement.
+	 * @return string|null Table name or null if not a table statement.
+	 */
+	private function get_statement_table( string $query ): ?string {
+		$pattern = '/^(?:INSERT\s+(?:IGNORE\s+)?INTO|REPLACE\s+INTO|CREATE\s+TABLE(?:\s+IF\s+NOT\s+EXISTS)?|DROP\s+TABLE(?:\s+IF\s+EXISTS)?|ALTER\s+TABLE|LOCK\s+TABLES)\s+`?([^`\s(;]+)`?/i';
+
+		if ( preg_match( $pattern, ltrim( $query ), $matches ) ) {
+			return $matches[1];
+		}
+
+		return null;
+	}
+
 	/**
 	 * Check if SQL query is complete.
 	 *
@@ -215,7 +215,7 @@ final class Encryption {
 		$old_key = $this->get_key();
 
 		// Get all storage adapter settings.
-		$adapters = array( 's3', 'dropbox', 'googledrive' );
+		$adapters = array( 's3', 'dropbox', 'googledrive', 'sftp', 'ftp', 'webdav' );
 		$stored_settings = array();
 
 		foreach ( $adapters as $adapter ) {
@@ -0,0 +1,400 @@
+<?php
+/**
+ * Backup Verifier.
+ *
+ * @package SwishMigrateAndBackup\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Storage;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Storage\Contracts\RangeReadableStorageAdapterInterface;
+use SwishMigrateAndBackup\Storage\Contracts\StorageAdapterInterface;
+
+/**
+ * Confirms that the copy of a backup on a storage destination matches the
+ * local archive.
+ *
+ * The integrity manifest of an archive holds its size, SHA-256 and MD5
+ * hashes and the SHA-256 of a few sample byte ranges. A destination is
+ * checked with the cheapest method it supports: a hash from its metadata,
+ * reading back the sample ranges, or downloading the whole copy. Reading
+ * samples only spot-checks the copy, so it gets a status of its own. Next
+ * to each copy, a sidecar file holds the SHA-256 in `sha256sum` format.
+ */
+final class BackupVerifier {
+
+	/**
+	 * Suffix of the checksum sidecar file.
+	 */
+	public const SIDECAR_SUFFIX = '.sha256';
+
+	/**
+	 * The copy matches the manifest.
+	 */
+	public const STATUS_VERIFIED = 'verified';
+
+	/**
+	 * The sample byte ranges of the copy match the manifest.
+	 */
+	public const STATUS_SAMPLED = 'sampled';
+
+	/**
+	 * The copy differs from the manifest.
+	 */
+	public const STATUS_MISMATCH = 'mismatch';
+
+	/**
+	 * There is no copy at the destination.
+	 */
+	public const STATUS_MISSING = 'missing';
+
+	/**
+	 * The copy could not be checked.
+	 */
+	public const STATUS_UNVERIFIED = 'unverified';
+
+	/**
+	 * Length of each sample range (1 MB).
+	 */
+	private const SAMPLE_SIZE = 1048576;
+
+	/**
+	 * Logger.
+	 *
+	 * @var Logger
+	 */
+	private Logger $logger;
+
+	/**
+	 * Manifests built during this request, keyed by path, size and mtime.
+	 *
+	 * @var array<string, array>
+	 */
+	private array $manifests = array();
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Logger $logger Logger instance.
+	 */
+	public function __construct( Logger $logger ) {
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Build the integrity manifest of a local archive.
+	 *
+	 * @param string $local_path Local file path.
+	 * @return array|null Manifest, or null if the file cannot be read.
+	 */
+	public function create_manifest( string $local_path ): ?array {
+		clearstatcache( true, $local_path );
+
+		if ( '' === $local_path || ! is_file( $local_path ) || ! is_readable( $local_path ) ) {
+			return null;
+		}
+
+		$size = (int) filesize( $local_path );
+		$key  = $local_path . '|' . $size . '|' . filemtime( $local_path );
+
+		if ( isset( $this->manifests[ $key ] ) ) {
+			return $this->manifests[ $key ];
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		$handle = fopen( $local_path, 'rb' );
+
+		if ( ! $handle ) {
+			return null;
+		}
+
+		$sha256 = hash_init( 'sha256' );
+		$md5    = hash_init( 'md5' );
+
+		while ( ! feof( $handle ) ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fread
+			$data = fread( $handle, self::SAMPLE_SIZE );
+
+			if ( false === $data ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+				fclose( $handle );
+				return null;
+			}
+
+			hash_update( $sha256, $data );
+			hash_update( $md5, $data );
+		}
+
+		$samples = array();
+		foreach ( $this->get_sample_ranges( $size ) as list( $offset, $length ) ) {
+			fseek( $handle, $offset );
+
+			$samples[] = array(
+				'offset' => $offset,
+				'length' => $length,
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fread
+				'sha256' => hash( 'sha256', (string) fread( $handle, $length ) ),
+			);
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $handle );
+
+		$this->manifests[ $key ] = array(
+			'algorithm'  => 'sha256',
+			'sha256'     => hash_final( $sha256 ),
+			'md5'        => hash_final( $md5 ),
+			'size'       => $size,
+			'samples'    => $samples,
+			'created_at' => current_time( 'mysql', true ),
+		);
+
+		return $this->manifests[ $key ];
+	}
+
+	/**
+	 * Store the checksum sidecar next to a copy.
+	 *
+	 * @param StorageAdapterInterface $adapter     Destination adapter.
+	 * @param string                  $remote_path Remote path of the backup.
+	 * @param array                   $manifest    Integrity manifest.
+	 * @return bool True if the sidecar was stored.
+	 */
+	public function write_sidecar( StorageAdapterInterface $adapter, string $remote_path, array $manifest ): bool {
+		$temp = $this->get_temp_file( basename( $remote_path ) . self::SIDECAR_SUFFIX );
+
+		if ( null === $temp ) {
+			return false;
+		}
+
+		try {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+			file_put_contents( $temp, $manifest['sha256'] . '  ' . basename( $remote_path ) . "\n" );
+
+			return $adapter->upload( $temp, $remote_path . self::SIDECAR_SUFFIX );
+		} catch ( \Exception $e ) {
+			$this->logger->warning( 'Failed to store checksum file: ' . $e->getMessage(), array(
+				'adapter' => $adapter->get_id(),
+				'path'    => $remote_path,
+			) );
+			return false;
+		} finally {
+			wp_delete_file( $temp );
+		}
+	}
+
+	/**
+	 * Read the SHA-256 from the checksum sidecar next to a copy.
+	 *
+	 * @param StorageAdapterInterface $adapter     Destination adapter.
+	 * @param string                  $remote_path Remote path of the backup.
+	 * @return array|null Manifest with only the SHA-256, or null if there is no readable sidecar.
+	 */
+	public function read_sidecar( StorageAdapterInterface $adapter, string $remote_path ): ?array {
+		$temp = $this->get_temp_file( basename( $remote_path ) . self::SIDECAR_SUFFIX );
+
+		if ( null === $temp ) {
+			return null;
+		}
+
+		try {
+			if ( ! $adapter->download( $remote_path . self::SIDECAR_SUFFIX, $temp ) ) {
+				return null;
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+			$contents = (string) file_get_contents( $temp );
+
+			if ( ! preg_match( '/^([a-f0-9]{64})\s/i', $contents, $matches ) ) {
+				return null;
+			}
+
+			return array(
+				'algorithm' => 'sha256',
+				'sha256'    => strtolower( $matches[1] ),
+			);
+		} catch ( \Exception $e ) {
+			return null;
+		} finally {
+			wp_delete_file( $temp );
+		}
+	}
+
+	/**
+	 * Check the copy of a backup on a destination against its manifest.
+	 *
+	 * Without a full download, a copy that can be neither hashed by the
+	 * destination nor read in ranges is only checked by its size and
+	 * stays unverified.
+	 *
+	 * @param StorageAdapterInterface $adapter     Destination adapter.
+	 * @param string                  $remote_path Remote path of the backup.
+	 * @param array                   $manifest    Integrity manifest.
+	 * @param bool                    $download    Whether the whole copy may be downloaded.
+	 * @return array{status: string, method: string, message: string, checked_at: string}
+	 */
+	public function verify( StorageAdapterInterface $adapter, string $remote_path, array $manifest, bool $download = true ): array {
+		try {
+			$metadata = $adapter->get_metadata( $remote_path );
+
+			if ( null === $metadata ) {
+				return $this->status( self::STATUS_MISSING, 'metadata', __( 'The backup file is not at this destination.', 'swish-migrate-and-backup' ) );
+			}
+
+			if ( isset( $manifest['size'] ) && (int) $metadata['size'] !== (int) $manifest['size'] ) {
+				return $this->status(
+					self::STATUS_MISMATCH,
+					'metadata',
+					/* translators: 1: size of the stored copy in bytes, 2: size of the backup in bytes. */
+					sprintf( __( 'The stored copy is %1$d bytes instead of %2$d.', 'swish-migrate-and-backup' ), (int) $metadata['size'], (int) $manifest['size'] )
+				);
+			}
+
+			foreach ( array( 'sha256', 'md5' ) as $algorithm ) {
+				if ( ! empty( $metadata[ $algorithm ] ) && ! empty( $manifest[ $algorithm ] ) ) {
+					return hash_equals( $manifest[ $algorithm ], strtolower( $metadata[ $algorithm ] ) )
+						? $this->status( self::STATUS_VERIFIED, 'metadata' )
+						/* translators: %s: hash algorithm name. */
+						: $this->status( self::STATUS_MISMATCH, 'metadata', sprintf( __( 'The %s hash reported by the destination differs.', 'swish-migrate-and-backup' ), strtoupper( $algorithm ) ) );
+				}
+			}
+
+			if ( $adapter instanceof RangeReadableStorageAdapterInterface && ! empty( $manifest['samples'] ) ) {
+				return $this->verify_ranges( $adapter, $remote_path, $manifest['samples'] );
+			}
+
+			if ( ! $download ) {
+				return $this->status(
+					self::STATUS_UNVERIFIED,
+					'size',
+					__( 'The stored copy has the right size. Use Verify now to download it and compare its SHA-256.', 'swish-migrate-and-backup' )
+				);
+			}
+
+			return $this->verify_download( $adapter, $remote_path, $manifest );
+		} catch ( \Exception $e ) {
+			return $this->status( self::STATUS_UNVERIFIED, 'error', $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Build a verification status.
+	 *
+	 * @param string $status  One of the STATUS_* constants.
+	 * @param string $method  How the copy was checked.
+	 * @param string $message Details for the user.
+	 * @return array{status: string, method: string, message: string, checked_at: string}
+	 */
+	public function status( string $status, string $method, string $message = '' ): array {
+		return array(
+			'status'     => $status,
+			'method'     => $method,
+			'message'    => $message,
+			'checked_at' => current_time( 'mysql', true ),
+		);
+	}
+
+	/**
+	 * Compare sample byte ranges of the copy with the manifest.
+	 *
+	 * @param RangeReadableStorageAdapterInterface $adapter     Destination adapter.
+	 * @param string                               $remote_path Remote path of the backup.
+	 * @param array                                $samples     Sample ranges from the manifest.
+	 * @return array Verification status.
+	 */
+	private function verify_ranges( RangeReadableStorageAdapterInterface $adapter, string $remote_path, array $samples ): array {
+		foreach ( $samples as $sample ) {
+			$data = $adapter->read_range( $remote_path, (int) $sample['offset'], (int) $sample['length'] );
+
+			if ( null === $data ) {
+				return $this->status( self::STATUS_UNVERIFIED, 'ranges', __( 'The stored copy could not be read back.', 'swish-migrate-and-backup' ) );
+			}
+
+			if ( ! hash_equals( $sample['sha256'], hash( 'sha256', $data ) ) ) {
+				return $this->status(
+					self::STATUS_MISMATCH,
+					'ranges',
+					/* translators: 1: first byte offset, 2: last byte offset. */
+					sprintf( __( 'Bytes %1$d to %2$d of the stored copy differ.', 'swish-migrate-and-backup' ), (int) $sample['offset'], (int) $sample['offset'] + (int) $sample['length'] - 1 )
+				);
+			}
+		}
+
+		return $this->status( self::STATUS_SAMPLED, 'ranges' );
+	}
+
+	/**
+	 * Download the whole copy and compare its SHA-256 with the manifest.
+	 *
+	 * @param StorageAdapterInterface $adapter     Destination adapter.
+	 * @param string                  $remote_path Remote path of the backup.
+	 * @param array                   $manifest    Integrity manifest.
+	 * @return array Verification status.
+	 */
+	private function verify_download( StorageAdapterInterface $adapter, string $remote_path, array $manifest ): array {
+		$temp = $this->get_temp_file( basename( $remote_path ) );
+
+		if ( null === $temp ) {
+			return $this->status( self::STATUS_UNVERIFIED, 'download', __( 'No temporary file could be created.', 'swish-migrate-and-backup' ) );
+		}
+
+		try {
+			if ( ! $adapter->download( $remote_path, $temp ) ) {
+				return $this->status( self::STATUS_UNVERIFIED, 'download', __( 'The stored copy could not be downloaded.', 'swish-migrate-and-backup' ) );
+			}
+
+			return hash_equals( $manifest['sha256'], (string) hash_file( 'sha256', $temp ) )
+				? $this->status( self::STATUS_VERIFIED, 'download' )
+				: $this->status( self::STATUS_MISMATCH, 'download', __( 'The SHA-256 of the stored copy differs.', 'swish-migrate-and-backup' ) );
+		} finally {
+			wp_delete_file( $temp );
+		}
+	}
+
+	/**
+	 * Get the sample ranges of a file: its start, middle and end, or the
+	 * whole file when it is small.
+	 *
+	 * @param int $size File size in bytes.
+	 * @return array<int, array{0: int, 1: int}> Offset and length pairs.
+	 */
+	private function get_sample_ranges( int $size ): array {
+		if ( 0 === $size ) {
+			return array();
+		}
+
+		if ( $size <= 3 * self::SAMPLE_SIZE ) {
+			return array( array( 0, $size ) );
+		}
+
+		return array(
+			array( 0, self::SAMPLE_SIZE ),
+			array( intdiv( $size - self::SAMPLE_SIZE, 2 ), self::SAMPLE_SIZE ),
+			array( $size - self::SAMPLE_SIZE, self::SAMPLE_SIZE ),
+		);
+	}
+
+	/**
+	 * Create a temporary file.
+	 *
+	 * @param string $name Name hint.
+	 * @return string|null Path, or null on failure.
+	 */
+	private function get_temp_file( string $name ): ?string {
+		if ( ! function_exists( 'wp_tempnam' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+		}
+
+		$temp = wp_tempnam( $name );
+
+		return $temp ? $temp : null;
+	}
+}
@@ -107,9 +107,12 @@ abstract class AbstractStorageAdapter implements StorageAdapterInterface {
 
 	/**
 	 * {@inheritdoc}
+	 *
+	 * Fields left out of $settings keep their saved values, so a form can
+	 * leave secrets blank without clearing them.
 	 */
 	public function save_settings( array $settings ): bool {
-		$sanitized = $this->sanitize_settings( $settings );
+		$sanitized = array_merge( $this->get_settings(), $this->sanitize_settings( $settings ) );
 		$result    = update_option( $this->option_name, $sanitized );
 
 		if ( $result ) {
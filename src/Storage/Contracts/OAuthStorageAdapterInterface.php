@@ -0,0 +1,42 @@
+<?php
+/**
+ * OAuth Storage Adapter Interface.
+ *
+ * @package SwishMigrateAndBackup\Storage\Contracts
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Storage\Contracts;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Interface for storage adapters that connect to an account through OAuth.
+ *
+ * The app credentials are saved as regular settings first; the adapter
+ * then builds the provider's sign-in URL from them and stores the tokens
+ * it receives for the returned authorization code.
+ */
+interface OAuthStorageAdapterInterface extends StorageAdapterInterface {
+
+	/**
+	 * Get the provider's authorization URL.
+	 *
+	 * @param string $redirect_uri Redirect URI after authorization.
+	 * @return string|null Authorization URL, or null if the app credentials are not saved.
+	 */
+	public function get_oauth_url( string $redirect_uri ): ?string;
+
+	/**
+	 * Exchange an authorization code for tokens and save them.
+	 *
+	 * @param string $code         Authorization code.
+	 * @param string $redirect_uri Redirect URI used for the authorization.
+	 * @return bool True if the account was connected.
+	 */
+	public function complete_oauth( string $code, string $redirect_uri ): bool;
+}
@@ -0,0 +1,34 @@
+<?php
+/**
+ * Range Readable Storage Adapter Interface.
+ *
+ * @package SwishMigrateAndBackup\Storage\Contracts
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Storage\Contracts;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Interface for storage adapters that can read part of a stored file.
+ *
+ * Backup verification reads a few byte ranges of the remote copy instead
+ * of downloading all of it.
+ */
+interface RangeReadableStorageAdapterInterface extends StorageAdapterInterface {
+
+	/**
+	 * Read a byte range of a stored file.
+	 *
+	 * @param string $remote_path Remote file path.
+	 * @param int    $offset      Offset of the first byte.
+	 * @param int    $length      Number of bytes to read.
+	 * @return string|null The bytes, or null if they cannot be read.
+	 */
+	public function read_range( string $remote_path, int $offset, int $length ): ?string;
+}
@@ -15,6 +15,8 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use SwishMigrateAndBackup\Storage\Contracts\AbstractStorageAdapter;
+use SwishMigrateAndBackup\Storage\Contracts\OAuthStorageAdapterInterface;
+use SwishMigrateAndBackup\Storage\Contracts\RangeReadableStorageAdapterInterface;
 use SwishMigrateAndBackup\Logger\Logger;
 use SwishMigrateAndBackup\Security\Encryption;
 
@@ -23,7 +25,7 @@ use SwishMigrateAndBackup\Security\Encryption;
  *
  * Implements Dropbox API v2 for file storage operations.
  */
-final class DropboxAdapter extends AbstractStorageAdapter {
+final class DropboxAdapter extends AbstractStorageAdapter implements OAuthStorageAdapterInterface, RangeReadableStorageAdapterInterface {
 
 	/**
 	 * Dropbox API base URL.
@@ -35,6 +37,11 @@ final class DropboxAdapter extends AbstractStorageAdapter {
 	 */
 	private const CONTENT_URL = 'https://content.dropboxapi.com/2';
 
+	/**
+	 * Dropbox OAuth token URL.
+	 */
+	private const TOKEN_URL = 'https://api.dropboxapi.com/oauth2/token';
+
 	/**
 	 * Encryption service.
 	 *
@@ -286,6 +293,34 @@ final class DropboxAdapter extends AbstractStorageAdapter {
 		}
 	}
 
+	/**
+	 * {@inheritdoc}
+	 */
+	public function read_range( string $remote_path, int $offset, int $length ): ?string {
+		try {
+			$response = wp_remote_post(
+				self::CONTENT_URL . '/files/download',
+				array(
+					'headers' => array(
+						'Authorization'   => 'Bearer ' . $this->get_access_token(),
+						'Dropbox-API-Arg' => wp_json_encode( array( 'path' => $this->format_path( $remote_path ) ) ),
+						'Range'           => sprintf( 'bytes=%d-%d', $offset, $offset + $length - 1 ),
+					),
+					'timeout' => 300,
+				)
+			);
+
+			if ( is_wp_error( $response ) || 206 !== wp_remote_retrieve_response_code( $response ) ) {
+				return null;
+			}
+
+			return wp_remote_retrieve_body( $response );
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'Dropbox range read exception: ' . $e->getMessage() );
+			return null;
+		}
+	}
+
 	/**
 	 * {@inheritdoc}
 	 */
@@ -407,12 +442,23 @@ final class DropboxAdapter extends AbstractStorageAdapter {
 	 */
 	public function get_settings_fields(): array {
 		return array(
+			array(
+				'name'        => 'app_key',
+				'label'       => __( 'App Key', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Your Dropbox app key, needed to connect with your Dropbox account.', 'swish-migrate-and-backup' ),
+			),
+			array(
+				'name'        => 'app_secret',
+				'label'       => __( 'App Secret', 'swish-migrate-and-backup' ),
+				'type'        => 'password',
+				'description' => __( 'Your Dropbox app secret.', 'swish-migrate-and-backup' ),
+			),
 			array(
 				'name'        => 'access_token',
 				'label'       => __( 'Access Token', 'swish-migrate-and-backup' ),
 				'type'        => 'password',
-				'description' => __( 'Your Dropbox access token. Generate one from the Dropbox App Console.', 'swish-migrate-and-backup' ),
-				'required'    => true,
+				'description' => __( 'Set when you connect your Dropbox account. You can also paste a token generated in the Dropbox App Console.', 'swish-migrate-and-backup' ),
 			),
 			array(
 				'name'        => 'folder_path',
@@ -421,6 +467,14 @@ final class DropboxAdapter extends AbstractStorageAdapter {
 				'description' => __( 'Folder path for storing backups (e.g., /Backups/MySite).', 'swish-migrate-and-backup' ),
 				'default'     => '/SwishBackups',
 			),
+			array(
+				'name' => 'refresh_token',
+				'type' => 'hidden',
+			),
+			array(
+				'name' => 'token_expires',
+				'type' => 'hidden',
+			),
 		);
 	}
 
@@ -428,9 +482,19 @@ final class DropboxAdapter extends AbstractStorageAdapter {
 	 * {@inheritdoc}
 	 */
 	public function save_settings( array $settings ): bool {
-		// Encrypt access token.
-		if ( ! empty( $settings['access_token'] ) ) {
-			$settings['access_token'] = $this->encryption->encrypt( $settings['access_token'] );
+		// Encrypt sensitive fields.
+		$sensitive_fields = array( 'app_secret', 'access_token', 'refresh_token' );
+
+		foreach ( $sensitive_fields as $field ) {
+			if ( ! empty( $settings[ $field ] ) ) {
+				$settings[ $field ] = $this->encryption->encrypt( $settings[ $field ] );
+			}
+		}
+
+		// A pasted token replaces the connected account's tokens.
+		if ( ! empty( $settings['access_token'] ) && ! isset( $settings['refresh_token'] ) ) {
+			$settings['refresh_token'] = '';
+			$settings['token_expires'] = '';
 		}
 
 		return parent::save_settings( $settings );
@@ -471,7 +535,7 @@ final class DropboxAdapter extends AbstractStorageAdapter {
 		string $redirect_uri
 	): ?array {
 		$response = wp_remote_post(
-			'https://api.dropboxapi.com/oauth2/token',
+			self::TOKEN_URL,
 			array(
 				'body' => array(
 					'code'         => $code,
@@ -492,15 +556,101 @@ final class DropboxAdapter extends AbstractStorageAdapter {
 	}
 
 	/**
-	 * Get the access token.
+	 * {@inheritdoc}
+	 */
+	public function get_oauth_url( string $redirect_uri ): ?string {
+		$settings = $this->get_settings();
+
+		if ( empty( $settings['app_key'] ) || empty( $settings['app_secret'] ) ) {
+			return null;
+		}
+
+		return $this->get_auth_url( $settings['app_key'], $redirect_uri );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function complete_oauth( string $code, string $redirect_uri ): bool {
+		$settings = $this->get_settings();
+		$token    = $this->exchange_code_for_token(
+			$code,
+			$settings['app_key'] ?? '',
+			$this->encryption->decrypt( $settings['app_secret'] ?? '' ),
+			$redirect_uri
+		);
+
+		if ( null === $token ) {
+			return $this->log_error( 'Dropbox authorization failed' );
+		}
+
+		return $this->save_settings(
+			array(
+				'access_token'  => $token['access_token'],
+				'refresh_token' => $token['refresh_token'] ?? '',
+				'token_expires' => isset( $token['expires_in'] ) ? time() + (int) $token['expires_in'] : '',
+			)
+		);
+	}
+
+	/**
+	 * Get the access token, refreshing it first if it is about to expire.
+	 *
+	 * Tokens pasted from the App Console have no expiry and are used as is.
 	 *
 	 * @return string
+	 * @throws \RuntimeException If token refresh fails.
 	 */
 	private function get_access_token(): string {
 		$settings = $this->get_settings();
+		$expires  = (int) ( $settings['token_expires'] ?? 0 );
+
+		// Refresh if token expires in less than 5 minutes.
+		if ( $expires > 0 && $expires <= ( time() + 300 ) && ! empty( $settings['refresh_token'] ) ) {
+			$this->refresh_access_token();
+			$settings = $this->get_settings();
+		}
+
 		return $this->encryption->decrypt( $settings['access_token'] ?? '' );
 	}
 
+	/**
+	 * Get a new short-lived access token with the refresh token.
+	 *
+	 * @return void
+	 * @throws \RuntimeException If token refresh fails.
+	 */
+	private function refresh_access_token(): void {
+		$settings = $this->get_settings();
+
+		$response = wp_remote_post(
+			self::TOKEN_URL,
+			array(
+				'body' => array(
+					'grant_type'    => 'refresh_token',
+					'refresh_token' => $this->encryption->decrypt( $settings['refresh_token'] ),
+					'client_id'     => $settings['app_key'] ?? '',
+					'client_secret' => $this->encryption->decrypt( $settings['app_secret'] ?? '' ),
+				),
+			)
+		);
+
+		if ( is_wp_error( $response ) ) {
+			throw new \RuntimeException( 'Token refresh failed: ' . esc_html( $response->get_error_message() ) );
+		}
+
+		$body = json_decode( wp_remote_retrieve_body( $response ), true );
+
+		if ( ! isset( $body['access_token'] ) ) {
+			throw new \RuntimeException( 'Token refresh failed: no access token in response' );
+		}
+
+		$settings['access_token']  = $this->encryption->encrypt( $body['access_token'] );
+		$settings['token_expires'] = time() + (int) ( $body['expires_in'] ?? 14400 );
+
+		parent::save_settings( $settings );
+	}
+
 	/**
 	 * Format a path for Dropbox API.
 	 *
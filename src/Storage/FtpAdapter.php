@@ -0,0 +1,526 @@
+<?php
+/**
+ * FTP Storage Adapter.
+ *
+ * @package SwishMigrateAndBackup\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Storage;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use SwishMigrateAndBackup\Storage\Contracts\AbstractStorageAdapter;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Security\Encryption;
+
+/**
+ * FTP and FTPS storage adapter.
+ *
+ * Uses the PHP ftp extension. Connections use explicit TLS (FTPS) unless
+ * plain FTP is chosen in the settings. Uploads run in non-blocking mode,
+ * so progress can be reported while the file is sent.
+ */
+final class FtpAdapter extends AbstractStorageAdapter {
+
+	/**
+	 * Suffix of a file while it is being uploaded.
+	 */
+	private const PARTIAL_SUFFIX = '.part';
+
+	/**
+	 * Connection timeout in seconds.
+	 */
+	private const TIMEOUT = 30;
+
+	/**
+	 * Encryption service.
+	 *
+	 * @var Encryption
+	 */
+	private Encryption $encryption;
+
+	/**
+	 * Open connection.
+	 *
+	 * @var \FTP\Connection|null
+	 */
+	private ?\FTP\Connection $connection = null;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Logger     $logger     Logger instance.
+	 * @param Encryption $encryption Encryption service.
+	 */
+	public function __construct( Logger $logger, Encryption $encryption ) {
+		parent::__construct( $logger );
+		$this->encryption = $encryption;
+	}
+
+	/**
+	 * Close the connection.
+	 */
+	public function __destruct() {
+		if ( null !== $this->connection ) {
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			@ftp_close( $this->connection );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_id(): string {
+		return 'ftp';
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_name(): string {
+		return __( 'FTP / FTPS', 'swish-migrate-and-backup' );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function is_configured(): bool {
+		$settings = $this->get_settings();
+		return ! empty( $settings['host'] ) &&
+			! empty( $settings['username'] ) &&
+			! empty( $settings['password'] );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function connect(): bool {
+		if ( ! $this->is_configured() ) {
+			return false;
+		}
+
+		try {
+			$connection = $this->get_connection();
+			$this->make_directory( $this->get_base_path() );
+
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			return @ftp_chdir( $connection, $this->get_base_path() );
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'FTP connection failed: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function upload( string $local_path, string $remote_path ): bool {
+		return $this->upload_chunked( $local_path, $remote_path );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 *
+	 * The file is sent under a temporary name and renamed when complete,
+	 * so an interrupted upload never leaves a truncated backup behind.
+	 * Progress is reported each time another $chunk_size bytes are sent.
+	 */
+	public function upload_chunked(
+		string $local_path,
+		string $remote_path,
+		int $chunk_size = 5242880,
+		?callable $progress_callback = null
+	): bool {
+		if ( ! file_exists( $local_path ) ) {
+			return $this->log_error( 'Source file does not exist', array( 'path' => $local_path ) );
+		}
+
+		$file_size    = filesize( $local_path );
+		$total_chunks = max( 1, (int) ceil( $file_size / $chunk_size ) );
+		$target       = $this->get_full_path( $remote_path );
+		$partial      = $target . self::PARTIAL_SUFFIX;
+
+		try {
+			$connection = $this->get_connection();
+			$this->make_directory( dirname( $target ) );
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+			$source = fopen( $local_path, 'rb' );
+
+			if ( ! $source ) {
+				return $this->log_error( 'Failed to open file for reading' );
+			}
+
+			$reported = 0;
+			$status   = ftp_nb_fput( $connection, $partial, $source, FTP_BINARY );
+
+			while ( FTP_MOREDATA === $status ) {
+				$chunk_num = min( $total_chunks, (int) floor( ftell( $source ) / $chunk_size ) );
+
+				if ( $progress_callback && $chunk_num > $reported ) {
+					$reported = $chunk_num;
+					$progress_callback( (int) ( ( $chunk_num / $total_chunks ) * 100 ), $chunk_num, $total_chunks );
+				}
+
+				$status = ftp_nb_continue( $connection );
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $source );
+
+			if ( FTP_FINISHED !== $status ) {
+				// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+				@ftp_delete( $connection, $partial );
+				return $this->log_error( 'FTP upload failed', array( 'path' => $partial ) );
+			}
+
+			if ( $progress_callback && $reported < $total_chunks ) {
+				$progress_callback( 100, $total_chunks, $total_chunks );
+			}
+
+			// Not every server overwrites on rename.
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			@ftp_delete( $connection, $target );
+
+			if ( ! ftp_rename( $connection, $partial, $target ) ) {
+				return $this->log_error( 'Failed to rename uploaded file', array( 'path' => $target ) );
+			}
+
+			$this->logger->info( 'File uploaded to FTP', array(
+				'path' => $target,
+				'size' => $file_size,
+			) );
+
+			return true;
+		} catch ( \Exception $e ) {
+			return $this->log_error( 'FTP upload exception: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function download( string $remote_path, string $local_path ): bool {
+		try {
+			$local_dir = dirname( $local_path );
+			if ( ! is_dir( $local_dir ) && ! wp_mkdir_p( $local_dir ) ) {
+				return $this->log_error( 'Failed to create local directory' );
+			}
+
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			if ( ! @ftp_get( $this->get_connection(), $local_path, $this->get_full_path( $remote_path ), FTP_BINARY ) ) {
+				return $this->log_error( 'FTP download failed', array( 'path' => $remote_path ) );
+			}
+
+			return true;
+		} catch ( \Exception $e ) {
+			return $this->log_error( 'FTP download exception: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function delete( string $remote_path ): bool {
+		try {
+			$connection = $this->get_connection();
+			$path       = $this->get_full_path( $remote_path );
+
+			if ( -1 === ftp_size( $connection, $path ) ) {
+				return true; // Already deleted.
+			}
+
+			if ( ! ftp_delete( $connection, $path ) ) {
+				return $this->log_error( 'Failed to delete file', array( 'path' => $path ) );
+			}
+
+			$this->logger->info( 'File deleted from FTP', array( 'path' => $path ) );
+
+			return true;
+		} catch ( \Exception $e ) {
+			return $this->log_error( 'FTP delete exception: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function list( string $path = '' ): array {
+		try {
+			$connection = $this->get_connection();
+			$directory  = $this->get_full_path( $path );
+			$prefix     = '' !== $this->normalize_path( $path ) ? $this->normalize_path( $path ) . '/' : '';
+
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			$entries = @ftp_mlsd( $connection, $directory );
+
+			if ( false === $entries ) {
+				$entries = $this->list_without_mlsd( $directory );
+			}
+
+			$files = array();
+			foreach ( $entries as $entry ) {
+				if ( in_array( $entry['type'], array( 'cdir', 'pdir' ), true ) || in_array( $entry['name'], array( '.', '..' ), true ) ) {
+					continue;
+				}
+
+				$is_directory = 'dir' === $entry['type'];
+
+				$files[] = array(
+					'name'         => $entry['name'],
+					'path'         => $prefix . $entry['name'],
+					'size'         => $is_directory ? 0 : (int) ( $entry['size'] ?? 0 ),
+					'modified'     => isset( $entry['modify'] ) ? $this->parse_modify_time( $entry['modify'] ) : 0,
+					'is_directory' => $is_directory,
+				);
+			}
+
+			// Sort by modification time, newest first.
+			usort( $files, fn( $a, $b ) => $b['modified'] <=> $a['modified'] );
+
+			return $files;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'FTP list exception: ' . $e->getMessage() );
+			return array();
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_metadata( string $remote_path ): ?array {
+		try {
+			$connection = $this->get_connection();
+			$path       = $this->get_full_path( $remote_path );
+			$size       = ftp_size( $connection, $path );
+
+			if ( -1 === $size ) {
+				return null;
+			}
+
+			$modified = ftp_mdtm( $connection, $path );
+
+			return array(
+				'name'     => basename( $remote_path ),
+				'path'     => $remote_path,
+				'size'     => $size,
+				'modified' => max( 0, $modified ),
+			);
+		} catch ( \Exception $e ) {
+			return null;
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_settings_fields(): array {
+		return array(
+			array(
+				'name'        => 'host',
+				'label'       => __( 'Host', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Host name or IP address of the FTP server.', 'swish-migrate-and-backup' ),
+				'required'    => true,
+			),
+			array(
+				'name'    => 'port',
+				'label'   => __( 'Port', 'swish-migrate-and-backup' ),
+				'type'    => 'number',
+				'default' => 21,
+			),
+			array(
+				'name'     => 'username',
+				'label'    => __( 'Username', 'swish-migrate-and-backup' ),
+				'type'     => 'text',
+				'required' => true,
+			),
+			array(
+				'name'     => 'password',
+				'label'    => __( 'Password', 'swish-migrate-and-backup' ),
+				'type'     => 'password',
+				'required' => true,
+			),
+			array(
+				'name'        => 'encryption',
+				'label'       => __( 'Encryption', 'swish-migrate-and-backup' ),
+				'type'        => 'select',
+				'options'     => array(
+					'tls'  => __( 'Explicit TLS (FTPS)', 'swish-migrate-and-backup' ),
+					'none' => __( 'None (plain FTP)', 'swish-migrate-and-backup' ),
+				),
+				'description' => __( 'Plain FTP sends the password and backups unencrypted. Use it only on a trusted network.', 'swish-migrate-and-backup' ),
+				'default'     => 'tls',
+			),
+			array(
+				'name'        => 'passive',
+				'label'       => __( 'Passive Mode', 'swish-migrate-and-backup' ),
+				'type'        => 'checkbox',
+				'description' => __( 'Use passive mode. Needed by most servers behind a firewall or NAT.', 'swish-migrate-and-backup' ),
+				'default'     => true,
+			),
+			array(
+				'name'        => 'remote_path',
+				'label'       => __( 'Backup Folder', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Folder on the server for storing backups (e.g., /backups/mysite).', 'swish-migrate-and-backup' ),
+				'default'     => '/SwishBackups',
+			),
+		);
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function save_settings( array $settings ): bool {
+		// Encrypt password.
+		if ( ! empty( $settings['password'] ) ) {
+			$settings['password'] = $this->encryption->encrypt( $settings['password'] );
+		}
+
+		$this->connection = null;
+
+		return parent::save_settings( $settings );
+	}
+
+	/**
+	 * Get the connection, connecting and signing in on first use.
+	 *
+	 * @return \FTP\Connection
+	 * @throws \RuntimeException If the connection or sign-in fails.
+	 */
+	private function get_connection(): \FTP\Connection {
+		if ( null !== $this->connection ) {
+			return $this->connection;
+		}
+
+		$settings = $this->get_settings();
+		$host     = $settings['host'] ?? '';
+		$port     = (int) ( $settings['port'] ?? 21 );
+		$port     = $port > 0 ? $port : 21;
+		$use_tls  = 'none' !== ( $settings['encryption'] ?? 'tls' );
+
+		if ( ! function_exists( 'ftp_connect' ) ) {
+			throw new \RuntimeException( 'The PHP ftp extension is not installed' );
+		}
+
+		if ( $use_tls && ! function_exists( 'ftp_ssl_connect' ) ) {
+			throw new \RuntimeException( 'The PHP ftp extension was built without TLS support' );
+		}
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		$connection = $use_tls ? @ftp_ssl_connect( $host, $port, self::TIMEOUT ) : @ftp_connect( $host, $port, self::TIMEOUT );
+
+		if ( ! $connection ) {
+			throw new \RuntimeException( 'Could not connect to ' . esc_html( $host ) );
+		}
+
+		$username = $settings['username'] ?? '';
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		if ( ! @ftp_login( $connection, $username, $this->encryption->decrypt( $settings['password'] ?? '' ) ) ) {
+			ftp_close( $connection );
+			throw new \RuntimeException( 'Authentication failed for ' . esc_html( $username ) );
+		}
+
+		if ( $settings['passive'] ?? true ) {
+			ftp_pasv( $connection, true );
+		}
+
+		$this->connection = $connection;
+
+		return $this->connection;
+	}
+
+	/**
+	 * List a directory on servers without MLSD support.
+	 *
+	 * @param string $directory Absolute server path.
+	 * @return array Entries shaped like ftp_mlsd() output.
+	 * @throws \RuntimeException If the connection fails.
+	 */
+	private function list_without_mlsd( string $directory ): array {
+		$connection = $this->get_connection();
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		$names = @ftp_nlist( $connection, $directory );
+
+		if ( false === $names ) {
+			return array();
+		}
+
+		$entries = array();
+		foreach ( $names as $name ) {
+			$name = basename( $name );
+			$size = ftp_size( $connection, $directory . '/' . $name );
+
+			// Directories have no size.
+			$entries[] = array(
+				'name' => $name,
+				'type' => -1 === $size ? 'dir' : 'file',
+				'size' => max( 0, $size ),
+			);
+		}
+
+		return $entries;
+	}
+
+	/**
+	 * Parse an MLSD modify fact (YYYYMMDDHHMMSS, UTC).
+	 *
+	 * @param string $modify Modify fact.
+	 * @return int Unix timestamp, or 0 if it cannot be parsed.
+	 */
+	private function parse_modify_time( string $modify ): int {
+		$time = \DateTimeImmutable::createFromFormat( 'YmdHis', substr( $modify, 0, 14 ), new \DateTimeZone( 'UTC' ) );
+		return $time ? $time->getTimestamp() : 0;
+	}
+
+	/**
+	 * Get the backup folder on the server.
+	 *
+	 * @return string Absolute path without a trailing slash.
+	 */
+	private function get_base_path(): string {
+		$settings = $this->get_settings();
+		return '/' . $this->normalize_path( $settings['remote_path'] ?? '/SwishBackups' );
+	}
+
+	/**
+	 * Get the absolute server path of a path in the backup folder.
+	 *
+	 * @param string $remote_path Path relative to the backup folder.
+	 * @return string
+	 */
+	private function get_full_path( string $remote_path ): string {
+		$remote_path = $this->normalize_path( $remote_path );
+		return rtrim( $this->get_base_path(), '/' ) . ( '' !== $remote_path ? '/' . $remote_path : '' );
+	}
+
+	/**
+	 * Create a directory and its parents if they do not exist.
+	 *
+	 * @param string $directory Absolute server path.
+	 * @return void
+	 * @throws \RuntimeException If the connection fails.
+	 */
+	private function make_directory( string $directory ): void {
+		$connection = $this->get_connection();
+		$current    = '';
+
+		foreach ( array_filter( explode( '/', $directory ), 'strlen' ) as $segment ) {
+			$current .= '/' . $segment;
+
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			if ( ! @ftp_chdir( $connection, $current ) ) {
+				// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+				@ftp_mkdir( $connection, $current );
+			}
+		}
+	}
+}
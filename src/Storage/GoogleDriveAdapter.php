@@ -15,6 +15,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use SwishMigrateAndBackup\Storage\Contracts\AbstractStorageAdapter;
+use SwishMigrateAndBackup\Storage\Contracts\OAuthStorageAdapterInterface;
 use SwishMigrateAndBackup\Logger\Logger;
 use SwishMigrateAndBackup\Security\Encryption;
 
@@ -23,7 +24,7 @@ use SwishMigrateAndBackup\Security\Encryption;
  *
  * Implements Google Drive API v3 for file storage operations.
  */
-final class GoogleDriveAdapter extends AbstractStorageAdapter {
+final class GoogleDriveAdapter extends AbstractStorageAdapter implements OAuthStorageAdapterInterface {
 
 	/**
 	 * Google Drive API base URL.
@@ -422,6 +423,7 @@ final class GoogleDriveAdapter extends AbstractStorageAdapter {
 				'size'     => (int) ( $response['size'] ?? 0 ),
 				'modified' => strtotime( $response['modifiedTime'] ?? '' ),
 				'checksum' => $response['md5Checksum'] ?? '',
+				'md5'      => $response['md5Checksum'] ?? '',
 				'id'       => $response['id'],
 			);
 		} catch ( \Exception $e ) {
@@ -597,6 +599,20 @@ final class GoogleDriveAdapter extends AbstractStorageAdapter {
 		return false;
 	}
 
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_oauth_url( string $redirect_uri ): ?string {
+		return $this->get_auth_url( $redirect_uri );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function complete_oauth( string $code, string $redirect_uri ): bool {
+		return $this->exchange_code_for_token( $code, $redirect_uri );
+	}
+
 	/**
 	 * Get the access token.
 	 *
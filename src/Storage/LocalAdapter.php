@@ -15,12 +15,13 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use SwishMigrateAndBackup\Storage\Contracts\AbstractStorageAdapter;
+use SwishMigrateAndBackup\Storage\Contracts\RangeReadableStorageAdapterInterface;
 use SwishMigrateAndBackup\Logger\Logger;
 
 /**
  * Local filesystem storage adapter.
  */
-final class LocalAdapter extends AbstractStorageAdapter {
+final class LocalAdapter extends AbstractStorageAdapter implements RangeReadableStorageAdapterInterface {
 
 	/**
 	 * Backup directory path.
@@ -336,6 +337,31 @@ final class LocalAdapter extends AbstractStorageAdapter {
 		return true;
 	}
 
+	/**
+	 * {@inheritdoc}
+	 */
+	public function read_range( string $remote_path, int $offset, int $length ): ?string {
+		$file_path = $this->get_full_path( $remote_path );
+
+		if ( ! is_file( $file_path ) ) {
+			return null;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		$handle = fopen( $file_path, 'rb' );
+
+		if ( ! $handle ) {
+			return null;
+		}
+
+		$data = stream_get_contents( $handle, $length, $offset );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $handle );
+
+		return false !== $data ? $data : null;
+	}
+
 	/**
 	 * {@inheritdoc}
 	 */
@@ -413,12 +439,15 @@ final class LocalAdapter extends AbstractStorageAdapter {
 			return null;
 		}
 
+		$md5 = md5_file( $file_path );
+
 		return array(
 			'name'     => basename( $file_path ),
 			'path'     => $remote_path,
 			'size'     => filesize( $file_path ),
 			'modified' => filemtime( $file_path ),
-			'checksum' => md5_file( $file_path ),
+			'checksum' => $md5,
+			'md5'      => $md5,
 		);
 	}
 
@@ -15,16 +15,55 @@ if ( ! defined( 'ABSPATH' ) ) {
 }
 
 use SwishMigrateAndBackup\Storage\Contracts\AbstractStorageAdapter;
+use SwishMigrateAndBackup\Storage\Contracts\RangeReadableStorageAdapterInterface;
 use SwishMigrateAndBackup\Logger\Logger;
 use SwishMigrateAndBackup\Security\Encryption;
 
 /**
- * Amazon S3 storage adapter.
+ * Amazon S3 and S3-compatible storage adapter.
  *
  * Implements direct S3 API calls without requiring the AWS SDK.
  * This keeps the plugin lightweight and compatible with shared hosting.
+ * Presets fill in the endpoint of common S3-compatible services, and a
+ * custom endpoint reaches any other, such as a self-hosted MinIO.
  */
-final class S3Adapter extends AbstractStorageAdapter {
+final class S3Adapter extends AbstractStorageAdapter implements RangeReadableStorageAdapterInterface {
+
+	/**
+	 * Provider presets: endpoint template and region used when none is set.
+	 *
+	 * An empty endpoint means the provider needs a custom endpoint.
+	 */
+	private const PROVIDERS = array(
+		'aws'          => array(
+			'endpoint' => 's3.{region}.amazonaws.com',
+			'region'   => 'us-east-1',
+		),
+		'minio'        => array(
+			'endpoint' => '',
+			'region'   => 'us-east-1',
+		),
+		'backblaze'    => array(
+			'endpoint' => 's3.{region}.backblazeb2.com',
+			'region'   => 'us-west-004',
+		),
+		'wasabi'       => array(
+			'endpoint' => 's3.{region}.wasabisys.com',
+			'region'   => 'us-east-1',
+		),
+		'r2'           => array(
+			'endpoint' => '',
+			'region'   => 'auto',
+		),
+		'digitalocean' => array(
+			'endpoint' => '{region}.digitaloceanspaces.com',
+			'region'   => 'nyc3',
+		),
+		'custom'       => array(
+			'endpoint' => '',
+			'region'   => 'us-east-1',
+		),
+	);
 
 	/**
 	 * Encryption service.
@@ -34,11 +73,11 @@ final class S3Adapter extends AbstractStorageAdapter {
 	private Encryption $encryption;
 
 	/**
-	 * S3 API endpoint.
+	 * Resolved endpoint with scheme, host and base path.
 	 *
-	 * @var string|null
+	 * @var array{scheme: string, host: string, base_path: string}|null
 	 */
-	private ?string $endpoint = null;
+	private ?array $endpoint = null;
 
 	/**
 	 * Constructor.
@@ -62,7 +101,7 @@ final class S3Adapter extends AbstractStorageAdapter {
 	 * {@inheritdoc}
 	 */
 	public function get_name(): string {
-		return __( 'Amazon S3', 'swish-migrate-and-backup' );
+		return __( 'Amazon S3 / S3-Compatible', 'swish-migrate-and-backup' );
 	}
 
 	/**
@@ -337,6 +376,25 @@ final class S3Adapter extends AbstractStorageAdapter {
 		}
 	}
 
+	/**
+	 * {@inheritdoc}
+	 */
+	public function read_range( string $remote_path, int $offset, int $length ): ?string {
+		try {
+			$response = $this->make_request(
+				'GET',
+				$this->normalize_path( $remote_path ),
+				'',
+				array( 'Range' => sprintf( 'bytes=%d-%d', $offset, $offset + $length - 1 ) )
+			);
+
+			return 206 === $response['code'] ? $response['body'] : null;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'S3 range read exception: ' . $e->getMessage() );
+			return null;
+		}
+	}
+
 	/**
 	 * {@inheritdoc}
 	 */
@@ -354,8 +412,11 @@ final class S3Adapter extends AbstractStorageAdapter {
 	 */
 	public function list( string $path = '' ): array {
 		try {
-			$prefix = $path ? $this->normalize_path( $path ) . '/' : '';
-			$response = $this->make_request( 'GET', '?list-type=2&prefix=' . urlencode( $prefix ) );
+			// Bucket-level requests skip the path prefix, so it is added to the listing prefix here.
+			$root = trim( $this->get_settings()['path_prefix'] ?? '', '/' );
+			$prefix = implode( '/', array_filter( array( $root, $this->normalize_path( $path ) ), 'strlen' ) );
+			$prefix = '' !== $prefix ? $prefix . '/' : '';
+			$response = $this->make_request( 'GET', '?list-type=2&prefix=' . rawurlencode( $prefix ) );
 
 			if ( 200 !== $response['code'] ) {
 				return array();
@@ -369,10 +430,13 @@ final class S3Adapter extends AbstractStorageAdapter {
 				preg_match( '/<Size>([^<]+)<\/Size>/', $content, $size_match );
 				preg_match( '/<LastModified>([^<]+)<\/LastModified>/', $content, $modified_match );
 
-				if ( ! empty( $key_match[1] ) ) {
+				$key = html_entity_decode( $key_match[1] ?? '', ENT_QUOTES | ENT_XML1, 'UTF-8' );
+
+				// Skip folder placeholder objects.
+				if ( '' !== $key && ! str_ends_with( $key, '/' ) ) {
 					$files[] = array(
-						'name'         => basename( $key_match[1] ),
-						'path'         => $key_match[1],
+						'name'         => basename( $key ),
+						'path'         => '' !== $root ? substr( $key, strlen( $root ) + 1 ) : $key,
 						'size'         => (int) ( $size_match[1] ?? 0 ),
 						'modified'     => strtotime( $modified_match[1] ?? '' ),
 						'is_directory' => false,
@@ -417,28 +481,37 @@ final class S3Adapter extends AbstractStorageAdapter {
 	 */
 	public function get_download_url( string $remote_path, int $expiry = 3600 ): ?string {
 		$settings = $this->get_settings();
-		$bucket = $settings['bucket'] ?? '';
-		$region = $settings['region'] ?? 'us-east-1';
+		$region = $this->get_region();
 		$access_key = $this->encryption->decrypt( $settings['access_key'] ?? '' );
 		$secret_key = $this->encryption->decrypt( $settings['secret_key'] ?? '' );
+		$prefix = trim( $settings['path_prefix'] ?? '', '/' );
 
 		$remote_path = $this->normalize_path( $remote_path );
-		$expiry_time = time() + $expiry;
+
+		if ( '' !== $prefix ) {
+			$remote_path = $prefix . '/' . $remote_path;
+		}
+
+		try {
+			$endpoint = $this->get_endpoint();
+		} catch ( \Exception $e ) {
+			return null;
+		}
 
 		// Generate pre-signed URL using AWS Signature Version 4.
-		$host = $this->get_endpoint();
+		$host = $endpoint['host'];
 		$datetime = gmdate( 'Ymd\THis\Z' );
 		$date = gmdate( 'Ymd' );
 
 		$credential_scope = "{$date}/{$region}/s3/aws4_request";
-		$canonical_uri = '/' . $remote_path;
-		$canonical_query_string = http_build_query( array(
+		$canonical_uri = $this->get_canonical_uri( $endpoint['base_path'], $remote_path );
+		$canonical_query_string = $this->get_canonical_query( http_build_query( array(
 			'X-Amz-Algorithm'     => 'AWS4-HMAC-SHA256',
 			'X-Amz-Credential'    => $access_key . '/' . $credential_scope,
 			'X-Amz-Date'          => $datetime,
 			'X-Amz-Expires'       => $expiry,
 			'X-Amz-SignedHeaders' => 'host',
-		) );
+		) ) );
 
 		$canonical_request = "GET\n{$canonical_uri}\n{$canonical_query_string}\nhost:{$host}\n\nhost\nUNSIGNED-PAYLOAD";
 		$string_to_sign = "AWS4-HMAC-SHA256\n{$datetime}\n{$credential_scope}\n" . hash( 'sha256', $canonical_request );
@@ -450,7 +523,7 @@ final class S3Adapter extends AbstractStorageAdapter {
 		$signing_key = hash_hmac( 'sha256', 'aws4_request', $service_key, true );
 		$signature = hash_hmac( 'sha256', $string_to_sign, $signing_key );
 
-		return "https://{$host}{$canonical_uri}?{$canonical_query_string}&X-Amz-Signature={$signature}";
+		return "{$endpoint['scheme']}://{$host}{$canonical_uri}?{$canonical_query_string}&X-Amz-Signature={$signature}";
 	}
 
 	/**
@@ -458,45 +531,67 @@ final class S3Adapter extends AbstractStorageAdapter {
 	 */
 	public function get_settings_fields(): array {
 		return array(
+			array(
+				'name'        => 'provider',
+				'label'       => __( 'Provider', 'swish-migrate-and-backup' ),
+				'type'        => 'select',
+				'options'     => array(
+					'aws'          => 'Amazon S3',
+					'minio'        => 'MinIO',
+					'backblaze'    => 'Backblaze B2',
+					'wasabi'       => 'Wasabi',
+					'r2'           => 'Cloudflare R2',
+					'digitalocean' => 'DigitalOcean Spaces',
+					'custom'       => __( 'Other S3-compatible service', 'swish-migrate-and-backup' ),
+				),
+				'description' => __( 'Fills in the endpoint for the region. MinIO, Cloudflare R2 and other services need a Custom Endpoint.', 'swish-migrate-and-backup' ),
+				'default'     => 'aws',
+			),
 			array(
 				'name'        => 'access_key',
 				'label'       => __( 'Access Key ID', 'swish-migrate-and-backup' ),
 				'type'        => 'password',
-				'description' => __( 'Your AWS Access Key ID.', 'swish-migrate-and-backup' ),
+				'description' => __( 'The access key ID (on Backblaze B2, the application key ID).', 'swish-migrate-and-backup' ),
 				'required'    => true,
 			),
 			array(
 				'name'        => 'secret_key',
 				'label'       => __( 'Secret Access Key', 'swish-migrate-and-backup' ),
 				'type'        => 'password',
-				'description' => __( 'Your AWS Secret Access Key.', 'swish-migrate-and-backup' ),
+				'description' => __( 'The secret access key (on Backblaze B2, the application key).', 'swish-migrate-and-backup' ),
 				'required'    => true,
 			),
 			array(
 				'name'        => 'bucket',
 				'label'       => __( 'Bucket Name', 'swish-migrate-and-backup' ),
 				'type'        => 'text',
-				'description' => __( 'The S3 bucket to store backups in.', 'swish-migrate-and-backup' ),
+				'description' => __( 'The bucket to store backups in.', 'swish-migrate-and-backup' ),
 				'required'    => true,
 			),
 			array(
 				'name'        => 'region',
 				'label'       => __( 'Region', 'swish-migrate-and-backup' ),
-				'type'        => 'select',
-				'options'     => array(
-					'us-east-1'      => 'US East (N. Virginia)',
-					'us-east-2'      => 'US East (Ohio)',
-					'us-west-1'      => 'US West (N. California)',
-					'us-west-2'      => 'US West (Oregon)',
-					'eu-west-1'      => 'EU (Ireland)',
-					'eu-west-2'      => 'EU (London)',
-					'eu-west-3'      => 'EU (Paris)',
-					'eu-central-1'   => 'EU (Frankfurt)',
-					'ap-northeast-1' => 'Asia Pacific (Tokyo)',
-					'ap-southeast-1' => 'Asia Pacific (Singapore)',
-					'ap-southeast-2' => 'Asia Pacific (Sydney)',
-				),
-				'default'     => 'us-east-1',
+				'type'        => 'text',
+				'description' => __( 'For example eu-central-1 (Amazon S3, Wasabi), us-west-004 (Backblaze B2) or fra1 (DigitalOcean Spaces). Leave empty to use the provider\'s default.', 'swish-migrate-and-backup' ),
+			),
+			array(
+				'name'        => 'endpoint',
+				'label'       => __( 'Custom Endpoint', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Overrides the provider\'s endpoint, e.g. http://localhost:9000 for MinIO or https://ACCOUNT_ID.r2.cloudflarestorage.com for Cloudflare R2. Without a scheme, HTTPS is used.', 'swish-migrate-and-backup' ),
+			),
+			array(
+				'name'        => 'path_style',
+				'label'       => __( 'Path-Style Addressing', 'swish-migrate-and-backup' ),
+				'type'        => 'checkbox',
+				'description' => __( 'Address the bucket as endpoint/bucket instead of bucket.endpoint. Always used for MinIO.', 'swish-migrate-and-backup' ),
+				'default'     => false,
+			),
+			array(
+				'name'        => 'ca_bundle',
+				'label'       => __( 'CA Bundle Path', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Optional path on this server to a PEM file of trusted certificate authorities, for endpoints with a private or self-signed certificate.', 'swish-migrate-and-backup' ),
 			),
 			array(
 				'name'        => 'path_prefix',
@@ -505,12 +600,6 @@ final class S3Adapter extends AbstractStorageAdapter {
 				'description' => __( 'Optional folder path within the bucket.', 'swish-migrate-and-backup' ),
 				'default'     => 'backups',
 			),
-			array(
-				'name'        => 'endpoint',
-				'label'       => __( 'Custom Endpoint', 'swish-migrate-and-backup' ),
-				'type'        => 'text',
-				'description' => __( 'Custom S3-compatible endpoint (e.g., for MinIO, DigitalOcean Spaces).', 'swish-migrate-and-backup' ),
-			),
 		);
 	}
 
@@ -527,37 +616,131 @@ final class S3Adapter extends AbstractStorageAdapter {
 			}
 		}
 
+		$this->endpoint = null;
+
 		return parent::save_settings( $settings );
 	}
 
 	/**
-	 * Get the S3 endpoint.
+	 * Get the selected provider preset.
+	 *
+	 * @return string Provider key.
+	 */
+	private function get_provider(): string {
+		$provider = $this->get_settings()['provider'] ?? 'aws';
+		return isset( self::PROVIDERS[ $provider ] ) ? $provider : 'custom';
+	}
+
+	/**
+	 * Get the signing region, falling back to the provider's default.
 	 *
 	 * @return string
 	 */
-	private function get_endpoint(): string {
+	private function get_region(): string {
+		$region = trim( (string) ( $this->get_settings()['region'] ?? '' ) );
+		return '' !== $region ? $region : self::PROVIDERS[ $this->get_provider() ]['region'];
+	}
+
+	/**
+	 * Get the S3 endpoint.
+	 *
+	 * With virtual-hosted addressing the bucket is part of the host name;
+	 * with path-style addressing it is the first segment of the path.
+	 *
+	 * @return array{scheme: string, host: string, base_path: string}
+	 * @throws \RuntimeException If the provider needs a custom endpoint and none is set.
+	 */
+	private function get_endpoint(): array {
 		if ( $this->endpoint ) {
 			return $this->endpoint;
 		}
 
 		$settings = $this->get_settings();
+		$bucket = $settings['bucket'] ?? '';
+		$url = trim( (string) ( $settings['endpoint'] ?? '' ) );
 
-		if ( ! empty( $settings['endpoint'] ) ) {
-			$this->endpoint = $settings['endpoint'];
-		} else {
-			$bucket = $settings['bucket'] ?? '';
-			$region = $settings['region'] ?? 'us-east-1';
+		if ( '' === $url ) {
+			$url = str_replace( '{region}', $this->get_region(), self::PROVIDERS[ $this->get_provider() ]['endpoint'] );
+		}
 
-			if ( 'us-east-1' === $region ) {
-				$this->endpoint = "{$bucket}.s3.amazonaws.com";
-			} else {
-				$this->endpoint = "{$bucket}.s3.{$region}.amazonaws.com";
-			}
+		if ( '' === $url ) {
+			throw new \RuntimeException( 'A custom endpoint is required for this provider' );
 		}
 
+		if ( ! preg_match( '#^https?://#i', $url ) ) {
+			$url = 'https://' . $url;
+		}
+
+		$parts = wp_parse_url( $url );
+
+		if ( empty( $parts['host'] ) ) {
+			throw new \RuntimeException( 'Invalid endpoint: ' . esc_html( $url ) );
+		}
+
+		$host = $parts['host'] . ( isset( $parts['port'] ) ? ':' . $parts['port'] : '' );
+		$base_path = rtrim( $parts['path'] ?? '', '/' );
+
+		if ( ! empty( $settings['path_style'] ) || 'minio' === $this->get_provider() ) {
+			$base_path .= '/' . rawurlencode( $bucket );
+		} elseif ( ! str_starts_with( $host, $bucket . '.' ) ) {
+			// Older settings could hold an endpoint that already starts with the bucket.
+			$host = $bucket . '.' . $host;
+		}
+
+		$this->endpoint = array(
+			'scheme'    => strtolower( $parts['scheme'] ),
+			'host'      => $host,
+			'base_path' => $base_path,
+		);
+
 		return $this->endpoint;
 	}
 
+	/**
+	 * Build the URI-encoded canonical path of an object.
+	 *
+	 * @param string $base_path Base path of the endpoint.
+	 * @param string $key       Object key.
+	 * @return string
+	 */
+	private function get_canonical_uri( string $base_path, string $key ): string {
+		$key = implode( '/', array_map( 'rawurlencode', explode( '/', ltrim( $key, '/' ) ) ) );
+
+		if ( '' === $key ) {
+			return '' !== $base_path ? $base_path : '/';
+		}
+
+		return $base_path . '/' . $key;
+	}
+
+	/**
+	 * Build the canonical query string: parameters sorted by name and
+	 * encoded as RFC 3986, with "=" after parameters that have no value.
+	 *
+	 * @param string $query Query string.
+	 * @return string
+	 */
+	private function get_canonical_query( string $query ): string {
+		if ( '' === $query ) {
+			return '';
+		}
+
+		$params = array();
+		foreach ( explode( '&', $query ) as $pair ) {
+			list( $name, $value ) = array_pad( explode( '=', $pair, 2 ), 2, '' );
+			$params[ rawurlencode( urldecode( $name ) ) ] = rawurlencode( urldecode( $value ) );
+		}
+
+		ksort( $params, SORT_STRING );
+
+		$pairs = array();
+		foreach ( $params as $name => $value ) {
+			$pairs[] = $name . '=' . $value;
+		}
+
+		return implode( '&', $pairs );
+	}
+
 	/**
 	 * Make an authenticated S3 API request.
 	 *
@@ -566,6 +749,7 @@ final class S3Adapter extends AbstractStorageAdapter {
 	 * @param string $body    Request body.
 	 * @param array  $headers Additional headers.
 	 * @return array Response array with code, body, and headers.
+	 * @throws \RuntimeException If the endpoint or CA bundle is invalid or the request fails.
 	 */
 	private function make_request(
 		string $method,
@@ -576,7 +760,7 @@ final class S3Adapter extends AbstractStorageAdapter {
 		$settings = $this->get_settings();
 		$access_key = $this->encryption->decrypt( $settings['access_key'] ?? '' );
 		$secret_key = $this->encryption->decrypt( $settings['secret_key'] ?? '' );
-		$region = $settings['region'] ?? 'us-east-1';
+		$region = $this->get_region();
 		$prefix = $settings['path_prefix'] ?? '';
 
 		// Add prefix to path if set (except for bucket-level operations).
@@ -584,33 +768,39 @@ final class S3Adapter extends AbstractStorageAdapter {
 			$path = trim( $prefix, '/' ) . '/' . ltrim( $path, '/' );
 		}
 
-		$host = $this->get_endpoint();
+		$endpoint = $this->get_endpoint();
+		$host = $endpoint['host'];
 		$datetime = gmdate( 'Ymd\THis\Z' );
 		$date = gmdate( 'Ymd' );
 
 		// Parse path and query.
 		$parsed = wp_parse_url( '/' . ltrim( $path, '/' ) );
-		$canonical_uri = $parsed['path'] ?? '/';
-		$canonical_query = $parsed['query'] ?? '';
+		$canonical_uri = $this->get_canonical_uri( $endpoint['base_path'], $parsed['path'] ?? '' );
+		$canonical_query = $this->get_canonical_query( $parsed['query'] ?? '' );
 
-		// Build canonical headers.
-		$signed_headers = array( 'host', 'x-amz-content-sha256', 'x-amz-date' );
+		// Build canonical headers, which must be sorted by name.
 		$payload_hash = hash( 'sha256', $body );
-
-		$canonical_headers = "host:{$host}\n";
-		$canonical_headers .= "x-amz-content-sha256:{$payload_hash}\n";
-		$canonical_headers .= "x-amz-date:{$datetime}\n";
+		$header_values = array(
+			'host'                 => $host,
+			'x-amz-content-sha256' => $payload_hash,
+			'x-amz-date'           => $datetime,
+		);
 
 		foreach ( $headers as $key => $value ) {
 			$lower_key = strtolower( $key );
-			if ( ! in_array( $lower_key, $signed_headers, true ) ) {
-				$signed_headers[] = $lower_key;
-				$canonical_headers .= "{$lower_key}:" . trim( $value ) . "\n";
+			if ( ! isset( $header_values[ $lower_key ] ) ) {
+				$header_values[ $lower_key ] = trim( (string) $value );
 			}
 		}
 
-		sort( $signed_headers );
-		$signed_headers_str = implode( ';', $signed_headers );
+		ksort( $header_values );
+
+		$canonical_headers = '';
+		foreach ( $header_values as $key => $value ) {
+			$canonical_headers .= "{$key}:{$value}\n";
+		}
+
+		$signed_headers_str = implode( ';', array_keys( $header_values ) );
 
 		// Build canonical request.
 		$canonical_request = implode( "\n", array(
@@ -659,21 +849,30 @@ final class S3Adapter extends AbstractStorageAdapter {
 		);
 
 		// Make request.
-		$url = 'https://' . $host . $canonical_uri;
+		$url = $endpoint['scheme'] . '://' . $host . $canonical_uri;
 		if ( $canonical_query ) {
 			$url .= '?' . $canonical_query;
 		}
 
-		$response = wp_remote_request(
-			$url,
-			array(
-				'method'  => $method,
-				'headers' => $request_headers,
-				'body'    => $body,
-				'timeout' => 300,
-			)
+		$args = array(
+			'method'  => $method,
+			'headers' => $request_headers,
+			'body'    => $body,
+			'timeout' => 300,
 		);
 
+		$ca_bundle = trim( (string) ( $settings['ca_bundle'] ?? '' ) );
+
+		if ( '' !== $ca_bundle ) {
+			if ( ! is_readable( $ca_bundle ) ) {
+				throw new \RuntimeException( 'CA bundle is not readable: ' . esc_html( $ca_bundle ) );
+			}
+
+			$args['sslcertificates'] = $ca_bundle;
+		}
+
+		$response = wp_remote_request( $url, $args );
+
 		if ( is_wp_error( $response ) ) {
 			throw new \RuntimeException( esc_html( $response->get_error_message() ) );
 		}
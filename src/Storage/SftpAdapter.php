@@ -0,0 +1,586 @@
+<?php
+/**
+ * SFTP Storage Adapter.
+ *
+ * @package SwishMigrateAndBackup\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Storage;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use SwishMigrateAndBackup\Storage\Contracts\AbstractStorageAdapter;
+use SwishMigrateAndBackup\Storage\Contracts\RangeReadableStorageAdapterInterface;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Security\Encryption;
+
+/**
+ * SFTP storage adapter.
+ *
+ * Uses the PHP ssh2 extension and its ssh2.sftp:// stream wrapper, so
+ * files are streamed to and from the server without loading them into
+ * memory. Signs in with a password or with a key pair stored on this
+ * server.
+ */
+final class SftpAdapter extends AbstractStorageAdapter implements RangeReadableStorageAdapterInterface {
+
+	/**
+	 * Suffix of a file while it is being uploaded.
+	 */
+	private const PARTIAL_SUFFIX = '.part';
+
+	/**
+	 * Encryption service.
+	 *
+	 * @var Encryption
+	 */
+	private Encryption $encryption;
+
+	/**
+	 * SFTP subsystem of the open connection.
+	 *
+	 * @var resource|null
+	 */
+	private $sftp = null;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Logger     $logger     Logger instance.
+	 * @param Encryption $encryption Encryption service.
+	 */
+	public function __construct( Logger $logger, Encryption $encryption ) {
+		parent::__construct( $logger );
+		$this->encryption = $encryption;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_id(): string {
+		return 'sftp';
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_name(): string {
+		return __( 'SFTP', 'swish-migrate-and-backup' );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function is_configured(): bool {
+		$settings = $this->get_settings();
+
+		if ( empty( $settings['host'] ) || empty( $settings['username'] ) ) {
+			return false;
+		}
+
+		return 'key' === ( $settings['auth_method'] ?? 'password' )
+			? ! empty( $settings['private_key_path'] )
+			: ! empty( $settings['password'] );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function connect(): bool {
+		if ( ! $this->is_configured() ) {
+			return false;
+		}
+
+		try {
+			$this->make_directory( $this->get_base_path() );
+
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			return false !== @ssh2_sftp_stat( $this->get_sftp(), $this->get_base_path() );
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'SFTP connection failed: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function upload( string $local_path, string $remote_path ): bool {
+		return $this->upload_chunked( $local_path, $remote_path );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 *
+	 * The file is written under a temporary name and renamed when complete,
+	 * so an interrupted upload never leaves a truncated backup behind.
+	 */
+	public function upload_chunked(
+		string $local_path,
+		string $remote_path,
+		int $chunk_size = 5242880,
+		?callable $progress_callback = null
+	): bool {
+		if ( ! file_exists( $local_path ) ) {
+			return $this->log_error( 'Source file does not exist', array( 'path' => $local_path ) );
+		}
+
+		$file_size    = filesize( $local_path );
+		$total_chunks = max( 1, (int) ceil( $file_size / $chunk_size ) );
+		$target       = $this->get_full_path( $remote_path );
+		$partial      = $target . self::PARTIAL_SUFFIX;
+
+		try {
+			$sftp = $this->get_sftp();
+			$this->make_directory( dirname( $target ) );
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+			$source = fopen( $local_path, 'rb' );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen, WordPress.PHP.NoSilencedErrors.Discouraged
+			$dest = @fopen( $this->get_stream_url( $partial ), 'wb' );
+
+			if ( ! $source || ! $dest ) {
+				return $this->log_error( 'Failed to open file handles', array( 'path' => $partial ) );
+			}
+
+			$chunk_num = 0;
+			$written   = 0;
+			while ( ! feof( $source ) ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fread
+				$chunk = fread( $source, $chunk_size );
+
+				if ( ! $this->write_all( $dest, $chunk ) ) {
+					// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+					fclose( $source );
+					// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+					fclose( $dest );
+					// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+					@ssh2_sftp_unlink( $sftp, $partial );
+					return $this->log_error( 'SFTP write failed', array( 'path' => $partial ) );
+				}
+
+				$written += strlen( $chunk );
+				++$chunk_num;
+
+				if ( $progress_callback ) {
+					$progress = min( 100, (int) ( ( $chunk_num / $total_chunks ) * 100 ) );
+					$progress_callback( $progress, $chunk_num, $total_chunks );
+				}
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $source );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $dest );
+
+			// SFTP does not overwrite on rename.
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			@ssh2_sftp_unlink( $sftp, $target );
+
+			if ( ! ssh2_sftp_rename( $sftp, $partial, $target ) ) {
+				return $this->log_error( 'Failed to rename uploaded file', array( 'path' => $target ) );
+			}
+
+			$this->logger->info( 'File uploaded to SFTP', array(
+				'path'   => $target,
+				'size'   => $written,
+				'chunks' => $chunk_num,
+			) );
+
+			return true;
+		} catch ( \Exception $e ) {
+			return $this->log_error( 'SFTP upload exception: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function download( string $remote_path, string $local_path ): bool {
+		try {
+			$local_dir = dirname( $local_path );
+			if ( ! is_dir( $local_dir ) && ! wp_mkdir_p( $local_dir ) ) {
+				return $this->log_error( 'Failed to create local directory' );
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen, WordPress.PHP.NoSilencedErrors.Discouraged
+			$source = @fopen( $this->get_stream_url( $this->get_full_path( $remote_path ) ), 'rb' );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+			$dest = fopen( $local_path, 'wb' );
+
+			if ( ! $source || ! $dest ) {
+				return $this->log_error( 'Failed to open file handles', array( 'path' => $remote_path ) );
+			}
+
+			$copied = stream_copy_to_stream( $source, $dest );
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $source );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $dest );
+
+			return false !== $copied;
+		} catch ( \Exception $e ) {
+			return $this->log_error( 'SFTP download exception: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function read_range( string $remote_path, int $offset, int $length ): ?string {
+		try {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen, WordPress.PHP.NoSilencedErrors.Discouraged
+			$handle = @fopen( $this->get_stream_url( $this->get_full_path( $remote_path ) ), 'rb' );
+
+			if ( ! $handle ) {
+				return null;
+			}
+
+			$data = stream_get_contents( $handle, $length, $offset );
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $handle );
+
+			return false !== $data ? $data : null;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'SFTP range read exception: ' . $e->getMessage() );
+			return null;
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function delete( string $remote_path ): bool {
+		try {
+			$sftp = $this->get_sftp();
+			$path = $this->get_full_path( $remote_path );
+
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			if ( false === @ssh2_sftp_stat( $sftp, $path ) ) {
+				return true; // Already deleted.
+			}
+
+			if ( ! ssh2_sftp_unlink( $sftp, $path ) ) {
+				return $this->log_error( 'Failed to delete file', array( 'path' => $path ) );
+			}
+
+			$this->logger->info( 'File deleted from SFTP', array( 'path' => $path ) );
+
+			return true;
+		} catch ( \Exception $e ) {
+			return $this->log_error( 'SFTP delete exception: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function list( string $path = '' ): array {
+		try {
+			$sftp      = $this->get_sftp();
+			$directory = $this->get_full_path( $path );
+
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			$names = @scandir( $this->get_stream_url( $directory ) );
+
+			if ( false === $names ) {
+				return array();
+			}
+
+			$files = array();
+			foreach ( array_diff( $names, array( '.', '..' ) ) as $name ) {
+				// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+				$stat = @ssh2_sftp_stat( $sftp, $directory . '/' . $name );
+
+				if ( false === $stat ) {
+					continue;
+				}
+
+				$is_directory = 0040000 === ( $stat['mode'] & 0170000 );
+
+				$files[] = array(
+					'name'         => $name,
+					'path'         => ltrim( $this->normalize_path( $path ) . '/' . $name, '/' ),
+					'size'         => $is_directory ? 0 : (int) $stat['size'],
+					'modified'     => (int) $stat['mtime'],
+					'is_directory' => $is_directory,
+				);
+			}
+
+			// Sort by modification time, newest first.
+			usort( $files, fn( $a, $b ) => $b['modified'] <=> $a['modified'] );
+
+			return $files;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'SFTP list exception: ' . $e->getMessage() );
+			return array();
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_metadata( string $remote_path ): ?array {
+		try {
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			$stat = @ssh2_sftp_stat( $this->get_sftp(), $this->get_full_path( $remote_path ) );
+
+			if ( false === $stat ) {
+				return null;
+			}
+
+			return array(
+				'name'     => basename( $remote_path ),
+				'path'     => $remote_path,
+				'size'     => (int) $stat['size'],
+				'modified' => (int) $stat['mtime'],
+			);
+		} catch ( \Exception $e ) {
+			return null;
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_settings_fields(): array {
+		return array(
+			array(
+				'name'        => 'host',
+				'label'       => __( 'Host', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Host name or IP address of the SFTP server.', 'swish-migrate-and-backup' ),
+				'required'    => true,
+			),
+			array(
+				'name'    => 'port',
+				'label'   => __( 'Port', 'swish-migrate-and-backup' ),
+				'type'    => 'number',
+				'default' => 22,
+			),
+			array(
+				'name'     => 'username',
+				'label'    => __( 'Username', 'swish-migrate-and-backup' ),
+				'type'     => 'text',
+				'required' => true,
+			),
+			array(
+				'name'    => 'auth_method',
+				'label'   => __( 'Sign In With', 'swish-migrate-and-backup' ),
+				'type'    => 'select',
+				'options' => array(
+					'password' => __( 'Password', 'swish-migrate-and-backup' ),
+					'key'      => __( 'Key pair', 'swish-migrate-and-backup' ),
+				),
+				'default' => 'password',
+			),
+			array(
+				'name'        => 'password',
+				'label'       => __( 'Password', 'swish-migrate-and-backup' ),
+				'type'        => 'password',
+				'description' => __( 'Used when signing in with a password.', 'swish-migrate-and-backup' ),
+			),
+			array(
+				'name'        => 'private_key_path',
+				'label'       => __( 'Private Key File', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Absolute path on this server to the private key, outside the web root. Used when signing in with a key pair.', 'swish-migrate-and-backup' ),
+			),
+			array(
+				'name'        => 'public_key_path',
+				'label'       => __( 'Public Key File', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Absolute path to the public key. Defaults to the private key path with .pub added.', 'swish-migrate-and-backup' ),
+			),
+			array(
+				'name'        => 'key_passphrase',
+				'label'       => __( 'Key Passphrase', 'swish-migrate-and-backup' ),
+				'type'        => 'password',
+				'description' => __( 'Leave empty if the private key is not encrypted.', 'swish-migrate-and-backup' ),
+			),
+			array(
+				'name'        => 'host_fingerprint',
+				'label'       => __( 'Host Key Fingerprint', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Optional. The SHA-1 fingerprint of the server\'s host key in hex; connections to a server with a different key are refused.', 'swish-migrate-and-backup' ),
+			),
+			array(
+				'name'        => 'remote_path',
+				'label'       => __( 'Backup Folder', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Folder on the server for storing backups (e.g., /home/backups/mysite).', 'swish-migrate-and-backup' ),
+				'default'     => '/SwishBackups',
+			),
+		);
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function save_settings( array $settings ): bool {
+		// Encrypt sensitive fields.
+		$sensitive_fields = array( 'password', 'key_passphrase' );
+
+		foreach ( $sensitive_fields as $field ) {
+			if ( ! empty( $settings[ $field ] ) ) {
+				$settings[ $field ] = $this->encryption->encrypt( $settings[ $field ] );
+			}
+		}
+
+		$this->sftp = null;
+
+		return parent::save_settings( $settings );
+	}
+
+	/**
+	 * Get the SFTP subsystem, connecting and signing in on first use.
+	 *
+	 * @return resource
+	 * @throws \RuntimeException If the connection or sign-in fails.
+	 */
+	private function get_sftp() {
+		if ( null !== $this->sftp ) {
+			return $this->sftp;
+		}
+
+		if ( ! function_exists( 'ssh2_connect' ) ) {
+			throw new \RuntimeException( 'The PHP ssh2 extension is not installed' );
+		}
+
+		$settings = $this->get_settings();
+		$host     = $settings['host'] ?? '';
+		$port     = (int) ( $settings['port'] ?? 22 );
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		$connection = @ssh2_connect( $host, $port > 0 ? $port : 22 );
+
+		if ( ! $connection ) {
+			throw new \RuntimeException( 'Could not connect to ' . esc_html( $host ) );
+		}
+
+		$expected = strtolower( str_replace( ':', '', $settings['host_fingerprint'] ?? '' ) );
+
+		if ( '' !== $expected ) {
+			$fingerprint = strtolower( ssh2_fingerprint( $connection, SSH2_FINGERPRINT_SHA1 | SSH2_FINGERPRINT_HEX ) );
+
+			if ( ! hash_equals( $expected, $fingerprint ) ) {
+				throw new \RuntimeException( 'Host key fingerprint does not match: ' . esc_html( $fingerprint ) );
+			}
+		}
+
+		$username = $settings['username'] ?? '';
+
+		if ( 'key' === ( $settings['auth_method'] ?? 'password' ) ) {
+			$private_key = $settings['private_key_path'] ?? '';
+			$public_key  = ! empty( $settings['public_key_path'] ) ? $settings['public_key_path'] : $private_key . '.pub';
+
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			$authenticated = @ssh2_auth_pubkey_file(
+				$connection,
+				$username,
+				$public_key,
+				$private_key,
+				$this->encryption->decrypt( $settings['key_passphrase'] ?? '' )
+			);
+		} else {
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			$authenticated = @ssh2_auth_password( $connection, $username, $this->encryption->decrypt( $settings['password'] ?? '' ) );
+		}
+
+		if ( ! $authenticated ) {
+			throw new \RuntimeException( 'Authentication failed for ' . esc_html( $username ) );
+		}
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		$sftp = @ssh2_sftp( $connection );
+
+		if ( ! $sftp ) {
+			throw new \RuntimeException( 'Could not start the SFTP subsystem' );
+		}
+
+		$this->sftp = $sftp;
+
+		return $this->sftp;
+	}
+
+	/**
+	 * Get the backup folder on the server.
+	 *
+	 * @return string Absolute path without a trailing slash.
+	 */
+	private function get_base_path(): string {
+		$settings = $this->get_settings();
+		return '/' . $this->normalize_path( $settings['remote_path'] ?? '/SwishBackups' );
+	}
+
+	/**
+	 * Get the absolute server path of a path in the backup folder.
+	 *
+	 * @param string $remote_path Path relative to the backup folder.
+	 * @return string
+	 */
+	private function get_full_path( string $remote_path ): string {
+		$remote_path = $this->normalize_path( $remote_path );
+		return rtrim( $this->get_base_path(), '/' ) . ( '' !== $remote_path ? '/' . $remote_path : '' );
+	}
+
+	/**
+	 * Get the ssh2.sftp:// stream URL of an absolute server path.
+	 *
+	 * @param string $path Absolute server path.
+	 * @return string
+	 * @throws \RuntimeException If the connection fails.
+	 */
+	private function get_stream_url( string $path ): string {
+		return 'ssh2.sftp://' . (int) $this->get_sftp() . $path;
+	}
+
+	/**
+	 * Create a directory and its parents if they do not exist.
+	 *
+	 * @param string $directory Absolute server path.
+	 * @return void
+	 * @throws \RuntimeException If the connection fails.
+	 */
+	private function make_directory( string $directory ): void {
+		$sftp = $this->get_sftp();
+
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+		if ( false === @ssh2_sftp_stat( $sftp, $directory ) ) {
+			// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+			@ssh2_sftp_mkdir( $sftp, $directory, 0755, true );
+		}
+	}
+
+	/**
+	 * Write a whole string to a stream.
+	 *
+	 * @param resource $handle Stream.
+	 * @param string   $data   Data to write.
+	 * @return bool True if everything was written.
+	 */
+	private function write_all( $handle, string $data ): bool {
+		$length = strlen( $data );
+		$offset = 0;
+
+		while ( $offset < $length ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+			$bytes = fwrite( $handle, substr( $data, $offset ) );
+
+			if ( false === $bytes || 0 === $bytes ) {
+				return false;
+			}
+
+			$offset += $bytes;
+		}
+
+		return true;
+	}
+}
@@ -130,6 +130,9 @@ final class StorageManager {
 	/**
 	 * Upload a file to specified storage destinations.
 	 *
+	 * Each successful upload is stored with a checksum sidecar and then
+	 * verified against the local file; the result is in 'verification'.
+	 *
 	 * @param string $local_path    Local file path.
 	 * @param string $remote_path   Remote file path.
 	 * @param array  $destinations  Array of adapter IDs.
@@ -140,7 +143,9 @@ final class StorageManager {
 		string $remote_path,
 		array $destinations
 	): array {
-		$results = array();
+		$results  = array();
+		$verifier = $this->container->get( BackupVerifier::class );
+		$manifest = null;
 
 		foreach ( $destinations as $destination ) {
 			if ( ! $this->has_adapter( $destination ) ) {
@@ -167,6 +172,16 @@ final class StorageManager {
 					'success' => $success,
 					'error'   => $success ? null : __( 'Upload failed', 'swish-migrate-and-backup' ),
 				);
+
+				if ( $success && null === $manifest ) {
+					$manifest = $verifier->create_manifest( $local_path );
+				}
+
+				if ( $success && null !== $manifest ) {
+					$verifier->write_sidecar( $adapter, $remote_path, $manifest );
+					// A full download would double the time of every upload; Verify now offers it.
+					$results[ $destination ]['verification'] = $verifier->verify( $adapter, $remote_path, $manifest, false );
+				}
 			} catch ( \Exception $e ) {
 				$results[ $destination ] = array(
 					'success' => false,
@@ -181,6 +196,8 @@ final class StorageManager {
 	/**
 	 * Delete a file from specified storage destinations.
 	 *
+	 * The checksum sidecar of the file is deleted with it.
+	 *
 	 * @param string $remote_path  Remote file path.
 	 * @param array  $destinations Array of adapter IDs.
 	 * @return array Results keyed by adapter ID.
@@ -198,6 +215,10 @@ final class StorageManager {
 
 			try {
 				$results[ $destination ] = $adapter->delete( $remote_path );
+
+				if ( $adapter->exists( $remote_path . BackupVerifier::SIDECAR_SUFFIX ) ) {
+					$adapter->delete( $remote_path . BackupVerifier::SIDECAR_SUFFIX );
+				}
 			} catch ( \Exception $e ) {
 				$results[ $destination ] = false;
 			}
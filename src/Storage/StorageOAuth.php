@@ -0,0 +1,172 @@
+<?php
+/**
+ * Storage OAuth.
+ *
+ * @package SwishMigrateAndBackup\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Storage;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use SwishMigrateAndBackup\Storage\Contracts\OAuthStorageAdapterInterface;
+
+/**
+ * Runs the OAuth sign-in of storage adapters in a popup window.
+ *
+ * The dashboard opens the provider's authorization URL in a popup. The
+ * provider sends it back to admin-post.php, where the code is exchanged
+ * for tokens and the result is posted to the dashboard window before the
+ * popup closes. The adapter and a nonce travel in the OAuth state.
+ */
+final class StorageOAuth {
+
+	/**
+	 * The admin-post action of the redirect URI.
+	 */
+	public const ACTION = 'swish_backup_storage_oauth';
+
+	/**
+	 * Type of the message posted to the dashboard window.
+	 */
+	private const MESSAGE_TYPE = 'swish-backup-oauth';
+
+	/**
+	 * Storage manager.
+	 *
+	 * @var StorageManager
+	 */
+	private StorageManager $storage_manager;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param StorageManager $storage_manager Storage manager.
+	 */
+	public function __construct( StorageManager $storage_manager ) {
+		$this->storage_manager = $storage_manager;
+	}
+
+	/**
+	 * Get the redirect URI to register with the providers.
+	 *
+	 * @return string
+	 */
+	public function get_redirect_uri(): string {
+		return admin_url( 'admin-post.php?action=' . self::ACTION );
+	}
+
+	/**
+	 * Check whether an adapter connects through OAuth.
+	 *
+	 * @param string $adapter_id Adapter ID.
+	 * @return bool
+	 */
+	public function supports( string $adapter_id ): bool {
+		return $this->storage_manager->has_adapter( $adapter_id )
+			&& $this->storage_manager->get_adapter( $adapter_id ) instanceof OAuthStorageAdapterInterface;
+	}
+
+	/**
+	 * Get the authorization URL for an adapter.
+	 *
+	 * @param string $adapter_id Adapter ID.
+	 * @return string|null Authorization URL, or null if the adapter has no saved app credentials.
+	 */
+	public function get_authorization_url( string $adapter_id ): ?string {
+		if ( ! $this->supports( $adapter_id ) ) {
+			return null;
+		}
+
+		$url = $this->storage_manager->get_adapter( $adapter_id )->get_oauth_url( $this->get_redirect_uri() );
+
+		if ( null === $url ) {
+			return null;
+		}
+
+		$state = $adapter_id . ':' . wp_create_nonce( self::ACTION . '_' . $adapter_id );
+
+		return add_query_arg( 'state', rawurlencode( $state ), $url );
+	}
+
+	/**
+	 * Handle the provider's redirect back to the site.
+	 *
+	 * @return void
+	 */
+	public function handle_callback(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'You do not have permission to connect storage.', 'swish-migrate-and-backup' ), 403 );
+		}
+
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- The nonce travels in the OAuth state.
+		$state = isset( $_GET['state'] ) ? sanitize_text_field( wp_unslash( $_GET['state'] ) ) : '';
+		$code  = isset( $_GET['code'] ) ? sanitize_text_field( wp_unslash( $_GET['code'] ) ) : '';
+		$error = isset( $_GET['error'] ) ? sanitize_text_field( wp_unslash( $_GET['error'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		list( $adapter_id, $nonce ) = array_pad( explode( ':', $state, 2 ), 2, '' );
+
+		if ( ! $this->supports( $adapter_id ) || ! wp_verify_nonce( $nonce, self::ACTION . '_' . $adapter_id ) ) {
+			$this->send_result( $adapter_id, false, __( 'The sign-in link has expired. Please try again.', 'swish-migrate-and-backup' ) );
+		}
+
+		if ( '' !== $error || '' === $code ) {
+			$this->send_result( $adapter_id, false, __( 'Access was not granted.', 'swish-migrate-and-backup' ) );
+		}
+
+		$adapter   = $this->storage_manager->get_adapter( $adapter_id );
+		$connected = $adapter->complete_oauth( $code, $this->get_redirect_uri() );
+
+		$this->send_result(
+			$adapter_id,
+			$connected,
+			$connected
+				/* translators: %s: storage adapter name */
+				? sprintf( __( 'Connected to %s.', 'swish-migrate-and-backup' ), $adapter->get_name() )
+				/* translators: %s: storage adapter name */
+				: sprintf( __( 'Could not connect to %s. Check the app credentials and the redirect URI.', 'swish-migrate-and-backup' ), $adapter->get_name() )
+		);
+	}
+
+	/**
+	 * Post the result to the dashboard window, close the popup and exit.
+	 *
+	 * @param string $adapter_id Adapter ID.
+	 * @param bool   $success    Whether the account was connected.
+	 * @param string $message    Message to show.
+	 * @return void
+	 */
+	private function send_result( string $adapter_id, bool $success, string $message ): void {
+		$data = array(
+			'type'    => self::MESSAGE_TYPE,
+			'adapter' => $adapter_id,
+			'success' => $success,
+			'message' => $message,
+		);
+
+		nocache_headers();
+		header( 'Content-Type: text/html; charset=utf-8' );
+		?>
+<!DOCTYPE html>
+<html>
+<head><title><?php esc_html_e( 'Storage Connection', 'swish-migrate-and-backup' ); ?></title></head>
+<body>
+<p><?php echo esc_html( $message ); ?></p>
+<script>
+if ( window.opener ) {
+	window.opener.postMessage( <?php echo wp_json_encode( $data, JSON_HEX_TAG | JSON_HEX_AMP ); ?>, window.location.origin );
+	window.close();
+}
+</script>
+</body>
+</html>
+		<?php
+		exit;
+	}
+}
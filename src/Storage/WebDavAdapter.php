@@ -0,0 +1,703 @@
+<?php
+/**
+ * WebDAV Storage Adapter.
+ *
+ * @package SwishMigrateAndBackup\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Storage;
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+use SwishMigrateAndBackup\Storage\Contracts\AbstractStorageAdapter;
+use SwishMigrateAndBackup\Storage\Contracts\RangeReadableStorageAdapterInterface;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Security\Encryption;
+
+/**
+ * WebDAV storage adapter.
+ *
+ * Works with any WebDAV server, such as Nextcloud, ownCloud or Apache
+ * mod_dav. When the URL points into a Nextcloud or ownCloud files tree
+ * (/remote.php/dav/files/{user}/), large files are sent with the chunked
+ * upload protocol; elsewhere each file is sent in a single PUT request.
+ */
+final class WebDavAdapter extends AbstractStorageAdapter implements RangeReadableStorageAdapterInterface {
+
+	/**
+	 * WebDAV XML namespace.
+	 */
+	private const DAV_NS = 'DAV:';
+
+	/**
+	 * Size of the chunks of a chunked upload (10 MB).
+	 */
+	private const CHUNK_SIZE = 10485760;
+
+	/**
+	 * Encryption service.
+	 *
+	 * @var Encryption
+	 */
+	private Encryption $encryption;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Logger     $logger     Logger instance.
+	 * @param Encryption $encryption Encryption service.
+	 */
+	public function __construct( Logger $logger, Encryption $encryption ) {
+		parent::__construct( $logger );
+		$this->encryption = $encryption;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_id(): string {
+		return 'webdav';
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_name(): string {
+		return __( 'WebDAV', 'swish-migrate-and-backup' );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function is_configured(): bool {
+		$settings = $this->get_settings();
+		return ! empty( $settings['url'] ) &&
+			! empty( $settings['username'] ) &&
+			! empty( $settings['password'] );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function connect(): bool {
+		if ( ! $this->is_configured() ) {
+			return false;
+		}
+
+		try {
+			$this->make_collections( '' );
+			$response = $this->propfind( $this->get_url( '' ), 0 );
+
+			return 207 === $response['code'];
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'WebDAV connection failed: ' . $e->getMessage() );
+			return false;
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function upload( string $local_path, string $remote_path ): bool {
+		return $this->upload_chunked( $local_path, $remote_path, self::CHUNK_SIZE );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 *
+	 * Uses Nextcloud chunked uploads when the server offers them and the
+	 * file is larger than one chunk, and a single PUT request otherwise.
+	 */
+	public function upload_chunked(
+		string $local_path,
+		string $remote_path,
+		int $chunk_size = self::CHUNK_SIZE,
+		?callable $progress_callback = null
+	): bool {
+		if ( ! file_exists( $local_path ) ) {
+			return $this->log_error( 'Source file does not exist', array( 'path' => $local_path ) );
+		}
+
+		$file_size = filesize( $local_path );
+
+		try {
+			$this->make_collections( dirname( $this->normalize_path( $remote_path ) ) );
+
+			$upload_root = $this->get_chunked_upload_root();
+
+			if ( null !== $upload_root && $file_size > $chunk_size ) {
+				$result = $this->upload_in_chunks( $local_path, $remote_path, $upload_root, $chunk_size, $progress_callback );
+
+				if ( null !== $result ) {
+					return $result;
+				}
+
+				$this->logger->warning( 'WebDAV server refused a chunked upload, sending the file in one request', array(
+					'path' => $remote_path,
+				) );
+			}
+
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+			$content = file_get_contents( $local_path );
+
+			if ( false === $content ) {
+				return $this->log_error( 'Failed to read file', array( 'path' => $local_path ) );
+			}
+
+			$response = $this->request(
+				'PUT',
+				$this->get_url( $remote_path ),
+				array( 'Content-Type' => $this->get_mime_type( $local_path ) ),
+				$content
+			);
+
+			if ( ! in_array( $response['code'], array( 200, 201, 204 ), true ) ) {
+				return $this->log_error( 'WebDAV upload failed', array(
+					'path' => $remote_path,
+					'code' => $response['code'],
+				) );
+			}
+
+			if ( $progress_callback ) {
+				$progress_callback( 100, 1, 1 );
+			}
+
+			$this->logger->info( 'File uploaded to WebDAV', array(
+				'path' => $remote_path,
+				'size' => $file_size,
+			) );
+
+			return true;
+		} catch ( \Exception $e ) {
+			return $this->log_error( 'WebDAV upload exception: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function download( string $remote_path, string $local_path ): bool {
+		try {
+			$local_dir = dirname( $local_path );
+			if ( ! is_dir( $local_dir ) && ! wp_mkdir_p( $local_dir ) ) {
+				return $this->log_error( 'Failed to create local directory' );
+			}
+
+			$response = $this->request(
+				'GET',
+				$this->get_url( $remote_path ),
+				array(),
+				'',
+				array(
+					'stream'   => true,
+					'filename' => $local_path,
+				)
+			);
+
+			if ( 200 !== $response['code'] ) {
+				wp_delete_file( $local_path );
+				return $this->log_error( 'WebDAV download failed', array(
+					'path' => $remote_path,
+					'code' => $response['code'],
+				) );
+			}
+
+			return true;
+		} catch ( \Exception $e ) {
+			return $this->log_error( 'WebDAV download exception: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function read_range( string $remote_path, int $offset, int $length ): ?string {
+		try {
+			$response = $this->request(
+				'GET',
+				$this->get_url( $remote_path ),
+				array( 'Range' => sprintf( 'bytes=%d-%d', $offset, $offset + $length - 1 ) )
+			);
+
+			// A server that ignores the range answers 200 with the whole file.
+			return 206 === $response['code'] ? $response['body'] : null;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'WebDAV range read exception: ' . $e->getMessage() );
+			return null;
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function delete( string $remote_path ): bool {
+		try {
+			$response = $this->request( 'DELETE', $this->get_url( $remote_path ) );
+
+			if ( 404 === $response['code'] ) {
+				return true; // Already deleted.
+			}
+
+			if ( ! in_array( $response['code'], array( 200, 204 ), true ) ) {
+				return $this->log_error( 'WebDAV delete failed', array(
+					'path' => $remote_path,
+					'code' => $response['code'],
+				) );
+			}
+
+			$this->logger->info( 'File deleted from WebDAV', array( 'path' => $remote_path ) );
+
+			return true;
+		} catch ( \Exception $e ) {
+			return $this->log_error( 'WebDAV delete exception: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function list( string $path = '' ): array {
+		try {
+			$url      = $this->get_url( $path );
+			$response = $this->propfind( $url, 1 );
+
+			if ( 207 !== $response['code'] ) {
+				return array();
+			}
+
+			$self   = rtrim( (string) wp_parse_url( $url, PHP_URL_PATH ), '/' );
+			$prefix = '' !== $this->normalize_path( $path ) ? $this->normalize_path( $path ) . '/' : '';
+			$files  = array();
+
+			foreach ( $this->parse_multistatus( $response['body'] ) as $entry ) {
+				$href = rtrim( (string) wp_parse_url( $entry['href'], PHP_URL_PATH ), '/' );
+
+				// The collection itself is part of a depth 1 response.
+				if ( rawurldecode( $href ) === rawurldecode( $self ) ) {
+					continue;
+				}
+
+				$name = rawurldecode( basename( $href ) );
+
+				$files[] = array(
+					'name'         => $name,
+					'path'         => $prefix . $name,
+					'size'         => $entry['is_directory'] ? 0 : $entry['size'],
+					'modified'     => $entry['modified'],
+					'is_directory' => $entry['is_directory'],
+				);
+			}
+
+			// Sort by modification time, newest first.
+			usort( $files, fn( $a, $b ) => $b['modified'] <=> $a['modified'] );
+
+			return $files;
+		} catch ( \Exception $e ) {
+			$this->logger->error( 'WebDAV list exception: ' . $e->getMessage() );
+			return array();
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_metadata( string $remote_path ): ?array {
+		try {
+			$response = $this->propfind( $this->get_url( $remote_path ), 0 );
+
+			if ( 207 !== $response['code'] ) {
+				return null;
+			}
+
+			$entries = $this->parse_multistatus( $response['body'] );
+
+			if ( empty( $entries ) || $entries[0]['is_directory'] ) {
+				return null;
+			}
+
+			return array(
+				'name'     => basename( $remote_path ),
+				'path'     => $remote_path,
+				'size'     => $entries[0]['size'],
+				'modified' => $entries[0]['modified'],
+			);
+		} catch ( \Exception $e ) {
+			return null;
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 *
+	 * Reads the RFC 4331 quota properties of the backup folder.
+	 */
+	public function get_storage_info(): array {
+		try {
+			$response = $this->propfind( $this->get_url( '' ), 0 );
+			$entries  = 207 === $response['code'] ? $this->parse_multistatus( $response['body'] ) : array();
+
+			if ( empty( $entries ) || null === $entries[0]['quota_used'] ) {
+				return parent::get_storage_info();
+			}
+
+			$available = $entries[0]['quota_available'];
+
+			return array(
+				'used'  => $entries[0]['quota_used'],
+				// Servers report a negative value when the quota is unlimited or unknown.
+				'total' => null !== $available && $available >= 0 ? $entries[0]['quota_used'] + $available : null,
+			);
+		} catch ( \Exception $e ) {
+			return parent::get_storage_info();
+		}
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_settings_fields(): array {
+		return array(
+			array(
+				'name'        => 'url',
+				'label'       => __( 'WebDAV URL', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'For Nextcloud and ownCloud: https://cloud.example.com/remote.php/dav/files/USERNAME/', 'swish-migrate-and-backup' ),
+				'required'    => true,
+			),
+			array(
+				'name'     => 'username',
+				'label'    => __( 'Username', 'swish-migrate-and-backup' ),
+				'type'     => 'text',
+				'required' => true,
+			),
+			array(
+				'name'        => 'password',
+				'label'       => __( 'Password', 'swish-migrate-and-backup' ),
+				'type'        => 'password',
+				'description' => __( 'On Nextcloud and ownCloud, create an app password under Settings > Security.', 'swish-migrate-and-backup' ),
+				'required'    => true,
+			),
+			array(
+				'name'        => 'remote_path',
+				'label'       => __( 'Backup Folder', 'swish-migrate-and-backup' ),
+				'type'        => 'text',
+				'description' => __( 'Folder below the WebDAV URL for storing backups.', 'swish-migrate-and-backup' ),
+				'default'     => 'SwishBackups',
+			),
+			array(
+				'name'        => 'chunked_uploads',
+				'label'       => __( 'Chunked Uploads', 'swish-migrate-and-backup' ),
+				'type'        => 'checkbox',
+				'description' => __( 'Send large files in 10 MB chunks on Nextcloud and ownCloud servers.', 'swish-migrate-and-backup' ),
+				'default'     => true,
+			),
+			array(
+				'name'        => 'verify_ssl',
+				'label'       => __( 'Verify SSL Certificate', 'swish-migrate-and-backup' ),
+				'type'        => 'checkbox',
+				'description' => __( 'Turn off only for servers with a self-signed certificate on a trusted network.', 'swish-migrate-and-backup' ),
+				'default'     => true,
+			),
+		);
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function save_settings( array $settings ): bool {
+		// Encrypt password.
+		if ( ! empty( $settings['password'] ) ) {
+			$settings['password'] = $this->encryption->encrypt( $settings['password'] );
+		}
+
+		return parent::save_settings( $settings );
+	}
+
+	/**
+	 * Upload a file with the Nextcloud chunking protocol.
+	 *
+	 * The chunks are sent into a temporary upload collection, which the
+	 * server assembles into the target file on the final MOVE.
+	 *
+	 * @param string        $local_path        Local file path.
+	 * @param string        $remote_path       Remote file path.
+	 * @param string        $upload_root       URL of the user's upload collection.
+	 * @param int           $chunk_size        Chunk size in bytes.
+	 * @param callable|null $progress_callback Progress callback.
+	 * @return bool|null Upload result, or null if the server refused to start a chunked upload.
+	 * @throws \RuntimeException If a request fails.
+	 */
+	private function upload_in_chunks(
+		string $local_path,
+		string $remote_path,
+		string $upload_root,
+		int $chunk_size,
+		?callable $progress_callback
+	): ?bool {
+		$file_size    = filesize( $local_path );
+		$total_chunks = (int) ceil( $file_size / $chunk_size );
+		$destination  = $this->get_url( $remote_path );
+		$upload_url   = $upload_root . '/swish-' . wp_generate_uuid4();
+		$headers      = array(
+			'Destination'     => $destination,
+			'OC-Total-Length' => (string) $file_size,
+		);
+
+		$response = $this->request( 'MKCOL', $upload_url, $headers );
+
+		if ( 201 !== $response['code'] ) {
+			return null;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		$handle = fopen( $local_path, 'rb' );
+
+		if ( ! $handle ) {
+			$this->request( 'DELETE', $upload_url );
+			return $this->log_error( 'Failed to open file for reading' );
+		}
+
+		try {
+			for ( $chunk_num = 1; $chunk_num <= $total_chunks; $chunk_num++ ) {
+				// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fread
+				$chunk = fread( $handle, $chunk_size );
+
+				$response = $this->request(
+					'PUT',
+					$upload_url . '/' . sprintf( '%05d', $chunk_num ),
+					$headers,
+					(string) $chunk
+				);
+
+				if ( ! in_array( $response['code'], array( 201, 204 ), true ) ) {
+					$this->request( 'DELETE', $upload_url );
+					return $this->log_error( 'WebDAV chunk upload failed', array(
+						'path'  => $remote_path,
+						'chunk' => $chunk_num,
+						'code'  => $response['code'],
+					) );
+				}
+
+				if ( $progress_callback ) {
+					$progress = min( 100, (int) ( ( $chunk_num / $total_chunks ) * 100 ) );
+					$progress_callback( $progress, $chunk_num, $total_chunks );
+				}
+			}
+		} finally {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+			fclose( $handle );
+		}
+
+		$response = $this->request( 'MOVE', $upload_url . '/.file', $headers );
+
+		if ( ! in_array( $response['code'], array( 201, 204 ), true ) ) {
+			$this->request( 'DELETE', $upload_url );
+			return $this->log_error( 'WebDAV chunk assembly failed', array(
+				'path' => $remote_path,
+				'code' => $response['code'],
+			) );
+		}
+
+		$this->logger->info( 'Chunked upload completed to WebDAV', array(
+			'path'   => $remote_path,
+			'chunks' => $total_chunks,
+		) );
+
+		return true;
+	}
+
+	/**
+	 * Get the URL of the upload collection for Nextcloud chunked uploads.
+	 *
+	 * @return string|null URL, or null if the server does not look like
+	 *                     Nextcloud or ownCloud or chunking is turned off.
+	 */
+	private function get_chunked_upload_root(): ?string {
+		$settings = $this->get_settings();
+
+		if ( ! ( $settings['chunked_uploads'] ?? true ) ) {
+			return null;
+		}
+
+		if ( ! preg_match( '#^(.+/remote\.php/dav)/files/([^/]+)#', $settings['url'] ?? '', $matches ) ) {
+			return null;
+		}
+
+		return $matches[1] . '/uploads/' . $matches[2];
+	}
+
+	/**
+	 * Create the collections of a path in the backup folder, and the backup
+	 * folder itself, where they do not exist.
+	 *
+	 * @param string $path Path relative to the backup folder.
+	 * @return void
+	 * @throws \RuntimeException If a request fails.
+	 */
+	private function make_collections( string $path ): void {
+		$settings = $this->get_settings();
+		$segments = array_merge(
+			explode( '/', $this->normalize_path( $settings['remote_path'] ?? 'SwishBackups' ) ),
+			explode( '/', $this->normalize_path( '.' === $path ? '' : $path ) )
+		);
+		$url      = rtrim( $settings['url'] ?? '', '/' );
+
+		foreach ( array_filter( $segments, 'strlen' ) as $segment ) {
+			$url .= '/' . rawurlencode( $segment );
+
+			// 405 Method Not Allowed means the collection already exists.
+			$response = $this->request( 'MKCOL', $url . '/' );
+
+			if ( ! in_array( $response['code'], array( 201, 405 ), true ) ) {
+				throw new \RuntimeException( 'Could not create folder ' . esc_html( $segment ) . ' (HTTP ' . (int) $response['code'] . ')' );
+			}
+		}
+	}
+
+	/**
+	 * Get the URL of a path in the backup folder.
+	 *
+	 * @param string $remote_path Path relative to the backup folder.
+	 * @return string
+	 */
+	private function get_url( string $remote_path ): string {
+		$settings = $this->get_settings();
+		$path     = $this->normalize_path( ( $settings['remote_path'] ?? 'SwishBackups' ) . '/' . $remote_path );
+		$segments = array_filter( explode( '/', $path ), 'strlen' );
+
+		return rtrim( $settings['url'] ?? '', '/' ) . '/' . implode( '/', array_map( 'rawurlencode', $segments ) );
+	}
+
+	/**
+	 * Send a PROPFIND request for the properties this adapter reads.
+	 *
+	 * @param string $url   Resource URL.
+	 * @param int    $depth 0 for the resource, 1 to include its members.
+	 * @return array{code: int, body: string}
+	 * @throws \RuntimeException If the request fails.
+	 */
+	private function propfind( string $url, int $depth ): array {
+		$body = '<?xml version="1.0" encoding="utf-8"?>'
+			. '<d:propfind xmlns:d="DAV:"><d:prop>'
+			. '<d:resourcetype/><d:getcontentlength/><d:getlastmodified/>'
+			. '<d:quota-used-bytes/><d:quota-available-bytes/>'
+			. '</d:prop></d:propfind>';
+
+		return $this->request(
+			'PROPFIND',
+			$url,
+			array(
+				'Depth'        => (string) $depth,
+				'Content-Type' => 'application/xml; charset=utf-8',
+			),
+			$body
+		);
+	}
+
+	/**
+	 * Parse a 207 Multi-Status response.
+	 *
+	 * @param string $xml Response body.
+	 * @return array<int, array{href: string, is_directory: bool, size: int, modified: int, quota_used: ?int, quota_available: ?int}>
+	 */
+	private function parse_multistatus( string $xml ): array {
+		if ( '' === $xml ) {
+			return array();
+		}
+
+		$document = new \DOMDocument();
+
+		if ( ! $document->loadXML( $xml, LIBXML_NONET | LIBXML_NOERROR | LIBXML_NOWARNING ) ) {
+			return array();
+		}
+
+		$entries = array();
+
+		foreach ( $document->getElementsByTagNameNS( self::DAV_NS, 'response' ) as $response ) {
+			$href = $this->get_property( $response, 'href' );
+
+			if ( null === $href ) {
+				continue;
+			}
+
+			$used      = $this->get_property( $response, 'quota-used-bytes' );
+			$available = $this->get_property( $response, 'quota-available-bytes' );
+			$modified  = $this->get_property( $response, 'getlastmodified' );
+
+			$entries[] = array(
+				'href'            => $href,
+				'is_directory'    => $response->getElementsByTagNameNS( self::DAV_NS, 'collection' )->length > 0,
+				'size'            => (int) $this->get_property( $response, 'getcontentlength' ),
+				'modified'        => null !== $modified ? (int) strtotime( $modified ) : 0,
+				'quota_used'      => null !== $used && is_numeric( $used ) ? (int) $used : null,
+				'quota_available' => null !== $available && is_numeric( $available ) ? (int) $available : null,
+			);
+		}
+
+		return $entries;
+	}
+
+	/**
+	 * Get the text of a DAV: element in a multistatus response.
+	 *
+	 * @param \DOMElement $response Response element.
+	 * @param string      $name     Local name of the element.
+	 * @return string|null Trimmed text, or null if the element is absent or empty.
+	 */
+	private function get_property( \DOMElement $response, string $name ): ?string {
+		$element = $response->getElementsByTagNameNS( self::DAV_NS, $name )->item( 0 );
+		$value   = null !== $element ? trim( $element->textContent ) : '';
+
+		return '' !== $value ? $value : null;
+	}
+
+	/**
+	 * Send an authenticated request to the WebDAV server.
+	 *
+	 * @param string $method  HTTP method.
+	 * @param string $url     Request URL.
+	 * @param array  $headers Additional headers.
+	 * @param string $body    Request body.
+	 * @param array  $args    Additional request arguments.
+	 * @return array{code: int, body: string}
+	 * @throws \RuntimeException If the request cannot be sent.
+	 */
+	private function request( string $method, string $url, array $headers = array(), string $body = '', array $args = array() ): array {
+		$settings = $this->get_settings();
+		$password = $this->encryption->decrypt( $settings['password'] ?? '' );
+
+		$response = wp_remote_request(
+			$url,
+			array_merge(
+				array(
+					'method'    => $method,
+					'headers'   => array_merge(
+						array(
+							// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
+							'Authorization' => 'Basic ' . base64_encode( ( $settings['username'] ?? '' ) . ':' . $password ),
+						),
+						$headers
+					),
+					'body'      => $body,
+					'timeout'   => 300,
+					'sslverify' => (bool) ( $settings['verify_ssl'] ?? true ),
+				),
+				$args
+			)
+		);
+
+		if ( is_wp_error( $response ) ) {
+			throw new \RuntimeException( esc_html( $response->get_error_message() ) );
+		}
+
+		return array(
+			'code' => (int) wp_remote_retrieve_response_code( $response ),
+			'body' => (string) wp_remote_retrieve_body( $response ),
+		);
+	}
+}
@@ -25,6 +25,31 @@ const apiRequest = async ( endpoint, options = {} ) => {
 	}
 };
 
+/**
+ * Make a request authorised by a job token instead of the current login.
+ *
+ * The REST nonce is left out, because WordPress rejects it once the login
+ * it belongs to has ended, as happens when a restore replaces the users.
+ *
+ * @param {string} endpoint - API endpoint path.
+ * @param {string} token    - Job token.
+ * @param {Object} options  - Fetch options.
+ * @return {Promise} API response.
+ */
+const jobRequest = async ( endpoint, token, options = {} ) => {
+	const url = new URL( `${ window.swishBackupData.apiUrl }${ endpoint }` );
+	url.searchParams.set( 'token', token );
+
+	const response = await window.fetch( url.toString(), options );
+	const body = await response.json().catch( () => ( {} ) );
+
+	if ( ! response.ok ) {
+		throw new Error( body.message || response.statusText );
+	}
+
+	return body;
+};
+
 /**
  * Get dashboard stats.
  *
@@ -61,6 +86,15 @@ export const createBackup = ( type = 'full', options = {} ) =>
 export const deleteBackup = ( backupId ) =>
 	apiRequest( `/backup/${ backupId }`, { method: 'DELETE' } );
 
+/**
+ * Check the copies of a backup on all of its storage destinations.
+ *
+ * @param {string} backupId - Backup ID.
+ * @return {Promise} Integrity manifest with the status of each destination.
+ */
+export const verifyBackup = ( backupId ) =>
+	apiRequest( `/backup/${ backupId }/verify`, { method: 'POST' } );
+
 /**
  * Get backup download URL.
  *
@@ -70,6 +104,68 @@ export const deleteBackup = ( backupId ) =>
 export const getDownloadUrl = ( backupId ) =>
 	apiRequest( `/backup/${ backupId }/download` );
 
+/**
+ * Get the tables and folders inside a backup.
+ *
+ * @param {string} backupId - Backup ID.
+ * @return {Promise} Contents with format, tables and folders.
+ */
+export const getBackupContents = ( backupId ) =>
+	apiRequest( `/backup/${ backupId }/contents` );
+
+/**
+ * List one folder of a backup's file tree.
+ *
+ * The root listing also holds the backup's tables with row counts.
+ *
+ * @param {string} backupId - Backup ID.
+ * @param {string} path     - Folder path ('' for the root).
+ * @return {Promise} Listing with path, folders, files and tables.
+ */
+export const browseBackup = ( backupId, path = '' ) =>
+	apiRequest(
+		`/backup/${ backupId }/browse?path=${ encodeURIComponent( path ) }`
+	);
+
+/**
+ * Restore a single file or folder from a backup to its original path.
+ *
+ * @param {string} backupId - Backup ID.
+ * @param {string} path     - File or folder path.
+ * @return {Promise} Restore result.
+ */
+export const restoreBackupPath = ( backupId, path ) =>
+	apiRequest( `/backup/${ backupId }/restore-path`, {
+		method: 'POST',
+		data: { path },
+	} );
+
+/**
+ * Get a download URL for a single file or folder of a backup.
+ *
+ * Folders are downloaded as a ZIP.
+ *
+ * @param {string} backupId - Backup ID.
+ * @param {string} path     - File or folder path.
+ * @return {Promise} Download URL data.
+ */
+export const exportBackupPath = ( backupId, path ) =>
+	apiRequest(
+		`/backup/${ backupId }/export?path=${ encodeURIComponent( path ) }`
+	);
+
+/**
+ * Compare a text file in a backup with the live copy.
+ *
+ * @param {string} backupId - Backup ID.
+ * @param {string} path     - File path.
+ * @return {Promise} Comparison with exists, identical and diff HTML.
+ */
+export const diffBackupFile = ( backupId, path ) =>
+	apiRequest(
+		`/backup/${ backupId }/diff?path=${ encodeURIComponent( path ) }`
+	);
+
 /**
  * Restore a backup.
  *
@@ -94,14 +190,74 @@ export const restoreBackup = ( backupId, options = {} ) =>
  * @param {string}  search  - Search string.
  * @param {string}  replace - Replace string.
  * @param {boolean} dryRun  - Whether to do a dry run.
+ * @param {Object}  options - Matching options (case_insensitive, whole_word, regex, scope).
  * @return {Promise} Search/replace result.
  */
-export const searchReplace = ( search, replace, dryRun = false ) =>
+export const searchReplace = (
+	search,
+	replace,
+	dryRun = false,
+	options = {}
+) =>
 	apiRequest( '/search-replace', {
 		method: 'POST',
-		data: { search, replace, dry_run: dryRun },
+		data: { search, replace, dry_run: dryRun, ...options },
 	} );
 
+/**
+ * Search and replace a batch of pairs, applied in order in one pass.
+ *
+ * @param {Array}   pairs   - Pairs with search and replace.
+ * @param {boolean} dryRun  - Whether to do a dry run.
+ * @param {Object}  options - Matching options, scope and preview paging.
+ * @return {Promise} Search replace result.
+ */
+export const searchReplaceBatch = ( pairs, dryRun = false, options = {} ) =>
+	apiRequest( '/search-replace/batch', {
+		method: 'POST',
+		data: { pairs, dry_run: dryRun, ...options },
+	} );
+
+/**
+ * Get the replacements suggested for moving from one URL to another.
+ *
+ * @param {string} oldUrl - Old URL.
+ * @param {string} newUrl - New URL.
+ * @return {Promise} Pairs with search and replace.
+ */
+export const getUrlReplacementSuggestions = ( oldUrl, newUrl ) =>
+	apiRequest(
+		`/search-replace/suggestions?old_url=${ encodeURIComponent(
+			oldUrl
+		) }&new_url=${ encodeURIComponent( newUrl ) }`
+	);
+
+/**
+ * Get the tables, columns, post types and presets a search can be scoped to.
+ *
+ * @return {Promise} Scope choices.
+ */
+export const getSearchReplaceScope = () =>
+	apiRequest( '/search-replace/scope' );
+
+/**
+ * Get the history of search and replace runs.
+ *
+ * @return {Promise} Runs, newest first.
+ */
+export const getSearchReplaceRuns = () => apiRequest( '/search-replace/runs' );
+
+/**
+ * Undo part of a search and replace run.
+ *
+ * Each call undoes one time-boxed batch; call again until `completed`.
+ *
+ * @param {string} runId - Run ID.
+ * @return {Promise} Undo result with completed, done, total, restored and skipped.
+ */
+export const undoSearchReplace = ( runId ) =>
+	apiRequest( `/search-replace/runs/${ runId }/undo`, { method: 'POST' } );
+
 /**
  * Get job status.
  *
@@ -138,6 +294,142 @@ export const updateSettings = ( settings ) =>
 		data: settings,
 	} );
 
+/**
+ * Get all backup schedules.
+ *
+ * @return {Promise} Schedules array.
+ */
+export const getSchedules = () => apiRequest( '/schedules' );
+
+/**
+ * Create a backup schedule.
+ *
+ * @param {Object} schedule - Name, frequency, backup_type, storage_destinations and retention_count.
+ * @return {Promise} Created schedule.
+ */
+export const createSchedule = ( schedule ) =>
+	apiRequest( '/schedules', {
+		method: 'POST',
+		data: schedule,
+	} );
+
+/**
+ * Update a backup schedule.
+ *
+ * @param {number} scheduleId - Schedule ID.
+ * @param {Object} schedule   - Fields to change.
+ * @return {Promise} Updated schedule.
+ */
+export const updateSchedule = ( scheduleId, schedule ) =>
+	apiRequest( `/schedules/${ scheduleId }`, {
+		method: 'POST',
+		data: schedule,
+	} );
+
+/**
+ * Preview the next runs of a schedule before saving it.
+ *
+ * @param {Object} schedule - Frequency, and for cron schedules cron_expression, timezone and blackout_windows.
+ * @return {Promise} Time zone and ISO 8601 run times.
+ */
+export const previewSchedule = ( schedule ) =>
+	apiRequest( '/schedules/preview', {
+		method: 'POST',
+		data: schedule,
+	} );
+
+/**
+ * Pause or activate a backup schedule.
+ *
+ * @param {number} scheduleId - Schedule ID.
+ * @return {Promise} Updated schedule.
+ */
+export const toggleSchedule = ( scheduleId ) =>
+	apiRequest( `/schedules/${ scheduleId }/toggle`, { method: 'POST' } );
+
+/**
+ * Delete a backup schedule.
+ *
+ * @param {number} scheduleId - Schedule ID.
+ * @return {Promise} Deletion result.
+ */
+export const deleteSchedule = ( scheduleId ) =>
+	apiRequest( `/schedules/${ scheduleId }`, { method: 'DELETE' } );
+
+/**
+ * Run a backup schedule now, with its own type and destinations.
+ *
+ * Poll the job in the response with getJobStatus().
+ *
+ * @param {number} scheduleId - Schedule ID.
+ * @return {Promise} Job start data.
+ */
+export const runSchedule = ( scheduleId ) =>
+	apiRequest( `/schedules/${ scheduleId }/run`, { method: 'POST' } );
+
+/**
+ * Get the run history of a backup schedule.
+ *
+ * @param {number} scheduleId - Schedule ID.
+ * @return {Promise} Runs, newest first.
+ */
+export const getScheduleRuns = ( scheduleId ) =>
+	apiRequest( `/schedules/${ scheduleId }/runs` );
+
+/**
+ * Get the storage destinations with their settings fields.
+ *
+ * Saved secrets are not returned; password fields report `has_value`.
+ *
+ * @return {Promise} Destinations.
+ */
+export const getStorageDestinations = () => apiRequest( '/storage' );
+
+/**
+ * Save the settings of a storage destination.
+ *
+ * Blank password fields keep their saved values.
+ *
+ * @param {string} adapterId - Adapter ID.
+ * @param {Object} settings  - Field values keyed by field name.
+ * @return {Promise} Updated destination.
+ */
+export const saveStorageSettings = ( adapterId, settings ) =>
+	apiRequest( `/storage/${ adapterId }/settings`, {
+		method: 'POST',
+		data: { settings },
+	} );
+
+/**
+ * Get the used and total space of a storage destination.
+ *
+ * @param {string} adapterId - Adapter ID.
+ * @return {Promise} Used and total bytes, null when not reported.
+ */
+export const getStorageInfo = ( adapterId ) =>
+	apiRequest( `/storage/${ adapterId }/info` );
+
+/**
+ * Get the URL that signs a storage destination in to its account.
+ *
+ * @param {string} adapterId - Adapter ID.
+ * @return {Promise} Object with the authorization url.
+ */
+export const startStorageAuth = ( adapterId ) =>
+	apiRequest( `/storage/${ adapterId }/auth`, { method: 'POST' } );
+
+/**
+ * Test the connection to a storage destination.
+ *
+ * @param {string} adapterId - Adapter ID.
+ * @return {Promise} Object with success and message.
+ */
+export const testStorageConnection = ( adapterId ) =>
+	apiRequest( '/storage/test', {
+		method: 'POST',
+		data: { adapter: adapterId },
+	} );
+
 // ============================================================================
 // Pipeline-based backup API (queue-based, chunked processing)
 // ============================================================================
@@ -171,6 +463,43 @@ export const pipelineContinue = ( jobId ) =>
 		method: 'POST',
 	} );
 
+/**
+ * Pause a pipeline-based backup.
+ *
+ * @param {string} jobId - Pipeline job ID.
+ * @return {Promise} Pipeline status with paused flag.
+ */
+export const pipelinePause = ( jobId ) =>
+	apiRequest( `/pipeline/pause/${ jobId }`, {
+		method: 'POST',
+	} );
+
+/**
+ * Resume a paused pipeline-based backup.
+ *
+ * Call pipelineContinue() again afterwards to keep processing.
+ *
+ * @param {string} jobId - Pipeline job ID.
+ * @return {Promise} Pipeline status with paused flag.
+ */
+export const pipelineResume = ( jobId ) =>
+	apiRequest( `/pipeline/resume/${ jobId }`, {
+		method: 'POST',
+	} );
+
+/**
+ * Cancel a pipeline-based backup.
+ *
+ * Deletes the partial archive and the queued file state on the server.
+ *
+ * @param {string} jobId - Pipeline job ID.
+ * @return {Promise} Cancellation result.
+ */
+export const pipelineCancel = ( jobId ) =>
+	apiRequest( `/pipeline/cancel/${ jobId }`, {
+		method: 'POST',
+	} );
+
 /**
  * Get pipeline backup status.
  *
@@ -179,3 +508,88 @@ export const pipelineContinue = ( jobId ) =>
  */
 export const pipelineStatus = ( jobId ) =>
 	apiRequest( `/pipeline/status/${ jobId }` );
+
+/**
+ * Get pipeline backups that are still in progress.
+ *
+ * Used to resume a backup after the page was reloaded or the tab closed.
+ *
+ * @return {Promise} Object with a jobs array, most recent first.
+ */
+export const pipelineActive = () => apiRequest( '/pipeline/active' );
+
+// ============================================================================
+// Chunked restore API
+// ============================================================================
+
+/**
+ * Start a chunked restore job.
+ *
+ * Call restoreContinue() repeatedly until completed. Pass `tables` and/or
+ * `paths` in options to restore only part of the backup.
+ *
+ * @param {string} backupId - Backup ID.
+ * @param {Object} options  - Restore options.
+ * @return {Promise} Restore job data with job_id, phase, progress, stats.
+ */
+export const restoreStart = ( backupId, options = {} ) =>
+	apiRequest( '/restore/start', {
+		method: 'POST',
+		data: {
+			backup_id: backupId,
+			restore_database: true,
+			restore_files: true,
+			...options,
+		},
+	} );
+
+/**
+ * Continue a chunked restore job.
+ *
+ * Each call restores one time-boxed chunk (~15 seconds). Pass the token
+ * from restoreStart so the job can be finished after the user tables are
+ * restored and the current login ends.
+ *
+ * @param {string} jobId - Restore job ID from restoreStart.
+ * @param {string} token - Job token from restoreStart.
+ * @return {Promise} Restore status with phase, progress, stats.
+ */
+export const restoreContinue = ( jobId, token ) =>
+	token
+		? jobRequest( `/restore/continue/${ jobId }`, token, {
+				method: 'POST',
+		  } )
+		: apiRequest( `/restore/continue/${ jobId }`, {
+				method: 'POST',
+		  } );
+
+/**
+ * Get chunked restore job status.
+ *
+ * @param {string} jobId - Restore job ID.
+ * @param {string} token - Job token from restoreStart.
+ * @return {Promise} Restore status with phase, progress, stats.
+ */
+export const restoreStatus = ( jobId, token ) =>
+	token
+		? jobRequest( `/restore/status/${ jobId }`, token )
+		: apiRequest( `/restore/status/${ jobId }` );
+
+/**
+ * Get the rollback point left by the last restore.
+ *
+ * @return {Promise} Rollback point with available flag, restored_from and expires_at.
+ */
+export const getRollbackPoint = () => apiRequest( '/restore/rollback' );
+
+/**
+ * Roll back the last restore by restoring its database snapshot.
+ *
+ * Runs as a chunked restore job; call restoreContinue() until completed.
+ *
+ * @return {Promise} Restore job data with job_id, phase, progress, stats.
+ */
+export const rollbackRestore = () =>
+	apiRequest( '/restore/rollback', {
+		method: 'POST',
+	} );
@@ -4,10 +4,11 @@
  * @package SwishMigrateAndBackup
  */
 
-import { useState, useEffect, useCallback } from '@wordpress/element';
+import { useState, useEffect, useCallback, useRef } from '@wordpress/element';
 import { Spinner } from '@wordpress/components';
 import Dashboard from './Dashboard';
 import ProgressModal from './ProgressModal';
+import RestoreModal from './RestoreModal';
 import SettingsModal from './SettingsModal';
 import {
 	getStats,
@@ -15,15 +16,172 @@ import {
 	createBackup,
 	deleteBackup,
 	getDownloadUrl,
-	restoreBackup,
+	restoreStart,
+	restoreContinue,
+	getRollbackPoint,
+	rollbackRestore,
 	getJobStatus,
 	processJob,
 	getSettings,
 	updateSettings,
 	pipelineStart,
 	pipelineContinue,
+	pipelineStatus,
+	pipelineActive,
+	pipelinePause,
+	pipelineResume,
+	pipelineCancel,
+	runSchedule,
 } from '../api';
 
+/**
+ * Build the stage list shown in the progress modal for a pipeline response.
+ *
+ * @param {Object} result - Pipeline continue/status response.
+ * @return {Array} Stages for the progress modal.
+ */
+const buildPipelineStages = ( result ) => {
+	const completedFiles =
+		( result.stats?.completed || 0 ) + ( result.stats?.skipped || 0 );
+	const totalFiles = result.stats?.total || 0;
+	const phase = result.phase || 'processing';
+
+	if ( phase === 'complete' || result.completed ) {
+		return [
+			{ name: 'Indexing files', status: 'completed' },
+			{ name: 'Creating archive', status: 'completed' },
+			{ name: 'Finalizing', status: 'completed' },
+		];
+	}
+
+	if ( phase === 'indexing' ) {
+		return [
+			{
+				name: 'Indexing files',
+				status: 'in_progress',
+				detail: `${ totalFiles } files found`,
+			},
+		];
+	}
+
+	if ( phase === 'processing' ) {
+		return [
+			{
+				name: 'Indexing files',
+				status: 'completed',
+				detail: `${ totalFiles } files`,
+			},
+			{
+				name: 'Creating archive',
+				status: 'in_progress',
+				detail: `${ completedFiles }/${ totalFiles } files`,
+			},
+		];
+	}
+
+	if ( phase === 'finalizing' ) {
+		return [
+			{
+				name: 'Indexing files',
+				status: 'completed',
+				detail: `${ totalFiles } files`,
+			},
+			{
+				name: 'Creating archive',
+				status: 'completed',
+				detail: `${ completedFiles } files`,
+			},
+			{
+				name: 'Finalizing',
+				status: 'in_progress',
+				detail: 'Creating backup file',
+			},
+		];
+	}
+
+	return [];
+};
+
+/**
+ * Build the stage list shown in the progress modal for a restore response.
+ *
+ * Phases the backup does not need (e.g. extraction for .swish archives)
+ * are left out.
+ *
+ * @param {Object} result - Restore start/continue/status response.
+ * @return {Array} Stages for the progress modal.
+ */
+const buildRestoreStages = ( result ) => {
+	const order = [ 'snapshot', 'extract', 'files', 'database', 'cleanup' ];
+	const snapshot = result.stats?.snapshot || {};
+	const extract = result.stats?.extract || {};
+	const files = result.stats?.files || {};
+	const database = result.stats?.database || {};
+	const current = result.completed
+		? order.length
+		: order.indexOf( result.phase );
+	const failedAt = order.indexOf( result.failed_phase );
+
+	const stages = [
+		{
+			phase: 'snapshot',
+			name: 'Creating safety snapshot',
+			show: !! result.snapshot,
+			detail: snapshot.total
+				? `Saving the current database for rollback (${ snapshot.done }/${ snapshot.total } tables)`
+				: 'Saving the current database for rollback',
+		},
+		{
+			phase: 'extract',
+			name: 'Extracting backup',
+			show: extract.total > 0,
+			detail: `${ extract.done || 0 }/${ extract.total } entries`,
+		},
+		{
+			phase: 'files',
+			name: 'Restoring files',
+			show: files.total > 0,
+			detail: `${ files.done || 0 }/${ files.total } files`,
+		},
+		{
+			phase: 'database',
+			name: 'Restoring database',
+			show: database.size > 0,
+			detail: database.current_table
+				? `${ database.tables_done }/${
+						database.tables_total || '?'
+				  } tables (${ database.current_table })`
+				: `${ database.tables_done || 0 } tables`,
+		},
+		{ phase: 'cleanup', name: 'Cleaning up', show: true },
+	];
+
+	return stages
+		.filter( ( stage ) => stage.show )
+		.map( ( stage ) => {
+			const index = order.indexOf( stage.phase );
+			let status = 'pending';
+
+			if ( result.phase === 'failed' ) {
+				if ( index < failedAt ) {
+					status = 'completed';
+				} else if ( index === failedAt ) {
+					status = 'failed';
+				}
+			} else if ( index < current ) {
+				status = 'completed';
+			} else if ( index === current ) {
+				status = 'in_progress';
+			}
+
+			return {
+				name: stage.name,
+				status,
+				detail: status === 'pending' ? '' : stage.detail,
+			};
+		} );
+};
+
 /**
  * Main App component.
  *
@@ -38,6 +196,11 @@ const App = () => {
 	const [ currentJob, setCurrentJob ] = useState( null );
 	const [ showProgress, setShowProgress ] = useState( false );
 	const [ showSettings, setShowSettings ] = useState( false );
+	const [ restoreTarget, setRestoreTarget ] = useState( null );
+	const [ rollbackPoint, setRollbackPoint ] = useState( null );
+
+	// Pause or cancel requested by the user, applied between pipeline chunks.
+	const pipelineAction = useRef( null );
 
 	useEffect( () => {
 		loadDashboardData();
@@ -48,15 +211,18 @@ const App = () => {
 			setIsLoading( true );
 			setError( null );
 
-			const [ statsData, backupsData, settingsData ] = await Promise.all( [
-				getStats(),
-				getBackups(),
-				getSettings(),
-			] );
+			const [ statsData, backupsData, settingsData, rollbackData ] =
+				await Promise.all( [
+					getStats(),
+					getBackups(),
+					getSettings(),
+					getRollbackPoint(),
+				] );
 
 			setStats( statsData );
 			setBackups( backupsData );
 			setSettings( settingsData );
+			setRollbackPoint( rollbackData.available ? rollbackData : null );
 		} catch ( err ) {
 			setError( err.message || 'Failed to load dashboard data' );
 		} finally {
@@ -64,6 +230,13 @@ const App = () => {
 		}
 	};
 
+	// Storage changes only affect which destinations are configured.
+	const refreshStats = useCallback( () => {
+		getStats()
+			.then( setStats )
+			.catch( () => {} );
+	}, [] );
+
 	const handleBackup = useCallback(
 		async ( type ) => {
 			// Use pipeline for full and files backups (more reliable for large sites).
@@ -109,125 +282,209 @@ const App = () => {
 		[ settings ]
 	);
 
-	const handlePipelineBackup = useCallback(
-		async ( type ) => {
+	const handlePipelineBackup = useCallback( async ( type ) => {
+		try {
+			setShowProgress( true );
+			setCurrentJob( {
+				status: 'starting',
+				progress: 0,
+				message: 'Starting backup pipeline...',
+				stages: [],
+			} );
+
+			// Start the pipeline.
+			const startResult = await pipelineStart( type );
+
+			if ( ! startResult.success ) {
+				throw new Error(
+					startResult.message || 'Failed to start backup'
+				);
+			}
+
+			setCurrentJob( ( prev ) => ( {
+				...prev,
+				jobId: startResult.job_id,
+				status: 'processing',
+				message: startResult.message,
+				stages: [ { name: 'Indexing files', status: 'in_progress' } ],
+			} ) );
+
+			// Continue the pipeline until complete.
+			await runPipeline( startResult.job_id );
+		} catch ( err ) {
+			setCurrentJob( {
+				status: 'failed',
+				progress: 0,
+				message: err.message || 'Backup failed',
+			} );
+		}
+	}, [] );
+
+	const runPipeline = useCallback( async ( jobId ) => {
+		let completed = false;
+		let consecutiveErrors = 0;
+		const maxErrors = 3;
+
+		pipelineAction.current = null;
+
+		while ( ! completed && consecutiveErrors < maxErrors ) {
 			try {
-				setShowProgress( true );
-				setCurrentJob( {
-					status: 'starting',
-					progress: 0,
-					message: 'Starting backup pipeline...',
-					stages: [],
-				} );
+				// Stop between chunks if the user paused or cancelled.
+				if ( pipelineAction.current === 'cancel' ) {
+					await pipelineCancel( jobId );
+					pipelineAction.current = null;
+					setCurrentJob( {
+						jobId,
+						status: 'cancelled',
+						progress: 0,
+						message:
+							'Backup cancelled. The partial archive was removed.',
+					} );
+					break;
+				}
 
-				// Start the pipeline.
-				const startResult = await pipelineStart( type );
+				if ( pipelineAction.current === 'pause' ) {
+					await pipelinePause( jobId );
+					pipelineAction.current = null;
+					setCurrentJob( ( prev ) => ( {
+						...prev,
+						status: 'paused',
+						message: 'Backup paused',
+					} ) );
+					break;
+				}
+
+				const result = await pipelineContinue( jobId );
+				consecutiveErrors = 0; // Reset on success.
 
-				if ( ! startResult.success ) {
-					throw new Error( startResult.message || 'Failed to start backup' );
+				// Another tab may have paused this job.
+				if ( result.paused ) {
+					setCurrentJob( {
+						jobId,
+						status: 'paused',
+						progress: result.progress || 0,
+						message: result.message,
+						stages: buildPipelineStages( result ),
+					} );
+					break;
 				}
 
-				setCurrentJob( ( prev ) => ( {
-					...prev,
-					status: 'processing',
-					message: startResult.message,
-					stages: [ { name: 'Indexing files', status: 'in_progress' } ],
-				} ) );
+				// Another tab is working on this job; check back shortly.
+				if ( result.busy && ! result.completed ) {
+					setCurrentJob( ( prev ) => ( {
+						...prev,
+						jobId,
+						progress: result.progress || 0,
+						message: result.message,
+					} ) );
+					await new Promise( ( resolve ) =>
+						setTimeout( resolve, 2000 )
+					);
+					continue;
+				}
+
+				// Use the overall progress from the backend.
+				const progress = result.progress || 0;
 
-				// Continue the pipeline until complete.
-				await runPipeline( startResult.job_id );
-			} catch ( err ) {
 				setCurrentJob( {
-					status: 'failed',
-					progress: 0,
-					message: err.message || 'Backup failed',
+					jobId,
+					status: result.completed ? 'completed' : 'processing',
+					progress: result.completed ? 100 : progress,
+					message: result.message,
+					stages: buildPipelineStages( result ),
 				} );
-			}
-		},
-		[]
-	);
-
-	const runPipeline = useCallback(
-		async ( jobId ) => {
-			let completed = false;
-			let consecutiveErrors = 0;
-			const maxErrors = 3;
 
-			while ( ! completed && consecutiveErrors < maxErrors ) {
-				try {
-					const result = await pipelineContinue( jobId );
-					consecutiveErrors = 0; // Reset on success.
-
-					// Use the overall progress from the backend.
-					const progress = result.progress || 0;
-
-					// Calculate completed files count.
-					const completedFiles = ( result.stats?.completed || 0 ) + ( result.stats?.skipped || 0 );
-					const totalFiles = result.stats?.total || 0;
-					const phase = result.phase || 'processing';
-
-					// Build stages for progress display.
-					const stages = [];
-					if ( phase === 'indexing' ) {
-						stages.push( {
-							name: 'Indexing files',
-							status: 'in_progress',
-							detail: `${ totalFiles } files found`,
-						} );
-					} else if ( phase === 'processing' ) {
-						stages.push( { name: 'Indexing files', status: 'completed', detail: `${ totalFiles } files` } );
-						stages.push( {
-							name: 'Creating archive',
-							status: 'in_progress',
-							detail: `${ completedFiles }/${ totalFiles } files`,
-						} );
-					} else if ( phase === 'finalizing' ) {
-						stages.push( { name: 'Indexing files', status: 'completed', detail: `${ totalFiles } files` } );
-						stages.push( { name: 'Creating archive', status: 'completed', detail: `${ completedFiles } files` } );
-						stages.push( { name: 'Finalizing', status: 'in_progress', detail: 'Creating backup file' } );
-					} else if ( phase === 'complete' || result.completed ) {
-						stages.push( { name: 'Indexing files', status: 'completed' } );
-						stages.push( { name: 'Creating archive', status: 'completed' } );
-						stages.push( { name: 'Finalizing', status: 'completed' } );
-					}
+				if ( result.completed ) {
+					completed = true;
+					setTimeout( () => {
+						setShowProgress( false );
+						loadDashboardData();
+					}, 2000 );
+				} else {
+					// Small delay between requests to avoid overwhelming the server.
+					await new Promise( ( resolve ) =>
+						setTimeout( resolve, 500 )
+					);
+				}
+			} catch ( err ) {
+				consecutiveErrors++;
+				console.warn(
+					`Pipeline error (${ consecutiveErrors }/${ maxErrors }):`,
+					err.message
+				);
 
+				if ( consecutiveErrors >= maxErrors ) {
 					setCurrentJob( {
-						status: result.completed ? 'completed' : 'processing',
-						progress: result.completed ? 100 : progress,
-						message: result.message,
-						stages,
+						status: 'failed',
+						progress: 0,
+						message: `Backup failed after ${ maxErrors } retries: ${ err.message }`,
 					} );
+					break;
+				}
 
-					if ( result.completed ) {
-						completed = true;
-						setTimeout( () => {
-							setShowProgress( false );
-							loadDashboardData();
-						}, 2000 );
-					} else {
-						// Small delay between requests to avoid overwhelming the server.
-						await new Promise( ( resolve ) => setTimeout( resolve, 500 ) );
-					}
-				} catch ( err ) {
-					consecutiveErrors++;
-					console.warn( `Pipeline error (${ consecutiveErrors }/${ maxErrors }):`, err.message );
+				// Wait before retry.
+				await new Promise( ( resolve ) => setTimeout( resolve, 2000 ) );
+			}
+		}
+	}, [] );
 
-					if ( consecutiveErrors >= maxErrors ) {
-						setCurrentJob( {
-							status: 'failed',
-							progress: 0,
-							message: `Backup failed after ${ maxErrors } retries: ${ err.message }`,
-						} );
-						break;
-					}
+	// Pick up a pipeline backup left running by a reloaded or closed tab.
+	useEffect( () => {
+		// A schedule run passed on from the Schedules page is followed instead.
+		if (
+			new URLSearchParams( window.location.search ).has( 'run_schedule' )
+		) {
+			return;
+		}
 
-					// Wait before retry.
-					await new Promise( ( resolve ) => setTimeout( resolve, 2000 ) );
+		const resumeActivePipeline = async () => {
+			try {
+				const { jobs = [] } = await pipelineActive();
+
+				if ( ! jobs.length ) {
+					return;
+				}
+
+				const status = await pipelineStatus( jobs[ 0 ].job_id );
+
+				if ( status.completed ) {
+					return;
+				}
+
+				setShowProgress( true );
+
+				if ( status.paused ) {
+					setCurrentJob( {
+						jobId: status.job_id,
+						status: 'paused',
+						progress: status.progress || 0,
+						message: 'Backup paused',
+						stages: buildPipelineStages( status ),
+					} );
+					return;
 				}
+
+				setCurrentJob( {
+					jobId: status.job_id,
+					status: 'processing',
+					progress: status.progress || 0,
+					message: 'Resuming backup...',
+					stages: buildPipelineStages( status ),
+				} );
+
+				await runPipeline( status.job_id );
+			} catch ( err ) {
+				setShowProgress( true );
+				setCurrentJob( {
+					status: 'failed',
+					progress: 0,
+					message: `Could not resume the backup: ${ err.message }`,
+				} );
 			}
-		},
-		[]
-	);
+		};
+
+		resumeActivePipeline();
+	}, [ runPipeline ] );
 
 	const pollJobStatus = useCallback( async ( jobId ) => {
 		let pendingCount = 0;
@@ -285,6 +542,52 @@ const App = () => {
 		poll();
 	}, [] );
 
+	/**
+	 * Run a schedule now, following the job the schedule starts.
+	 *
+	 * @param {number} scheduleId - Schedule ID.
+	 */
+	const handleRunSchedule = useCallback(
+		async ( scheduleId ) => {
+			try {
+				setShowProgress( true );
+				setCurrentJob( {
+					status: 'starting',
+					progress: 0,
+					message: 'Starting scheduled backup...',
+					stages: [],
+				} );
+
+				const result = await runSchedule( scheduleId );
+
+				pollJobStatus( result.job_id );
+			} catch ( err ) {
+				setCurrentJob( {
+					status: 'failed',
+					progress: 0,
+					message: err.message || 'Backup failed',
+				} );
+			}
+		},
+		[ pollJobStatus ]
+	);
+
+	// Run a schedule passed on from "Run Now" on the Schedules page.
+	useEffect( () => {
+		const url = new URL( window.location.href );
+		const scheduleId = url.searchParams.get( 'run_schedule' );
+
+		if ( ! scheduleId ) {
+			return;
+		}
+
+		// Reloading the page must not start the schedule again.
+		url.searchParams.delete( 'run_schedule' );
+		window.history.replaceState( null, '', url.toString() );
+
+		handleRunSchedule( Number( scheduleId ) );
+	}, [ handleRunSchedule ] );
+
 	const handleDelete = useCallback( async ( backupId ) => {
 		if ( ! window.confirm( 'Are you sure you want to delete this backup?' ) ) {
 			return;
@@ -309,36 +612,90 @@ const App = () => {
 		}
 	}, [] );
 
-	const handleRestore = useCallback( async ( backupId ) => {
-		if (
-			! window.confirm(
-				'Are you sure you want to restore this backup? This will overwrite your current site data.'
-			)
-		) {
-			return;
-		}
+	const handleRestore = useCallback( ( backupId ) => {
+		setRestoreTarget( backupId );
+	}, [] );
 
+	/**
+	 * Drive a chunked restore job to completion.
+	 *
+	 * @param {Function} startJob - Returns the restore start response.
+	 */
+	const runRestoreJob = useCallback( async ( startJob ) => {
 		try {
 			setShowProgress( true );
 			setCurrentJob( {
+				type: 'restore',
 				status: 'processing',
 				progress: 0,
 				message: 'Restoring backup...',
+				stages: [],
 			} );
 
-			await restoreBackup( backupId );
+			let result = await startJob();
+			let consecutiveErrors = 0;
+			let message = 'Restoring backup...';
+			const maxErrors = 3;
+			// Restoring the user tables ends the login, so the job is driven by its token.
+			const { token } = result;
+
+			// Continue the restore until it completes or fails.
+			while ( ! result.completed && result.phase !== 'failed' ) {
+				setCurrentJob( {
+					type: 'restore',
+					status: 'processing',
+					progress: result.progress || 0,
+					message,
+					stages: buildRestoreStages( result ),
+				} );
+
+				try {
+					result = await restoreContinue( result.job_id, token );
+					consecutiveErrors = 0;
+					message = 'Restoring backup...';
+				} catch ( err ) {
+					consecutiveErrors++;
+					message = `Retrying after an error (${ consecutiveErrors }/${ maxErrors }): ${ err.message }`;
+
+					if ( consecutiveErrors >= maxErrors ) {
+						throw err;
+					}
+
+					// Wait before retry.
+					await new Promise( ( resolve ) =>
+						setTimeout( resolve, 2000 )
+					);
+				}
+			}
+
+			if ( result.phase === 'failed' ) {
+				setCurrentJob( {
+					type: 'restore',
+					status: 'failed',
+					progress: result.progress || 0,
+					message: result.error || 'Restore failed',
+					stages: buildRestoreStages( result ),
+				} );
+				return;
+			}
 
 			setCurrentJob( {
+				type: 'restore',
 				status: 'completed',
 				progress: 100,
-				message: 'Restore completed successfully!',
+				message: result.reauth
+					? 'Restore completed! Log in again with a user from the restored site.'
+					: 'Restore completed successfully!',
+				stages: buildRestoreStages( result ),
 			} );
 
+			// Reload so restored users, settings and assets take effect.
 			setTimeout( () => {
 				window.location.reload();
 			}, 2000 );
 		} catch ( err ) {
 			setCurrentJob( {
+				type: 'restore',
 				status: 'failed',
 				progress: 0,
 				message: err.message || 'Restore failed',
@@ -346,6 +703,33 @@ const App = () => {
 		}
 	}, [] );
 
+	const runRestore = useCallback(
+		( backupId, options = {} ) => {
+			if (
+				! window.confirm(
+					'Are you sure you want to restore this backup? This will overwrite your current site data.'
+				)
+			) {
+				return;
+			}
+
+			runRestoreJob( () => restoreStart( backupId, options ) );
+		},
+		[ runRestoreJob ]
+	);
+
+	const handleRollback = useCallback( () => {
+		if (
+			! window.confirm(
+				'Roll back the last restore? The database will be put back to how it was just before that restore. Files are not changed.'
+			)
+		) {
+			return;
+		}
+
+		runRestoreJob( rollbackRestore );
+	}, [ runRestoreJob ] );
+
 	const handleSettingsSave = useCallback( async ( newSettings ) => {
 		try {
 			const result = await updateSettings( newSettings );
@@ -357,6 +741,62 @@ const App = () => {
 		}
 	}, [] );
 
+	const handlePausePipeline = useCallback( () => {
+		pipelineAction.current = 'pause';
+		setCurrentJob( ( prev ) => ( {
+			...prev,
+			message: 'Pausing after the current step...',
+		} ) );
+	}, [] );
+
+	const handleResumePipeline = useCallback( async () => {
+		const jobId = currentJob?.jobId;
+
+		try {
+			await pipelineResume( jobId );
+			setCurrentJob( ( prev ) => ( {
+				...prev,
+				status: 'processing',
+				message: 'Resuming backup...',
+			} ) );
+			await runPipeline( jobId );
+		} catch ( err ) {
+			alert( err.message || 'Failed to resume backup' );
+		}
+	}, [ currentJob, runPipeline ] );
+
+	const handleCancelPipeline = useCallback( async () => {
+		if (
+			! window.confirm(
+				'Cancel this backup? The partial archive will be deleted.'
+			)
+		) {
+			return;
+		}
+
+		// A running loop cancels itself once the current chunk returns.
+		if ( currentJob?.status !== 'paused' ) {
+			pipelineAction.current = 'cancel';
+			setCurrentJob( ( prev ) => ( {
+				...prev,
+				message: 'Cancelling after the current step...',
+			} ) );
+			return;
+		}
+
+		try {
+			await pipelineCancel( currentJob.jobId );
+			setCurrentJob( {
+				jobId: currentJob.jobId,
+				status: 'cancelled',
+				progress: 0,
+				message: 'Backup cancelled. The partial archive was removed.',
+			} );
+		} catch ( err ) {
+			alert( err.message || 'Failed to cancel backup' );
+		}
+	}, [ currentJob ] );
+
 	const handleCloseProgress = useCallback( () => {
 		if ( currentJob?.status !== 'processing' ) {
 			setShowProgress( false );
@@ -390,15 +830,36 @@ const App = () => {
 				stats={ stats }
 				backups={ backups }
 				settings={ settings }
+				rollbackPoint={ rollbackPoint }
+				onRollback={ handleRollback }
 				onBackup={ handleBackup }
 				onDelete={ handleDelete }
 				onDownload={ handleDownload }
 				onRestore={ handleRestore }
+				onRunSchedule={ handleRunSchedule }
+				onStorageChange={ refreshStats }
 				onOpenSettings={ () => setShowSettings( true ) }
 			/>
 
 			{ showProgress && (
-				<ProgressModal job={ currentJob } onClose={ handleCloseProgress } />
+				<ProgressModal
+					job={ currentJob }
+					onClose={ handleCloseProgress }
+					onPause={ handlePausePipeline }
+					onResume={ handleResumePipeline }
+					onCancel={ handleCancelPipeline }
+				/>
+			) }
+
+			{ restoreTarget && (
+				<RestoreModal
+					backupId={ restoreTarget }
+					onRestore={ ( options ) => {
+						setRestoreTarget( null );
+						runRestore( restoreTarget, options );
+					} }
+					onClose={ () => setRestoreTarget( null ) }
+				/>
 			) }
 
 			{ showSettings && (
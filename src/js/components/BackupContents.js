@@ -0,0 +1,439 @@
+/**
+ * BackupContents component.
+ *
+ * @package SwishMigrateAndBackup
+ */
+
+import { useState, useEffect, useCallback, Fragment } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import {
+	browseBackup,
+	restoreBackupPath,
+	exportBackupPath,
+	diffBackupFile,
+} from '../api';
+
+/**
+ * Largest file, in bytes, offered for comparison (matches the server limit).
+ */
+const DIFF_MAX_SIZE = 1048576;
+
+/**
+ * Largest file or folder, in bytes, offered for download (matches the server limit).
+ */
+const EXPORT_MAX_SIZE = 268435456;
+
+/**
+ * Format file size.
+ *
+ * @param {number} bytes - Size in bytes.
+ * @return {string} Formatted size.
+ */
+const formatSize = ( bytes ) => {
+	if ( ! bytes ) {
+		return '0 Bytes';
+	}
+	const k = 1024;
+	const i = Math.floor( Math.log( bytes ) / Math.log( k ) );
+	const sizes = [ 'Bytes', 'KB', 'MB', 'GB' ];
+	return (
+		parseFloat( ( bytes / Math.pow( k, i ) ).toFixed( 2 ) ) +
+		' ' +
+		sizes[ i ]
+	);
+};
+
+/**
+ * Side-by-side comparison of a backed-up file and the live copy.
+ *
+ * @param {Object}   props         - Component props.
+ * @param {Object}   props.diff    - Comparison from the diff endpoint.
+ * @param {Function} props.onClose - Close handler.
+ * @return {JSX.Element} Component.
+ */
+const FileDiffModal = ( { diff, onClose } ) => {
+	let notice = null;
+
+	if ( ! diff.exists ) {
+		notice = __(
+			'This file does not exist on the site any more.',
+			'swish-migrate-and-backup'
+		);
+	} else if ( diff.identical ) {
+		notice = __(
+			'The current file is identical to the backup.',
+			'swish-migrate-and-backup'
+		);
+	}
+
+	return (
+		<div className="swish-modal-overlay">
+			<div className="swish-modal swish-diff-modal">
+				<div className="swish-modal-header">
+					<h2>
+						<span className="dashicons dashicons-editor-code"></span>
+						{ diff.path }
+					</h2>
+					<button className="swish-modal-close" onClick={ onClose }>
+						<span className="dashicons dashicons-no-alt"></span>
+					</button>
+				</div>
+
+				<div className="swish-modal-body">
+					{ notice && <p className="swish-notice">{ notice }</p> }
+					{ ! diff.identical && (
+						<div
+							className="swish-diff"
+							// The diff table is built and escaped by wp_text_diff().
+							dangerouslySetInnerHTML={ { __html: diff.diff } }
+						/>
+					) }
+				</div>
+
+				<div className="swish-modal-footer">
+					<button
+						className="button button-primary"
+						onClick={ onClose }
+					>
+						{ __( 'Close', 'swish-migrate-and-backup' ) }
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+/**
+ * BackupContents component.
+ *
+ * Shows the file tree of a backup, loading each folder when it is
+ * expanded, next to the dumped tables with their row counts. Each file
+ * or folder can be restored to its original path or downloaded on its
+ * own, and text files can be compared with the live copy.
+ *
+ * @param {Object} props          - Component props.
+ * @param {string} props.backupId - Backup ID.
+ * @return {JSX.Element} Component.
+ */
+const BackupContents = ( { backupId } ) => {
+	const [ listings, setListings ] = useState( {} );
+	const [ expanded, setExpanded ] = useState( [] );
+	const [ loading, setLoading ] = useState( [] );
+	const [ error, setError ] = useState( null );
+	const [ busy, setBusy ] = useState( null );
+	const [ message, setMessage ] = useState( null );
+	const [ diff, setDiff ] = useState( null );
+
+	const runAction = async ( path, action ) => {
+		setBusy( path );
+		setMessage( null );
+
+		try {
+			await action();
+		} catch ( err ) {
+			setMessage( { type: 'error', text: err.message } );
+		} finally {
+			setBusy( null );
+		}
+	};
+
+	const handleRestore = ( path ) => {
+		if (
+			! window.confirm(
+				sprintf(
+					/* translators: %s: file or folder path. */
+					__(
+						'Restore %s from this backup? The current version on the site will be overwritten.',
+						'swish-migrate-and-backup'
+					),
+					path
+				)
+			)
+		) {
+			return;
+		}
+
+		runAction( path, async () => {
+			await restoreBackupPath( backupId, path );
+			setMessage( {
+				type: 'success',
+				text: sprintf(
+					/* translators: %s: file or folder path. */
+					__( 'Restored %s.', 'swish-migrate-and-backup' ),
+					path
+				),
+			} );
+		} );
+	};
+
+	const handleDownload = ( path ) =>
+		runAction( path, async () => {
+			const result = await exportBackupPath( backupId, path );
+			window.location.href = result.url;
+		} );
+
+	const handleCompare = ( path ) =>
+		runAction( path, async () => {
+			setDiff( await diffBackupFile( backupId, path ) );
+		} );
+
+	const renderActions = ( item, isFile ) => (
+		<span className="swish-contents-actions">
+			{ busy === item.path && <Spinner /> }
+			{ isFile && item.size <= DIFF_MAX_SIZE && (
+				<button
+					type="button"
+					className="button-link"
+					disabled={ !! busy }
+					onClick={ () => handleCompare( item.path ) }
+					title={ __(
+						'Compare with current file',
+						'swish-migrate-and-backup'
+					) }
+				>
+					<span className="dashicons dashicons-editor-code"></span>
+				</button>
+			) }
+			{ item.size <= EXPORT_MAX_SIZE && (
+				<button
+					type="button"
+					className="button-link"
+					disabled={ !! busy }
+					onClick={ () => handleDownload( item.path ) }
+					title={ __( 'Download', 'swish-migrate-and-backup' ) }
+				>
+					<span className="dashicons dashicons-download"></span>
+				</button>
+			) }
+			<button
+				type="button"
+				className="button-link"
+				disabled={ !! busy }
+				onClick={ () => handleRestore( item.path ) }
+				title={ __(
+					'Restore to original path',
+					'swish-migrate-and-backup'
+				) }
+			>
+				<span className="dashicons dashicons-backup"></span>
+			</button>
+		</span>
+	);
+
+	const loadFolder = useCallback(
+		( path ) => {
+			setLoading( ( prev ) => [ ...prev, path ] );
+
+			browseBackup( backupId, path )
+				.then( ( listing ) =>
+					setListings( ( prev ) => ( {
+						...prev,
+						[ path ]: listing,
+					} ) )
+				)
+				.catch( ( err ) =>
+					setError(
+						err.message ||
+							__(
+								'Could not read the backup contents.',
+								'swish-migrate-and-backup'
+							)
+					)
+				)
+				.finally( () =>
+					setLoading( ( prev ) => prev.filter( ( p ) => p !== path ) )
+				);
+		},
+		[ backupId ]
+	);
+
+	useEffect( () => {
+		loadFolder( '' );
+	}, [ loadFolder ] );
+
+	const toggleFolder = ( path ) => {
+		if ( expanded.includes( path ) ) {
+			setExpanded( expanded.filter( ( p ) => p !== path ) );
+			return;
+		}
+
+		setExpanded( [ ...expanded, path ] );
+
+		if ( ! listings[ path ] ) {
+			loadFolder( path );
+		}
+	};
+
+	const renderFolder = ( path, depth ) => {
+		const listing = listings[ path ];
+
+		if ( ! listing ) {
+			return (
+				loading.includes( path ) && (
+					<div
+						className="swish-contents-item"
+						style={ { paddingLeft: depth * 20 } }
+					>
+						<Spinner />
+					</div>
+				)
+			);
+		}
+
+		return (
+			<Fragment>
+				{ listing.folders.map( ( folder ) => {
+					const isOpen = expanded.includes( folder.path );
+
+					return (
+						<Fragment key={ folder.path }>
+							<div
+								className="swish-contents-item"
+								style={ { paddingLeft: depth * 20 } }
+							>
+								<button
+									type="button"
+									className="button-link swish-contents-folder"
+									aria-expanded={ isOpen }
+									onClick={ () =>
+										toggleFolder( folder.path )
+									}
+								>
+									<span
+										className={ `dashicons dashicons-arrow-${
+											isOpen ? 'down' : 'right'
+										}-alt2` }
+									></span>
+									<span className="dashicons dashicons-category"></span>
+									{ folder.name }
+								</button>
+								<span className="swish-contents-size">
+									{ sprintf(
+										/* translators: 1: number of files, 2: total size. */
+										_n(
+											'%1$s file, %2$s',
+											'%1$s files, %2$s',
+											folder.files,
+											'swish-migrate-and-backup'
+										),
+										folder.files.toLocaleString(),
+										formatSize( folder.size )
+									) }
+								</span>
+								{ renderActions( folder, false ) }
+							</div>
+							{ isOpen && renderFolder( folder.path, depth + 1 ) }
+						</Fragment>
+					);
+				} ) }
+
+				{ listing.files.map( ( file ) => (
+					<div
+						key={ file.path }
+						className="swish-contents-item"
+						style={ { paddingLeft: depth * 20 + 20 } }
+					>
+						<span className="swish-contents-file">
+							<span className="dashicons dashicons-media-default"></span>
+							{ file.name }
+						</span>
+						<span className="swish-contents-size">
+							{ formatSize( file.size ) }
+						</span>
+						{ renderActions( file, true ) }
+					</div>
+				) ) }
+			</Fragment>
+		);
+	};
+
+	if ( error ) {
+		return <p className="swish-restore-error">{ error }</p>;
+	}
+
+	const root = listings[ '' ];
+
+	if ( ! root ) {
+		return (
+			<div className="swish-loading">
+				<Spinner />
+				<p>
+					{ __(
+						'Reading backup contents…',
+						'swish-migrate-and-backup'
+					) }
+				</p>
+			</div>
+		);
+	}
+
+	const hasFiles = root.folders.length > 0 || root.files.length > 0;
+
+	return (
+		<div className="swish-backup-contents">
+			{ message && (
+				<p className={ `swish-notice swish-notice-${ message.type }` }>
+					{ message.text }
+				</p>
+			) }
+
+			{ diff && (
+				<FileDiffModal
+					diff={ diff }
+					onClose={ () => setDiff( null ) }
+				/>
+			) }
+
+			<div className="swish-contents-section">
+				<h4>{ __( 'Files', 'swish-migrate-and-backup' ) }</h4>
+				<div className="swish-contents-tree">
+					{ hasFiles
+						? renderFolder( '', 0 )
+						: __(
+								'This backup contains no files.',
+								'swish-migrate-and-backup'
+						  ) }
+				</div>
+			</div>
+
+			<div className="swish-contents-section">
+				<h4>{ __( 'Database tables', 'swish-migrate-and-backup' ) }</h4>
+				{ root.tables.length > 0 ? (
+					<table className="widefat striped swish-contents-tables">
+						<thead>
+							<tr>
+								<th>
+									{ __(
+										'Table',
+										'swish-migrate-and-backup'
+									) }
+								</th>
+								<th>
+									{ __( 'Rows', 'swish-migrate-and-backup' ) }
+								</th>
+							</tr>
+						</thead>
+						<tbody>
+							{ root.tables.map( ( table ) => (
+								<tr key={ table.name }>
+									<td>{ table.name }</td>
+									<td>{ table.rows.toLocaleString() }</td>
+								</tr>
+							) ) }
+						</tbody>
+					</table>
+				) : (
+					<p>
+						{ __(
+							'This backup contains no database.',
+							'swish-migrate-and-backup'
+						) }
+					</p>
+				) }
+			</div>
+		</div>
+	);
+};
+
+export default BackupContents;
@@ -4,7 +4,11 @@
  * @package SwishMigrateAndBackup
  */
 
+import { useState, Fragment } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
+import BackupContents from './BackupContents';
+import { verifyBackup } from '../api';
 
 /**
  * Get CSS class for backup type.
@@ -74,17 +78,97 @@ const formatDate = ( dateString ) => {
 	return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
 };
 
+/**
+ * Get label for a verification status.
+ *
+ * @param {string} status - Verification status.
+ * @return {string} Status label.
+ */
+const getVerificationLabel = ( status ) => {
+	switch ( status ) {
+		case 'verified':
+			return __( 'Verified', 'swish-migrate-and-backup' );
+		case 'sampled':
+			return __( 'Spot-checked', 'swish-migrate-and-backup' );
+		case 'mismatch':
+			return __( 'Mismatch', 'swish-migrate-and-backup' );
+		case 'missing':
+			return __( 'Missing', 'swish-migrate-and-backup' );
+		default:
+			return __( 'Not verified', 'swish-migrate-and-backup' );
+	}
+};
+
 /**
  * BackupList component.
  *
- * @param {Object}   props            - Component props.
- * @param {Array}    props.backups    - List of backups.
- * @param {Function} props.onDelete   - Delete handler.
- * @param {Function} props.onDownload - Download handler.
- * @param {Function} props.onRestore  - Restore handler.
+ * @param {Object}   props              - Component props.
+ * @param {Array}    props.backups      - List of backups.
+ * @param {Object}   props.destinations - Storage destinations keyed by ID, with name.
+ * @param {Function} props.onDelete     - Delete handler.
+ * @param {Function} props.onDownload   - Download handler.
+ * @param {Function} props.onRestore    - Restore handler.
  * @return {JSX.Element} Component.
  */
-const BackupList = ( { backups, onDelete, onDownload, onRestore } ) => {
+const BackupList = ( {
+	backups,
+	destinations,
+	onDelete,
+	onDownload,
+	onRestore,
+} ) => {
+	const [ openContents, setOpenContents ] = useState( null );
+	const [ verifying, setVerifying ] = useState( null );
+	const [ verified, setVerified ] = useState( {} );
+	const [ verifyError, setVerifyError ] = useState( null );
+
+	const handleVerify = async ( backupId ) => {
+		setVerifying( backupId );
+		setVerifyError( null );
+
+		try {
+			const integrity = await verifyBackup( backupId );
+			setVerified( ( current ) => ( {
+				...current,
+				[ backupId ]: integrity,
+			} ) );
+		} catch ( error ) {
+			setVerifyError( error.message );
+		} finally {
+			setVerifying( null );
+		}
+	};
+
+	const renderVerification = ( backup ) => {
+		if ( verifying === backup.id ) {
+			return <Spinner />;
+		}
+
+		const integrity =
+			verified[ backup.id ] || backup.manifest?.integrity || null;
+		const results = Object.entries( integrity?.destinations || {} );
+
+		if ( results.length === 0 ) {
+			return (
+				<span className="swish-verify-badge status-unverified">
+					{ getVerificationLabel( 'unverified' ) }
+				</span>
+			);
+		}
+
+		return results.map( ( [ id, result ] ) => (
+			<span
+				key={ id }
+				className={ `swish-verify-badge status-${ result.status }` }
+				title={ result.message || undefined }
+			>
+				{ destinations?.[ id ]?.name || id }
+				{ ': ' }
+				{ getVerificationLabel( result.status ) }
+			</span>
+		) );
+	};
+
 	if ( ! backups || backups.length === 0 ) {
 		return (
 			<div className="swish-backup-list">
@@ -105,6 +189,11 @@ const BackupList = ( { backups, onDelete, onDownload, onRestore } ) => {
 	return (
 		<div className="swish-backup-list">
 			<h2>{ __( 'Recent Backups', 'swish-migrate-and-backup' ) }</h2>
+			{ verifyError && (
+				<div className="notice notice-error inline">
+					<p>{ verifyError }</p>
+				</div>
+			) }
 			<table className="wp-list-table widefat fixed striped">
 				<thead>
 					<tr>
@@ -120,6 +209,9 @@ const BackupList = ( { backups, onDelete, onDownload, onRestore } ) => {
 						<th className="column-date">
 							{ __( 'Created', 'swish-migrate-and-backup' ) }
 						</th>
+						<th className="column-verification">
+							{ __( 'Verification', 'swish-migrate-and-backup' ) }
+						</th>
 						<th className="column-actions">
 							{ __( 'Actions', 'swish-migrate-and-backup' ) }
 						</th>
@@ -127,68 +219,132 @@ const BackupList = ( { backups, onDelete, onDownload, onRestore } ) => {
 				</thead>
 				<tbody>
 					{ backups.map( ( backup ) => (
-						<tr key={ backup.id }>
-							<td className="column-filename">
-								<strong>{ backup.filename || backup.id }</strong>
-							</td>
-							<td className="column-type">
-								<span
-									className={ `swish-backup-type ${ getTypeClass(
-										backup.type
-									) }` }
-								>
-									{ getTypeLabel( backup.type ) }
-								</span>
-							</td>
-							<td className="column-size">
-								{ formatSize( backup.size ) }
-							</td>
-							<td className="column-date">
-								{ formatDate(
-									backup.completed_at || backup.created_at
-								) }
-							</td>
-							<td className="column-actions">
-								<div className="swish-action-buttons">
-									<button
-										className="button button-small"
-										onClick={ () => onRestore( backup.id ) }
-										title={ __(
-											'Restore',
-											'swish-migrate-and-backup'
-										) }
-									>
-										<span className="dashicons dashicons-backup"></span>
-										{ __(
-											'Restore',
-											'swish-migrate-and-backup'
-										) }
-									</button>
-									<button
-										className="button button-small"
-										onClick={ () =>
-											onDownload( backup.id )
-										}
-										title={ __(
-											'Download',
-											'swish-migrate-and-backup'
-										) }
-									>
-										<span className="dashicons dashicons-download"></span>
-									</button>
-									<button
-										className="button button-small button-link-delete"
-										onClick={ () => onDelete( backup.id ) }
-										title={ __(
-											'Delete',
-											'swish-migrate-and-backup'
-										) }
+						<Fragment key={ backup.id }>
+							<tr>
+								<td className="column-filename">
+									<strong>
+										{ backup.filename || backup.id }
+									</strong>
+								</td>
+								<td className="column-type">
+									<span
+										className={ `swish-backup-type ${ getTypeClass(
+											backup.type
+										) }` }
 									>
-										<span className="dashicons dashicons-trash"></span>
-									</button>
-								</div>
-							</td>
-						</tr>
+										{ getTypeLabel( backup.type ) }
+									</span>
+									{ backup.rollback_point && (
+										<span className="swish-backup-type type-rollback">
+											{ __(
+												'Rollback point',
+												'swish-migrate-and-backup'
+											) }
+										</span>
+									) }
+								</td>
+								<td className="column-size">
+									{ formatSize( backup.size ) }
+								</td>
+								<td className="column-date">
+									{ formatDate(
+										backup.completed_at || backup.created_at
+									) }
+								</td>
+								<td className="column-verification">
+									{ renderVerification( backup ) }
+								</td>
+								<td className="column-actions">
+									<div className="swish-action-buttons">
+										<button
+											className="button button-small"
+											onClick={ () =>
+												onRestore( backup.id )
+											}
+											title={ __(
+												'Restore',
+												'swish-migrate-and-backup'
+											) }
+										>
+											<span className="dashicons dashicons-backup"></span>
+											{ __(
+												'Restore',
+												'swish-migrate-and-backup'
+											) }
+										</button>
+										<button
+											className={ `button button-small ${
+												openContents === backup.id
+													? 'active'
+													: ''
+											}` }
+											aria-expanded={
+												openContents === backup.id
+											}
+											onClick={ () =>
+												setOpenContents(
+													openContents === backup.id
+														? null
+														: backup.id
+												)
+											}
+											title={ __(
+												'Contents',
+												'swish-migrate-and-backup'
+											) }
+										>
+											<span className="dashicons dashicons-list-view"></span>
+										</button>
+										<button
+											className="button button-small"
+											onClick={ () =>
+												handleVerify( backup.id )
+											}
+											disabled={ verifying !== null }
+											title={ __(
+												'Verify now',
+												'swish-migrate-and-backup'
+											) }
+										>
+											<span className="dashicons dashicons-shield"></span>
+										</button>
+										<button
+											className="button button-small"
+											onClick={ () =>
+												onDownload( backup.id )
+											}
+											title={ __(
+												'Download',
+												'swish-migrate-and-backup'
+											) }
+										>
+											<span className="dashicons dashicons-download"></span>
+										</button>
+										<button
+											className="button button-small button-link-delete"
+											onClick={ () =>
+												onDelete( backup.id )
+											}
+											title={ __(
+												'Delete',
+												'swish-migrate-and-backup'
+											) }
+										>
+											<span className="dashicons dashicons-trash"></span>
+										</button>
+									</div>
+								</td>
+							</tr>
+							{ openContents === backup.id && (
+								<tr className="swish-backup-contents-row">
+									<td colSpan="6">
+										<BackupContents
+											backupId={ backup.id }
+										/>
+									</td>
+								</tr>
+							) }
+						</Fragment>
 					) ) }
 				</tbody>
 			</table>
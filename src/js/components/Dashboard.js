@@ -5,9 +5,11 @@
  */
 
 import { useState } from '@wordpress/element';
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 import BackupList from './BackupList';
 import MigrationPanel from './MigrationPanel';
+import Schedules from './Schedules';
+import StorageDestinations from './StorageDestinations';
 
 /**
  * Format file size.
@@ -42,25 +44,33 @@ const formatDate = (dateString) => {
 /**
  * Dashboard component.
  *
- * @param {Object}   props                - Component props.
- * @param {Object}   props.stats          - Dashboard stats.
- * @param {Array}    props.backups        - List of backups.
- * @param {Object}   props.settings       - Plugin settings.
- * @param {Function} props.onBackup       - Backup handler.
- * @param {Function} props.onDelete       - Delete handler.
- * @param {Function} props.onDownload     - Download handler.
- * @param {Function} props.onRestore      - Restore handler.
- * @param {Function} props.onOpenSettings - Settings handler.
+ * @param {Object}   props                 - Component props.
+ * @param {Object}   props.stats           - Dashboard stats.
+ * @param {Array}    props.backups         - List of backups.
+ * @param {Object}   props.settings        - Plugin settings.
+ * @param {Object}   props.rollbackPoint   - Rollback point of the last restore, if any.
+ * @param {Function} props.onRollback      - Roll back the last restore.
+ * @param {Function} props.onBackup        - Backup handler.
+ * @param {Function} props.onDelete        - Delete handler.
+ * @param {Function} props.onDownload      - Download handler.
+ * @param {Function} props.onRestore       - Restore handler.
+ * @param {Function} props.onRunSchedule   - Run a schedule now.
+ * @param {Function} props.onStorageChange - Called after storage settings change.
+ * @param {Function} props.onOpenSettings  - Settings handler.
  * @return {JSX.Element} Component.
  */
 const Dashboard = ({
 	stats,
 	backups,
 	settings,
+	rollbackPoint,
+	onRollback,
 	onBackup,
 	onDelete,
 	onDownload,
 	onRestore,
+	onRunSchedule,
+	onStorageChange,
 	onOpenSettings,
 }) => {
 	const [showBackupTypes, setShowBackupTypes] = useState(false);
@@ -76,6 +86,26 @@ const Dashboard = ({
 				</button>
 			</div>
 
+			{rollbackPoint && (
+				<div className="swish-notice swish-notice-warning swish-rollback-notice">
+					<p>
+						{sprintf(
+							/* translators: 1: restored backup file name, 2: date and time. */
+							__(
+								'%1$s was restored. You can roll the database back to how it was before until %2$s.',
+								'swish-migrate-and-backup'
+							),
+							rollbackPoint.restored_from,
+							formatDate(rollbackPoint.expires_at)
+						)}
+					</p>
+					<button className="button" onClick={onRollback}>
+						<span className="dashicons dashicons-undo"></span>
+						{__('Roll back last restore', 'swish-migrate-and-backup')}
+					</button>
+				</div>
+			)}
+
 			<div className="swish-quick-actions">
 				<div className="swish-action-card">
 					<h3>{__('Backup Now', 'swish-migrate-and-backup')}</h3>
@@ -214,40 +244,18 @@ const Dashboard = ({
 				</div>
 			</div>
 
-			{stats?.storage && Object.keys(stats.storage).length > 0 && (
-				<div className="swish-storage-status">
-					<h2>{__('Storage Destinations', 'swish-migrate-and-backup')}</h2>
-					<div className="swish-storage-grid">
-						{Object.entries(stats.storage).map(
-							([key, storage]) => (
-								<div
-									key={key}
-									className={`swish-storage-card ${storage.configured ? 'configured' : ''
-										}`}
-								>
-									<span className="swish-storage-icon dashicons dashicons-cloud"></span>
-									<span className="swish-storage-name">
-										{storage.name}
-									</span>
-									<span
-										className={`swish-storage-status-badge ${storage.configured
-											? 'active'
-											: 'inactive'
-											}`}
-									>
-										{storage.configured
-											? __('Connected', 'swish-migrate-and-backup')
-											: __('Not Configured', 'swish-migrate-and-backup')}
-									</span>
-								</div>
-							)
-						)}
-					</div>
-				</div>
-			)}
+			<StorageDestinations onChange={onStorageChange} />
+
+			<Schedules
+				destinations={stats?.storage}
+				timezone={stats?.timezone}
+				backups={backups}
+				onRun={onRunSchedule}
+			/>
 
 			<BackupList
 				backups={backups}
+				destinations={stats?.storage}
 				onDelete={onDelete}
 				onDownload={onDownload}
 				onRestore={onRestore}
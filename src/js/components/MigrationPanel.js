@@ -5,8 +5,12 @@
  */
 
 import { useState } from '@wordpress/element';
-import { __ } from '@wordpress/i18n';
-import { searchReplace } from '../api';
+import { __, sprintf } from '@wordpress/i18n';
+import { searchReplaceBatch } from '../api';
+import SearchReplacePairs from './SearchReplacePairs';
+import SearchReplaceScope from './SearchReplaceScope';
+import SearchReplacePreview, { getMatchKey } from './SearchReplacePreview';
+import SearchReplaceHistory from './SearchReplaceHistory';
 
 /**
  * MigrationPanel component for search and replace functionality.
@@ -16,33 +20,79 @@ import { searchReplace } from '../api';
  * @return {JSX.Element} Component.
  */
 const MigrationPanel = ( { siteUrl } ) => {
-	const [ searchUrl, setSearchUrl ] = useState( '' );
-	const [ replaceUrl, setReplaceUrl ] = useState( siteUrl || '' );
+	const [ pairs, setPairs ] = useState( [
+		{ search: '', replace: siteUrl || '' },
+	] );
 	const [ preview, setPreview ] = useState( null );
 	const [ isLoading, setIsLoading ] = useState( false );
 	const [ result, setResult ] = useState( null );
 	const [ error, setError ] = useState( null );
+	const [ options, setOptions ] = useState( {
+		case_insensitive: false,
+		whole_word: false,
+		regex: false,
+	} );
 
-	const handlePreview = async () => {
-		if ( ! searchUrl || ! replaceUrl ) {
+	const [ scope, setScope ] = useState( {
+		presets: [ 'skip_users', 'skip_guids' ],
+		tables: [],
+		columns: {},
+		post_types: [],
+		option_names: [],
+	} );
+
+	const [ excluded, setExcluded ] = useState( {} );
+
+	const changeScope = ( value ) => {
+		setScope( value );
+		setPreview( null );
+	};
+
+	const toggleOption = ( key ) => {
+		setOptions( { ...options, [ key ]: ! options[ key ] } );
+		// A preview made with other options no longer describes the run.
+		setPreview( null );
+	};
+
+	const toggleExclude = ( match ) => {
+		const key = getMatchKey( match );
+		const next = { ...excluded };
+
+		if ( next[ key ] ) {
+			delete next[ key ];
+		} else {
+			next[ key ] = {
+				table: match.table,
+				column: match.column,
+				row_id: match.row_id,
+			};
+		}
+
+		setExcluded( next );
+	};
+
+	const activePairs = pairs.filter( ( pair ) => pair.search !== '' );
+
+	const handlePreview = () => {
+		if ( activePairs.length === 0 ) {
 			setError(
-				__( 'Please enter both search and replace URLs.', 'swish-migrate-and-backup' )
+				__(
+					'Please enter at least one value to search for.',
+					'swish-migrate-and-backup'
+				)
 			);
 			return;
 		}
 
-		setIsLoading( true );
 		setError( null );
-		setPreview( null );
-
-		try {
-			const data = await searchReplace( searchUrl, replaceUrl, true );
-			setPreview( data );
-		} catch ( err ) {
-			setError( err.message || __( 'Preview failed', 'swish-migrate-and-backup' ) );
-		} finally {
-			setIsLoading( false );
-		}
+		setResult( null );
+		setExcluded( {} );
+		// The run uses exactly what was previewed, even if the fields change afterwards.
+		setPreview( {
+			id: ( preview ? preview.id : 0 ) + 1,
+			pairs: activePairs,
+			options: { ...options, scope },
+		} );
 	};
 
 	const handleMigrate = async () => {
@@ -62,7 +112,13 @@ const MigrationPanel = ( { siteUrl } ) => {
 		setResult( null );
 
 		try {
-			const data = await searchReplace( searchUrl, replaceUrl, false );
+			const data = await searchReplaceBatch( preview.pairs, false, {
+				...preview.options,
+				scope: {
+					...preview.options.scope,
+					exclude_rows: Object.values( excluded ),
+				},
+			} );
 			setResult( data );
 			setPreview( null );
 		} catch ( err ) {
@@ -84,38 +140,74 @@ const MigrationPanel = ( { siteUrl } ) => {
 
 			<div className="swish-migrate-form">
 				<div className="swish-form-row">
-					<label htmlFor="search_url">
-						{ __( 'Search for (old URL)', 'swish-migrate-and-backup' ) }
-					</label>
-					<input
-						type="url"
-						id="search_url"
-						className="regular-text"
-						placeholder="https://old-domain.com"
-						value={ searchUrl }
-						onChange={ ( e ) => setSearchUrl( e.target.value ) }
+					<SearchReplacePairs
+						pairs={ pairs }
+						regex={ options.regex }
+						onChange={ setPairs }
 					/>
 				</div>
 
-				<div className="swish-form-row">
-					<label htmlFor="replace_url">
-						{ __( 'Replace with (new URL)', 'swish-migrate-and-backup' ) }
+				<div className="swish-form-row swish-search-options">
+					<label htmlFor="search_case_insensitive">
+						<input
+							type="checkbox"
+							id="search_case_insensitive"
+							checked={ options.case_insensitive }
+							onChange={ () =>
+								toggleOption( 'case_insensitive' )
+							}
+						/>
+						{ __( 'Case-insensitive', 'swish-migrate-and-backup' ) }
 					</label>
-					<input
-						type="url"
-						id="replace_url"
-						className="regular-text"
-						placeholder="https://new-domain.com"
-						value={ replaceUrl }
-						onChange={ ( e ) => setReplaceUrl( e.target.value ) }
-					/>
+					<label htmlFor="search_whole_word">
+						<input
+							type="checkbox"
+							id="search_whole_word"
+							checked={ options.whole_word }
+							onChange={ () => toggleOption( 'whole_word' ) }
+						/>
+						{ __( 'Whole words only', 'swish-migrate-and-backup' ) }
+					</label>
+					<label htmlFor="search_regex">
+						<input
+							type="checkbox"
+							id="search_regex"
+							checked={ options.regex }
+							onChange={ () => toggleOption( 'regex' ) }
+						/>
+						{ __(
+							'Regular expression',
+							'swish-migrate-and-backup'
+						) }
+					</label>
+					{ options.regex && (
+						<p className="description">
+							{ __(
+								'Enter a PCRE pattern without delimiters. Use $1, $2 in the replacement to insert captured groups.',
+								'swish-migrate-and-backup'
+							) }
+						</p>
+					) }
 				</div>
 
+				<details className="swish-form-row">
+					<summary>
+						{ __(
+							'Limit to tables, columns and post types',
+							'swish-migrate-and-backup'
+						) }
+					</summary>
+					<SearchReplaceScope
+						scope={ scope }
+						onChange={ changeScope }
+					/>
+				</details>
+
 				<div className="swish-form-actions">
 					<button
 						className="button"
 						onClick={ handlePreview }
-						disabled={ isLoading || ! searchUrl || ! replaceUrl }
+						disabled={ isLoading || activePairs.length === 0 }
 					>
 						{ isLoading
 							? __( 'Loading...', 'swish-migrate-and-backup' )
@@ -141,37 +233,12 @@ const MigrationPanel = ( { siteUrl } ) => {
 			) }
 
 			{ preview && (
-				<div className="swish-preview-results">
-					<h4>{ __( 'Preview Results', 'swish-migrate-and-backup' ) }</h4>
-					<p>
-						{ __( 'Found', 'swish-migrate-and-backup' ) }{ ' ' }
-						<strong>{ preview.total_replacements || 0 }</strong>{ ' ' }
-						{ __( 'replacements across', 'swish-migrate-and-backup' ) }{ ' ' }
-						<strong>{ preview.tables_affected || 0 }</strong>{ ' ' }
-						{ __( 'tables.', 'swish-migrate-and-backup' ) }
-					</p>
-
-					{ preview.details && preview.details.length > 0 && (
-						<table className="widefat">
-							<thead>
-								<tr>
-									<th>{ __( 'Table', 'swish-migrate-and-backup' ) }</th>
-									<th>{ __( 'Column', 'swish-migrate-and-backup' ) }</th>
-									<th>{ __( 'Replacements', 'swish-migrate-and-backup' ) }</th>
-								</tr>
-							</thead>
-							<tbody>
-								{ preview.details.slice( 0, 10 ).map( ( detail, index ) => (
-									<tr key={ index }>
-										<td>{ detail.table }</td>
-										<td>{ detail.column }</td>
-										<td>{ detail.count }</td>
-									</tr>
-								) ) }
-							</tbody>
-						</table>
-					) }
-				</div>
+				<SearchReplacePreview
+					key={ preview.id }
+					request={ preview }
+					excluded={ excluded }
+					onToggleExclude={ toggleExclude }
+				/>
 			) }
 
 			{ result && (
@@ -184,8 +251,28 @@ const MigrationPanel = ( { siteUrl } ) => {
 						<strong>{ result.total_replacements || 0 }</strong>{ ' ' }
 						{ __( 'occurrences.', 'swish-migrate-and-backup' ) }
 					</p>
+					{ result.operations.length > 1 && (
+						<ul>
+							{ result.operations.map( ( operation, index ) => (
+								<li key={ index }>
+									{ sprintf(
+										/* translators: 1: pair number, 2: search value, 3: number of values changed. */
+										__(
+											'Pair %1$d (%2$s): %3$d changed',
+											'swish-migrate-and-backup'
+										),
+										index + 1,
+										operation.search,
+										operation.replacements
+									) }
+								</li>
+							) ) }
+						</ul>
+					) }
 				</div>
 			) }
+
+			<SearchReplaceHistory lastRun={ result } />
 		</div>
 	);
 };
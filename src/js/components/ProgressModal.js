@@ -45,6 +45,36 @@ const STAGE_INFO = {
 		title: __( 'Finalizing', 'swish-migrate-and-backup' ),
 		detail: __( 'Completing backup', 'swish-migrate-and-backup' ),
 	},
+	// Restore stages.
+	'Creating safety snapshot': {
+		title: __( 'Creating Safety Snapshot', 'swish-migrate-and-backup' ),
+		detail: __(
+			'Saving the current database for rollback',
+			'swish-migrate-and-backup'
+		),
+	},
+	'Extracting backup': {
+		title: __( 'Extracting Backup', 'swish-migrate-and-backup' ),
+		detail: __(
+			'Unpacking the backup archive',
+			'swish-migrate-and-backup'
+		),
+	},
+	'Restoring files': {
+		title: __( 'Restoring Files', 'swish-migrate-and-backup' ),
+		detail: __( 'Writing site files', 'swish-migrate-and-backup' ),
+	},
+	'Restoring database': {
+		title: __( 'Restoring Database', 'swish-migrate-and-backup' ),
+		detail: __( 'Importing database tables', 'swish-migrate-and-backup' ),
+	},
+	'Cleaning up': {
+		title: __( 'Cleaning Up', 'swish-migrate-and-backup' ),
+		detail: __(
+			'Removing temporary files and flushing caches',
+			'swish-migrate-and-backup'
+		),
+	},
 };
 
 /**
@@ -103,21 +133,68 @@ const LogEntry = ( { stage, name, status, detail } ) => {
 	);
 };
 
+/**
+ * Get the header icon for a job status.
+ *
+ * @param {string} status - Job status.
+ * @return {string} Dashicon name.
+ */
+const getStatusIcon = ( status ) => {
+	switch ( status ) {
+		case 'completed':
+			return 'yes-alt';
+		case 'failed':
+		case 'cancelled':
+			return 'warning';
+		case 'paused':
+			return 'controls-pause';
+		default:
+			return 'update';
+	}
+};
+
+/**
+ * Get the progress bar class for a job status.
+ *
+ * @param {string} status - Job status.
+ * @return {string} Class name.
+ */
+const getProgressBarClass = ( status ) => {
+	switch ( status ) {
+		case 'completed':
+			return 'status-completed';
+		case 'failed':
+		case 'cancelled':
+			return 'status-failed';
+		default:
+			return 'status-processing';
+	}
+};
+
 /**
  * ProgressModal component.
  *
- * @param {Object}   props         - Component props.
- * @param {Object}   props.job     - Job data.
- * @param {Function} props.onClose - Close handler.
+ * @param {Object}   props          - Component props.
+ * @param {Object}   props.job      - Job data.
+ * @param {Function} props.onClose  - Close handler.
+ * @param {Function} props.onPause  - Pause handler (pipeline jobs only).
+ * @param {Function} props.onResume - Resume handler (pipeline jobs only).
+ * @param {Function} props.onCancel - Cancel handler (pipeline jobs only).
  * @return {JSX.Element|null} Component.
  */
-const ProgressModal = ( { job, onClose } ) => {
+const ProgressModal = ( { job, onClose, onPause, onResume, onCancel } ) => {
 	const [ logEntries, setLogEntries ] = useState( [] );
 
 	const isProcessing =
 		job?.status === 'processing' || job?.status === 'starting';
 	const isCompleted = job?.status === 'completed';
 	const isFailed = job?.status === 'failed';
+	const isPaused = job?.status === 'paused';
+	const isCancelled = job?.status === 'cancelled';
+	const isRestore = job?.type === 'restore';
+
+	// Only pipeline backup jobs can be paused, resumed or cancelled.
+	const canControl = !! job?.jobId && ! isRestore && !! onCancel;
 
 	const currentStage = useMemo( () => {
 		if ( ! job ) {
@@ -187,33 +264,56 @@ const ProgressModal = ( { job, onClose } ) => {
 				<div className="swish-modal-header">
 					<h2>
 						<span
-							className={ `dashicons dashicons-${
-								isCompleted
-									? 'yes-alt'
-									: isFailed
-									? 'warning'
-									: 'update'
-							} ${ isProcessing ? 'spin' : '' }` }
+							className={ `dashicons dashicons-${ getStatusIcon(
+								job.status
+							) } ${ isProcessing ? 'spin' : '' }` }
 						></span>
 						{ isCompleted &&
-							__( 'Backup Complete', 'swish-migrate-and-backup' ) }
+							( isRestore
+								? __(
+										'Restore Complete',
+										'swish-migrate-and-backup'
+								  )
+								: __(
+										'Backup Complete',
+										'swish-migrate-and-backup'
+								  ) ) }
 						{ isFailed &&
-							__( 'Backup Failed', 'swish-migrate-and-backup' ) }
+							( isRestore
+								? __(
+										'Restore Failed',
+										'swish-migrate-and-backup'
+								  )
+								: __(
+										'Backup Failed',
+										'swish-migrate-and-backup'
+								  ) ) }
 						{ isProcessing &&
-							__( 'Creating Backup', 'swish-migrate-and-backup' ) }
+							( isRestore
+								? __(
+										'Restoring Backup',
+										'swish-migrate-and-backup'
+								  )
+								: __(
+										'Creating Backup',
+										'swish-migrate-and-backup'
+								  ) ) }
+						{ isPaused &&
+							__( 'Backup Paused', 'swish-migrate-and-backup' ) }
+						{ isCancelled &&
+							__(
+								'Backup Cancelled',
+								'swish-migrate-and-backup'
+							) }
 					</h2>
 				</div>
 
 				<div className="swish-modal-body">
 					<div className="swish-progress-container">
 						<div
-							className={ `swish-progress-bar ${
-								isCompleted
-									? 'status-completed'
-									: isFailed
-									? 'status-failed'
-									: 'status-processing'
-							}` }
+							className={ `swish-progress-bar ${ getProgressBarClass(
+								job.status
+							) }` }
 						>
 							<div
 								className="swish-progress-fill"
@@ -229,7 +329,15 @@ const ProgressModal = ( { job, onClose } ) => {
 
 					<div className="swish-backup-log-container">
 						<h4 className="swish-backup-log-title">
-							{ __( 'Backup Progress', 'swish-migrate-and-backup' ) }
+							{ isRestore
+								? __(
+										'Restore Progress',
+										'swish-migrate-and-backup'
+								  )
+								: __(
+										'Backup Progress',
+										'swish-migrate-and-backup'
+								  ) }
 						</h4>
 						<div className="swish-backup-log">
 							{ logEntries.map( ( entry, index ) => (
@@ -248,8 +356,34 @@ const ProgressModal = ( { job, onClose } ) => {
 				<div className="swish-modal-footer">
 					{ ! isProcessing && (
 						<Fragment>
+							{ isPaused && canControl && (
+								<Fragment>
+									<button
+										className="button button-primary"
+										onClick={ onResume }
+									>
+										{ __(
+											'Resume',
+											'swish-migrate-and-backup'
+										) }
+									</button>
+									<button
+										className="button button-link-delete"
+										onClick={ onCancel }
+									>
+										{ __(
+											'Cancel Backup',
+											'swish-migrate-and-backup'
+										) }
+									</button>
+								</Fragment>
+							) }
 							<button
-								className="button button-primary"
+								className={ `button ${
+									isPaused && canControl
+										? ''
+										: 'button-primary'
+								}` }
 								onClick={ onClose }
 							>
 								{ __( 'Close', 'swish-migrate-and-backup' ) }
@@ -276,9 +410,30 @@ const ProgressModal = ( { job, onClose } ) => {
 					) }
 					{ isProcessing && (
 						<p className="swish-processing-notice">
-							{ __( 'Please wait while the backup completes. Do not close this window.', 'swish-migrate-and-backup' ) }
+							{ isRestore
+								? __(
+										'Please wait while the restore completes. Do not close this window.',
+										'swish-migrate-and-backup'
+								  )
+								: __( 'Please wait while the backup completes. Do not close this window.', 'swish-migrate-and-backup' ) }
 						</p>
 					) }
+					{ isProcessing && canControl && (
+						<Fragment>
+							<button className="button" onClick={ onPause }>
+								{ __( 'Pause', 'swish-migrate-and-backup' ) }
+							</button>
+							<button
+								className="button button-link-delete"
+								onClick={ onCancel }
+							>
+								{ __(
+									'Cancel Backup',
+									'swish-migrate-and-backup'
+								) }
+							</button>
+						</Fragment>
+					) }
 				</div>
 			</div>
 		</div>
@@ -0,0 +1,318 @@
+/**
+ * RestoreModal component.
+ *
+ * @package SwishMigrateAndBackup
+ */
+
+import { useState, useEffect, Fragment } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import { getBackupContents } from '../api';
+
+/**
+ * Check whether a folder sits inside one of the selected folders.
+ *
+ * @param {string} path     - Folder path.
+ * @param {Array}  selected - Selected folder paths.
+ * @return {boolean} True if a parent folder is selected.
+ */
+const hasSelectedParent = ( path, selected ) =>
+	selected.some( ( parent ) => path.startsWith( parent + '/' ) );
+
+/**
+ * Checkbox list with select all/none actions.
+ *
+ * @param {Object}   props          - Component props.
+ * @param {string}   props.idPrefix - Prefix for the IDs of the checkboxes.
+ * @param {string}   props.title    - Section title.
+ * @param {Array}    props.items    - Items with key, label, depth, detail.
+ * @param {Array}    props.selected - Selected keys.
+ * @param {Function} props.onChange - Called with the new selected keys.
+ *                                  Select all/none only touch the listed items.
+ * @return {JSX.Element} Component.
+ */
+const SelectionList = ( { idPrefix, title, items, selected, onChange } ) => (
+	<div className="swish-settings-section">
+		<h3>
+			{ title }{ ' ' }
+			<span className="swish-folder-tree-count">
+				{ `${ selected.length }/${ items.length }` }
+			</span>
+		</h3>
+		<div className="swish-folder-tree-items">
+			<div className="swish-folder-tree-actions">
+				<button
+					type="button"
+					className="button button-small"
+					onClick={ () =>
+						onChange( [
+							...new Set( [
+								...selected,
+								...items.map( ( i ) => i.key ),
+							] ),
+						] )
+					}
+				>
+					{ __( 'Select All', 'swish-migrate-and-backup' ) }
+				</button>
+				<button
+					type="button"
+					className="button button-small"
+					onClick={ () =>
+						onChange(
+							selected.filter(
+								( key ) =>
+									! items.some( ( i ) => i.key === key )
+							)
+						)
+					}
+				>
+					{ __( 'Select None', 'swish-migrate-and-backup' ) }
+				</button>
+			</div>
+
+			{ items.map( ( item, index ) => {
+				const inherited = item.inherited || false;
+				const isChecked = inherited || selected.includes( item.key );
+
+				return (
+					<div
+						key={ item.key }
+						className="swish-folder-item"
+						style={ { paddingLeft: ( item.depth || 0 ) * 20 } }
+					>
+						<label htmlFor={ `${ idPrefix }-${ index }` }>
+							<input
+								type="checkbox"
+								id={ `${ idPrefix }-${ index }` }
+								checked={ isChecked }
+								disabled={ inherited }
+								onChange={ () =>
+									onChange(
+										isChecked
+											? selected.filter(
+													( key ) => key !== item.key
+											  )
+											: [ ...selected, item.key ]
+									)
+								}
+							/>
+							<span className="swish-folder-name">
+								{ item.label }
+							</span>
+							{ item.detail && (
+								<span className="swish-folder-size">
+									{ item.detail }
+								</span>
+							) }
+						</label>
+					</div>
+				);
+			} ) }
+		</div>
+	</div>
+);
+
+/**
+ * RestoreModal component.
+ *
+ * Lets the user restore a whole backup or only chosen tables and folders.
+ *
+ * @param {Object}   props           - Component props.
+ * @param {string}   props.backupId  - Backup ID.
+ * @param {Function} props.onRestore - Called with the restore options.
+ * @param {Function} props.onClose   - Close handler.
+ * @return {JSX.Element} Component.
+ */
+const RestoreModal = ( { backupId, onRestore, onClose } ) => {
+	const [ contents, setContents ] = useState( null );
+	const [ loadError, setLoadError ] = useState( null );
+	const [ mode, setMode ] = useState( 'full' );
+	const [ filter, setFilter ] = useState( '' );
+	const [ tables, setTables ] = useState( [] );
+	const [ paths, setPaths ] = useState( [] );
+
+	useEffect( () => {
+		getBackupContents( backupId )
+			.then( setContents )
+			.catch( ( err ) =>
+				setLoadError(
+					err.message ||
+						__(
+							'Could not read the backup contents.',
+							'swish-migrate-and-backup'
+						)
+				)
+			);
+	}, [ backupId ] );
+
+	const matches = ( value ) =>
+		! filter || value.toLowerCase().includes( filter.toLowerCase() );
+
+	const tableItems = ( contents?.tables || [] )
+		.filter( matches )
+		.map( ( table ) => ( { key: table, label: table } ) );
+
+	const folderItems = ( contents?.folders || [] )
+		.filter( ( folder ) => matches( folder.path ) )
+		.map( ( folder ) => ( {
+			key: folder.path,
+			label: folder.path.split( '/' ).pop(),
+			depth: folder.path.split( '/' ).length - 1,
+			detail: `${ folder.files } files`,
+			inherited: hasSelectedParent( folder.path, paths ),
+		} ) );
+
+	const nothingSelected =
+		mode === 'selective' && ! tables.length && ! paths.length;
+
+	const handleSubmit = () => {
+		if ( mode === 'full' ) {
+			onRestore( {} );
+			return;
+		}
+
+		onRestore( {
+			restore_database: tables.length > 0,
+			restore_files: paths.length > 0,
+			tables,
+			// Drop folders already covered by a selected parent.
+			paths: paths.filter(
+				( path ) => ! hasSelectedParent( path, paths )
+			),
+		} );
+	};
+
+	return (
+		<div className="swish-modal-overlay">
+			<div className="swish-modal swish-settings-modal swish-restore-modal">
+				<div className="swish-modal-header">
+					<h2>
+						<span className="dashicons dashicons-backup"></span>
+						{ __( 'Restore Backup', 'swish-migrate-and-backup' ) }
+					</h2>
+					<button className="swish-modal-close" onClick={ onClose }>
+						<span className="dashicons dashicons-no-alt"></span>
+					</button>
+				</div>
+
+				<div className="swish-modal-body">
+					<div className="swish-settings-section">
+						<label
+							className="swish-restore-mode"
+							htmlFor="swish-restore-mode-full"
+						>
+							<input
+								type="radio"
+								id="swish-restore-mode-full"
+								checked={ mode === 'full' }
+								onChange={ () => setMode( 'full' ) }
+							/>
+							{ __(
+								'Restore everything',
+								'swish-migrate-and-backup'
+							) }
+						</label>
+						<label
+							className="swish-restore-mode"
+							htmlFor="swish-restore-mode-selective"
+						>
+							<input
+								type="radio"
+								id="swish-restore-mode-selective"
+								checked={ mode === 'selective' }
+								onChange={ () => setMode( 'selective' ) }
+							/>
+							{ __(
+								'Choose tables and folders',
+								'swish-migrate-and-backup'
+							) }
+						</label>
+					</div>
+
+					{ mode === 'selective' && ! contents && ! loadError && (
+						<div className="swish-loading">
+							<Spinner />
+							<p>
+								{ __(
+									'Reading backup contents…',
+									'swish-migrate-and-backup'
+								) }
+							</p>
+						</div>
+					) }
+
+					{ mode === 'selective' && loadError && (
+						<p className="swish-restore-error">{ loadError }</p>
+					) }
+
+					{ mode === 'selective' && contents && (
+						<Fragment>
+							<input
+								type="search"
+								className="regular-text swish-restore-filter"
+								placeholder={ __(
+									'Filter tables and folders',
+									'swish-migrate-and-backup'
+								) }
+								value={ filter }
+								onChange={ ( e ) =>
+									setFilter( e.target.value )
+								}
+							/>
+
+							{ contents.tables.length > 0 && (
+								<SelectionList
+									idPrefix="swish-restore-table"
+									title={ __(
+										'Database tables',
+										'swish-migrate-and-backup'
+									) }
+									items={ tableItems }
+									selected={ tables }
+									onChange={ setTables }
+								/>
+							) }
+
+							{ contents.folders.length > 0 && (
+								<SelectionList
+									idPrefix="swish-restore-folder"
+									title={ __(
+										'Folders',
+										'swish-migrate-and-backup'
+									) }
+									items={ folderItems }
+									selected={ paths }
+									onChange={ setPaths }
+								/>
+							) }
+						</Fragment>
+					) }
+				</div>
+
+				<div className="swish-modal-footer">
+					<button className="button" onClick={ onClose }>
+						{ __( 'Cancel', 'swish-migrate-and-backup' ) }
+					</button>
+					<button
+						className="button button-primary"
+						onClick={ handleSubmit }
+						disabled={ nothingSelected }
+					>
+						{ mode === 'full'
+							? __(
+									'Restore Everything',
+									'swish-migrate-and-backup'
+							  )
+							: __(
+									'Restore Selected',
+									'swish-migrate-and-backup'
+							  ) }
+					</button>
+				</div>
+			</div>
+		</div>
+	);
+};
+
+export default RestoreModal;
@@ -0,0 +1,1029 @@
+/**
+ * Schedules component.
+ *
+ * @package SwishMigrateAndBackup
+ */
+
+import { useState, useEffect, Fragment } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import {
+	getSchedules,
+	createSchedule,
+	updateSchedule,
+	toggleSchedule,
+	deleteSchedule,
+	previewSchedule,
+	getScheduleRuns,
+} from '../api';
+
+/**
+ * Frequencies a schedule can run at.
+ */
+const FREQUENCIES = {
+	hourly: __( 'Hourly', 'swish-migrate-and-backup' ),
+	twicedaily: __( 'Twice Daily', 'swish-migrate-and-backup' ),
+	daily: __( 'Daily', 'swish-migrate-and-backup' ),
+	weekly: __( 'Weekly', 'swish-migrate-and-backup' ),
+	monthly: __( 'Monthly', 'swish-migrate-and-backup' ),
+	cron: __( 'Cron expression', 'swish-migrate-and-backup' ),
+};
+
+/**
+ * Weekday labels, Sunday first to match cron day numbers.
+ */
+const DAYS = [
+	__( 'Sun', 'swish-migrate-and-backup' ),
+	__( 'Mon', 'swish-migrate-and-backup' ),
+	__( 'Tue', 'swish-migrate-and-backup' ),
+	__( 'Wed', 'swish-migrate-and-backup' ),
+	__( 'Thu', 'swish-migrate-and-backup' ),
+	__( 'Fri', 'swish-migrate-and-backup' ),
+	__( 'Sat', 'swish-migrate-and-backup' ),
+];
+
+/**
+ * Delay before the run preview is refreshed after a change, in milliseconds.
+ */
+const PREVIEW_DELAY = 500;
+
+/**
+ * Backup types a schedule can create.
+ */
+const BACKUP_TYPES = {
+	full: __( 'Full Backup', 'swish-migrate-and-backup' ),
+	database: __( 'Database Only', 'swish-migrate-and-backup' ),
+	files: __( 'Files Only', 'swish-migrate-and-backup' ),
+};
+
+/**
+ * Labels of the statuses a run can end with.
+ */
+const RUN_STATUSES = {
+	running: __( 'Running', 'swish-migrate-and-backup' ),
+	completed: __( 'Completed', 'swish-migrate-and-backup' ),
+	failed: __( 'Failed', 'swish-migrate-and-backup' ),
+	cancelled: __( 'Cancelled', 'swish-migrate-and-backup' ),
+	skipped: __( 'Skipped', 'swish-migrate-and-backup' ),
+};
+
+/**
+ * Labels of what started a run.
+ */
+const RUN_TRIGGERS = {
+	manual: __( 'Manual', 'swish-migrate-and-backup' ),
+	scheduled: __( 'Scheduled', 'swish-migrate-and-backup' ),
+};
+
+/**
+ * Values of a schedule that has not been saved yet.
+ */
+const NEW_SCHEDULE = {
+	name: '',
+	frequency: 'daily',
+	backup_type: 'full',
+	storage_destinations: [ 'local' ],
+	retention_count: 5,
+	cron_expression: '15 3 * * *',
+	timezone: '',
+	blackout_windows: [],
+};
+
+/**
+ * Format an ISO 8601 date in a time zone.
+ *
+ * Falls back to the browser's time zone for zones it does not know.
+ *
+ * @param {string|null} date     - Date, or null if there is none.
+ * @param {string}      timeZone - Time zone name.
+ * @return {string} Formatted date.
+ */
+const formatDate = ( date, timeZone ) => {
+	if ( ! date ) {
+		return '-';
+	}
+	const parsed = new Date( date );
+	const options = { dateStyle: 'medium', timeStyle: 'short' };
+	try {
+		return parsed.toLocaleString( undefined, { ...options, timeZone } );
+	} catch ( error ) {
+		return parsed.toLocaleString( undefined, options );
+	}
+};
+
+/**
+ * Time zones the browser knows, for suggesting in the time zone field.
+ *
+ * @return {string[]} Time zone names.
+ */
+const getTimeZones = () =>
+	typeof Intl.supportedValuesOf === 'function'
+		? Intl.supportedValuesOf( 'timeZone' )
+		: [];
+
+/**
+ * Editor for the blackout windows of a schedule.
+ *
+ * @param {Object}   props          - Component props.
+ * @param {string}   props.idPrefix - Prefix for the IDs of the fields.
+ * @param {Array}    props.windows  - Windows with days, start and end.
+ * @param {Function} props.onChange - Called with the new windows.
+ * @return {JSX.Element} Component.
+ */
+const BlackoutWindows = ( { idPrefix, windows, onChange } ) => {
+	const updateWindow = ( index, changes ) =>
+		onChange(
+			windows.map( ( blackout, i ) =>
+				i === index ? { ...blackout, ...changes } : blackout
+			)
+		);
+
+	const toggleDay = ( index, day, checked ) =>
+		updateWindow( index, {
+			days: checked
+				? [ ...windows[ index ].days, day ].sort()
+				: windows[ index ].days.filter( ( item ) => item !== day ),
+		} );
+
+	return (
+		<fieldset className="swish-schedule-blackouts">
+			<legend>
+				{ __( 'Blackout Windows', 'swish-migrate-and-backup' ) }
+			</legend>
+			<p className="swish-schedule-muted">
+				{ __(
+					'Runs that fall inside a window are skipped. A window that ends before it starts runs past midnight.',
+					'swish-migrate-and-backup'
+				) }
+			</p>
+			{ windows.map( ( blackout, index ) => (
+				<div key={ index } className="swish-schedule-blackout">
+					{ DAYS.map( ( label, day ) => (
+						<label
+							key={ day }
+							htmlFor={ `${ idPrefix }-blackout-${ index }-${ day }` }
+						>
+							<input
+								type="checkbox"
+								id={ `${ idPrefix }-blackout-${ index }-${ day }` }
+								checked={ blackout.days.includes( day ) }
+								onChange={ ( e ) =>
+									toggleDay( index, day, e.target.checked )
+								}
+							/>
+							{ label }
+						</label>
+					) ) }
+					<input
+						type="time"
+						aria-label={ __( 'From', 'swish-migrate-and-backup' ) }
+						value={ blackout.start }
+						onChange={ ( e ) =>
+							updateWindow( index, { start: e.target.value } )
+						}
+					/>
+					–
+					<input
+						type="time"
+						aria-label={ __( 'Until', 'swish-migrate-and-backup' ) }
+						value={ blackout.end }
+						onChange={ ( e ) =>
+							updateWindow( index, { end: e.target.value } )
+						}
+					/>
+					<button
+						type="button"
+						className="button button-small"
+						onClick={ () =>
+							onChange(
+								windows.filter( ( w, i ) => i !== index )
+							)
+						}
+					>
+						{ __( 'Remove', 'swish-migrate-and-backup' ) }
+					</button>
+				</div>
+			) ) }
+			<button
+				type="button"
+				className="button button-small"
+				onClick={ () =>
+					onChange( [
+						...windows,
+						{
+							days: [ 1, 2, 3, 4, 5 ],
+							start: '09:00',
+							end: '18:00',
+						},
+					] )
+				}
+			>
+				{ __( 'Add blackout window', 'swish-migrate-and-backup' ) }
+			</button>
+		</fieldset>
+	);
+};
+
+/**
+ * The next runs of a schedule that is being edited.
+ *
+ * @param {Object} props        - Component props.
+ * @param {Object} props.timing - Frequency and cron settings to preview.
+ * @return {JSX.Element} Component.
+ */
+const RunPreview = ( { timing } ) => {
+	const [ preview, setPreview ] = useState( null );
+	const [ error, setError ] = useState( null );
+	const key = JSON.stringify( timing );
+
+	useEffect( () => {
+		let cancelled = false;
+		const timer = setTimeout( () => {
+			previewSchedule( JSON.parse( key ) )
+				.then( ( result ) => {
+					if ( ! cancelled ) {
+						setPreview( result );
+						setError( null );
+					}
+				} )
+				.catch( ( err ) => {
+					if ( ! cancelled ) {
+						setPreview( null );
+						setError( err.message );
+					}
+				} );
+		}, PREVIEW_DELAY );
+
+		return () => {
+			cancelled = true;
+			clearTimeout( timer );
+		};
+	}, [ key ] );
+
+	return (
+		<div className="swish-schedule-preview">
+			<strong>
+				{ __( 'Next 10 runs', 'swish-migrate-and-backup' ) }
+				{ preview && ` (${ preview.timezone })` }
+			</strong>
+			{ error && <p className="swish-restore-error">{ error }</p> }
+			{ ! error && ! preview && <Spinner /> }
+			{ preview && preview.runs.length === 0 && (
+				<p>
+					{ __(
+						'This schedule would never run.',
+						'swish-migrate-and-backup'
+					) }
+				</p>
+			) }
+			{ preview && preview.runs.length > 0 && (
+				<ol>
+					{ preview.runs.map( ( run ) => (
+						<li key={ run }>
+							{ formatDate( run, preview.timezone ) }
+						</li>
+					) ) }
+				</ol>
+			) }
+		</div>
+	);
+};
+
+/**
+ * Run history of a schedule.
+ *
+ * Fetched again whenever the schedule is reloaded, so a run that just
+ * ended shows up.
+ *
+ * @param {Object} props          - Component props.
+ * @param {Object} props.schedule - Schedule to show the runs of.
+ * @return {JSX.Element} Component.
+ */
+const ScheduleRuns = ( { schedule } ) => {
+	const [ runs, setRuns ] = useState( null );
+	const [ error, setError ] = useState( null );
+
+	useEffect( () => {
+		let cancelled = false;
+
+		getScheduleRuns( schedule.id )
+			.then( ( result ) => {
+				if ( ! cancelled ) {
+					setRuns( result );
+					setError( null );
+				}
+			} )
+			.catch( ( err ) => {
+				if ( ! cancelled ) {
+					setError( err.message );
+				}
+			} );
+
+		return () => {
+			cancelled = true;
+		};
+	}, [ schedule ] );
+
+	if ( error ) {
+		return <p className="swish-restore-error">{ error }</p>;
+	}
+
+	if ( ! runs ) {
+		return <Spinner />;
+	}
+
+	if ( runs.length === 0 ) {
+		return (
+			<p className="swish-schedule-muted">
+				{ __(
+					'This schedule has not run yet.',
+					'swish-migrate-and-backup'
+				) }
+			</p>
+		);
+	}
+
+	return (
+		<table className="widefat swish-schedule-runs">
+			<thead>
+				<tr>
+					<th>{ __( 'Started', 'swish-migrate-and-backup' ) }</th>
+					<th>{ __( 'Finished', 'swish-migrate-and-backup' ) }</th>
+					<th>{ __( 'Started by', 'swish-migrate-and-backup' ) }</th>
+					<th>{ __( 'Status', 'swish-migrate-and-backup' ) }</th>
+					<th>{ __( 'Details', 'swish-migrate-and-backup' ) }</th>
+				</tr>
+			</thead>
+			<tbody>
+				{ runs.map( ( run, index ) => (
+					<tr key={ run.job_id || index }>
+						<td>
+							{ formatDate( run.started_at, schedule.timezone ) }
+						</td>
+						<td>
+							{ formatDate( run.finished_at, schedule.timezone ) }
+						</td>
+						<td>{ RUN_TRIGGERS[ run.trigger ] || run.trigger }</td>
+						<td>
+							<span
+								className={ `swish-schedule-run-status ${ run.status }` }
+							>
+								{ RUN_STATUSES[ run.status ] || run.status }
+							</span>
+						</td>
+						<td>{ run.message }</td>
+					</tr>
+				) ) }
+			</tbody>
+		</table>
+	);
+};
+
+/**
+ * Get the timing fields of a schedule to send to the server.
+ *
+ * @param {Object} values - Form values.
+ * @return {Object} Frequency, with the cron settings for cron schedules.
+ */
+const getTiming = ( values ) =>
+	values.frequency === 'cron'
+		? {
+				frequency: values.frequency,
+				cron_expression: values.cron_expression,
+				timezone: values.timezone,
+				blackout_windows: values.blackout_windows,
+		  }
+		: { frequency: values.frequency };
+
+/**
+ * Form for creating or editing a schedule.
+ *
+ * @param {Object}   props              - Component props.
+ * @param {string}   props.idPrefix     - Prefix for the IDs of the form fields.
+ * @param {Object}   props.schedule     - Values to start from.
+ * @param {Object}   props.destinations - Storage destinations keyed by ID.
+ * @param {boolean}  props.saving       - Whether a save is in progress.
+ * @param {Function} props.onSave       - Called with the form values.
+ * @param {Function} props.onCancel     - Called when editing is cancelled.
+ * @return {JSX.Element} Component.
+ */
+const ScheduleForm = ( {
+	idPrefix,
+	schedule,
+	destinations,
+	saving,
+	onSave,
+	onCancel,
+} ) => {
+	const [ values, setValues ] = useState( {
+		name: schedule.name,
+		frequency: schedule.frequency,
+		backup_type: schedule.backup_type,
+		storage_destinations: schedule.storage_destinations,
+		retention_count: schedule.retention_count,
+		cron_expression:
+			schedule.cron_expression || NEW_SCHEDULE.cron_expression,
+		timezone: schedule.timezone,
+		blackout_windows: schedule.blackout_windows,
+	} );
+
+	const setValue = ( key, value ) =>
+		setValues( { ...values, [ key ]: value } );
+
+	const toggleDestination = ( id, checked ) =>
+		setValue(
+			'storage_destinations',
+			checked
+				? [ ...values.storage_destinations, id ]
+				: values.storage_destinations.filter( ( item ) => item !== id )
+		);
+
+	const canSave =
+		values.name.trim() !== '' && values.storage_destinations.length > 0;
+
+	return (
+		<form
+			className="swish-schedule-form"
+			onSubmit={ ( event ) => {
+				event.preventDefault();
+				onSave( {
+					name: values.name,
+					backup_type: values.backup_type,
+					storage_destinations: values.storage_destinations,
+					retention_count: values.retention_count,
+					...getTiming( values ),
+				} );
+			} }
+		>
+			<div className="swish-schedule-fields">
+				<label htmlFor={ `${ idPrefix }-name` }>
+					{ __( 'Name', 'swish-migrate-and-backup' ) }
+					<input
+						type="text"
+						id={ `${ idPrefix }-name` }
+						className="regular-text"
+						value={ values.name }
+						onChange={ ( e ) => setValue( 'name', e.target.value ) }
+					/>
+				</label>
+				<label htmlFor={ `${ idPrefix }-frequency` }>
+					{ __( 'Frequency', 'swish-migrate-and-backup' ) }
+					<select
+						id={ `${ idPrefix }-frequency` }
+						value={ values.frequency }
+						onChange={ ( e ) =>
+							setValue( 'frequency', e.target.value )
+						}
+					>
+						{ Object.entries( FREQUENCIES ).map(
+							( [ id, label ] ) => (
+								<option key={ id } value={ id }>
+									{ label }
+								</option>
+							)
+						) }
+					</select>
+				</label>
+				<label htmlFor={ `${ idPrefix }-type` }>
+					{ __( 'Backup Type', 'swish-migrate-and-backup' ) }
+					<select
+						id={ `${ idPrefix }-type` }
+						value={ values.backup_type }
+						onChange={ ( e ) =>
+							setValue( 'backup_type', e.target.value )
+						}
+					>
+						{ Object.entries( BACKUP_TYPES ).map(
+							( [ id, label ] ) => (
+								<option key={ id } value={ id }>
+									{ label }
+								</option>
+							)
+						) }
+					</select>
+				</label>
+				<label htmlFor={ `${ idPrefix }-retention` }>
+					{ __( 'Keep Backups', 'swish-migrate-and-backup' ) }
+					<input
+						type="number"
+						id={ `${ idPrefix }-retention` }
+						className="small-text"
+						min="1"
+						max="100"
+						value={ values.retention_count }
+						onChange={ ( e ) =>
+							setValue(
+								'retention_count',
+								parseInt( e.target.value, 10 ) || 1
+							)
+						}
+					/>
+				</label>
+			</div>
+
+			{ values.frequency === 'cron' && (
+				<div className="swish-schedule-fields">
+					<label htmlFor={ `${ idPrefix }-cron` }>
+						{ __( 'Cron Expression', 'swish-migrate-and-backup' ) }
+						<input
+							type="text"
+							id={ `${ idPrefix }-cron` }
+							className="code"
+							placeholder="15 3 * * *"
+							value={ values.cron_expression }
+							onChange={ ( e ) =>
+								setValue( 'cron_expression', e.target.value )
+							}
+						/>
+						<span className="swish-schedule-muted">
+							{ __(
+								'minute hour day-of-month month day-of-week',
+								'swish-migrate-and-backup'
+							) }
+						</span>
+					</label>
+					<label htmlFor={ `${ idPrefix }-timezone` }>
+						{ __( 'Time Zone', 'swish-migrate-and-backup' ) }
+						<input
+							type="text"
+							id={ `${ idPrefix }-timezone` }
+							list={ `${ idPrefix }-timezones` }
+							value={ values.timezone }
+							onChange={ ( e ) =>
+								setValue( 'timezone', e.target.value )
+							}
+						/>
+						<datalist id={ `${ idPrefix }-timezones` }>
+							{ getTimeZones().map( ( zone ) => (
+								<option key={ zone } value={ zone } />
+							) ) }
+						</datalist>
+					</label>
+				</div>
+			) }
+
+			{ values.frequency === 'cron' && (
+				<BlackoutWindows
+					idPrefix={ idPrefix }
+					windows={ values.blackout_windows }
+					onChange={ ( windows ) =>
+						setValue( 'blackout_windows', windows )
+					}
+				/>
+			) }
+
+			<fieldset className="swish-schedule-destinations">
+				<legend>
+					{ __( 'Storage Destinations', 'swish-migrate-and-backup' ) }
+				</legend>
+				{ Object.entries( destinations ).map(
+					( [ id, destination ] ) => (
+						<label
+							key={ id }
+							htmlFor={ `${ idPrefix }-dest-${ id }` }
+						>
+							<input
+								type="checkbox"
+								id={ `${ idPrefix }-dest-${ id }` }
+								checked={ values.storage_destinations.includes(
+									id
+								) }
+								onChange={ ( e ) =>
+									toggleDestination( id, e.target.checked )
+								}
+							/>
+							{ destination.name }
+							{ ! destination.configured && (
+								<span className="swish-schedule-muted">
+									{ ' ' }
+									{ __(
+										'(not configured)',
+										'swish-migrate-and-backup'
+									) }
+								</span>
+							) }
+						</label>
+					)
+				) }
+			</fieldset>
+
+			<RunPreview timing={ getTiming( values ) } />
+
+			<p>
+				<button
+					type="submit"
+					className="button button-primary"
+					disabled={ saving || ! canSave }
+				>
+					{ saving
+						? __( 'Saving…', 'swish-migrate-and-backup' )
+						: __( 'Save Schedule', 'swish-migrate-and-backup' ) }
+				</button>{ ' ' }
+				<button
+					type="button"
+					className="button"
+					disabled={ saving }
+					onClick={ onCancel }
+				>
+					{ __( 'Cancel', 'swish-migrate-and-backup' ) }
+				</button>
+			</p>
+		</form>
+	);
+};
+
+/**
+ * Backup schedules, with inline editing.
+ *
+ * Lists each schedule with its next and last run, type, destinations and
+ * retention. Schedules can be added, edited in place, paused, activated,
+ * run now and deleted, and each shows its run history on request.
+ *
+ * @param {Object}   props              - Component props.
+ * @param {Object}   props.destinations - Storage destinations keyed by ID, with name and configured.
+ * @param {string}   props.timezone     - Site time zone, the default for new cron schedules.
+ * @param {Array}    props.backups      - Backup list; schedules are reloaded when it changes, as a run has ended.
+ * @param {Function} props.onRun        - Called with a schedule ID to run it now.
+ * @return {JSX.Element} Component.
+ */
+const Schedules = ( { destinations, timezone, backups, onRun } ) => {
+	const [ schedules, setSchedules ] = useState( null );
+	const [ editing, setEditing ] = useState( null );
+	const [ history, setHistory ] = useState( null );
+	const [ busy, setBusy ] = useState( null );
+	const [ message, setMessage ] = useState( null );
+
+	const available =
+		destinations && Object.keys( destinations ).length > 0
+			? destinations
+			: {
+					local: {
+						name: __( 'Local Storage', 'swish-migrate-and-backup' ),
+						configured: true,
+					},
+			  };
+
+	useEffect( () => {
+		getSchedules()
+			.then( setSchedules )
+			.catch( ( err ) =>
+				setMessage( { type: 'error', text: err.message } )
+			);
+	}, [ backups ] );
+
+	const replaceSchedule = ( updated ) =>
+		setSchedules(
+			schedules.map( ( schedule ) =>
+				schedule.id === updated.id ? updated : schedule
+			)
+		);
+
+	const run = async ( id, action ) => {
+		setBusy( id );
+		setMessage( null );
+
+		try {
+			await action();
+		} catch ( err ) {
+			setMessage( { type: 'error', text: err.message } );
+		} finally {
+			setBusy( null );
+		}
+	};
+
+	const handleSave = ( schedule, values ) =>
+		run( schedule.id || 'new', async () => {
+			if ( schedule.id ) {
+				replaceSchedule( await updateSchedule( schedule.id, values ) );
+			} else {
+				setSchedules( [
+					await createSchedule( values ),
+					...schedules,
+				] );
+			}
+			setEditing( null );
+			setMessage( {
+				type: 'success',
+				text: __( 'Schedule saved.', 'swish-migrate-and-backup' ),
+			} );
+		} );
+
+	const handleToggle = ( schedule ) =>
+		run( schedule.id, async () =>
+			replaceSchedule( await toggleSchedule( schedule.id ) )
+		);
+
+	const handleDelete = ( schedule ) => {
+		if (
+			! window.confirm(
+				sprintf(
+					/* translators: %s: schedule name. */
+					__(
+						'Delete the schedule "%s"? Backups it already made are kept.',
+						'swish-migrate-and-backup'
+					),
+					schedule.name
+				)
+			)
+		) {
+			return;
+		}
+
+		run( schedule.id, async () => {
+			await deleteSchedule( schedule.id );
+			setSchedules(
+				schedules.filter( ( item ) => item.id !== schedule.id )
+			);
+		} );
+	};
+
+	const renderForm = ( schedule ) => (
+		<ScheduleForm
+			idPrefix={ `swish-schedule-${ schedule.id || 'new' }` }
+			schedule={ schedule }
+			destinations={ available }
+			saving={ busy === ( schedule.id || 'new' ) }
+			onSave={ ( values ) => handleSave( schedule, values ) }
+			onCancel={ () => setEditing( null ) }
+		/>
+	);
+
+	return (
+		<div className="swish-schedules">
+			<div className="swish-schedules-header">
+				<h2>
+					{ __( 'Backup Schedules', 'swish-migrate-and-backup' ) }
+				</h2>
+				<button
+					type="button"
+					className="button"
+					disabled={ ! schedules || editing === 'new' }
+					onClick={ () => setEditing( 'new' ) }
+				>
+					{ __( 'Add Schedule', 'swish-migrate-and-backup' ) }
+				</button>
+			</div>
+
+			{ message && (
+				<p className={ `swish-notice swish-notice-${ message.type }` }>
+					{ message.text }
+				</p>
+			) }
+
+			{ editing === 'new' && (
+				<div className="swish-schedule-new">
+					{ renderForm( {
+						...NEW_SCHEDULE,
+						timezone: timezone || '',
+					} ) }
+				</div>
+			) }
+
+			{ ! schedules && ! message && <Spinner /> }
+
+			{ schedules && schedules.length === 0 && editing !== 'new' && (
+				<p className="swish-schedule-muted">
+					{ __(
+						'No schedules yet. Add one to back up the site automatically.',
+						'swish-migrate-and-backup'
+					) }
+				</p>
+			) }
+
+			{ schedules && schedules.length > 0 && (
+				<table className="widefat striped swish-schedules-table">
+					<thead>
+						<tr>
+							<th>
+								{ __( 'Name', 'swish-migrate-and-backup' ) }
+							</th>
+							<th>
+								{ __(
+									'Frequency',
+									'swish-migrate-and-backup'
+								) }
+							</th>
+							<th>
+								{ __( 'Type', 'swish-migrate-and-backup' ) }
+							</th>
+							<th>
+								{ __(
+									'Destinations',
+									'swish-migrate-and-backup'
+								) }
+							</th>
+							<th>
+								{ __( 'Keep', 'swish-migrate-and-backup' ) }
+							</th>
+							<th>
+								{ __( 'Next Run', 'swish-migrate-and-backup' ) }
+							</th>
+							<th>
+								{ __( 'Last Run', 'swish-migrate-and-backup' ) }
+							</th>
+							<th>
+								{ __( 'Status', 'swish-migrate-and-backup' ) }
+							</th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody>
+						{ schedules.map( ( schedule ) =>
+							editing === schedule.id ? (
+								<tr key={ schedule.id }>
+									<td colSpan="9">
+										{ renderForm( schedule ) }
+									</td>
+								</tr>
+							) : (
+								<Fragment key={ schedule.id }>
+									<tr>
+										<td>
+											<strong>{ schedule.name }</strong>
+										</td>
+										<td>
+											{ schedule.frequency === 'cron' ? (
+												<Fragment>
+													<code>
+														{
+															schedule.cron_expression
+														}
+													</code>
+													<span className="swish-schedule-muted swish-schedule-timezone">
+														{ schedule.timezone }
+													</span>
+													{ schedule.blackout_windows
+														.length > 0 && (
+														<span className="swish-schedule-muted swish-schedule-timezone">
+															{ sprintf(
+																/* translators: %d: number of blackout windows. */
+																_n(
+																	'%d blackout window',
+																	'%d blackout windows',
+																	schedule
+																		.blackout_windows
+																		.length,
+																	'swish-migrate-and-backup'
+																),
+																schedule
+																	.blackout_windows
+																	.length
+															) }
+														</span>
+													) }
+												</Fragment>
+											) : (
+												FREQUENCIES[
+													schedule.frequency
+												] || schedule.frequency
+											) }
+										</td>
+										<td>
+											{ BACKUP_TYPES[
+												schedule.backup_type
+											] || schedule.backup_type }
+										</td>
+										<td>
+											{ schedule.storage_destinations
+												.map(
+													( id ) =>
+														available[ id ]?.name ||
+														id
+												)
+												.join( ', ' ) }
+										</td>
+										<td>{ schedule.retention_count }</td>
+										<td>
+											{ schedule.is_active
+												? formatDate(
+														schedule.next_run,
+														schedule.timezone
+												  )
+												: '-' }
+										</td>
+										<td>
+											{ formatDate(
+												schedule.last_run,
+												schedule.timezone
+											) }
+										</td>
+										<td>
+											<span
+												className={ `swish-schedule-status ${
+													schedule.is_active
+														? 'active'
+														: 'paused'
+												}` }
+											>
+												{ schedule.is_active
+													? __(
+															'Active',
+															'swish-migrate-and-backup'
+													  )
+													: __(
+															'Paused',
+															'swish-migrate-and-backup'
+													  ) }
+											</span>
+										</td>
+										<td className="swish-schedule-actions">
+											<button
+												type="button"
+												className="button button-small"
+												disabled={
+													!! busy || !! editing
+												}
+												onClick={ () =>
+													setEditing( schedule.id )
+												}
+											>
+												{ __(
+													'Edit',
+													'swish-migrate-and-backup'
+												) }
+											</button>
+											<button
+												type="button"
+												className="button button-small"
+												disabled={ !! busy }
+												onClick={ () =>
+													handleToggle( schedule )
+												}
+											>
+												{ schedule.is_active
+													? __(
+															'Pause',
+															'swish-migrate-and-backup'
+													  )
+													: __(
+															'Activate',
+															'swish-migrate-and-backup'
+													  ) }
+											</button>
+											<button
+												type="button"
+												className="button button-small"
+												disabled={ !! busy }
+												onClick={ () =>
+													onRun( schedule.id )
+												}
+											>
+												{ __(
+													'Run now',
+													'swish-migrate-and-backup'
+												) }
+											</button>
+											<button
+												type="button"
+												className="button button-small"
+												aria-expanded={
+													history === schedule.id
+												}
+												onClick={ () =>
+													setHistory(
+														history === schedule.id
+															? null
+															: schedule.id
+													)
+												}
+											>
+												{ __(
+													'History',
+													'swish-migrate-and-backup'
+												) }
+											</button>
+											<button
+												type="button"
+												className="button button-small button-link-delete"
+												disabled={ !! busy }
+												onClick={ () =>
+													handleDelete( schedule )
+												}
+											>
+												{ __(
+													'Delete',
+													'swish-migrate-and-backup'
+												) }
+											</button>
+										</td>
+									</tr>
+									{ history === schedule.id && (
+										<tr>
+											<td colSpan="9">
+												<ScheduleRuns
+													schedule={ schedule }
+												/>
+											</td>
+										</tr>
+									) }
+								</Fragment>
+							)
+						) }
+					</tbody>
+				</table>
+			) }
+		</div>
+	);
+};
+
+export default Schedules;
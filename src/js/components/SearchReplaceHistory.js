@@ -0,0 +1,243 @@
+/**
+ * SearchReplaceHistory component.
+ *
+ * @package SwishMigrateAndBackup
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { getSearchReplaceRuns, undoSearchReplace } from '../api';
+
+/**
+ * Format a Unix timestamp.
+ *
+ * @param {number} timestamp - Seconds since the epoch.
+ * @return {string} Formatted date.
+ */
+const formatTime = ( timestamp ) => {
+	const date = new Date( timestamp * 1000 );
+	return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+};
+
+/**
+ * Describe the matching options of a run.
+ *
+ * @param {Object} options - Run options.
+ * @return {string} Comma-separated option labels.
+ */
+const describeOptions = ( options ) =>
+	[
+		options.regex && __( 'regex', 'swish-migrate-and-backup' ),
+		options.case_insensitive &&
+			__( 'case-insensitive', 'swish-migrate-and-backup' ),
+		options.whole_word && __( 'whole words', 'swish-migrate-and-backup' ),
+		options.scoped && __( 'scoped', 'swish-migrate-and-backup' ),
+	]
+		.filter( Boolean )
+		.join( ', ' );
+
+/**
+ * List the search or replace values of a run's pairs, one per line.
+ *
+ * @param {Array}  pairs - Pairs with search and replace.
+ * @param {string} key   - Which value to list.
+ * @return {JSX.Element[]} Values.
+ */
+const listPairs = ( pairs, key ) =>
+	pairs.map( ( pair, index ) => (
+		<div key={ index }>
+			<code>{ pair[ key ] }</code>
+		</div>
+	) );
+
+/**
+ * Label for a run's undo button.
+ *
+ * @param {Object}  run      - Run.
+ * @param {boolean} busy     - Whether this run is being undone now.
+ * @param {number}  progress - Percentage undone so far.
+ * @return {string} Label.
+ */
+const getUndoLabel = ( run, busy, progress ) => {
+	if ( busy ) {
+		return sprintf(
+			/* translators: %s: percentage undone, e.g. 40%. */
+			__( 'Undoing… %s', 'swish-migrate-and-backup' ),
+			`${ progress }%`
+		);
+	}
+
+	if ( run.status === 'undoing' ) {
+		return __( 'Continue undo', 'swish-migrate-and-backup' );
+	}
+
+	return __( 'Undo this run', 'swish-migrate-and-backup' );
+};
+
+/**
+ * History of search and replace runs, each of which can be undone.
+ *
+ * @param {Object} props         - Component props.
+ * @param {Object} props.lastRun - Result of the latest run, to reload the list after it.
+ * @return {JSX.Element} Component.
+ */
+const SearchReplaceHistory = ( { lastRun } ) => {
+	const [ runs, setRuns ] = useState( null );
+	const [ busy, setBusy ] = useState( null );
+	const [ progress, setProgress ] = useState( 0 );
+	const [ message, setMessage ] = useState( null );
+
+	const loadRuns = () =>
+		getSearchReplaceRuns()
+			.then( setRuns )
+			.catch( ( err ) =>
+				setMessage( { type: 'error', text: err.message } )
+			);
+
+	useEffect( () => {
+		loadRuns();
+	}, [ lastRun ] );
+
+	const handleUndo = async ( run ) => {
+		if (
+			! window.confirm(
+				sprintf(
+					/* translators: %d: number of search and replace pairs. */
+					_n(
+						'Undo this run of %d search and replace pair? Values changed since then are left as they are.',
+						'Undo this run of %d search and replace pairs? Values changed since then are left as they are.',
+						run.pairs.length,
+						'swish-migrate-and-backup'
+					),
+					run.pairs.length
+				)
+			)
+		) {
+			return;
+		}
+
+		setBusy( run.id );
+		setProgress( 0 );
+		setMessage( null );
+
+		try {
+			let result = await undoSearchReplace( run.id );
+
+			// Large runs are undone over several requests.
+			while ( ! result.completed ) {
+				setProgress(
+					Math.round( ( result.done / result.total ) * 100 )
+				);
+				result = await undoSearchReplace( run.id );
+			}
+
+			let text = sprintf(
+				/* translators: %d: number of values. */
+				_n(
+					'Restored %d value.',
+					'Restored %d values.',
+					result.restored,
+					'swish-migrate-and-backup'
+				),
+				result.restored
+			);
+
+			if ( result.skipped > 0 ) {
+				text +=
+					' ' +
+					sprintf(
+						/* translators: %d: number of values. */
+						_n(
+							'%d value was left alone because it changed after the run.',
+							'%d values were left alone because they changed after the run.',
+							result.skipped,
+							'swish-migrate-and-backup'
+						),
+						result.skipped
+					);
+			}
+
+			setMessage( {
+				type: result.skipped > 0 ? 'warning' : 'success',
+				text,
+			} );
+			await loadRuns();
+		} catch ( err ) {
+			setMessage( { type: 'error', text: err.message } );
+			// A partly undone run can be continued from where it stopped.
+			await loadRuns();
+		} finally {
+			setBusy( null );
+		}
+	};
+
+	if ( ! runs ) {
+		return <Spinner />;
+	}
+
+	if ( runs.length === 0 ) {
+		return null;
+	}
+
+	return (
+		<div className="swish-search-history">
+			<h4>{ __( 'Run History', 'swish-migrate-and-backup' ) }</h4>
+
+			{ message && (
+				<p className={ `swish-notice swish-notice-${ message.type }` }>
+					{ message.text }
+				</p>
+			) }
+
+			<table className="widefat striped">
+				<thead>
+					<tr>
+						<th>{ __( 'Date', 'swish-migrate-and-backup' ) }</th>
+						<th>{ __( 'Search', 'swish-migrate-and-backup' ) }</th>
+						<th>{ __( 'Replace', 'swish-migrate-and-backup' ) }</th>
+						<th>{ __( 'Changed', 'swish-migrate-and-backup' ) }</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					{ runs.map( ( run ) => (
+						<tr key={ run.id }>
+							<td>{ formatTime( run.started_at ) }</td>
+							<td>
+								{ listPairs( run.pairs, 'search' ) }
+								{ describeOptions( run.options ) && (
+									<span className="swish-preview-path">
+										{ describeOptions( run.options ) }
+									</span>
+								) }
+							</td>
+							<td>{ listPairs( run.pairs, 'replace' ) }</td>
+							<td>{ run.changes }</td>
+							<td>
+								{ run.status === 'undone' ? (
+									__( 'Undone', 'swish-migrate-and-backup' )
+								) : (
+									<button
+										type="button"
+										className="button button-small"
+										disabled={ !! busy }
+										onClick={ () => handleUndo( run ) }
+									>
+										{ getUndoLabel(
+											run,
+											busy === run.id,
+											progress
+										) }
+									</button>
+								) }
+							</td>
+						</tr>
+					) ) }
+				</tbody>
+			</table>
+		</div>
+	);
+};
+
+export default SearchReplaceHistory;
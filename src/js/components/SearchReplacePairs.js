@@ -0,0 +1,411 @@
+/**
+ * SearchReplacePairs component.
+ *
+ * @package SwishMigrateAndBackup
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import { getUrlReplacementSuggestions } from '../api';
+
+/**
+ * Delay before suggestions are fetched for changed URLs, in milliseconds.
+ */
+const SUGGEST_DELAY = 500;
+
+/**
+ * Check whether a value looks like a URL suggestions can be made for.
+ *
+ * @param {string} value - Value to check.
+ * @return {boolean} True for absolute and protocol-relative URLs.
+ */
+const isUrl = ( value ) => /^(https?:)?\/\/[^/\s]+/.test( value );
+
+/**
+ * Parse CSV text into pairs.
+ *
+ * Each line holds a search and a replace value. Fields may be quoted,
+ * with doubled quotes inside them; text copied from a spreadsheet is
+ * read as tab-separated. A first line of "search,replace" is skipped.
+ *
+ * @param {string} text - CSV text.
+ * @return {Array} Pairs with search and replace.
+ */
+const parseCsvPairs = ( text ) => {
+	const delimiter = /^[^\n,]*\t/.test( text ) ? '\t' : ',';
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for ( let i = 0; i < text.length; i++ ) {
+		const char = text[ i ];
+
+		if ( quoted ) {
+			if ( char === '"' && text[ i + 1 ] === '"' ) {
+				field += '"';
+				i++;
+			} else if ( char === '"' ) {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if ( char === '"' ) {
+			quoted = true;
+		} else if ( char === delimiter ) {
+			row.push( field );
+			field = '';
+		} else if ( char === '\n' || char === '\r' ) {
+			if ( char === '\r' && text[ i + 1 ] === '\n' ) {
+				i++;
+			}
+			row.push( field );
+			rows.push( row );
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+
+	row.push( field );
+	rows.push( row );
+
+	const [ first = [] ] = rows;
+	if (
+		( first[ 0 ] || '' ).trim().toLowerCase() === 'search' &&
+		( first[ 1 ] || '' ).trim().toLowerCase() === 'replace'
+	) {
+		rows.shift();
+	}
+
+	return rows
+		.filter( ( [ search ] ) => search !== '' )
+		.map( ( [ search, replace = '' ] ) => ( { search, replace } ) );
+};
+
+/**
+ * Editor for an ordered list of search and replace pairs.
+ *
+ * Pairs can be typed into rows, pasted or uploaded as CSV. When the
+ * first pair is a URL move, the other forms of those URLs the move
+ * needs are suggested.
+ *
+ * @param {Object}   props          - Component props.
+ * @param {Array}    props.pairs    - Pairs with search and replace.
+ * @param {boolean}  props.regex    - Whether searches are regular expressions.
+ * @param {Function} props.onChange - Called with the new pairs.
+ * @return {JSX.Element} Component.
+ */
+const SearchReplacePairs = ( { pairs, regex, onChange } ) => {
+	const [ csv, setCsv ] = useState( '' );
+	const [ csvError, setCsvError ] = useState( null );
+	const [ suggestions, setSuggestions ] = useState( [] );
+
+	const oldUrl = regex ? '' : pairs[ 0 ].search;
+	const newUrl = regex ? '' : pairs[ 0 ].replace;
+
+	useEffect( () => {
+		if ( ! isUrl( oldUrl ) || ! isUrl( newUrl ) ) {
+			setSuggestions( [] );
+			return;
+		}
+
+		let cancelled = false;
+		const timer = setTimeout( () => {
+			getUrlReplacementSuggestions( oldUrl, newUrl )
+				.then( ( result ) => {
+					if ( ! cancelled ) {
+						setSuggestions( result );
+					}
+				} )
+				.catch( () => {
+					if ( ! cancelled ) {
+						setSuggestions( [] );
+					}
+				} );
+		}, SUGGEST_DELAY );
+
+		return () => {
+			cancelled = true;
+			clearTimeout( timer );
+		};
+	}, [ oldUrl, newUrl ] );
+
+	const updatePair = ( index, key, value ) =>
+		onChange(
+			pairs.map( ( pair, i ) =>
+				i === index ? { ...pair, [ key ]: value } : pair
+			)
+		);
+
+	const removePair = ( index ) =>
+		onChange( pairs.filter( ( pair, i ) => i !== index ) );
+
+	const movePair = ( index, offset ) => {
+		const next = [ ...pairs ];
+		next[ index ] = pairs[ index + offset ];
+		next[ index + offset ] = pairs[ index ];
+		onChange( next );
+	};
+
+	const addPairs = ( added ) => {
+		const next = [
+			...pairs.filter( ( pair ) => pair.search !== '' ),
+			...added,
+		];
+		onChange( next.length > 0 ? next : [ { search: '', replace: '' } ] );
+	};
+
+	const importCsv = ( text ) => {
+		const parsed = parseCsvPairs( text );
+
+		if ( parsed.length === 0 ) {
+			setCsvError(
+				__(
+					'No pairs found. Put the search value and the replace value on each line, separated by a comma.',
+					'swish-migrate-and-backup'
+				)
+			);
+			return;
+		}
+
+		setCsvError( null );
+		setCsv( '' );
+		addPairs( parsed );
+	};
+
+	const uploadCsv = ( event ) => {
+		const [ file ] = event.target.files;
+		event.target.value = '';
+
+		if ( file ) {
+			file.text().then( importCsv );
+		}
+	};
+
+	const missing = suggestions.filter(
+		( suggestion ) =>
+			! pairs.some( ( pair ) => pair.search === suggestion.search )
+	);
+
+	return (
+		<div className="swish-search-pairs">
+			<table className="widefat">
+				<thead>
+					<tr>
+						<th>#</th>
+						<th>
+							{ __( 'Search for', 'swish-migrate-and-backup' ) }
+						</th>
+						<th>
+							{ __( 'Replace with', 'swish-migrate-and-backup' ) }
+						</th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody>
+					{ pairs.map( ( pair, index ) => (
+						<tr key={ index }>
+							<td>{ index + 1 }</td>
+							<td>
+								<input
+									type="text"
+									className="regular-text"
+									aria-label={ sprintf(
+										/* translators: %d: pair number. */
+										__(
+											'Search for, pair %d',
+											'swish-migrate-and-backup'
+										),
+										index + 1
+									) }
+									placeholder={
+										regex
+											? 'https?://old-domain\\.com'
+											: 'https://old-domain.com'
+									}
+									value={ pair.search }
+									onChange={ ( e ) =>
+										updatePair(
+											index,
+											'search',
+											e.target.value
+										)
+									}
+								/>
+							</td>
+							<td>
+								<input
+									type="text"
+									className="regular-text"
+									aria-label={ sprintf(
+										/* translators: %d: pair number. */
+										__(
+											'Replace with, pair %d',
+											'swish-migrate-and-backup'
+										),
+										index + 1
+									) }
+									placeholder="https://new-domain.com"
+									value={ pair.replace }
+									onChange={ ( e ) =>
+										updatePair(
+											index,
+											'replace',
+											e.target.value
+										)
+									}
+								/>
+							</td>
+							<td className="swish-search-pairs-actions">
+								<button
+									type="button"
+									className="button button-small"
+									aria-label={ __(
+										'Move up',
+										'swish-migrate-and-backup'
+									) }
+									disabled={ index === 0 }
+									onClick={ () => movePair( index, -1 ) }
+								>
+									↑
+								</button>
+								<button
+									type="button"
+									className="button button-small"
+									aria-label={ __(
+										'Move down',
+										'swish-migrate-and-backup'
+									) }
+									disabled={ index === pairs.length - 1 }
+									onClick={ () => movePair( index, 1 ) }
+								>
+									↓
+								</button>
+								<button
+									type="button"
+									className="button button-small"
+									disabled={ pairs.length === 1 }
+									onClick={ () => removePair( index ) }
+								>
+									{ __(
+										'Remove',
+										'swish-migrate-and-backup'
+									) }
+								</button>
+							</td>
+						</tr>
+					) ) }
+				</tbody>
+			</table>
+
+			<p>
+				<button
+					type="button"
+					className="button"
+					onClick={ () =>
+						onChange( [ ...pairs, { search: '', replace: '' } ] )
+					}
+				>
+					{ __( 'Add pair', 'swish-migrate-and-backup' ) }
+				</button>
+			</p>
+
+			<p className="description">
+				{ __(
+					'Pairs are applied in order to each value, so later pairs see what earlier pairs wrote.',
+					'swish-migrate-and-backup'
+				) }
+			</p>
+
+			{ missing.length > 0 && (
+				<div className="swish-search-suggestions">
+					<h4>
+						{ __(
+							'Suggested for this URL move',
+							'swish-migrate-and-backup'
+						) }
+					</h4>
+					<ul>
+						{ missing.map( ( suggestion ) => (
+							<li key={ suggestion.search }>
+								<code>{ suggestion.search }</code> →{ ' ' }
+								<code>{ suggestion.replace }</code>{ ' ' }
+								<button
+									type="button"
+									className="button button-small"
+									onClick={ () => addPairs( [ suggestion ] ) }
+								>
+									{ __( 'Add', 'swish-migrate-and-backup' ) }
+								</button>
+							</li>
+						) ) }
+					</ul>
+					<button
+						type="button"
+						className="button"
+						onClick={ () => addPairs( missing ) }
+					>
+						{ __(
+							'Add all suggestions',
+							'swish-migrate-and-backup'
+						) }
+					</button>
+				</div>
+			) }
+
+			<details className="swish-search-csv">
+				<summary>
+					{ __(
+						'Import pairs from CSV',
+						'swish-migrate-and-backup'
+					) }
+				</summary>
+				<label htmlFor="search_pairs_csv">
+					{ __(
+						'Paste one pair per line: search value, replace value.',
+						'swish-migrate-and-backup'
+					) }
+				</label>
+				<textarea
+					id="search_pairs_csv"
+					className="large-text code"
+					rows="5"
+					placeholder={
+						'http://old-domain.com,https://new-domain.com\n//old-domain.com,//new-domain.com'
+					}
+					value={ csv }
+					onChange={ ( e ) => setCsv( e.target.value ) }
+				/>
+				<p>
+					<button
+						type="button"
+						className="button"
+						disabled={ ! csv.trim() }
+						onClick={ () => importCsv( csv ) }
+					>
+						{ __( 'Add pasted pairs', 'swish-migrate-and-backup' ) }
+					</button>{ ' ' }
+					<label htmlFor="search_pairs_file">
+						{ __(
+							'or upload a CSV file:',
+							'swish-migrate-and-backup'
+						) }
+					</label>{ ' ' }
+					<input
+						type="file"
+						id="search_pairs_file"
+						accept=".csv,.txt,text/csv,text/plain"
+						onChange={ uploadCsv }
+					/>
+				</p>
+				{ csvError && (
+					<p className="swish-restore-error">{ csvError }</p>
+				) }
+			</details>
+		</div>
+	);
+};
+
+export default SearchReplacePairs;
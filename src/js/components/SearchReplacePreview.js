@@ -0,0 +1,289 @@
+/**
+ * SearchReplacePreview component.
+ *
+ * @package SwishMigrateAndBackup
+ */
+
+import { useState, useEffect, Fragment } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import { searchReplaceBatch } from '../api';
+
+/**
+ * Matches requested per page.
+ */
+const PER_PAGE = 25;
+
+/**
+ * Key identifying a single matched value.
+ *
+ * @param {Object} match - Match from the preview.
+ * @return {string} Key.
+ */
+export const getMatchKey = ( match ) =>
+	`${ match.table }|${ match.column }|${ match.row_id }`;
+
+/**
+ * Fetch a preview page, skipping over pages that ran out of time
+ * before finding anything.
+ *
+ * @param {Object} request - Pairs and options.
+ * @param {Object} cursor  - Cursor to start at.
+ * @return {Promise} Preview page.
+ */
+const fetchPage = async ( request, cursor ) => {
+	const page = await searchReplaceBatch( request.pairs, true, {
+		...request.options,
+		cursor,
+		per_page: PER_PAGE,
+	} );
+
+	if ( page.matches.length === 0 && page.next_cursor ) {
+		return fetchPage( request, page.next_cursor );
+	}
+
+	return page;
+};
+
+/**
+ * Before or after snippet with the matches highlighted.
+ *
+ * @param {Object} props          - Component props.
+ * @param {Array}  props.segments - Snippet segments.
+ * @return {JSX.Element} Component.
+ */
+const Snippet = ( { segments } ) => (
+	<code className="swish-preview-snippet">
+		{ segments.map( ( segment, index ) =>
+			segment.match ? (
+				<mark key={ index }>{ segment.text }</mark>
+			) : (
+				<Fragment key={ index }>{ segment.text }</Fragment>
+			)
+		) }
+	</code>
+);
+
+/**
+ * Paged preview of every value a search and replace would change.
+ *
+ * Each value shows where it lives and highlighted before/after
+ * snippets; values inside serialized data are listed by the keys that
+ * lead to them. When onToggleExclude is given, each value can be left
+ * out of the run. With several pairs, each change names the pair that
+ * makes it. Give the component a new key for each request, so paging
+ * starts over.
+ *
+ * @param {Object}   props                 - Component props.
+ * @param {Object}   props.request         - Pairs and options.
+ * @param {Object}   props.excluded        - Excluded values keyed by getMatchKey().
+ * @param {Function} props.onToggleExclude - Called with a match to toggle it.
+ * @return {JSX.Element} Component.
+ */
+const SearchReplacePreview = ( { request, excluded, onToggleExclude } ) => {
+	const [ cursor, setCursor ] = useState( {} );
+	const [ history, setHistory ] = useState( [] );
+	const [ data, setData ] = useState( null );
+	const page = history.length;
+	const [ error, setError ] = useState( null );
+
+	useEffect( () => {
+		let cancelled = false;
+
+		setData( null );
+		setError( null );
+
+		fetchPage( request, cursor )
+			.then( ( result ) => {
+				if ( ! cancelled ) {
+					setData( result );
+				}
+			} )
+			.catch( ( err ) => {
+				if ( ! cancelled ) {
+					setError(
+						err.message ||
+							__( 'Preview failed', 'swish-migrate-and-backup' )
+					);
+				}
+			} );
+
+		return () => {
+			cancelled = true;
+		};
+	}, [ request, cursor ] );
+
+	const showNext = () => {
+		setHistory( [ ...history, cursor ] );
+		setCursor( data.next_cursor );
+	};
+
+	const showPrevious = () => {
+		setCursor( history[ history.length - 1 ] );
+		setHistory( history.slice( 0, -1 ) );
+	};
+
+	if ( error ) {
+		return (
+			<div className="swish-notice swish-notice-error">
+				<p>{ error }</p>
+			</div>
+		);
+	}
+
+	if ( ! data ) {
+		return (
+			<div className="swish-loading">
+				<Spinner />
+			</div>
+		);
+	}
+
+	if ( page === 0 && data.matches.length === 0 ) {
+		return (
+			<p className="swish-preview-results">
+				{ __(
+					'No matches found. Nothing would be changed.',
+					'swish-migrate-and-backup'
+				) }
+			</p>
+		);
+	}
+
+	return (
+		<div className="swish-preview-results">
+			<h4>
+				{ sprintf(
+					/* translators: %d: page number. */
+					__(
+						'Preview Results, page %d',
+						'swish-migrate-and-backup'
+					),
+					page + 1
+				) }
+			</h4>
+
+			<table className="widefat striped swish-preview-table">
+				<thead>
+					<tr>
+						{ onToggleExclude && (
+							<th>
+								{ __( 'Replace', 'swish-migrate-and-backup' ) }
+							</th>
+						) }
+						<th>
+							{ __( 'Location', 'swish-migrate-and-backup' ) }
+						</th>
+						<th>{ __( 'Before', 'swish-migrate-and-backup' ) }</th>
+						<th>{ __( 'After', 'swish-migrate-and-backup' ) }</th>
+					</tr>
+				</thead>
+				<tbody>
+					{ data.matches.map( ( match ) => {
+						const key = getMatchKey( match );
+
+						return match.changes.map( ( change, index ) => (
+							<tr
+								key={ `${ key }|${ index }` }
+								className={
+									excluded && excluded[ key ]
+										? 'swish-preview-excluded'
+										: ''
+								}
+							>
+								{ onToggleExclude && (
+									<td>
+										{ index === 0 && (
+											<input
+												type="checkbox"
+												aria-label={ __(
+													'Replace in this value',
+													'swish-migrate-and-backup'
+												) }
+												checked={ ! excluded[ key ] }
+												onChange={ () =>
+													onToggleExclude( match )
+												}
+											/>
+										) }
+									</td>
+								) }
+								<td>
+									<strong>{ match.table }</strong>
+									<br />
+									{ `${ match.primary_key } = ${ match.row_id }` }
+									<br />
+									{ match.column }
+									{ change.path.length > 0 && (
+										<span className="swish-preview-path">
+											{ __(
+												'Serialized:',
+												'swish-migrate-and-backup'
+											) }{ ' ' }
+											{ change.path.join( ' › ' ) }
+										</span>
+									) }
+									{ request.pairs.length > 1 && (
+										<span className="swish-preview-path">
+											{ sprintf(
+												/* translators: %d: pair number. */
+												__(
+													'Pair %d',
+													'swish-migrate-and-backup'
+												),
+												change.pair + 1
+											) }
+										</span>
+									) }
+								</td>
+								<td>
+									<Snippet segments={ change.before } />
+								</td>
+								<td>
+									<Snippet segments={ change.after } />
+								</td>
+							</tr>
+						) );
+					} ) }
+				</tbody>
+			</table>
+
+			<div className="swish-preview-pagination">
+				<span>
+					{ data.next_cursor
+						? sprintf(
+								/* translators: 1: table number, 2: number of tables. */
+								__(
+									'Scanned up to table %1$d of %2$d.',
+									'swish-migrate-and-backup'
+								),
+								data.table_index,
+								data.table_count
+						  )
+						: __(
+								'All tables scanned.',
+								'swish-migrate-and-backup'
+						  ) }
+				</span>
+				<button
+					type="button"
+					className="button"
+					disabled={ page === 0 }
+					onClick={ showPrevious }
+				>
+					{ __( 'Previous', 'swish-migrate-and-backup' ) }
+				</button>
+				<button
+					type="button"
+					className="button"
+					disabled={ ! data.next_cursor }
+					onClick={ showNext }
+				>
+					{ __( 'Next', 'swish-migrate-and-backup' ) }
+				</button>
+			</div>
+		</div>
+	);
+};
+
+export default SearchReplacePreview;
@@ -0,0 +1,243 @@
+/**
+ * SearchReplaceScope component.
+ *
+ * @package SwishMigrateAndBackup
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import { getSearchReplaceScope } from '../api';
+
+/**
+ * Add an item to a list, or remove it if it is already there.
+ *
+ * @param {Array} list - List.
+ * @param {*}     item - Item to toggle.
+ * @return {Array} New list.
+ */
+const toggleItem = ( list, item ) =>
+	list.includes( item )
+		? list.filter( ( existing ) => existing !== item )
+		: [ ...list, item ];
+
+/**
+ * Picker for the part of the database a search and replace covers.
+ *
+ * Nothing checked means everything: no tables checked searches every
+ * table, and no columns checked under a table searches all of its text
+ * columns. Presets are applied on the server on top of the picked scope.
+ *
+ * @param {Object}   props          - Component props.
+ * @param {Object}   props.scope    - Current scope.
+ * @param {Function} props.onChange - Called with the new scope.
+ * @return {JSX.Element} Component.
+ */
+const SearchReplaceScope = ( { scope, onChange } ) => {
+	const [ choices, setChoices ] = useState( null );
+	const [ error, setError ] = useState( null );
+	const [ optionNames, setOptionNames ] = useState(
+		( scope.option_names || [] ).join( ', ' )
+	);
+
+	useEffect( () => {
+		getSearchReplaceScope()
+			.then( setChoices )
+			.catch( ( err ) =>
+				setError(
+					err.message ||
+						__(
+							'Could not load the database tables.',
+							'swish-migrate-and-backup'
+						)
+				)
+			);
+	}, [] );
+
+	const update = ( key, value ) => onChange( { ...scope, [ key ]: value } );
+
+	const toggleTable = ( table ) => {
+		const columns = { ...scope.columns };
+		delete columns[ table ];
+
+		onChange( {
+			...scope,
+			tables: toggleItem( scope.tables, table ),
+			columns,
+		} );
+	};
+
+	const toggleColumn = ( table, column ) => {
+		const columns = toggleItem( scope.columns[ table ] || [], column );
+
+		update( 'columns', { ...scope.columns, [ table ]: columns } );
+	};
+
+	const changeOptionNames = ( value ) => {
+		setOptionNames( value );
+		update(
+			'option_names',
+			value
+				.split( ',' )
+				.map( ( name ) => name.trim() )
+				.filter( Boolean )
+		);
+	};
+
+	if ( error ) {
+		return <p className="swish-restore-error">{ error }</p>;
+	}
+
+	if ( ! choices ) {
+		return <Spinner />;
+	}
+
+	return (
+		<div className="swish-search-scope">
+			<fieldset>
+				<legend>{ __( 'Presets', 'swish-migrate-and-backup' ) }</legend>
+				{ choices.presets.map( ( preset ) => (
+					<label
+						key={ preset.id }
+						htmlFor={ `scope_preset_${ preset.id }` }
+						title={ preset.description }
+					>
+						<input
+							type="checkbox"
+							id={ `scope_preset_${ preset.id }` }
+							checked={ scope.presets.includes( preset.id ) }
+							onChange={ () =>
+								update(
+									'presets',
+									toggleItem( scope.presets, preset.id )
+								)
+							}
+						/>
+						{ preset.label }
+					</label>
+				) ) }
+			</fieldset>
+
+			<fieldset>
+				<legend>{ __( 'Tables', 'swish-migrate-and-backup' ) }</legend>
+				<p className="description">
+					{ __(
+						'Leave every table unchecked to search the whole database. Check columns under a table to search only those.',
+						'swish-migrate-and-backup'
+					) }
+				</p>
+				<div className="swish-search-scope-tables">
+					{ choices.tables.map( ( table ) => {
+						const isChecked = scope.tables.includes( table.name );
+						const tableId = `scope_table_${ table.name }`;
+
+						return (
+							<div key={ table.name }>
+								<label htmlFor={ tableId }>
+									<input
+										type="checkbox"
+										id={ tableId }
+										checked={ isChecked }
+										disabled={ table.columns.length === 0 }
+										onChange={ () =>
+											toggleTable( table.name )
+										}
+									/>
+									{ table.name }
+								</label>
+								{ isChecked && (
+									<div className="swish-search-scope-columns">
+										{ table.columns.map( ( column ) => {
+											const columnId = `${ tableId }_${ column }`;
+
+											return (
+												<label
+													key={ column }
+													htmlFor={ columnId }
+												>
+													<input
+														type="checkbox"
+														id={ columnId }
+														checked={ (
+															scope.columns[
+																table.name
+															] || []
+														).includes( column ) }
+														onChange={ () =>
+															toggleColumn(
+																table.name,
+																column
+															)
+														}
+													/>
+													{ column }
+												</label>
+											);
+										} ) }
+									</div>
+								) }
+							</div>
+						);
+					} ) }
+				</div>
+			</fieldset>
+
+			{ choices.post_types.length > 0 && (
+				<fieldset>
+					<legend>
+						{ __( 'Post types', 'swish-migrate-and-backup' ) }
+					</legend>
+					<p className="description">
+						{ __(
+							'Limits the posts and post meta tables to these post types. Leave unchecked for all.',
+							'swish-migrate-and-backup'
+						) }
+					</p>
+					{ choices.post_types.map( ( postType ) => (
+						<label
+							key={ postType }
+							htmlFor={ `scope_post_type_${ postType }` }
+						>
+							<input
+								type="checkbox"
+								id={ `scope_post_type_${ postType }` }
+								checked={ scope.post_types.includes(
+									postType
+								) }
+								onChange={ () =>
+									update(
+										'post_types',
+										toggleItem( scope.post_types, postType )
+									)
+								}
+							/>
+							{ postType }
+						</label>
+					) ) }
+				</fieldset>
+			) }
+
+			<div className="swish-form-row">
+				<label htmlFor="scope_option_names">
+					{ __( 'Option names', 'swish-migrate-and-backup' ) }
+				</label>
+				<input
+					type="text"
+					id="scope_option_names"
+					className="regular-text"
+					placeholder="siteurl, widget_*"
+					value={ optionNames }
+					onChange={ ( e ) => changeOptionNames( e.target.value ) }
+				/>
+				<p className="description">
+					{ __(
+						'Comma-separated option names to limit the options table to; * matches any characters.',
+						'swish-migrate-and-backup'
+					) }
+				</p>
+			</div>
+		</div>
+	);
+};
+
+export default SearchReplaceScope;
@@ -448,6 +448,49 @@ const SettingsModal = ( { settings, onSave, onClose } ) => {
 						</div>
 					</div>
 
+					<div className="swish-settings-section">
+						<h3>
+							{ __(
+								'Restore Safety',
+								'swish-migrate-and-backup'
+							) }
+						</h3>
+						<p className="description">
+							{ __(
+								'A database snapshot is taken before each restore so it can be rolled back from the dashboard.',
+								'swish-migrate-and-backup'
+							) }
+						</p>
+						<div className="swish-setting-row">
+							<label htmlFor="rollback_window">
+								{ __(
+									'Rollback Window',
+									'swish-migrate-and-backup'
+								) }
+								<span className="swish-setting-hint">
+									{ __(
+										'(hours: 0-168, 0 turns snapshots off)',
+										'swish-migrate-and-backup'
+									) }
+								</span>
+							</label>
+							<input
+								type="number"
+								id="rollback_window"
+								className="small-text"
+								min="0"
+								max="168"
+								value={ formData.rollback_window ?? 24 }
+								onChange={ ( e ) =>
+									updateField(
+										'rollback_window',
+										parseInt( e.target.value, 10 ) || 0
+									)
+								}
+							/>
+						</div>
+					</div>
+
 					<div className="swish-settings-section">
 						<h3>{ __( 'Backup Contents', 'swish-migrate-and-backup' ) }</h3>
 						<p className="description">
@@ -0,0 +1,562 @@
+/**
+ * StorageDestinations component.
+ *
+ * @package SwishMigrateAndBackup
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Spinner } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	getStorageDestinations,
+	saveStorageSettings,
+	getStorageInfo,
+	startStorageAuth,
+	testStorageConnection,
+} from '../api';
+
+/**
+ * Type of the message the sign-in popup posts back.
+ */
+const OAUTH_MESSAGE = 'swish-backup-oauth';
+
+/**
+ * Format file size.
+ *
+ * @param {number} bytes - Size in bytes.
+ * @return {string} Formatted size.
+ */
+const formatSize = ( bytes ) => {
+	if ( ! bytes ) {
+		return '0 Bytes';
+	}
+	const k = 1024;
+	const i = Math.floor( Math.log( bytes ) / Math.log( k ) );
+	const sizes = [ 'Bytes', 'KB', 'MB', 'GB', 'TB' ];
+	return (
+		parseFloat( ( bytes / Math.pow( k, i ) ).toFixed( 2 ) ) +
+		' ' +
+		sizes[ i ]
+	);
+};
+
+/**
+ * Used and total space of a destination.
+ *
+ * @param {Object} props             - Component props.
+ * @param {Object} props.destination - Destination.
+ * @return {JSX.Element} Component.
+ */
+const StorageQuota = ( { destination } ) => {
+	const [ info, setInfo ] = useState( null );
+	const [ error, setError ] = useState( null );
+
+	useEffect( () => {
+		let cancelled = false;
+
+		setInfo( null );
+		setError( null );
+
+		getStorageInfo( destination.id )
+			.then( ( result ) => {
+				if ( ! cancelled ) {
+					setInfo( result );
+				}
+			} )
+			.catch( ( err ) => {
+				if ( ! cancelled ) {
+					setError( err.message );
+				}
+			} );
+
+		return () => {
+			cancelled = true;
+		};
+	}, [ destination ] );
+
+	if ( error ) {
+		return <p className="swish-notice swish-notice-error">{ error }</p>;
+	}
+
+	if ( ! info ) {
+		return <Spinner />;
+	}
+
+	if ( info.used === null ) {
+		return (
+			<p className="swish-storage-quota">
+				{ __(
+					'This destination does not report its usage.',
+					'swish-migrate-and-backup'
+				) }
+			</p>
+		);
+	}
+
+	if ( ! info.total ) {
+		return (
+			<p className="swish-storage-quota">
+				{ sprintf(
+					/* translators: %s: used space. */
+					__( '%s used', 'swish-migrate-and-backup' ),
+					formatSize( info.used )
+				) }
+			</p>
+		);
+	}
+
+	return (
+		<div className="swish-storage-quota">
+			<progress value={ info.used } max={ info.total } />
+			{ sprintf(
+				/* translators: 1: used space, 2: total space, 3: free space. */
+				__(
+					'%1$s of %2$s used, %3$s free',
+					'swish-migrate-and-backup'
+				),
+				formatSize( info.used ),
+				formatSize( info.total ),
+				formatSize( Math.max( 0, info.total - info.used ) )
+			) }
+		</div>
+	);
+};
+
+/**
+ * Input for one settings field.
+ *
+ * @param {Object}   props          - Component props.
+ * @param {string}   props.id       - Input ID.
+ * @param {Object}   props.field    - Field definition.
+ * @param {*}        props.value    - Current value.
+ * @param {Function} props.onChange - Called with the new value.
+ * @return {JSX.Element} Component.
+ */
+const SettingsInput = ( { id, field, value, onChange } ) => {
+	switch ( field.type ) {
+		case 'select':
+			return (
+				<select
+					id={ id }
+					value={ value }
+					onChange={ ( e ) => onChange( e.target.value ) }
+				>
+					{ Object.entries( field.options || {} ).map(
+						( [ option, label ] ) => (
+							<option key={ option } value={ option }>
+								{ label }
+							</option>
+						)
+					) }
+				</select>
+			);
+		case 'checkbox':
+			return (
+				<input
+					type="checkbox"
+					id={ id }
+					checked={ !! value }
+					onChange={ ( e ) => onChange( e.target.checked ) }
+				/>
+			);
+		case 'password':
+			return (
+				<input
+					type="password"
+					id={ id }
+					className="regular-text"
+					autoComplete="new-password"
+					placeholder={
+						field.has_value
+							? __(
+									'Saved. Leave blank to keep it.',
+									'swish-migrate-and-backup'
+							  )
+							: ''
+					}
+					value={ value }
+					onChange={ ( e ) => onChange( e.target.value ) }
+				/>
+			);
+		default:
+			return (
+				<input
+					type={ field.type === 'number' ? 'number' : 'text' }
+					id={ id }
+					className="regular-text"
+					value={ value }
+					onChange={ ( e ) => onChange( e.target.value ) }
+				/>
+			);
+	}
+};
+
+/**
+ * Settings form of one destination, with its connection test, account
+ * sign-in and quota.
+ *
+ * @param {Object}   props             - Component props.
+ * @param {Object}   props.destination - Destination.
+ * @param {Function} props.onSaved     - Called with the saved destination.
+ * @return {JSX.Element} Component.
+ */
+const StorageSettingsForm = ( { destination, onSaved } ) => {
+	const [ values, setValues ] = useState( () =>
+		Object.fromEntries(
+			destination.fields.map( ( field ) => [ field.name, field.value ] )
+		)
+	);
+	const [ busy, setBusy ] = useState( false );
+	const [ message, setMessage ] = useState( null );
+
+	const run = async ( action ) => {
+		setBusy( true );
+		setMessage( null );
+
+		try {
+			await action();
+		} catch ( err ) {
+			setMessage( { type: 'error', text: err.message } );
+		} finally {
+			setBusy( false );
+		}
+	};
+
+	const save = async () => {
+		const saved = await saveStorageSettings( destination.id, values );
+		setValues( {
+			...values,
+			...Object.fromEntries(
+				saved.fields
+					.filter( ( field ) => field.type === 'password' )
+					.map( ( field ) => [ field.name, '' ] )
+			),
+		} );
+		onSaved( saved );
+		return saved;
+	};
+
+	const handleSave = () =>
+		run( async () => {
+			await save();
+			setMessage( {
+				type: 'success',
+				text: __( 'Settings saved.', 'swish-migrate-and-backup' ),
+			} );
+		} );
+
+	const handleTest = () =>
+		run( async () => {
+			const result = await testStorageConnection( destination.id );
+			setMessage( {
+				type: result.success ? 'success' : 'error',
+				text: result.message,
+			} );
+		} );
+
+	const handleConnect = () => {
+		// Open the popup while the click still allows it; the URL follows.
+		const popup = window.open( '', OAUTH_MESSAGE, 'width=600,height=700' );
+
+		if ( ! popup ) {
+			setMessage( {
+				type: 'error',
+				text: __(
+					'The sign-in window was blocked. Allow popups for this site and try again.',
+					'swish-migrate-and-backup'
+				),
+			} );
+			return;
+		}
+
+		run( async () => {
+			try {
+				await save();
+				const { url } = await startStorageAuth( destination.id );
+				popup.location = url;
+			} catch ( err ) {
+				popup.close();
+				throw err;
+			}
+		} );
+	};
+
+	return (
+		<form
+			className="swish-storage-settings"
+			onSubmit={ ( event ) => {
+				event.preventDefault();
+				handleSave();
+			} }
+		>
+			<h3>
+				{ sprintf(
+					/* translators: %s: storage destination name. */
+					__( '%s Settings', 'swish-migrate-and-backup' ),
+					destination.name
+				) }
+			</h3>
+
+			{ message && (
+				<p className={ `swish-notice swish-notice-${ message.type }` }>
+					{ message.text }
+				</p>
+			) }
+
+			<table className="form-table">
+				<tbody>
+					{ destination.fields.map( ( field ) => {
+						const id = `swish-storage-${ destination.id }-${ field.name }`;
+
+						return (
+							<tr key={ field.name }>
+								<th scope="row">
+									<label htmlFor={ id }>
+										{ field.label }
+										{ field.required && (
+											<span className="required"> *</span>
+										) }
+									</label>
+								</th>
+								<td>
+									<SettingsInput
+										id={ id }
+										field={ field }
+										value={ values[ field.name ] }
+										onChange={ ( value ) =>
+											setValues( {
+												...values,
+												[ field.name ]: value,
+											} )
+										}
+									/>
+									{ field.description && (
+										<p className="description">
+											{ field.description }
+										</p>
+									) }
+								</td>
+							</tr>
+						);
+					} ) }
+				</tbody>
+			</table>
+
+			{ destination.oauth && (
+				<div className="swish-storage-oauth">
+					<p>
+						{ __(
+							'Add this redirect URI to your app, save the app credentials, then connect your account:',
+							'swish-migrate-and-backup'
+						) }
+					</p>
+					<input
+						type="text"
+						className="large-text code"
+						readOnly
+						aria-label={ __(
+							'Redirect URI',
+							'swish-migrate-and-backup'
+						) }
+						value={ destination.redirect_uri }
+						onFocus={ ( e ) => e.target.select() }
+					/>
+				</div>
+			) }
+
+			<p className="swish-storage-actions">
+				<button
+					type="submit"
+					className="button button-primary"
+					disabled={ busy }
+				>
+					{ __( 'Save Settings', 'swish-migrate-and-backup' ) }
+				</button>
+				{ destination.oauth && (
+					<button
+						type="button"
+						className="button"
+						disabled={ busy }
+						onClick={ handleConnect }
+					>
+						{ destination.configured
+							? __(
+									'Reconnect Account',
+									'swish-migrate-and-backup'
+							  )
+							: __(
+									'Connect Account',
+									'swish-migrate-and-backup'
+							  ) }
+					</button>
+				) }
+				<button
+					type="button"
+					className="button"
+					disabled={ busy || ! destination.configured }
+					onClick={ handleTest }
+				>
+					{ __( 'Test Connection', 'swish-migrate-and-backup' ) }
+				</button>
+				{ busy && <Spinner /> }
+			</p>
+
+			{ destination.configured && (
+				<StorageQuota destination={ destination } />
+			) }
+		</form>
+	);
+};
+
+/**
+ * Storage destinations with their status and settings.
+ *
+ * Each destination's form is built from the fields its adapter
+ * describes. Destinations that sign in to an account do so in a popup,
+ * which posts the result back to this window.
+ *
+ * @param {Object}   props          - Component props.
+ * @param {Function} props.onChange - Called after a destination's settings change.
+ * @return {JSX.Element} Component.
+ */
+const StorageDestinations = ( { onChange } ) => {
+	const [ destinations, setDestinations ] = useState( null );
+	const [ editing, setEditing ] = useState( null );
+	const [ message, setMessage ] = useState( null );
+
+	const load = () =>
+		getStorageDestinations()
+			.then( setDestinations )
+			.catch( ( err ) =>
+				setMessage( { type: 'error', text: err.message } )
+			);
+
+	useEffect( () => {
+		load();
+	}, [] );
+
+	useEffect( () => {
+		const handleMessage = ( event ) => {
+			if (
+				event.origin !== window.location.origin ||
+				event.data?.type !== OAUTH_MESSAGE
+			) {
+				return;
+			}
+
+			setMessage( {
+				type: event.data.success ? 'success' : 'error',
+				text: event.data.message,
+			} );
+			load();
+			onChange();
+		};
+
+		window.addEventListener( 'message', handleMessage );
+
+		return () => window.removeEventListener( 'message', handleMessage );
+	}, [ onChange ] );
+
+	const handleSaved = ( saved ) => {
+		setDestinations(
+			destinations.map( ( destination ) =>
+				destination.id === saved.id ? saved : destination
+			)
+		);
+		onChange();
+	};
+
+	if ( ! destinations ) {
+		return (
+			<div className="swish-storage-status">
+				<h2>
+					{ __( 'Storage Destinations', 'swish-migrate-and-backup' ) }
+				</h2>
+				{ message ? (
+					<p
+						className={ `swish-notice swish-notice-${ message.type }` }
+					>
+						{ message.text }
+					</p>
+				) : (
+					<Spinner />
+				) }
+			</div>
+		);
+	}
+
+	const current = destinations.find(
+		( destination ) => destination.id === editing
+	);
+
+	return (
+		<div className="swish-storage-status">
+			<h2>
+				{ __( 'Storage Destinations', 'swish-migrate-and-backup' ) }
+			</h2>
+
+			{ message && (
+				<p className={ `swish-notice swish-notice-${ message.type }` }>
+					{ message.text }
+				</p>
+			) }
+
+			<div className="swish-storage-grid">
+				{ destinations.map( ( destination ) => (
+					<div
+						key={ destination.id }
+						className={ `swish-storage-card ${
+							destination.configured ? 'configured' : ''
+						}` }
+					>
+						<span className="swish-storage-icon dashicons dashicons-cloud"></span>
+						<span className="swish-storage-name">
+							{ destination.name }
+						</span>
+						<span
+							className={ `swish-storage-status-badge ${
+								destination.configured ? 'active' : 'inactive'
+							}` }
+						>
+							{ destination.configured
+								? __( 'Connected', 'swish-migrate-and-backup' )
+								: __(
+										'Not Configured',
+										'swish-migrate-and-backup'
+								  ) }
+						</span>
+						<button
+							type="button"
+							className="button button-small"
+							aria-expanded={ editing === destination.id }
+							onClick={ () =>
+								setEditing(
+									editing === destination.id
+										? null
+										: destination.id
+								)
+							}
+						>
+							{ editing === destination.id
+								? __( 'Close', 'swish-migrate-and-backup' )
+								: __(
+										'Configure',
+										'swish-migrate-and-backup'
+								  ) }
+						</button>
+					</div>
+				) ) }
+			</div>
+
+			{ current && (
+				<StorageSettingsForm
+					key={ current.id }
+					destination={ current }
+					onSaved={ handleSaved }
+				/>
+			) }
+		</div>
+	);
+};
+
+export default StorageDestinations;
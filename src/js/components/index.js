@@ -5,8 +5,11 @@
  */
 
 export { default as App } from './App';
+export { default as BackupContents } from './BackupContents';
 export { default as BackupList } from './BackupList';
 export { default as Dashboard } from './Dashboard';
 export { default as MigrationPanel } from './MigrationPanel';
 export { default as ProgressModal } from './ProgressModal';
+export { default as RestoreModal } from './RestoreModal';
+export { default as Schedules } from './Schedules';
 export { default as SettingsModal } from './SettingsModal';
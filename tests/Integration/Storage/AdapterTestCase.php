@@ -0,0 +1,251 @@
+<?php
+/**
+ * Base test case for storage adapters against real servers.
+ *
+ * @package SwishMigrateAndBackup\Tests\Integration\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Integration\Storage;
+
+use SwishMigrateAndBackup\Storage\Contracts\RangeReadableStorageAdapterInterface;
+use SwishMigrateAndBackup\Storage\Contracts\StorageAdapterInterface;
+use SwishMigrateAndBackup\Tests\TestCase;
+
+/**
+ * Uploads, lists, reads back and deletes files on a test server.
+ *
+ * Each test works in a folder of its own below the configured path. The
+ * tests are skipped unless the server's SWISH_TEST_* variables are set,
+ * see "Running Tests" in README.md.
+ */
+abstract class AdapterTestCase extends TestCase {
+
+	/**
+	 * Chunk size for chunked uploads, at least what the server accepts.
+	 */
+	protected const CHUNK_SIZE = 100000;
+
+	/**
+	 * Adapter under test, configured for the test server.
+	 *
+	 * @var StorageAdapterInterface
+	 */
+	protected StorageAdapterInterface $adapter;
+
+	/**
+	 * Remote paths the test uploaded to.
+	 *
+	 * @var string[]
+	 */
+	private array $uploaded = array();
+
+	/**
+	 * Create the adapter.
+	 *
+	 * @return StorageAdapterInterface
+	 */
+	abstract protected function create_adapter(): StorageAdapterInterface;
+
+	/**
+	 * Get the adapter settings for the test server from the environment.
+	 *
+	 * @param string $folder Folder for this test, to append to the configured path.
+	 * @return array|null Settings, or null if the server is not configured.
+	 */
+	abstract protected function get_server_settings( string $folder ): ?array;
+
+	/**
+	 * Configure the adapter, or skip the test without a server.
+	 *
+	 * @return void
+	 */
+	protected function set_up(): void {
+		parent::set_up();
+
+		$settings = $this->get_server_settings( 'swish-tests-' . bin2hex( random_bytes( 4 ) ) );
+
+		if ( null === $settings ) {
+			$this->markTestSkipped( 'No test server is configured, see "Running Tests" in README.md.' );
+		}
+
+		$this->adapter = $this->create_adapter();
+		$this->adapter->save_settings( $settings );
+
+		$this->assertTrue( $this->adapter->is_configured() );
+		$this->assertTrue( $this->adapter->connect(), 'Could not connect to the test server.' );
+	}
+
+	/**
+	 * Delete what the test uploaded.
+	 *
+	 * @return void
+	 */
+	protected function tear_down(): void {
+		foreach ( $this->uploaded as $remote_path ) {
+			$this->adapter->delete( $remote_path );
+		}
+
+		parent::tear_down();
+	}
+
+	/**
+	 * A file comes back as it was uploaded and is gone once deleted.
+	 *
+	 * @return void
+	 */
+	public function test_round_trips_a_file(): void {
+		$data = random_bytes( 300000 );
+
+		$this->assertTrue( $this->upload( 'backup.zip', $data ) );
+
+		$metadata = $this->adapter->get_metadata( 'backup.zip' );
+
+		$this->assertSame( strlen( $data ), $metadata['size'] );
+		$this->assertSame( 'backup.zip', $metadata['name'] );
+		$this->assertTrue( $this->adapter->exists( 'backup.zip' ) );
+
+		$listed = array_column( $this->adapter->list(), 'size', 'name' );
+
+		$this->assertSame( array( 'backup.zip' => strlen( $data ) ), $listed );
+
+		$local = WP_CONTENT_DIR . '/tmp/downloaded.zip';
+
+		$this->assertTrue( $this->adapter->download( 'backup.zip', $local ) );
+		$this->assertStringEqualsFile( $local, $data );
+
+		$this->assertTrue( $this->adapter->delete( 'backup.zip' ) );
+		$this->assertFalse( $this->adapter->exists( 'backup.zip' ) );
+		$this->assertSame( array(), $this->adapter->list() );
+	}
+
+	/**
+	 * Byte ranges read back the bytes at that offset.
+	 *
+	 * @return void
+	 */
+	public function test_reads_byte_ranges(): void {
+		if ( ! $this->adapter instanceof RangeReadableStorageAdapterInterface ) {
+			$this->markTestSkipped( 'The adapter does not read byte ranges.' );
+		}
+
+		$data = random_bytes( 100000 );
+
+		$this->assertTrue( $this->upload( 'ranges.zip', $data ) );
+
+		$this->assertSame( substr( $data, 0, 10 ), $this->adapter->read_range( 'ranges.zip', 0, 10 ) );
+		$this->assertSame( substr( $data, 54321, 4096 ), $this->adapter->read_range( 'ranges.zip', 54321, 4096 ) );
+		$this->assertSame( substr( $data, -100 ), $this->adapter->read_range( 'ranges.zip', strlen( $data ) - 100, 100 ) );
+	}
+
+	/**
+	 * Uploading to an existing path replaces the file.
+	 *
+	 * @return void
+	 */
+	public function test_replaces_an_existing_file(): void {
+		$this->assertTrue( $this->upload( 'backup.zip', 'first upload' ) );
+		$this->assertTrue( $this->upload( 'backup.zip', 'second' ) );
+
+		$local = WP_CONTENT_DIR . '/tmp/downloaded.zip';
+
+		$this->assertTrue( $this->adapter->download( 'backup.zip', $local ) );
+		$this->assertStringEqualsFile( $local, 'second' );
+	}
+
+	/**
+	 * Files in subfolders are listed with their path.
+	 *
+	 * @return void
+	 */
+	public function test_lists_files_in_a_subfolder(): void {
+		$this->assertTrue( $this->upload( 'daily/backup.zip', 'backup' ) );
+
+		$listed = $this->adapter->list( 'daily' );
+
+		$this->assertCount( 1, $listed );
+		$this->assertSame( 'backup.zip', $listed[0]['name'] );
+		$this->assertSame( 'daily/backup.zip', $listed[0]['path'] );
+		$this->assertSame( 6, $listed[0]['size'] );
+	}
+
+	/**
+	 * Chunked uploads report progress up to 100%.
+	 *
+	 * @return void
+	 */
+	public function test_reports_upload_progress(): void {
+		$data     = random_bytes( (int) ( static::CHUNK_SIZE * 2.5 ) );
+		$local    = $this->write_local_file( $data );
+		$progress = array();
+
+		$this->uploaded[] = 'chunked.zip';
+
+		$uploaded = $this->adapter->upload_chunked(
+			$local,
+			'chunked.zip',
+			static::CHUNK_SIZE,
+			static function ( int $percent ) use ( &$progress ): void {
+				$progress[] = $percent;
+			}
+		);
+
+		$this->assertTrue( $uploaded );
+		$this->assertNotEmpty( $progress );
+		$this->assertSame( 100, end( $progress ) );
+		$this->assertSame( strlen( $data ), $this->adapter->get_metadata( 'chunked.zip' )['size'] );
+	}
+
+	/**
+	 * A missing file has no metadata, cannot be downloaded and counts as deleted.
+	 *
+	 * @return void
+	 */
+	public function test_handles_a_missing_file(): void {
+		$this->assertNull( $this->adapter->get_metadata( 'missing.zip' ) );
+		$this->assertFalse( $this->adapter->download( 'missing.zip', WP_CONTENT_DIR . '/tmp/missing.zip' ) );
+		$this->assertTrue( $this->adapter->delete( 'missing.zip' ) );
+	}
+
+	/**
+	 * Read an environment variable.
+	 *
+	 * @param string $name    Variable name.
+	 * @param string $default Value if the variable is not set.
+	 * @return string
+	 */
+	protected static function env( string $name, string $default = '' ): string {
+		$value = getenv( $name );
+
+		return false === $value || '' === $value ? $default : $value;
+	}
+
+	/**
+	 * Upload a string.
+	 *
+	 * @param string $remote_path Remote path.
+	 * @param string $data        Contents.
+	 * @return bool Whether the upload succeeded.
+	 */
+	private function upload( string $remote_path, string $data ): bool {
+		$this->uploaded[] = $remote_path;
+
+		return $this->adapter->upload( $this->write_local_file( $data ), $remote_path );
+	}
+
+	/**
+	 * Write a string to a local file.
+	 *
+	 * @param string $data Contents.
+	 * @return string Path.
+	 */
+	private function write_local_file( string $data ): string {
+		$path = wp_tempnam( 'upload' );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $path, $data );
+
+		return $path;
+	}
+}
@@ -0,0 +1,61 @@
+<?php
+/**
+ * Tests for FtpAdapter against an FTP server.
+ *
+ * @package SwishMigrateAndBackup\Tests\Integration\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Integration\Storage;
+
+use PHPUnit\Framework\Attributes\RequiresPhpExtension;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Security\Encryption;
+use SwishMigrateAndBackup\Storage\Contracts\StorageAdapterInterface;
+use SwishMigrateAndBackup\Storage\FtpAdapter;
+
+/**
+ * Runs against the server in SWISH_TEST_FTP_HOST, over explicit TLS unless
+ * SWISH_TEST_FTP_ENCRYPTION is "none".
+ */
+#[RequiresPhpExtension( 'ftp' )]
+final class FtpAdapterTest extends AdapterTestCase {
+
+	/**
+	 * {@inheritdoc}
+	 */
+	protected function create_adapter(): StorageAdapterInterface {
+		return new FtpAdapter( new Logger(), new Encryption() );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	protected function get_server_settings( string $folder ): ?array {
+		if ( '' === self::env( 'SWISH_TEST_FTP_HOST' ) ) {
+			return null;
+		}
+
+		return array(
+			'host'        => self::env( 'SWISH_TEST_FTP_HOST' ),
+			'port'        => (int) self::env( 'SWISH_TEST_FTP_PORT', '21' ),
+			'username'    => self::env( 'SWISH_TEST_FTP_USER' ),
+			'password'    => self::env( 'SWISH_TEST_FTP_PASSWORD' ),
+			'encryption'  => self::env( 'SWISH_TEST_FTP_ENCRYPTION', 'tls' ),
+			'passive'     => true,
+			'remote_path' => self::env( 'SWISH_TEST_FTP_PATH', '/' ) . '/' . $folder,
+		);
+	}
+
+	/**
+	 * A wrong password is refused.
+	 *
+	 * @return void
+	 */
+	public function test_refuses_a_wrong_password(): void {
+		$this->adapter->save_settings( array( 'password' => 'wrong-password' ) );
+
+		$this->assertFalse( $this->adapter->connect() );
+	}
+}
@@ -0,0 +1,88 @@
+<?php
+/**
+ * Tests for S3Adapter against an S3-compatible server.
+ *
+ * @package SwishMigrateAndBackup\Tests\Integration\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Integration\Storage;
+
+use PHPUnit\Framework\Attributes\RequiresPhpExtension;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Security\Encryption;
+use SwishMigrateAndBackup\Storage\Contracts\StorageAdapterInterface;
+use SwishMigrateAndBackup\Storage\S3Adapter;
+
+/**
+ * Runs against the MinIO server in SWISH_TEST_S3_ENDPOINT, or any other
+ * S3-compatible server. The bucket must exist. The HTTP stand-in sends the
+ * requests with curl.
+ */
+#[RequiresPhpExtension( 'curl' )]
+final class S3AdapterTest extends AdapterTestCase {
+
+	/**
+	 * S3 refuses multipart parts under 5 MB, except the last one.
+	 */
+	protected const CHUNK_SIZE = 5242880;
+
+	/**
+	 * {@inheritdoc}
+	 */
+	protected function create_adapter(): StorageAdapterInterface {
+		return new S3Adapter( new Logger(), new Encryption() );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	protected function get_server_settings( string $folder ): ?array {
+		if ( '' === self::env( 'SWISH_TEST_S3_ENDPOINT' ) ) {
+			return null;
+		}
+
+		return array(
+			'provider'    => 'minio',
+			'endpoint'    => self::env( 'SWISH_TEST_S3_ENDPOINT' ),
+			'region'      => self::env( 'SWISH_TEST_S3_REGION', 'us-east-1' ),
+			'access_key'  => self::env( 'SWISH_TEST_S3_ACCESS_KEY' ),
+			'secret_key'  => self::env( 'SWISH_TEST_S3_SECRET_KEY' ),
+			'bucket'      => self::env( 'SWISH_TEST_S3_BUCKET', 'swish-tests' ),
+			'path_style'  => true,
+			'path_prefix' => self::env( 'SWISH_TEST_S3_PREFIX', 'swish-tests' ) . '/' . $folder,
+		);
+	}
+
+	/**
+	 * A pre-signed URL downloads the file without credentials.
+	 *
+	 * @return void
+	 */
+	public function test_signs_download_urls(): void {
+		$local = wp_tempnam( 'upload' );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $local, 'signed' );
+
+		$this->assertTrue( $this->adapter->upload( $local, 'daily/backup name.zip' ) );
+
+		$response = wp_remote_get( (string) $this->adapter->get_download_url( 'daily/backup name.zip', 300 ) );
+
+		$this->assertTrue( $this->adapter->delete( 'daily/backup name.zip' ) );
+		$this->assertSame( 200, wp_remote_retrieve_response_code( $response ) );
+		$this->assertSame( 'signed', wp_remote_retrieve_body( $response ) );
+	}
+
+	/**
+	 * A wrong secret key is refused.
+	 *
+	 * @return void
+	 */
+	public function test_refuses_a_wrong_secret_key(): void {
+		$this->adapter->save_settings( array( 'secret_key' => 'wrong-secret-key' ) );
+
+		$this->assertFalse( $this->adapter->connect() );
+	}
+}
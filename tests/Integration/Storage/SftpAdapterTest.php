@@ -0,0 +1,71 @@
+<?php
+/**
+ * Tests for SftpAdapter against an SSH server.
+ *
+ * @package SwishMigrateAndBackup\Tests\Integration\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Integration\Storage;
+
+use PHPUnit\Framework\Attributes\RequiresPhpExtension;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Security\Encryption;
+use SwishMigrateAndBackup\Storage\Contracts\StorageAdapterInterface;
+use SwishMigrateAndBackup\Storage\SftpAdapter;
+
+/**
+ * Runs against the server in SWISH_TEST_SFTP_HOST, signing in with a password.
+ */
+#[RequiresPhpExtension( 'ssh2' )]
+final class SftpAdapterTest extends AdapterTestCase {
+
+	/**
+	 * {@inheritdoc}
+	 */
+	protected function create_adapter(): StorageAdapterInterface {
+		return new SftpAdapter( new Logger(), new Encryption() );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	protected function get_server_settings( string $folder ): ?array {
+		if ( '' === self::env( 'SWISH_TEST_SFTP_HOST' ) ) {
+			return null;
+		}
+
+		return array(
+			'host'             => self::env( 'SWISH_TEST_SFTP_HOST' ),
+			'port'             => (int) self::env( 'SWISH_TEST_SFTP_PORT', '22' ),
+			'username'         => self::env( 'SWISH_TEST_SFTP_USER' ),
+			'auth_method'      => 'password',
+			'password'         => self::env( 'SWISH_TEST_SFTP_PASSWORD' ),
+			'host_fingerprint' => self::env( 'SWISH_TEST_SFTP_FINGERPRINT' ),
+			'remote_path'      => self::env( 'SWISH_TEST_SFTP_PATH', '/upload' ) . '/' . $folder,
+		);
+	}
+
+	/**
+	 * A host key that does not match the configured fingerprint is refused.
+	 *
+	 * @return void
+	 */
+	public function test_refuses_an_unexpected_host_key(): void {
+		$this->adapter->save_settings( array( 'host_fingerprint' => str_repeat( '0', 40 ) ) );
+
+		$this->assertFalse( $this->adapter->connect() );
+	}
+
+	/**
+	 * A wrong password is refused.
+	 *
+	 * @return void
+	 */
+	public function test_refuses_a_wrong_password(): void {
+		$this->adapter->save_settings( array( 'password' => 'wrong-password' ) );
+
+		$this->assertFalse( $this->adapter->connect() );
+	}
+}
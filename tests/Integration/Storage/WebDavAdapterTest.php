@@ -0,0 +1,77 @@
+<?php
+/**
+ * Tests for WebDavAdapter against a WebDAV server.
+ *
+ * @package SwishMigrateAndBackup\Tests\Integration\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Integration\Storage;
+
+use PHPUnit\Framework\Attributes\RequiresPhpExtension;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Security\Encryption;
+use SwishMigrateAndBackup\Storage\Contracts\StorageAdapterInterface;
+use SwishMigrateAndBackup\Storage\WebDavAdapter;
+
+/**
+ * Runs against the server in SWISH_TEST_WEBDAV_URL. The HTTP stand-in
+ * sends the requests with curl.
+ */
+#[RequiresPhpExtension( 'curl' )]
+final class WebDavAdapterTest extends AdapterTestCase {
+
+	/**
+	 * {@inheritdoc}
+	 */
+	protected function create_adapter(): StorageAdapterInterface {
+		return new WebDavAdapter( new Logger(), new Encryption() );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	protected function get_server_settings( string $folder ): ?array {
+		if ( '' === self::env( 'SWISH_TEST_WEBDAV_URL' ) ) {
+			return null;
+		}
+
+		return array(
+			'url'             => self::env( 'SWISH_TEST_WEBDAV_URL' ),
+			'username'        => self::env( 'SWISH_TEST_WEBDAV_USER' ),
+			'password'        => self::env( 'SWISH_TEST_WEBDAV_PASSWORD' ),
+			'remote_path'     => self::env( 'SWISH_TEST_WEBDAV_PATH', 'swish-tests' ) . '/' . $folder,
+			'chunked_uploads' => true,
+			'verify_ssl'      => '0' !== self::env( 'SWISH_TEST_WEBDAV_VERIFY_SSL', '1' ),
+		);
+	}
+
+	/**
+	 * Folders are created level by level for nested paths.
+	 *
+	 * @return void
+	 */
+	public function test_creates_nested_folders(): void {
+		$local = wp_tempnam( 'upload' );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $local, 'nested' );
+
+		$this->assertTrue( $this->adapter->upload( $local, '2024/06/backup name.zip' ) );
+		$this->assertSame( 6, $this->adapter->get_metadata( '2024/06/backup name.zip' )['size'] );
+		$this->assertSame( array( 'backup name.zip' ), array_column( $this->adapter->list( '2024/06' ), 'name' ) );
+		$this->assertTrue( $this->adapter->delete( '2024/06/backup name.zip' ) );
+	}
+
+	/**
+	 * A wrong password is refused.
+	 *
+	 * @return void
+	 */
+	public function test_refuses_a_wrong_password(): void {
+		$this->adapter->save_settings( array( 'password' => 'wrong-password' ) );
+
+		$this->assertFalse( $this->adapter->connect() );
+	}
+}
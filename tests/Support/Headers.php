@@ -0,0 +1,94 @@
+<?php
+/**
+ * Response headers stand-in.
+ *
+ * @package SwishMigrateAndBackup\Tests\Support
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Support;
+
+/**
+ * Case-insensitive header list, like the dictionary WordPress returns
+ * from wp_remote_retrieve_headers().
+ */
+final class Headers implements \ArrayAccess, \IteratorAggregate {
+
+	/**
+	 * Headers keyed by lowercase name.
+	 *
+	 * @var array<string, string>
+	 */
+	private array $headers = array();
+
+	/**
+	 * Constructor.
+	 *
+	 * @param array $headers Header name => value.
+	 */
+	public function __construct( array $headers ) {
+		foreach ( $headers as $name => $value ) {
+			$this->headers[ strtolower( (string) $name ) ] = (string) $value;
+		}
+	}
+
+	/**
+	 * Get all headers.
+	 *
+	 * @return array<string, string> Headers keyed by lowercase name.
+	 */
+	public function getAll(): array { // phpcs:ignore WordPress.NamingConventions.ValidFunctionName.MethodNameInvalid -- Mirrors the WordPress Requests API.
+		return $this->headers;
+	}
+
+	/**
+	 * Check whether a header is set.
+	 *
+	 * @param mixed $offset Header name.
+	 * @return bool
+	 */
+	public function offsetExists( $offset ): bool {
+		return isset( $this->headers[ strtolower( (string) $offset ) ] );
+	}
+
+	/**
+	 * Get a header.
+	 *
+	 * @param mixed $offset Header name.
+	 * @return string|null
+	 */
+	public function offsetGet( $offset ): ?string {
+		return $this->headers[ strtolower( (string) $offset ) ] ?? null;
+	}
+
+	/**
+	 * Set a header.
+	 *
+	 * @param mixed $offset Header name.
+	 * @param mixed $value  Header value.
+	 * @return void
+	 */
+	public function offsetSet( $offset, $value ): void {
+		$this->headers[ strtolower( (string) $offset ) ] = (string) $value;
+	}
+
+	/**
+	 * Remove a header.
+	 *
+	 * @param mixed $offset Header name.
+	 * @return void
+	 */
+	public function offsetUnset( $offset ): void {
+		unset( $this->headers[ strtolower( (string) $offset ) ] );
+	}
+
+	/**
+	 * Iterate over the headers.
+	 *
+	 * @return \ArrayIterator
+	 */
+	public function getIterator(): \ArrayIterator {
+		return new \ArrayIterator( $this->headers );
+	}
+}
@@ -0,0 +1,175 @@
+<?php
+/**
+ * HTTP API stand-in.
+ *
+ * @package SwishMigrateAndBackup\Tests\Support
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Support;
+
+/**
+ * Answers the wp_remote_*() stand-ins.
+ *
+ * Unit tests set a handler that plays the remote server. Without one the
+ * request is sent with cURL, which the integration tests rely on.
+ */
+final class Http {
+
+	/**
+	 * Handler playing the remote server.
+	 *
+	 * Called with the URL and request arguments; returns an array with
+	 * code, headers and body, or a WP_Error.
+	 *
+	 * @var callable|null
+	 */
+	private static $handler = null;
+
+	/**
+	 * Requests sent since the last reset, each with url and args.
+	 *
+	 * @var array
+	 */
+	public static array $requests = array();
+
+	/**
+	 * Set the handler playing the remote server.
+	 *
+	 * @param callable|null $handler Handler, or null to send real requests.
+	 * @return void
+	 */
+	public static function set_handler( ?callable $handler ): void {
+		self::$handler = $handler;
+	}
+
+	/**
+	 * Forget the handler and the recorded requests.
+	 *
+	 * @return void
+	 */
+	public static function reset(): void {
+		self::$handler  = null;
+		self::$requests = array();
+	}
+
+	/**
+	 * Send a request.
+	 *
+	 * @param string $url  URL.
+	 * @param array  $args Request arguments as passed to wp_remote_request().
+	 * @return array|\WP_Error Response in the shape wp_remote_request() returns.
+	 */
+	public static function request( string $url, array $args ) {
+		$args = array_merge(
+			array(
+				'method'      => 'GET',
+				'headers'     => array(),
+				'body'        => null,
+				'timeout'     => 5,
+				'redirection' => 5,
+				'sslverify'   => true,
+				'stream'      => false,
+				'filename'    => null,
+			),
+			$args
+		);
+
+		self::$requests[] = array(
+			'url'  => $url,
+			'args' => $args,
+		);
+
+		$result = null === self::$handler ? self::send( $url, $args ) : ( self::$handler )( $url, $args );
+
+		if ( $result instanceof \WP_Error ) {
+			return $result;
+		}
+
+		if ( $args['stream'] ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+			file_put_contents( $args['filename'], $result['body'] ?? '' );
+			$result['body'] = '';
+		}
+
+		return array(
+			'headers'  => new Headers( $result['headers'] ?? array() ),
+			'body'     => (string) ( $result['body'] ?? '' ),
+			'response' => array(
+				'code'    => (int) $result['code'],
+				'message' => '',
+			),
+			'cookies'  => array(),
+			'filename' => $args['stream'] ? $args['filename'] : null,
+		);
+	}
+
+	/**
+	 * Send a request with cURL.
+	 *
+	 * @param string $url  URL.
+	 * @param array  $args Request arguments.
+	 * @return array|\WP_Error Array with code, headers and body.
+	 */
+	private static function send( string $url, array $args ) {
+		$headers = array();
+		$method  = strtoupper( $args['method'] );
+
+		// phpcs:disable WordPress.WP.AlternativeFunctions.curl_curl_init, WordPress.WP.AlternativeFunctions.curl_curl_setopt_array, WordPress.WP.AlternativeFunctions.curl_curl_setopt, WordPress.WP.AlternativeFunctions.curl_curl_exec, WordPress.WP.AlternativeFunctions.curl_curl_error, WordPress.WP.AlternativeFunctions.curl_curl_getinfo
+		$handle = curl_init( $url );
+
+		curl_setopt_array(
+			$handle,
+			array(
+				CURLOPT_CUSTOMREQUEST  => $method,
+				CURLOPT_NOBODY         => 'HEAD' === $method,
+				CURLOPT_RETURNTRANSFER => true,
+				CURLOPT_FOLLOWLOCATION => $args['redirection'] > 0,
+				CURLOPT_MAXREDIRS      => max( 1, (int) $args['redirection'] ),
+				CURLOPT_TIMEOUT        => (int) $args['timeout'],
+				CURLOPT_SSL_VERIFYPEER => (bool) $args['sslverify'],
+				CURLOPT_SSL_VERIFYHOST => $args['sslverify'] ? 2 : 0,
+				CURLOPT_HTTPHEADER     => array_map(
+					static fn( $name, $value ) => $name . ': ' . $value,
+					array_keys( $args['headers'] ),
+					$args['headers']
+				),
+				CURLOPT_HEADERFUNCTION => static function ( $curl, string $line ) use ( &$headers ): int {
+					if ( 0 === strpos( $line, 'HTTP/' ) ) {
+						// A new response after a redirect or a 100 Continue.
+						$headers = array();
+					} elseif ( false !== strpos( $line, ':' ) ) {
+						list( $name, $value )           = explode( ':', $line, 2 );
+						$headers[ strtolower( $name ) ] = trim( $value );
+					}
+
+					return strlen( $line );
+				},
+			)
+		);
+
+		if ( null !== $args['body'] && '' !== $args['body'] ) {
+			curl_setopt( $handle, CURLOPT_POSTFIELDS, is_array( $args['body'] ) ? http_build_query( $args['body'] ) : $args['body'] );
+		}
+
+		if ( ! empty( $args['sslcertificates'] ) ) {
+			curl_setopt( $handle, CURLOPT_CAINFO, $args['sslcertificates'] );
+		}
+
+		$body = curl_exec( $handle );
+
+		if ( false === $body ) {
+			return new \WP_Error( 'http_request_failed', curl_error( $handle ) );
+		}
+
+		$code = (int) curl_getinfo( $handle, CURLINFO_RESPONSE_CODE );
+		// phpcs:enable
+
+		return array(
+			'code'    => $code,
+			'headers' => $headers,
+			'body'    => $body,
+		);
+	}
+}
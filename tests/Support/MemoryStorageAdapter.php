@@ -0,0 +1,147 @@
+<?php
+/**
+ * In-memory storage adapter.
+ *
+ * @package SwishMigrateAndBackup\Tests\Support
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Support;
+
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Storage\Contracts\AbstractStorageAdapter;
+
+/**
+ * Storage destination that keeps its files in memory.
+ *
+ * It cannot read byte ranges and reports only the size of a file, like a
+ * destination without checksums; RangeReadableMemoryStorageAdapter adds
+ * range reads.
+ */
+class MemoryStorageAdapter extends AbstractStorageAdapter {
+
+	/**
+	 * Stored files, path => contents.
+	 *
+	 * @var array<string, string>
+	 */
+	public array $files = array();
+
+	/**
+	 * Extra metadata reported for every file, e.g. a hash.
+	 *
+	 * @var array
+	 */
+	public array $extra_metadata = array();
+
+	/**
+	 * Constructor.
+	 *
+	 * @param array<string, string> $files Stored files, path => contents.
+	 */
+	public function __construct( array $files = array() ) {
+		parent::__construct( new Logger() );
+
+		$this->files = $files;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_id(): string {
+		return 'memory';
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_name(): string {
+		return 'Memory';
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function is_configured(): bool {
+		return true;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function connect(): bool {
+		return true;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function upload( string $local_path, string $remote_path ): bool {
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$this->files[ $remote_path ] = (string) file_get_contents( $local_path );
+
+		return true;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function download( string $remote_path, string $local_path ): bool {
+		if ( ! isset( $this->files[ $remote_path ] ) ) {
+			return false;
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		return false !== file_put_contents( $local_path, $this->files[ $remote_path ] );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function delete( string $remote_path ): bool {
+		unset( $this->files[ $remote_path ] );
+
+		return true;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function list( string $path = '' ): array {
+		$files = array();
+
+		foreach ( $this->files as $file => $contents ) {
+			if ( '' === $path || 0 === strpos( $file, trailingslashit( $path ) ) ) {
+				$files[] = $this->get_metadata( $file );
+			}
+		}
+
+		return $files;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_metadata( string $remote_path ): ?array {
+		if ( ! isset( $this->files[ $remote_path ] ) ) {
+			return null;
+		}
+
+		return array_merge(
+			array(
+				'name' => basename( $remote_path ),
+				'path' => $remote_path,
+				'size' => strlen( $this->files[ $remote_path ] ),
+			),
+			$this->extra_metadata
+		);
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_settings_fields(): array {
+		return array();
+	}
+}
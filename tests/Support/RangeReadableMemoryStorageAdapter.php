@@ -0,0 +1,49 @@
+<?php
+/**
+ * In-memory storage adapter with range reads.
+ *
+ * @package SwishMigrateAndBackup\Tests\Support
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Support;
+
+use SwishMigrateAndBackup\Storage\Contracts\RangeReadableStorageAdapterInterface;
+
+/**
+ * Storage destination that keeps its files in memory and reads byte ranges.
+ */
+final class RangeReadableMemoryStorageAdapter extends MemoryStorageAdapter implements RangeReadableStorageAdapterInterface {
+
+	/**
+	 * Ranges read, each with path, offset and length.
+	 *
+	 * @var array
+	 */
+	public array $ranges_read = array();
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function get_id(): string {
+		return 'memory-ranges';
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function read_range( string $remote_path, int $offset, int $length ): ?string {
+		if ( ! isset( $this->files[ $remote_path ] ) ) {
+			return null;
+		}
+
+		$this->ranges_read[] = array(
+			'path'   => $remote_path,
+			'offset' => $offset,
+			'length' => $length,
+		);
+
+		return substr( $this->files[ $remote_path ], $offset, $length );
+	}
+}
@@ -0,0 +1,420 @@
+<?php
+/**
+ * Database stand-in.
+ *
+ * @package SwishMigrateAndBackup\Tests\Support
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Support;
+
+/**
+ * A wpdb look-alike on an in-memory SQLite database.
+ *
+ * Queries run as written, which works for the portable SQL the plugin
+ * uses. SHOW TABLES, SHOW KEYS, SHOW COLUMNS and SHOW CREATE TABLE are
+ * answered from the SQLite schema, and LIKE follows MySQL: case-insensitive, with
+ * backslash escapes. Like wpdb, errors end up in $last_error instead of
+ * being thrown, and every value comes back as a string.
+ *
+ * Tables are created with MySQL column types (longtext, varchar(255) ...)
+ * so SHOW COLUMNS reports them the way MySQL would.
+ */
+final class Wpdb {
+
+	/**
+	 * Table prefix.
+	 *
+	 * @var string
+	 */
+	public string $prefix = 'wp_';
+
+	/**
+	 * Table prefix of the main site.
+	 *
+	 * @var string
+	 */
+	public string $base_prefix = 'wp_';
+
+	/**
+	 * WordPress table names.
+	 *
+	 * @var string
+	 */
+	public string $posts    = 'wp_posts';
+	public string $postmeta = 'wp_postmeta';
+	public string $options  = 'wp_options';
+	public string $users    = 'wp_users';
+	public string $usermeta = 'wp_usermeta';
+
+	/**
+	 * ID generated by the last insert.
+	 *
+	 * @var int
+	 */
+	public int $insert_id = 0;
+
+	/**
+	 * Error of the last query, empty if it succeeded.
+	 *
+	 * @var string
+	 */
+	public string $last_error = '';
+
+	/**
+	 * Connection.
+	 *
+	 * @var \PDO
+	 */
+	private \PDO $pdo;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		// PDO::connect() returns the SQLite driver class on PHP 8.4 and later.
+		$this->pdo = method_exists( \PDO::class, 'connect' ) ? \PDO::connect( 'sqlite::memory:' ) : new \PDO( 'sqlite::memory:' );
+		$this->pdo->setAttribute( \PDO::ATTR_ERRMODE, \PDO::ERRMODE_EXCEPTION );
+		$this->pdo->setAttribute( \PDO::ATTR_STRINGIFY_FETCHES, true );
+
+		$like = static function ( $pattern, $value ): bool {
+			if ( null === $pattern || null === $value ) {
+				return false;
+			}
+
+			$regex = preg_replace_callback(
+				'/\\\\(.)|(%)|(_)|(.)/su',
+				static function ( array $match ): string {
+					if ( isset( $match[4] ) && '' !== $match[4] ) {
+						return preg_quote( $match[4], '/' );
+					}
+
+					if ( isset( $match[3] ) && '' !== $match[3] ) {
+						return '.';
+					}
+
+					if ( isset( $match[2] ) && '' !== $match[2] ) {
+						return '.*';
+					}
+
+					return preg_quote( $match[1], '/' );
+				},
+				(string) $pattern
+			);
+
+			return 1 === preg_match( '/^' . $regex . '$/isu', (string) $value );
+		};
+
+		if ( method_exists( $this->pdo, 'createFunction' ) ) {
+			$this->pdo->createFunction( 'like', $like, 2 );
+		} else {
+			$this->pdo->sqliteCreateFunction( 'like', $like, 2 );
+		}
+	}
+
+	/**
+	 * Prepare a query, as wpdb::prepare() does.
+	 *
+	 * @param string $query   Query with %s, %d, %f and %i placeholders.
+	 * @param mixed  ...$args Values, or a single array of values.
+	 * @return string
+	 */
+	public function prepare( string $query, ...$args ): string {
+		if ( 1 === count( $args ) && is_array( $args[0] ) ) {
+			$args = $args[0];
+		}
+
+		$args = array_values( $args );
+		$next = 0;
+
+		return preg_replace_callback(
+			'/%(%|[sdfi])/',
+			function ( array $match ) use ( $args, &$next ): string {
+				if ( '%' === $match[1] ) {
+					return '%';
+				}
+
+				$value = $args[ $next++ ] ?? null;
+
+				switch ( $match[1] ) {
+					case 'd':
+						return (string) (int) $value;
+					case 'f':
+						return (string) (float) $value;
+					case 'i':
+						return '`' . str_replace( '`', '``', (string) $value ) . '`';
+					default:
+						return $this->pdo->quote( (string) $value );
+				}
+			},
+			$query
+		);
+	}
+
+	/**
+	 * Escape LIKE wildcards.
+	 *
+	 * @param string $text Text.
+	 * @return string
+	 */
+	public function esc_like( string $text ): string {
+		return addcslashes( $text, '_%\\' );
+	}
+
+	/**
+	 * Escape a string for a query, as mysqli_real_escape_string() does.
+	 *
+	 * @param string $text Text.
+	 * @return string
+	 */
+	public function _real_escape( string $text ): string { // phpcs:ignore PSR2.Methods.MethodDeclaration.Underscore
+		return addslashes( $text );
+	}
+
+	/**
+	 * Get the database server version.
+	 *
+	 * @return string
+	 */
+	public function db_version(): string {
+		return (string) $this->pdo->query( 'SELECT sqlite_version()' )->fetchColumn();
+	}
+
+	/**
+	 * Get the charset and collation clause for CREATE TABLE.
+	 *
+	 * @return string
+	 */
+	public function get_charset_collate(): string {
+		return '';
+	}
+
+	/**
+	 * Run a query.
+	 *
+	 * @param string $query Query.
+	 * @return int|bool Rows affected or returned, or false on error.
+	 */
+	public function query( string $query ) {
+		$statement = $this->execute( $query );
+
+		if ( null === $statement ) {
+			return false;
+		}
+
+		if ( $statement->columnCount() > 0 ) {
+			return count( $statement->fetchAll() );
+		}
+
+		return $statement->rowCount();
+	}
+
+	/**
+	 * Get one value.
+	 *
+	 * @param string $query Query.
+	 * @param int    $x     Column.
+	 * @param int    $y     Row.
+	 * @return string|null
+	 */
+	public function get_var( string $query, int $x = 0, int $y = 0 ): ?string {
+		$rows = $this->get_results( $query, ARRAY_N );
+
+		return isset( $rows[ $y ][ $x ] ) ? (string) $rows[ $y ][ $x ] : null;
+	}
+
+	/**
+	 * Get one row.
+	 *
+	 * @param string $query  Query.
+	 * @param string $output OBJECT, ARRAY_A or ARRAY_N.
+	 * @param int    $y      Row.
+	 * @return mixed
+	 */
+	public function get_row( string $query, string $output = OBJECT, int $y = 0 ) {
+		return $this->get_results( $query, $output )[ $y ] ?? null;
+	}
+
+	/**
+	 * Get one column.
+	 *
+	 * @param string $query Query.
+	 * @param int    $x     Column.
+	 * @return array
+	 */
+	public function get_col( string $query, int $x = 0 ): array {
+		return array_column( $this->get_results( $query, ARRAY_N ), $x );
+	}
+
+	/**
+	 * Get rows.
+	 *
+	 * @param string $query  Query.
+	 * @param string $output OBJECT, ARRAY_A or ARRAY_N.
+	 * @return array|null Rows, or null on error.
+	 */
+	public function get_results( string $query, string $output = OBJECT ): ?array {
+		$rows = $this->answer_show( $query );
+
+		if ( null === $rows ) {
+			$statement = $this->execute( $query );
+
+			if ( null === $statement ) {
+				return null;
+			}
+
+			$rows = $statement->fetchAll( \PDO::FETCH_ASSOC );
+		}
+
+		if ( ARRAY_A === $output ) {
+			return $rows;
+		}
+
+		return array_map(
+			static fn( array $row ) => ARRAY_N === $output ? array_values( $row ) : (object) $row,
+			$rows
+		);
+	}
+
+	/**
+	 * Insert a row.
+	 *
+	 * @param string     $table  Table.
+	 * @param array      $data   Column => value.
+	 * @param array|null $format Ignored; values are bound as given.
+	 * @return int|false 1, or false on error.
+	 */
+	public function insert( string $table, array $data, $format = null ) {
+		$columns = '`' . implode( '`, `', array_keys( $data ) ) . '`';
+		$values  = implode( ', ', array_fill( 0, count( $data ), '?' ) );
+		$result  = $this->execute( "INSERT INTO `{$table}` ({$columns}) VALUES ({$values})", array_values( $data ) );
+
+		if ( null === $result ) {
+			return false;
+		}
+
+		$this->insert_id = (int) $this->pdo->lastInsertId();
+
+		return 1;
+	}
+
+	/**
+	 * Update rows.
+	 *
+	 * @param string $table Table.
+	 * @param array  $data  Column => value.
+	 * @param array  $where Column => value.
+	 * @return int|false Rows updated, or false on error.
+	 */
+	public function update( string $table, array $data, array $where ) {
+		$set    = implode( ', ', array_map( static fn( $column ) => "`{$column}` = ?", array_keys( $data ) ) );
+		$result = $this->execute(
+			"UPDATE `{$table}` SET {$set} WHERE " . $this->build_where( $where ),
+			array_merge( array_values( $data ), array_values( $where ) )
+		);
+
+		return null === $result ? false : $result->rowCount();
+	}
+
+	/**
+	 * Delete rows.
+	 *
+	 * @param string $table Table.
+	 * @param array  $where Column => value.
+	 * @return int|false Rows deleted, or false on error.
+	 */
+	public function delete( string $table, array $where ) {
+		$result = $this->execute( "DELETE FROM `{$table}` WHERE " . $this->build_where( $where ), array_values( $where ) );
+
+		return null === $result ? false : $result->rowCount();
+	}
+
+	/**
+	 * Run a statement, recording any error.
+	 *
+	 * @param string $query  Query.
+	 * @param array  $params Bound values.
+	 * @return \PDOStatement|null Statement, or null on error.
+	 */
+	private function execute( string $query, array $params = array() ): ?\PDOStatement {
+		$this->last_error = '';
+
+		try {
+			$statement = $this->pdo->prepare( $query );
+			$statement->execute( $params );
+
+			return $statement;
+		} catch ( \PDOException $e ) {
+			$this->last_error = $e->getMessage();
+
+			return null;
+		}
+	}
+
+	/**
+	 * Build a WHERE clause with a placeholder per column.
+	 *
+	 * @param array $where Column => value.
+	 * @return string
+	 */
+	private function build_where( array $where ): string {
+		return implode( ' AND ', array_map( static fn( $column ) => "`{$column}` = ?", array_keys( $where ) ) );
+	}
+
+	/**
+	 * Answer the SHOW statements SQLite does not know.
+	 *
+	 * @param string $query Query.
+	 * @return array|null Rows, or null if the query is not one of them.
+	 */
+	private function answer_show( string $query ): ?array {
+		if ( preg_match( '/^\s*SHOW\s+TABLES\s*$/i', $query ) ) {
+			$tables = $this->pdo->query( "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite\\_%' ORDER BY name" )->fetchAll( \PDO::FETCH_COLUMN );
+
+			return array_map( static fn( $table ) => array( 'Tables_in_wordpress' => $table ), $tables );
+		}
+
+		if ( preg_match( '/^\s*SHOW\s+CREATE\s+TABLE\s+`?(\w+)`?/i', $query, $match ) ) {
+			$statement = $this->pdo->prepare( "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?" );
+			$statement->execute( array( $match[1] ) );
+
+			return array(
+				array(
+					'Table'        => $match[1],
+					'Create Table' => (string) $statement->fetchColumn(),
+				),
+			);
+		}
+
+		if ( ! preg_match( '/^\s*SHOW\s+(KEYS|COLUMNS)\s+FROM\s+`?(\w+)`?/i', $query, $match ) ) {
+			return null;
+		}
+
+		$columns = $this->pdo->query( 'PRAGMA table_info(`' . $match[2] . '`)' )->fetchAll( \PDO::FETCH_ASSOC );
+		$rows    = array();
+
+		foreach ( $columns as $column ) {
+			if ( 'KEYS' === strtoupper( $match[1] ) ) {
+				if ( (int) $column['pk'] > 0 ) {
+					$rows[] = array(
+						'Table'       => $match[2],
+						'Key_name'    => 'PRIMARY',
+						'Column_name' => $column['name'],
+					);
+				}
+				continue;
+			}
+
+			$rows[] = array(
+				'Field'   => $column['name'],
+				'Type'    => strtolower( $column['type'] ),
+				'Null'    => (int) $column['notnull'] ? 'NO' : 'YES',
+				'Key'     => (int) $column['pk'] > 0 ? 'PRI' : '',
+				'Default' => $column['dflt_value'],
+			);
+		}
+
+		return $rows;
+	}
+}
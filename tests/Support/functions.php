@@ -0,0 +1,376 @@
+<?php
+/**
+ * Stand-ins for the WordPress functions the plugin calls.
+ *
+ * Each one does just enough for the code under test: options and cron
+ * events live in memory, HTTP requests go through Support\Http, filters
+ * return their value and actions are recorded instead of run.
+ *
+ * @package SwishMigrateAndBackup\Tests
+ */
+
+declare(strict_types=1);
+
+use SwishMigrateAndBackup\Tests\Support\Http;
+
+// phpcs:disable Squiz.Commenting.FunctionComment.Missing, Universal.Files.SeparateFunctionsFromOO.Mixed
+
+if ( ! class_exists( 'WP_Error' ) ) {
+	/**
+	 * Minimal WP_Error.
+	 */
+	class WP_Error {
+
+		/**
+		 * Error code.
+		 *
+		 * @var string
+		 */
+		private string $code;
+
+		/**
+		 * Error message.
+		 *
+		 * @var string
+		 */
+		private string $message;
+
+		/**
+		 * Error data.
+		 *
+		 * @var mixed
+		 */
+		private $data;
+
+		/**
+		 * Constructor.
+		 *
+		 * @param string $code    Error code.
+		 * @param string $message Error message.
+		 * @param mixed  $data    Error data.
+		 */
+		public function __construct( string $code = '', string $message = '', $data = '' ) {
+			$this->code    = $code;
+			$this->message = $message;
+			$this->data    = $data;
+		}
+
+		public function get_error_code(): string {
+			return $this->code;
+		}
+
+		public function get_error_message(): string {
+			return $this->message;
+		}
+
+		public function get_error_data() {
+			return $this->data;
+		}
+	}
+}
+
+// Translation and escaping.
+
+function __( $text, $domain = 'default' ) {
+	return $text;
+}
+
+function esc_html__( $text, $domain = 'default' ) {
+	return esc_html( $text );
+}
+
+function esc_html( $text ) {
+	return htmlspecialchars( (string) $text, ENT_QUOTES, 'UTF-8' );
+}
+
+function esc_attr( $text ) {
+	return esc_html( $text );
+}
+
+function esc_url_raw( $url ) {
+	return (string) filter_var( trim( (string) $url ), FILTER_SANITIZE_URL );
+}
+
+function sanitize_text_field( $str ) {
+	return trim( preg_replace( '/[\r\n\t ]+/', ' ', wp_strip_all_tags( (string) $str ) ) );
+}
+
+function sanitize_file_name( $filename ) {
+	$filename = preg_replace( '/[^A-Za-z0-9._-]+/', '-', (string) $filename );
+
+	return trim( $filename, '.-_' );
+}
+
+function wp_strip_all_tags( $text ) {
+	return trim( strip_tags( (string) $text ) );
+}
+
+function absint( $value ) {
+	return abs( (int) $value );
+}
+
+function size_format( $bytes, $decimals = 0 ) {
+	return number_format( $bytes / 1048576, $decimals ) . ' MB';
+}
+
+// Options and transients.
+
+function get_option( $option, $default_value = false ) {
+	return array_key_exists( $option, $GLOBALS['swish_tests_options'] ) ? $GLOBALS['swish_tests_options'][ $option ] : $default_value;
+}
+
+function update_option( $option, $value, $autoload = null ) {
+	if ( array_key_exists( $option, $GLOBALS['swish_tests_options'] ) && $GLOBALS['swish_tests_options'][ $option ] === $value ) {
+		return false;
+	}
+
+	$GLOBALS['swish_tests_options'][ $option ] = $value;
+
+	return true;
+}
+
+function add_option( $option, $value = '', $deprecated = '', $autoload = null ) {
+	if ( array_key_exists( $option, $GLOBALS['swish_tests_options'] ) ) {
+		return false;
+	}
+
+	return update_option( $option, $value );
+}
+
+function delete_option( $option ) {
+	if ( ! array_key_exists( $option, $GLOBALS['swish_tests_options'] ) ) {
+		return false;
+	}
+
+	unset( $GLOBALS['swish_tests_options'][ $option ] );
+
+	return true;
+}
+
+function get_transient( $transient ) {
+	return get_option( '_transient_' . $transient );
+}
+
+function set_transient( $transient, $value, $expiration = 0 ) {
+	update_option( '_transient_' . $transient, $value );
+
+	return true;
+}
+
+function delete_transient( $transient ) {
+	return delete_option( '_transient_' . $transient );
+}
+
+// Hooks and cron.
+
+function apply_filters( $hook_name, $value, ...$args ) {
+	return $value;
+}
+
+function do_action( $hook_name, ...$args ) {
+	$GLOBALS['swish_tests_actions'][ $hook_name ][] = $args;
+}
+
+function add_action( $hook_name, $callback, $priority = 10, $accepted_args = 1 ) {
+	return true;
+}
+
+function add_filter( $hook_name, $callback, $priority = 10, $accepted_args = 1 ) {
+	return true;
+}
+
+function wp_schedule_single_event( $timestamp, $hook, $args = array() ) {
+	$GLOBALS['swish_tests_cron'][ $hook ][ serialize( $args ) ] = $timestamp;
+
+	return true;
+}
+
+function wp_next_scheduled( $hook, $args = array() ) {
+	return $GLOBALS['swish_tests_cron'][ $hook ][ serialize( $args ) ] ?? false;
+}
+
+function wp_unschedule_event( $timestamp, $hook, $args = array() ) {
+	if ( wp_next_scheduled( $hook, $args ) !== $timestamp ) {
+		return false;
+	}
+
+	unset( $GLOBALS['swish_tests_cron'][ $hook ][ serialize( $args ) ] );
+
+	return true;
+}
+
+function wp_clear_scheduled_hook( $hook, $args = array() ) {
+	unset( $GLOBALS['swish_tests_cron'][ $hook ][ serialize( $args ) ] );
+
+	return 0;
+}
+
+// Files.
+
+function wp_mkdir_p( $target ) {
+	return is_dir( $target ) || mkdir( $target, 0755, true );
+}
+
+function wp_delete_file( $file ) {
+	if ( is_file( $file ) ) {
+		unlink( $file );
+	}
+}
+
+function get_theme_root() {
+	return WP_CONTENT_DIR . '/themes';
+}
+
+function wp_upload_dir() {
+	return array( 'basedir' => WP_CONTENT_DIR . '/uploads' );
+}
+
+function get_temp_dir() {
+	wp_mkdir_p( WP_CONTENT_DIR . '/tmp' );
+
+	return WP_CONTENT_DIR . '/tmp/';
+}
+
+function wp_tempnam( $filename = '', $dir = '' ) {
+	$dir = '' === $dir ? WP_CONTENT_DIR . '/tmp' : $dir;
+	wp_mkdir_p( $dir );
+
+	return tempnam( $dir, 'swish' );
+}
+
+function wp_unique_filename( $dir, $filename ) {
+	$info   = pathinfo( $filename );
+	$ext    = isset( $info['extension'] ) ? '.' . $info['extension'] : '';
+	$unique = $filename;
+
+	for ( $number = 1; file_exists( $dir . '/' . $unique ); $number++ ) {
+		$unique = $info['filename'] . '-' . $number . $ext;
+	}
+
+	return $unique;
+}
+
+// Misc.
+
+function wp_json_encode( $value, $flags = 0, $depth = 512 ) {
+	return json_encode( $value, $flags, $depth );
+}
+
+function wp_generate_password( $length = 12, $special_chars = true, $extra_special_chars = false ) {
+	$chars    = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+	$password = '';
+
+	for ( $i = 0; $i < $length; $i++ ) {
+		$password .= $chars[ random_int( 0, strlen( $chars ) - 1 ) ];
+	}
+
+	return $password;
+}
+
+function wp_generate_uuid4() {
+	$bytes    = random_bytes( 16 );
+	$bytes[6] = chr( ord( $bytes[6] ) & 0x0f | 0x40 );
+	$bytes[8] = chr( ord( $bytes[8] ) & 0x3f | 0x80 );
+
+	return vsprintf( '%s%s-%s-%s-%s-%s%s%s', str_split( bin2hex( $bytes ), 4 ) );
+}
+
+function current_time( $type, $gmt = 0 ) {
+	return 'mysql' === $type ? gmdate( 'Y-m-d H:i:s' ) : time();
+}
+
+function trailingslashit( $value ) {
+	return untrailingslashit( $value ) . '/';
+}
+
+function untrailingslashit( $value ) {
+	return rtrim( (string) $value, '/\\' );
+}
+
+function wp_parse_url( $url, $component = -1 ) {
+	return parse_url( (string) $url, $component );
+}
+
+function get_bloginfo( $show = '' ) {
+	return 'version' === $show ? '6.6' : 'Destination';
+}
+
+function get_site_url() {
+	return 'https://destination.test';
+}
+
+function get_home_url() {
+	return 'https://destination.test';
+}
+
+function is_multisite() {
+	return false;
+}
+
+function get_template() {
+	return 'twentytwentyfour';
+}
+
+function site_url( $path = '' ) {
+	return 'https://destination.test/' . ltrim( (string) $path, '/' );
+}
+
+function rest_url( $path = '' ) {
+	return 'https://destination.test/wp-json/' . ltrim( (string) $path, '/' );
+}
+
+function is_wp_error( $thing ) {
+	return $thing instanceof WP_Error;
+}
+
+// HTTP API.
+
+function wp_http_validate_url( $url ) {
+	$scheme = parse_url( (string) $url, PHP_URL_SCHEME );
+
+	return false !== filter_var( $url, FILTER_VALIDATE_URL ) && in_array( $scheme, array( 'http', 'https' ), true ) ? $url : false;
+}
+
+function wp_remote_request( $url, $args = array() ) {
+	return Http::request( $url, $args );
+}
+
+function wp_remote_get( $url, $args = array() ) {
+	return Http::request( $url, array_merge( $args, array( 'method' => 'GET' ) ) );
+}
+
+function wp_remote_post( $url, $args = array() ) {
+	return Http::request( $url, array_merge( $args, array( 'method' => 'POST' ) ) );
+}
+
+function wp_remote_head( $url, $args = array() ) {
+	return Http::request( $url, array_merge( $args, array( 'method' => 'HEAD' ) ) );
+}
+
+function wp_safe_remote_request( $url, $args = array() ) {
+	return wp_remote_request( $url, $args );
+}
+
+function wp_safe_remote_get( $url, $args = array() ) {
+	return wp_remote_get( $url, $args );
+}
+
+function wp_safe_remote_head( $url, $args = array() ) {
+	return wp_remote_head( $url, $args );
+}
+
+function wp_remote_retrieve_response_code( $response ) {
+	return is_array( $response ) ? $response['response']['code'] : '';
+}
+
+function wp_remote_retrieve_body( $response ) {
+	return is_array( $response ) ? $response['body'] : '';
+}
+
+function wp_remote_retrieve_headers( $response ) {
+	return is_array( $response ) ? $response['headers'] : array();
+}
+
+function wp_remote_retrieve_header( $response, $header ) {
+	return is_array( $response ) && isset( $response['headers'][ $header ] ) ? $response['headers'][ $header ] : '';
+}
@@ -0,0 +1,97 @@
+<?php
+/**
+ * Base test case.
+ *
+ * @package SwishMigrateAndBackup\Tests
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests;
+
+use SwishMigrateAndBackup\Tests\Support\Http;
+use SwishMigrateAndBackup\Tests\Support\Wpdb;
+use Yoast\PHPUnitPolyfills\TestCases\TestCase as PolyfillTestCase;
+
+/**
+ * Gives every test empty options, an empty database, no cron events or
+ * recorded actions, no HTTP handler and an empty wp-content directory.
+ */
+abstract class TestCase extends PolyfillTestCase {
+
+	/**
+	 * Reset the WordPress stand-ins.
+	 *
+	 * @return void
+	 */
+	protected function set_up(): void {
+		parent::set_up();
+
+		$GLOBALS['swish_tests_options'] = array();
+		$GLOBALS['swish_tests_cron']    = array();
+		$GLOBALS['swish_tests_actions'] = array();
+		$GLOBALS['wpdb']                = new Wpdb();
+
+		Http::reset();
+	}
+
+	/**
+	 * Remove the files the test wrote.
+	 *
+	 * @return void
+	 */
+	protected function tear_down(): void {
+		self::remove_directory( WP_CONTENT_DIR . '/swish-backups' );
+		self::remove_directory( WP_CONTENT_DIR . '/tmp' );
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Create a table in the test database.
+	 *
+	 * @param string $table   Table name.
+	 * @param array  $columns Column name => MySQL definition; the first is the primary key.
+	 * @param array  $rows    Rows to insert, each column => value.
+	 * @return void
+	 */
+	protected function create_table( string $table, array $columns, array $rows = array() ): void {
+		global $wpdb;
+
+		$definitions = array();
+		foreach ( $columns as $column => $definition ) {
+			$definitions[] = "`{$column}` {$definition}" . ( array() === $definitions ? ' PRIMARY KEY' : '' );
+		}
+
+		$wpdb->query( "CREATE TABLE `{$table}` (" . implode( ', ', $definitions ) . ')' );
+
+		foreach ( $rows as $row ) {
+			$wpdb->insert( $table, $row );
+		}
+	}
+
+	/**
+	 * Remove a directory and everything in it.
+	 *
+	 * @param string $dir Directory.
+	 * @return void
+	 */
+	public static function remove_directory( string $dir ): void {
+		if ( ! is_dir( $dir ) ) {
+			return;
+		}
+
+		$items = new \RecursiveIteratorIterator(
+			new \RecursiveDirectoryIterator( $dir, \FilesystemIterator::SKIP_DOTS ),
+			\RecursiveIteratorIterator::CHILD_FIRST
+		);
+
+		foreach ( $items as $item ) {
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+			$item->isDir() ? rmdir( $item->getPathname() ) : unlink( $item->getPathname() );
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+		rmdir( $dir );
+	}
+}
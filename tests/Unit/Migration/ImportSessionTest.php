@@ -0,0 +1,448 @@
+<?php
+/**
+ * Tests for ImportSession.
+ *
+ * @package SwishMigrateAndBackup\Tests\Unit\Migration
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Unit\Migration;
+
+use SwishMigrateAndBackup\Core\Container;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Migration\ImportSession;
+use SwishMigrateAndBackup\Migration\SiteConnection;
+use SwishMigrateAndBackup\Security\Encryption;
+use SwishMigrateAndBackup\Storage\StorageManager;
+use SwishMigrateAndBackup\Tests\Support\Http;
+use SwishMigrateAndBackup\Tests\Support\MemoryStorageAdapter;
+use SwishMigrateAndBackup\Tests\Support\RangeReadableMemoryStorageAdapter;
+use SwishMigrateAndBackup\Tests\TestCase;
+
+/**
+ * Chunked uploads, and downloads from a URL or a storage destination in
+ * byte ranges: chunk checks, out-of-order chunks and resuming.
+ */
+final class ImportSessionTest extends TestCase {
+
+	/**
+	 * Session under test.
+	 *
+	 * @var ImportSession
+	 */
+	private ImportSession $import_session;
+
+	/**
+	 * Storage manager the session reads destinations through.
+	 *
+	 * @var StorageManager
+	 */
+	private StorageManager $storage_manager;
+
+	/**
+	 * Set up the session.
+	 *
+	 * @return void
+	 */
+	protected function set_up(): void {
+		parent::set_up();
+
+		$logger                = new Logger();
+		$this->storage_manager = new StorageManager( Container::get_instance() );
+		$this->import_session  = new ImportSession(
+			$logger,
+			new SiteConnection( new Encryption(), $logger ),
+			$this->storage_manager
+		);
+	}
+
+	/**
+	 * Chunks sent in any order reassemble into the original file.
+	 *
+	 * @return void
+	 */
+	public function test_reassembles_chunks_sent_out_of_order(): void {
+		$data    = random_bytes( ImportSession::MAX_CHUNK_SIZE + 1000 );
+		$session = $this->import_session->start( 'site backup.zip', strlen( $data ), 'fingerprint' );
+		$chunks  = str_split( $data, $session['chunk_size'] );
+
+		$this->assertSame( count( $chunks ), $session['total_chunks'] );
+		$this->assertSame( 'site-backup.zip', $session['filename'] );
+
+		foreach ( array_reverse( array_keys( $chunks ) ) as $index ) {
+			$session = $this->import_session->write_chunk( $session, $index, $chunks[ $index ], hash( 'sha256', $chunks[ $index ] ) );
+		}
+
+		$this->assertSame( array_keys( $chunks ), $session['received'] );
+
+		$path = $this->import_session->complete( $session );
+
+		$this->assertStringEqualsFile( $path, $data );
+		$this->assertNull( $this->import_session->get( $session['id'] ) );
+	}
+
+	/**
+	 * Starting the same file again resumes the unfinished upload.
+	 *
+	 * @return void
+	 */
+	public function test_resumes_an_unfinished_upload_of_the_same_file(): void {
+		$data    = str_repeat( 'a', 1000 );
+		$session = $this->import_session->start( 'backup.zip', strlen( $data ), 'backup.zip|1000|1700000000' );
+		$session = $this->import_session->write_chunk( $session, 0, $data, '' );
+
+		$resumed = $this->import_session->start( 'backup.zip', strlen( $data ), 'backup.zip|1000|1700000000' );
+		$other   = $this->import_session->start( 'backup.zip', strlen( $data ), 'backup.zip|1000|1700000001' );
+
+		$this->assertSame( $session['id'], $resumed['id'] );
+		$this->assertSame( array( 0 ), $resumed['received'] );
+		$this->assertNotSame( $session['id'], $other['id'] );
+	}
+
+	/**
+	 * A chunk whose SHA-256 differs is rejected and not recorded.
+	 *
+	 * @return void
+	 */
+	public function test_rejects_a_chunk_with_a_wrong_checksum(): void {
+		$session = $this->import_session->start( 'backup.zip', 1000, 'fingerprint' );
+
+		try {
+			$this->import_session->write_chunk( $session, 0, str_repeat( 'a', 1000 ), hash( 'sha256', str_repeat( 'b', 1000 ) ) );
+			$this->fail( 'The chunk was accepted.' );
+		} catch ( \RuntimeException $e ) {
+			$this->assertSame( 'The chunk checksum does not match.', $e->getMessage() );
+		}
+
+		$this->assertSame( array(), $this->import_session->get( $session['id'] )['received'] );
+	}
+
+	/**
+	 * Checksums are compared regardless of the case of their hex digits,
+	 * and browsers that cannot hash send none.
+	 *
+	 * @return void
+	 */
+	public function test_accepts_uppercase_and_missing_checksums(): void {
+		$data = str_repeat( 'a', 1000 );
+
+		$uppercase = $this->import_session->start( 'backup.zip', 1000, 'uppercase' );
+		$uppercase = $this->import_session->write_chunk( $uppercase, 0, $data, strtoupper( hash( 'sha256', $data ) ) );
+
+		$missing = $this->import_session->start( 'backup.zip', 1000, 'missing' );
+		$missing = $this->import_session->write_chunk( $missing, 0, $data, '' );
+
+		$this->assertSame( array( 0 ), $uppercase['received'] );
+		$this->assertSame( array( 0 ), $missing['received'] );
+	}
+
+	/**
+	 * A chunk shorter than its slot of the file is rejected.
+	 *
+	 * @return void
+	 */
+	public function test_rejects_a_truncated_chunk(): void {
+		$session = $this->import_session->start( 'backup.zip', 1000, 'fingerprint' );
+
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'The chunk was truncated in transit.' );
+
+		$this->import_session->write_chunk( $session, 0, str_repeat( 'a', 999 ), '' );
+	}
+
+	/**
+	 * A chunk index outside the file is rejected.
+	 *
+	 * @return void
+	 */
+	public function test_rejects_a_chunk_index_outside_the_file(): void {
+		$session = $this->import_session->start( 'backup.zip', 1000, 'fingerprint' );
+
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'Invalid chunk index.' );
+
+		$this->import_session->write_chunk( $session, 1, str_repeat( 'a', 1000 ), '' );
+	}
+
+	/**
+	 * An upload with chunks missing cannot be completed.
+	 *
+	 * @return void
+	 */
+	public function test_does_not_complete_with_chunks_missing(): void {
+		$data    = random_bytes( ImportSession::MAX_CHUNK_SIZE + 1000 );
+		$session = $this->import_session->start( 'backup.zip', strlen( $data ), 'fingerprint' );
+		$session = $this->import_session->write_chunk( $session, 0, substr( $data, 0, $session['chunk_size'] ), '' );
+
+		$this->expectException( \RuntimeException::class );
+
+		$this->import_session->complete( $session );
+	}
+
+	/**
+	 * An empty file cannot be uploaded.
+	 *
+	 * @return void
+	 */
+	public function test_rejects_an_empty_file(): void {
+		$this->expectException( \RuntimeException::class );
+
+		$this->import_session->start( 'backup.zip', 0, 'fingerprint' );
+	}
+
+	/**
+	 * A server that accepts byte ranges is read in REMOTE_CHUNK_SIZE ranges.
+	 *
+	 * @return void
+	 */
+	public function test_downloads_a_url_in_byte_ranges(): void {
+		$data = random_bytes( ImportSession::REMOTE_CHUNK_SIZE + 1000 );
+
+		Http::set_handler( $this->serve( $data, true ) );
+
+		$session = $this->import_session->start_remote( 'https://source.test/backups/site.zip' );
+
+		$this->assertTrue( $session['ranges'] );
+		$this->assertSame( 2, $session['total_chunks'] );
+		$this->assertSame( 'site.zip', $session['filename'] );
+
+		$session = $this->import_session->fetch_chunks( $session, microtime( true ) + 60 );
+
+		$this->assertSame( array( 0, 1 ), $session['received'] );
+		$this->assertSame(
+			array(
+				'bytes=0-' . ( ImportSession::REMOTE_CHUNK_SIZE - 1 ),
+				'bytes=' . ImportSession::REMOTE_CHUNK_SIZE . '-' . ( strlen( $data ) - 1 ),
+			),
+			$this->get_requested_ranges()
+		);
+		$this->assertStringEqualsFile( $this->import_session->complete( $session ), $data );
+	}
+
+	/**
+	 * Chunks left when the deadline passes are fetched on the next call,
+	 * and starting the same URL again resumes the session.
+	 *
+	 * @return void
+	 */
+	public function test_resumes_a_url_download_after_the_deadline(): void {
+		$data = random_bytes( 1000 );
+
+		Http::set_handler( $this->serve( $data, true ) );
+
+		$session = $this->import_session->start_remote( 'https://source.test/site.zip' );
+		$session = $this->import_session->fetch_chunks( $session, microtime( true ) - 1 );
+
+		$this->assertSame( array(), $session['received'] );
+
+		$resumed = $this->import_session->start_remote( 'https://source.test/site.zip' );
+
+		$this->assertSame( $session['id'], $resumed['id'] );
+
+		$resumed = $this->import_session->fetch_chunks( $resumed, microtime( true ) + 60 );
+
+		$this->assertStringEqualsFile( $this->import_session->complete( $resumed ), $data );
+	}
+
+	/**
+	 * A server without range support is downloaded in one request, even
+	 * when it does not announce the size.
+	 *
+	 * @return void
+	 */
+	public function test_downloads_a_url_without_ranges_in_one_piece(): void {
+		$data = random_bytes( 5000 );
+
+		Http::set_handler( $this->serve( $data, false, false ) );
+
+		$session = $this->import_session->start_remote( 'https://source.test/download?id=1' );
+
+		$this->assertFalse( $session['ranges'] );
+		$this->assertSame( 1, $session['total_chunks'] );
+		$this->assertSame( 'remote-backup.zip', $session['filename'] );
+
+		$session = $this->import_session->fetch_chunks( $session, microtime( true ) + 60 );
+
+		$this->assertSame( array( '' ), $this->get_requested_ranges() );
+		$this->assertSame( strlen( $data ), $session['size'] );
+		$this->assertStringEqualsFile( $this->import_session->complete( $session ), $data );
+	}
+
+	/**
+	 * A server that answers a range request with the whole file is not
+	 * taken for a range.
+	 *
+	 * @return void
+	 */
+	public function test_rejects_a_full_response_to_a_range_request(): void {
+		$data  = random_bytes( 1000 );
+		$serve = $this->serve( $data, true );
+
+		Http::set_handler(
+			static function ( string $url, array $args ) use ( $serve, $data ) {
+				return 'HEAD' === $args['method'] ? $serve( $url, $args ) : array(
+					'code' => 200,
+					'body' => $data,
+				);
+			}
+		);
+
+		$session = $this->import_session->start_remote( 'https://source.test/site.zip' );
+
+		try {
+			$this->import_session->fetch_chunks( $session, microtime( true ) + 60 );
+			$this->fail( 'The full response was accepted.' );
+		} catch ( \RuntimeException $e ) {
+			$this->assertSame( 'The server returned HTTP 200 while downloading the backup.', $e->getMessage() );
+		}
+
+		$this->assertSame( array(), $this->import_session->get( $session['id'] )['received'] );
+	}
+
+	/**
+	 * A range that arrives short is rejected so it is fetched again.
+	 *
+	 * @return void
+	 */
+	public function test_rejects_a_truncated_range(): void {
+		$data  = random_bytes( 1000 );
+		$serve = $this->serve( $data, true );
+
+		Http::set_handler(
+			static function ( string $url, array $args ) use ( $serve ) {
+				$response = $serve( $url, $args );
+
+				if ( 'GET' === $args['method'] ) {
+					$response['body'] = substr( $response['body'], 0, -1 );
+				}
+
+				return $response;
+			}
+		);
+
+		$session = $this->import_session->start_remote( 'https://source.test/site.zip' );
+
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'The download was truncated.' );
+
+		$this->import_session->fetch_chunks( $session, microtime( true ) + 60 );
+	}
+
+	/**
+	 * A destination that reads byte ranges is read in STORAGE_CHUNK_SIZE ranges.
+	 *
+	 * @return void
+	 */
+	public function test_reads_a_storage_destination_in_byte_ranges(): void {
+		$data    = random_bytes( ImportSession::STORAGE_CHUNK_SIZE + 1000 );
+		$adapter = new RangeReadableMemoryStorageAdapter( array( 'backups/site.swish' => $data ) );
+
+		$this->storage_manager->register_adapter( $adapter->get_id(), $adapter );
+
+		$session = $this->import_session->start_storage( $adapter, 'backups/site.swish' );
+
+		$this->assertTrue( $session['ranges'] );
+		$this->assertSame( 2, $session['total_chunks'] );
+		$this->assertSame( 'site.swish', $session['filename'] );
+
+		$session = $this->import_session->fetch_chunks( $session, microtime( true ) + 60 );
+
+		$this->assertSame(
+			array( 0, ImportSession::STORAGE_CHUNK_SIZE ),
+			array_column( $adapter->ranges_read, 'offset' )
+		);
+		$this->assertStringEqualsFile( $this->import_session->complete( $session ), $data );
+	}
+
+	/**
+	 * A destination without range reads is downloaded in one piece.
+	 *
+	 * @return void
+	 */
+	public function test_downloads_a_storage_destination_without_ranges_in_one_piece(): void {
+		$data    = random_bytes( 5000 );
+		$adapter = new MemoryStorageAdapter( array( 'site.zip' => $data ) );
+
+		$this->storage_manager->register_adapter( $adapter->get_id(), $adapter );
+
+		$session = $this->import_session->start_storage( $adapter, 'site.zip' );
+
+		$this->assertFalse( $session['ranges'] );
+		$this->assertSame( 1, $session['total_chunks'] );
+
+		$session = $this->import_session->fetch_chunks( $session, microtime( true ) + 60 );
+
+		$this->assertStringEqualsFile( $this->import_session->complete( $session ), $data );
+	}
+
+	/**
+	 * A backup that is not at the destination cannot be imported.
+	 *
+	 * @return void
+	 */
+	public function test_rejects_a_missing_storage_backup(): void {
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'The backup could not be found in Memory.' );
+
+		$this->import_session->start_storage( new MemoryStorageAdapter(), 'site.zip' );
+	}
+
+	/**
+	 * Build an HTTP handler that serves a file.
+	 *
+	 * @param string $data           File contents.
+	 * @param bool   $ranges         Whether the server accepts byte ranges.
+	 * @param bool   $content_length Whether HEAD announces the size.
+	 * @return callable
+	 */
+	private function serve( string $data, bool $ranges, bool $content_length = true ): callable {
+		return static function ( string $url, array $args ) use ( $data, $ranges, $content_length ): array {
+			$headers = array();
+
+			if ( $content_length ) {
+				$headers['Content-Length'] = (string) strlen( $data );
+			}
+
+			if ( $ranges ) {
+				$headers['Accept-Ranges'] = 'bytes';
+			}
+
+			if ( 'HEAD' === $args['method'] ) {
+				return array(
+					'code'    => 200,
+					'headers' => $headers,
+				);
+			}
+
+			if ( $ranges && isset( $args['headers']['Range'] ) && preg_match( '/^bytes=(\d+)-(\d+)$/', $args['headers']['Range'], $range ) ) {
+				return array(
+					'code' => 206,
+					'body' => substr( $data, (int) $range[1], (int) $range[2] - (int) $range[1] + 1 ),
+				);
+			}
+
+			return array(
+				'code' => 200,
+				'body' => $data,
+			);
+		};
+	}
+
+	/**
+	 * Get the Range header of each GET request sent.
+	 *
+	 * @return array Range headers, empty for requests without one.
+	 */
+	private function get_requested_ranges(): array {
+		$ranges = array();
+
+		foreach ( Http::$requests as $request ) {
+			if ( 'GET' === $request['args']['method'] ) {
+				$ranges[] = $request['args']['headers']['Range'] ?? '';
+			}
+		}
+
+		return $ranges;
+	}
+}
@@ -0,0 +1,294 @@
+<?php
+/**
+ * Tests for SearchReplaceJournal.
+ *
+ * @package SwishMigrateAndBackup\Tests\Unit\Migration
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Unit\Migration;
+
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Migration\SearchReplace;
+use SwishMigrateAndBackup\Migration\SearchReplaceJournal;
+use SwishMigrateAndBackup\Tests\TestCase;
+
+/**
+ * Journaled runs and undoing them in batches.
+ */
+final class SearchReplaceJournalTest extends TestCase {
+
+	/**
+	 * Journal under test.
+	 *
+	 * @var SearchReplaceJournal
+	 */
+	private SearchReplaceJournal $journal;
+
+	/**
+	 * Search and replace recording into the journal.
+	 *
+	 * @var SearchReplace
+	 */
+	private SearchReplace $search_replace;
+
+	/**
+	 * Set up a posts table and the journal table.
+	 *
+	 * @return void
+	 */
+	protected function set_up(): void {
+		parent::set_up();
+
+		$logger               = new Logger();
+		$this->journal        = new SearchReplaceJournal( $logger );
+		$this->search_replace = new SearchReplace( $logger, $this->journal );
+
+		$this->create_table(
+			'wp_posts',
+			array(
+				'ID'           => 'bigint(20) NOT NULL',
+				'post_content' => 'longtext NOT NULL',
+			)
+		);
+
+		// create_table() goes through dbDelta(), which needs WordPress.
+		$this->create_table(
+			SearchReplaceJournal::get_table_name(),
+			array(
+				'id'             => 'integer NOT NULL',
+				'run_id'         => 'varchar(36) NOT NULL',
+				'table_name'     => 'varchar(64) NOT NULL',
+				'primary_key'    => 'varchar(64) NOT NULL',
+				'row_id'         => 'varchar(191) NOT NULL',
+				'column_name'    => 'varchar(64) NOT NULL',
+				'original_value' => 'longtext',
+				'new_value'      => 'longtext',
+				'created_at'     => 'datetime DEFAULT CURRENT_TIMESTAMP',
+			)
+		);
+	}
+
+	/**
+	 * Undoing runs newest first brings back the original values, and a
+	 * later run never rewrites the journal of an earlier one.
+	 *
+	 * @return void
+	 */
+	public function test_undoes_runs_in_reverse_order(): void {
+		$this->add_posts( 3, 'Visit old.test' );
+
+		$first  = $this->run_journaled( 'old.test', 'new.test' );
+		$second = $this->run_journaled( 'new.test', 'newer.test' );
+
+		$this->assertSame( array_fill( 1, 3, 'Visit newer.test' ), $this->get_contents() );
+		$this->assertSame( array( $second, $first ), array_column( $this->journal->get_runs(), 'id' ) );
+
+		$result = $this->journal->undo( $second );
+
+		$this->assertTrue( $result['completed'] );
+		$this->assertSame( 3, $result['restored'] );
+		$this->assertSame( array_fill( 1, 3, 'Visit new.test' ), $this->get_contents() );
+
+		$this->journal->undo( $first );
+
+		$this->assertSame( array_fill( 1, 3, 'Visit old.test' ), $this->get_contents() );
+		$this->assertSame( SearchReplaceJournal::STATUS_UNDONE, $this->journal->get_run( $first )['status'] );
+		$this->assertSame( 0, $this->count_entries() );
+	}
+
+	/**
+	 * A run larger than a batch is undone over several calls.
+	 *
+	 * @return void
+	 */
+	public function test_undoes_a_large_run_in_batches(): void {
+		$this->add_posts( 250, 'old.test' );
+
+		$run_id = $this->run_journaled( 'old.test', 'new.test' );
+
+		// No time budget: one batch per call.
+		$result = $this->journal->undo( $run_id, 0 );
+
+		$this->assertFalse( $result['completed'] );
+		$this->assertSame( 200, $result['done'] );
+		$this->assertSame( 250, $result['total'] );
+		$this->assertSame( SearchReplaceJournal::STATUS_UNDOING, $this->journal->get_run( $run_id )['status'] );
+		$this->assertSame( 50, substr_count( implode( ',', $this->get_contents() ), 'new.test' ) );
+
+		$result = $this->journal->undo( $run_id, 0 );
+
+		$this->assertTrue( $result['completed'] );
+		$this->assertSame( 250, $result['done'] );
+		$this->assertSame( 250, $result['restored'] );
+		$this->assertSame( array_fill( 1, 250, 'old.test' ), $this->get_contents() );
+		$this->assertSame( SearchReplaceJournal::STATUS_UNDONE, $this->journal->get_run( $run_id )['status'] );
+	}
+
+	/**
+	 * Cells edited or deleted after the run are left alone and listed.
+	 *
+	 * @return void
+	 */
+	public function test_skips_cells_changed_since_the_run(): void {
+		global $wpdb;
+
+		$this->add_posts( 3, 'old.test' );
+
+		$run_id = $this->run_journaled( 'old.test', 'new.test' );
+
+		$wpdb->update( 'wp_posts', array( 'post_content' => 'edited' ), array( 'ID' => 2 ) );
+		$wpdb->delete( 'wp_posts', array( 'ID' => 3 ) );
+
+		$result = $this->journal->undo( $run_id );
+
+		$this->assertTrue( $result['completed'] );
+		$this->assertSame( 1, $result['restored'] );
+		$this->assertSame( 2, $result['skipped'] );
+		$this->assertSame(
+			array(
+				array(
+					'table'  => 'wp_posts',
+					'column' => 'post_content',
+					'row_id' => '3',
+				),
+				array(
+					'table'  => 'wp_posts',
+					'column' => 'post_content',
+					'row_id' => '2',
+				),
+			),
+			$result['skipped_cells']
+		);
+		$this->assertSame(
+			array(
+				1 => 'old.test',
+				2 => 'edited',
+			),
+			$this->get_contents()
+		);
+	}
+
+	/**
+	 * A run cannot be undone twice.
+	 *
+	 * @return void
+	 */
+	public function test_refuses_to_undo_a_run_twice(): void {
+		$this->add_posts( 1, 'old.test' );
+
+		$run_id = $this->run_journaled( 'old.test', 'new.test' );
+		$this->journal->undo( $run_id );
+
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'This Search & Replace run has already been undone.' );
+
+		$this->journal->undo( $run_id );
+	}
+
+	/**
+	 * A run that is still recording cannot be undone.
+	 *
+	 * @return void
+	 */
+	public function test_refuses_to_undo_a_run_in_progress(): void {
+		$run_id = $this->journal->start_run(
+			array(
+				array(
+					'search'  => 'old.test',
+					'replace' => 'new.test',
+				),
+			)
+		);
+
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'This Search & Replace run is still in progress.' );
+
+		$this->journal->undo( $run_id );
+	}
+
+	/**
+	 * Runs dropped from the history cannot be undone and lose their journal.
+	 *
+	 * @return void
+	 */
+	public function test_drops_the_journal_of_runs_leaving_the_history(): void {
+		$this->add_posts( 1, 'run-0' );
+
+		$first = $this->run_journaled( 'run-0', 'run-1' );
+
+		for ( $run = 1; $run < 21; $run++ ) {
+			$this->run_journaled( 'run-' . $run, 'run-' . ( $run + 1 ) );
+		}
+
+		$this->assertCount( 20, $this->journal->get_runs() );
+		$this->assertNull( $this->journal->get_run( $first ) );
+		$this->assertSame( 20, $this->count_entries() );
+
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'This Search & Replace run is no longer in the history.' );
+
+		$this->journal->undo( $first );
+	}
+
+	/**
+	 * Run a journaled search and replace over every table.
+	 *
+	 * @param string $search  Search string.
+	 * @param string $replace Replace string.
+	 * @return string Run ID.
+	 */
+	private function run_journaled( string $search, string $replace ): string {
+		$result = $this->search_replace->run( $search, $replace, array(), null, array( 'journal' => true ) );
+
+		$this->assertTrue( $result['success'] );
+
+		return $result['run_id'];
+	}
+
+	/**
+	 * Add posts with the same content.
+	 *
+	 * @param int    $count   Number of posts.
+	 * @param string $content Post content.
+	 * @return void
+	 */
+	private function add_posts( int $count, string $content ): void {
+		global $wpdb;
+
+		for ( $id = 1; $id <= $count; $id++ ) {
+			$wpdb->insert(
+				'wp_posts',
+				array(
+					'ID'           => $id,
+					'post_content' => $content,
+				)
+			);
+		}
+	}
+
+	/**
+	 * Get the content of every post.
+	 *
+	 * @return array Post ID => content.
+	 */
+	private function get_contents(): array {
+		global $wpdb;
+
+		$rows = $wpdb->get_results( 'SELECT ID, post_content FROM wp_posts ORDER BY ID', ARRAY_A );
+
+		return array_combine( array_map( 'intval', array_column( $rows, 'ID' ) ), array_column( $rows, 'post_content' ) );
+	}
+
+	/**
+	 * Count the rows in the journal table.
+	 *
+	 * @return int
+	 */
+	private function count_entries(): int {
+		global $wpdb;
+
+		return (int) $wpdb->get_var( 'SELECT COUNT(*) FROM ' . SearchReplaceJournal::get_table_name() );
+	}
+}
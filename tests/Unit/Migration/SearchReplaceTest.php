@@ -0,0 +1,628 @@
+<?php
+/**
+ * Tests for SearchReplace.
+ *
+ * @package SwishMigrateAndBackup\Tests\Unit\Migration
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Unit\Migration;
+
+use PHPUnit\Framework\Attributes\DataProvider;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Migration\SearchReplace;
+use SwishMigrateAndBackup\Tests\TestCase;
+
+/**
+ * Matching modes, serialized data, previews and scopes.
+ */
+final class SearchReplaceTest extends TestCase {
+
+	/**
+	 * Primary key of each fixture table.
+	 */
+	private const PRIMARY_KEYS = array(
+		'wp_posts'    => 'ID',
+		'wp_postmeta' => 'meta_id',
+		'wp_options'  => 'option_id',
+		'wp_users'    => 'ID',
+	);
+
+	/**
+	 * Search and replace under test.
+	 *
+	 * @var SearchReplace
+	 */
+	private SearchReplace $search_replace;
+
+	/**
+	 * Set up the posts, post meta, options and users tables.
+	 *
+	 * @return void
+	 */
+	protected function set_up(): void {
+		parent::set_up();
+
+		$this->search_replace = new SearchReplace( new Logger() );
+
+		$this->create_table(
+			'wp_posts',
+			array(
+				'ID'           => 'bigint(20) NOT NULL',
+				'post_title'   => 'text NOT NULL',
+				'post_content' => 'longtext NOT NULL',
+				'post_type'    => 'varchar(20) NOT NULL',
+				'guid'         => 'varchar(255) NOT NULL',
+			)
+		);
+
+		$this->create_table(
+			'wp_options',
+			array(
+				'option_id'    => 'bigint(20) NOT NULL',
+				'option_name'  => 'varchar(191) NOT NULL',
+				'option_value' => 'longtext NOT NULL',
+			)
+		);
+
+		$this->create_table(
+			'wp_postmeta',
+			array(
+				'meta_id'    => 'bigint(20) NOT NULL',
+				'post_id'    => 'bigint(20) NOT NULL',
+				'meta_key'   => 'varchar(255)',
+				'meta_value' => 'longtext',
+			)
+		);
+
+		$this->create_table(
+			'wp_users',
+			array(
+				'ID'         => 'bigint(20) NOT NULL',
+				'user_email' => 'varchar(100) NOT NULL',
+			)
+		);
+	}
+
+	/**
+	 * Each matching mode changes exactly what it should.
+	 *
+	 * @param string $search   Search string.
+	 * @param string $replace  Replace string.
+	 * @param array  $options  Matching options.
+	 * @param string $content  Value before the run.
+	 * @param string $expected Value after the run.
+	 * @return void
+	 */
+	#[DataProvider( 'provide_matching_modes' )]
+	public function test_replaces_according_to_the_matching_mode( string $search, string $replace, array $options, string $content, string $expected ): void {
+		$this->add_post( 1, $content );
+
+		$result = $this->search_replace->run( $search, $replace, array(), null, $options );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( $content === $expected ? 0 : 1, $result['replacements_made'] );
+		$this->assertSame( $expected, $this->get_content( 1 ) );
+	}
+
+	/**
+	 * Matching modes.
+	 *
+	 * @return array
+	 */
+	public static function provide_matching_modes(): array {
+		return array(
+			'plain'                                => array( 'Cat', 'Dog', array(), 'Cat, cat, Category', 'Dog, cat, Dogegory' ),
+			'case insensitive'                     => array( 'cat', 'dog', array( 'case_insensitive' => true ), 'Cat, CAT, cat', 'dog, dog, dog' ),
+			'whole word'                           => array( 'cat', 'dog', array( 'whole_word' => true ), 'cat category bobcat cat.', 'dog category bobcat dog.' ),
+			'whole word starting with punctuation' => array( '#tag', '#topic', array( 'whole_word' => true ), 'a #tag, #tagged', 'a #topic, #tagged' ),
+			'whole word and case insensitive'      => array( 'cat', 'dog', array( 'whole_word' => true, 'case_insensitive' => true ), 'Cat Category', 'dog Category' ),
+			'regex with groups'                    => array( 'post-(\d+)', 'entry-$1', array( 'regex' => true ), 'post-12 and post-7, post-x', 'entry-12 and entry-7, post-x' ),
+			'regex with delimiter in the pattern'  => array( 'a/b', 'c/d', array( 'regex' => true ), 'a/b', 'c/d' ),
+			'regex and case insensitive'           => array( '^hello', 'Bye', array( 'regex' => true, 'case_insensitive' => true ), 'HELLO hello', 'Bye hello' ),
+			'literal dollar and backslash'         => array( 'price', '$1 \\0', array( 'case_insensitive' => true ), 'Price', '$1 \\0' ),
+			'whole word literal with regex syntax' => array( 'a+b', 'sum', array( 'whole_word' => true ), 'a+b aab', 'sum aab' ),
+			'no match'                             => array( 'dog', 'cat', array( 'whole_word' => true ), 'dogs', 'dogs' ),
+		);
+	}
+
+	/**
+	 * An invalid pattern is reported and nothing is changed.
+	 *
+	 * @return void
+	 */
+	public function test_reports_an_invalid_regex(): void {
+		$this->add_post( 1, 'post-(1' );
+
+		$result = $this->search_replace->run( 'post-(\d+', 'entry', array(), null, array( 'regex' => true ) );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertStringStartsWith( 'Invalid regular expression: ', $result['error'] );
+		$this->assertSame( 'post-(1', $this->get_content( 1 ) );
+	}
+
+	/**
+	 * The pair with an invalid pattern is named when running several.
+	 *
+	 * @return void
+	 */
+	public function test_names_the_pair_with_an_invalid_regex(): void {
+		$result = $this->search_replace->dry_run_multiple(
+			array(
+				'a' => 'b',
+				'[' => 'c',
+			),
+			array(),
+			25,
+			array( 'regex' => true )
+		);
+
+		$this->assertFalse( $result['success'] );
+		$this->assertStringStartsWith( 'Pair 2: Invalid regular expression: ', $result['error'] );
+	}
+
+	/**
+	 * An empty search is refused.
+	 *
+	 * @return void
+	 */
+	public function test_refuses_an_empty_search(): void {
+		$result = $this->search_replace->run( '', 'x' );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertSame( 'Search string cannot be empty', $result['error'] );
+	}
+
+	/**
+	 * Replacing inside serialized data keeps the string lengths right, and
+	 * patterns see the unserialized strings.
+	 *
+	 * @param array  $options Matching options.
+	 * @param string $search  Search string.
+	 * @return void
+	 */
+	#[DataProvider( 'provide_serialized_searches' )]
+	public function test_keeps_serialized_values_valid( array $options, string $search ): void {
+		$value = array(
+			'home'   => 'http://old.test',
+			'links'  => array( 'http://old.test/about', 'mailto:me@old.test' ),
+			'object' => (object) array( 'url' => 'http://old.test/blog' ),
+			'count'  => 3,
+		);
+
+		$this->add_option( 1, 'settings', serialize( $value ) ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.serialize_serialize
+
+		$result = $this->search_replace->run( $search, 'https://new-site.example', array(), null, $options );
+
+		$this->assertSame( 1, $result['replacements_made'] );
+
+		$stored = unserialize( $this->get_option( 'settings' ) ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.serialize_unserialize
+
+		$this->assertSame( 'https://new-site.example', $stored['home'] );
+		$this->assertSame( array( 'https://new-site.example/about', 'mailto:me@old.test' ), $stored['links'] );
+		$this->assertSame( 'https://new-site.example/blog', $stored['object']->url );
+		$this->assertSame( 3, $stored['count'] );
+	}
+
+	/**
+	 * Searches that should all rewrite the URLs in the fixture.
+	 *
+	 * @return array
+	 */
+	public static function provide_serialized_searches(): array {
+		return array(
+			'plain'            => array( array(), 'http://old.test' ),
+			'case insensitive' => array( array( 'case_insensitive' => true ), 'HTTP://OLD.TEST' ),
+			'regex anchored'   => array( array( 'regex' => true ), '^http://old\.test' ),
+		);
+	}
+
+	/**
+	 * Pairs are applied in order, each to what the earlier ones wrote.
+	 *
+	 * @return void
+	 */
+	public function test_applies_pairs_in_order(): void {
+		$this->add_post( 1, 'one two' );
+
+		$result = $this->search_replace->run_multiple(
+			array(
+				'one'   => 'two',
+				'two'   => 'three',
+				'seven' => 'eight',
+			)
+		);
+
+		$this->assertSame( 'three three', $this->get_content( 1 ) );
+		$this->assertSame( 1, $result['total_replacements'] );
+		$this->assertSame( array( 1, 1, 0 ), array_column( $result['operations'], 'replacements' ) );
+	}
+
+	/**
+	 * A dry run describes each change without writing it.
+	 *
+	 * @return void
+	 */
+	public function test_previews_changes_without_writing_them(): void {
+		$this->add_post( 1, 'A cat sat.' );
+		$this->add_post( 2, 'No category here.' );
+
+		$result = $this->search_replace->dry_run( 'cat', 'dog', array( 'wp_posts' ), 25, array( 'whole_word' => true ) );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertNull( $result['next_cursor'] );
+		$this->assertCount( 1, $result['matches'] );
+
+		$match = $result['matches'][0];
+
+		$this->assertSame( '1', (string) $match['row_id'] );
+		$this->assertSame( 'post_content', $match['column'] );
+		$this->assertSame(
+			array(
+				array(
+					'text'  => 'A ',
+					'match' => false,
+				),
+				array(
+					'text'  => 'dog',
+					'match' => true,
+				),
+				array(
+					'text'  => ' sat.',
+					'match' => false,
+				),
+			),
+			$match['changes'][0]['after']
+		);
+		$this->assertSame( 'A cat sat.', $this->get_content( 1 ) );
+	}
+
+	/**
+	 * A preview reports the keys leading to a change in serialized data.
+	 *
+	 * @return void
+	 */
+	public function test_previews_the_path_inside_serialized_values(): void {
+		$this->add_option( 1, 'widget', serialize( array( 'block' => array( 'text' => 'Hello' ) ) ) ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.serialize_serialize
+
+		$result = $this->search_replace->dry_run( 'hello', 'Bye', array( 'wp_options' ), 25, array( 'case_insensitive' => true ) );
+
+		$this->assertCount( 1, $result['matches'] );
+		$this->assertTrue( $result['matches'][0]['serialized'] );
+		$this->assertSame( array( 'block', 'text' ), $result['matches'][0]['changes'][0]['path'] );
+	}
+
+	/**
+	 * Previews page through the matches with a cursor.
+	 *
+	 * @return void
+	 */
+	public function test_pages_through_previews(): void {
+		for ( $id = 1; $id <= 5; $id++ ) {
+			$this->add_post( $id, 'match ' . $id );
+		}
+
+		$seen   = array();
+		$cursor = array();
+
+		do {
+			$result = $this->search_replace->dry_run( 'match', 'hit', array( 'wp_posts' ), 2, array(), $cursor );
+			$seen   = array_merge( $seen, array_map( 'strval', array_column( $result['matches'], 'row_id' ) ) );
+			$cursor = (array) $result['next_cursor'];
+		} while ( null !== $result['next_cursor'] );
+
+		$this->assertSame( array( '1', '2', '3', '4', '5' ), $seen );
+	}
+
+	/**
+	 * A scope limits which cells a run touches.
+	 *
+	 * @param array $scope    Scope.
+	 * @param array $expected Cells that should change, as table.column.id.
+	 * @return void
+	 */
+	#[DataProvider( 'provide_scopes' )]
+	public function test_only_changes_cells_within_the_scope( array $scope, array $expected ): void {
+		$this->add_scope_fixture();
+
+		$result = $this->search_replace->run( 'old.test', 'new.test', array(), null, array( 'scope' => $scope ) );
+
+		sort( $expected );
+
+		$this->assertTrue( $result['success'] );
+		$this->assertSame( $expected, $this->find_cells( 'new.test' ) );
+		$this->assertSame( count( $expected ), $result['replacements_made'] );
+	}
+
+	/**
+	 * Scopes and the cells of the scope fixture they leave in.
+	 *
+	 * @return array
+	 */
+	public static function provide_scopes(): array {
+		$all = array(
+			'wp_options.option_value.1',
+			'wp_options.option_value.2',
+			'wp_options.option_value.3',
+			'wp_options.option_value.4',
+			'wp_options.option_value.5',
+			'wp_postmeta.meta_value.1',
+			'wp_postmeta.meta_value.2',
+			'wp_posts.guid.1',
+			'wp_posts.guid.2',
+			'wp_posts.post_content.1',
+			'wp_posts.post_content.2',
+			'wp_users.user_email.1',
+		);
+
+		$without = static fn( string ...$cells ): array => array_values( array_diff( $all, $cells ) );
+
+		return array(
+			'everything'                => array( array(), $all ),
+			'tables'                    => array(
+				array( 'tables' => array( 'wp_postmeta', 'wp_users' ) ),
+				array( 'wp_postmeta.meta_value.1', 'wp_postmeta.meta_value.2', 'wp_users.user_email.1' ),
+			),
+			'exclude tables'            => array(
+				array( 'exclude_tables' => array( 'wp_options', 'wp_postmeta' ) ),
+				array( 'wp_posts.guid.1', 'wp_posts.guid.2', 'wp_posts.post_content.1', 'wp_posts.post_content.2', 'wp_users.user_email.1' ),
+			),
+			'columns'                   => array(
+				array(
+					'tables'  => array( 'wp_posts' ),
+					'columns' => array( 'wp_posts' => array( 'post_content' ) ),
+				),
+				array( 'wp_posts.post_content.1', 'wp_posts.post_content.2' ),
+			),
+			'exclude columns'           => array(
+				array( 'exclude_columns' => array( 'wp_posts' => array( 'guid' ) ) ),
+				$without( 'wp_posts.guid.1', 'wp_posts.guid.2' ),
+			),
+			'post types'                => array(
+				array( 'post_types' => array( 'page' ) ),
+				$without( 'wp_posts.guid.1', 'wp_posts.post_content.1', 'wp_postmeta.meta_value.1' ),
+			),
+			'option names'              => array(
+				array(
+					'tables'       => array( 'wp_options' ),
+					'option_names' => array( 'siteurl', 'widget_*' ),
+				),
+				array( 'wp_options.option_value.1', 'wp_options.option_value.4' ),
+			),
+			'exclude option names'      => array(
+				array( 'exclude_option_names' => array( '_*' ) ),
+				$without( 'wp_options.option_value.2', 'wp_options.option_value.3' ),
+			),
+			'exclude rows'              => array(
+				array(
+					'exclude_rows' => array(
+						array(
+							'table'  => 'wp_posts',
+							'column' => 'post_content',
+							'row_id' => 2,
+						),
+					),
+				),
+				$without( 'wp_posts.post_content.2' ),
+			),
+			'skip transients preset'    => array(
+				array( 'presets' => array( 'skip_transients' ) ),
+				$without( 'wp_options.option_value.2', 'wp_options.option_value.3' ),
+			),
+			'skip GUIDs preset'         => array(
+				array( 'presets' => array( 'skip_guids' ) ),
+				$without( 'wp_posts.guid.1', 'wp_posts.guid.2' ),
+			),
+			'skip users preset'         => array(
+				array( 'presets' => array( 'skip_users' ) ),
+				$without( 'wp_users.user_email.1' ),
+			),
+			'presets merged with scope' => array(
+				array(
+					'presets'         => array( 'skip_guids', 'skip_users' ),
+					'exclude_columns' => array( 'wp_posts' => array( 'post_content' ) ),
+				),
+				$without( 'wp_posts.guid.1', 'wp_posts.guid.2', 'wp_posts.post_content.1', 'wp_posts.post_content.2', 'wp_users.user_email.1' ),
+			),
+		);
+	}
+
+	/**
+	 * Tables passed to a run are narrowed down by the scope, and tables
+	 * that do not exist are dropped.
+	 *
+	 * @return void
+	 */
+	public function test_narrows_the_tables_passed_by_the_scope(): void {
+		$this->add_scope_fixture();
+
+		$result = $this->search_replace->run(
+			'old.test',
+			'new.test',
+			array( 'wp_users', 'wp_postmeta', 'wp_missing' ),
+			null,
+			array( 'scope' => array( 'tables' => array( 'wp_users', 'wp_missing', 'wp_options' ) ) )
+		);
+
+		$this->assertSame( array( 'wp_users' ), array_keys( $result['tables'] ) );
+		$this->assertSame( array( 'wp_users.user_email.1' ), $this->find_cells( 'new.test' ) );
+	}
+
+	/**
+	 * Previews leave out what the scope excludes.
+	 *
+	 * @return void
+	 */
+	public function test_previews_within_the_scope(): void {
+		$this->add_scope_fixture();
+
+		$result = $this->search_replace->dry_run(
+			'old.test',
+			'new.test',
+			array( 'wp_posts', 'wp_postmeta' ),
+			25,
+			array(
+				'scope' => array(
+					'post_types' => array( 'page' ),
+					'presets'    => array( 'skip_guids' ),
+				),
+			)
+		);
+
+		$this->assertSame(
+			array( 'wp_posts.post_content.2', 'wp_postmeta.meta_value.2' ),
+			array_map( static fn( array $match ): string => $match['table'] . '.' . $match['column'] . '.' . $match['row_id'], $result['matches'] )
+		);
+	}
+
+	/**
+	 * The choices list the text columns, the post types in use and the presets.
+	 *
+	 * @return void
+	 */
+	public function test_lists_the_scope_choices(): void {
+		$this->add_scope_fixture();
+
+		$choices = $this->search_replace->get_scope_choices();
+		$tables  = array_column( $choices['tables'], 'columns', 'name' );
+
+		$this->assertSame( array( 'meta_key', 'meta_value' ), $tables['wp_postmeta'] );
+		$this->assertSame( array( 'post_title', 'post_content', 'post_type', 'guid' ), $tables['wp_posts'] );
+		$this->assertSame( array( 'page', 'post' ), $choices['post_types'] );
+		$this->assertSame( array( 'skip_users', 'skip_guids', 'skip_transients' ), array_column( $choices['presets'], 'id' ) );
+	}
+
+	/**
+	 * Fill the tables with a value containing old.test in every text
+	 * table, post type and kind of option.
+	 *
+	 * @return void
+	 */
+	private function add_scope_fixture(): void {
+		global $wpdb;
+
+		$this->add_post( 1, 'Visit http://old.test' );
+		$this->add_post( 2, 'Visit http://old.test', 'page' );
+
+		foreach ( array( 1, 2 ) as $id ) {
+			$wpdb->insert(
+				'wp_postmeta',
+				array(
+					'meta_id'    => $id,
+					'post_id'    => $id,
+					'meta_key'   => '_link',
+					'meta_value' => 'http://old.test/' . $id,
+				)
+			);
+		}
+
+		$this->add_option( 1, 'siteurl', 'http://old.test' );
+		$this->add_option( 2, '_transient_feed', 'http://old.test/feed' );
+		$this->add_option( 3, '_site_transient_update', 'http://old.test/update' );
+		$this->add_option( 4, 'widget_text', 'http://old.test/widget' );
+		$this->add_option( 5, 'widgetXtext', 'http://old.test/other' );
+
+		$wpdb->insert(
+			'wp_users',
+			array(
+				'ID'         => 1,
+				'user_email' => 'admin@old.test',
+			)
+		);
+	}
+
+	/**
+	 * Find the cells of the fixture tables containing a string.
+	 *
+	 * @param string $needle String to look for.
+	 * @return array Cells as table.column.id, sorted.
+	 */
+	private function find_cells( string $needle ): array {
+		global $wpdb;
+
+		$cells = array();
+
+		foreach ( self::PRIMARY_KEYS as $table => $primary_key ) {
+			foreach ( $wpdb->get_results( "SELECT * FROM `{$table}`", ARRAY_A ) as $row ) {
+				foreach ( $row as $column => $value ) {
+					if ( null !== $value && false !== strpos( $value, $needle ) ) {
+						$cells[] = $table . '.' . $column . '.' . $row[ $primary_key ];
+					}
+				}
+			}
+		}
+
+		sort( $cells );
+
+		return $cells;
+	}
+
+	/**
+	 * Add a post.
+	 *
+	 * @param int    $id        Post ID.
+	 * @param string $content   Post content.
+	 * @param string $post_type Post type.
+	 * @return void
+	 */
+	private function add_post( int $id, string $content, string $post_type = 'post' ): void {
+		global $wpdb;
+
+		$wpdb->insert(
+			'wp_posts',
+			array(
+				'ID'           => $id,
+				'post_title'   => 'Post ' . $id,
+				'post_content' => $content,
+				'post_type'    => $post_type,
+				'guid'         => 'http://old.test/?p=' . $id,
+			)
+		);
+	}
+
+	/**
+	 * Add an option.
+	 *
+	 * @param int    $id    Option ID.
+	 * @param string $name  Option name.
+	 * @param string $value Option value.
+	 * @return void
+	 */
+	private function add_option( int $id, string $name, string $value ): void {
+		global $wpdb;
+
+		$wpdb->insert(
+			'wp_options',
+			array(
+				'option_id'    => $id,
+				'option_name'  => $name,
+				'option_value' => $value,
+			)
+		);
+	}
+
+	/**
+	 * Get the stored content of a post.
+	 *
+	 * @param int $id Post ID.
+	 * @return string|null
+	 */
+	private function get_content( int $id ): ?string {
+		global $wpdb;
+
+		return $wpdb->get_var( $wpdb->prepare( 'SELECT post_content FROM wp_posts WHERE ID = %d', $id ) );
+	}
+
+	/**
+	 * Get the stored value of an option.
+	 *
+	 * @param string $name Option name.
+	 * @return string|null
+	 */
+	private function get_option( string $name ): ?string {
+		global $wpdb;
+
+		return $wpdb->get_var( $wpdb->prepare( 'SELECT option_value FROM wp_options WHERE option_name = %s', $name ) );
+	}
+}
@@ -0,0 +1,287 @@
+<?php
+/**
+ * Tests for site-to-site pulls.
+ *
+ * @package SwishMigrateAndBackup\Tests\Unit\Migration
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Unit\Migration;
+
+use SwishMigrateAndBackup\Core\Container;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Migration\ImportSession;
+use SwishMigrateAndBackup\Migration\SiteConnection;
+use SwishMigrateAndBackup\Security\Encryption;
+use SwishMigrateAndBackup\Storage\StorageManager;
+use SwishMigrateAndBackup\Tests\Support\Http;
+use SwishMigrateAndBackup\Tests\TestCase;
+
+/**
+ * Pairs with a scripted source site and pulls its backup the way the
+ * /pull routes do: start the backup, poll it, then download the archive
+ * through an import session.
+ */
+final class SitePullTest extends TestCase {
+
+	/**
+	 * REST root of the source site.
+	 */
+	private const SOURCE_URL = 'https://source.test/wp-json/';
+
+	/**
+	 * Secret in the source site's connection key.
+	 */
+	private const SECRET = 'source-secret';
+
+	/**
+	 * Connection to the source site.
+	 *
+	 * @var SiteConnection
+	 */
+	private SiteConnection $site_connection;
+
+	/**
+	 * Import session the archive is downloaded through.
+	 *
+	 * @var ImportSession
+	 */
+	private ImportSession $import_session;
+
+	/**
+	 * Archive the source site serves.
+	 *
+	 * @var string
+	 */
+	private string $archive;
+
+	/**
+	 * Polls of the backup job answered so far.
+	 *
+	 * @var int
+	 */
+	private int $polls = 0;
+
+	/**
+	 * Whether the pulling site has told the source it has the archive.
+	 *
+	 * @var bool
+	 */
+	private bool $released = false;
+
+	/**
+	 * Set up the destination site and the scripted source.
+	 *
+	 * @return void
+	 */
+	protected function set_up(): void {
+		parent::set_up();
+
+		$logger                = new Logger();
+		$this->site_connection = new SiteConnection( new Encryption(), $logger );
+		$this->import_session  = new ImportSession( $logger, $this->site_connection, new StorageManager( Container::get_instance() ) );
+		$this->archive         = random_bytes( 20000 );
+
+		Http::set_handler( array( $this, 'answer_as_source' ) );
+	}
+
+	/**
+	 * The backup is started, polled until complete and downloaded with the
+	 * connection key on every request, never following a redirect. Once
+	 * the import is complete the source is told to delete its archive.
+	 *
+	 * @return void
+	 */
+	public function test_pulls_the_backup_from_the_source_site(): void {
+		$source = $this->site_connection->connect( $this->get_key( self::SECRET ) );
+
+		$this->assertSame( 'https://source.test', $source['site_url'] );
+		$this->assertSame( 'Source', $source['name'] );
+
+		// pull_backup_start().
+		$status = $this->site_connection->request( 'POST', '/remote/backup' );
+
+		$this->assertFalse( $status['completed'] );
+
+		// pull_backup_continue(), until the backup is complete.
+		do {
+			$status = $this->site_connection->request( 'POST', '/remote/backup/' . $status['job_id'] );
+		} while ( empty( $status['completed'] ) );
+
+		$session = $this->import_session->start_remote(
+			$this->site_connection->get_remote_url( '/remote/backup/' . $status['job_id'] . '/download' ),
+			true,
+			$status['filename']
+		);
+
+		$this->assertSame( 'source-site.zip', $session['filename'] );
+		$this->assertTrue( $session['ranges'] );
+
+		// The import session fetch route, until every chunk is in.
+		while ( count( $session['received'] ) < $session['total_chunks'] ) {
+			$session = $this->import_session->fetch_chunks( $session, microtime( true ) + 20 );
+		}
+
+		$this->assertFalse( $this->released );
+		$this->assertStringEqualsFile( $this->import_session->complete( $session ), $this->archive );
+		$this->assertTrue( $this->released );
+		$this->assertSame( 2, $this->polls );
+
+		foreach ( Http::$requests as $request ) {
+			$this->assertSame( self::SECRET, $request['args']['headers'][ SiteConnection::HEADER ] ?? null, $request['url'] );
+			$this->assertSame( 0, $request['args']['redirection'] ?? null, $request['url'] );
+		}
+	}
+
+	/**
+	 * The connection key is looked up per request and never written to
+	 * the imports directory.
+	 *
+	 * @return void
+	 */
+	public function test_does_not_store_the_key_with_the_import_session(): void {
+		$this->site_connection->connect( $this->get_key( self::SECRET ) );
+
+		$session = $this->import_session->start_remote(
+			$this->site_connection->get_remote_url( '/remote/backup/job-1/download' ),
+			true,
+			'source-site.zip'
+		);
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$state = (string) file_get_contents( WP_CONTENT_DIR . '/swish-backups/imports/' . $session['id'] . '.json' );
+
+		$this->assertStringNotContainsString( self::SECRET, $state );
+		$this->assertStringNotContainsString( self::SECRET, (string) wp_json_encode( get_option( 'swish_backup_pull_source' ) ) );
+	}
+
+	/**
+	 * A key the source site rejects is reported as such.
+	 *
+	 * @return void
+	 */
+	public function test_reports_a_rejected_key(): void {
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'The source site rejected the connection key.' );
+
+		$this->site_connection->connect( $this->get_key( 'revoked-secret' ) );
+	}
+
+	/**
+	 * This site's own key cannot be used to pull from itself.
+	 *
+	 * @return void
+	 */
+	public function test_rejects_the_key_of_this_site(): void {
+		$this->expectException( \RuntimeException::class );
+		$this->expectExceptionMessage( 'This is the connection key of this site.' );
+
+		$this->site_connection->connect( $this->site_connection->generate_key() );
+	}
+
+	/**
+	 * Play the source site.
+	 *
+	 * @param string $url  Requested URL.
+	 * @param array  $args Request arguments.
+	 * @return array Response with code, headers and body.
+	 */
+	public function answer_as_source( string $url, array $args ): array {
+		if ( self::SECRET !== ( $args['headers'][ SiteConnection::HEADER ] ?? '' ) ) {
+			return array(
+				'code' => 401,
+				'body' => wp_json_encode( array( 'code' => 'invalid_connection_key' ) ),
+			);
+		}
+
+		$route = substr( $url, strlen( self::SOURCE_URL . 'swish-backup/v1' ) );
+
+		switch ( $args['method'] . ' ' . $route ) {
+			case 'POST /remote/handshake':
+				return $this->json(
+					array(
+						'site_url' => 'https://source.test',
+						'name'     => 'Source',
+					)
+				);
+
+			case 'POST /remote/backup':
+				return $this->json(
+					array(
+						'job_id'    => 'job-1',
+						'completed' => false,
+					)
+				);
+
+			case 'POST /remote/backup/job-1':
+				++$this->polls;
+
+				return $this->json(
+					array(
+						'job_id'    => 'job-1',
+						'completed' => $this->polls >= 2,
+						'filename'  => 'source-site.zip',
+					)
+				);
+
+			case 'HEAD /remote/backup/job-1/download':
+				return array(
+					'code'    => 200,
+					'headers' => array(
+						'Content-Length' => (string) strlen( $this->archive ),
+						'Accept-Ranges'  => 'bytes',
+					),
+				);
+
+			case 'GET /remote/backup/job-1/download':
+				preg_match( '/^bytes=(\d+)-(\d+)$/', $args['headers']['Range'] ?? '', $range );
+
+				return array(
+					'code' => 206,
+					'body' => substr( $this->archive, (int) $range[1], (int) $range[2] - (int) $range[1] + 1 ),
+				);
+
+			case 'DELETE /remote/backup/job-1/download':
+				$this->released = true;
+
+				return $this->json( array( 'deleted' => true ) );
+		}
+
+		return array(
+			'code' => 404,
+			'body' => wp_json_encode( array( 'code' => 'rest_no_route' ) ),
+		);
+	}
+
+	/**
+	 * Build a JSON response.
+	 *
+	 * @param array $data Response data.
+	 * @return array
+	 */
+	private function json( array $data ): array {
+		return array(
+			'code' => 200,
+			'body' => wp_json_encode( $data ),
+		);
+	}
+
+	/**
+	 * Build the connection key the source site hands out.
+	 *
+	 * @param string $secret Secret in the key.
+	 * @return string
+	 */
+	private function get_key( string $secret ): string {
+		$payload = wp_json_encode(
+			array(
+				'url'    => self::SOURCE_URL,
+				'secret' => $secret,
+			)
+		);
+
+		// phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode
+		return 'swish-connect:' . strtr( base64_encode( (string) $payload ), '+/', '-_' );
+	}
+}
@@ -0,0 +1,154 @@
+<?php
+/**
+ * Tests for CronExpression.
+ *
+ * @package SwishMigrateAndBackup\Tests\Unit\Queue
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Unit\Queue;
+
+use InvalidArgumentException;
+use PHPUnit\Framework\Attributes\DataProvider;
+use SwishMigrateAndBackup\Queue\CronExpression;
+use SwishMigrateAndBackup\Tests\TestCase;
+
+/**
+ * Parsing expressions and finding the next matching time.
+ */
+final class CronExpressionTest extends TestCase {
+
+	/**
+	 * The next run is the first matching minute after the given time.
+	 *
+	 * @param string $expression Cron expression.
+	 * @param string $after      Time to search from, UTC.
+	 * @param string $expected   Expected next run, UTC.
+	 * @return void
+	 */
+	#[DataProvider( 'provide_next_runs' )]
+	public function test_finds_the_next_run( string $expression, string $after, string $expected ): void {
+		$next = ( new CronExpression( $expression ) )->get_next_run( $this->utc( $after ) );
+
+		$this->assertSame( $expected, $next->format( 'Y-m-d H:i D' ) );
+	}
+
+	/**
+	 * Expressions, a time and the run that follows it.
+	 *
+	 * @return array
+	 */
+	public static function provide_next_runs(): array {
+		return array(
+			'every minute skips the current one'   => array( '* * * * *', '2024-03-10 12:30:45', '2024-03-10 12:31 Sun' ),
+			'hourly macro'                         => array( '@hourly', '2024-03-10 12:30', '2024-03-10 13:00 Sun' ),
+			'daily macro'                          => array( '@daily', '2024-03-10 00:00', '2024-03-11 00:00 Mon' ),
+			'weekly macro'                         => array( '@weekly', '2024-03-10 12:00', '2024-03-17 00:00 Sun' ),
+			'monthly macro rolls over the year'    => array( '@monthly', '2024-12-15 08:00', '2025-01-01 00:00 Wed' ),
+			'yearly macro in upper case'           => array( '@YEARLY', '2024-03-10 12:00', '2025-01-01 00:00 Wed' ),
+			'list'                                 => array( '0 6,18 * * *', '2024-03-10 07:00', '2024-03-10 18:00 Sun' ),
+			'range'                                => array( '30 9-17 * * *', '2024-03-10 17:31', '2024-03-11 09:30 Mon' ),
+			'step'                                 => array( '*/15 * * * *', '2024-03-10 12:31', '2024-03-10 12:45 Sun' ),
+			'step over a range'                    => array( '0 9-17/4 * * *', '2024-03-10 13:00', '2024-03-10 17:00 Sun' ),
+			'step from a value'                    => array( '50/5 * * * *', '2024-03-10 12:56', '2024-03-10 13:50 Sun' ),
+			'month and weekday names'              => array( '0 0 * feb mon-fri', '2024-03-10 12:00', '2025-02-03 00:00 Mon' ),
+			'7 is Sunday'                          => array( '0 0 * * 7', '2024-03-11 00:00', '2024-03-17 00:00 Sun' ),
+			'day of month and weekday either'      => array( '0 0 13 * fri', '2024-03-10 00:00', '2024-03-13 00:00 Wed' ),
+			'day of month and weekday either, 2nd' => array( '0 0 13 * fri', '2024-03-13 00:00', '2024-03-15 00:00 Fri' ),
+			'weekday with any day of month'        => array( '0 0 * * fri', '2024-03-10 00:00', '2024-03-15 00:00 Fri' ),
+			'weekday with a day of month step'     => array( '0 0 */2 * 1', '2024-03-11 00:00', '2024-03-25 00:00 Mon' ),
+			'day of month step with any weekday'   => array( '0 0 */2 * *', '2024-03-10 00:00', '2024-03-11 00:00 Mon' ),
+			'day of month skips short months'      => array( '0 0 31 * *', '2024-03-31 00:00', '2024-05-31 00:00 Fri' ),
+			'leap day'                             => array( '0 12 29 2 *', '2024-03-01 00:00', '2028-02-29 12:00 Tue' ),
+			'month rollover at the end of the day' => array( '59 23 * * *', '2024-01-31 23:59', '2024-02-01 23:59 Thu' ),
+		);
+	}
+
+	/**
+	 * An expression that never matches has no next run.
+	 *
+	 * @return void
+	 */
+	public function test_returns_null_for_an_expression_that_never_matches(): void {
+		$this->assertNull( ( new CronExpression( '0 0 30 2 *' ) )->get_next_run( $this->utc( '2024-01-01 00:00' ) ) );
+	}
+
+	/**
+	 * The search runs in the time zone of the given time, across daylight
+	 * saving changes.
+	 *
+	 * @return void
+	 */
+	public function test_matches_local_time_across_daylight_saving(): void {
+		$zone       = new \DateTimeZone( 'Europe/Berlin' );
+		$expression = new CronExpression( '15 3 * * *' );
+
+		// Clocks go forward at 02:00 on 31 March 2024 and back at 03:00 on 27 October.
+		$spring = $expression->get_next_run( new \DateTimeImmutable( '2024-03-30 04:00', $zone ) );
+		$autumn = $expression->get_next_run( new \DateTimeImmutable( '2024-10-26 04:00', $zone ) );
+
+		$this->assertSame( '2024-03-31 03:15 +02:00', $spring->format( 'Y-m-d H:i P' ) );
+		$this->assertSame( '2024-10-27 03:15 +01:00', $autumn->format( 'Y-m-d H:i P' ) );
+	}
+
+	/**
+	 * The expression is kept as given.
+	 *
+	 * @return void
+	 */
+	public function test_keeps_the_expression(): void {
+		$this->assertSame( '@daily', ( new CronExpression( ' @daily ' ) )->get_expression() );
+	}
+
+	/**
+	 * Invalid expressions are rejected with a message naming the field.
+	 *
+	 * @param string $expression Cron expression.
+	 * @param string $message    Expected message.
+	 * @return void
+	 */
+	#[DataProvider( 'provide_invalid_expressions' )]
+	public function test_rejects_invalid_expressions( string $expression, string $message ): void {
+		$this->expectException( InvalidArgumentException::class );
+		$this->expectExceptionMessage( $message );
+
+		new CronExpression( $expression );
+	}
+
+	/**
+	 * Invalid expressions and their errors.
+	 *
+	 * @return array
+	 */
+	public static function provide_invalid_expressions(): array {
+		$five_fields = 'A cron expression needs five fields: minute, hour, day of month, month and day of week.';
+
+		return array(
+			'too few fields'        => array( '0 0 * *', $five_fields ),
+			'too many fields'       => array( '0 0 * * * 2024', $five_fields ),
+			'unknown macro'         => array( '@reboot', $five_fields ),
+			'minute out of range'   => array( '60 * * * *', '60 is not a valid minute field.' ),
+			'hour out of range'     => array( '0 24 * * *', '24 is not a valid hour field.' ),
+			'day of month zero'     => array( '0 0 0 * *', '0 is not a valid day of month field.' ),
+			'month out of range'    => array( '0 0 1 13 *', '13 is not a valid month field.' ),
+			'weekday out of range'  => array( '0 0 * * 8', '8 is not a valid day of week field.' ),
+			'reversed range'        => array( '0 17-9 * * *', '17-9 is not a valid hour field.' ),
+			'zero step'             => array( '*/0 * * * *', '*/0 is not a valid minute field.' ),
+			'weekday name in month' => array( '0 0 * mon *', 'mon is not a valid month field.' ),
+			'unknown name'          => array( '0 0 * * funday', 'funday is not a valid day of week field.' ),
+			'empty list item'       => array( '0,,5 * * * *', '0,,5 is not a valid minute field.' ),
+			'negative value'        => array( '-5 * * * *', '-5 is not a valid minute field.' ),
+		);
+	}
+
+	/**
+	 * Build a UTC time.
+	 *
+	 * @param string $time Time.
+	 * @return \DateTimeImmutable
+	 */
+	private function utc( string $time ): \DateTimeImmutable {
+		return new \DateTimeImmutable( $time, new \DateTimeZone( 'UTC' ) );
+	}
+}
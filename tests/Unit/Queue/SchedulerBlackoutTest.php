@@ -0,0 +1,173 @@
+<?php
+/**
+ * Tests for the blackout windows of Scheduler.
+ *
+ * @package SwishMigrateAndBackup\Tests\Unit\Queue
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Unit\Queue;
+
+use PHPUnit\Framework\Attributes\DataProvider;
+use SwishMigrateAndBackup\Backup\BackupArchiver;
+use SwishMigrateAndBackup\Backup\BackupManager;
+use SwishMigrateAndBackup\Backup\DatabaseBackup;
+use SwishMigrateAndBackup\Backup\FileBackup;
+use SwishMigrateAndBackup\Core\Container;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Queue\Scheduler;
+use SwishMigrateAndBackup\Storage\BackupVerifier;
+use SwishMigrateAndBackup\Storage\StorageManager;
+use SwishMigrateAndBackup\Tests\TestCase;
+
+/**
+ * Whether a moment falls in a blackout window, in the schedule's time
+ * zone: windows within a day, windows past midnight and daylight saving
+ * changes.
+ */
+final class SchedulerBlackoutTest extends TestCase {
+
+	/**
+	 * Scheduler under test.
+	 *
+	 * @var Scheduler
+	 */
+	private Scheduler $scheduler;
+
+	/**
+	 * Set up the scheduler.
+	 *
+	 * @return void
+	 */
+	protected function set_up(): void {
+		parent::set_up();
+
+		$logger = new Logger();
+
+		$this->scheduler = new Scheduler(
+			new BackupManager(
+				new DatabaseBackup( $logger ),
+				new FileBackup( $logger ),
+				new BackupArchiver( $logger ),
+				new StorageManager( Container::get_instance() ),
+				new BackupVerifier( $logger ),
+				$logger
+			),
+			$logger
+		);
+	}
+
+	/**
+	 * A moment is blacked out if it is in any of the windows.
+	 *
+	 * @param string $timezone Schedule time zone.
+	 * @param array  $window   Blackout window.
+	 * @param string $moment   Moment to check, UTC.
+	 * @param bool   $expected Whether it is blacked out.
+	 * @return void
+	 */
+	#[DataProvider( 'provide_moments' )]
+	public function test_checks_the_moment_against_the_windows( string $timezone, array $window, string $moment, bool $expected ): void {
+		$options = array(
+			'timezone'         => $timezone,
+			'blackout_windows' => array( $window ),
+		);
+
+		$this->assertSame( $expected, $this->scheduler->is_blacked_out( $this->utc( $moment ), $options ) );
+	}
+
+	/**
+	 * Windows, a moment and whether it is blacked out.
+	 *
+	 * @return array
+	 */
+	public static function provide_moments(): array {
+		$weekdays = self::window( array( 1, 2, 3, 4, 5 ), '09:00', '17:00' );
+		$friday   = self::window( array( 5 ), '22:00', '02:00' );
+		$all_day  = self::window( array( 1 ), '09:00', '09:00' );
+		$spring   = self::window( array( 0 ), '02:00', '04:00' );
+		$autumn   = self::window( array( 0 ), '02:00', '03:00' );
+		$saturday = self::window( array( 6 ), '23:00', '01:00' );
+
+		return array(
+			'start of a window'                        => array( 'UTC', $weekdays, '2024-03-11 09:00', true ),
+			'end of a window'                          => array( 'UTC', $weekdays, '2024-03-11 17:00', false ),
+			'day outside a window'                     => array( 'UTC', $weekdays, '2024-03-16 10:00', false ),
+			'before midnight'                          => array( 'UTC', $friday, '2024-03-15 23:00', true ),
+			'after midnight'                           => array( 'UTC', $friday, '2024-03-16 01:59', true ),
+			'end after midnight'                       => array( 'UTC', $friday, '2024-03-16 02:00', false ),
+			'before the start'                         => array( 'UTC', $friday, '2024-03-15 21:59', false ),
+			'after midnight of a day not listed'       => array( 'UTC', $friday, '2024-03-15 01:00', false ),
+			'same start and end covers a day'          => array( 'UTC', $all_day, '2024-03-12 08:59', true ),
+			'same start and end ends at the start'     => array( 'UTC', $all_day, '2024-03-12 09:00', false ),
+			'local day differs from UTC'               => array( 'America/New_York', $friday, '2024-03-16 03:00', true ),
+			'before clocks go forward'                 => array( 'Europe/Berlin', $spring, '2024-03-31 00:30', false ),
+			'skipped hour'                             => array( 'Europe/Berlin', $spring, '2024-03-31 01:00', true ),
+			'after clocks go forward'                  => array( 'Europe/Berlin', $spring, '2024-03-31 02:00', false ),
+			'before clocks go back'                    => array( 'Europe/Berlin', $autumn, '2024-10-27 00:00', true ),
+			'repeated hour'                            => array( 'Europe/Berlin', $autumn, '2024-10-27 01:30', true ),
+			'after the repeated hour'                  => array( 'Europe/Berlin', $autumn, '2024-10-27 02:00', false ),
+			'past midnight into the day clocks change' => array( 'Europe/Berlin', $saturday, '2024-03-30 23:30', true ),
+		);
+	}
+
+	/**
+	 * A schedule without windows is never blacked out.
+	 *
+	 * @return void
+	 */
+	public function test_is_not_blacked_out_without_windows(): void {
+		$this->assertFalse( $this->scheduler->is_blacked_out( $this->utc( '2024-03-11 09:00' ), array( 'timezone' => 'UTC' ) ) );
+	}
+
+	/**
+	 * Upcoming runs skip the matches inside a window.
+	 *
+	 * @return void
+	 */
+	public function test_skips_runs_inside_a_window(): void {
+		$options = array(
+			'cron_expression'  => '*/30 * * * *',
+			'timezone'         => 'Europe/Berlin',
+			'blackout_windows' => array( self::window( array( 0, 1, 2, 3, 4, 5, 6 ), '00:00', '23:00' ) ),
+		);
+
+		$runs = $this->scheduler->get_upcoming_runs( Scheduler::FREQUENCY_CRON, $options, 4 );
+
+		$this->assertCount( 4, $runs );
+
+		foreach ( $runs as $run ) {
+			$local = ( new \DateTimeImmutable( '@' . $run ) )->setTimezone( new \DateTimeZone( 'Europe/Berlin' ) );
+
+			$this->assertSame( '23', $local->format( 'H' ) );
+			$this->assertFalse( $this->scheduler->is_blacked_out( $run, $options ) );
+		}
+	}
+
+	/**
+	 * Build a blackout window.
+	 *
+	 * @param array  $days  Weekdays the window starts on, 0 for Sunday.
+	 * @param string $start Start time as HH:MM.
+	 * @param string $end   End time as HH:MM.
+	 * @return array
+	 */
+	private static function window( array $days, string $start, string $end ): array {
+		return array(
+			'days'  => $days,
+			'start' => $start,
+			'end'   => $end,
+		);
+	}
+
+	/**
+	 * Get the timestamp of a UTC time.
+	 *
+	 * @param string $time Time.
+	 * @return int
+	 */
+	private function utc( string $time ): int {
+		return ( new \DateTimeImmutable( $time, new \DateTimeZone( 'UTC' ) ) )->getTimestamp();
+	}
+}
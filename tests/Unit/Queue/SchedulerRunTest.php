@@ -0,0 +1,215 @@
+<?php
+/**
+ * Tests for running a schedule from the dashboard.
+ *
+ * @package SwishMigrateAndBackup\Tests\Unit\Queue
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Unit\Queue;
+
+use SwishMigrateAndBackup\Backup\BackupArchiver;
+use SwishMigrateAndBackup\Backup\BackupManager;
+use SwishMigrateAndBackup\Backup\DatabaseBackup;
+use SwishMigrateAndBackup\Backup\FileBackup;
+use SwishMigrateAndBackup\Backup\SwishArchiver;
+use SwishMigrateAndBackup\Core\Container;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Queue\Scheduler;
+use SwishMigrateAndBackup\Storage\BackupVerifier;
+use SwishMigrateAndBackup\Storage\LocalAdapter;
+use SwishMigrateAndBackup\Storage\StorageManager;
+use SwishMigrateAndBackup\Tests\Support\Http;
+use SwishMigrateAndBackup\Tests\TestCase;
+
+/**
+ * "Run now" makes the backup the schedule's cron runs make, as an async
+ * job run here step by step the way WP-Cron would.
+ */
+final class SchedulerRunTest extends TestCase {
+
+	/**
+	 * Steps a backup may take before the test gives up on it.
+	 */
+	private const MAX_STEPS = 20;
+
+	/**
+	 * Backup manager.
+	 *
+	 * @var BackupManager
+	 */
+	private BackupManager $backup_manager;
+
+	/**
+	 * Scheduler under test.
+	 *
+	 * @var Scheduler
+	 */
+	private Scheduler $scheduler;
+
+	/**
+	 * Set up the plugin tables, some site content and the scheduler.
+	 *
+	 * @return void
+	 */
+	protected function set_up(): void {
+		parent::set_up();
+
+		$this->create_table(
+			'wp_swish_backup_jobs',
+			array(
+				'id'                  => 'integer',
+				'job_id'              => 'varchar(64)',
+				'type'                => "varchar(32) NOT NULL DEFAULT 'full'",
+				'status'              => "varchar(32) NOT NULL DEFAULT 'pending'",
+				'progress'            => 'int(3) NOT NULL DEFAULT 0',
+				'started_at'          => 'datetime',
+				'completed_at'        => 'datetime',
+				'file_path'           => 'varchar(512)',
+				'file_size'           => 'bigint(20) DEFAULT 0',
+				'checksum'            => 'varchar(64)',
+				'manifest'            => 'longtext',
+				'error_message'       => 'text',
+				'size_limit_exceeded' => 'tinyint(1) DEFAULT 0',
+				'created_at'          => 'datetime',
+			)
+		);
+		$this->create_table(
+			'wp_swish_backup_schedules',
+			array(
+				'id'                   => 'integer',
+				'name'                 => 'varchar(128)',
+				'frequency'            => "varchar(32) NOT NULL DEFAULT 'daily'",
+				'backup_type'          => "varchar(32) NOT NULL DEFAULT 'full'",
+				'storage_destinations' => "varchar(512) NOT NULL DEFAULT 'local'",
+				'retention_count'      => 'int(11) NOT NULL DEFAULT 5',
+				'next_run'             => 'datetime',
+				'last_run'             => 'datetime',
+				'is_active'            => 'tinyint(1) NOT NULL DEFAULT 1',
+				'options'              => 'longtext',
+				'created_at'           => 'datetime',
+			),
+			array(
+				array(
+					'id'                   => 1,
+					'name'                 => 'Nightly',
+					'backup_type'          => 'full',
+					'storage_destinations' => '["local"]',
+					'options'              => '{}',
+				),
+			)
+		);
+		$this->create_table(
+			'wp_posts',
+			array(
+				'ID'         => 'bigint(20)',
+				'post_title' => 'text',
+			),
+			array(
+				array(
+					'ID'         => 1,
+					'post_title' => 'Hello from the database',
+				),
+			)
+		);
+
+		$logger    = new Logger();
+		$verifier  = new BackupVerifier( $logger );
+		$container = Container::get_instance()->instance( BackupVerifier::class, $verifier );
+		$storage   = ( new StorageManager( $container ) )->register_adapter( 'local', new LocalAdapter( $logger ) );
+
+		$this->backup_manager = new BackupManager(
+			new DatabaseBackup( $logger ),
+			new FileBackup( $logger ),
+			new BackupArchiver( $logger ),
+			$storage,
+			$verifier,
+			$logger
+		);
+		$this->scheduler      = new Scheduler( $this->backup_manager, $logger );
+
+		// The loopback request that would start WP-Cron.
+		Http::set_handler( fn() => array( 'code' => 200 ) );
+	}
+
+	/**
+	 * Drop the services the test registered.
+	 *
+	 * @return void
+	 */
+	protected function tear_down(): void {
+		Container::reset_instance();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * A full schedule run from the dashboard backs up the database with
+	 * the files, and its run ends completed.
+	 *
+	 * @return void
+	 */
+	public function test_runs_a_full_schedule_with_its_database(): void {
+		$schedule = $this->scheduler->get_schedule( 1 );
+		$result   = $this->scheduler->run_now( $schedule );
+
+		$this->assertSame( 'pending', $result['status'] );
+		$this->assertSame( Scheduler::RUN_RUNNING, $this->scheduler->get_runs( 1 )[0]['status'] );
+
+		$job = $this->run_cron( $result['job_id'] );
+
+		$this->assertSame( 'completed', $job['status'], $job['message'] );
+		$this->assertSame( Scheduler::RUN_COMPLETED, $this->scheduler->get_runs( 1 )[0]['status'] );
+
+		$extracted = WP_CONTENT_DIR . '/tmp/extracted';
+		$archive   = new SwishArchiver( $job['path'] );
+		$result    = $archive->extract_to( $extracted, 0, null, 60, fn( $path ) => 'database.sql' === $path );
+
+		$this->assertSame( 1, $result['files_extracted'] );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$dump = (string) file_get_contents( $extracted . '/database.sql' );
+
+		$this->assertStringContainsString( 'CREATE TABLE', $dump );
+		$this->assertStringContainsString( 'Hello from the database', $dump );
+	}
+
+	/**
+	 * Run the backup's cron events until it has ended, reporting its end
+	 * to the scheduler as the swish_backup_async_processed hook does.
+	 *
+	 * @param string $job_id Backup job ID.
+	 * @return array Job status.
+	 */
+	private function run_cron( string $job_id ): array {
+		$steps = array(
+			'swish_backup_process_async' => array( $this->backup_manager, 'process_async_backup' ),
+			'swish_backup_continue'      => array( $this->backup_manager, 'continue_backup' ),
+		);
+
+		for ( $i = 0; $i < self::MAX_STEPS; $i++ ) {
+			foreach ( $steps as $hook => $step ) {
+				$timestamp = wp_next_scheduled( $hook, array( $job_id ) );
+
+				if ( $timestamp ) {
+					wp_unschedule_event( $timestamp, $hook, array( $job_id ) );
+					$step( $job_id );
+					break;
+				}
+			}
+
+			$job = $this->backup_manager->get_job_status( $job_id );
+
+			if ( in_array( $job['status'], array( 'completed', 'failed' ), true ) ) {
+				break;
+			}
+		}
+
+		foreach ( $GLOBALS['swish_tests_actions']['swish_backup_async_processed'] ?? array() as $args ) {
+			$this->scheduler->handle_async_backup( ...$args );
+		}
+
+		return $job;
+	}
+}
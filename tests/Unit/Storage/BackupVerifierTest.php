@@ -0,0 +1,304 @@
+<?php
+/**
+ * Tests for BackupVerifier.
+ *
+ * @package SwishMigrateAndBackup\Tests\Unit\Storage
+ */
+
+declare(strict_types=1);
+
+namespace SwishMigrateAndBackup\Tests\Unit\Storage;
+
+use PHPUnit\Framework\Attributes\DataProvider;
+use SwishMigrateAndBackup\Logger\Logger;
+use SwishMigrateAndBackup\Storage\BackupVerifier;
+use SwishMigrateAndBackup\Tests\Support\MemoryStorageAdapter;
+use SwishMigrateAndBackup\Tests\Support\RangeReadableMemoryStorageAdapter;
+use SwishMigrateAndBackup\Tests\TestCase;
+
+/**
+ * Integrity manifests, checking copies by metadata, sample ranges or a
+ * full download, and checksum sidecars.
+ */
+final class BackupVerifierTest extends TestCase {
+
+	/**
+	 * Length of each sample range.
+	 */
+	private const SAMPLE_SIZE = 1048576;
+
+	/**
+	 * Verifier under test.
+	 *
+	 * @var BackupVerifier
+	 */
+	private BackupVerifier $verifier;
+
+	/**
+	 * Set up the verifier.
+	 *
+	 * @return void
+	 */
+	protected function set_up(): void {
+		parent::set_up();
+
+		$this->verifier = new BackupVerifier( new Logger() );
+	}
+
+	/**
+	 * The manifest holds the size, both hashes and one sample covering a
+	 * small file.
+	 *
+	 * @return void
+	 */
+	public function test_creates_the_manifest_of_a_small_file(): void {
+		$data     = random_bytes( 5000 );
+		$manifest = $this->verifier->create_manifest( $this->write_local_file( $data ) );
+
+		$this->assertSame( 'sha256', $manifest['algorithm'] );
+		$this->assertSame( hash( 'sha256', $data ), $manifest['sha256'] );
+		$this->assertSame( md5( $data ), $manifest['md5'] );
+		$this->assertSame( 5000, $manifest['size'] );
+		$this->assertSame(
+			array(
+				array(
+					'offset' => 0,
+					'length' => 5000,
+					'sha256' => hash( 'sha256', $data ),
+				),
+			),
+			$manifest['samples']
+		);
+	}
+
+	/**
+	 * A large file is sampled at its start, middle and end.
+	 *
+	 * @return void
+	 */
+	public function test_samples_the_start_middle_and_end_of_a_large_file(): void {
+		$data     = random_bytes( 3 * self::SAMPLE_SIZE + 1001 );
+		$manifest = $this->verifier->create_manifest( $this->write_local_file( $data ) );
+		$middle   = intdiv( strlen( $data ) - self::SAMPLE_SIZE, 2 );
+
+		$this->assertSame( hash( 'sha256', $data ), $manifest['sha256'] );
+		$this->assertSame( array( 0, $middle, strlen( $data ) - self::SAMPLE_SIZE ), array_column( $manifest['samples'], 'offset' ) );
+		$this->assertSame( array_fill( 0, 3, self::SAMPLE_SIZE ), array_column( $manifest['samples'], 'length' ) );
+		$this->assertSame( hash( 'sha256', substr( $data, $middle, self::SAMPLE_SIZE ) ), $manifest['samples'][1]['sha256'] );
+	}
+
+	/**
+	 * A missing file has no manifest.
+	 *
+	 * @return void
+	 */
+	public function test_has_no_manifest_for_a_missing_file(): void {
+		$this->assertNull( $this->verifier->create_manifest( WP_CONTENT_DIR . '/tmp/missing.zip' ) );
+		$this->assertNull( $this->verifier->create_manifest( '' ) );
+	}
+
+	/**
+	 * A copy that is not there is reported missing.
+	 *
+	 * @return void
+	 */
+	public function test_reports_a_missing_copy(): void {
+		$result = $this->verifier->verify( new MemoryStorageAdapter(), 'backup.zip', $this->get_manifest( 'backup' ) );
+
+		$this->assertSame( BackupVerifier::STATUS_MISSING, $result['status'] );
+		$this->assertSame( 'The backup file is not at this destination.', $result['message'] );
+	}
+
+	/**
+	 * A copy of the wrong size differs, whatever else could be checked.
+	 *
+	 * @return void
+	 */
+	public function test_reports_a_copy_of_the_wrong_size(): void {
+		$adapter = new RangeReadableMemoryStorageAdapter( array( 'backup.zip' => 'backup!' ) );
+		$result  = $this->verifier->verify( $adapter, 'backup.zip', $this->get_manifest( 'backup' ) );
+
+		$this->assertSame( BackupVerifier::STATUS_MISMATCH, $result['status'] );
+		$this->assertSame( 'metadata', $result['method'] );
+		$this->assertSame( 'The stored copy is 7 bytes instead of 6.', $result['message'] );
+		$this->assertSame( array(), $adapter->ranges_read );
+	}
+
+	/**
+	 * A hash in the destination's metadata is compared without reading the copy.
+	 *
+	 * @param array  $extra_metadata Metadata the destination reports.
+	 * @param string $status         Expected status.
+	 * @param string $message        Expected message.
+	 * @return void
+	 */
+	#[DataProvider( 'provide_metadata_hashes' )]
+	public function test_compares_the_hash_in_the_metadata( array $extra_metadata, string $status, string $message ): void {
+		$adapter                 = new RangeReadableMemoryStorageAdapter( array( 'backup.zip' => 'backup' ) );
+		$adapter->extra_metadata = $extra_metadata;
+
+		$result = $this->verifier->verify( $adapter, 'backup.zip', $this->get_manifest( 'backup' ) );
+
+		$this->assertSame( $status, $result['status'] );
+		$this->assertSame( 'metadata', $result['method'] );
+		$this->assertSame( $message, $result['message'] );
+		$this->assertSame( array(), $adapter->ranges_read );
+	}
+
+	/**
+	 * Hashes a destination reports and the outcome.
+	 *
+	 * @return array
+	 */
+	public static function provide_metadata_hashes(): array {
+		return array(
+			'matching SHA-256'              => array( array( 'sha256' => hash( 'sha256', 'backup' ) ), BackupVerifier::STATUS_VERIFIED, '' ),
+			'matching MD5 in upper case'    => array( array( 'md5' => strtoupper( md5( 'backup' ) ) ), BackupVerifier::STATUS_VERIFIED, '' ),
+			'different SHA-256'             => array( array( 'sha256' => hash( 'sha256', 'other' ) ), BackupVerifier::STATUS_MISMATCH, 'The SHA256 hash reported by the destination differs.' ),
+			'different MD5'                 => array( array( 'md5' => md5( 'other' ) ), BackupVerifier::STATUS_MISMATCH, 'The MD5 hash reported by the destination differs.' ),
+			'SHA-256 is checked before MD5' => array(
+				array(
+					'sha256' => hash( 'sha256', 'backup' ),
+					'md5'    => md5( 'other' ),
+				),
+				BackupVerifier::STATUS_VERIFIED,
+				'',
+			),
+		);
+	}
+
+	/**
+	 * A destination that reads byte ranges has its samples compared.
+	 *
+	 * @return void
+	 */
+	public function test_compares_sample_ranges(): void {
+		$data    = random_bytes( 3 * self::SAMPLE_SIZE + 1001 );
+		$adapter = new RangeReadableMemoryStorageAdapter( array( 'backup.zip' => $data ) );
+		$result  = $this->verifier->verify( $adapter, 'backup.zip', $this->get_manifest( $data ) );
+
+		$this->assertSame( BackupVerifier::STATUS_SAMPLED, $result['status'] );
+		$this->assertSame( 'ranges', $result['method'] );
+		$this->assertCount( 3, $adapter->ranges_read );
+	}
+
+	/**
+	 * A changed byte in a sample is reported with the range it is in.
+	 *
+	 * @return void
+	 */
+	public function test_reports_a_sample_range_that_differs(): void {
+		$data     = random_bytes( 3 * self::SAMPLE_SIZE + 1001 );
+		$manifest = $this->get_manifest( $data );
+		$middle   = $manifest['samples'][1]['offset'];
+
+		$data[ $middle + 10 ] = chr( ord( $data[ $middle + 10 ] ) ^ 1 );
+
+		$adapter = new RangeReadableMemoryStorageAdapter( array( 'backup.zip' => $data ) );
+		$result  = $this->verifier->verify( $adapter, 'backup.zip', $manifest );
+
+		$this->assertSame( BackupVerifier::STATUS_MISMATCH, $result['status'] );
+		$this->assertSame( 'ranges', $result['method'] );
+		$this->assertSame( sprintf( 'Bytes %d to %d of the stored copy differ.', $middle, $middle + self::SAMPLE_SIZE - 1 ), $result['message'] );
+		$this->assertCount( 2, $adapter->ranges_read );
+	}
+
+	/**
+	 * Without hashes or range reads, the whole copy is downloaded.
+	 *
+	 * @param string $stored Contents of the stored copy.
+	 * @param string $status Expected status.
+	 * @return void
+	 */
+	#[DataProvider( 'provide_downloaded_copies' )]
+	public function test_downloads_the_copy( string $stored, string $status ): void {
+		$adapter = new MemoryStorageAdapter( array( 'backup.zip' => $stored ) );
+		$result  = $this->verifier->verify( $adapter, 'backup.zip', $this->get_manifest( 'backup' ) );
+
+		$this->assertSame( $status, $result['status'] );
+		$this->assertSame( 'download', $result['method'] );
+	}
+
+	/**
+	 * Stored copies of the same size and the outcome.
+	 *
+	 * @return array
+	 */
+	public static function provide_downloaded_copies(): array {
+		return array(
+			'same contents'      => array( 'backup', BackupVerifier::STATUS_VERIFIED ),
+			'different contents' => array( 'backuq', BackupVerifier::STATUS_MISMATCH ),
+		);
+	}
+
+	/**
+	 * Without a download, a copy that cannot be read back is only checked
+	 * by its size.
+	 *
+	 * @return void
+	 */
+	public function test_leaves_the_copy_unverified_without_a_download(): void {
+		$adapter = new MemoryStorageAdapter( array( 'backup.zip' => 'backuq' ) );
+		$result  = $this->verifier->verify( $adapter, 'backup.zip', $this->get_manifest( 'backup' ), false );
+
+		$this->assertSame( BackupVerifier::STATUS_UNVERIFIED, $result['status'] );
+		$this->assertSame( 'size', $result['method'] );
+	}
+
+	/**
+	 * The sidecar is in sha256sum format and reads back as a manifest.
+	 *
+	 * @return void
+	 */
+	public function test_writes_and_reads_the_sidecar(): void {
+		$adapter  = new MemoryStorageAdapter();
+		$manifest = $this->get_manifest( 'backup' );
+
+		$this->assertTrue( $this->verifier->write_sidecar( $adapter, 'daily/backup.zip', $manifest ) );
+		$this->assertSame( $manifest['sha256'] . "  backup.zip\n", $adapter->files['daily/backup.zip.sha256'] );
+		$this->assertSame(
+			array(
+				'algorithm' => 'sha256',
+				'sha256'    => $manifest['sha256'],
+			),
+			$this->verifier->read_sidecar( $adapter, 'daily/backup.zip' )
+		);
+	}
+
+	/**
+	 * A missing or unreadable sidecar gives no manifest.
+	 *
+	 * @return void
+	 */
+	public function test_ignores_a_missing_or_invalid_sidecar(): void {
+		$adapter = new MemoryStorageAdapter( array( 'broken.zip.sha256' => "not a checksum  broken.zip\n" ) );
+
+		$this->assertNull( $this->verifier->read_sidecar( $adapter, 'backup.zip' ) );
+		$this->assertNull( $this->verifier->read_sidecar( $adapter, 'broken.zip' ) );
+	}
+
+	/**
+	 * Build the manifest of some contents.
+	 *
+	 * @param string $data Contents.
+	 * @return array
+	 */
+	private function get_manifest( string $data ): array {
+		return $this->verifier->create_manifest( $this->write_local_file( $data ) );
+	}
+
+	/**
+	 * Write a string to a local file.
+	 *
+	 * @param string $data Contents.
+	 * @return string Path.
+	 */
+	private function write_local_file( string $data ): string {
+		$path = wp_tempnam( 'backup' );
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+		file_put_contents( $path, $data );
+
+		return $path;
+	}
+}
@@ -0,0 +1,44 @@
+<?php
+/**
+ * PHPUnit bootstrap.
+ *
+ * The tests run without WordPress: the functions the plugin calls are
+ * replaced by the small stand-ins in tests/Support/functions.php, $wpdb
+ * by an SQLite database and the HTTP API by a handler each test can set.
+ *
+ * @package SwishMigrateAndBackup\Tests
+ */
+
+declare(strict_types=1);
+
+$swish_tests_root = sys_get_temp_dir() . '/swish-backup-tests-' . getmypid();
+
+define( 'ABSPATH', $swish_tests_root . '/' );
+define( 'WP_CONTENT_DIR', $swish_tests_root . '/wp-content' );
+define( 'WP_PLUGIN_DIR', WP_CONTENT_DIR . '/plugins' );
+define( 'SWISH_BACKUP_VERSION', '1.1.0' );
+define( 'SWISH_BACKUP_FREE_SIZE_LIMIT', 2147483648 );
+define( 'AUTH_KEY', 'swish-backup-tests' );
+define( 'MINUTE_IN_SECONDS', 60 );
+define( 'HOUR_IN_SECONDS', 3600 );
+define( 'DAY_IN_SECONDS', 86400 );
+define( 'OBJECT', 'OBJECT' );
+define( 'ARRAY_A', 'ARRAY_A' );
+define( 'ARRAY_N', 'ARRAY_N' );
+
+mkdir( WP_CONTENT_DIR, 0755, true );
+
+register_shutdown_function(
+	static function () use ( $swish_tests_root ): void {
+		SwishMigrateAndBackup\Tests\TestCase::remove_directory( $swish_tests_root );
+	}
+);
+
+require_once dirname( __DIR__ ) . '/vendor/autoload.php';
+require_once dirname( __DIR__ ) . '/vendor/yoast/phpunit-polyfills/phpunitpolyfills-autoload.php';
+require_once __DIR__ . '/Support/functions.php';
+
+$GLOBALS['swish_tests_options'] = array();
+$GLOBALS['swish_tests_cron']    = array();
+$GLOBALS['swish_tests_actions'] = array();
+$GLOBALS['wpdb']                = new SwishMigrateAndBackup\Tests\Support\Wpdb();
@@ -36,12 +36,22 @@ function swish_backup_uninstall_cleanup(): void {
 		'swish_backup_storage_dropbox',
 		'swish_backup_storage_googledrive',
 		'swish_backup_job_queue',
+		'swish_backup_connection_secret',
+		'swish_backup_pull_source',
+		'swish_backup_search_replace_runs',
+		'swish_backup_schedule_runs',
 	);
 
 	foreach ( $swish_options_to_delete as $swish_option ) {
 		delete_option( $swish_option );
 	}
 
+	// Options kept per backup job: pull backups built for another site and pipeline leases.
+	foreach ( array( 'swish_remote_backup_', 'swish_pipeline_lease_' ) as $swish_option_prefix ) {
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query( $wpdb->prepare( "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s", $wpdb->esc_like( $swish_option_prefix ) . '%' ) );
+	}
+
 	// Delete transients.
 	// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 	$wpdb->query( $wpdb->prepare( "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s", '_transient_swish_backup_%' ) );
@@ -53,6 +63,7 @@ function swish_backup_uninstall_cleanup(): void {
 		$wpdb->prefix . 'swish_backup_jobs',
 		$wpdb->prefix . 'swish_backup_logs',
 		$wpdb->prefix . 'swish_backup_schedules',
+		$wpdb->prefix . 'swish_search_replace_journal',
 	);
 
 	foreach ( $swish_tables_to_drop as $swish_table ) {
@@ -70,6 +81,10 @@ function swish_backup_uninstall_cleanup(): void {
 		wp_clear_scheduled_hook( $swish_hook );
 	}
 
+	// Export cleanups are scheduled with the export path as their argument.
+	wp_unschedule_hook( 'swish_backup_delete_export' );
+	wp_unschedule_hook( 'swish_backup_delete_remote_backup' );
+
 	// Flush rewrite rules.
 	flush_rewrite_rules();
 }